@@ -126,6 +126,166 @@ class EnvironmentConfig {
     return parseInt(process.env.GIT_CLONE_TIMEOUT) || 120000; // 2 minutes
   }
 
+  // Blue/Green Restart Configuration
+  get blueGreenHealthTimeout() {
+    return parseInt(process.env.BLUE_GREEN_HEALTH_TIMEOUT) || 120000; // 2 minutes
+  }
+
+  get blueGreenProbeHost() {
+    // Unset: probe candidates by container name on the shared Docker network
+    return process.env.BLUE_GREEN_PROBE_HOST || null;
+  }
+
+  // Quota Configuration
+  get defaultQuota() {
+    // Quota of roles an admin has not set one for; 0 means unlimited
+    const limit = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      const result = Number.isNaN(value) ? fallback : value;
+      return result > 0 ? result : null;
+    };
+
+    return {
+      maxProjects: limit('QUOTA_MAX_PROJECTS', 5),
+      maxMemory: limit('QUOTA_MAX_MEMORY', 0), // MB
+      maxCpus: limit('QUOTA_MAX_CPUS', 0),
+      maxConcurrentBuilds: limit('QUOTA_MAX_CONCURRENT_BUILDS', 1),
+      maxDisk: limit('QUOTA_MAX_DISK', 0) // MB
+    };
+  }
+
+  // Caddy Routing Configuration
+  get caddyRoutingEnabled() {
+    return process.env.CADDY_ROUTING_ENABLED !== 'false';
+  }
+
+  get caddySitesDir() {
+    return process.env.CADDY_SITES_DIR || './caddy/sites';
+  }
+
+  get caddyContainerName() {
+    return process.env.CADDY_CONTAINER_NAME || 'pi-caddy';
+  }
+
+  get caddyUpstreamHost() {
+    // Project containers publish their port on the host running Caddy
+    return process.env.CADDY_UPSTREAM_HOST || 'host.docker.internal';
+  }
+
+  // Secrets Configuration
+  get secretsMasterKey() {
+    const key = process.env.SECRETS_MASTER_KEY;
+
+    // A fixed development key keeps stored secrets readable across restarts
+    if (!key && this.isDevelopment) {
+      return 'development-secrets-master-key-do-not-use-in-production';
+    }
+
+    return key || null;
+  }
+
+  get secretsDir() {
+    return process.env.SECRETS_DIR || './secrets';
+  }
+
+  // Platform Backup Configuration
+  get backupStagingDir() {
+    return process.env.BACKUP_STAGING_DIR || './backups/staging';
+  }
+
+  get backupLocalDir() {
+    // Default directory of backup policies with a local target
+    return process.env.BACKUP_LOCAL_DIR || './backups/platform';
+  }
+
+  get projectBackupsDir() {
+    // Volume archives of per-project backups
+    return process.env.PROJECT_BACKUPS_DIR || './backups/projects';
+  }
+
+  get backupHelperImage() {
+    return process.env.BACKUP_HELPER_IMAGE || 'alpine:3.20';
+  }
+
+  // Managed Add-on Configuration
+  get addonImages() {
+    // MongoDB 5 and later need an ARMv8.2 CPU, i.e. a Raspberry Pi 5
+    return {
+      postgres: process.env.ADDON_POSTGRES_IMAGE || 'postgres:16-alpine',
+      mysql: process.env.ADDON_MYSQL_IMAGE || 'mysql:8.4',
+      redis: process.env.ADDON_REDIS_IMAGE || 'redis:7-alpine',
+      mongodb: process.env.ADDON_MONGODB_IMAGE || 'mongo:7'
+    };
+  }
+
+  get addonResources() {
+    // Limits of every add-on container, memory in MB; swap is limited to the memory
+    return {
+      cpus: parseFloat(process.env.ADDON_CPUS) || 1,
+      memory: parseInt(process.env.ADDON_MEMORY) || 512,
+      pidsLimit: parseInt(process.env.ADDON_PIDS_LIMIT) || 256
+    };
+  }
+
+  // Notification Configuration
+  get smtpHost() {
+    // Email notifications are disabled without an SMTP relay
+    return process.env.SMTP_HOST || null;
+  }
+
+  get smtpPort() {
+    return parseInt(process.env.SMTP_PORT) || 587;
+  }
+
+  get smtpSecure() {
+    // Implicit TLS (port 465); otherwise STARTTLS is used when offered
+    return process.env.SMTP_SECURE === 'true';
+  }
+
+  get smtpUser() {
+    return process.env.SMTP_USER || null;
+  }
+
+  get smtpPassword() {
+    return process.env.SMTP_PASSWORD || null;
+  }
+
+  get smtpFrom() {
+    return process.env.SMTP_FROM || 'pi-hosting@localhost';
+  }
+
+  get notificationAllowPrivateNetworks() {
+    // Notifications only go to public hosts unless receivers on the local network are allowed
+    return process.env.NOTIFICATION_ALLOW_PRIVATE_NETWORKS === 'true';
+  }
+
+  get diskAlertThreshold() {
+    // Root filesystem usage in percent that raises a disk.full notification
+    return parseInt(process.env.DISK_ALERT_THRESHOLD) || 90;
+  }
+
+  get sysfsRoot() {
+    // Where the Pi's hardware telemetry is read from; point it at a fake tree to develop off a Pi
+    return process.env.SYSFS_ROOT || '/sys';
+  }
+
+  get enableMetrics() {
+    return process.env.ENABLE_METRICS !== 'false';
+  }
+
+  get metricsToken() {
+    // Bearer token Prometheus scrapes /api/metrics with; the endpoint is closed without one
+    return process.env.METRICS_TOKEN || null;
+  }
+
+  get mongoContainerName() {
+    return process.env.MONGO_CONTAINER_NAME || 'pi-mongodb';
+  }
+
+  get redisContainerName() {
+    return process.env.REDIS_CONTAINER_NAME || 'pi-redis';
+  }
+
   // Port Configuration
   get portRangeMin() {
     return parseInt(process.env.PORT_RANGE_MIN) || 3000;
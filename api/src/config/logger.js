@@ -113,6 +113,17 @@ const morganStream = {
   },
 };
 
+// Listeners called with (req, res, durationMs) for every finished request
+const requestListeners = [];
+
+/**
+ * Subscribe to finished requests, e.g. to record request metrics
+ * @param {Function} listener - Called with (req, res, durationMs)
+ */
+const onRequestFinished = (listener) => {
+  requestListeners.push(listener);
+};
+
 // Request logging middleware
 const requestLogger = (req, res, next) => {
   const start = Date.now();
@@ -134,6 +145,14 @@ const requestLogger = (req, res, next) => {
     } else {
       logger.http('HTTP Request', logData);
     }
+
+    requestListeners.forEach((listener) => {
+      try {
+        listener(req, res, duration);
+      } catch (error) {
+        logger.error('Request listener failed:', error);
+      }
+    });
   });
   
   next();
@@ -282,13 +301,14 @@ const logRotation = {
   }
 };
 
-// Initialize log cleanup on startup
-setInterval(logRotation.cleanup, 24 * 60 * 60 * 1000); // Run daily
+// Initialize log cleanup on startup, without keeping a process (or a test run) alive
+setInterval(logRotation.cleanup, 24 * 60 * 60 * 1000).unref(); // Run daily
 
 module.exports = { 
   logger,
   morganStream,
   requestLogger,
+  onRequestFinished,
   performanceLogger,
   securityLogger,
   businessLogger,
@@ -2,11 +2,22 @@ const { logger } = require('./logger');
 const { getRedisClient } = require('./redis');
 const LogStreamManager = require('../services/logStreamManager');
 const ConsoleManager = require('../services/consoleManager');
+const { getBuildLogService } = require('../services/buildLogService');
+const { getProjectHealthService } = require('../services/projectHealthService');
+const { getProjectAccessService, ADMIN_ROOM, getUserRoom } = require('../services/projectAccessService');
+const AuthMiddleware = require('../middleware/auth');
 
 const setupSocketIO = (io) => {
   // Initialize managers
   const logStreamManager = new LogStreamManager();
   const consoleManager = new ConsoleManager();
+  const buildLogService = getBuildLogService();
+  buildLogService.attach(io);
+  getProjectHealthService().attach(io);
+  const projectAccessService = getProjectAccessService();
+
+  // Authenticate sockets with the token sent in the handshake
+  io.use(AuthMiddleware.authenticateSocket);
   
   // Connection handling
   io.on('connection', (socket) => {
@@ -14,6 +25,14 @@ const setupSocketIO = (io) => {
     
     // Join client to a room for broadcasting
     socket.join('general');
+
+    // Project events go to the rooms of the users with access to the project
+    if (socket.user) {
+      socket.join(getUserRoom(socket.user.id));
+      if (projectAccessService.isAdmin(socket.user)) {
+        socket.join(ADMIN_ROOM);
+      }
+    }
     
     // Handle client messages
     socket.on('message', (data) => {
@@ -67,15 +86,14 @@ const setupSocketIO = (io) => {
     socket.on('start_log_stream', async (data) => {
       try {
         const { projectId, options = {} } = data;
-        const userId = socket.userId || 'anonymous'; // You might want to get this from auth
         
         if (!projectId) {
           socket.emit('log_stream_error', { message: 'Project ID is required' });
           return;
         }
 
-        logger.info(`Starting log stream for project ${projectId} by user ${userId}`);
-        await logStreamManager.startLogStream(socket, projectId, userId, options);
+        logger.info(`Starting log stream for project ${projectId} by user ${socket.user?.username || 'anonymous'}`);
+        await logStreamManager.startLogStream(socket, projectId, socket.user, options);
         
       } catch (error) {
         logger.error('Error starting log stream:', error);
@@ -87,7 +105,7 @@ const setupSocketIO = (io) => {
     socket.on('log_stream_message', (data) => {
       try {
         const { projectId, ...messageData } = data;
-        if (projectId) {
+        if (projectId && logStreamManager.isStreamSocket(projectId, socket)) {
           logStreamManager.handleLogStreamMessage(projectId, JSON.stringify(messageData));
         }
       } catch (error) {
@@ -99,7 +117,7 @@ const setupSocketIO = (io) => {
     socket.on('stop_log_stream', (data) => {
       try {
         const { projectId } = data;
-        if (projectId) {
+        if (projectId && logStreamManager.isStreamSocket(projectId, socket)) {
           logStreamManager.stopLogStream(projectId);
           socket.emit('log_stream_stopped', { projectId });
         }
@@ -112,15 +130,14 @@ const setupSocketIO = (io) => {
     socket.on('start_console', async (data) => {
       try {
         const { projectId, options = {} } = data;
-        const userId = socket.userId || 'anonymous';
         
         if (!projectId) {
           socket.emit('console_error', { message: 'Project ID is required' });
           return;
         }
 
-        logger.info(`Starting console for project ${projectId} by user ${userId}`);
-        await consoleManager.handleConsoleConnection(socket, projectId, userId, options);
+        logger.info(`Starting console for project ${projectId} by user ${socket.user?.username || 'anonymous'}`);
+        await consoleManager.handleConsoleConnection(socket, projectId, socket.user, options);
         
       } catch (error) {
         logger.error('Error starting console:', error);
@@ -132,7 +149,7 @@ const setupSocketIO = (io) => {
     socket.on('console_message', (data) => {
       try {
         const { projectId, ...messageData } = data;
-        if (projectId) {
+        if (projectId && consoleManager.isConsoleSocket(projectId, socket)) {
           consoleManager.handleConsoleInput(projectId, JSON.stringify(messageData));
         }
       } catch (error) {
@@ -144,7 +161,7 @@ const setupSocketIO = (io) => {
     socket.on('stop_console', (data) => {
       try {
         const { projectId } = data;
-        if (projectId) {
+        if (projectId && consoleManager.isConsoleSocket(projectId, socket)) {
           consoleManager.cleanupConsole(projectId);
           socket.emit('console_stopped', { projectId });
         }
@@ -153,6 +170,37 @@ const setupSocketIO = (io) => {
       }
     });
     
+    // Handle build log subscriptions
+    socket.on('join_build_log', async (data) => {
+      try {
+        const { deploymentId } = data || {};
+
+        if (!deploymentId) {
+          socket.emit('build_log_error', { message: 'Deployment ID is required' });
+          return;
+        }
+
+        // Build logs are visible to everyone who can view the project
+        const projectId = await buildLogService.getProjectId(deploymentId);
+        if (!projectId || !(await logStreamManager.checkLogAccess(socket.user, projectId))) {
+          socket.emit('build_log_error', { message: 'Deployment not found' });
+          return;
+        }
+
+        await buildLogService.subscribe(socket, deploymentId);
+      } catch (error) {
+        logger.error('Error joining build log:', error);
+        socket.emit('build_log_error', { message: 'Failed to load build log' });
+      }
+    });
+
+    socket.on('leave_build_log', (data) => {
+      const { deploymentId } = data || {};
+      if (deploymentId) {
+        socket.leave(buildLogService.getRoom(deploymentId));
+      }
+    });
+    
     // Handle disconnection
     socket.on('disconnect', (reason) => {
       logger.info(`Client disconnected: ${socket.id}, reason: ${reason}`);
@@ -160,7 +208,7 @@ const setupSocketIO = (io) => {
       // Clean up any active log streams for this socket
       const activeStreams = logStreamManager.getActiveStreams();
       activeStreams.forEach(stream => {
-        if (stream.userId === socket.userId) {
+        if (logStreamManager.isStreamSocket(stream.projectId, socket)) {
           logStreamManager.stopLogStream(stream.projectId);
         }
       });
@@ -168,7 +216,7 @@ const setupSocketIO = (io) => {
       // Clean up any active consoles for this socket
       const activeConsoles = consoleManager.getActiveConsoles();
       activeConsoles.forEach(console => {
-        if (console.userId === socket.userId) {
+        if (consoleManager.isConsoleSocket(console.projectId, socket)) {
           consoleManager.cleanupConsole(console.projectId);
         }
       });
@@ -0,0 +1,48 @@
+const BaseController = require("../utils/baseController");
+const { getAddonService } = require("../services/addonService");
+
+class AddonController extends BaseController {
+  constructor() {
+    super('AddonController');
+    this.addonService = getAddonService();
+  }
+
+  /**
+   * List the add-ons projects can have
+   */
+  async getCatalog(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      return this.addonService.getCatalog();
+    }, 'Add-on catalog');
+  }
+
+  /**
+   * List the add-ons of a project (passwords are masked)
+   */
+  async getAddons(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      return await this.addonService.listAddons(req.project);
+    }, 'Add-ons');
+  }
+
+  /**
+   * Give a project an add-on
+   */
+  async attachAddon(req, res) {
+    return this.handleCreate(req, res, async (req, res) => {
+      const { type, envVar } = req.body;
+      return await this.addonService.attachAddon(req.project, type, { envVar }, req.user?.id);
+    }, 'Add-on', 'Add-on attached successfully. Restart or redeploy the project to pass it the connection URL');
+  }
+
+  /**
+   * Remove an add-on and its data from a project
+   */
+  async detachAddon(req, res) {
+    return this.handleDelete(req, res, async (req, res) => {
+      return await this.addonService.detachAddon(req.project, req.params.type);
+    }, 'Add-on', 'Add-on removed successfully. Restart or redeploy the project to remove its connection URL');
+  }
+}
+
+module.exports = AddonController;
@@ -18,6 +18,8 @@ class ApiController {
         health: "/api/health",
         stats: "/api/stats",
         system: "/api/system",
+        database: "/api/database",
+        backups: "/api/backups",
       },
     });
   }
@@ -328,33 +330,9 @@ class ApiController {
         diskFree = `${Math.round((100 - diskUsage) * 0.32)}GB`;
       }
 
-      // Get temperature - try to read from Raspberry Pi thermal zone
-      let temperature = null;
-      try {
-        const fs = require("fs");
-        // Try to read from thermal zone (common on Raspberry Pi)
-        const tempData = fs.readFileSync(
-          "/sys/class/thermal/thermal_zone0/temp",
-          "utf8"
-        );
-        temperature = Math.round(parseInt(tempData.trim()) / 1000); // Convert from millidegrees to degrees
-      } catch (error) {
-        // Fallback: try vcgencmd if available (Raspberry Pi specific)
-        try {
-          const { execSync } = require("child_process");
-          const tempOutput = execSync("vcgencmd measure_temp", {
-            encoding: "utf8",
-          });
-          const match = tempOutput.match(/temp=(\d+\.\d+)'C/);
-          if (match) {
-            temperature = Math.round(parseFloat(match[1]));
-          }
-        } catch (vcgencmdError) {
-          logger.warn("Could not get temperature:", error.message);
-          // Final fallback to placeholder
-          temperature = Math.round(Math.random() * 20 + 40);
-        }
-      }
+      // Get temperature, throttling, fan and clock of the Pi
+      const MonitoringService = require("../services/monitoringService");
+      const hardware = await new MonitoringService().getHardwareMetrics();
 
       // Get Docker containers
       let containers = [];
@@ -396,7 +374,8 @@ class ApiController {
           total: diskTotal,
           free: diskFree,
         },
-        temperature: temperature,
+        temperature: hardware?.temperature ?? null,
+        hardware: hardware,
         uptime: uptime,
         network: {
           ip: primaryIP || "Unknown",
@@ -0,0 +1,114 @@
+const ResponseHelper = require("../utils/responseHelper");
+const BaseController = require("../utils/baseController");
+const { getPlatformBackupService } = require("../services/platformBackupService");
+const { ErrorFactory } = require("../utils/serviceErrors");
+
+class BackupController extends BaseController {
+  constructor() {
+    super('BackupController');
+    this.backupService = getPlatformBackupService();
+  }
+
+  /**
+   * List backup policies
+   */
+  async getPolicies(req, res) {
+    return this.handlePaginatedList(req, res, async () => {
+      return await this.backupService.listPolicies();
+    }, 'Backup policies');
+  }
+
+  /**
+   * Get a backup policy
+   */
+  async getPolicy(req, res) {
+    return this.handleSingleResource(req, res, async (req) => {
+      return await this.backupService.getPolicy(req.params.id);
+    }, 'Backup policy');
+  }
+
+  /**
+   * Create a backup policy
+   */
+  async createPolicy(req, res) {
+    return this.handleCreate(req, res, async (req) => {
+      return await this.backupService.createPolicy(req.body, req.user?.id);
+    }, 'Backup policy');
+  }
+
+  /**
+   * Update a backup policy
+   */
+  async updatePolicy(req, res) {
+    return this.handleUpdate(req, res, async (req) => {
+      return await this.backupService.updatePolicy(req.params.id, req.body);
+    }, 'Backup policy');
+  }
+
+  /**
+   * Delete a backup policy and its backups
+   */
+  async deletePolicy(req, res) {
+    return this.handleDelete(req, res, async (req) => {
+      return await this.backupService.deletePolicy(req.params.id);
+    }, 'Backup policy', 'Backup policy and its backups deleted successfully');
+  }
+
+  /**
+   * Start a backup of a policy now
+   */
+  async runPolicy(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      const backup = await this.backupService.startBackup(req.params.id, req.user?.id);
+      if (!backup) {
+        throw ErrorFactory.notFound('Backup policy', req.params.id);
+      }
+
+      return ResponseHelper.accepted(res, backup, 'Backup started');
+    }, 'Failed to start backup');
+  }
+
+  /**
+   * List backups, newest first
+   */
+  async getBackups(req, res) {
+    return this.handlePaginatedList(req, res, async (req) => {
+      const { page, limit, policyId, status } = req.query;
+      const result = await this.backupService.listBackups(page, limit, { policyId, status });
+
+      return {
+        data: result.backups,
+        pagination: result.pagination
+      };
+    }, 'Backups');
+  }
+
+  /**
+   * Get a backup
+   */
+  async getBackup(req, res) {
+    return this.handleSingleResource(req, res, async (req) => {
+      return await this.backupService.getBackup(req.params.id);
+    }, 'Backup');
+  }
+
+  /**
+   * Compare the stored files of a backup with their checksums
+   */
+  async verifyBackup(req, res) {
+    return this.handleAction(req, res, async (req) => {
+      return await this.backupService.verifyBackup(req.params.id);
+    }, 'Backup verification');
+  }
+
+  /**
+   * Delete a backup
+   */
+  async deleteBackup(req, res) {
+    return this.handleDelete(req, res, async (req) => {
+      return await this.backupService.deleteBackup(req.params.id);
+    }, 'Backup');
+  }
+}
+
+module.exports = BackupController;
@@ -0,0 +1,57 @@
+const BaseController = require("../utils/baseController");
+const { getGitCredentialService } = require("../services/gitCredentialService");
+
+class GitAuthController extends BaseController {
+  constructor() {
+    super('GitAuthController');
+    this.gitCredentialService = getGitCredentialService();
+  }
+
+  /**
+   * Generate a deploy key for a project that is about to be deployed
+   * The returned key token is passed back in the deploy request.
+   */
+  async createDeployKey(req, res) {
+    return this.handleCreate(req, res, async (req, res) => {
+      return this.gitCredentialService.createPendingDeployKey();
+    }, 'Deploy key', 'Deploy key generated. Add the public key to the repository, then deploy');
+  }
+
+  /**
+   * Get the repository credentials of a project (secrets are never returned)
+   */
+  async getGitAuth(req, res) {
+    return this.handleSingleResource(req, res, async (req, res) => {
+      return this.gitCredentialService.getGitAuth(req.project);
+    }, 'Repository credentials');
+  }
+
+  /**
+   * Give a project a new deploy key
+   */
+  async setDeployKey(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      return await this.gitCredentialService.setDeployKey(req.project);
+    }, 'Repository credentials', 'Deploy key generated. Add the public key to the repository');
+  }
+
+  /**
+   * Use an HTTPS access token for a project
+   */
+  async setToken(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      return await this.gitCredentialService.setToken(req.project, req.body);
+    }, 'Repository credentials', 'Access token saved successfully');
+  }
+
+  /**
+   * Remove the repository credentials of a project
+   */
+  async removeGitAuth(req, res) {
+    return this.handleDelete(req, res, async (req, res) => {
+      return await this.gitCredentialService.removeGitAuth(req.project);
+    }, 'Repository credentials', 'Repository credentials removed successfully');
+  }
+}
+
+module.exports = GitAuthController;
@@ -0,0 +1,50 @@
+const ResponseHelper = require("../utils/responseHelper");
+const BaseController = require("../utils/baseController");
+const MetricsRegistry = require("../utils/metricsRegistry");
+const { getMetricsService } = require("../services/metricsService");
+const { getMetricsHistoryService } = require("../services/metricsHistoryService");
+
+class MetricsController extends BaseController {
+  constructor() {
+    super('MetricsController');
+    this.metricsService = getMetricsService();
+    this.metricsHistoryService = getMetricsHistoryService();
+  }
+
+  /**
+   * Prometheus scrape endpoint, authenticated by the metrics bearer token
+   */
+  async getMetrics(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      this.metricsService.verifyScrapeToken(req.headers.authorization);
+
+      const body = await this.metricsService.render();
+      return res.set('Content-Type', MetricsRegistry.CONTENT_TYPE).send(body);
+    }, 'Failed to collect metrics');
+  }
+
+  /**
+   * Get the metrics history of the host
+   */
+  async getHostHistory(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      const history = await this.metricsHistoryService.getHistory({ window: req.query.window });
+      return ResponseHelper.success(res, history, 'Metrics history retrieved successfully');
+    }, 'Failed to retrieve metrics history');
+  }
+
+  /**
+   * Get the metrics history of a project's container
+   */
+  async getProjectHistory(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      const history = await this.metricsHistoryService.getHistory({
+        window: req.query.window,
+        projectId: req.params.id
+      });
+      return ResponseHelper.success(res, history, 'Metrics history retrieved successfully');
+    }, 'Failed to retrieve metrics history');
+  }
+}
+
+module.exports = MetricsController;
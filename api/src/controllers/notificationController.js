@@ -0,0 +1,90 @@
+const ResponseHelper = require("../utils/responseHelper");
+const BaseController = require("../utils/baseController");
+const { getNotificationService } = require("../services/notificationService");
+
+class NotificationController extends BaseController {
+  constructor() {
+    super('NotificationController');
+    this.notificationService = getNotificationService();
+  }
+
+  /**
+   * List the events channels can subscribe to
+   */
+  async getEvents(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      return ResponseHelper.success(res, this.notificationService.listEvents(), 'Notification events retrieved successfully');
+    }, 'Failed to retrieve notification events');
+  }
+
+  /**
+   * List the notification channels of the current user
+   */
+  async getChannels(req, res) {
+    return this.handlePaginatedList(req, res, async (req) => {
+      return await this.notificationService.listChannels(req.user.id);
+    }, 'Notification channels');
+  }
+
+  /**
+   * Get a notification channel of the current user
+   */
+  async getChannel(req, res) {
+    return this.handleSingleResource(req, res, async (req) => {
+      return await this.notificationService.getChannel(req.user.id, req.params.id);
+    }, 'Notification channel');
+  }
+
+  /**
+   * Create a notification channel
+   */
+  async createChannel(req, res) {
+    return this.handleCreate(req, res, async (req) => {
+      return await this.notificationService.createNotificationChannel(req.user.id, req.body);
+    }, 'Notification channel');
+  }
+
+  /**
+   * Update a notification channel
+   */
+  async updateChannel(req, res) {
+    return this.handleUpdate(req, res, async (req) => {
+      return await this.notificationService.updateNotificationChannel(req.user.id, req.params.id, req.body);
+    }, 'Notification channel');
+  }
+
+  /**
+   * Delete a notification channel and its delivery log
+   */
+  async deleteChannel(req, res) {
+    return this.handleDelete(req, res, async (req) => {
+      return await this.notificationService.deleteNotificationChannel(req.user.id, req.params.id);
+    }, 'Notification channel');
+  }
+
+  /**
+   * Send a test notification to a channel
+   */
+  async testChannel(req, res) {
+    return this.handleAction(req, res, async (req) => {
+      return await this.notificationService.testNotificationChannel(req.user.id, req.params.id);
+    }, 'Test notification', 'Test notification processed');
+  }
+
+  /**
+   * List the notification deliveries of the current user, newest first
+   */
+  async getDeliveries(req, res) {
+    return this.handlePaginatedList(req, res, async (req) => {
+      const { page, limit, channelId, event, status } = req.query;
+      const result = await this.notificationService.listDeliveries(req.user.id, page, limit, { channelId, event, status });
+
+      return {
+        data: result.deliveries,
+        pagination: result.pagination
+      };
+    }, 'Notification deliveries');
+  }
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,90 @@
+const BaseController = require("../utils/baseController");
+const { getProjectBackupService } = require("../services/projectBackupService");
+const projectRepository = require("../repositories/projectRepository");
+const { ErrorFactory } = require("../utils/serviceErrors");
+
+class ProjectBackupController extends BaseController {
+  constructor() {
+    super('ProjectBackupController');
+    this.backupService = getProjectBackupService();
+  }
+
+  /**
+   * List the volume backups of a project
+   */
+  async getBackups(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.backupService.listBackups(project);
+    }, 'Project backups');
+  }
+
+  /**
+   * Back up the volumes of a project
+   */
+  async createBackup(req, res) {
+    return this.handleCreate(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.backupService.createBackup(project, req.body, req.user?.id);
+    }, 'Project backup');
+  }
+
+  /**
+   * Get a backup of a project
+   */
+  async getBackup(req, res) {
+    return this.handleSingleResource(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.backupService.getBackup(project, req.params.backupId);
+    }, 'Project backup');
+  }
+
+  /**
+   * Download the archive of one volume of a backup
+   */
+  async downloadArchive(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      const archive = await this.backupService.getArchive(project, req.params.backupId, req.params.volume);
+      if (!archive) {
+        throw ErrorFactory.notFound('Backup archive', req.params.volume);
+      }
+
+      return res.download(archive.path, archive.filename);
+    }, 'Failed to download backup archive');
+  }
+
+  /**
+   * Restore the volumes of a stopped project from a backup
+   */
+  async restoreBackup(req, res) {
+    return this.handleAction(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.backupService.restoreBackup(project, req.params.backupId);
+    }, 'Backup restore', 'Backup restored successfully. Start the project to use the restored data');
+  }
+
+  /**
+   * Delete a backup of a project
+   */
+  async deleteBackup(req, res) {
+    return this.handleDelete(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.backupService.deleteBackup(project, req.params.backupId);
+    }, 'Project backup');
+  }
+
+  /**
+   * Load a project or fail with a 404
+   * @private
+   */
+  async _getProject(id) {
+    const project = await projectRepository.findById(id);
+    if (!project) {
+      throw ErrorFactory.notFound('Project', id);
+    }
+    return project;
+  }
+}
+
+module.exports = ProjectBackupController;
@@ -4,7 +4,10 @@ const BaseController = require("../utils/baseController");
 const { ProjectService } = require("../services/projectService");
 const PortService = require("../services/portService");
 const StatusSyncService = require("../services/statusSyncService");
+const { getBuildQueueService } = require("../services/buildQueueService");
+const { getProjectAccessService } = require("../services/projectAccessService");
 const projectRepository = require("../repositories/projectRepository");
+const { ErrorFactory } = require("../utils/serviceErrors");
 
 class ProjectController extends BaseController {
   constructor() {
@@ -12,19 +15,24 @@ class ProjectController extends BaseController {
     this.projectService = new ProjectService();
     this.portService = new PortService();
     this.statusSyncService = new StatusSyncService();
+    this.buildQueue = getBuildQueueService();
+    this.projectAccess = getProjectAccessService();
   }
 
   /**
-   * Get all hosted projects
+   * Get the projects the user has access to, with the user's role in each
    */
   async getAllProjects(req, res) {
     return this.handlePaginatedList(req, res, async (req, res) => {
       const { page, limit } = this.extractPaginationParams(req);
       const filters = this.extractFilterParams(req, ['status', 'search']);
       
-      const result = await projectRepository.findAll(page, limit, filters);
+      const result = await projectRepository.findAll(page, limit, {
+        ...filters,
+        ...this.projectAccess.getListFilter(req.user)
+      });
       return {
-        data: result.projects,
+        data: result.projects.map(project => this._withAccessRole(project, req.user)),
         pagination: result.pagination
       };
     }, 'Projects');
@@ -36,7 +44,7 @@ class ProjectController extends BaseController {
   async searchProjects(req, res) {
     const { q, status, page = 1, limit = 10 } = req.query;
 
-    const criteria = {};
+    const criteria = this.projectAccess.getListFilter(req.user);
     if (q) criteria.search = q;
     if (status) criteria.status = status;
 
@@ -56,12 +64,11 @@ class ProjectController extends BaseController {
   }
 
   /**
-   * Get project by ID
+   * Get project by ID, with the user's role in it
    */
   async getProjectById(req, res) {
     return this.handleSingleResource(req, res, async (req, res) => {
-      const { id } = req.params;
-      return await projectRepository.findById(id);
+      return this._withAccessRole(req.project, req.user);
     }, 'Project');
   }
 
@@ -104,8 +111,8 @@ class ProjectController extends BaseController {
   async updateProject(req, res) {
     return this.handleUpdate(req, res, async (req, res) => {
       const { id } = req.params;
-      return await this.projectService.updateProject(id, req.body);
-    }, 'Project', 'Project updated successfully');
+      return await this.projectService.updateProject(id, req.body, req.user?.id);
+    }, 'Project', this._getUpdateMessage(req.project, req.body));
   }
 
   /**
@@ -130,14 +137,125 @@ class ProjectController extends BaseController {
   async restartProject(req, res) {
     return this.handleAction(req, res, async (req, res) => {
       const { id } = req.params;
-      const success = await this.projectService.restartProject(id);
+      const success = await this.projectService.restartProject(id, req.user?.id);
       
       if (success) {
         this.logger.info(`Project restarted: ${id}`);
       }
       
       return success;
-    }, 'Project restart', 'Project restarted successfully');
+    }, 'Project restart', req.project.updateStrategy === 'in-place'
+      ? 'Project restarted in place, its recreated containers were briefly down'
+      : 'Project restarted successfully');
+  }
+
+  /**
+   * Get project deployment history
+   */
+  async getProjectDeployments(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      const { id } = req.params;
+      const { page, limit } = this.extractPaginationParams(req);
+
+      const result = await this.projectService.getProjectDeployments(id, page, limit);
+      if (!result) {
+        throw ErrorFactory.notFound('Project', id);
+      }
+
+      return {
+        data: result.deployments,
+        pagination: result.pagination
+      };
+    }, 'Deployments');
+  }
+
+  /**
+   * Get the build log of a deployment
+   */
+  async getDeploymentLog(req, res) {
+    return this.handleSingleResource(req, res, async (req, res) => {
+      const { id, deploymentId } = req.params;
+      const log = await this.projectService.getDeploymentLog(id, deploymentId);
+      if (!log) {
+        throw ErrorFactory.notFound('Project', id);
+      }
+
+      return log;
+    }, 'Build log');
+  }
+
+  /**
+   * Roll project back to an earlier deployment
+   */
+  async rollbackProject(req, res) {
+    return this.handleAction(req, res, async (req, res) => {
+      const { id, deploymentId } = req.params;
+      const project = await this.projectService.rollbackProject(id, deploymentId, req.user?.id);
+
+      if (project) {
+        this.logger.info(`Project rolled back: ${id} -> deployment ${deploymentId}`);
+      }
+
+      return project;
+    }, 'Project rollback', 'Project rolled back successfully');
+  }
+
+  /**
+   * Get CPU, memory and process usage of projects against their limits
+   */
+  async getResourceUsage(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      const usage = await this.projectService.getResourceUsage(req.user);
+      return ResponseHelper.successWithCount(res, usage);
+    }, 'Failed to get resource usage');
+  }
+
+  /**
+   * Get recent build jobs of the user's projects with their queue positions
+   * and the user's role in each job's project
+   */
+  async getBuilds(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      const { projectId, active } = req.query;
+      const roles = await this._getBuildRoles(req.user, projectId);
+      const jobs = await this.buildQueue.listJobs({
+        projectId: projectId || null,
+        projectIds: roles ? [...roles.keys()] : null,
+        active: Boolean(active)
+      });
+
+      return ResponseHelper.successWithCount(res, jobs.map(job => ({
+        ...job,
+        accessRole: roles ? roles.get(job.projectId) : 'owner'
+      })));
+    }, 'Failed to get build jobs');
+  }
+
+  /**
+   * Get a build job of a project the user can view
+   */
+  async getBuild(req, res) {
+    return this.handleSingleResource(req, res, async (req, res) => {
+      return await this._authorizeBuild(req.params.jobId, req.user, 'viewer');
+    }, 'Build job');
+  }
+
+  /**
+   * Cancel a queued or running build job of a project the user maintains
+   */
+  async cancelBuild(req, res) {
+    return this.handleAction(req, res, async (req, res) => {
+      await this._authorizeBuild(req.params.jobId, req.user, 'maintainer');
+      const job = await this.buildQueue.cancel(req.params.jobId);
+
+      if (job) {
+        this.logger.info(`Build job cancelled: ${job.projectName} (${job.id})`, {
+          userId: req.user?.id
+        });
+      }
+
+      return job;
+    }, 'Build cancellation', 'Build job cancelled');
   }
 
   /**
@@ -145,9 +263,9 @@ class ProjectController extends BaseController {
    */
   async getProjectLogs(req, res) {
     const { id } = req.params;
-    const { lines } = req.query;
+    const { lines, service } = req.query;
 
-    const logs = await this.projectService.getProjectLogs(id, lines);
+    const logs = await this.projectService.getProjectLogs(id, lines, service);
 
     if (!logs) {
       return ResponseHelper.notFound(res, "Project not found");
@@ -373,6 +491,75 @@ class ProjectController extends BaseController {
       return ResponseHelper.internalError(res, "Failed to get status sync information");
     }
   }
+
+  /**
+   * Add the user's role in a project (owner, maintainer or viewer) to it
+   * @private
+   */
+  _withAccessRole(project, user) {
+    return {
+      ...project.toJSON(),
+      accessRole: this.projectAccess.getRole(project, user)
+    };
+  }
+
+  /**
+   * Success message of a project update, telling how changes were applied
+   * @private
+   */
+  _getUpdateMessage(project, updates) {
+    const containerPortChanged = updates.containerPort && updates.containerPort !== project.containerPort;
+    const changes = [
+      containerPortChanged && `container port ${updates.containerPort}`,
+      updates.resources && 'resource limits'
+    ].filter(Boolean).join(' and ');
+
+    if (!changes) {
+      return 'Project updated successfully';
+    }
+    if (containerPortChanged && !project.image) {
+      return `Project updated and redeployed with its new ${changes}`;
+    }
+    if (project.status !== 'running') {
+      return `Project updated, its new ${changes} apply when it starts`;
+    }
+    return project.updateStrategy === 'in-place'
+      ? `Project updated and restarted in place with its new ${changes}, its recreated containers were briefly down`
+      : `Project updated and switched to a container with its new ${changes}`;
+  }
+
+  /**
+   * The user's role in each project whose build jobs they may see
+   * Null for admins, who see the jobs of every project.
+   * @private
+   * @returns {Promise<Map|null>} Roles by project ID
+   */
+  async _getBuildRoles(user, projectId = null) {
+    if (this.projectAccess.isAdmin(user)) return null;
+
+    const projects = projectId
+      ? [await this.projectAccess.authorize(projectId, user, 'viewer')]
+      : await this.projectService.searchProjects(this.projectAccess.getListFilter(user));
+    return new Map(projects.map(project => [String(project._id), this.projectAccess.getRole(project, user)]));
+  }
+
+  /**
+   * Load a build job the user needs at least a role in its project for
+   * Jobs of projects the user has no access to are not found.
+   * @private
+   */
+  async _authorizeBuild(jobId, user, role) {
+    const job = await this.buildQueue.getJob(jobId);
+    if (!job || this.projectAccess.isAdmin(user)) return job;
+
+    try {
+      await this.projectAccess.authorize(job.projectId, user, role);
+    } catch (error) {
+      if (error.name === 'NotFoundError') return null;
+      throw error;
+    }
+    return job;
+  }
 }
 
 module.exports = ProjectController;
\ No newline at end of file
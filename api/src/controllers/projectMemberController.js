@@ -0,0 +1,47 @@
+const BaseController = require("../utils/baseController");
+const { getProjectAccessService } = require("../services/projectAccessService");
+
+class ProjectMemberController extends BaseController {
+  constructor() {
+    super('ProjectMemberController');
+    this.projectAccess = getProjectAccessService();
+  }
+
+  /**
+   * List the owner and members of a project
+   */
+  async getMembers(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      return await this.projectAccess.listMembers(req.project._id);
+    }, 'Project members');
+  }
+
+  /**
+   * Add a user to a project
+   */
+  async addMember(req, res) {
+    return this.handleCreate(req, res, async (req, res) => {
+      return await this.projectAccess.addMember(req.project, req.body, req.user.id);
+    }, 'Project member', 'Member added successfully');
+  }
+
+  /**
+   * Change the role of a project member
+   */
+  async updateMember(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      return await this.projectAccess.updateMember(req.project, req.params.userId, req.body.role);
+    }, 'Project member', 'Member updated successfully');
+  }
+
+  /**
+   * Remove a member from a project
+   */
+  async removeMember(req, res) {
+    return this.handleDelete(req, res, async (req, res) => {
+      return await this.projectAccess.removeMember(req.project, req.params.userId);
+    }, 'Project member', 'Member removed successfully');
+  }
+}
+
+module.exports = ProjectMemberController;
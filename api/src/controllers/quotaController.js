@@ -0,0 +1,56 @@
+const BaseController = require("../utils/baseController");
+const { getQuotaService } = require("../services/quotaService");
+
+class QuotaController extends BaseController {
+  constructor() {
+    super('QuotaController');
+    this.quotaService = getQuotaService();
+  }
+
+  /**
+   * Get the quota and usage of the current user
+   */
+  async getMyQuota(req, res) {
+    return this.handleSingleResource(req, res, async (req, res) => {
+      return await this.quotaService.getUserQuota(req.user.id);
+    }, 'Quota');
+  }
+
+  /**
+   * List the quota and usage of every user (admin only)
+   */
+  async getUserQuotas(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      return await this.quotaService.listUserQuotas();
+    }, 'Quotas');
+  }
+
+  /**
+   * Set the limits of a user (admin only)
+   */
+  async updateUserQuota(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      return await this.quotaService.updateUserQuota(req.params.id, req.body);
+    }, 'Quota', 'Quota updated successfully');
+  }
+
+  /**
+   * List the quota of every role (admin only)
+   */
+  async getRoleQuotas(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      return await this.quotaService.getRoleQuotas();
+    }, 'Role quotas');
+  }
+
+  /**
+   * Set the quota of a role (admin only)
+   */
+  async updateRoleQuota(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      return await this.quotaService.updateRoleQuota(req.params.role, req.body, req.user.id);
+    }, 'Role quota', 'Role quota updated successfully');
+  }
+}
+
+module.exports = QuotaController;
@@ -0,0 +1,71 @@
+const BaseController = require("../utils/baseController");
+const SecretService = require("../services/secretService");
+const projectRepository = require("../repositories/projectRepository");
+const { ErrorFactory } = require("../utils/serviceErrors");
+
+class SecretController extends BaseController {
+  constructor() {
+    super('SecretController');
+    this.secretService = new SecretService();
+  }
+
+  /**
+   * List the secrets of a project (values are masked)
+   */
+  async getSecrets(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.secretService.listSecrets(project._id);
+    }, 'Secrets');
+  }
+
+  /**
+   * Create or replace a secret
+   */
+  async setSecret(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.secretService.setSecret(project, req.params.key, req.body.value, req.user?.id);
+    }, 'Secret', 'Secret saved successfully. Restart or redeploy the project to apply it');
+  }
+
+  /**
+   * Delete a secret
+   */
+  async deleteSecret(req, res) {
+    return this.handleDelete(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      return await this.secretService.deleteSecret(project, req.params.key, req.user?.id);
+    }, 'Secret', 'Secret deleted successfully. Restart or redeploy the project to apply it');
+  }
+
+  /**
+   * Get the audit log of a project's secrets
+   */
+  async getAuditLog(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      const project = await this._getProject(req.params.id);
+      const { page, limit } = this.extractPaginationParams(req);
+      const result = await this.secretService.getAuditLog(project._id, page, limit);
+
+      return {
+        data: result.entries,
+        pagination: result.pagination
+      };
+    }, 'Secret audit log');
+  }
+
+  /**
+   * Load a project or fail with a 404
+   * @private
+   */
+  async _getProject(id) {
+    const project = await projectRepository.findById(id);
+    if (!project) {
+      throw ErrorFactory.notFound('Project', id);
+    }
+    return project;
+  }
+}
+
+module.exports = SecretController;
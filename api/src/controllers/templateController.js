@@ -0,0 +1,20 @@
+const BaseController = require("../utils/baseController");
+const { getTemplateService } = require("../services/templateService");
+
+class TemplateController extends BaseController {
+  constructor() {
+    super('TemplateController');
+    this.templateService = getTemplateService();
+  }
+
+  /**
+   * List the app templates projects can be deployed from
+   */
+  async getTemplates(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      return await this.templateService.listTemplates();
+    }, 'Templates');
+  }
+}
+
+module.exports = TemplateController;
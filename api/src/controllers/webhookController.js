@@ -0,0 +1,110 @@
+const ResponseHelper = require("../utils/responseHelper");
+const BaseController = require("../utils/baseController");
+const WebhookService = require("../services/webhookService");
+const projectRepository = require("../repositories/projectRepository");
+const webhookDeliveryRepository = require("../repositories/webhookDeliveryRepository");
+
+class WebhookController extends BaseController {
+  constructor() {
+    super('WebhookController');
+    this.webhookService = new WebhookService();
+  }
+
+  /**
+   * Receive a push webhook from GitHub, Gitea or GitLab
+   */
+  async receivePush(req, res) {
+    return this.handleRequest(req, res, async (req, res) => {
+      const results = await this.webhookService.handleDelivery({
+        headers: req.headers,
+        rawBody: req.rawBody,
+        payload: req.body
+      });
+
+      const triggered = results.filter(result => result.status === 'deploying').length;
+      const message = triggered > 0
+        ? `Deployment triggered for ${triggered} project(s)`
+        : 'Webhook received, no deployment triggered';
+
+      return ResponseHelper.accepted(res, results, message);
+    }, 'Failed to process webhook');
+  }
+
+  /**
+   * Get webhook configuration of a project
+   */
+  async getWebhook(req, res) {
+    return this.handleSingleResource(req, res, async (req, res) => {
+      const project = await projectRepository.findById(req.params.id);
+      if (!project) return null;
+
+      return this._formatWebhook(req, project);
+    }, 'Project');
+  }
+
+  /**
+   * Enable the webhook of a project with a freshly generated secret
+   * The secret is only returned by this call.
+   */
+  async regenerateSecret(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      const rotated = await this.webhookService.rotateSecret(req.params.id);
+      if (!rotated) return null;
+
+      const { project, secret } = rotated;
+
+      this.logger.info(`Webhook secret generated for project: ${project.name}`, {
+        userId: req.user?.id
+      });
+
+      return { ...this._formatWebhook(req, project), secret };
+    }, 'Project', 'Webhook secret generated successfully');
+  }
+
+  /**
+   * Disable the webhook of a project
+   */
+  async disableWebhook(req, res) {
+    return this.handleUpdate(req, res, async (req, res) => {
+      const project = await projectRepository.disableWebhook(req.params.id);
+      if (!project) return null;
+
+      return this._formatWebhook(req, project);
+    }, 'Project', 'Webhook disabled successfully');
+  }
+
+  /**
+   * Get the delivery log of a project webhook
+   */
+  async getDeliveries(req, res) {
+    return this.handlePaginatedList(req, res, async (req, res) => {
+      const { page, limit } = this.extractPaginationParams(req);
+      const result = await webhookDeliveryRepository.findByProject(req.params.id, page, limit);
+
+      return {
+        data: result.deliveries,
+        pagination: result.pagination
+      };
+    }, 'Webhook deliveries');
+  }
+
+  /**
+   * Build the public webhook description of a project
+   * @private
+   */
+  _formatWebhook(req, project) {
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+
+    return {
+      projectId: project._id,
+      enabled: Boolean(project.webhook?.enabled),
+      url: `${protocol}://${req.get('host')}/api/projects/webhook`,
+      contentType: 'application/json',
+      events: ['push'],
+      branch: project.branch,
+      lastDeliveryAt: project.webhook?.lastDeliveryAt || null
+    };
+  }
+}
+
+module.exports = WebhookController;
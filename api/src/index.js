@@ -6,6 +6,9 @@ const morgan = require('morgan');
 const { createServer } = require('http');
 const { Server: SocketIOServer } = require('socket.io');
 
+// Registers the query timing plugin before the routes compile any model
+require('./services/databasePerformanceService');
+
 // Import routes
 const healthRoutes = require('./routes/health');
 const apiRoutes = require('./routes/api');
@@ -13,9 +16,13 @@ const projectRoutes = require('./routes/projects');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const dockerRoutes = require('./routes/docker');
+const databaseRoutes = require('./routes/database');
+const backupRoutes = require('./routes/backups');
+const notificationRoutes = require('./routes/notifications');
+const metricsRoutes = require('./routes/metrics');
 const { connectDatabase } = require('./config/database');
 const { connectRedis } = require('./config/redis');
-const { logger, requestLogger, performanceLogger } = require('./config/logger');
+const { logger, requestLogger, onRequestFinished, performanceLogger } = require('./config/logger');
 const { errorHandler } = require('./middleware/errorHandler');
 const { rateLimiter } = require('./middleware/rateLimiter');
 const requestIdMiddleware = require('./middleware/requestId');
@@ -23,6 +30,12 @@ const { setupSocketIO } = require('./config/socketio');
 const config = require('./config/environment');
 const MonitoringService = require('./services/monitoringService');
 const StatusSyncService = require('./services/statusSyncService');
+const { getBuildQueueService } = require('./services/buildQueueService');
+const { ProjectService } = require('./services/projectService');
+const { getPlatformBackupService } = require('./services/platformBackupService');
+const { getProjectHealthService } = require('./services/projectHealthService');
+const { getMetricsService } = require('./services/metricsService');
+const { getMetricsHistoryService } = require('./services/metricsHistoryService');
 
 const app = express();
 const server = createServer(app);
@@ -73,8 +86,18 @@ app.use(requestIdMiddleware);
 // Enhanced request logging middleware
 app.use(requestLogger);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Request counts and latencies for the Prometheus metrics
+if (config.enableMetrics) {
+  onRequestFinished((req, res, duration) => getMetricsService().observeRequest(req, res, duration));
+}
+
+// Body parsing middleware (raw body is kept for webhook signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
@@ -88,6 +111,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/docker', dockerRoutes);
+app.use('/api/database', databaseRoutes);
+app.use('/api/backups', backupRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/metrics', metricsRoutes);
 app.use('/api', apiRoutes);
 
 // WebSocket setup
@@ -141,6 +168,15 @@ const gracefulShutdown = (signal) => {
       statusSyncService.stop();
       logger.info('Status sync service stopped');
     }
+
+    // Stop scheduled backups
+    getPlatformBackupService().stop();
+
+    // Stop project health checks
+    getProjectHealthService().stop();
+
+    // Stop recording the metrics history
+    getMetricsHistoryService().stop();
     
     // Close database connections if they exist
     try {
@@ -218,10 +254,23 @@ async function startServer() {
     // Connect to databases
     await connectDatabase();
     await connectRedis();
+
+    // Queue the build jobs that were cut off by the last shutdown again
+    const projectService = new ProjectService();
+    await getBuildQueueService().recoverInterruptedJobs((job) => projectService.resumeBuild(job));
+
+    // Schedule backup policies
+    await getPlatformBackupService().start();
     
     // Initialize status sync service
     statusSyncService = new StatusSyncService();
     statusSyncService.start();
+
+    // Probe the health checks of running projects
+    getProjectHealthService().start();
+
+    // Record the metrics history for the charts
+    getMetricsHistoryService().start();
     
     server.listen(PORT, () => {
       timer.end();
@@ -76,6 +76,32 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * Socket.IO middleware reading the token from the handshake auth
+   * Sockets without a token connect anonymously and only receive general
+   * events; sockets with an invalid token are refused.
+   */
+  static authenticateSocket(socket, next) {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      socket.user = null;
+      return next();
+    }
+
+    try {
+      socket.user = jwt.verify(token, config.jwtSecret);
+      socket.userId = socket.user.id;
+      next();
+    } catch (error) {
+      securityLogger.warn('Socket connection with invalid token refused', {
+        socketId: socket.id,
+        error: error.message
+      });
+      next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+    }
+  }
+
   static requireRole(role) {
     return (req, res, next) => {
       if (!req.user) {
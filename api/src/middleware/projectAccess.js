@@ -0,0 +1,44 @@
+const ResponseHelper = require('../utils/responseHelper');
+const { getProjectAccessService } = require('../services/projectAccessService');
+
+/**
+ * Project access middleware - Checks the user's role in a project
+ */
+class ProjectAccessMiddleware {
+  /**
+   * Require at least a role in the project of the :id route parameter
+   * Loads the project into req.project and the user's role into
+   * req.projectRole. Admins have every role.
+   * @param {string} role - viewer, maintainer or owner
+   * @returns {Function} Middleware function
+   */
+  static requireProjectRole(role = 'viewer') {
+    return async (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Access denied. No user authenticated.'
+        });
+      }
+
+      try {
+        const projectAccess = getProjectAccessService();
+        const project = await projectAccess.authorize(req.params.id, req.user, role);
+
+        req.project = project;
+        req.projectRole = projectAccess.getRole(project, req.user);
+        next();
+      } catch (error) {
+        if (error.name === 'NotFoundError') {
+          return ResponseHelper.notFound(res, 'Project');
+        }
+        if (error.name === 'PermissionError') {
+          return ResponseHelper.forbidden(res, `Access denied. Required project role: ${role}`);
+        }
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = ProjectAccessMiddleware;
@@ -64,8 +64,30 @@ const apiRateLimiter = rateLimit({
   }
 });
 
+// Git push webhooks, which need no token
+const webhookRateLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // Limit each IP to 30 deliveries per minute
+  message: {
+    success: false,
+    error: 'Webhook rate limit exceeded, please try again later.',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Webhook rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      error: 'Webhook rate limit exceeded, please try again later.',
+      retryAfter: '1 minute'
+    });
+  }
+});
+
 module.exports = {
   rateLimiter,
   strictRateLimiter,
-  apiRateLimiter
+  apiRateLimiter,
+  webhookRateLimiter
 };
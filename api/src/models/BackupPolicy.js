@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const backupPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50,
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Policy names can only contain lowercase letters, numbers and hyphens']
+  },
+  // Cron expression (minute hour day-of-month month day-of-week), server time
+  schedule: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  components: {
+    mongodb: {
+      type: Boolean,
+      default: true
+    },
+    redis: {
+      type: Boolean,
+      default: true
+    },
+    volumes: {
+      type: Boolean,
+      default: true
+    },
+    projects: {
+      type: Boolean,
+      default: true
+    }
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['local', 's3', 'sftp'],
+      required: true
+    },
+    // Local directory or remote SFTP directory
+    path: {
+      type: String,
+      default: null
+    },
+    endpoint: {
+      type: String,
+      default: null
+    },
+    region: {
+      type: String,
+      default: null
+    },
+    bucket: {
+      type: String,
+      default: null
+    },
+    prefix: {
+      type: String,
+      default: ''
+    },
+    forcePathStyle: {
+      type: Boolean,
+      default: true
+    },
+    accessKeyId: {
+      type: String,
+      default: null
+    },
+    // Encrypted with the secrets master key, never returned by the API
+    secretAccessKey: {
+      type: String,
+      default: null
+    },
+    host: {
+      type: String,
+      default: null
+    },
+    port: {
+      type: Number,
+      default: 22
+    },
+    username: {
+      type: String,
+      default: null
+    },
+    identityFile: {
+      type: String,
+      default: null
+    }
+  },
+  retention: {
+    // Newest successful backups to keep
+    keepLast: {
+      type: Number,
+      min: 1,
+      default: 7
+    },
+    // Delete successful backups older than this (the newest is always kept)
+    maxAgeDays: {
+      type: Number,
+      min: 1,
+      default: null
+    }
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      if (ret.target) {
+        ret.target.hasSecretAccessKey = Boolean(ret.target.secretAccessKey);
+        delete ret.target.secretAccessKey;
+      }
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('BackupPolicy', backupPolicySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const buildLogLineSchema = new mongoose.Schema({
+  stream: {
+    type: String,
+    enum: ['stdout', 'stderr', 'system'],
+    default: 'stdout'
+  },
+  text: {
+    type: String,
+    maxlength: 4000
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const buildLogSchema = new mongoose.Schema({
+  deployment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    required: true,
+    unique: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Only the most recent lines are kept, see BuildLogService
+  lines: {
+    type: [buildLogLineSchema],
+    default: []
+  },
+  lineCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+buildLogSchema.index({ project: 1 });
+
+module.exports = mongoose.model('BuildLog', buildLogSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const deploymentSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['deploy', 'restart', 'redeploy', 'webhook', 'rollback', 'health'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  branch: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  commit: {
+    hash: {
+      type: String,
+      trim: true,
+      maxlength: 64,
+      default: null
+    },
+    message: {
+      type: String,
+      maxlength: 500,
+      default: null
+    },
+    author: {
+      type: String,
+      maxlength: 100,
+      default: null
+    },
+    date: {
+      type: Date,
+      default: null
+    }
+  },
+  imageTag: {
+    type: String,
+    trim: true,
+    maxlength: 128,
+    default: null
+  },
+  // How the image is built, so a rollback runs the image the same way
+  buildpack: {
+    type: {
+      type: String,
+      enum: ['dockerfile', 'node', 'node-static', 'python', 'go', 'static', 'compose', 'image', null],
+      default: null
+    },
+    dockerfile: {
+      type: String,
+      default: null
+    },
+    containerPort: {
+      type: Number,
+      min: 1,
+      max: 65535,
+      default: null
+    },
+    generated: {
+      type: Boolean,
+      default: false
+    }
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'succeeded', 'failed', 'cancelled'],
+    default: 'in_progress'
+  },
+  // Deployment this one rolled back to
+  rollbackOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    default: null
+  },
+  error: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  duration: {
+    type: Number,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+deploymentSchema.index({ project: 1, startedAt: -1 });
+deploymentSchema.index({ project: 1, status: 1 });
+
+module.exports = mongoose.model('Deployment', deploymentSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Resolutions metric samples are kept at, finest first
+ * Every resolution lives in its own time-series collection, so MongoDB
+ * expires each one after its own retention.
+ */
+const METRIC_RESOLUTIONS = {
+  '10s': { interval: 10, retention: 60 * 60, granularity: 'seconds' },
+  '1m': { interval: 60, retention: 60 * 60 * 24, granularity: 'minutes' },
+  '15m': { interval: 15 * 60, retention: 60 * 60 * 24 * 30, granularity: 'hours' }
+};
+
+const fields = {
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Series the sample belongs to: the host, or one project's container
+  meta: {
+    source: {
+      type: String,
+      enum: ['host', 'project'],
+      required: true
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null
+    }
+  },
+  // CPU usage in percent (100 per core for containers)
+  cpu: { type: Number, default: null },
+  // Memory used in bytes
+  memory: { type: Number, default: null },
+  memoryPercent: { type: Number, default: null },
+  // Host only: root filesystem usage in percent and 1 minute load average
+  diskPercent: { type: Number, default: null },
+  load: { type: Number, default: null },
+  // Network throughput in bytes per second
+  networkRx: { type: Number, default: null },
+  networkTx: { type: Number, default: null }
+};
+
+const MetricSample = Object.fromEntries(
+  Object.entries(METRIC_RESOLUTIONS).map(([resolution, { retention, granularity }]) => {
+    const schema = new mongoose.Schema(fields, {
+      timeseries: {
+        timeField: 'timestamp',
+        metaField: 'meta',
+        granularity
+      },
+      expireAfterSeconds: retention,
+      versionKey: false
+    });
+
+    return [resolution, mongoose.model(`MetricSample${resolution}`, schema, `metricsamples_${resolution}`)];
+  })
+);
+
+module.exports = {
+  METRIC_RESOLUTIONS,
+  MetricSample
+};
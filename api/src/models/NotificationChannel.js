@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENT_NAMES } = require('../utils/notificationEvents');
+
+const notificationChannelSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  type: {
+    type: String,
+    enum: ['email', 'webhook', 'slack', 'discord', 'ntfy'],
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Events delivered to this channel
+  events: {
+    type: [String],
+    enum: NOTIFICATION_EVENT_NAMES,
+    default: []
+  },
+  // Only deliver project events of these projects (empty for all projects)
+  projects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }],
+  destination: {
+    // Email recipient
+    to: {
+      type: String,
+      default: null
+    },
+    // Webhook, Slack or Discord URL
+    url: {
+      type: String,
+      default: null
+    },
+    // Encrypted with the secrets master key, never returned by the API
+    secret: {
+      type: String,
+      default: null
+    },
+    // ntfy server and topic
+    server: {
+      type: String,
+      default: null
+    },
+    topic: {
+      type: String,
+      default: null
+    },
+    // Encrypted with the secrets master key, never returned by the API
+    token: {
+      type: String,
+      default: null
+    }
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['sent', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      if (ret.destination) {
+        ret.destination.hasSecret = Boolean(ret.destination.secret);
+        ret.destination.hasToken = Boolean(ret.destination.token);
+        delete ret.destination.secret;
+        delete ret.destination.token;
+      }
+      return ret;
+    }
+  }
+});
+
+notificationChannelSchema.index({ user: 1, name: 1 }, { unique: true });
+notificationChannelSchema.index({ enabled: 1, events: 1 });
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
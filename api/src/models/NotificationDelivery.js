@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const notificationDeliverySchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationChannel',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channelType: {
+    type: String,
+    enum: ['email', 'webhook', 'slack', 'discord', 'ntfy'],
+    required: true
+  },
+  // Notification event, or "test" for test notifications
+  event: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    required: true
+  },
+  title: {
+    type: String,
+    maxlength: 255,
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  duration: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30 // Keep deliveries for 30 days
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+notificationDeliverySchema.index({ channel: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
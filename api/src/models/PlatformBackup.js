@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const artifactSchema = new mongoose.Schema({
+  component: {
+    type: String,
+    enum: ['mongodb', 'redis', 'volume', 'projects'],
+    required: true
+  },
+  // Volume name for volume archives
+  source: {
+    type: String,
+    default: null
+  },
+  // Key of the file on the target
+  key: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  sha256: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const platformBackupSchema = new mongoose.Schema({
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BackupPolicy',
+    required: true
+  },
+  policyName: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  targetType: {
+    type: String,
+    enum: ['local', 's3', 'sftp'],
+    required: true
+  },
+  // Key prefix of the backup's files: <policy name>/<start time>
+  prefix: {
+    type: String,
+    default: null
+  },
+  // Where the backup is stored, e.g. s3://bucket/prefix/nightly/2024-01-15T02-00-00-000Z
+  location: {
+    type: String,
+    default: null
+  },
+  artifacts: [artifactSchema],
+  size: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  verified: {
+    type: Boolean,
+    default: null
+  },
+  duration: {
+    type: Number,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+platformBackupSchema.index({ policy: 1, startedAt: -1 });
+platformBackupSchema.index({ status: 1 });
+
+module.exports = mongoose.model('PlatformBackup', platformBackupSchema);
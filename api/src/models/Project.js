@@ -7,7 +7,12 @@ const projectSchema = new mongoose.Schema({
     trim: true,
     minlength: 1,
     maxlength: 50,
-    match: [/^[a-zA-Z0-9-_]+$/, 'Project name can only contain letters, numbers, hyphens, and underscores']
+    match: [/^[a-zA-Z0-9-_]+$/, 'Project name can only contain letters, numbers, hyphens, and underscores'],
+    // <project>-addons is the Compose project of a project's add-ons
+    validate: {
+      validator: (name) => !/-addons$/i.test(name),
+      message: 'Project name cannot end in -addons, which names the add-ons of a project'
+    }
   },
   domain: {
     type: String,
@@ -16,12 +21,41 @@ const projectSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^[a-zA-Z0-9.-]+(\.[a-zA-Z]{2,})?(:[0-9]{1,5})?$/, 'Please enter a valid domain']
   },
+  // Not set for projects running a prebuilt image
   repository: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.image;
+    },
+    trim: true,
+    // http(s), git and ssh URLs, or the scp-like SSH form git@host:org/repo.git
+    match: [/^((https?|git|ssh):\/\/[^\s]+|[a-zA-Z0-9._-]+@[a-zA-Z0-9][a-zA-Z0-9.-]*:[^\s]+)$/, 'Please enter a valid Git repository URL']
+  },
+  // Prebuilt image the project runs instead of building a repository (set by templates)
+  image: {
+    type: String,
     trim: true,
-    match: [/^https?:\/\/[^\s]+\.git$/, 'Please enter a valid Git repository URL']
+    maxlength: 255,
+    default: null
   },
+  // Template the project was deployed from
+  template: {
+    type: String,
+    default: null
+  },
+  // Named volumes the app of an image keeps its data in, mounted at their path
+  volumes: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      match: /^[a-z0-9][a-z0-9_-]*$/
+    },
+    path: {
+      type: String,
+      required: true
+    }
+  }],
   branch: {
     type: String,
     default: 'main',
@@ -44,6 +78,48 @@ const projectSchema = new mongoose.Schema({
     min: 1,
     max: 65535
   },
+  // Port the app listens on inside its container (detected when not set)
+  containerPort: {
+    type: Number,
+    min: 1,
+    max: 65535,
+    default: null
+  },
+  // Where in the repository the app is built, for repositories with several apps
+  build: {
+    // Build context directory, relative to the repository root (the root when not set)
+    context: {
+      type: String,
+      trim: true,
+      maxlength: 255,
+      default: null
+    },
+    // Dockerfile relative to the build context (detected when not set)
+    dockerfile: {
+      type: String,
+      trim: true,
+      maxlength: 255,
+      default: null
+    },
+    // Compose file of the repository, relative to its root, and the service of it to deploy
+    composeFile: {
+      type: String,
+      trim: true,
+      maxlength: 255,
+      default: null
+    },
+    composeService: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    // Deploy every service of the compose file, publishing composeService
+    stack: {
+      type: Boolean,
+      default: false
+    }
+  },
   autoPort: {
     type: Boolean,
     default: false
@@ -59,6 +135,36 @@ const projectSchema = new mongoose.Schema({
     of: String,
     default: {}
   },
+  // Container resource limits (null leaves the resource unlimited)
+  resources: {
+    // CPU quota in cores
+    cpus: {
+      type: Number,
+      min: 0.01,
+      max: 64,
+      default: null
+    },
+    // Relative CPU weight when the Pi is busy (Docker default 1024)
+    cpuShares: {
+      type: Number,
+      min: 2,
+      max: 262144,
+      default: null
+    },
+    // Memory limit in megabytes
+    memory: {
+      type: Number,
+      min: 6,
+      max: 1048576,
+      default: null
+    },
+    pidsLimit: {
+      type: Number,
+      min: 10,
+      max: 4194304,
+      default: null
+    }
+  },
   status: {
     type: String,
     enum: ['running', 'stopped', 'deploying', 'error', 'building'],
@@ -76,11 +182,67 @@ const projectSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Image tag (commit SHA) the containers currently run
+  imageTag: {
+    type: String,
+    default: null
+  },
+  // How the image is built, detected from the repository on each build (image for prebuilt images)
+  buildpack: {
+    type: {
+      type: String,
+      enum: ['dockerfile', 'node', 'node-static', 'python', 'go', 'static', 'compose', 'image', null],
+      default: null
+    },
+    dockerfile: {
+      type: String,
+      default: null
+    },
+    containerPort: {
+      type: Number,
+      min: 1,
+      max: 65535,
+      default: null
+    },
+    generated: {
+      type: Boolean,
+      default: false
+    }
+  },
+  currentDeployment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    default: null
+  },
+  // The creator owns the project
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Other users with access to the project (see PROJECT_ROLES)
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['maintainer', 'viewer'],
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -112,6 +274,118 @@ const projectSchema = new mongoose.Schema({
   lastHealthCheck: {
     type: Date,
     default: null
+  },
+  // HTTP health check, probed by the project health service
+  healthCheck: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    path: {
+      type: String,
+      default: '/'
+    },
+    // Seconds between probes
+    interval: {
+      type: Number,
+      min: 5,
+      max: 3600,
+      default: 30
+    },
+    // Seconds a probe may take
+    timeout: {
+      type: Number,
+      min: 1,
+      max: 60,
+      default: 5
+    },
+    // Consecutive failed probes before the project counts as unhealthy
+    failureThreshold: {
+      type: Number,
+      min: 1,
+      max: 20,
+      default: 3
+    },
+    autoRestart: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Outcome of the latest probes
+  healthState: {
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lastStatusCode: {
+      type: Number,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    // Automatic restarts since the project was last healthy
+    restartAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastRestartAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Credentials for private repositories, encrypted with SECRETS_MASTER_KEY
+  gitAuth: {
+    type: {
+      type: String,
+      enum: ['deployKey', 'token', null],
+      default: null
+    },
+    // OpenSSH public key the user adds to the repository as a deploy key
+    publicKey: {
+      type: String,
+      default: null
+    },
+    fingerprint: {
+      type: String,
+      default: null
+    },
+    privateKey: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Username sent with the HTTPS access token
+    username: {
+      type: String,
+      default: null
+    },
+    token: {
+      type: String,
+      default: null,
+      select: false
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Push-to-deploy webhook configuration
+  webhook: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -120,6 +394,14 @@ const projectSchema = new mongoose.Schema({
       ret.id = ret._id;
       delete ret._id;
       delete ret.__v;
+      if (ret.webhook) {
+        delete ret.webhook.secret;
+      }
+      if (ret.gitAuth) {
+        delete ret.gitAuth.privateKey;
+        delete ret.gitAuth.token;
+      }
+      ret.updateStrategy = doc.updateStrategy;
       return ret;
     }
   }
@@ -130,14 +412,37 @@ projectSchema.virtual('effectivePort').get(function() {
   return this.assignedPort || this.port;
 });
 
+// How restarts and redeploys replace a project's containers: blue-green,
+// next to the running ones, or in place with a short downtime. A second copy
+// of a stack, or a second container of a project with volumes, would start
+// on fresh volumes.
+projectSchema.statics.getUpdateStrategy = function(project) {
+  return project.build?.stack || project.volumes?.length > 0 ? 'in-place' : 'blue-green';
+};
+
+projectSchema.virtual('updateStrategy').get(function() {
+  return this.constructor.getUpdateStrategy(this);
+});
+
+// Names are unique regardless of case: the Compose project, containers and
+// volumes of a project are named after its lowercased name
+projectSchema.statics.nameCollation = { locale: 'en', strength: 2 };
+
 // Indexes for better performance
-projectSchema.index({ name: 1 });
+projectSchema.index({ name: 1 }, {
+  unique: true,
+  collation: projectSchema.statics.nameCollation,
+  name: 'name_case_insensitive'
+});
 projectSchema.index({ domain: 1 });
 projectSchema.index({ status: 1 });
 projectSchema.index({ createdBy: 1 });
+projectSchema.index({ 'members.user': 1 });
 projectSchema.index({ createdAt: -1 });
 projectSchema.index({ port: 1 });
 projectSchema.index({ assignedPort: 1 });
+projectSchema.index({ 'webhook.enabled': 1 });
+projectSchema.index({ 'healthCheck.enabled': 1 });
 
 // Update updatedAt field
 projectSchema.pre('save', function(next) {
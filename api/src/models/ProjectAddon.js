@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Managed services a project can have, at most one of each
+const ADDON_TYPES = ['postgres', 'mysql', 'redis', 'mongodb'];
+
+const projectAddonSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ADDON_TYPES,
+    required: true
+  },
+  // Variable the connection URL is passed to the project in
+  envVar: {
+    type: String,
+    required: true,
+    maxlength: 100,
+    match: [/^[A-Za-z_][A-Za-z0-9_]*$/, 'Variable names can only contain letters, numbers and underscores']
+  },
+  // Null for services without users or databases (Redis)
+  username: {
+    type: String,
+    default: null
+  },
+  database: {
+    type: String,
+    default: null
+  },
+  // Encrypted with the secrets master key, never returned by the API
+  password: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.password;
+      return ret;
+    }
+  }
+});
+
+projectAddonSchema.index({ project: 1, type: 1 }, { unique: true });
+
+const ProjectAddon = mongoose.model('ProjectAddon', projectAddonSchema);
+
+module.exports = {
+  ProjectAddon,
+  ADDON_TYPES
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const archiveSchema = new mongoose.Schema({
+  // Compose volume the archive was taken from
+  volume: {
+    type: String,
+    required: true
+  },
+  // File name inside the backup directory
+  file: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  sha256: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const projectBackupSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  projectName: {
+    type: String,
+    required: true
+  },
+  // Directory of the backup's archives: <project name>/<name>
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  archives: [archiveSchema],
+  size: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  restoredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+projectBackupSchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProjectBackup', projectBackupSchema);
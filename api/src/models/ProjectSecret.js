@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const projectSecretSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+    match: [/^[A-Za-z_][A-Za-z0-9_]*$/, 'Secret names can only contain letters, numbers and underscores']
+  },
+  // Encrypted with the secrets master key, never returned by the API
+  value: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.value;
+      return ret;
+    }
+  }
+});
+
+projectSecretSchema.index({ project: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProjectSecret', projectSecretSchema);
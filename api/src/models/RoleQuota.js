@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Roles quotas apply to; admins are never limited
+const QUOTA_ROLES = ['user', 'moderator'];
+
+// Limits of a quota, null means unlimited
+const quotaLimits = {
+  maxProjects: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Sum of the memory limits of the user's projects in megabytes
+  maxMemory: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Sum of the CPU limits of the user's projects in cores
+  maxCpus: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  maxConcurrentBuilds: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Disk used by the checkouts of the user's projects in megabytes
+  maxDisk: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+};
+
+const roleQuotaSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: QUOTA_ROLES
+  },
+  ...quotaLimits,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const RoleQuota = mongoose.model('RoleQuota', roleQuotaSchema);
+
+module.exports = {
+  RoleQuota,
+  QUOTA_ROLES,
+  QUOTA_LIMITS: Object.keys(quotaLimits),
+  quotaLimits
+};
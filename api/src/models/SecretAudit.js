@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const secretAuditSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+secretAuditSchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecretAudit', secretAuditSchema);
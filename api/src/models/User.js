@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { quotaLimits } = require('./RoleQuota');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -69,6 +70,8 @@ const userSchema = new mongoose.Schema({
       default: true
     }
   },
+  // Quota of this user; null limits fall back to the quota of the user's roles
+  quota: quotaLimits,
   settings: {
     emailNotifications: {
       type: Boolean,
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['github', 'gitea', 'gitlab', 'unknown'],
+    default: 'unknown'
+  },
+  event: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  deliveryId: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  ref: {
+    type: String,
+    trim: true,
+    maxlength: 255,
+    default: null
+  },
+  commit: {
+    type: String,
+    trim: true,
+    maxlength: 64,
+    default: null
+  },
+  pusher: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['rejected', 'ignored', 'deploying', 'deployed', 'failed'],
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  duration: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30 // Keep deliveries for 30 days
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+webhookDeliverySchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
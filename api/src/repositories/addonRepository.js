@@ -0,0 +1,84 @@
+const { ProjectAddon } = require('../models/ProjectAddon');
+const { logger } = require('../config/logger');
+
+class AddonRepository {
+  /**
+   * Record a new add-on of a project
+   */
+  async create(addonData) {
+    try {
+      const addon = new ProjectAddon(addonData);
+      await addon.save();
+      return addon;
+    } catch (error) {
+      logger.error('Error creating project add-on:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the add-ons of a project, sorted by type
+   * Encrypted passwords are only loaded when asked for.
+   */
+  async findByProject(projectId, { includeCredentials = false } = {}) {
+    try {
+      const query = ProjectAddon.find({ project: projectId }).sort({ type: 1 });
+      return await (includeCredentials ? query.select('+password') : query);
+    } catch (error) {
+      logger.error('Error finding project add-ons:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the add-ons of a project
+   */
+  async countByProject(projectId) {
+    try {
+      return await ProjectAddon.countDocuments({ project: projectId });
+    } catch (error) {
+      logger.error('Error counting project add-ons:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an add-on of a project by type
+   */
+  async findByType(projectId, type) {
+    try {
+      return await ProjectAddon.findOne({ project: projectId, type });
+    } catch (error) {
+      logger.error('Error finding project add-on:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an add-on of a project
+   */
+  async deleteByType(projectId, type) {
+    try {
+      const result = await ProjectAddon.deleteOne({ project: projectId, type });
+      return result.deletedCount > 0;
+    } catch (error) {
+      logger.error('Error deleting project add-on:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all add-ons of a project
+   */
+  async deleteByProject(projectId) {
+    try {
+      const result = await ProjectAddon.deleteMany({ project: projectId });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting project add-ons:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AddonRepository();
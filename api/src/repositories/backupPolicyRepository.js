@@ -0,0 +1,116 @@
+const BackupPolicy = require('../models/BackupPolicy');
+const { logger } = require('../config/logger');
+
+class BackupPolicyRepository {
+  /**
+   * Create a backup policy
+   */
+  async create(policyData) {
+    try {
+      const policy = new BackupPolicy(policyData);
+      await policy.save();
+      return policy;
+    } catch (error) {
+      logger.error('Error creating backup policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a backup policy by ID
+   */
+  async findById(id) {
+    try {
+      return await BackupPolicy.findById(id);
+    } catch (error) {
+      logger.error('Error finding backup policy by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all backup policies, sorted by name
+   */
+  async findAll() {
+    try {
+      return await BackupPolicy.find().sort({ name: 1 });
+    } catch (error) {
+      logger.error('Error finding backup policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the policies that run on their schedule
+   */
+  async findEnabled() {
+    try {
+      return await BackupPolicy.find({ enabled: true });
+    } catch (error) {
+      logger.error('Error finding enabled backup policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a policy name is free
+   */
+  async isNameAvailable(name, excludeId = null) {
+    try {
+      const query = { name };
+      if (excludeId) {
+        query._id = { $ne: excludeId };
+      }
+      return !(await BackupPolicy.exists(query));
+    } catch (error) {
+      logger.error('Error checking backup policy name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a backup policy
+   */
+  async update(id, updateData) {
+    try {
+      return await BackupPolicy.findByIdAndUpdate(
+        id,
+        { $set: updateData },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      logger.error('Error updating backup policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of the latest run of a policy
+   */
+  async recordRun(id, status) {
+    try {
+      return await BackupPolicy.findByIdAndUpdate(
+        id,
+        { $set: { lastRunAt: new Date(), lastStatus: status } },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error recording backup policy run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a backup policy
+   */
+  async delete(id) {
+    try {
+      return await BackupPolicy.findByIdAndDelete(id);
+    } catch (error) {
+      logger.error('Error deleting backup policy:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BackupPolicyRepository();
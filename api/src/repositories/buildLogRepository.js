@@ -0,0 +1,51 @@
+const BuildLog = require('../models/BuildLog');
+const { logger } = require('../config/logger');
+
+class BuildLogRepository {
+  /**
+   * Append lines to the build log of a deployment, keeping the newest maxLines
+   */
+  async appendLines(deploymentId, projectId, lines, maxLines) {
+    try {
+      return await BuildLog.findOneAndUpdate(
+        { deployment: deploymentId },
+        {
+          $setOnInsert: { project: projectId },
+          $push: { lines: { $each: lines, $slice: -maxLines } },
+          $inc: { lineCount: lines.length }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      logger.error('Error appending build log lines:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the build log of a deployment
+   */
+  async findByDeployment(deploymentId) {
+    try {
+      return await BuildLog.findOne({ deployment: deploymentId });
+    } catch (error) {
+      logger.error('Error finding build log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all build logs of a project
+   */
+  async deleteByProject(projectId) {
+    try {
+      const result = await BuildLog.deleteMany({ project: projectId });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting build logs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BuildLogRepository();
@@ -0,0 +1,94 @@
+const Deployment = require('../models/Deployment');
+const { logger } = require('../config/logger');
+
+class DeploymentRepository {
+  /**
+   * Record a new deployment
+   */
+  async create(deploymentData) {
+    try {
+      const deployment = new Deployment(deploymentData);
+      await deployment.save();
+      return deployment;
+    } catch (error) {
+      logger.error('Error creating deployment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find deployment by ID
+   */
+  async findById(id) {
+    try {
+      return await Deployment.findById(id).populate('triggeredBy', 'username email');
+    } catch (error) {
+      logger.error('Error finding deployment by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a deployment
+   */
+  async finish(id, status, updates = {}) {
+    try {
+      const deployment = await Deployment.findById(id);
+      if (!deployment) return null;
+
+      deployment.set({ ...updates, status, finishedAt: new Date() });
+      deployment.duration = deployment.finishedAt - deployment.startedAt;
+      await deployment.save();
+      return deployment;
+    } catch (error) {
+      logger.error('Error finishing deployment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get deployments for a project with pagination
+   */
+  async findByProject(projectId, page = 1, limit = 20) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { project: projectId };
+
+      const deployments = await Deployment.find(query)
+        .populate('triggeredBy', 'username email')
+        .skip(skip)
+        .limit(limit)
+        .sort({ startedAt: -1 });
+
+      const total = await Deployment.countDocuments(query);
+
+      return {
+        deployments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding deployments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all deployments of a project
+   */
+  async deleteByProject(projectId) {
+    try {
+      const result = await Deployment.deleteMany({ project: projectId });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting deployments:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DeploymentRepository();
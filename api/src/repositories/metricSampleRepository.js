@@ -0,0 +1,44 @@
+const { MetricSample } = require('../models/MetricSample');
+const { logger } = require('../config/logger');
+
+class MetricSampleRepository {
+  /**
+   * Store samples of one resolution
+   * @param {string} resolution - Resolution key, e.g. "10s"
+   * @param {Array} samples - Samples with timestamp, meta and values
+   */
+  async insertMany(resolution, samples) {
+    try {
+      if (samples.length === 0) return [];
+      return await MetricSample[resolution].insertMany(samples);
+    } catch (error) {
+      logger.error(`Error storing ${resolution} metric samples:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the samples of one series in a time range, oldest first
+   * @param {string} resolution - Resolution key, e.g. "10s"
+   * @param {Object} series - { source, project }
+   * @param {Date} from - Start of the range
+   * @param {Date} to - End of the range
+   */
+  async findRange(resolution, { source, project = null }, from, to) {
+    try {
+      return await MetricSample[resolution].find({
+        'meta.source': source,
+        'meta.project': project,
+        timestamp: { $gte: from, $lte: to }
+      })
+        .select('-_id -meta')
+        .sort({ timestamp: 1 })
+        .lean();
+    } catch (error) {
+      logger.error(`Error finding ${resolution} metric samples:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MetricSampleRepository();
@@ -145,7 +145,8 @@ class ModernProjectRepository extends BaseRepository {
         filter._id = { $ne: excludeId };
       }
       
-      return !(await this.exists(filter));
+      // Names are unique regardless of case (see Project)
+      return (await this.model.countDocuments(filter).collation(this.model.nameCollation)) === 0;
     }, 'Checking name availability');
   }
 
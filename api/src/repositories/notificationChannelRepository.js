@@ -0,0 +1,117 @@
+const NotificationChannel = require('../models/NotificationChannel');
+const { logger } = require('../config/logger');
+
+class NotificationChannelRepository {
+  /**
+   * Create a notification channel
+   */
+  async create(channelData) {
+    try {
+      const channel = new NotificationChannel(channelData);
+      await channel.save();
+      return channel;
+    } catch (error) {
+      logger.error('Error creating notification channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the channels of a user, sorted by name
+   */
+  async findByUser(userId) {
+    try {
+      return await NotificationChannel.find({ user: userId }).sort({ name: 1 });
+    } catch (error) {
+      logger.error('Error finding notification channels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a channel of a user by ID
+   */
+  async findByUserAndId(userId, id) {
+    try {
+      return await NotificationChannel.findOne({ _id: id, user: userId });
+    } catch (error) {
+      logger.error('Error finding notification channel by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the enabled channels subscribed to an event, with their owners
+   */
+  async findSubscribed(event) {
+    try {
+      return await NotificationChannel.find({ enabled: true, events: event })
+        .populate('user', 'username email roles isActive isDeleted preferences settings');
+    } catch (error) {
+      logger.error('Error finding subscribed notification channels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a channel name is free for a user
+   */
+  async isNameAvailable(userId, name, excludeId = null) {
+    try {
+      const query = { user: userId, name };
+      if (excludeId) {
+        query._id = { $ne: excludeId };
+      }
+      return !(await NotificationChannel.exists(query));
+    } catch (error) {
+      logger.error('Error checking notification channel name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a notification channel
+   */
+  async update(id, updateData) {
+    try {
+      return await NotificationChannel.findByIdAndUpdate(
+        id,
+        { $set: updateData },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      logger.error('Error updating notification channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of the latest delivery to a channel
+   */
+  async recordDelivery(id, status) {
+    try {
+      return await NotificationChannel.findByIdAndUpdate(
+        id,
+        { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: status } },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error recording notification delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a notification channel
+   */
+  async delete(id) {
+    try {
+      return await NotificationChannel.findByIdAndDelete(id);
+    } catch (error) {
+      logger.error('Error deleting notification channel:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationChannelRepository();
@@ -0,0 +1,74 @@
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { logger } = require('../config/logger');
+
+class NotificationDeliveryRepository {
+  /**
+   * Record a notification delivery
+   */
+  async create(deliveryData) {
+    try {
+      const delivery = new NotificationDelivery(deliveryData);
+      await delivery.save();
+      return delivery;
+    } catch (error) {
+      logger.error('Error creating notification delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the deliveries of a user with pagination, newest first
+   */
+  async findByUser(userId, page = 1, limit = 20, filters = {}) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { user: userId };
+
+      if (filters.channelId) {
+        query.channel = filters.channelId;
+      }
+      if (filters.event) {
+        query.event = filters.event;
+      }
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const deliveries = await NotificationDelivery.find(query)
+        .populate('channel', 'name type')
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 });
+
+      const total = await NotificationDelivery.countDocuments(query);
+
+      return {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding notification deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the deliveries of a channel
+   */
+  async deleteByChannel(channelId) {
+    try {
+      const result = await NotificationDelivery.deleteMany({ channel: channelId });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting notification deliveries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationDeliveryRepository();
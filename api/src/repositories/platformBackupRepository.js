@@ -0,0 +1,156 @@
+const PlatformBackup = require('../models/PlatformBackup');
+const { logger } = require('../config/logger');
+
+class PlatformBackupRepository {
+  /**
+   * Record a new backup run
+   */
+  async create(backupData) {
+    try {
+      const backup = new PlatformBackup(backupData);
+      await backup.save();
+      return backup;
+    } catch (error) {
+      logger.error('Error creating platform backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a backup by ID
+   */
+  async findById(id) {
+    try {
+      return await PlatformBackup.findById(id).populate('triggeredBy', 'username email');
+    } catch (error) {
+      logger.error('Error finding platform backup by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a backup run
+   */
+  async finish(id, status, updates = {}) {
+    try {
+      const backup = await PlatformBackup.findById(id);
+      if (!backup) return null;
+
+      backup.set({ ...updates, status, finishedAt: new Date() });
+      backup.duration = backup.finishedAt - backup.startedAt;
+      await backup.save();
+      return backup;
+    } catch (error) {
+      logger.error('Error finishing platform backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the result of a checksum verification
+   */
+  async setVerified(id, verified) {
+    try {
+      return await PlatformBackup.findByIdAndUpdate(
+        id,
+        { $set: { verified, verifiedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error recording platform backup verification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get backups with pagination, newest first
+   */
+  async findAll(page = 1, limit = 20, filters = {}) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = {};
+
+      if (filters.policyId) {
+        query.policy = filters.policyId;
+      }
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const backups = await PlatformBackup.find(query)
+        .populate('triggeredBy', 'username email')
+        .skip(skip)
+        .limit(limit)
+        .sort({ startedAt: -1 });
+
+      const total = await PlatformBackup.countDocuments(query);
+
+      return {
+        backups,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding platform backups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the successful backups of a policy, newest first
+   */
+  async findSucceededByPolicy(policyId) {
+    try {
+      return await PlatformBackup.find({ policy: policyId, status: 'succeeded' }).sort({ startedAt: -1 });
+    } catch (error) {
+      logger.error('Error finding successful platform backups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all backups of a policy
+   */
+  async findByPolicy(policyId) {
+    try {
+      return await PlatformBackup.find({ policy: policyId });
+    } catch (error) {
+      logger.error('Error finding platform backups of policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fail backups that were running when the API stopped
+   */
+  async failInterrupted() {
+    try {
+      const result = await PlatformBackup.updateMany(
+        { status: 'running' },
+        { $set: { status: 'failed', error: 'Interrupted by an API restart', finishedAt: new Date() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error failing interrupted platform backups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a backup record
+   */
+  async delete(id) {
+    try {
+      return await PlatformBackup.findByIdAndDelete(id);
+    } catch (error) {
+      logger.error('Error deleting platform backup:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PlatformBackupRepository();
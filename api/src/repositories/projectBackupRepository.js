@@ -0,0 +1,85 @@
+const ProjectBackup = require('../models/ProjectBackup');
+const { logger } = require('../config/logger');
+
+class ProjectBackupRepository {
+  /**
+   * Record a new project backup
+   */
+  async create(backupData) {
+    try {
+      const backup = new ProjectBackup(backupData);
+      await backup.save();
+      return backup;
+    } catch (error) {
+      logger.error('Error creating project backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a backup of a project by ID
+   */
+  async findByProjectAndId(projectId, id) {
+    try {
+      return await ProjectBackup.findOne({ _id: id, project: projectId })
+        .populate('createdBy', 'username email');
+    } catch (error) {
+      logger.error('Error finding project backup by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the backups of a project, newest first
+   */
+  async findByProject(projectId) {
+    try {
+      return await ProjectBackup.find({ project: projectId })
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      logger.error('Error finding project backups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a backup was restored
+   */
+  async markRestored(id) {
+    try {
+      return await ProjectBackup.findByIdAndUpdate(id, { restoredAt: new Date() }, { new: true });
+    } catch (error) {
+      logger.error('Error updating project backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a backup record
+   */
+  async delete(id) {
+    try {
+      const result = await ProjectBackup.findByIdAndDelete(id);
+      return !!result;
+    } catch (error) {
+      logger.error('Error deleting project backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all backup records of a project
+   */
+  async deleteByProject(projectId) {
+    try {
+      const result = await ProjectBackup.deleteMany({ project: projectId });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting project backups:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ProjectBackupRepository();
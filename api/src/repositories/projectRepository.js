@@ -71,6 +71,15 @@ class ProjectRepository {
           { domain: { $regex: filters.search, $options: 'i' } }
         ];
       }
+      // Only projects the user owns or is a member of
+      if (filters.accessibleBy) {
+        query.$and = [{
+          $or: [
+            { createdBy: filters.accessibleBy },
+            { 'members.user': filters.accessibleBy }
+          ]
+        }];
+      }
 
       const projects = await Project.find(query)
         .populate('createdBy', 'username email')
@@ -209,7 +218,7 @@ class ProjectRepository {
   }
 
   /**
-   * Check if project name is available
+   * Check if project name is available, regardless of case
    */
   async isNameAvailable(name, excludeId = null) {
     try {
@@ -218,7 +227,7 @@ class ProjectRepository {
         query._id = { $ne: excludeId };
       }
       
-      const count = await Project.countDocuments(query);
+      const count = await Project.countDocuments(query).collation(Project.nameCollation);
       return count === 0;
     } catch (error) {
       logger.error('Error checking name availability:', error);
@@ -271,6 +280,135 @@ class ProjectRepository {
     }
   }
 
+  /**
+   * Get projects with an enabled push webhook, including their secrets
+   */
+  async findWebhookEnabled() {
+    try {
+      return await Project.find({ 'webhook.enabled': true }).select('+webhook.secret');
+    } catch (error) {
+      logger.error('Error finding webhook-enabled projects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable the push webhook of a project with a new secret
+   */
+  async setWebhookSecret(id, secret) {
+    try {
+      const project = await Project.findByIdAndUpdate(
+        id,
+        { 'webhook.enabled': true, 'webhook.secret': secret, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      );
+
+      if (project) {
+        logger.info(`Webhook secret rotated for project: ${project.name}`);
+      }
+      return project;
+    } catch (error) {
+      logger.error('Error setting webhook secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable the push webhook of a project and drop its secret
+   */
+  async disableWebhook(id) {
+    try {
+      const project = await Project.findByIdAndUpdate(
+        id,
+        { 'webhook.enabled': false, 'webhook.secret': null, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      );
+
+      if (project) {
+        logger.info(`Webhook disabled for project: ${project.name}`);
+      }
+      return project;
+    } catch (error) {
+      logger.error('Error disabling webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the repository credentials of a project, including the encrypted secrets
+   */
+  async findGitAuth(id) {
+    try {
+      const project = await Project.findById(id).select('+gitAuth.privateKey +gitAuth.token');
+      return project ? project.gitAuth : null;
+    } catch (error) {
+      logger.error('Error finding repository credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the repository credentials of a project
+   */
+  async setGitAuth(id, gitAuth) {
+    try {
+      const project = await Project.findByIdAndUpdate(
+        id,
+        { gitAuth, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      );
+
+      if (project) {
+        logger.info(`Repository credentials changed for project: ${project.name}`);
+      }
+      return project;
+    } catch (error) {
+      logger.error('Error setting repository credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the time of the latest webhook delivery
+   */
+  async touchWebhookDelivery(id) {
+    try {
+      return await Project.findByIdAndUpdate(id, { 'webhook.lastDeliveryAt': new Date() });
+    } catch (error) {
+      logger.error('Error updating webhook delivery time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get projects with an enabled health check
+   */
+  async findHealthChecked() {
+    try {
+      return await Project.find({ 'healthCheck.enabled': true });
+    } catch (error) {
+      logger.error('Error finding health-checked projects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a health check
+   * Leaves updatedAt alone, which status sync reads as the deployment start.
+   */
+  async recordHealthCheck(id, healthStatus, healthState) {
+    try {
+      return await Project.findByIdAndUpdate(
+        id,
+        { $set: { healthStatus, healthState, lastHealthCheck: new Date() } },
+        { new: true, timestamps: false }
+      );
+    } catch (error) {
+      logger.error('Error recording health check:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all used ports
    */
@@ -283,6 +421,68 @@ class ProjectRepository {
       throw error;
     }
   }
+
+  /**
+   * Find the owner and members of a project with their usernames
+   */
+  async findMembers(id) {
+    try {
+      return await Project.findById(id, 'name createdBy members createdAt')
+        .populate('createdBy', 'username email')
+        .populate('members.user', 'username email');
+    } catch (error) {
+      logger.error('Error finding project members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a member to a project
+   */
+  async addMember(id, member) {
+    try {
+      return await Project.findByIdAndUpdate(
+        id,
+        { $push: { members: member }, updatedAt: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error adding project member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the role of a project member
+   */
+  async updateMemberRole(id, userId, role) {
+    try {
+      return await Project.findOneAndUpdate(
+        { _id: id, 'members.user': userId },
+        { $set: { 'members.$.role': role }, updatedAt: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error updating project member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a project
+   */
+  async removeMember(id, userId) {
+    try {
+      return await Project.findByIdAndUpdate(
+        id,
+        { $pull: { members: { user: userId } }, updatedAt: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error removing project member:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new ProjectRepository();
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { RoleQuota } = require('../models/RoleQuota');
+const { logger } = require('../config/logger');
+
+class RoleQuotaRepository {
+  /**
+   * Get the quotas admins set for roles
+   */
+  async findAll() {
+    try {
+      return await RoleQuota.find().sort({ role: 1 });
+    } catch (error) {
+      logger.error('Error finding role quotas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the quota of a role
+   */
+  async upsert(role, limits, updatedBy = null) {
+    try {
+      return await RoleQuota.findOneAndUpdate(
+        { role },
+        { ...limits, role, updatedBy },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      logger.error('Error saving role quota:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RoleQuotaRepository();
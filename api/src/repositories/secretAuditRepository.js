@@ -0,0 +1,51 @@
+const SecretAudit = require('../models/SecretAudit');
+const { logger } = require('../config/logger');
+
+class SecretAuditRepository {
+  /**
+   * Record a change to a secret
+   */
+  async create(entryData) {
+    try {
+      const entry = new SecretAudit(entryData);
+      await entry.save();
+      return entry;
+    } catch (error) {
+      logger.error('Error creating secret audit entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the secret changes of a project with pagination
+   */
+  async findByProject(projectId, page = 1, limit = 20) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { project: projectId };
+
+      const entries = await SecretAudit.find(query)
+        .populate('user', 'username email')
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 });
+
+      const total = await SecretAudit.countDocuments(query);
+
+      return {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding secret audit entries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SecretAuditRepository();
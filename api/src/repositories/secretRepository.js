@@ -0,0 +1,80 @@
+const ProjectSecret = require('../models/ProjectSecret');
+const { logger } = require('../config/logger');
+
+class SecretRepository {
+  /**
+   * Get the secrets of a project, sorted by name
+   * Encrypted values are only loaded when asked for.
+   */
+  async findByProject(projectId, { includeValues = false } = {}) {
+    try {
+      const query = ProjectSecret.find({ project: projectId })
+        .populate('updatedBy', 'username email')
+        .sort({ key: 1 });
+
+      return await (includeValues ? query.select('+value') : query);
+    } catch (error) {
+      logger.error('Error finding project secrets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a secret of a project by name
+   */
+  async findByKey(projectId, key) {
+    try {
+      return await ProjectSecret.findOne({ project: projectId, key });
+    } catch (error) {
+      logger.error('Error finding project secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a secret
+   */
+  async upsert(projectId, key, value, userId = null) {
+    try {
+      return await ProjectSecret.findOneAndUpdate(
+        { project: projectId, key },
+        {
+          $set: { value, updatedBy: userId },
+          $setOnInsert: { createdBy: userId }
+        },
+        { new: true, upsert: true, runValidators: true }
+      ).populate('updatedBy', 'username email');
+    } catch (error) {
+      logger.error('Error saving project secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a secret of a project
+   */
+  async deleteByKey(projectId, key) {
+    try {
+      const result = await ProjectSecret.deleteOne({ project: projectId, key });
+      return result.deletedCount > 0;
+    } catch (error) {
+      logger.error('Error deleting project secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all secrets of a project
+   */
+  async deleteByProject(projectId) {
+    try {
+      const result = await ProjectSecret.deleteMany({ project: projectId });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting project secrets:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SecretRepository();
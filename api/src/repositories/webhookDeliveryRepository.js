@@ -0,0 +1,79 @@
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { logger } = require('../config/logger');
+
+class WebhookDeliveryRepository {
+  /**
+   * Record a webhook delivery
+   */
+  async create(deliveryData) {
+    try {
+      const delivery = new WebhookDelivery(deliveryData);
+      await delivery.save();
+      return delivery;
+    } catch (error) {
+      logger.error('Error creating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the outcome of a webhook delivery
+   */
+  async updateStatus(id, status, updates = {}) {
+    try {
+      return await WebhookDelivery.findByIdAndUpdate(
+        id,
+        { ...updates, status },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      logger.error('Error updating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get deliveries for a project with pagination
+   */
+  async findByProject(projectId, page = 1, limit = 20) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { project: projectId };
+
+      const deliveries = await WebhookDelivery.find(query)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 });
+
+      const total = await WebhookDelivery.countDocuments(query);
+
+      return {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all deliveries of a project
+   */
+  async deleteByProject(projectId) {
+    try {
+      const result = await WebhookDelivery.deleteMany({ project: projectId });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting webhook deliveries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookDeliveryRepository();
@@ -0,0 +1,108 @@
+const { Router } = require("express");
+const MiddlewareComposer = require("../utils/middlewareComposer");
+const BackupController = require("../controllers/backupController");
+const backupSchemas = require("../schemas/backupSchemas");
+
+const router = Router();
+const backupController = new BackupController();
+
+// Backup policies
+// Target credentials are stored exactly as sent, so policy bodies are validated but not sanitized
+
+// List backup policies
+router.get(
+  "/policies",
+  ...MiddlewareComposer.getCollection(backupController.getPolicies.bind(backupController), "admin")
+);
+
+// Create a backup policy
+router.post(
+  "/policies",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.admin(MiddlewareComposer.validateBody(backupSchemas.createPolicy)),
+    handler: backupController.createPolicy.bind(backupController)
+  })
+);
+
+// Get a backup policy
+router.get(
+  "/policies/:id",
+  ...MiddlewareComposer.getResource(
+    backupController.getPolicy.bind(backupController),
+    backupSchemas.policyParams,
+    "admin"
+  )
+);
+
+// Update a backup policy
+router.put(
+  "/policies/:id",
+  ...MiddlewareComposer.route({
+    middleware: [
+      ...MiddlewareComposer.authWithParamValidation(backupSchemas.policyParams, "admin"),
+      MiddlewareComposer.validateBody(backupSchemas.updatePolicy)
+    ],
+    handler: backupController.updatePolicy.bind(backupController)
+  })
+);
+
+// Delete a backup policy and its backups
+router.delete(
+  "/policies/:id",
+  ...MiddlewareComposer.deleteResource(
+    backupController.deletePolicy.bind(backupController),
+    backupSchemas.policyParams,
+    "admin"
+  )
+);
+
+// Start a backup of a policy now
+router.post(
+  "/policies/:id/run",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.authWithParamValidation(backupSchemas.policyParams, "admin"),
+    handler: backupController.runPolicy.bind(backupController)
+  })
+);
+
+// Backups
+// List backups
+router.get(
+  "/",
+  ...MiddlewareComposer.getCollection(
+    backupController.getBackups.bind(backupController),
+    "admin",
+    backupSchemas.backupsQuery
+  )
+);
+
+// Get a backup
+router.get(
+  "/:id",
+  ...MiddlewareComposer.getResource(
+    backupController.getBackup.bind(backupController),
+    backupSchemas.backupParams,
+    "admin"
+  )
+);
+
+// Verify the checksums of a backup's stored files
+router.post(
+  "/:id/verify",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.authWithParamValidation(backupSchemas.backupParams, "admin"),
+    handler: backupController.verifyBackup.bind(backupController)
+  })
+);
+
+// Delete a backup
+router.delete(
+  "/:id",
+  ...MiddlewareComposer.deleteResource(
+    backupController.deleteBackup.bind(backupController),
+    backupSchemas.backupParams,
+    "admin"
+  )
+);
+
+module.exports = router;
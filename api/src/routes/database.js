@@ -0,0 +1,190 @@
+const { Router } = require("express");
+const ValidationMiddleware = require("../middleware/validation");
+const MiddlewareComposer = require("../utils/middlewareComposer");
+const DatabaseHealthController = require("../controllers/databaseHealthController");
+const databaseSchemas = require("../schemas/databaseSchemas");
+
+const router = Router();
+const databaseController = new DatabaseHealthController();
+
+// Health
+// Get comprehensive database health status
+router.get(
+  "/health",
+  ...MiddlewareComposer.getCollection(databaseController.getDatabaseHealth.bind(databaseController), "admin")
+);
+
+// Get recent health checks
+router.get(
+  "/health/history",
+  ...MiddlewareComposer.getCollection(
+    databaseController.getHealthHistory.bind(databaseController),
+    "admin",
+    databaseSchemas.limitQuery
+  )
+);
+
+// Get the trend of recent health checks
+router.get(
+  "/health/trends",
+  ...MiddlewareComposer.getCollection(databaseController.getHealthTrends.bind(databaseController), "admin")
+);
+
+// Get connection state and pool information
+router.get(
+  "/connection",
+  ...MiddlewareComposer.getCollection(databaseController.getConnectionInfo.bind(databaseController), "admin")
+);
+
+// Test database connectivity
+router.post(
+  "/connection/test",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.admin(),
+    handler: databaseController.testConnectivity.bind(databaseController)
+  })
+);
+
+// Get database statistics
+router.get(
+  "/stats",
+  ...MiddlewareComposer.getCollection(databaseController.getDatabaseStats.bind(databaseController), "admin")
+);
+
+// Performance
+// Get query performance metrics
+router.get(
+  "/performance",
+  ...MiddlewareComposer.getCollection(databaseController.getPerformanceMetrics.bind(databaseController), "admin")
+);
+
+// Get the slowest recorded queries
+router.get(
+  "/performance/slow-queries",
+  ...MiddlewareComposer.getCollection(
+    databaseController.getSlowQueries.bind(databaseController),
+    "admin",
+    databaseSchemas.limitQuery
+  )
+);
+
+// Get query performance per collection
+router.get(
+  "/performance/collections",
+  ...MiddlewareComposer.getCollection(databaseController.getCollectionPerformance.bind(databaseController), "admin")
+);
+
+// Get performance recommendations
+router.get(
+  "/performance/recommendations",
+  ...MiddlewareComposer.getCollection(
+    databaseController.getPerformanceRecommendations.bind(databaseController),
+    "admin"
+  )
+);
+
+// Export all collected performance data
+router.get(
+  "/performance/export",
+  ...MiddlewareComposer.getCollection(databaseController.exportPerformanceData.bind(databaseController), "admin")
+);
+
+// Reset collected performance metrics
+router.post(
+  "/performance/reset",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.admin(),
+    handler: databaseController.resetPerformanceMetrics.bind(databaseController)
+  })
+);
+
+// Start real-time performance monitoring
+router.post(
+  "/performance/monitoring/start",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.authWithBodyValidation(databaseSchemas.startMonitoring, "admin"),
+    handler: databaseController.startRealTimeMonitoring.bind(databaseController)
+  })
+);
+
+// Stop real-time performance monitoring
+router.post(
+  "/performance/monitoring/stop",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.admin(),
+    handler: databaseController.stopRealTimeMonitoring.bind(databaseController)
+  })
+);
+
+// Indexes
+// Get index usage per collection
+router.get(
+  "/indexes/usage",
+  ...MiddlewareComposer.getCollection(databaseController.getIndexUsageStats.bind(databaseController), "admin")
+);
+
+// Get indexes that were never used
+router.get(
+  "/indexes/unused",
+  ...MiddlewareComposer.getCollection(databaseController.getUnusedIndexes.bind(databaseController), "admin")
+);
+
+// Backups
+// List available backups
+router.get(
+  "/backups",
+  ...MiddlewareComposer.getCollection(databaseController.listBackups.bind(databaseController), "admin")
+);
+
+// Create a backup
+router.post(
+  "/backups",
+  ...MiddlewareComposer.createResource(
+    databaseController.createBackup.bind(databaseController),
+    databaseSchemas.createBackup,
+    "admin"
+  )
+);
+
+// Schedule automatic backups (must come before /backups/:backupName routes)
+router.post(
+  "/backups/schedule",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.authWithBodyValidation(databaseSchemas.scheduleBackups, "admin"),
+    handler: databaseController.scheduleAutomaticBackups.bind(databaseController)
+  })
+);
+
+// Validate the integrity of a backup
+router.get(
+  "/backups/:backupName/validate",
+  ...MiddlewareComposer.getResource(
+    databaseController.validateBackup.bind(databaseController),
+    databaseSchemas.backupParams,
+    "admin"
+  )
+);
+
+// Restore the database from a backup
+router.post(
+  "/backups/:backupName/restore",
+  ...MiddlewareComposer.route({
+    middleware: [
+      ...MiddlewareComposer.authWithParamValidation(databaseSchemas.backupParams, "admin"),
+      ValidationMiddleware.validateBody(databaseSchemas.restoreBackup)
+    ],
+    handler: databaseController.restoreBackup.bind(databaseController)
+  })
+);
+
+// Delete a backup
+router.delete(
+  "/backups/:backupName",
+  ...MiddlewareComposer.deleteResource(
+    databaseController.deleteBackup.bind(databaseController),
+    databaseSchemas.backupParams,
+    "admin"
+  )
+);
+
+module.exports = router;
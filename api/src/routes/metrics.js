@@ -0,0 +1,27 @@
+const { Router } = require("express");
+const ResponseHelper = require("../utils/responseHelper");
+const MiddlewareComposer = require("../utils/middlewareComposer");
+const MetricsController = require("../controllers/metricsController");
+const metricsSchemas = require("../schemas/metricsSchemas");
+
+const router = Router();
+const metricsController = new MetricsController();
+
+// Prometheus metrics (authenticated by the METRICS_TOKEN bearer token, not a user JWT)
+router.get(
+  "/",
+  ...MiddlewareComposer.public(),
+  ResponseHelper.asyncHandler(metricsController.getMetrics.bind(metricsController))
+);
+
+// Downsampled history of host metrics
+router.get(
+  "/history",
+  ...MiddlewareComposer.getCollection(
+    metricsController.getHostHistory.bind(metricsController),
+    null,
+    metricsSchemas.historyQuery
+  )
+);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const { Router } = require("express");
+const MiddlewareComposer = require("../utils/middlewareComposer");
+const NotificationController = require("../controllers/notificationController");
+const notificationSchemas = require("../schemas/notificationSchemas");
+
+const router = Router();
+const notificationController = new NotificationController();
+
+// Every user manages their own channels and delivery log
+// Webhook URLs and tokens are stored exactly as sent, so channel bodies are validated but not sanitized
+
+// List the events channels can subscribe to
+router.get(
+  "/events",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.user(),
+    handler: notificationController.getEvents.bind(notificationController)
+  })
+);
+
+// List notification deliveries
+router.get(
+  "/deliveries",
+  ...MiddlewareComposer.getCollection(
+    notificationController.getDeliveries.bind(notificationController),
+    null,
+    notificationSchemas.deliveriesQuery
+  )
+);
+
+// List notification channels
+router.get(
+  "/channels",
+  ...MiddlewareComposer.getCollection(notificationController.getChannels.bind(notificationController), null)
+);
+
+// Create a notification channel
+router.post(
+  "/channels",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.user(MiddlewareComposer.validateBody(notificationSchemas.createChannel)),
+    handler: notificationController.createChannel.bind(notificationController)
+  })
+);
+
+// Get a notification channel
+router.get(
+  "/channels/:id",
+  ...MiddlewareComposer.getResource(
+    notificationController.getChannel.bind(notificationController),
+    notificationSchemas.channelParams,
+    null
+  )
+);
+
+// Update a notification channel
+router.put(
+  "/channels/:id",
+  ...MiddlewareComposer.route({
+    middleware: [
+      ...MiddlewareComposer.authWithParamValidation(notificationSchemas.channelParams),
+      MiddlewareComposer.validateBody(notificationSchemas.updateChannel)
+    ],
+    handler: notificationController.updateChannel.bind(notificationController)
+  })
+);
+
+// Delete a notification channel and its delivery log
+router.delete(
+  "/channels/:id",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.authWithParamValidation(notificationSchemas.channelParams),
+    handler: notificationController.deleteChannel.bind(notificationController)
+  })
+);
+
+// Send a test notification to a channel
+router.post(
+  "/channels/:id/test",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.authWithParamValidation(notificationSchemas.channelParams),
+    handler: notificationController.testChannel.bind(notificationController)
+  })
+);
+
+module.exports = router;
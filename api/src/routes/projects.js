@@ -1,13 +1,34 @@
 const { Router } = require("express");
-const AuthMiddleware = require("../middleware/auth");
 const ValidationMiddleware = require("../middleware/validation");
+const { webhookRateLimiter } = require("../middleware/rateLimiter");
 const ResponseHelper = require("../utils/responseHelper");
 const MiddlewareComposer = require("../utils/middlewareComposer");
 const ProjectController = require("../controllers/projectController");
+const WebhookController = require("../controllers/webhookController");
+const SecretController = require("../controllers/secretController");
+const ProjectBackupController = require("../controllers/projectBackupController");
+const MetricsController = require("../controllers/metricsController");
+const ProjectMemberController = require("../controllers/projectMemberController");
+const GitAuthController = require("../controllers/gitAuthController");
+const AddonController = require("../controllers/addonController");
+const TemplateController = require("../controllers/templateController");
 const projectSchemas = require("../schemas/projectSchemas");
+const metricsSchemas = require("../schemas/metricsSchemas");
 
 const router = Router();
 const projectController = new ProjectController();
+const webhookController = new WebhookController();
+const secretController = new SecretController();
+const projectBackupController = new ProjectBackupController();
+const metricsController = new MetricsController();
+const projectMemberController = new ProjectMemberController();
+const gitAuthController = new GitAuthController();
+const addonController = new AddonController();
+const templateController = new TemplateController();
+
+// Routes of a project require a role in it (see ProjectAccessService):
+// viewers read, maintainers operate, the owner deletes and manages members.
+// Admins have every role in every project.
 
 // Get all hosted projects
 router.get(
@@ -23,72 +44,182 @@ router.get(
   ResponseHelper.asyncHandler(projectController.searchProjects.bind(projectController))
 );
 
+// Resource usage of all projects versus their limits (must come before /:id route)
+router.get(
+  "/resources/usage",
+  ...MiddlewareComposer.user(),
+  ResponseHelper.asyncHandler(projectController.getResourceUsage.bind(projectController))
+);
+
+// Generate a deploy key for a private repository before deploying it (must come before /:id route)
+router.post(
+  "/deploy-keys",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.user(),
+    handler: gitAuthController.createDeployKey.bind(gitAuthController)
+  })
+);
+
+// Managed add-ons projects can have (must come before /:id route)
+router.get(
+  "/addons/catalog",
+  ...MiddlewareComposer.user(),
+  ResponseHelper.asyncHandler(addonController.getCatalog.bind(addonController))
+);
+
+// App templates projects can be deployed from without a repository (must come before /:id route)
+router.get(
+  "/templates",
+  ...MiddlewareComposer.user(),
+  ResponseHelper.asyncHandler(templateController.getTemplates.bind(templateController))
+);
+
+// Build queue (must come before /:id route)
+// List recent build jobs
+router.get(
+  "/builds",
+  ...MiddlewareComposer.user(),
+  ValidationMiddleware.validateQuery(projectSchemas.buildsQuery),
+  ResponseHelper.asyncHandler(projectController.getBuilds.bind(projectController))
+);
+
+// Get build job status and queue position
+router.get(
+  "/builds/:jobId",
+  ...MiddlewareComposer.getResource(
+    projectController.getBuild.bind(projectController),
+    projectSchemas.buildJobId,
+    null
+  )
+);
+
+// Cancel a queued or running build job
+router.post(
+  "/builds/:jobId/cancel",
+  ...MiddlewareComposer.getResource(
+    projectController.cancelBuild.bind(projectController),
+    projectSchemas.buildJobId,
+    null
+  )
+);
+
 // Get project by ID
 router.get(
   "/:id",
-  ...MiddlewareComposer.authWithParamValidation(projectSchemas.projectId),
-  ResponseHelper.asyncHandler(projectController.getProjectById.bind(projectController))
+  ...MiddlewareComposer.projectResource(
+    projectController.getProjectById.bind(projectController),
+    projectSchemas.projectId
+  )
 );
 
-// Deploy new project
+// Deploy new project (the deploying user owns it)
 router.post(
   "/deploy",
-  ...MiddlewareComposer.createResource(
-    projectController.deployProject.bind(projectController),
-    projectSchemas.deployProject,
-    "admin"
-  )
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.authWithBodyValidation(projectSchemas.deployProject),
+    handler: projectController.deployProject.bind(projectController)
+  })
+);
+
+// Receive Git push webhook (authenticated by per-project signature)
+router.post(
+  "/webhook",
+  webhookRateLimiter,
+  ...MiddlewareComposer.public(),
+  ResponseHelper.asyncHandler(webhookController.receivePush.bind(webhookController))
 );
 
 // Update project
 router.put(
   "/:id",
-  ...MiddlewareComposer.updateResource(
+  ...MiddlewareComposer.projectResource(
     projectController.updateProject.bind(projectController),
     projectSchemas.projectId,
-    projectSchemas.updateProject,
-    "admin"
+    "maintainer",
+    MiddlewareComposer.sanitize(),
+    MiddlewareComposer.validateBody(projectSchemas.updateProject)
   )
 );
 
 // Delete project
 router.delete(
   "/:id",
-  ...MiddlewareComposer.deleteResource(
+  ...MiddlewareComposer.projectResource(
     projectController.deleteProject.bind(projectController),
     projectSchemas.projectId,
-    "admin"
+    "owner"
   )
 );
 
 // Restart project
 router.post(
   "/:id/restart",
-  ...MiddlewareComposer.getResource(
+  ...MiddlewareComposer.projectResource(
     projectController.restartProject.bind(projectController),
     projectSchemas.projectId,
-    "admin"
+    "maintainer"
+  )
+);
+
+// Get project deployment history
+router.get(
+  "/:id/deployments",
+  ...MiddlewareComposer.projectResource(
+    projectController.getProjectDeployments.bind(projectController),
+    projectSchemas.projectId
+  )
+);
+
+// Get the build log of a deployment
+router.get(
+  "/:id/deployments/:deploymentId/log",
+  ...MiddlewareComposer.projectResource(
+    projectController.getDeploymentLog.bind(projectController),
+    projectSchemas.deploymentParams
+  )
+);
+
+// Roll back to an earlier deployment
+router.post(
+  "/:id/deployments/:deploymentId/rollback",
+  ...MiddlewareComposer.projectResource(
+    projectController.rollbackProject.bind(projectController),
+    projectSchemas.deploymentParams,
+    "maintainer"
   )
 );
 
 // Get project logs
 router.get(
   "/:id/logs",
-  AuthMiddleware.verifyToken,
-  ValidationMiddleware.validateParams(projectSchemas.projectId),
-  ValidationMiddleware.validateQuery(projectSchemas.logsQuery),
-  ResponseHelper.asyncHandler(projectController.getProjectLogs.bind(projectController))
+  ...MiddlewareComposer.projectResource(
+    projectController.getProjectLogs.bind(projectController),
+    projectSchemas.projectId,
+    "viewer",
+    MiddlewareComposer.validateQuery(projectSchemas.logsQuery)
+  )
 );
 
 // Get project status
 router.get(
   "/:id/status",
-  ...MiddlewareComposer.getResource(
+  ...MiddlewareComposer.projectResource(
     projectController.getProjectStatus.bind(projectController),
     projectSchemas.projectId
   )
 );
 
+// Get the downsampled metrics history of the project's container
+router.get(
+  "/:id/metrics",
+  ...MiddlewareComposer.projectResource(
+    metricsController.getProjectHistory.bind(metricsController),
+    projectSchemas.projectId,
+    "viewer",
+    MiddlewareComposer.validateQuery(metricsSchemas.historyQuery)
+  )
+);
+
 // Get project statistics
 router.get(
   "/stats/overview",
@@ -99,31 +230,32 @@ router.get(
 // Start project
 router.post(
   "/:id/start",
-  ...MiddlewareComposer.getResource(
+  ...MiddlewareComposer.projectResource(
     projectController.startProject.bind(projectController),
     projectSchemas.projectId,
-    "admin"
+    "maintainer"
   )
 );
 
 // Stop project
 router.post(
   "/:id/stop",
-  ...MiddlewareComposer.getResource(
+  ...MiddlewareComposer.projectResource(
     projectController.stopProject.bind(projectController),
     projectSchemas.projectId,
-    "admin"
+    "maintainer"
   )
 );
 
 // Update project port
 router.put(
   "/:id/port",
-  ...MiddlewareComposer.updateResource(
+  ...MiddlewareComposer.projectResource(
     projectController.updateProjectPort.bind(projectController),
     projectSchemas.projectId,
-    projectSchemas.updatePort,
-    "admin"
+    "maintainer",
+    MiddlewareComposer.sanitize(),
+    MiddlewareComposer.validateBody(projectSchemas.updatePort)
   )
 );
 
@@ -160,10 +292,10 @@ router.post(
 // Sync specific project status
 router.post(
   "/:id/sync/status",
-  ...MiddlewareComposer.getResource(
+  ...MiddlewareComposer.projectResource(
     projectController.syncProjectStatus.bind(projectController),
     projectSchemas.projectId,
-    "admin"
+    "maintainer"
   )
 );
 
@@ -174,4 +306,270 @@ router.get(
   ResponseHelper.asyncHandler(projectController.getStatusSyncInfo.bind(projectController))
 );
 
+// Webhook management endpoints
+// Get project webhook configuration
+router.get(
+  "/:id/webhook",
+  ...MiddlewareComposer.projectResource(
+    webhookController.getWebhook.bind(webhookController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Generate a new webhook secret (enables the webhook)
+router.post(
+  "/:id/webhook/secret",
+  ...MiddlewareComposer.projectResource(
+    webhookController.regenerateSecret.bind(webhookController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Disable project webhook
+router.delete(
+  "/:id/webhook",
+  ...MiddlewareComposer.projectResource(
+    webhookController.disableWebhook.bind(webhookController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Get webhook delivery log
+router.get(
+  "/:id/webhook/deliveries",
+  ...MiddlewareComposer.projectResource(
+    webhookController.getDeliveries.bind(webhookController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Private repository credentials
+// Get the deploy key or token username of a project
+router.get(
+  "/:id/git-auth",
+  ...MiddlewareComposer.projectResource(
+    gitAuthController.getGitAuth.bind(gitAuthController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Generate a new deploy key (replaces the credentials)
+router.post(
+  "/:id/git-auth/deploy-key",
+  ...MiddlewareComposer.projectResource(
+    gitAuthController.setDeployKey.bind(gitAuthController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Use an HTTPS access token (replaces the credentials)
+router.put(
+  "/:id/git-auth/token",
+  ...MiddlewareComposer.projectResource(
+    gitAuthController.setToken.bind(gitAuthController),
+    projectSchemas.projectId,
+    "maintainer",
+    MiddlewareComposer.validateBody(projectSchemas.gitToken)
+  )
+);
+
+// Remove the credentials
+router.delete(
+  "/:id/git-auth",
+  ...MiddlewareComposer.projectResource(
+    gitAuthController.removeGitAuth.bind(gitAuthController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Secret management endpoints
+// List project secrets (values are masked)
+router.get(
+  "/:id/secrets",
+  ...MiddlewareComposer.projectResource(
+    secretController.getSecrets.bind(secretController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Get the secret audit log
+router.get(
+  "/:id/secrets/audit",
+  ...MiddlewareComposer.projectResource(
+    secretController.getAuditLog.bind(secretController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Create or replace a secret
+// Values are stored exactly as sent, so the body is validated but not sanitized
+router.put(
+  "/:id/secrets/:key",
+  ...MiddlewareComposer.projectResource(
+    secretController.setSecret.bind(secretController),
+    projectSchemas.secretParams,
+    "maintainer",
+    MiddlewareComposer.validateBody(projectSchemas.setSecret)
+  )
+);
+
+// Delete a secret
+router.delete(
+  "/:id/secrets/:key",
+  ...MiddlewareComposer.projectResource(
+    secretController.deleteSecret.bind(secretController),
+    projectSchemas.secretParams,
+    "maintainer"
+  )
+);
+
+// Managed add-on endpoints
+// List the add-ons of a project (passwords are masked)
+router.get(
+  "/:id/addons",
+  ...MiddlewareComposer.projectResource(
+    addonController.getAddons.bind(addonController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Attach an add-on, which is started when the project runs
+router.post(
+  "/:id/addons",
+  ...MiddlewareComposer.projectResource(
+    addonController.attachAddon.bind(addonController),
+    projectSchemas.projectId,
+    "maintainer",
+    MiddlewareComposer.sanitize(),
+    MiddlewareComposer.validateBody(projectSchemas.attachAddon)
+  )
+);
+
+// Remove an add-on with its data
+router.delete(
+  "/:id/addons/:type",
+  ...MiddlewareComposer.projectResource(
+    addonController.detachAddon.bind(addonController),
+    projectSchemas.addonParams,
+    "maintainer"
+  )
+);
+
+// Volume backup endpoints
+// List project backups
+router.get(
+  "/:id/backups",
+  ...MiddlewareComposer.projectResource(
+    projectBackupController.getBackups.bind(projectBackupController),
+    projectSchemas.projectId,
+    "maintainer"
+  )
+);
+
+// Back up the project's volumes
+router.post(
+  "/:id/backups",
+  ...MiddlewareComposer.projectResource(
+    projectBackupController.createBackup.bind(projectBackupController),
+    projectSchemas.projectId,
+    "maintainer",
+    MiddlewareComposer.sanitize(),
+    MiddlewareComposer.validateBody(projectSchemas.createBackup)
+  )
+);
+
+// Get a project backup
+router.get(
+  "/:id/backups/:backupId",
+  ...MiddlewareComposer.projectResource(
+    projectBackupController.getBackup.bind(projectBackupController),
+    projectSchemas.backupParams,
+    "maintainer"
+  )
+);
+
+// Download the archive of one volume
+router.get(
+  "/:id/backups/:backupId/archives/:volume",
+  ...MiddlewareComposer.projectResource(
+    projectBackupController.downloadArchive.bind(projectBackupController),
+    projectSchemas.backupArchiveParams,
+    "maintainer"
+  )
+);
+
+// Restore a backup into the stopped project
+router.post(
+  "/:id/backups/:backupId/restore",
+  ...MiddlewareComposer.projectResource(
+    projectBackupController.restoreBackup.bind(projectBackupController),
+    projectSchemas.backupParams,
+    "maintainer"
+  )
+);
+
+// Delete a project backup
+router.delete(
+  "/:id/backups/:backupId",
+  ...MiddlewareComposer.projectResource(
+    projectBackupController.deleteBackup.bind(projectBackupController),
+    projectSchemas.backupParams,
+    "maintainer"
+  )
+);
+
+// Member management endpoints
+// List the owner and members of a project
+router.get(
+  "/:id/members",
+  ...MiddlewareComposer.projectResource(
+    projectMemberController.getMembers.bind(projectMemberController),
+    projectSchemas.projectId
+  )
+);
+
+// Add a member
+router.post(
+  "/:id/members",
+  ...MiddlewareComposer.projectResource(
+    projectMemberController.addMember.bind(projectMemberController),
+    projectSchemas.projectId,
+    "owner",
+    MiddlewareComposer.sanitize(),
+    MiddlewareComposer.validateBody(projectSchemas.addMember)
+  )
+);
+
+// Change the role of a member
+router.put(
+  "/:id/members/:userId",
+  ...MiddlewareComposer.projectResource(
+    projectMemberController.updateMember.bind(projectMemberController),
+    projectSchemas.memberParams,
+    "owner",
+    MiddlewareComposer.sanitize(),
+    MiddlewareComposer.validateBody(projectSchemas.updateMember)
+  )
+);
+
+// Remove a member
+router.delete(
+  "/:id/members/:userId",
+  ...MiddlewareComposer.projectResource(
+    projectMemberController.removeMember.bind(projectMemberController),
+    projectSchemas.memberParams,
+    "owner"
+  )
+);
+
 module.exports = router;
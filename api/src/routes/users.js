@@ -4,10 +4,12 @@ const ValidationMiddleware = require("../middleware/validation");
 const ResponseHelper = require("../utils/responseHelper");
 const MiddlewareComposer = require("../utils/middlewareComposer");
 const UserController = require("../controllers/userController");
+const QuotaController = require("../controllers/quotaController");
 const userSchemas = require("../schemas/userSchemas");
 
 const router = Router();
 const userController = new UserController();
+const quotaController = new QuotaController();
 
 // Get all users (admin only)
 router.get(
@@ -16,6 +18,49 @@ router.get(
   ResponseHelper.asyncHandler(userController.getAllUsers.bind(userController))
 );
 
+// Get the quota and usage of the current user
+router.get(
+  "/me/quota",
+  ...MiddlewareComposer.route({
+    middleware: MiddlewareComposer.user(),
+    handler: quotaController.getMyQuota.bind(quotaController)
+  })
+);
+
+// Get the quota and usage of every user (admin only)
+router.get(
+  "/quotas",
+  ...MiddlewareComposer.getCollection(quotaController.getUserQuotas.bind(quotaController), "admin")
+);
+
+// Get the quota of every role (admin only)
+router.get(
+  "/quotas/roles",
+  ...MiddlewareComposer.getCollection(quotaController.getRoleQuotas.bind(quotaController), "admin")
+);
+
+// Set the quota of a role (admin only)
+router.put(
+  "/quotas/roles/:role",
+  ...MiddlewareComposer.updateResource(
+    quotaController.updateRoleQuota.bind(quotaController),
+    userSchemas.quotaRole,
+    userSchemas.quota,
+    "admin"
+  )
+);
+
+// Set the limits of a user (admin only)
+router.put(
+  "/:id/quota",
+  ...MiddlewareComposer.updateResource(
+    quotaController.updateUserQuota.bind(quotaController),
+    userSchemas.userId,
+    userSchemas.quota,
+    "admin"
+  )
+);
+
 // Get user by ID
 router.get(
   "/:id",
@@ -0,0 +1,148 @@
+const Joi = require('joi');
+const CommonValidators = require('./common');
+
+// Paths and keys end up in tar, scp and ssh commands
+const safePath = Joi.string()
+  .max(500)
+  .pattern(/^[a-zA-Z0-9/_.-]+$/)
+  .messages({
+    'string.pattern.base': 'Paths can only contain letters, numbers, slashes, dots, hyphens and underscores'
+  });
+
+const objectId = (label) => Joi.string()
+  .hex()
+  .length(24)
+  .messages({
+    'string.hex': `${label} must be a valid ID`,
+    'string.length': `${label} must be a valid ID`,
+    'any.required': `${label} is required`
+  });
+
+const whenType = (type, schema) => Joi.when('type', {
+  is: type,
+  then: schema,
+  otherwise: Joi.forbidden()
+});
+
+const target = Joi.object({
+  type: Joi.string()
+    .valid('local', 's3', 'sftp')
+    .required()
+    .messages({
+      'any.only': 'Target type must be local, s3 or sftp',
+      'any.required': 'Target type is required'
+    }),
+  path: Joi.when('type', {
+    is: 'sftp',
+    then: safePath.required().messages({ 'any.required': 'Path is required for SFTP targets' }),
+    otherwise: Joi.when('type', { is: 'local', then: safePath.optional(), otherwise: Joi.forbidden() })
+  }),
+
+  // S3-compatible bucket
+  endpoint: whenType('s3', Joi.string().uri({ scheme: ['http', 'https'] }).required().messages({
+    'string.uri': 'Endpoint must be an http(s) URL',
+    'any.required': 'Endpoint is required for S3 targets'
+  })),
+  region: whenType('s3', Joi.string().max(50).pattern(/^[a-z0-9-]+$/).default('us-east-1')),
+  bucket: whenType('s3', Joi.string().min(3).max(63).pattern(/^[a-z0-9][a-z0-9.-]*[a-z0-9]$/).required().messages({
+    'string.pattern.base': 'Bucket must be a valid bucket name',
+    'any.required': 'Bucket is required for S3 targets'
+  })),
+  prefix: whenType('s3', safePath.allow('').default('')),
+  forcePathStyle: whenType('s3', Joi.boolean().default(true)),
+  accessKeyId: whenType('s3', Joi.string().max(128).required().messages({
+    'any.required': 'Access key ID is required for S3 targets'
+  })),
+  // Optional on updates, where the stored key is kept
+  secretAccessKey: whenType('s3', Joi.string().max(256)),
+
+  // SFTP server
+  host: whenType('sftp', Joi.string().hostname().required().messages({
+    'string.hostname': 'Host must be a valid host name',
+    'any.required': 'Host is required for SFTP targets'
+  })),
+  port: whenType('sftp', Joi.number().integer().min(1).max(65535).default(22)),
+  username: whenType('sftp', Joi.string().max(64).pattern(/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/).required().messages({
+    'string.pattern.base': 'Username must start with a letter or number and can only contain letters, numbers, dots, hyphens and underscores',
+    'any.required': 'Username is required for SFTP targets'
+  })),
+  identityFile: whenType('sftp', safePath.optional())
+});
+
+const components = Joi.object({
+  mongodb: Joi.boolean().default(true),
+  redis: Joi.boolean().default(true),
+  volumes: Joi.boolean().default(true),
+  projects: Joi.boolean().default(true)
+})
+  .custom((value, helpers) => (Object.values(value).some(Boolean) ? value : helpers.error('components.none')))
+  .messages({
+    'components.none': 'At least one component must be backed up'
+  });
+
+const retention = Joi.object({
+  keepLast: Joi.number().integer().min(1).max(1000).default(7).messages({
+    'number.min': 'At least one backup must be kept',
+    'number.max': 'Cannot keep more than 1000 backups'
+  }),
+  maxAgeDays: Joi.number().integer().min(1).max(3650).allow(null).default(null)
+});
+
+const policyFields = {
+  name: Joi.string()
+    .max(50)
+    .pattern(/^[a-z0-9][a-z0-9-]*$/)
+    .messages({
+      'string.pattern.base': 'Policy name can only contain lowercase letters, numbers and hyphens',
+      'string.max': 'Policy name cannot exceed 50 characters'
+    }),
+  // Validated as a cron expression by the backup service
+  schedule: Joi.string().max(100).messages({
+    'string.max': 'Schedule cannot exceed 100 characters'
+  }),
+  enabled: Joi.boolean(),
+  components,
+  target,
+  retention
+};
+
+/**
+ * Validation schemas for platform backups
+ */
+const backupSchemas = {
+  // Schema for creating a backup policy
+  createPolicy: Joi.object({
+    ...policyFields,
+    name: policyFields.name.required().messages({ 'any.required': 'Policy name is required' }),
+    schedule: policyFields.schedule.required().messages({ 'any.required': 'Schedule is required' }),
+    enabled: policyFields.enabled.default(true),
+    components: components.default(),
+    target: target.required(),
+    retention: retention.default()
+  }),
+
+  // Schema for updating a backup policy
+  updatePolicy: Joi.object(policyFields).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  // Schema for backup policy route parameters
+  policyParams: Joi.object({
+    id: objectId('Policy ID').required()
+  }),
+
+  // Schema for backup route parameters
+  backupParams: Joi.object({
+    id: objectId('Backup ID').required()
+  }),
+
+  // Schema for backup list query parameters
+  backupsQuery: CommonValidators.pagination().keys({
+    policyId: objectId('Policy ID'),
+    status: Joi.string().valid('running', 'succeeded', 'failed').messages({
+      'any.only': 'Status must be running, succeeded or failed'
+    })
+  })
+};
+
+module.exports = backupSchemas;
@@ -0,0 +1,86 @@
+const Joi = require('joi');
+
+// Backup names end up in file paths and mongodump commands
+const backupName = Joi.string()
+  .max(100)
+  .pattern(/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/)
+  .messages({
+    'string.pattern.base': 'Backup name can only contain letters, numbers, dots, hyphens and underscores',
+    'string.max': 'Backup name cannot exceed 100 characters'
+  });
+
+/**
+ * Validation schemas for the database administration API
+ */
+const databaseSchemas = {
+  // Schema for endpoints returning the most recent entries
+  limitQuery: Joi.object({
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(500)
+      .optional()
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 500'
+      })
+  }),
+
+  // Schema for starting real-time performance monitoring
+  startMonitoring: Joi.object({
+    interval: Joi.number()
+      .integer()
+      .min(1000)
+      .max(300000)
+      .default(5000)
+      .messages({
+        'number.base': 'Interval must be a number of milliseconds',
+        'number.min': 'Interval must be at least 1000 ms',
+        'number.max': 'Interval cannot exceed 300000 ms'
+      })
+  }),
+
+  // Schema for backup route parameters
+  backupParams: Joi.object({
+    backupName: backupName.required().messages({
+      'any.required': 'Backup name is required'
+    })
+  }),
+
+  // Schema for creating a backup
+  createBackup: Joi.object({
+    name: backupName.optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      }),
+    includeIndexes: Joi.boolean().default(true),
+    compression: Joi.boolean().default(true)
+  }),
+
+  // Schema for restoring a backup
+  restoreBackup: Joi.object({
+    dropExisting: Joi.boolean().default(false),
+    preserveIndexes: Joi.boolean().default(true),
+    collections: Joi.array()
+      .items(Joi.string().max(120).pattern(/^[a-zA-Z0-9_.-]+$/))
+      .allow(null)
+      .optional()
+  }),
+
+  // Schema for scheduling automatic backups
+  scheduleBackups: Joi.object({
+    interval: Joi.string()
+      .valid('hourly', 'daily', 'weekly')
+      .default('daily')
+      .messages({
+        'any.only': 'Interval must be hourly, daily or weekly'
+      })
+  })
+};
+
+module.exports = databaseSchemas;
@@ -0,0 +1,19 @@
+const Joi = require('joi');
+const { HISTORY_WINDOWS } = require('../services/metricsHistoryService');
+
+/**
+ * Validation schemas for metrics
+ */
+const metricsSchemas = {
+  // Schema for metrics history query parameters
+  historyQuery: Joi.object({
+    window: Joi.string()
+      .valid(...Object.keys(HISTORY_WINDOWS))
+      .default('1h')
+      .messages({
+        'any.only': `Window must be one of ${Object.keys(HISTORY_WINDOWS).join(', ')}`
+      })
+  })
+};
+
+module.exports = metricsSchemas;
@@ -0,0 +1,127 @@
+const Joi = require('joi');
+const CommonValidators = require('./common');
+const { NOTIFICATION_EVENT_NAMES } = require('../utils/notificationEvents');
+
+const objectId = (label) => Joi.string()
+  .hex()
+  .length(24)
+  .messages({
+    'string.hex': `${label} must be a valid ID`,
+    'string.length': `${label} must be a valid ID`,
+    'any.required': `${label} is required`
+  });
+
+const url = (label) => Joi.string()
+  .max(2000)
+  .uri({ scheme: ['http', 'https'] })
+  .messages({
+    'string.uri': `${label} must be an http(s) URL`,
+    'string.uriCustomScheme': `${label} must be an http(s) URL`,
+    'any.required': `${label} is required`
+  });
+
+// Secrets are optional on updates, where the stored value is kept
+const credential = Joi.string().max(256);
+
+const destinations = {
+  email: Joi.object({
+    // Defaults to the user's own address
+    to: CommonValidators.email(false)
+  }),
+  webhook: Joi.object({
+    url: url('Webhook URL').required(),
+    secret: credential
+  }),
+  slack: Joi.object({
+    url: url('Slack webhook URL').required()
+  }),
+  discord: Joi.object({
+    url: url('Discord webhook URL').required()
+  }),
+  ntfy: Joi.object({
+    server: url('ntfy server'),
+    topic: Joi.string()
+      .max(64)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Topic can only contain letters, numbers, hyphens and underscores',
+        'any.required': 'Topic is required for ntfy channels'
+      }),
+    token: credential
+  })
+};
+
+const destination = Joi.when('type', {
+  switch: Object.entries(destinations).map(([type, schema]) => ({ is: type, then: schema })),
+  otherwise: Joi.forbidden()
+});
+
+const channelFields = {
+  name: Joi.string()
+    .trim()
+    .max(50)
+    .messages({
+      'string.max': 'Channel name cannot exceed 50 characters'
+    }),
+  type: Joi.string()
+    .valid(...Object.keys(destinations))
+    .messages({
+      'any.only': 'Channel type must be email, webhook, slack, discord or ntfy'
+    }),
+  enabled: Joi.boolean(),
+  events: Joi.array()
+    .items(Joi.string().valid(...NOTIFICATION_EVENT_NAMES))
+    .unique()
+    .messages({
+      'any.only': `Events must be one of ${NOTIFICATION_EVENT_NAMES.join(', ')}`
+    }),
+  projects: Joi.array().items(objectId('Project ID')).unique().max(100),
+  destination
+};
+
+/**
+ * Validation schemas for notification channels
+ */
+const notificationSchemas = {
+  // Schema for creating a notification channel
+  createChannel: Joi.object({
+    ...channelFields,
+    name: channelFields.name.required().messages({ 'any.required': 'Channel name is required' }),
+    type: channelFields.type.required().messages({ 'any.required': 'Channel type is required' }),
+    enabled: channelFields.enabled.default(true),
+    events: channelFields.events.min(1).required().messages({
+      'array.min': 'Subscribe the channel to at least one event',
+      'any.required': 'Events are required'
+    }),
+    projects: channelFields.projects.default([]),
+    destination: destination.default({})
+  }),
+
+  // Schema for updating a notification channel
+  updateChannel: Joi.object(channelFields)
+    .min(1)
+    .with('destination', 'type')
+    .messages({
+      'object.min': 'At least one field must be provided for update',
+      'object.with': 'Channel type is required when the destination changes'
+    }),
+
+  // Schema for notification channel route parameters
+  channelParams: Joi.object({
+    id: objectId('Channel ID').required()
+  }),
+
+  // Schema for delivery log query parameters
+  deliveriesQuery: CommonValidators.pagination().keys({
+    channelId: objectId('Channel ID'),
+    event: Joi.string().valid(...NOTIFICATION_EVENT_NAMES, 'test').messages({
+      'any.only': 'Unknown notification event'
+    }),
+    status: Joi.string().valid('sent', 'failed').messages({
+      'any.only': 'Status must be sent or failed'
+    })
+  })
+};
+
+module.exports = notificationSchemas;
@@ -1,4 +1,175 @@
 const Joi = require('joi');
+const { MEMBER_ROLES } = require('../services/projectAccessService');
+const { GIT_URL_PATTERN, REPOSITORY_PATH_PATTERN } = require('../services/gitService');
+const { ADDON_TYPES } = require('../models/ProjectAddon');
+
+// Type of a managed add-on
+const addonType = Joi.string()
+  .valid(...ADDON_TYPES)
+  .messages({
+    'any.only': `Add-on must be one of ${ADDON_TYPES.join(', ')}`,
+    'any.required': 'Add-on is required'
+  });
+
+// HTTPS access token of a private repository
+const gitToken = Joi.object({
+  username: Joi.string()
+    .trim()
+    .max(100)
+    .pattern(/^[^\s:]+$/)
+    .allow(null, '')
+    .optional()
+    .messages({
+      'string.pattern.base': 'Token username cannot contain spaces or colons',
+      'string.max': 'Token username cannot exceed 100 characters'
+    }),
+  token: Joi.string()
+    .max(1000)
+    .pattern(/^\S+$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Access token cannot contain whitespace',
+      'string.max': 'Access token cannot exceed 1000 characters',
+      'any.required': 'Access token is required'
+    })
+});
+
+// Container resource limits, shared by deployment and update (null removes a limit)
+const resourceLimits = Joi.object({
+  cpus: Joi.number()
+    .min(0.01)
+    .max(64)
+    .precision(2)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'CPU limit must be a number',
+      'number.min': 'CPU limit must be at least 0.01 CPUs',
+      'number.max': 'CPU limit cannot exceed 64 CPUs'
+    }),
+  cpuShares: Joi.number()
+    .integer()
+    .min(2)
+    .max(262144)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'CPU shares must be a number',
+      'number.integer': 'CPU shares must be an integer',
+      'number.min': 'CPU shares must be at least 2',
+      'number.max': 'CPU shares cannot exceed 262144'
+    }),
+  memory: Joi.number()
+    .integer()
+    .min(6)
+    .max(1048576)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Memory limit must be a number of megabytes',
+      'number.integer': 'Memory limit must be a whole number of megabytes',
+      'number.min': 'Memory limit must be at least 6 MB',
+      'number.max': 'Memory limit cannot exceed 1048576 MB'
+    }),
+  pidsLimit: Joi.number()
+    .integer()
+    .min(10)
+    .max(4194304)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Process limit must be a number',
+      'number.integer': 'Process limit must be an integer',
+      'number.min': 'Process limit must be at least 10',
+      'number.max': 'Process limit cannot exceed 4194304'
+    })
+});
+
+// Path in the repository (no absolute paths or .. segments)
+const repositoryPath = (label) => Joi.string()
+  .trim()
+  .max(255)
+  .pattern(REPOSITORY_PATH_PATTERN)
+  .allow(null, '')
+  .optional()
+  .messages({
+    'string.pattern.base': `${label} must be a path inside the repository, without ..`,
+    'string.max': `${label} cannot exceed 255 characters`
+  });
+
+// Name of a service in a compose file
+const composeService = Joi.string()
+  .trim()
+  .max(100)
+  .pattern(/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/)
+  .messages({
+    'string.pattern.base': 'Compose service can only contain letters, numbers, dots, hyphens, and underscores',
+    'string.max': 'Compose service cannot exceed 100 characters'
+  });
+
+// Where in the repository the app is built, shared by deployment and update (replaces the whole setting)
+const buildSettings = Joi.object({
+  context: repositoryPath('Build context'),
+  dockerfile: repositoryPath('Dockerfile path'),
+  composeFile: repositoryPath('Compose file'),
+  composeService: composeService.allow(null, '').optional(),
+  stack: Joi.boolean().default(false)
+})
+  .custom((value, helpers) => {
+    if (!value.composeFile !== !value.composeService) return helpers.error('build.compose');
+    if (value.composeFile && value.dockerfile) return helpers.error('build.dockerfile');
+    if (value.stack && !value.composeFile) return helpers.error('build.stack');
+    return value;
+  })
+  .messages({
+    'build.compose': 'A compose file and the service to deploy from it must be set together',
+    'build.dockerfile': 'The Dockerfile of a compose service is set in its compose file',
+    'build.stack': 'Deploying a stack needs a compose file'
+  });
+
+// HTTP health check, shared by deployment and update (replaces the whole check)
+const healthCheck = Joi.object({
+  enabled: Joi.boolean().default(true),
+  path: Joi.string()
+    .max(200)
+    .pattern(/^\/[a-zA-Z0-9\/_.~%?=&-]*$/)
+    .default('/')
+    .messages({
+      'string.pattern.base': 'Health check path must start with / and be a valid URL path'
+    }),
+  interval: Joi.number()
+    .integer()
+    .min(5)
+    .max(3600)
+    .default(30)
+    .messages({
+      'number.min': 'Health check interval must be at least 5 seconds',
+      'number.max': 'Health check interval cannot exceed 3600 seconds'
+    }),
+  timeout: Joi.number()
+    .integer()
+    .min(1)
+    .max(60)
+    .default(5)
+    .messages({
+      'number.min': 'Health check timeout must be at least 1 second',
+      'number.max': 'Health check timeout cannot exceed 60 seconds'
+    }),
+  failureThreshold: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .default(3)
+    .messages({
+      'number.min': 'Failure threshold must be at least 1',
+      'number.max': 'Failure threshold cannot exceed 20'
+    }),
+  autoRestart: Joi.boolean().default(false)
+})
+  .custom((value, helpers) => (value.timeout < value.interval ? value : helpers.error('healthCheck.timeout')))
+  .messages({
+    'healthCheck.timeout': 'Health check timeout must be shorter than its interval'
+  });
 
 /**
  * Validation schemas for project-related operations
@@ -10,9 +181,12 @@ const projectSchemas = {
       .min(1)
       .max(50)
       .pattern(/^[a-zA-Z0-9-_]+$/)
+      // <project>-addons is the Compose project of a project's add-ons
+      .pattern(/-addons$/i, { invert: true })
       .required()
       .messages({
         'string.pattern.base': 'Project name can only contain letters, numbers, hyphens, and underscores',
+        'string.pattern.invert.base': 'Project name cannot end in -addons, which names the add-ons of a project',
         'string.min': 'Project name must be at least 1 character long',
         'string.max': 'Project name cannot exceed 50 characters'
       }),
@@ -28,12 +202,40 @@ const projectSchemas = {
         'string.max': 'Domain cannot exceed 255 characters'
       }),
     
+    // Template to deploy instead of a repository (see GET /templates)
+    template: Joi.string()
+      .max(50)
+      .pattern(/^[a-z0-9-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Template must be the ID of a template'
+      }),
+
     repository: Joi.string()
-      .uri({ scheme: ['http', 'https', 'git'] })
-      .required()
+      .trim()
+      .pattern(GIT_URL_PATTERN)
+      .when('template', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
+      .messages({
+        'string.pattern.base': 'Repository must be an http(s), git or SSH URL (e.g. git@github.com:org/repo.git)',
+        'any.required': 'Repository URL is required',
+        'any.unknown': 'Templates are deployed without a repository'
+      }),
+
+    // Credentials of a private repository: a deploy key from POST /deploy-keys or an access token
+    gitAuth: Joi.alternatives()
+      .try(
+        Joi.object({
+          type: Joi.string().valid('deployKey').required(),
+          keyToken: Joi.string().max(4096).required()
+        }),
+        gitToken.keys({
+          type: Joi.string().valid('token').required()
+        })
+      )
+      .when('template', { is: Joi.exist(), then: Joi.forbidden() })
       .messages({
-        'string.uri': 'Repository must be a valid URL',
-        'any.required': 'Repository URL is required'
+        'alternatives.match': 'Repository credentials must be a deploy key or an access token',
+        'any.unknown': 'Templates are deployed without a repository'
       }),
     
     branch: Joi.string()
@@ -68,6 +270,24 @@ const projectSchemas = {
         'object.pattern': 'Environment variable names must be 1-100 characters, values must be max 1000 characters'
       }),
     
+    secrets: Joi.object()
+      .pattern(
+        Joi.string().max(100).pattern(/^[A-Za-z_][A-Za-z0-9_]*$/),
+        Joi.string().max(4096).pattern(/^[^\r\n]*$/)
+      )
+      .optional()
+      .messages({
+        'object.pattern': 'Secret names can only contain letters, numbers and underscores, values must be single-line and max 4096 characters'
+      }),
+
+    addons: Joi.array()
+      .items(addonType)
+      .unique()
+      .optional()
+      .messages({
+        'array.unique': 'Each add-on can only be attached once'
+      }),
+    
     port: Joi.number()
       .integer()
       .min(1)
@@ -80,12 +300,35 @@ const projectSchemas = {
         'number.max': 'Port cannot exceed 65535'
       }),
     
+    containerPort: Joi.number()
+      .integer()
+      .min(1)
+      .max(65535)
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'Container port must be a number',
+        'number.integer': 'Container port must be an integer',
+        'number.min': 'Container port must be at least 1',
+        'number.max': 'Container port cannot exceed 65535'
+      }),
+    
     autoPort: Joi.boolean()
       .default(false)
       .messages({
         'boolean.base': 'Auto port must be a boolean value'
       }),
     
+    build: buildSettings
+      .when('template', { is: Joi.exist(), then: Joi.forbidden() })
+      .messages({
+        'any.unknown': 'Templates are deployed without build settings'
+      }),
+
+    resources: resourceLimits.optional(),
+
+    healthCheck: healthCheck.optional(),
+    
     assignedPort: Joi.number()
       .integer()
       .min(1)
@@ -105,9 +348,12 @@ const projectSchemas = {
       .min(1)
       .max(50)
       .pattern(/^[a-zA-Z0-9-_]+$/)
+      // <project>-addons is the Compose project of a project's add-ons
+      .pattern(/-addons$/i, { invert: true })
       .optional()
       .messages({
         'string.pattern.base': 'Project name can only contain letters, numbers, hyphens, and underscores',
+        'string.pattern.invert.base': 'Project name cannot end in -addons, which names the add-ons of a project',
         'string.min': 'Project name must be at least 1 character long',
         'string.max': 'Project name cannot exceed 50 characters'
       }),
@@ -124,10 +370,11 @@ const projectSchemas = {
       }),
     
     repository: Joi.string()
-      .uri({ scheme: ['http', 'https', 'git'] })
+      .trim()
+      .pattern(GIT_URL_PATTERN)
       .optional()
       .messages({
-        'string.uri': 'Repository must be a valid URL'
+        'string.pattern.base': 'Repository must be an http(s), git or SSH URL (e.g. git@github.com:org/repo.git)'
       }),
     
     branch: Joi.string()
@@ -174,7 +421,26 @@ const projectSchemas = {
         'number.integer': 'Port must be an integer',
         'number.min': 'Port must be at least 1',
         'number.max': 'Port cannot exceed 65535'
-      })
+      }),
+    
+    containerPort: Joi.number()
+      .integer()
+      .min(1)
+      .max(65535)
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'Container port must be a number',
+        'number.integer': 'Container port must be an integer',
+        'number.min': 'Container port must be at least 1',
+        'number.max': 'Container port cannot exceed 65535'
+      }),
+    
+    build: buildSettings.optional(),
+
+    resources: resourceLimits.optional(),
+
+    healthCheck: healthCheck.optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
@@ -194,6 +460,150 @@ const projectSchemas = {
       })
   }),
 
+  // Schema for deployment route parameters
+  deploymentParams: Joi.object({
+    id: Joi.string()
+      .min(1)
+      .max(100)
+      .pattern(/^[a-zA-Z0-9-_]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Project ID can only contain letters, numbers, hyphens, and underscores',
+        'any.required': 'Project ID is required'
+      }),
+    deploymentId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': 'Deployment ID must be a valid ID',
+        'string.length': 'Deployment ID must be a valid ID',
+        'any.required': 'Deployment ID is required'
+      })
+  }),
+
+  // Schema for secret route parameters
+  secretParams: Joi.object({
+    id: Joi.string()
+      .min(1)
+      .max(100)
+      .pattern(/^[a-zA-Z0-9-_]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Project ID can only contain letters, numbers, hyphens, and underscores',
+        'any.required': 'Project ID is required'
+      }),
+    key: Joi.string()
+      .max(100)
+      .pattern(/^[A-Za-z_][A-Za-z0-9_]*$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Secret names can only contain letters, numbers and underscores',
+        'string.max': 'Secret name cannot exceed 100 characters',
+        'any.required': 'Secret name is required'
+      })
+  }),
+
+  // Schema for setting a secret value
+  setSecret: Joi.object({
+    value: Joi.string()
+      .max(4096)
+      .pattern(/^[^\r\n]*$/)
+      .allow('')
+      .required()
+      .messages({
+        'string.pattern.base': 'Secret values must be a single line',
+        'string.max': 'Secret value cannot exceed 4096 characters',
+        'any.required': 'Secret value is required'
+      })
+  }),
+
+  // Schema for project backup route parameters
+  backupParams: Joi.object({
+    id: Joi.string()
+      .min(1)
+      .max(100)
+      .pattern(/^[a-zA-Z0-9-_]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Project ID can only contain letters, numbers, hyphens, and underscores',
+        'any.required': 'Project ID is required'
+      }),
+    backupId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': 'Backup ID must be a valid ID',
+        'string.length': 'Backup ID must be a valid ID',
+        'any.required': 'Backup ID is required'
+      })
+  }),
+
+  // Schema for backup archive download parameters
+  backupArchiveParams: Joi.object({
+    id: Joi.string()
+      .min(1)
+      .max(100)
+      .pattern(/^[a-zA-Z0-9-_]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Project ID can only contain letters, numbers, hyphens, and underscores',
+        'any.required': 'Project ID is required'
+      }),
+    backupId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': 'Backup ID must be a valid ID',
+        'string.length': 'Backup ID must be a valid ID',
+        'any.required': 'Backup ID is required'
+      }),
+    volume: Joi.string()
+      .max(255)
+      .pattern(/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Volume name can only contain letters, numbers, dots, hyphens and underscores',
+        'any.required': 'Volume name is required'
+      })
+  }),
+
+  // Schema for creating a project backup
+  createBackup: Joi.object({
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .default('')
+      .messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      })
+  }),
+
+  // Schema for build job route parameters
+  buildJobId: Joi.object({
+    jobId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Build job ID must be a valid ID',
+        'any.required': 'Build job ID is required'
+      })
+  }),
+
+  // Schema for build job list query parameters
+  buildsQuery: Joi.object({
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+      .messages({
+        'string.hex': 'Project ID must be a valid ID',
+        'string.length': 'Project ID must be a valid ID'
+      }),
+    active: Joi.boolean()
+  }),
+
   // Schema for logs query parameters
   logsQuery: Joi.object({
     lines: Joi.number()
@@ -206,7 +616,8 @@ const projectSchemas = {
         'number.integer': 'Lines must be an integer',
         'number.min': 'Lines must be at least 1',
         'number.max': 'Lines cannot exceed 10000'
-      })
+      }),
+    service: composeService.optional()
   }),
 
   updatePort: Joi.object({
@@ -222,7 +633,90 @@ const projectSchemas = {
         'number.max': 'Port cannot exceed 65535',
         'any.required': 'Port is required'
       })
-  })
+  }),
+
+  // Schema for project member route parameters
+  memberParams: Joi.object({
+    id: Joi.string()
+      .min(1)
+      .max(100)
+      .pattern(/^[a-zA-Z0-9-_]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Project ID can only contain letters, numbers, hyphens, and underscores',
+        'any.required': 'Project ID is required'
+      }),
+    userId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': 'User ID must be a valid ID',
+        'string.length': 'User ID must be a valid ID',
+        'any.required': 'User ID is required'
+      })
+  }),
+
+  // Schema for adding a project member
+  addMember: Joi.object({
+    username: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'Username or email is required',
+        'any.required': 'Username or email is required'
+      }),
+    role: Joi.string()
+      .valid(...MEMBER_ROLES)
+      .default('viewer')
+      .messages({
+        'any.only': `Role must be one of ${MEMBER_ROLES.join(', ')}`
+      })
+  }),
+
+  // Schema for changing the role of a project member
+  updateMember: Joi.object({
+    role: Joi.string()
+      .valid(...MEMBER_ROLES)
+      .required()
+      .messages({
+        'any.only': `Role must be one of ${MEMBER_ROLES.join(', ')}`,
+        'any.required': 'Role is required'
+      })
+  }),
+
+  // Schema for add-on route parameters
+  addonParams: Joi.object({
+    id: Joi.string()
+      .min(1)
+      .max(100)
+      .pattern(/^[a-zA-Z0-9-_]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Project ID can only contain letters, numbers, hyphens, and underscores',
+        'any.required': 'Project ID is required'
+      }),
+    type: addonType.required()
+  }),
+
+  // Schema for attaching an add-on
+  attachAddon: Joi.object({
+    type: addonType.required(),
+    envVar: Joi.string()
+      .max(100)
+      .pattern(/^[A-Za-z_][A-Za-z0-9_]*$/)
+      .allow(null, '')
+      .optional()
+      .messages({
+        'string.pattern.base': 'Variable names can only contain letters, numbers and underscores',
+        'string.max': 'Variable name cannot exceed 100 characters'
+      })
+  }),
+
+  // Schema for setting the access token of a private repository
+  gitToken
 };
 
 module.exports = projectSchemas;
@@ -1,4 +1,23 @@
 const Joi = require('joi');
+const { QUOTA_ROLES } = require('../models/RoleQuota');
+
+// Limit of a quota; null means unlimited on roles and the role's limit on users
+const quotaLimit = (label, integer = true) => {
+  const schema = Joi.number().min(0).allow(null).default(null);
+  return (integer ? schema.integer() : schema.precision(2)).messages({
+    'number.base': `${label} must be a number or null`,
+    'number.integer': `${label} must be a whole number`,
+    'number.min': `${label} cannot be negative`
+  });
+};
+
+const quotaLimits = Joi.object({
+  maxProjects: quotaLimit('Project limit'),
+  maxMemory: quotaLimit('Memory limit'),
+  maxCpus: quotaLimit('CPU limit', false),
+  maxConcurrentBuilds: quotaLimit('Concurrent build limit'),
+  maxDisk: quotaLimit('Disk limit')
+});
 
 /**
  * Validation schemas for user-related operations
@@ -104,6 +123,20 @@ const userSchemas = {
       })
   }),
 
+  // Schema for quota updates of users and roles
+  quota: quotaLimits,
+
+  // Schema for role quota parameters
+  quotaRole: Joi.object({
+    role: Joi.string()
+      .valid(...QUOTA_ROLES)
+      .required()
+      .messages({
+        'any.only': `Role must be one of: ${QUOTA_ROLES.join(', ')}`,
+        'any.required': 'Role is required'
+      })
+  }),
+
   // Schema for user search query
   userSearchQuery: Joi.object({
     page: Joi.number()
@@ -0,0 +1,545 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const SecretCipher = require("../utils/secretCipher");
+const { ErrorFactory, ConflictError } = require("../utils/serviceErrors");
+const { ADDON_TYPES } = require("../models/ProjectAddon");
+const addonRepository = require("../repositories/addonRepository");
+const secretRepository = require("../repositories/secretRepository");
+const { getQuotaService } = require("./quotaService");
+
+// Shown instead of passwords in connection URLs
+const MASKED_VALUE = "********";
+
+// Managed services, their data directory and how apps connect to them
+const ADDON_CATALOG = {
+  postgres: {
+    name: "PostgreSQL",
+    port: 5432,
+    dataPath: "/var/lib/postgresql/data",
+    envVar: "DATABASE_URL",
+    environment: ({ username, password, database }) => ({
+      POSTGRES_USER: username,
+      POSTGRES_PASSWORD: password,
+      POSTGRES_DB: database,
+    }),
+    url: ({ host, username, password, database }) => `postgresql://${username}:${password}@${host}:5432/${database}`,
+  },
+  mysql: {
+    name: "MySQL",
+    port: 3306,
+    dataPath: "/var/lib/mysql",
+    envVar: "DATABASE_URL",
+    environment: ({ username, password, database }) => ({
+      MYSQL_USER: username,
+      MYSQL_PASSWORD: password,
+      MYSQL_DATABASE: database,
+      MYSQL_RANDOM_ROOT_PASSWORD: "yes",
+    }),
+    url: ({ host, username, password, database }) => `mysql://${username}:${password}@${host}:3306/${database}`,
+  },
+  redis: {
+    name: "Redis",
+    port: 6379,
+    dataPath: "/data",
+    envVar: "REDIS_URL",
+    // Only a password, no users or databases
+    users: false,
+    environment: ({ password }) => ({ REDIS_PASSWORD: password }),
+    // The password comes from the environment so it stays out of the command line ($$ escapes Compose)
+    command: ["sh", "-c", 'exec redis-server --appendonly yes --requirepass "$$REDIS_PASSWORD"'],
+    url: ({ host, password }) => `redis://:${password}@${host}:6379/0`,
+  },
+  mongodb: {
+    name: "MongoDB",
+    port: 27017,
+    dataPath: "/data/db",
+    envVar: "MONGODB_URL",
+    environment: ({ username, password, database }) => ({
+      MONGO_INITDB_ROOT_USERNAME: username,
+      MONGO_INITDB_ROOT_PASSWORD: password,
+      MONGO_INITDB_DATABASE: database,
+    }),
+    url: ({ host, username, password, database }) =>
+      `mongodb://${username}:${password}@${host}:27017/${database}?authSource=admin`,
+  },
+};
+
+// User and database of services that have them
+const DEFAULT_USERNAME = "app";
+const DEFAULT_DATABASE = "app";
+
+/**
+ * Addon Service - Managed database add-ons of projects
+ *
+ * The add-ons of a project run as their own Compose project, <project>-addons,
+ * whose file is written to SECRETS_DIR/addons/<project>.yml: one container per
+ * add-on on the platform network, named <project>-addon-<type>, with its data
+ * in the named volume <project>-addon-<type>-data and its CPUs, memory and
+ * processes limited by ADDON_CPUS, ADDON_MEMORY and ADDON_PIDS_LIMIT, which
+ * count towards the quota of the project's owner. Passwords are generated,
+ * stored encrypted with the SECRETS_MASTER_KEY and never returned; the
+ * project gets a connection URL per add-on through a second env file,
+ * SECRETS_DIR/<project>.addons.env. Add-ons start and stop with their
+ * project, their volumes are part of its backups and they are removed,
+ * data included, with it.
+ */
+class AddonService extends BaseService {
+  constructor(dependencies = {}) {
+    super("AddonService", dependencies);
+
+    this.addonRepository = dependencies.addonRepository || addonRepository;
+    this.secretRepository = dependencies.secretRepository || secretRepository;
+    this.quotaService = dependencies.quotaService || getQuotaService();
+    this.secretsDir = path.resolve(dependencies.secretsDir || config.secretsDir);
+    this.cipher = dependencies.cipher || null;
+  }
+
+  /**
+   * Get the cipher, created on first use so the API starts without a master key
+   * @returns {SecretCipher} Cipher
+   */
+  getCipher() {
+    if (!this.cipher) {
+      this.cipher = new SecretCipher(config.secretsMasterKey);
+    }
+    return this.cipher;
+  }
+
+  /**
+   * Get the add-ons a project can have
+   * @returns {Array} Type, name, image, port and default variable of each add-on
+   */
+  getCatalog() {
+    return ADDON_TYPES.map((type) => ({
+      type,
+      name: ADDON_CATALOG[type].name,
+      image: config.addonImages[type],
+      port: ADDON_CATALOG[type].port,
+      envVar: ADDON_CATALOG[type].envVar
+    }));
+  }
+
+  /**
+   * List the add-ons of a project with the state of their containers
+   * @param {Object} project - Project
+   * @returns {Promise<Array>} Add-ons with masked connection URLs
+   */
+  async listAddons(project) {
+    const addons = await this.addonRepository.findByProject(project._id);
+    return Promise.all(addons.map(async (addon) => ({
+      ...this._describe(project, addon),
+      state: await this._getState(this.getContainerName(project, addon.type)),
+    })));
+  }
+
+  /**
+   * Give a project an add-on, started right away when the project runs
+   * @param {Object} project - Project
+   * @param {string} type - Add-on type
+   * @param {Object} options - Variable to pass the connection URL in (defaults to the add-on's)
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Object>} Add-on
+   */
+  async attachAddon(project, type, { envVar = null } = {}, userId = null) {
+    return this.executeOperation("attachAddon", async () => {
+      const catalogEntry = this._getCatalogEntry(type);
+      const variable = envVar || catalogEntry.envVar;
+
+      if (await this.addonRepository.findByType(project._id, type)) {
+        throw new ConflictError(`add-on ${type}`, "The project already has this add-on");
+      }
+      await this._ensureVariableFree(project, variable);
+      await this.quotaService.checkAddon(project);
+
+      const hasUsers = catalogEntry.users !== false;
+      const addon = await this.addonRepository.create({
+        project: project._id,
+        type,
+        envVar: variable,
+        username: hasUsers ? DEFAULT_USERNAME : null,
+        database: hasUsers ? DEFAULT_DATABASE : null,
+        password: this.getCipher().encrypt(crypto.randomBytes(24).toString("hex")),
+        createdBy: userId,
+      });
+
+      // Add-ons of a stopped or deploying project start with it
+      if (project.status === "running") {
+        await this.startAddons(project);
+      } else {
+        await this._writeComposeFile(project);
+      }
+      this.logger.info(`Add-on ${type} attached to project ${project.name}`, { userId });
+      return { ...this._describe(project, addon), state: await this._getState(this.getContainerName(project, type)) };
+    }, { projectName: project.name, type });
+  }
+
+  /**
+   * Give a project several add-ons, e.g. when it is deployed
+   * @param {Object} project - Project
+   * @param {Array<string>} types - Add-on types
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Array>} Add-ons
+   */
+  async attachAddons(project, types = [], userId = null) {
+    const attached = [];
+    for (const type of types) {
+      attached.push(await this.attachAddon(project, type, {}, userId));
+    }
+    return attached;
+  }
+
+  /**
+   * Remove an add-on from a project, deleting its container and data
+   * @param {Object} project - Project
+   * @param {string} type - Add-on type
+   * @returns {Promise<boolean>} False when the project does not have the add-on
+   */
+  async detachAddon(project, type) {
+    return this.executeOperation("detachAddon", async () => {
+      if (!(await this.addonRepository.findByType(project._id, type))) return false;
+
+      await this._compose(project, ["rm", "--stop", "--force", type]);
+      await this.executeCommand("docker", ["volume", "rm", "--force", this.getVolumeName(project, type)], {
+        timeout: 60000,
+      });
+      await this.addonRepository.deleteByType(project._id, type);
+
+      const remaining = await this.addonRepository.findByProject(project._id);
+      if (remaining.length === 0) {
+        await this._removeFiles(project);
+      } else {
+        await this._writeComposeFile(project);
+        await this.writeEnvFile(project);
+      }
+
+      this.logger.info(`Add-on ${type} removed from project ${project.name}`);
+      return true;
+    }, { projectName: project.name, type });
+  }
+
+  /**
+   * Start the add-ons of a project, recreating the ones whose settings changed
+   * @param {Object} project - Project
+   * @returns {Promise<boolean>} False when the project has no add-ons
+   */
+  async startAddons(project) {
+    const addons = await this.addonRepository.findByProject(project._id, { includeCredentials: true });
+    if (addons.length === 0) return false;
+
+    await this._writeComposeFile(project, addons);
+    await this._compose(project, ["up", "-d", "--remove-orphans"], { timeout: config.deploymentTimeout });
+    return true;
+  }
+
+  /**
+   * Stop and remove the add-on containers of a project, keeping their data
+   * @param {Object} project - Project
+   * @returns {Promise<void>}
+   */
+  async stopAddons(project) {
+    if (!(await this._composeFileExists(project))) return;
+    await this._compose(project, ["down"]);
+  }
+
+  /**
+   * Write the connection URLs of a project's add-ons to its add-on env file
+   * @param {Object} project - Project
+   * @returns {Promise<string|null>} Path of the env file, null when the project has no add-ons
+   */
+  async writeEnvFile(project) {
+    const addons = await this.addonRepository.findByProject(project._id, { includeCredentials: true });
+    const envFile = this.getEnvFilePath(project.name);
+
+    if (addons.length === 0) {
+      await fs.rm(envFile, { force: true });
+      return null;
+    }
+
+    const content = addons
+      .map((addon) => `${addon.envVar}=${this._connectionUrl(project, addon, this.getCipher().decrypt(addon.password))}\n`)
+      .join("");
+
+    await fs.mkdir(this.secretsDir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(envFile, content, { mode: 0o600 });
+    // The mode above only applies to new files
+    await fs.chmod(envFile, 0o600);
+
+    return envFile;
+  }
+
+  /**
+   * Remove the add-ons of a project with their data
+   * @param {Object} project - Project
+   * @returns {Promise<void>}
+   */
+  async deleteByProject(project) {
+    if (await this._composeFileExists(project)) {
+      await this._compose(project, ["down", "--volumes"]);
+    }
+    await this._removeFiles(project);
+    await this.addonRepository.deleteByProject(project._id);
+  }
+
+  /**
+   * Compose project the add-ons of a project belong to, which labels their volumes
+   * @param {string} projectName - Project name
+   * @returns {string} Compose project name
+   */
+  getComposeProject(projectName) {
+    return `${projectName}-addons`.toLowerCase();
+  }
+
+  /**
+   * Container, and host name on the platform network, of an add-on
+   * @param {Object} project - Project
+   * @param {string} type - Add-on type
+   * @returns {string} Container name
+   */
+  getContainerName(project, type) {
+    return `${project.name}-addon-${type}`;
+  }
+
+  /**
+   * @param {Object} project - Project
+   * @param {string} type - Add-on type
+   * @returns {string} Volume name
+   */
+  getVolumeName(project, type) {
+    return `${project.name}-addon-${type}-data`;
+  }
+
+  /**
+   * Data volumes of the add-ons a project has, e.g. to back them up
+   * @param {Object} project - Project
+   * @returns {Promise<Array<string>>} Volume names
+   */
+  async getVolumeNames(project) {
+    const addons = await this.addonRepository.findByProject(project._id);
+    return addons.map((addon) => this.getVolumeName(project, addon.type));
+  }
+
+  /**
+   * Path of a project's add-on env file
+   * @param {string} projectName - Project name
+   * @returns {string} Absolute path
+   */
+  getEnvFilePath(projectName) {
+    return path.join(this.secretsDir, `${projectName}.addons.env`);
+  }
+
+  /**
+   * Compose file of a project's add-ons, which holds their passwords
+   * @param {string} projectName - Project name
+   * @returns {string} Absolute path
+   */
+  getComposeFilePath(projectName) {
+    return path.join(this.secretsDir, "addons", `${projectName}.yml`);
+  }
+
+  /**
+   * Render the Compose file of a project's add-ons
+   * @param {Object} project - Project
+   * @param {Array} addons - Add-ons with their decrypted passwords
+   * @returns {string} Docker Compose content
+   */
+  generateComposeContent(project, addons) {
+    const { cpus, memory, pidsLimit } = config.addonResources;
+    const services = addons.map((addon) => {
+      const catalogEntry = ADDON_CATALOG[addon.type];
+      const environment = Object.entries(catalogEntry.environment(addon))
+        .map(([key, value]) => `      ${key}: ${JSON.stringify(value)}`)
+        .join("\n");
+
+      return [
+        `  ${addon.type}:`,
+        `    image: ${config.addonImages[addon.type]}`,
+        `    container_name: ${this.getContainerName(project, addon.type)}`,
+        "    restart: unless-stopped",
+        `    cpus: ${cpus}`,
+        `    mem_limit: ${memory}m`,
+        `    memswap_limit: ${memory}m`,
+        `    pids_limit: ${pidsLimit}`,
+        catalogEntry.command ? `    command: ${JSON.stringify(catalogEntry.command)}` : "",
+        "    environment:",
+        environment,
+        "    volumes:",
+        `      - ${this.getVolumeName(project, addon.type)}:${catalogEntry.dataPath}`,
+        "    networks:",
+        "      - pi-network",
+      ].filter(Boolean).join("\n");
+    });
+
+    const volumes = addons.map((addon) => {
+      const volumeName = this.getVolumeName(project, addon.type);
+      return `  ${volumeName}:\n    name: ${volumeName}`;
+    });
+
+    return `services:
+${services.join("\n")}
+
+networks:
+  pi-network:
+    external: true
+    name: raspberry-host_pi-network
+
+volumes:
+${volumes.join("\n")}
+`;
+  }
+
+  /**
+   * @private
+   */
+  _getCatalogEntry(type) {
+    const catalogEntry = ADDON_CATALOG[type];
+    if (!catalogEntry) {
+      throw ErrorFactory.validation(`Unknown add-on ${type}, use one of: ${ADDON_TYPES.join(", ")}`, "type", type);
+    }
+    return catalogEntry;
+  }
+
+  /**
+   * Refuse variables the project already sets, as one of them would be ignored
+   * @private
+   */
+  async _ensureVariableFree(project, envVar) {
+    const environment = project.environment instanceof Map
+      ? Object.fromEntries(project.environment)
+      : project.environment || {};
+
+    const addons = await this.addonRepository.findByProject(project._id);
+    if (
+      Object.prototype.hasOwnProperty.call(environment, envVar) ||
+      addons.some((addon) => addon.envVar === envVar) ||
+      (await this.secretRepository.findByKey(project._id, envVar))
+    ) {
+      throw new ConflictError(
+        `variable ${envVar}`,
+        "The project already has a variable, secret or add-on with this name, choose another envVar"
+      );
+    }
+  }
+
+  /**
+   * Public representation of an add-on
+   * @private
+   */
+  _describe(project, addon) {
+    const catalogEntry = ADDON_CATALOG[addon.type];
+    return {
+      type: addon.type,
+      name: catalogEntry.name,
+      image: config.addonImages[addon.type],
+      host: this.getContainerName(project, addon.type),
+      port: catalogEntry.port,
+      username: addon.username,
+      database: addon.database,
+      envVar: addon.envVar,
+      url: this._connectionUrl(project, addon, MASKED_VALUE),
+      volume: this.getVolumeName(project, addon.type),
+      createdAt: addon.createdAt,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _connectionUrl(project, addon, password) {
+    return ADDON_CATALOG[addon.type].url({
+      host: this.getContainerName(project, addon.type),
+      username: addon.username,
+      password,
+      database: addon.database,
+    });
+  }
+
+  /**
+   * State of an add-on container, "missing" when it does not exist
+   * @private
+   */
+  async _getState(containerName) {
+    try {
+      const result = await this.executeCommand(
+        "docker",
+        ["inspect", "--format", "{{.State.Status}}", containerName],
+        { timeout: 30000, sanitizeArgs: false }
+      );
+      return result.stdout.trim() || "missing";
+    } catch (error) {
+      return "missing";
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _writeComposeFile(project, addons = null) {
+    addons = addons || await this.addonRepository.findByProject(project._id, { includeCredentials: true });
+    const composeFile = this.getComposeFilePath(project.name);
+    const cipher = this.getCipher();
+    const content = this.generateComposeContent(
+      project,
+      addons.map((addon) => ({
+        type: addon.type,
+        username: addon.username,
+        database: addon.database,
+        password: cipher.decrypt(addon.password),
+      }))
+    );
+
+    await fs.mkdir(path.dirname(composeFile), { recursive: true, mode: 0o700 });
+    await fs.writeFile(composeFile, content, { mode: 0o600 });
+    await fs.chmod(composeFile, 0o600);
+  }
+
+  /**
+   * @private
+   */
+  async _composeFileExists(project) {
+    try {
+      await fs.access(this.getComposeFilePath(project.name));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _removeFiles(project) {
+    await fs.rm(this.getComposeFilePath(project.name), { force: true });
+    await fs.rm(this.getEnvFilePath(project.name), { force: true });
+  }
+
+  /**
+   * Run docker-compose on the add-ons of a project
+   * @private
+   */
+  async _compose(project, args, { timeout = 120000 } = {}) {
+    return this.executeCommand(
+      "docker-compose",
+      ["-p", this.getComposeProject(project.name), "-f", this.getComposeFilePath(project.name), ...args],
+      { timeout }
+    );
+  }
+}
+
+// Create singleton instance
+let addonServiceInstance = null;
+
+const getAddonService = () => {
+  if (!addonServiceInstance) {
+    addonServiceInstance = new AddonService();
+  }
+  return addonServiceInstance;
+};
+
+module.exports = {
+  AddonService,
+  ADDON_CATALOG,
+  getAddonService,
+};
@@ -0,0 +1,244 @@
+const BaseService = require("../utils/baseService");
+const buildLogRepository = require("../repositories/buildLogRepository");
+const deploymentRepository = require("../repositories/deploymentRepository");
+const { getProjectAccessService } = require("./projectAccessService");
+
+const MAX_LOG_LINES = 5000;
+const MAX_LINE_LENGTH = 4000;
+const FLUSH_INTERVAL = 1000;
+
+// Colour and cursor codes of docker and git output
+const ANSI_ESCAPE = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Build Log Service - Streams clone and build output of deployments
+ *
+ * Output is split into lines and broadcast to the `build_log:<deploymentId>`
+ * Socket.IO room as it arrives. Lines are written to MongoDB in batches so
+ * the log can be read again after the deployment finished; only the newest
+ * MAX_LOG_LINES lines are kept.
+ */
+class BuildLogService extends BaseService {
+  constructor(dependencies = {}) {
+    super("BuildLogService", dependencies);
+
+    this.io = dependencies.io || null;
+    this.active = new Map();
+  }
+
+  /**
+   * Attach the Socket.IO server used for broadcasting
+   * @param {Object} io - Socket.IO server
+   */
+  attach(io) {
+    this.io = io;
+  }
+
+  /**
+   * Room that receives the output of a deployment
+   * @param {string} deploymentId - Deployment ID
+   * @returns {string} Room name
+   */
+  getRoom(deploymentId) {
+    return `build_log:${deploymentId}`;
+  }
+
+  /**
+   * Start collecting the log of a deployment
+   * Announces the deployment so clients waiting for it can join its room.
+   * @param {Object} deployment - Deployment record
+   * @param {Object} project - Project being deployed
+   */
+  start(deployment, project) {
+    const deploymentId = String(deployment._id);
+
+    this.active.set(deploymentId, {
+      projectId: deployment.project,
+      lines: [],
+      unsaved: [],
+      partial: { stdout: "", stderr: "" },
+      flushTimer: null,
+      writing: Promise.resolve(),
+    });
+
+    this._emit(getProjectAccessService().getSocketRooms(project), "deployment_started", {
+      deploymentId,
+      projectId: String(deployment.project),
+      projectName: project.name,
+      trigger: deployment.trigger,
+    });
+  }
+
+  /**
+   * Get a writer for the output of a deployment
+   * @param {string} deploymentId - Deployment ID (a missing ID gives a no-op writer)
+   * @returns {Function} Function taking (stream, chunk)
+   */
+  getWriter(deploymentId) {
+    if (!deploymentId) return () => {};
+    return (stream, chunk) => this.append(String(deploymentId), stream, chunk);
+  }
+
+  /**
+   * Add output of a deployment
+   * Incomplete trailing lines are held back until the rest arrives.
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} stream - stdout, stderr or system
+   * @param {string} chunk - Output chunk
+   */
+  append(deploymentId, stream, chunk) {
+    const entry = this.active.get(deploymentId);
+    if (!entry) return;
+
+    let text = chunk;
+    if (stream !== "system") {
+      text = entry.partial[stream] + chunk;
+      const lastBreak = Math.max(text.lastIndexOf("\n"), text.lastIndexOf("\r"));
+      entry.partial[stream] = text.slice(lastBreak + 1);
+      text = text.slice(0, lastBreak + 1);
+    }
+
+    this._addLines(deploymentId, entry, stream, text);
+  }
+
+  /**
+   * Finish the log of a deployment and store the remaining lines
+   * @param {string} deploymentId - Deployment ID
+   * @param {string} status - Final deployment status
+   */
+  async finish(deploymentId, status) {
+    const id = String(deploymentId);
+    const entry = this.active.get(id);
+    if (!entry) return;
+
+    for (const stream of ["stdout", "stderr"]) {
+      if (entry.partial[stream]) {
+        this._addLines(id, entry, stream, entry.partial[stream]);
+        entry.partial[stream] = "";
+      }
+    }
+
+    clearTimeout(entry.flushTimer);
+    await this._flush(id, entry);
+    this.active.delete(id);
+
+    this._emit(this.getRoom(id), "build_log_end", { deploymentId: id, status });
+  }
+
+  /**
+   * Get the log of a deployment
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<Object>} Lines, total line count and whether the build finished
+   */
+  async getLog(deploymentId) {
+    const id = String(deploymentId);
+    const entry = this.active.get(id);
+
+    if (entry) {
+      return { deploymentId: id, lines: entry.lines, lineCount: entry.lines.length, finished: false };
+    }
+
+    const buildLog = await buildLogRepository.findByDeployment(id);
+    return {
+      deploymentId: id,
+      lines: buildLog ? buildLog.lines : [],
+      lineCount: buildLog ? buildLog.lineCount : 0,
+      finished: true,
+    };
+  }
+
+  /**
+   * Get the project a deployment belongs to
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<string|null>} Project ID, null for unknown deployments
+   */
+  async getProjectId(deploymentId) {
+    const entry = this.active.get(String(deploymentId));
+    if (entry) return String(entry.projectId);
+
+    const deployment = await deploymentRepository.findById(deploymentId);
+    return deployment ? String(deployment.project) : null;
+  }
+
+  /**
+   * Subscribe a socket to the live log of a deployment
+   * The socket first receives the lines written so far.
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} deploymentId - Deployment ID
+   */
+  async subscribe(socket, deploymentId) {
+    socket.join(this.getRoom(deploymentId));
+    socket.emit("build_log_history", await this.getLog(deploymentId));
+  }
+
+  /**
+   * Split text into lines, broadcast them and schedule a database write
+   * @private
+   */
+  _addLines(deploymentId, entry, stream, text) {
+    const lines = text
+      .split(/\r\n|\n|\r/)
+      .map((line) => line.replace(ANSI_ESCAPE, "").slice(0, MAX_LINE_LENGTH))
+      .filter((line) => line.trim() !== "")
+      .map((line) => ({ stream, text: line, timestamp: new Date() }));
+
+    if (lines.length === 0) return;
+
+    entry.lines.push(...lines);
+    if (entry.lines.length > MAX_LOG_LINES) {
+      entry.lines.splice(0, entry.lines.length - MAX_LOG_LINES);
+    }
+    entry.unsaved.push(...lines);
+
+    this._emit(this.getRoom(deploymentId), "build_log", { deploymentId, lines });
+
+    if (!entry.flushTimer) {
+      entry.flushTimer = setTimeout(() => this._flush(deploymentId, entry), FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Write buffered lines to the database, after any write still in flight
+   * Persistence is best effort and never fails the deployment itself.
+   * @private
+   */
+  _flush(deploymentId, entry) {
+    entry.flushTimer = null;
+    if (entry.unsaved.length === 0) return entry.writing;
+
+    const lines = entry.unsaved.splice(0);
+    entry.writing = entry.writing.then(async () => {
+      try {
+        await buildLogRepository.appendLines(deploymentId, entry.projectId, lines, MAX_LOG_LINES);
+      } catch (error) {
+        this.logger.error(`Failed to store build log of deployment ${deploymentId}:`, error);
+      }
+    });
+    return entry.writing;
+  }
+
+  /**
+   * Broadcast an event when Socket.IO is attached
+   * @private
+   */
+  _emit(room, event, data) {
+    if (this.io) {
+      this.io.to(room).emit(event, data);
+    }
+  }
+}
+
+// Create singleton instance
+let buildLogServiceInstance = null;
+
+const getBuildLogService = () => {
+  if (!buildLogServiceInstance) {
+    buildLogServiceInstance = new BuildLogService();
+  }
+  return buildLogServiceInstance;
+};
+
+module.exports = {
+  BuildLogService,
+  getBuildLogService,
+};
@@ -0,0 +1,391 @@
+const { randomUUID } = require("crypto");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const { ConflictError } = require("../utils/serviceErrors");
+
+const JOB_KEY_PREFIX = "build:job:";
+const JOB_LIST_KEY = "build:jobs";
+const JOB_TTL = 7 * 24 * 60 * 60; // Keep finished jobs for a week
+const MAX_LISTED_JOBS = 100;
+
+const ACTIVE_STATUSES = ["queued", "running", "cancelling"];
+
+/**
+ * Build Queue Service - Runs builds and deployments one slot at a time
+ *
+ * At most MAX_CONCURRENT_DEPLOYMENTS jobs run at once, the rest wait in FIFO
+ * order. Every job is aborted after DEPLOYMENT_TIMEOUT. Job records are kept
+ * in Redis (in memory when Redis is unavailable) so they survive an API
+ * restart; recoverInterruptedJobs() queues the jobs that were still queued or
+ * running at that point again under their ID.
+ */
+class BuildQueueService extends BaseService {
+  constructor(dependencies = {}) {
+    super("BuildQueueService", dependencies);
+
+    this.redis = dependencies.redisClient || null;
+    this.concurrency = config.maxConcurrentDeployments;
+    this.jobTimeout = config.deploymentTimeout;
+
+    this.pending = [];
+    this.running = new Map();
+    this.memoryJobs = new Map();
+    this.memoryJobIds = [];
+  }
+
+  /**
+   * Get Redis client
+   * @returns {Object|null} Redis client or null
+   */
+  getRedisClient() {
+    if (!this.redis) {
+      try {
+        const { getRedisClient } = require("../config/redis");
+        this.redis = getRedisClient();
+      } catch (error) {
+        this.logger.warn("Redis client not available, keeping build jobs in memory");
+      }
+    }
+    return this.redis && this.redis.isReady ? this.redis : null;
+  }
+
+  /**
+   * Queue a job and wait for it to finish
+   * The task receives an AbortSignal that fires on cancellation or timeout;
+   * long running steps must pass it on so their processes get killed.
+   * @param {Object} details - Job details
+   * @param {string} details.projectId - Project ID
+   * @param {string} details.projectName - Project name
+   * @param {string} details.type - Job type (deploy, redeploy, webhook)
+   * @param {string} details.triggeredBy - ID of the user who queued the job
+   * @param {string} details.jobId - ID of an interrupted job this one resumes
+   * @param {Function} task - Async function receiving the abort signal
+   * @returns {Promise<any>} Result of the task
+   */
+  async run(details, task) {
+    const resumed = details.jobId ? await this._loadJob(details.jobId) : null;
+    const job = {
+      id: resumed?.id || randomUUID(),
+      projectId: String(details.projectId),
+      projectName: details.projectName,
+      type: details.type,
+      triggeredBy: details.triggeredBy ? String(details.triggeredBy) : null,
+      status: "queued",
+      error: null,
+      createdAt: resumed?.createdAt || new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    await this._saveJob(job, !resumed);
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ job, task, resolve, reject });
+      this.logger.info(`Build job queued: ${job.type} ${job.projectName}`, {
+        jobId: job.id,
+        position: this.pending.length,
+        running: this.running.size,
+      });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Cancel a queued or running job
+   * Running jobs are aborted, which kills their build process.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async cancel(jobId) {
+    const pendingIndex = this.pending.findIndex((entry) => entry.job.id === jobId);
+    if (pendingIndex !== -1) {
+      const [entry] = this.pending.splice(pendingIndex, 1);
+      const error = this._createAbortError("cancelled", entry.job);
+      await this._finishJob(entry.job, "cancelled", error.message);
+      entry.reject(error);
+      return this._withPosition(entry.job);
+    }
+
+    const active = this.running.get(jobId);
+    if (active) {
+      active.job.status = "cancelling";
+      await this._saveJob(active.job);
+      active.controller.abort(this._createAbortError("cancelled", active.job));
+      return this._withPosition(active.job);
+    }
+
+    const job = await this._loadJob(jobId);
+    if (!job) return null;
+
+    throw new ConflictError(`build job ${jobId}`, `Build job already ${job.status}`);
+  }
+
+  /**
+   * Get a job with its queue position
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(jobId) {
+    const job = await this._loadJob(jobId);
+    return job ? this._withPosition(job) : null;
+  }
+
+  /**
+   * List recent jobs, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.projectId - Only jobs of this project
+   * @param {Array<string>} filters.projectIds - Only jobs of these projects
+   * @param {boolean} filters.active - Only queued and running jobs
+   * @returns {Promise<Array>} Jobs with queue positions
+   */
+  async listJobs({ projectId = null, projectIds = null, active = false } = {}) {
+    const ids = await this._listJobIds();
+    const jobs = await Promise.all(ids.map((id) => this._loadJob(id)));
+    const allowed = projectIds ? new Set(projectIds.map(String)) : null;
+
+    return jobs
+      .filter(Boolean)
+      .filter((job) => !projectId || job.projectId === String(projectId))
+      .filter((job) => !allowed || allowed.has(job.projectId))
+      .filter((job) => !active || ACTIVE_STATUSES.includes(job.status))
+      .map((job) => this._withPosition(job));
+  }
+
+  /**
+   * Count the queued and running jobs of some projects in this process
+   * @param {Array<string>} projectIds - Project IDs
+   * @returns {number} Number of active jobs
+   */
+  countActiveJobs(projectIds) {
+    const ids = new Set(projectIds.map(String));
+    const jobs = [...this.pending.map((entry) => entry.job), ...[...this.running.values()].map((entry) => entry.job)];
+    return jobs.filter((job) => ids.has(job.projectId)).length;
+  }
+
+  /**
+   * Resume the jobs left over from a previous API process
+   * Their tasks died with that process. Queued and running jobs are handed to
+   * resume, oldest first, which queues them again through run() with their
+   * jobId; it is not awaited. Jobs that were being cancelled are finished as
+   * cancelled, and without resume every job is marked as failed.
+   * @param {Function} resume - Optional function receiving an interrupted job
+   * @returns {Promise<number>} Number of interrupted jobs
+   */
+  async recoverInterruptedJobs(resume = null) {
+    return this.executeOperation("recoverInterruptedJobs", async () => {
+      const ids = (await this._listJobIds()).reverse();
+      let interrupted = 0;
+
+      for (const id of ids) {
+        const job = await this._loadJob(id);
+        if (!job || !ACTIVE_STATUSES.includes(job.status) || this._isOwnJob(id)) continue;
+        interrupted++;
+
+        if (job.status === "cancelling") {
+          await this._finishJob(job, "cancelled", this._createAbortError("cancelled", job).message);
+        } else if (resume) {
+          this._resumeJob(job, resume);
+        } else {
+          await this._finishJob(job, "failed", "Interrupted by an API restart");
+        }
+      }
+
+      if (interrupted > 0) {
+        this.logger.warn(`Recovered ${interrupted} build job(s) interrupted by an API restart`);
+      }
+      return interrupted;
+    });
+  }
+
+  /**
+   * Hand an interrupted job to the resume function
+   * A job it did not queue again, because its project is gone or its
+   * owner is out of quota, is marked as failed.
+   * @private
+   */
+  async _resumeJob(job, resume) {
+    let reason = "Interrupted by an API restart";
+
+    try {
+      this.logger.info(`Resuming build job: ${job.type} ${job.projectName}`, { jobId: job.id });
+      await resume({ ...job });
+    } catch (error) {
+      reason = `${reason}: ${error.message}`;
+    }
+
+    try {
+      const stored = await this._loadJob(job.id);
+      if (stored && ACTIVE_STATUSES.includes(stored.status) && !this._isOwnJob(job.id)) {
+        await this._finishJob(stored, "failed", reason);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to update interrupted build job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Whether a job is queued or running in this process
+   * @private
+   */
+  _isOwnJob(jobId) {
+    return this.running.has(jobId) || this.pending.some((entry) => entry.job.id === jobId);
+  }
+
+  /**
+   * Start queued jobs while slots are free
+   * @private
+   */
+  _dispatch() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      this._execute(this.pending.shift());
+    }
+  }
+
+  /**
+   * Run a job with timeout enforcement
+   * @private
+   */
+  async _execute({ job, task, resolve, reject }) {
+    const controller = new AbortController();
+    this.running.set(job.id, { job, controller });
+
+    const timer = setTimeout(() => {
+      controller.abort(this._createAbortError("timed_out", job));
+    }, this.jobTimeout);
+
+    try {
+      job.status = "running";
+      job.startedAt = new Date().toISOString();
+      await this._saveJob(job);
+      this.logger.info(`Build job started: ${job.type} ${job.projectName}`, { jobId: job.id });
+
+      const result = await task(controller.signal);
+
+      await this._finishJob(job, "succeeded");
+      resolve(result);
+    } catch (error) {
+      const reason = controller.signal.aborted ? controller.signal.reason : error;
+      const status = reason.cancelled ? "cancelled" : reason.timeout ? "timed_out" : "failed";
+
+      await this._finishJob(job, status, reason.message);
+      reject(reason);
+    } finally {
+      clearTimeout(timer);
+      this.running.delete(job.id);
+      this._dispatch();
+    }
+  }
+
+  /**
+   * Create the error a job is aborted with
+   * @private
+   */
+  _createAbortError(status, job) {
+    if (status === "timed_out") {
+      const error = new Error(`Build of ${job.projectName} timed out after ${this.jobTimeout / 1000} seconds`);
+      error.timeout = true;
+      return error;
+    }
+
+    const error = new Error(`Build of ${job.projectName} was cancelled`);
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * Store the final state of a job
+   * @private
+   */
+  async _finishJob(job, status, error = null) {
+    job.status = status;
+    job.error = error ? error.slice(0, 1000) : null;
+    job.finishedAt = new Date().toISOString();
+    await this._saveJob(job);
+
+    const log = status === "succeeded" ? "info" : "warn";
+    this.logger[log](`Build job ${status}: ${job.type} ${job.projectName}`, {
+      jobId: job.id,
+      error: job.error,
+    });
+  }
+
+  /**
+   * Add the queue position (1 = next to start) to queued jobs
+   * @private
+   */
+  _withPosition(job) {
+    const index = this.pending.findIndex((entry) => entry.job.id === job.id);
+    return { ...job, position: index === -1 ? null : index + 1 };
+  }
+
+  /**
+   * Persist a job record
+   * Persistence is best effort and never fails the build itself.
+   * @private
+   */
+  async _saveJob(job, isNew = false) {
+    const redisClient = this.getRedisClient();
+
+    try {
+      if (redisClient) {
+        await redisClient.set(`${JOB_KEY_PREFIX}${job.id}`, JSON.stringify(job), { EX: JOB_TTL });
+        if (isNew) {
+          await redisClient.lPush(JOB_LIST_KEY, job.id);
+          await redisClient.lTrim(JOB_LIST_KEY, 0, MAX_LISTED_JOBS - 1);
+        }
+        return;
+      }
+    } catch (error) {
+      this.logger.error(`Failed to store build job ${job.id} in Redis:`, error);
+    }
+
+    this.memoryJobs.set(job.id, { ...job });
+    if (isNew) {
+      this.memoryJobIds.unshift(job.id);
+      this.memoryJobIds.splice(MAX_LISTED_JOBS).forEach((id) => this.memoryJobs.delete(id));
+    }
+  }
+
+  /**
+   * Load a job record
+   * @private
+   */
+  async _loadJob(jobId) {
+    const redisClient = this.getRedisClient();
+
+    if (redisClient) {
+      const value = await redisClient.get(`${JOB_KEY_PREFIX}${jobId}`);
+      if (value) return JSON.parse(value);
+    }
+
+    const job = this.memoryJobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * IDs of recent jobs, newest first
+   * @private
+   */
+  async _listJobIds() {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) return [...this.memoryJobIds];
+
+    const redisIds = await redisClient.lRange(JOB_LIST_KEY, 0, MAX_LISTED_JOBS - 1);
+    return [...new Set([...redisIds, ...this.memoryJobIds])];
+  }
+}
+
+// Create singleton instance
+let buildQueueServiceInstance = null;
+
+const getBuildQueueService = () => {
+  if (!buildQueueServiceInstance) {
+    buildQueueServiceInstance = new BuildQueueService();
+  }
+  return buildQueueServiceInstance;
+};
+
+module.exports = {
+  BuildQueueService,
+  getBuildQueueService,
+};
@@ -0,0 +1,485 @@
+const fs = require("fs").promises;
+const path = require("path");
+const BaseService = require("../utils/baseService");
+const { ErrorFactory } = require("../utils/serviceErrors");
+
+// Written next to the repository's own files so git pulls never conflict with it
+const GENERATED_DOCKERFILE = "Dockerfile.raspberry-host";
+const GENERATED_HEADER = "# Generated by raspberry-host - add a Dockerfile to the repository to customize the build";
+
+const DEFAULT_PORTS = {
+  dockerfile: 80,
+  node: 3000,
+  "node-static": 80,
+  python: 8000,
+  go: 8080,
+  static: 80,
+};
+
+const DEFAULT_NODE_VERSION = "22";
+const DEFAULT_GO_VERSION = "1.22";
+const PYTHON_IMAGE = "python:3.12-slim";
+
+const PACKAGE_MANAGERS = [
+  { lockfile: "pnpm-lock.yaml", install: "corepack enable && pnpm install --frozen-lockfile", run: "pnpm run" },
+  { lockfile: "yarn.lock", install: "corepack enable && yarn install --frozen-lockfile", run: "yarn run" },
+  { lockfile: "package-lock.json", install: "npm ci", run: "npm run", prune: "npm prune --omit=dev" },
+];
+
+// Frontend build tools and the directory they write the built site to
+const STATIC_BUILD_TOOLS = {
+  "react-scripts": "build",
+  vite: "dist",
+  "@vue/cli-service": "dist",
+  parcel: "dist",
+};
+
+const NPM_WITHOUT_LOCKFILE = { lockfile: null, install: "npm install", run: "npm run", prune: "npm prune --omit=dev" };
+
+/**
+ * Buildpack Service - Detects the type of a cloned repository
+ *
+ * Repositories with a Dockerfile are built as they are. For the others the
+ * project type is inferred from its manifest files (package.json,
+ * requirements.txt, go.mod, index.html) and a multi-stage Dockerfile is
+ * generated from official multi-arch images, so it builds natively on arm64.
+ * The detection also yields the port the app listens on inside the container.
+ */
+class BuildpackService extends BaseService {
+  constructor(dependencies = {}) {
+    super("BuildpackService", dependencies);
+  }
+
+  /**
+   * Detect the project type and write a Dockerfile when the repository has none
+   * @param {string} projectPath - Path to the cloned repository
+   * @param {Object} options - Build options
+   * @param {number} options.containerPort - Configured container port, overrides the detected one
+   * @param {string} options.dockerfile - Dockerfile to build, relative to projectPath (detected when not set)
+   * @returns {Promise<Object>} Buildpack (type, dockerfile, containerPort, generated)
+   */
+  async prepare(projectPath, options = {}) {
+    return this.executeOperation("prepare", async () => {
+      this.validateRequiredParams({ projectPath }, ["projectPath"]);
+
+      const detection = await this.detect(projectPath, { dockerfile: options.dockerfile });
+      if (options.containerPort) {
+        this._checkContainerPort(detection, options.containerPort);
+        detection.containerPort = options.containerPort;
+      }
+
+      const buildpack = {
+        type: detection.type,
+        dockerfile: detection.dockerfile ? options.dockerfile || "Dockerfile" : GENERATED_DOCKERFILE,
+        containerPort: detection.containerPort,
+        generated: !detection.dockerfile,
+      };
+
+      if (buildpack.generated) {
+        await fs.writeFile(
+          path.join(projectPath, GENERATED_DOCKERFILE),
+          this.generateDockerfile(detection)
+        );
+      }
+
+      this.logger.info(`Detected ${buildpack.type} project at ${projectPath}`, {
+        containerPort: buildpack.containerPort,
+        generated: buildpack.generated,
+      });
+      return buildpack;
+    }, { projectPath });
+  }
+
+  /**
+   * Inspect a repository and work out how to build it
+   * @param {string} projectPath - Path to the cloned repository
+   * @param {Object} options - Detection options
+   * @param {string} options.dockerfile - Dockerfile the project is configured to build, which has to exist
+   * @returns {Promise<Object>} Detection with type, containerPort and type specific details
+   */
+  async detect(projectPath, options = {}) {
+    const dockerfile = await this._readFile(projectPath, options.dockerfile || "Dockerfile");
+    if (dockerfile === null && options.dockerfile) {
+      throw ErrorFactory.validation(
+        `Dockerfile ${options.dockerfile} does not exist in the build context`,
+        "build.dockerfile",
+        options.dockerfile
+      );
+    }
+    if (dockerfile !== null) {
+      const exposedPorts = this.getExposedPorts(dockerfile);
+      return {
+        type: "dockerfile",
+        dockerfile: true,
+        exposedPorts,
+        containerPort: exposedPorts[0] || DEFAULT_PORTS.dockerfile,
+      };
+    }
+
+    const packageJson = await this._readFile(projectPath, "package.json");
+    if (packageJson !== null) {
+      return this._detectNode(projectPath, packageJson);
+    }
+
+    const requirements = await this._readFile(projectPath, "requirements.txt");
+    const pyproject = await this._readFile(projectPath, "pyproject.toml");
+    if (requirements !== null || pyproject !== null) {
+      return this._detectPython(projectPath, requirements, pyproject);
+    }
+
+    const goMod = await this._readFile(projectPath, "go.mod");
+    if (goMod !== null) {
+      return this._detectGo(projectPath, goMod);
+    }
+
+    if (await this._exists(projectPath, "index.html")) {
+      return { type: "static", containerPort: DEFAULT_PORTS.static };
+    }
+
+    throw ErrorFactory.validation(
+      "Could not detect the project type: add a Dockerfile, package.json, requirements.txt, go.mod or index.html",
+      "repository"
+    );
+  }
+
+  /**
+   * Ports declared by EXPOSE instructions
+   * @param {string} dockerfile - Dockerfile content
+   * @returns {Array<number>} Exposed ports in order of appearance
+   */
+  getExposedPorts(dockerfile) {
+    const ports = [];
+
+    for (const line of dockerfile.split(/\r?\n/)) {
+      const match = line.match(/^\s*EXPOSE\s+(.+)$/i);
+      if (!match) continue;
+
+      for (const entry of match[1].trim().split(/\s+/)) {
+        const port = parseInt(entry.split("/")[0], 10);
+        if (port >= 1 && port <= 65535) {
+          ports.push(port);
+        }
+      }
+    }
+
+    return ports;
+  }
+
+  /**
+   * Generate the Dockerfile of a detected project
+   * @param {Object} detection - Result of detect()
+   * @returns {string} Dockerfile content
+   */
+  generateDockerfile(detection) {
+    switch (detection.type) {
+      case "node":
+        return this._nodeDockerfile(detection);
+      case "node-static":
+        return this._nodeStaticDockerfile(detection);
+      case "python":
+        return this._pythonDockerfile(detection);
+      case "go":
+        return this._goDockerfile(detection);
+      case "static":
+        return this._staticDockerfile();
+      default:
+        throw ErrorFactory.validation(`Cannot generate a Dockerfile for ${detection.type} projects`, "type", detection.type);
+    }
+  }
+
+  /**
+   * Reject a configured port the repository's Dockerfile does not expose
+   * Dockerfiles without EXPOSE lines accept any port.
+   * @private
+   */
+  _checkContainerPort(detection, containerPort) {
+    const exposedPorts = detection.exposedPorts || [];
+    if (exposedPorts.length > 0 && !exposedPorts.includes(containerPort)) {
+      throw ErrorFactory.validation(
+        `Container port ${containerPort} is not exposed by the Dockerfile (EXPOSE ${exposedPorts.join(" ")})`,
+        "containerPort",
+        containerPort
+      );
+    }
+  }
+
+  /**
+   * Node.js app, or a frontend that is built into static files
+   * @private
+   */
+  async _detectNode(projectPath, content) {
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      throw ErrorFactory.validation(`Invalid package.json: ${error.message}`, "package.json");
+    }
+
+    const scripts = manifest.scripts || {};
+    let packageManager = NPM_WITHOUT_LOCKFILE;
+    for (const candidate of PACKAGE_MANAGERS) {
+      if (await this._exists(projectPath, candidate.lockfile)) {
+        packageManager = candidate;
+        break;
+      }
+    }
+
+    const engine = String(manifest.engines?.node || "").match(/\d+/);
+    const detection = {
+      nodeVersion: engine ? engine[0] : DEFAULT_NODE_VERSION,
+      packageManager,
+      hasBuild: Boolean(scripts.build),
+    };
+
+    // Frontends only need a web server for their build output, even when
+    // their start script runs a development server
+    const dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+    const buildTool = Object.keys(STATIC_BUILD_TOOLS).find((tool) => dependencies[tool]);
+    if (scripts.build && (buildTool || (!scripts.start && !manifest.main))) {
+      return {
+        ...detection,
+        type: "node-static",
+        outputDir: buildTool ? STATIC_BUILD_TOOLS[buildTool] : "dist",
+        containerPort: DEFAULT_PORTS["node-static"],
+      };
+    }
+
+    if (!scripts.start && !manifest.main) {
+      throw ErrorFactory.validation("package.json has no start script, main entry or build script", "package.json");
+    }
+
+    const portFlag = String(scripts.start || "").match(/(?:--port[= ]|-p\s+)(\d{2,5})\b/);
+    return {
+      ...detection,
+      type: "node",
+      command: scripts.start ? ["npm", "start"] : ["node", manifest.main],
+      containerPort: portFlag ? parseInt(portFlag[1], 10) : DEFAULT_PORTS.node,
+    };
+  }
+
+  /**
+   * Python app started from app.py, main.py or manage.py
+   * @private
+   */
+  async _detectPython(projectPath, requirements, pyproject) {
+    const dependencies = `${requirements || ""}\n${pyproject || ""}`.toLowerCase();
+
+    let entry = null;
+    for (const candidate of ["app.py", "main.py", "manage.py"]) {
+      if (await this._exists(projectPath, candidate)) {
+        entry = candidate;
+        break;
+      }
+    }
+
+    if (!entry) {
+      throw ErrorFactory.validation("No app.py, main.py or manage.py found to start the Python project", "repository");
+    }
+
+    let server = null;
+    if (entry === "manage.py") {
+      server = "django";
+    } else if (/\buvicorn\b/.test(dependencies)) {
+      server = "uvicorn";
+    } else if (/\bgunicorn\b/.test(dependencies)) {
+      server = "gunicorn";
+    }
+
+    return {
+      type: "python",
+      installFrom: requirements !== null ? "requirements" : "pyproject",
+      entry,
+      server,
+      containerPort: DEFAULT_PORTS.python,
+    };
+  }
+
+  /**
+   * Command starting a Python app on its container port
+   * @private
+   */
+  _pythonCommand({ entry, server, containerPort }) {
+    const appModule = entry.replace(/\.py$/, "");
+
+    switch (server) {
+      case "django":
+        return ["python", "manage.py", "runserver", `0.0.0.0:${containerPort}`];
+      case "uvicorn":
+        return ["uvicorn", `${appModule}:app`, "--host", "0.0.0.0", "--port", String(containerPort)];
+      case "gunicorn":
+        return ["gunicorn", "--bind", `0.0.0.0:${containerPort}`, `${appModule}:app`];
+      default:
+        return ["python", entry];
+    }
+  }
+
+  /**
+   * Go module, built from the root package or its only cmd/ package
+   * @private
+   */
+  async _detectGo(projectPath, goMod) {
+    const version = goMod.match(/^go\s+(\d+\.\d+)/m);
+    let buildPackage = ".";
+
+    if (!(await this._exists(projectPath, "main.go"))) {
+      const commands = await this._listDirectories(path.join(projectPath, "cmd"));
+      if (commands.length === 1) {
+        buildPackage = `./cmd/${commands[0]}`;
+      }
+    }
+
+    return {
+      type: "go",
+      goVersion: version ? version[1] : DEFAULT_GO_VERSION,
+      buildPackage,
+      containerPort: DEFAULT_PORTS.go,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _nodeDockerfile({ nodeVersion, packageManager, hasBuild, command, containerPort }) {
+    const manifests = ["package.json", packageManager.lockfile].filter(Boolean).join(" ");
+
+    return `${GENERATED_HEADER}
+FROM node:${nodeVersion}-alpine AS build
+WORKDIR /app
+COPY ${manifests} ./
+RUN ${packageManager.install}
+COPY . .
+${hasBuild ? `RUN ${packageManager.run} build\n` : ""}${packageManager.prune ? `RUN ${packageManager.prune}\n` : ""}
+FROM node:${nodeVersion}-alpine
+WORKDIR /app
+ENV NODE_ENV=production
+ENV PORT=${containerPort}
+COPY --from=build /app ./
+EXPOSE ${containerPort}
+CMD ${JSON.stringify(command)}
+`;
+  }
+
+  /**
+   * @private
+   */
+  _nodeStaticDockerfile({ nodeVersion, packageManager, outputDir, containerPort }) {
+    const manifests = ["package.json", packageManager.lockfile].filter(Boolean).join(" ");
+
+    return `${GENERATED_HEADER}
+FROM node:${nodeVersion}-alpine AS build
+WORKDIR /app
+COPY ${manifests} ./
+RUN ${packageManager.install}
+COPY . .
+RUN ${packageManager.run} build
+
+FROM nginx:alpine
+COPY --from=build /app/${outputDir} /usr/share/nginx/html
+EXPOSE ${containerPort}
+`;
+  }
+
+  /**
+   * @private
+   */
+  _pythonDockerfile(detection) {
+    const { installFrom, containerPort } = detection;
+    const install = installFrom === "requirements"
+      ? "COPY requirements.txt ./\nRUN pip install --no-cache-dir -r requirements.txt"
+      : "COPY . .\nRUN pip install --no-cache-dir .";
+
+    return `${GENERATED_HEADER}
+FROM ${PYTHON_IMAGE} AS build
+WORKDIR /app
+RUN python -m venv /opt/venv
+ENV PATH="/opt/venv/bin:$PATH"
+${install}
+
+FROM ${PYTHON_IMAGE}
+WORKDIR /app
+ENV PATH="/opt/venv/bin:$PATH"
+ENV PYTHONUNBUFFERED=1
+ENV PORT=${containerPort}
+COPY --from=build /opt/venv /opt/venv
+COPY . .
+EXPOSE ${containerPort}
+CMD ${JSON.stringify(this._pythonCommand(detection))}
+`;
+  }
+
+  /**
+   * @private
+   */
+  _goDockerfile({ goVersion, buildPackage, containerPort }) {
+    return `${GENERATED_HEADER}
+FROM golang:${goVersion}-alpine AS build
+WORKDIR /src
+COPY go.mod go.sum* ./
+RUN go mod download
+COPY . .
+RUN CGO_ENABLED=0 go build -o /out/app ${buildPackage}
+
+FROM alpine:3.20
+RUN apk add --no-cache ca-certificates
+COPY --from=build /out/app /usr/local/bin/app
+ENV PORT=${containerPort}
+EXPOSE ${containerPort}
+CMD ["app"]
+`;
+  }
+
+  /**
+   * Plain files served by nginx, without the repository metadata
+   * @private
+   */
+  _staticDockerfile() {
+    return `${GENERATED_HEADER}
+FROM alpine:3.20 AS build
+COPY . /site
+RUN rm -rf /site/.git /site/${GENERATED_DOCKERFILE} /site/compose*.y*ml /site/docker-compose*.y*ml
+
+FROM nginx:alpine
+COPY --from=build /site /usr/share/nginx/html
+EXPOSE ${DEFAULT_PORTS.static}
+`;
+  }
+
+  /**
+   * Read a file of the repository, or null when it does not exist
+   * @private
+   */
+  async _readFile(projectPath, fileName) {
+    try {
+      return await fs.readFile(path.join(projectPath, fileName), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _exists(projectPath, fileName) {
+    try {
+      await fs.access(path.join(projectPath, fileName));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _listDirectories(directory) {
+    try {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = BuildpackService;
@@ -0,0 +1,181 @@
+const fs = require("fs").promises;
+const path = require("path");
+const net = require("net");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const { ErrorFactory } = require("../utils/serviceErrors");
+
+const MANAGED_HEADER = "# Managed by raspberry-host - changes are overwritten on deploy";
+
+// Domains Caddy cannot obtain certificates for are served over plain HTTP
+const LOCAL_DOMAIN_SUFFIXES = [".localhost", ".local", ".lan", ".internal", ".home.arpa"];
+
+/**
+ * Caddy Service - Routes each project's domain to its container
+ *
+ * Every project gets a Caddyfile fragment in the sites directory, which the
+ * main Caddyfile imports. Writing or removing a fragment is followed by a
+ * graceful Caddy reload; public domains get automatic HTTPS from Caddy.
+ */
+class CaddyService extends BaseService {
+  constructor(dependencies = {}) {
+    super("CaddyService", dependencies);
+
+    this.enabled = config.caddyRoutingEnabled;
+    this.sitesDir = config.caddySitesDir;
+    this.containerName = config.caddyContainerName;
+    this.upstreamHost = config.caddyUpstreamHost;
+  }
+
+  /**
+   * Add or update the reverse proxy route of a project
+   * @param {Object} project - Project with name, domain and effectivePort
+   * @returns {Promise<boolean>} True when the route changed
+   */
+  async upsertRoute(project) {
+    if (!this.enabled) return false;
+
+    return this.executeOperation("upsertRoute", async () => {
+      const port = project.effectivePort || project.assignedPort || project.port;
+      this.validateRequiredParams({ name: project.name, domain: project.domain, port }, [
+        "name",
+        "domain",
+        "port",
+      ]);
+
+      const sitePath = this.getSitePath(project.name);
+      const content = this.generateSiteBlock(project.domain, port);
+      const previous = await this._readSite(sitePath);
+
+      if (previous === content) {
+        return false;
+      }
+
+      await fs.mkdir(this.sitesDir, { recursive: true });
+      await fs.writeFile(sitePath, content);
+      await this._reloadOrRestore(sitePath, previous);
+
+      this.logger.info(`Routing ${project.domain} to port ${port} for project ${project.name}`);
+      return true;
+    }, { projectName: project.name, domain: project.domain });
+  }
+
+  /**
+   * Remove the reverse proxy route of a project
+   * @param {Object} project - Project with name
+   * @returns {Promise<boolean>} True when a route was removed
+   */
+  async removeRoute(project) {
+    if (!this.enabled) return false;
+
+    return this.executeOperation("removeRoute", async () => {
+      const sitePath = this.getSitePath(project.name);
+      const previous = await this._readSite(sitePath);
+
+      if (previous === null) {
+        return false;
+      }
+
+      await fs.unlink(sitePath);
+      await this._reloadOrRestore(sitePath, previous);
+
+      this.logger.info(`Removed route for project ${project.name}`);
+      return true;
+    }, { projectName: project.name });
+  }
+
+  /**
+   * Generate the Caddyfile site block of a project
+   * @param {string} domain - Project domain
+   * @param {number} port - Host port the project listens on
+   * @returns {string} Caddyfile fragment
+   */
+  generateSiteBlock(domain, port) {
+    const address = this.isLocalDomain(domain) ? `http://${domain}` : domain;
+
+    return `${MANAGED_HEADER}
+${address} {
+    encode gzip
+    reverse_proxy ${this.upstreamHost}:${port}
+}
+`;
+  }
+
+  /**
+   * Whether a domain is only reachable locally and must not use HTTPS
+   * @param {string} domain - Domain, optionally with a port
+   * @returns {boolean} True for localhost, local network names and IP addresses
+   */
+  isLocalDomain(domain) {
+    const host = domain.toLowerCase();
+
+    if (host.includes(":")) return true;
+    if (host === "localhost" || net.isIP(host)) return true;
+
+    return LOCAL_DOMAIN_SUFFIXES.some((suffix) => host.endsWith(suffix));
+  }
+
+  /**
+   * Get the fragment path of a project
+   * @param {string} projectName - Project name
+   * @returns {string} Path to the project's Caddyfile fragment
+   */
+  getSitePath(projectName) {
+    const fileName = `${projectName.toLowerCase().replace(/[^a-z0-9-]/g, "-")}.caddy`;
+    return path.join(this.sitesDir, fileName);
+  }
+
+  /**
+   * Read a fragment, or null when it does not exist
+   * @private
+   */
+  async _readSite(sitePath) {
+    try {
+      return await fs.readFile(sitePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Reload Caddy, putting the previous fragment back if the new one is rejected
+   * @private
+   */
+  async _reloadOrRestore(sitePath, previous) {
+    try {
+      await this.reload();
+    } catch (error) {
+      if (previous === null) {
+        await fs.rm(sitePath, { force: true });
+      } else {
+        await fs.writeFile(sitePath, previous);
+      }
+
+      throw ErrorFactory.externalService("Caddy", "reload", error);
+    }
+  }
+
+  /**
+   * Gracefully reload the Caddy configuration
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    await this.executeCommand(
+      "docker",
+      [
+        "exec",
+        this.containerName,
+        "caddy",
+        "reload",
+        "--config",
+        "/etc/caddy/Caddyfile",
+        "--adapter",
+        "caddyfile",
+      ],
+      { timeout: 30000 }
+    );
+  }
+}
+
+module.exports = CaddyService;
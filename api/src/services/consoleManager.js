@@ -1,6 +1,7 @@
 const { logger } = require('../config/logger');
 const DockerService = require('./dockerService');
 const projectRepository = require('../repositories/projectRepository');
+const { getProjectAccessService } = require('./projectAccessService');
 const path = require('path');
 
 /**
@@ -17,13 +18,13 @@ class ConsoleManager {
    * Handle console connection for a project
    * @param {Object} ws - WebSocket connection
    * @param {string} projectId - Project ID
-   * @param {string} userId - User ID
+   * @param {Object} user - Authenticated user, null for anonymous sockets
    * @param {Object} options - Console options
    */
-  async handleConsoleConnection(ws, projectId, userId, options = {}) {
+  async handleConsoleConnection(ws, projectId, user, options = {}) {
     try {
       // Validate user permissions
-      const hasAccess = await this.checkConsoleAccess(userId, projectId);
+      const hasAccess = await this.checkConsoleAccess(user, projectId);
       if (!hasAccess) {
         ws.send(JSON.stringify({ type: 'error', message: 'Access denied' }));
         ws.close();
@@ -44,8 +45,15 @@ class ConsoleManager {
         return;
       }
 
-      // Get container name (use project name as container name)
-      const containerName = project.name;
+      // The project's container, or the container of a service of its stack
+      const containerName = options.service
+        ? await this.getServiceContainer(project, options.service)
+        : project.name;
+      if (!containerName) {
+        ws.send(JSON.stringify({ type: 'error', message: `Service ${options.service} is not running` }));
+        ws.close();
+        return;
+      }
 
       // Create Docker exec session
       const execSession = await this.dockerService.createExecSession(containerName, {
@@ -60,7 +68,7 @@ class ConsoleManager {
       this.activeConsoles.set(projectId, {
         ws,
         execSession,
-        userId,
+        userId: user?.id || null,
         projectName: project.name,
         containerName,
         createdAt: new Date(),
@@ -92,7 +100,7 @@ class ConsoleManager {
         containerName: containerName
       }));
 
-      logger.info(`Console connected for project ${project.name} by user ${userId}`);
+      logger.info(`Console connected for project ${project.name} by user ${user.username}`);
 
     } catch (error) {
       logger.error('Console connection failed:', error);
@@ -101,6 +109,18 @@ class ConsoleManager {
     }
   }
 
+  /**
+   * Get the container of a service of a project's stack
+   * @param {Object} project - Project
+   * @param {string} service - Service name
+   * @returns {Promise<string|null>} Container name, null when the service is not running
+   */
+  async getServiceContainer(project, service) {
+    const projectPath = path.join(this.projectsDir, project.name);
+    const { services } = await this.dockerService.getProjectStatus(projectPath);
+    return services.find((entry) => entry.service === service)?.container || null;
+  }
+
   /**
    * Handle console input from WebSocket
    * @param {string} projectId - Project ID
@@ -212,17 +232,19 @@ class ConsoleManager {
 
   /**
    * Check if user has access to project console
-   * @param {string} userId - User ID
+   * Requires the maintainer project role, see ProjectAccessService
+   * @param {Object} user - Authenticated user
    * @param {string} projectId - Project ID
    * @returns {Promise<boolean>} True if has access
    */
-  async checkConsoleAccess(userId, projectId) {
+  async checkConsoleAccess(user, projectId) {
     try {
-      // For now, allow all authenticated users to access console
-      // In the future, this could be more restrictive based on project ownership
+      await getProjectAccessService().authorize(projectId, user, 'maintainer');
       return true;
     } catch (error) {
-      logger.error('Error checking console access:', error);
+      if (error.name !== 'NotFoundError' && error.name !== 'PermissionError') {
+        logger.error('Error checking console access:', error);
+      }
       return false;
     }
   }
@@ -257,6 +279,16 @@ class ConsoleManager {
     return this.activeConsoles.size;
   }
 
+  /**
+   * Whether the console session of a project belongs to a socket
+   * @param {string} projectId - Project ID
+   * @param {Object} ws - WebSocket connection
+   * @returns {boolean} True if the socket opened the console session
+   */
+  isConsoleSocket(projectId, ws) {
+    return this.activeConsoles.get(projectId)?.ws === ws;
+  }
+
   /**
    * Get active consoles info
    * @returns {Array} Array of active console info
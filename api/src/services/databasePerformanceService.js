@@ -1,6 +1,22 @@
 const mongoose = require('mongoose');
 const { logger } = require('../config/logger');
 
+/**
+ * Operation name of a hook context (query, model or aggregate)
+ */
+const getOperationName = (context) => {
+  if (context.op) return context.op;
+  return context instanceof mongoose.Aggregate ? 'aggregate' : 'insert';
+};
+
+/**
+ * Collection name of a hook context (query, model or aggregate)
+ */
+const getCollectionName = (context) => {
+  const collection = context.mongooseCollection || context.collection || context._model?.collection;
+  return collection?.name || 'unknown';
+};
+
 /**
  * Database Performance Monitoring Service
  * Provides comprehensive performance monitoring and optimization
@@ -38,26 +54,24 @@ class DatabasePerformanceService {
    * Setup performance monitoring
    */
   setupMonitoring() {
+    const service = this;
+
     // Monitor Mongoose operations
+    // Global plugins only apply to models compiled afterwards, so this service
+    // is loaded before the routes (and with them the models) in index.js.
+    // Hooks run with the query, model or aggregate as `this`.
     mongoose.plugin((schema) => {
       schema.pre(/^(find|findOne|insert|update|delete|aggregate)/, function() {
-        const startTime = Date.now();
-        const operation = this.op;
-        const collection = this.collection.name;
-        
-        this._performanceStart = startTime;
-        this._performanceOperation = operation;
-        this._performanceCollection = collection;
+        this._performanceStart = Date.now();
       });
       
       schema.post(/^(find|findOne|insert|update|delete|aggregate)/, function() {
-        const endTime = Date.now();
-        const duration = endTime - this._performanceStart;
-        
-        this.trackOperation(
-          this._performanceOperation,
-          this._performanceCollection,
-          duration,
+        if (!this._performanceStart) return;
+
+        service.trackOperation(
+          getOperationName(this),
+          getCollectionName(this),
+          Date.now() - this._performanceStart,
           this._performanceStart
         );
       });
@@ -83,7 +97,7 @@ class DatabasePerformanceService {
     if (!this.monitoringEnabled) return;
 
     // Update operation counts
-    if (this.metrics.operationCounts[operation]) {
+    if (this.metrics.operationCounts[operation] !== undefined) {
       this.metrics.operationCounts[operation]++;
     }
 
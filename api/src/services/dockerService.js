@@ -9,6 +9,22 @@ const { ErrorFactory, CommandExecutionError, ValidationError } = require('../uti
 
 const execAsync = promisify(exec);
 
+// Compose file of projects that deploy a service of the repository's own compose file,
+// written next to it so the repository's file is never overwritten
+const PLATFORM_COMPOSE_FILE = 'compose.raspberry-host.yaml';
+
+// Section of the platform compose file naming the repository compose file it overrides
+const STACK_SECTION_PATTERN = /^x-raspberry-host:\n {2}stack: (.+)$/m;
+
+// Network every project's public service joins so Caddy can reach it
+const PLATFORM_NETWORK = 'raspberry-host_pi-network';
+
+// Namespace settings of a service that would share the host's or another container's
+const SHARED_NAMESPACE_SETTINGS = ['pid', 'ipc', 'uts', 'userns_mode', 'cgroup'];
+
+// Service settings that widen what a container may do on the host
+const HOST_ACCESS_SETTINGS = ['cap_add', 'devices', 'device_cgroup_rules', 'security_opt'];
+
 /**
  * Sanitize command input to prevent injection attacks
  * @param {string} input - Input string to sanitize
@@ -43,6 +59,29 @@ function validateFilePath(filePath, basePath) {
   return resolvedPath;
 }
 
+/**
+ * Kill a child process when an abort signal fires
+ * @param {ChildProcess} child - Spawned process
+ * @param {AbortSignal} signal - Signal of a build queue job (optional)
+ * @param {Function} onAbort - Called with the abort reason after the kill
+ */
+function killOnAbort(child, signal, onAbort) {
+  if (!signal) return;
+
+  const abort = () => {
+    child.kill('SIGTERM');
+    onAbort(signal.reason);
+  };
+
+  if (signal.aborted) {
+    abort();
+    return;
+  }
+
+  signal.addEventListener('abort', abort, { once: true });
+  child.on('close', () => signal.removeEventListener('abort', abort));
+}
+
 /**
  * Docker Service - Handles all Docker-related operations
  * Enhanced with BaseService patterns for better error handling and metrics
@@ -61,9 +100,12 @@ class DockerService extends BaseService {
    * Build a Docker project
    * @param {string} projectPath - Path to the project
    * @param {string} buildCommand - Build command to execute
+   * @param {Object} options - Build options
+   * @param {AbortSignal} options.signal - Kills the build when aborted
+   * @param {Function} options.onOutput - Receives (stream, chunk) for every output chunk
    * @returns {Promise<void>}
    */
-  async buildProject(projectPath, buildCommand) {
+  async buildProject(projectPath, buildCommand, options = {}) {
     try {
       // Validate and sanitize inputs
       const sanitizedPath = validateFilePath(projectPath, process.cwd());
@@ -86,12 +128,14 @@ class DockerService extends BaseService {
         
         child.stdout.on('data', (data) => {
           stdout += data.toString();
+          options.onOutput?.('stdout', data.toString());
           // Log build progress in debug mode
           this.logger.debug(`Build output: ${data.toString().trim()}`);
         });
         
         child.stderr.on('data', (data) => {
           stderr += data.toString();
+          options.onOutput?.('stderr', data.toString());
           // Log build warnings/errors
           this.logger.warn(`Build warning: ${data.toString().trim()}`);
         });
@@ -148,6 +192,14 @@ class DockerService extends BaseService {
           
           reject(new Error(`Build timeout after ${this.buildTimeout / 1000} seconds`));
         });
+
+        killOnAbort(child, options.signal, (reason) => {
+          if (isResolved) return;
+          isResolved = true;
+
+          this.logger.warn('Build aborted:', { projectPath: sanitizedPath, reason: reason?.message });
+          reject(reason);
+        });
       });
     } catch (error) {
       this.logger.error('Build setup failed:', {
@@ -159,6 +211,134 @@ class DockerService extends BaseService {
     }
   }
 
+  /**
+   * Build (or rebuild) the Docker images of a Compose project
+   * @param {string} projectPath - Path to the project
+   * @param {Object} options - Build options
+   * @param {AbortSignal} options.signal - Kills the build when aborted
+   * @param {Function} options.onOutput - Receives (stream, chunk) for every output chunk
+   * @returns {Promise<void>}
+   */
+  async buildImages(projectPath, options = {}) {
+    try {
+      const sanitizedPath = validateFilePath(projectPath, process.cwd());
+      const composeArgs = await this.getComposeArgs(projectPath);
+      await this._checkRepositoryCompose(projectPath, composeArgs);
+
+      this.logger.info(`Building Docker images for project: ${sanitizedPath}`);
+
+      return new Promise((resolve, reject) => {
+        const child = spawn('docker-compose', [...composeArgs, 'build'], {
+          cwd: sanitizedPath,
+          stdio: ['pipe', 'pipe', 'pipe'],
+          timeout: this.buildTimeout
+        });
+
+        let stdout = '';
+        let stderr = '';
+        let isResolved = false;
+
+        child.stdout.on('data', (data) => {
+          stdout += data.toString();
+          options.onOutput?.('stdout', data.toString());
+          this.logger.debug(`Image build output: ${data.toString().trim()}`);
+        });
+
+        child.stderr.on('data', (data) => {
+          stderr += data.toString();
+          options.onOutput?.('stderr', data.toString());
+          this.logger.debug(`Image build output: ${data.toString().trim()}`);
+        });
+
+        child.on('close', (code) => {
+          if (isResolved) return;
+          isResolved = true;
+
+          if (code === 0) {
+            this.logger.info(`Docker images built successfully: ${sanitizedPath}`);
+            resolve();
+          } else {
+            const error = new Error(`Image build failed with exit code ${code}`);
+            error.exitCode = code;
+            error.stdout = stdout;
+            error.stderr = stderr;
+            error.projectPath = sanitizedPath;
+
+            this.logger.error('Image build failed:', {
+              projectPath: sanitizedPath,
+              exitCode: code,
+              stderr: stderr.trim()
+            });
+
+            reject(error);
+          }
+        });
+
+        child.on('error', (error) => {
+          if (isResolved) return;
+          isResolved = true;
+
+          this.logger.error('Image build process error:', {
+            projectPath: sanitizedPath,
+            error: error.message,
+            code: error.code
+          });
+
+          reject(new Error(`Image build process failed: ${error.message}`));
+        });
+
+        child.on('timeout', () => {
+          if (isResolved) return;
+          isResolved = true;
+
+          child.kill('SIGTERM');
+          this.logger.error('Image build timeout:', {
+            projectPath: sanitizedPath,
+            timeout: `${this.buildTimeout / 1000} seconds`
+          });
+
+          reject(new Error(`Image build timeout after ${this.buildTimeout / 1000} seconds`));
+        });
+
+        killOnAbort(child, options.signal, (reason) => {
+          if (isResolved) return;
+          isResolved = true;
+
+          this.logger.warn('Image build aborted:', { projectPath: sanitizedPath, reason: reason?.message });
+          reject(reason);
+        });
+      });
+    } catch (error) {
+      this.logger.error('Image build setup failed:', {
+        projectPath,
+        error: error.message
+      });
+      throw new Error(`Image build setup failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pull the images of a Compose project
+   * Used by projects running a prebuilt image, whose tag may point at a newer release.
+   * @param {string} projectPath - Path to the project
+   * @param {Object} options - Pull options
+   * @param {Function} options.onOutput - Receives (stream, chunk) for every output chunk
+   * @returns {Promise<void>}
+   */
+  async pullImages(projectPath, options = {}) {
+    return this.executeOperation('pullImages', async () => {
+      const sanitizedPath = validateFilePath(projectPath, process.cwd());
+      const composeArgs = await this.getComposeArgs(projectPath);
+
+      await this.executeCommand('docker-compose', [...composeArgs, 'pull'], {
+        cwd: sanitizedPath,
+        timeout: this.buildTimeout,
+        onProgress: (chunk) => options.onOutput?.('stdout', chunk),
+        onError: (chunk) => options.onOutput?.('stderr', chunk)
+      });
+    }, { projectPath });
+  }
+
   /**
    * Find the correct Docker Compose file in a project directory
    * @param {string} projectPath - Path to the project
@@ -167,6 +347,7 @@ class DockerService extends BaseService {
   async findComposeFile(projectPath) {
     const sanitizedPath = validateFilePath(projectPath, process.cwd());
     const possibleFiles = [
+      PLATFORM_COMPOSE_FILE,
       'compose.yaml',
       'docker-compose.yml',
       'docker-compose.yaml',
@@ -189,6 +370,30 @@ class DockerService extends BaseService {
     return composePath;
   }
 
+  /**
+   * Get the docker-compose arguments that select a project's compose files
+   * Stacks combine the repository's compose file with the platform's override
+   * file, which names the repository's file in its x-raspberry-host section.
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<Array<string>>} Project name and compose file arguments
+   */
+  async getComposeArgs(projectPath) {
+    const sanitizedPath = validateFilePath(projectPath, process.cwd());
+    const composeFile = await this.findComposeFile(projectPath);
+    // Named after the project directory, also when the repository's file lives in a subdirectory
+    const args = ['-p', path.basename(sanitizedPath).toLowerCase()];
+
+    if (path.basename(composeFile) === PLATFORM_COMPOSE_FILE) {
+      const stackFile = await this._readStackFile(composeFile);
+      if (stackFile) {
+        args.push('-f', path.join(sanitizedPath, stackFile));
+      }
+    }
+
+    args.push('-f', composeFile);
+    return args;
+  }
+
   /**
    * Create Docker Compose file for a project
    * @param {Object} project - Project configuration
@@ -203,8 +408,15 @@ class DockerService extends BaseService {
       
       try {
         const sanitizedPath = validateFilePath(projectPath, process.cwd());
-        const composePath = await this.findComposeFile(projectPath);
-        const composeContent = this.generateComposeContent(project);
+        const composePath = project.build?.composeFile
+          ? path.join(sanitizedPath, PLATFORM_COMPOSE_FILE)
+          : await this.findComposeFile(projectPath);
+        const composeContent = project.build?.stack
+          ? this.generateStackOverride(
+            project,
+            await this.getComposeServices(projectPath, project.build.composeFile)
+          )
+          : this.generateComposeContent(project);
         
         await fs.writeFile(composePath, composeContent);
         return { composePath, success: true };
@@ -223,12 +435,19 @@ class DockerService extends BaseService {
   /**
    * Start a Docker Compose project
    * @param {string} projectPath - Path to the project
+   * @param {Object} options - Start options
+   * @param {boolean} options.noBuild - Only use already built images (used for rollbacks)
+   * @param {boolean} options.forceRecreate - Recreate containers even if their configuration is unchanged
+   * @param {AbortSignal} options.signal - Kills the start (and the image build it runs) when aborted
+   * @param {Function} options.onOutput - Receives (stream, chunk) for every output chunk
    * @returns {Promise<void>}
    */
-  async startProject(projectPath) {
+  async startProject(projectPath, options = {}) {
     try {
       const sanitizedPath = validateFilePath(projectPath, process.cwd());
       const composeFile = await this.findComposeFile(projectPath);
+      const composeArgs = await this.getComposeArgs(projectPath);
+      await this._checkRepositoryCompose(projectPath, composeArgs);
       
       this.logger.info(`Starting Docker project: ${sanitizedPath}`);
       
@@ -254,7 +473,10 @@ class DockerService extends BaseService {
       const { spawn } = require('child_process');
       
       return new Promise((resolve, reject) => {
-        const child = spawn('docker-compose', ['up', '-d'], {
+        const args = [...composeArgs, 'up', '-d'];
+        if (options.noBuild) args.push('--no-build');
+        if (options.forceRecreate) args.push('--force-recreate');
+        const child = spawn('docker-compose', args, {
           cwd: sanitizedPath,
           stdio: ['pipe', 'pipe', 'pipe'],
           timeout: this.deploymentTimeout
@@ -266,11 +488,13 @@ class DockerService extends BaseService {
         
         child.stdout.on('data', (data) => {
           stdout += data.toString();
+          options.onOutput?.('stdout', data.toString());
           this.logger.debug(`Docker start output: ${data.toString().trim()}`);
         });
         
         child.stderr.on('data', (data) => {
           stderr += data.toString();
+          options.onOutput?.('stderr', data.toString());
           this.logger.warn(`Docker start warning: ${data.toString().trim()}`);
         });
         
@@ -325,6 +549,14 @@ class DockerService extends BaseService {
           
           reject(new Error('Docker start timeout after 5 minutes'));
         });
+
+        killOnAbort(child, options.signal, (reason) => {
+          if (isResolved) return;
+          isResolved = true;
+
+          this.logger.warn('Docker start aborted:', { projectPath: sanitizedPath, reason: reason?.message });
+          reject(reason);
+        });
       });
     } catch (error) {
       this.logger.error('Start project setup failed:', {
@@ -336,6 +568,83 @@ class DockerService extends BaseService {
     }
   }
 
+  /**
+   * Start a candidate container next to the running one for a blue/green switch
+   * The candidate runs as its own Compose project on a temporary host port.
+   * @param {Object} project - Project configuration (with the image tag to run)
+   * @param {string} projectPath - Path to the project
+   * @param {number} port - Temporary host port
+   * @returns {Promise<Object>} Candidate info (composeProject, composeFile, containerName, port, containerPort)
+   */
+  async startCandidate(project, projectPath, port) {
+    return this.executeOperation('startCandidate', async () => {
+      this.validateRequiredParams({ project, projectPath, port }, ['project', 'projectPath', 'port']);
+
+      const sanitizedPath = validateFilePath(projectPath, process.cwd());
+      const candidate = this.getCandidateInfo(project.name, sanitizedPath, port);
+      const composeContent = this.generateComposeContent(
+        { ...project, effectivePort: port },
+        { containerName: candidate.containerName }
+      );
+
+      await fs.writeFile(candidate.composeFile, composeContent);
+      if (project.build?.composeFile) {
+        await this.validateComposeConfig(projectPath, ['-p', candidate.composeProject, '-f', candidate.composeFile]);
+      }
+      await this.executeCommand(
+        'docker-compose',
+        ['-p', candidate.composeProject, '-f', candidate.composeFile, 'up', '-d'],
+        { cwd: sanitizedPath, timeout: this.deploymentTimeout }
+      );
+
+      return { ...candidate, containerPort: this.getContainerPort(project) };
+    }, { projectId: project.id, projectPath, port });
+  }
+
+  /**
+   * Stop and remove the candidate container of a project
+   * @param {string} projectName - Project name
+   * @param {string} projectPath - Path to the project
+   * @returns {Promise<void>}
+   */
+  async removeCandidate(projectName, projectPath) {
+    return this.executeOperation('removeCandidate', async () => {
+      const sanitizedPath = validateFilePath(projectPath, process.cwd());
+      const candidate = this.getCandidateInfo(projectName, sanitizedPath);
+
+      try {
+        await fs.access(candidate.composeFile);
+      } catch (error) {
+        return; // No candidate running
+      }
+
+      await this.executeCommand(
+        'docker-compose',
+        ['-p', candidate.composeProject, '-f', candidate.composeFile, 'down', '--volumes'],
+        { cwd: sanitizedPath, timeout: 120000 }
+      );
+      await fs.unlink(candidate.composeFile);
+    }, { projectName, projectPath });
+  }
+
+  /**
+   * Get naming details of a project's candidate container
+   * @param {string} projectName - Project name
+   * @param {string} projectPath - Sanitized path to the project
+   * @param {number} port - Temporary host port
+   * @returns {Object} Candidate info
+   */
+  getCandidateInfo(projectName, projectPath, port = null) {
+    const containerName = `${projectName}-candidate`;
+
+    return {
+      composeProject: containerName.toLowerCase(),
+      composeFile: path.join(projectPath, 'compose.candidate.yaml'),
+      containerName,
+      port
+    };
+  }
+
   /**
    * Stop a Docker Compose project
    * @param {string} projectPath - Path to the project
@@ -348,11 +657,12 @@ class DockerService extends BaseService {
       this.validateParamTypes({ projectPath }, { projectPath: 'string' });
       
       const sanitizedPath = validateFilePath(projectPath, process.cwd());
+      const composeArgs = await this.getComposeArgs(projectPath);
       
       const { spawn } = require('child_process');
       
       return new Promise((resolve, reject) => {
-        const child = spawn('docker-compose', ['down'], {
+        const child = spawn('docker-compose', [...composeArgs, 'down'], {
           cwd: sanitizedPath,
           stdio: ['pipe', 'pipe', 'pipe'],
           timeout: 120000 // 2 minutes timeout
@@ -392,18 +702,21 @@ class DockerService extends BaseService {
    * Get project logs
    * @param {string} projectPath - Path to the project
    * @param {number} lines - Number of lines to retrieve
+   * @param {string} service - Service of a stack to get the logs of (all services when not set)
    * @returns {Promise<Array>} Log lines
    */
-  async getProjectLogs(projectPath, lines = 100) {
+  async getProjectLogs(projectPath, lines = 100, service = null) {
     try {
       const sanitizedPath = validateFilePath(projectPath, process.cwd());
-      const composeFile = await this.findComposeFile(projectPath);
+      const composeArgs = await this.getComposeArgs(projectPath);
       
       // Validate lines parameter
       const sanitizedLines = Math.max(1, Math.min(10000, parseInt(lines) || 100));
+      const args = [...composeArgs, 'logs', '--tail', sanitizedLines.toString()];
+      if (service) args.push(this._sanitizeServiceName(service));
       
       return new Promise((resolve, reject) => {
-        const child = spawn('docker-compose', ['-f', composeFile, 'logs', '--tail', sanitizedLines.toString()], {
+        const child = spawn('docker-compose', args, {
           stdio: ['pipe', 'pipe', 'pipe'],
           timeout: 60000 // 1 minute timeout
         });
@@ -448,10 +761,10 @@ class DockerService extends BaseService {
   async getProjectStatus(projectPath) {
     try {
       const sanitizedPath = validateFilePath(projectPath, process.cwd());
-      const composeFile = await this.findComposeFile(projectPath);
+      const composeArgs = await this.getComposeArgs(projectPath);
       
       return new Promise((resolve, reject) => {
-        const child = spawn('docker-compose', ['-f', composeFile, 'ps', '--format', 'json'], {
+        const child = spawn('docker-compose', [...composeArgs, 'ps', '--format', 'json'], {
           stdio: ['pipe', 'pipe', 'pipe'],
           timeout: 30000 // 30 seconds timeout
         });
@@ -476,6 +789,13 @@ class DockerService extends BaseService {
 
               resolve({
                 containers,
+                services: containers.map((container) => ({
+                  service: container.Service,
+                  container: container.Name,
+                  state: container.State,
+                  status: container.Status,
+                  health: container.Health || null
+                })),
                 status: containers.length > 0 ? 'running' : 'stopped'
               });
             } catch (parseError) {
@@ -502,18 +822,321 @@ class DockerService extends BaseService {
 
   /**
    * Generate Docker Compose content for a project
+   * Projects running a prebuilt image use it as is and mount their data volumes.
    * @param {Object} project - Project configuration
+   * @param {Object} options - Template options
+   * @param {string} options.containerName - Container name (defaults to the project name)
    * @returns {string} Docker Compose content
    */
-  generateComposeContent(project) {
+  generateComposeContent(project, options = {}) {
     const effectivePort = project.effectivePort || project.assignedPort || project.port;
     const environmentSection = this._generateEnvironmentSection(project.environment);
     
     return this._buildComposeTemplate({
       projectName: project.name,
+      containerName: options.containerName || project.name,
+      image: project.image || this.getImageName(project.name, project.imageTag),
+      buildSection: project.image ? '' : this._generateBuildSection(project),
       port: effectivePort,
-      environmentSection
+      containerPort: this.getContainerPort(project),
+      envFileSection: this._generateEnvFileSection(project),
+      environmentSection,
+      resourcesSection: this._generateResourcesSection(project.resources),
+      // The service extended from the repository compose file must not publish its own ports
+      overridePorts: Boolean(project.build?.composeFile && !project.image),
+      volumes: project.volumes || []
+    });
+  }
+
+  /**
+   * Get the port a project's app listens on inside its container
+   * The port its image was built with comes first, as generated images bake
+   * it in; the configured port applies to projects built before detection.
+   * @param {Object} project - Project configuration
+   * @returns {number} Container port (80 unless configured or detected otherwise)
+   */
+  getContainerPort(project) {
+    return project.buildpack?.containerPort || project.containerPort || 80;
+  }
+
+  /**
+   * Get the image name a project is built into
+   * Images are tagged per commit so earlier builds stay available for rollbacks.
+   * @param {string} projectName - Project name
+   * @param {string} imageTag - Image tag (defaults to latest)
+   * @returns {string} Image name with tag
+   */
+  getImageName(projectName, imageTag = null) {
+    return `raspberry-host/${projectName.toLowerCase()}:${imageTag || 'latest'}`;
+  }
+
+  /**
+   * List the services of a compose file in a project
+   * @param {string} projectPath - Path to the project
+   * @param {string} composeFile - Compose file, relative to the project
+   * @returns {Promise<Array<string>>} Service names
+   */
+  async getComposeServices(projectPath, composeFile) {
+    return this.executeOperation('getComposeServices', async () => {
+      const sanitizedPath = validateFilePath(projectPath, process.cwd());
+      const { stdout } = await this.executeCommand(
+        'docker-compose',
+        ['-f', composeFile, 'config', '--services'],
+        { cwd: sanitizedPath, timeout: 30000 }
+      );
+
+      return stdout.split('\n').map((line) => line.trim()).filter(Boolean);
+    }, { projectPath, composeFile });
+  }
+
+  /**
+   * Check the resolved configuration of a project using the repository's compose file
+   * Anyone who can deploy a project controls that file, so settings giving a
+   * container the host or other projects are refused: privileged mode, host
+   * or container namespaces, added capabilities, devices and security
+   * options, bind mounts, build contexts, configs and secrets outside the
+   * project, and volumes or networks that are not the Compose project's own.
+   * @param {string} projectPath - Path to the project
+   * @param {Array<string>} composeArgs - Arguments selecting the compose files (see getComposeArgs)
+   * @returns {Promise<void>}
+   * @throws {ValidationError} Naming every refused setting
+   */
+  async validateComposeConfig(projectPath, composeArgs) {
+    const sanitizedPath = validateFilePath(projectPath, process.cwd());
+    const { stdout } = await this.executeCommand(
+      'docker-compose',
+      [...composeArgs, 'config', '--format', 'json'],
+      { cwd: sanitizedPath, timeout: 30000 }
+    );
+    const resolved = JSON.parse(stdout);
+    const composeProject = composeArgs[composeArgs.indexOf('-p') + 1];
+    const projectRoot = await this._resolveHostPath(sanitizedPath);
+    const isOutside = async (hostPath) => {
+      const resolvedPath = await this._resolveHostPath(path.resolve(sanitizedPath, hostPath));
+      return resolvedPath !== projectRoot && !resolvedPath.startsWith(`${projectRoot}${path.sep}`);
+    };
+    const refused = [];
+
+    for (const [name, service] of Object.entries(resolved.services || {})) {
+      const refuse = (setting) => refused.push(`${setting} (service ${name})`);
+
+      if (service.privileged) refuse('privileged');
+      if (service.network_mode && !/^(none|bridge|service:.+)$/.test(service.network_mode)) {
+        refuse(`network_mode ${service.network_mode}`);
+      }
+      for (const setting of SHARED_NAMESPACE_SETTINGS) {
+        if (service[setting] === 'host' || String(service[setting] || '').startsWith('container:')) {
+          refuse(`${setting} ${service[setting]}`);
+        }
+      }
+      for (const setting of HOST_ACCESS_SETTINGS) {
+        if (service[setting]?.length > 0) refuse(setting);
+      }
+      if (service.cgroup_parent) refuse('cgroup_parent');
+      for (const source of service.volumes_from || []) {
+        if (source.startsWith('container:')) refuse(`volumes_from ${source}`);
+      }
+      for (const volume of service.volumes || []) {
+        if (!['bind', 'volume', 'tmpfs'].includes(volume.type)) {
+          refuse(`${volume.type} mount ${volume.source}`);
+        } else if (volume.type === 'bind' && (await isOutside(volume.source))) {
+          refuse(`bind mount ${volume.source}`);
+        }
+      }
+
+      const build = service.build;
+      if (build) {
+        // Other contexts are images, services or remote repositories
+        for (const context of [build.context, ...Object.values(build.additional_contexts || {})]) {
+          if (context && path.isAbsolute(context) && (await isOutside(context))) refuse(`build context ${context}`);
+        }
+        if (build.network === 'host') refuse('build network host');
+        if (build.privileged) refuse('privileged build');
+        if (build.entitlements?.length > 0) refuse('build entitlements');
+      }
+    }
+
+    for (const [key, volume] of Object.entries(resolved.volumes || {})) {
+      if (
+        volume.external || volume.driver_opts || (volume.driver && volume.driver !== 'local') ||
+        (volume.name && volume.name !== `${composeProject}_${key}`)
+      ) {
+        refused.push(`volume ${volume.name || key}`);
+      }
+    }
+    for (const [key, network] of Object.entries(resolved.networks || {})) {
+      if (network.name === PLATFORM_NETWORK) continue;
+      if (
+        network.external || network.driver_opts || (network.driver && network.driver !== 'bridge') ||
+        (network.name && network.name !== `${composeProject}_${key}`)
+      ) {
+        refused.push(`network ${network.name || key}`);
+      }
+    }
+    for (const [kind, entries] of [['config', resolved.configs], ['secret', resolved.secrets]]) {
+      for (const [key, entry] of Object.entries(entries || {})) {
+        if (entry.external || (entry.file && (await isOutside(entry.file)))) refused.push(`${kind} ${key}`);
+      }
+    }
+
+    if (refused.length > 0) {
+      throw ErrorFactory.validation(
+        `The compose file gives access to the host or other projects, remove: ${refused.join(', ')}`,
+        'composeFile',
+        refused
+      );
+    }
+  }
+
+  /**
+   * Generate the override file deploying the repository's compose stack
+   * The stack runs as the repository defines it (see validateComposeConfig).
+   * Only the project's service is published, on the project's port, and
+   * joins the platform network; the ports the other services publish are
+   * removed. The project's resource limits are shared out evenly between
+   * the services, so the stack as a whole stays within them.
+   * @param {Object} project - Project configuration
+   * @param {Array<string>} services - Services of the repository compose file
+   * @returns {string} Docker Compose override content
+   */
+  generateStackOverride(project, services) {
+    const { composeFile, composeService } = project.build;
+    const effectivePort = project.effectivePort || project.assignedPort || project.port;
+    const resourcesSection = this._generateResourcesSection(this._splitResources(project.resources, services.length));
+
+    const serviceSections = services.map((service) => {
+      if (service !== composeService) {
+        return [`  ${service}:`, '    ports: !reset []', resourcesSection].filter(Boolean).join('\n');
+      }
+
+      return [
+        `  ${service}:`,
+        `    container_name: ${project.name}`,
+        '    restart: unless-stopped',
+        resourcesSection,
+        '    ports: !override',
+        `      - "${effectivePort}:${this.getContainerPort(project)}"`,
+        this._generateEnvFileSection(project),
+        this._generateEnvironmentSection(project.environment),
+        '    networks:',
+        '      - default',
+        '      - pi-network'
+      ].filter(Boolean).join('\n');
     });
+
+    return `x-raspberry-host:
+  stack: ${composeFile}
+
+services:
+${serviceSections.join('\n')}
+
+networks:
+  pi-network:
+    external: true
+    name: raspberry-host_pi-network
+`;
+  }
+
+  /**
+   * Read which repository compose file a platform compose file overrides
+   * @private
+   * @returns {Promise<string|null>} Compose file relative to the project, null for single services
+   */
+  async _readStackFile(composeFile) {
+    try {
+      const content = await fs.readFile(composeFile, 'utf8');
+      return content.match(STACK_SECTION_PATTERN)?.[1] || null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the resolved configuration of projects using the repository's compose file
+   * @private
+   */
+  async _checkRepositoryCompose(projectPath, composeArgs) {
+    if (path.basename(composeArgs[composeArgs.length - 1]) === PLATFORM_COMPOSE_FILE) {
+      await this.validateComposeConfig(projectPath, composeArgs);
+    }
+  }
+
+  /**
+   * Resolve the symbolic links of a host path, also when its last parts do not exist yet
+   * @private
+   */
+  async _resolveHostPath(hostPath) {
+    try {
+      return await fs.realpath(hostPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT' || path.dirname(hostPath) === hostPath) throw error;
+      return path.join(await this._resolveHostPath(path.dirname(hostPath)), path.basename(hostPath));
+    }
+  }
+
+  /**
+   * Share resource limits out evenly between the services of a stack
+   * CPU shares are a relative weight and stay as they are.
+   * @private
+   */
+  _splitResources(resources, count) {
+    const { cpus, cpuShares, memory, pidsLimit } = resources || {};
+    if (count <= 1) return resources;
+
+    return {
+      // Docker's minimums: 0.01 CPUs and 6 MB of memory
+      cpus: cpus ? Math.max(0.01, Math.floor((cpus / count) * 100) / 100) : cpus,
+      cpuShares,
+      memory: memory ? Math.max(6, Math.floor(memory / count)) : memory,
+      pidsLimit: pidsLimit ? Math.max(1, Math.floor(pidsLimit / count)) : pidsLimit
+    };
+  }
+
+  /**
+   * Service names are passed to docker-compose as arguments
+   * @private
+   */
+  _sanitizeServiceName(service) {
+    if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(service)) {
+      throw ErrorFactory.validation('Invalid service name', 'service', service);
+    }
+    return service;
+  }
+
+  /**
+   * Generate the build section of a project's service
+   * Projects with their own compose file extend the configured service of it,
+   * which keeps its build settings; the others build their build context.
+   * The extended service is checked like a stack before it is built or
+   * started (see validateComposeConfig) and its ports are replaced.
+   * @private
+   */
+  _generateBuildSection(project) {
+    const { context, composeFile, composeService } = project.build || {};
+
+    if (composeFile) {
+      return `    extends:
+      file: ${composeFile}
+      service: ${composeService}`;
+    }
+
+    return `    build:
+      context: ${context || '.'}
+      dockerfile: ${project.buildpack?.dockerfile || 'Dockerfile'}
+      platforms:
+        - linux/arm64`;
+  }
+
+  /**
+   * Generate the env_file section loading a project's secrets and add-on connection URLs
+   * @private
+   */
+  _generateEnvFileSection(project) {
+    const envFiles = [project.secretsFile, project.addonsFile].filter(Boolean);
+    if (envFiles.length === 0) return '';
+
+    return `    env_file:\n${envFiles.map(file => `      - ${file}`).join('\n')}`;
   }
 
   /**
@@ -529,25 +1152,44 @@ class DockerService extends BaseService {
     return envVars ? `    environment:\n${envVars}` : '';
   }
 
+  /**
+   * Generate resource limits section
+   * Swap is limited to the memory limit so a project cannot page the Pi to a halt.
+   * @private
+   */
+  _generateResourcesSection(resources = {}) {
+    const { cpus, cpuShares, memory, pidsLimit } = resources || {};
+    const limits = [];
+
+    if (cpus) limits.push(`    cpus: ${cpus}`);
+    if (cpuShares) limits.push(`    cpu_shares: ${cpuShares}`);
+    if (memory) limits.push(`    mem_limit: ${memory}m`, `    memswap_limit: ${memory}m`);
+    if (pidsLimit) limits.push(`    pids_limit: ${pidsLimit}`);
+
+    return limits.join('\n');
+  }
+
   /**
    * Build Docker Compose template
    * @private
    */
-  _buildComposeTemplate({ projectName, port, environmentSection }) {
+  _buildComposeTemplate({ projectName, containerName, image, buildSection, port, containerPort, envFileSection, environmentSection, resourcesSection, overridePorts = false, volumes = [] }) {
+    const volumeMounts = volumes.map(volume => `\n      - ${projectName}_${volume.name}:${volume.path}`).join('');
+    const volumeDeclarations = volumes.map(volume => `\n  ${projectName}_${volume.name}:\n    driver: local`).join('');
+
     return `services:
   ${projectName}:
-    build:
-      context: .
-      dockerfile: Dockerfile
-      platforms:
-        - linux/arm64
-    container_name: ${projectName}
+${buildSection}
+    image: ${image}
+    container_name: ${containerName}
     restart: unless-stopped
-    ports:
-      - "${port}:80"
+${resourcesSection}
+    ports:${overridePorts ? ' !override' : ''}
+      - "${port}:${containerPort}"
+${envFileSection}
 ${environmentSection}
     volumes:
-      - ${projectName}_logs:/app/logs
+      - ${projectName}_logs:/app/logs${volumeMounts}
     networks:
       - pi-network
 
@@ -558,7 +1200,7 @@ networks:
 
 volumes:
   ${projectName}_logs:
-    driver: local
+    driver: local${volumeDeclarations}
 `;
   }
 
@@ -614,6 +1256,33 @@ volumes:
     }
   }
 
+  /**
+   * Check if an image exists locally
+   * @param {string} imageName - Image name with tag
+   * @returns {Promise<boolean>}
+   */
+  async imageExists(imageName) {
+    try {
+      return new Promise((resolve) => {
+        const child = spawn('docker', ['image', 'inspect', imageName], {
+          stdio: ['pipe', 'pipe', 'pipe'],
+          timeout: 10000 // 10 seconds timeout
+        });
+
+        child.on('close', (code) => {
+          resolve(code === 0);
+        });
+
+        child.on('error', () => {
+          resolve(false);
+        });
+      });
+    } catch (error) {
+      this.logger.error('Failed to inspect image:', error);
+      return false;
+    }
+  }
+
   /**
    * Get all Docker containers
    * @returns {Promise<Array>} List of containers
@@ -666,6 +1335,53 @@ volumes:
     }
   }
 
+  /**
+   * Get CPU, memory, network and process usage of running containers from `docker stats`
+   * Network bytes are counted since the container started.
+   * @returns {Promise<Object>} Usage by container name
+   */
+  async getContainerStats() {
+    return this.executeOperation('getContainerStats', async () => {
+      const { stdout } = await this.executeCommand(
+        'docker',
+        ['stats', '--no-stream', '--format', '{{json .}}'],
+        { timeout: 30000, sanitizeArgs: false }
+      );
+
+      const stats = {};
+      for (const line of stdout.split('\n').filter(line => line.trim())) {
+        const entry = JSON.parse(line);
+        const [memoryUsage, memoryLimit] = (entry.MemUsage || '').split('/').map(value => this._parseSize(value));
+        const [networkRx, networkTx] = (entry.NetIO || '').split('/').map(value => this._parseSize(value));
+
+        stats[entry.Name] = {
+          cpuPercent: parseFloat(entry.CPUPerc) || 0,
+          memoryUsage,
+          memoryLimit,
+          memoryPercent: parseFloat(entry.MemPerc) || 0,
+          pids: parseInt(entry.PIDs, 10) || 0,
+          networkRx: networkRx || 0,
+          networkTx: networkTx || 0
+        };
+      }
+      return stats;
+    });
+  }
+
+  /**
+   * Convert a size as printed by docker (e.g. "12.5MiB") to bytes
+   * @private
+   */
+  _parseSize(value = '') {
+    const match = value.trim().match(/^([\d.]+)\s*([KMGT]?i?B)$/i);
+    if (!match) return 0;
+
+    const units = { b: 0, kb: 1, kib: 1, mb: 2, mib: 2, gb: 3, gib: 3, tb: 4, tib: 4 };
+    const unit = match[2].toLowerCase();
+    const base = unit.includes('i') || unit === 'b' ? 1024 : 1000;
+    return Math.round(parseFloat(match[1]) * Math.pow(base, units[unit]));
+  }
+
   /**
    * Get all Docker images
    * @returns {Promise<Array>} List of images
@@ -822,6 +1538,154 @@ volumes:
     }
   }
 
+  /**
+   * Get the named volumes of a project
+   * Volumes of its Compose project, plus the volumes of its managed add-ons
+   * that exist. Add-on volumes are given by name, from the project's add-ons
+   * (see AddonService.getVolumeNames): the Compose project <project>-addons
+   * they run in could also be another project's name.
+   * @param {string} projectName - Project name (its Compose project, lowercased)
+   * @param {Array<string>} addonVolumes - Volume names of the project's add-ons
+   * @returns {Promise<Array<string>>} Volume names
+   */
+  async getProjectVolumes(projectName, addonVolumes = []) {
+    return this.executeOperation('getProjectVolumes', async () => {
+      const result = await this.executeCommand(
+        'docker',
+        ['volume', 'ls', '--filter', `label=com.docker.compose.project=${projectName.toLowerCase()}`, '--format', '{{.Name}}'],
+        { timeout: 30000, sanitizeArgs: false }
+      );
+      const volumes = result.stdout.split('\n').map(line => line.trim()).filter(Boolean);
+
+      if (addonVolumes.length > 0) {
+        const existing = await this.executeCommand(
+          'docker',
+          ['volume', 'ls', '--format', '{{.Name}}'],
+          { timeout: 30000, sanitizeArgs: false }
+        );
+        const names = new Set(existing.stdout.split('\n').map(line => line.trim()));
+        volumes.push(...addonVolumes.filter(volume => names.has(volume)));
+      }
+
+      return volumes;
+    }, { projectName });
+  }
+
+  /**
+   * Get the disk space the volumes and images of a project take
+   * Volumes are measured with du in a short-lived helper container they are
+   * mounted into read-only. Images are the ones built for the project, by
+   * name or, for the services of a stack, by its Compose project label.
+   * @param {string} projectName - Project name (its Compose project, lowercased)
+   * @param {Array<string>} addonVolumes - Volume names of the project's add-ons
+   * @returns {Promise<number>} Size in MB
+   */
+  async getProjectDiskUsage(projectName, addonVolumes = []) {
+    return this.executeOperation('getProjectDiskUsage', async () => {
+      const composeProject = projectName.toLowerCase();
+      let kilobytes = 0;
+
+      const volumes = await this.getProjectVolumes(projectName, addonVolumes);
+      if (volumes.length > 0) {
+        const mounts = volumes.flatMap(volume => ['-v', `${volume}:/volumes/${volume}:ro`]);
+        const { stdout } = await this.executeCommand(
+          'docker',
+          ['run', '--rm', ...mounts, config.backupHelperImage, 'du', '-sk', '/volumes'],
+          { timeout: 120000, sanitizeArgs: false }
+        );
+        kilobytes += parseInt(stdout, 10) || 0;
+      }
+
+      const images = new Set();
+      const filters = [`reference=raspberry-host/${composeProject}`, `label=com.docker.compose.project=${composeProject}`];
+      for (const filter of filters) {
+        const { stdout } = await this.executeCommand(
+          'docker',
+          ['image', 'ls', '--no-trunc', '--filter', filter, '--format', '{{.ID}}'],
+          { timeout: 30000, sanitizeArgs: false }
+        );
+        stdout.split('\n').map(line => line.trim()).filter(Boolean).forEach(id => images.add(id));
+      }
+      if (images.size > 0) {
+        const { stdout } = await this.executeCommand(
+          'docker',
+          ['image', 'inspect', '--format', '{{.Size}}', ...images],
+          { timeout: 30000, sanitizeArgs: false }
+        );
+        kilobytes += stdout.split('\n').reduce((sum, line) => sum + (parseInt(line, 10) || 0), 0) / 1024;
+      }
+
+      return kilobytes / 1024;
+    }, { projectName });
+  }
+
+  /**
+   * Write the contents of a volume to a gzipped tar archive
+   * The volume is mounted read-only into a short-lived helper container.
+   * @param {string} volumeName - Volume name
+   * @param {string} archivePath - Archive to write
+   * @returns {Promise<void>}
+   */
+  async exportVolume(volumeName, archivePath) {
+    return this.executeOperation('exportVolume', async () => {
+      await this.commandExecutor.executeToFile(
+        'docker',
+        ['run', '--rm', '-v', `${volumeName}:/volume:ro`, config.backupHelperImage, 'tar', '-czf', '-', '-C', '/volume', '.'],
+        archivePath,
+        { description: `Export volume ${volumeName}` }
+      );
+    }, { volumeName });
+  }
+
+  /**
+   * Replace the contents of a volume with a gzipped tar archive written by exportVolume
+   * The archive is streamed into a short-lived helper container that empties
+   * the volume before extracting it.
+   * @param {string} volumeName - Volume name
+   * @param {string} archivePath - Archive to read
+   * @returns {Promise<void>}
+   */
+  async importVolume(volumeName, archivePath) {
+    return this.executeOperation('importVolume', async () => {
+      await this.commandExecutor.executeFromFile(
+        'docker',
+        [
+          'run', '--rm', '-i', '-v', `${volumeName}:/volume`, config.backupHelperImage,
+          'sh', '-c', 'find /volume -mindepth 1 -delete && tar -xzf - -C /volume'
+        ],
+        archivePath,
+        { description: `Import volume ${volumeName}` }
+      );
+    }, { volumeName });
+  }
+
+  /**
+   * Create a volume that belongs to a Compose project
+   * Carries the labels Compose sets itself, so `docker compose up` adopts it.
+   * @param {string} projectName - Project name (its Compose project, lowercased)
+   * @param {string} volumeName - Volume name (<compose project>_<volume>)
+   * @returns {Promise<void>}
+   */
+  async createProjectVolume(projectName, volumeName) {
+    return this.executeOperation('createProjectVolume', async () => {
+      const composeProject = projectName.toLowerCase();
+      const composeVolume = volumeName.startsWith(`${composeProject}_`)
+        ? volumeName.slice(composeProject.length + 1)
+        : volumeName;
+
+      await this.executeCommand(
+        'docker',
+        [
+          'volume', 'create',
+          '--label', `com.docker.compose.project=${composeProject}`,
+          '--label', `com.docker.compose.volume=${composeVolume}`,
+          volumeName
+        ],
+        { timeout: 30000, sanitizeArgs: false }
+      );
+    }, { projectName, volumeName });
+  }
+
   /**
    * Get Docker system information
    * @returns {Promise<Object>} System information
@@ -924,12 +1788,13 @@ volumes:
    * Get project logs stream for real-time streaming
    * @param {string} projectPath - Path to the project
    * @param {Object} options - Stream options
+   * @param {string} options.service - Service of a stack to stream the logs of (all services when not set)
    * @returns {Promise<Object>} Stream object with data events
    */
   async getProjectLogsStream(projectPath, options = {}) {
     try {
       const sanitizedPath = validateFilePath(projectPath, process.cwd());
-      const composeFile = await this.findComposeFile(projectPath);
+      const composeArgs = await this.getComposeArgs(projectPath);
       
       // Default options
       const streamOptions = {
@@ -940,7 +1805,7 @@ volumes:
       };
 
       // Build docker-compose logs command
-      const args = ['-f', composeFile, 'logs'];
+      const args = [...composeArgs, 'logs'];
       
       if (streamOptions.follow) {
         args.push('--follow');
@@ -954,6 +1819,10 @@ volumes:
         args.push('--timestamps');
       }
 
+      if (streamOptions.service) {
+        args.push(this._sanitizeServiceName(streamOptions.service));
+      }
+
       return new Promise((resolve, reject) => {
         const child = spawn('docker-compose', args, {
           cwd: sanitizedPath,
@@ -1,11 +1,18 @@
-const { exec, spawn } = require('child_process');
+const { execFile, spawn } = require('child_process');
 const { promisify } = require('util');
 const { logger } = require('../config/logger');
 const config = require('../config/environment');
 const fs = require('fs').promises;
 const path = require('path');
+const { ErrorFactory } = require('../utils/serviceErrors');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// http(s), git and ssh URLs, or the scp-like SSH form user@host:path
+const GIT_URL_PATTERN = /^((https?|git|ssh):\/\/[^\s]+|[a-zA-Z0-9._-]+@[a-zA-Z0-9][a-zA-Z0-9.-]*:[^\s]+)$/;
+
+// File or directory relative to the repository root, without .. segments
+const REPOSITORY_PATH_PATTERN = /^(?!.*(^|\/)\.\.(\/|$))[a-zA-Z0-9._-]+(\/[a-zA-Z0-9._-]+)*\/?$/;
 
 /**
  * Sanitize Git URL to prevent injection attacks
@@ -18,14 +25,31 @@ function sanitizeGitUrl(url) {
   }
   
   // Basic URL validation
-  const urlPattern = /^(https?|git):\/\/[^\s]+$/;
-  if (!urlPattern.test(url)) {
+  if (!GIT_URL_PATTERN.test(url)) {
     throw new Error('Invalid Git URL format');
   }
   
   return url.trim();
 }
 
+/**
+ * Hide credentials embedded in Git URLs so text mentioning them can be logged
+ * @param {string} text - Git URL or command output
+ * @returns {string} Text without passwords or tokens in URLs
+ */
+function redactGitUrl(text) {
+  return String(text).replace(/([a-z+]+:\/\/)[^@\/\s]+@/gi, '$1***@');
+}
+
+/**
+ * Environment for git commands, never prompting for credentials
+ * @param {Object} env - Extra variables, e.g. from GitCredentialService
+ * @returns {Object} Environment
+ */
+function gitEnvironment(env = {}) {
+  return { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env };
+}
+
 /**
  * Sanitize branch name to prevent injection attacks
  * @param {string} branch - Branch name to sanitize
@@ -76,9 +100,12 @@ class GitService {
    * @param {string} repository - Repository URL
    * @param {string} branch - Branch to clone
    * @param {string} targetPath - Target directory path
+   * @param {Object} options - Clone options
+   * @param {Function} options.onOutput - Receives (stream, chunk) for every output chunk
+   * @param {Object} options.env - Environment with the repository credentials
    * @returns {Promise<void>}
    */
-  async cloneRepository(repository, branch, targetPath) {
+  async cloneRepository(repository, branch, targetPath, options = {}) {
     try {
       // Validate and sanitize inputs
       const sanitizedUrl = sanitizeGitUrl(repository);
@@ -90,6 +117,7 @@ class GitService {
       
       return new Promise((resolve, reject) => {
         const child = spawn('git', ['clone', '-b', sanitizedBranch, sanitizedUrl, sanitizedPath], {
+          env: gitEnvironment(options.env),
           stdio: ['pipe', 'pipe', 'pipe'],
           timeout: this.gitCloneTimeout
         });
@@ -99,18 +127,20 @@ class GitService {
         
         child.stdout.on('data', (data) => {
           stdout += data.toString();
+          options.onOutput?.('stdout', data.toString());
         });
         
         child.stderr.on('data', (data) => {
           stderr += data.toString();
+          options.onOutput?.('stderr', data.toString());
         });
         
         child.on('close', (code) => {
           if (code === 0) {
-            this.logger.info(`Repository cloned: ${sanitizedUrl} (branch: ${sanitizedBranch})`);
+            this.logger.info(`Repository cloned: ${redactGitUrl(sanitizedUrl)} (branch: ${sanitizedBranch})`);
             resolve();
           } else {
-            const error = new Error(`Failed to clone repository with exit code ${code}: ${stderr}`);
+            const error = new Error(`Failed to clone repository with exit code ${code}: ${redactGitUrl(stderr)}`);
             this.logger.error('Failed to clone repository:', error);
             reject(error);
           }
@@ -131,9 +161,12 @@ class GitService {
    * Pull latest changes from repository
    * @param {string} repositoryPath - Path to the repository
    * @param {string} branch - Branch to pull
+   * @param {Object} options - Pull options
+   * @param {Function} options.onOutput - Receives (stream, chunk) for every output chunk
+   * @param {Object} options.env - Environment with the repository credentials
    * @returns {Promise<void>}
    */
-  async pullLatest(repositoryPath, branch) {
+  async pullLatest(repositoryPath, branch, options = {}) {
     try {
       const sanitizedPath = validateFilePath(repositoryPath, process.cwd());
       const sanitizedBranch = sanitizeBranchName(branch);
@@ -141,6 +174,7 @@ class GitService {
       return new Promise((resolve, reject) => {
         const child = spawn('git', ['pull', 'origin', sanitizedBranch], {
           cwd: sanitizedPath,
+          env: gitEnvironment(options.env),
           stdio: ['pipe', 'pipe', 'pipe'],
           timeout: this.gitCloneTimeout
         });
@@ -150,10 +184,12 @@ class GitService {
         
         child.stdout.on('data', (data) => {
           stdout += data.toString();
+          options.onOutput?.('stdout', data.toString());
         });
         
         child.stderr.on('data', (data) => {
           stderr += data.toString();
+          options.onOutput?.('stderr', data.toString());
         });
         
         child.on('close', (code) => {
@@ -161,7 +197,7 @@ class GitService {
             this.logger.info(`Repository updated: ${sanitizedPath}`);
             resolve();
           } else {
-            const error = new Error(`Failed to pull latest changes with exit code ${code}: ${stderr}`);
+            const error = new Error(`Failed to pull latest changes with exit code ${code}: ${redactGitUrl(stderr)}`);
             this.logger.error('Failed to pull latest changes:', error);
             reject(error);
           }
@@ -244,32 +280,78 @@ class GitService {
     }
   }
 
+  /**
+   * Resolve a path inside a cloned repository, e.g. the app directory of a monorepo
+   * Symlinks are followed, so the path cannot point outside the repository.
+   * @param {string} repositoryPath - Path to the repository
+   * @param {string} relativePath - Path relative to the repository root
+   * @param {Object} options - Resolve options
+   * @param {string} options.type - Expected type, 'directory' (default) or 'file'
+   * @param {string} options.field - Field to report validation errors on
+   * @returns {Promise<string>} Absolute path
+   */
+  async resolveRepositoryPath(repositoryPath, relativePath = '.', options = {}) {
+    const { type = 'directory', field = 'path' } = options;
+    const sanitizedPath = validateFilePath(repositoryPath, process.cwd());
+    const root = await fs.realpath(sanitizedPath);
+
+    if (!REPOSITORY_PATH_PATTERN.test(relativePath)) {
+      throw ErrorFactory.validation(`Invalid path in the repository: ${relativePath}`, field, relativePath);
+    }
+
+    let resolvedPath;
+    let stats;
+    try {
+      resolvedPath = await fs.realpath(path.join(root, relativePath));
+      stats = await fs.stat(resolvedPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+      throw ErrorFactory.validation(`${relativePath} does not exist in the repository`, field, relativePath);
+    }
+
+    const relative = path.relative(root, resolvedPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw ErrorFactory.validation(`${relativePath} points outside the repository`, field, relativePath);
+    }
+
+    if (type === 'directory' ? !stats.isDirectory() : !stats.isFile()) {
+      throw ErrorFactory.validation(`${relativePath} is not a ${type} in the repository`, field, relativePath);
+    }
+
+    return path.join(sanitizedPath, relative);
+  }
+
   /**
    * Check if repository exists and is accessible
    * @param {string} repository - Repository URL
+   * @param {Object} options - Validation options
+   * @param {Object} options.env - Environment with the repository credentials
    * @returns {Promise<boolean>}
    */
-  async validateRepository(repository) {
+  async validateRepository(repository, options = {}) {
     try {
       const sanitizedUrl = sanitizeGitUrl(repository);
       
-      this.logger.info(`Validating repository: ${sanitizedUrl}`);
+      this.logger.info(`Validating repository: ${redactGitUrl(sanitizedUrl)}`);
       
-      // Use execAsync with timeout instead of spawn
-      const command = `git ls-remote "${sanitizedUrl}"`;
-      const { stdout, stderr } = await execAsync(command, { 
+      // No shell, so the URL reaches git as a single argument
+      await execFileAsync('git', ['ls-remote', '--', sanitizedUrl], {
+        env: gitEnvironment(options.env),
         timeout: 10000,
         maxBuffer: 1024 * 1024 // 1MB buffer
       });
       
-      this.logger.info(`Repository validation successful: ${repository}`);
+      this.logger.info(`Repository validation successful: ${redactGitUrl(repository)}`);
       return true;
       
     } catch (error) {
-      this.logger.warn(`Repository validation failed: ${repository}`, error.message);
+      this.logger.warn(`Repository validation failed: ${redactGitUrl(repository)}`, redactGitUrl(error.message));
       return false;
     }
   }
 }
 
 module.exports = GitService;
+module.exports.GIT_URL_PATTERN = GIT_URL_PATTERN;
+module.exports.REPOSITORY_PATH_PATTERN = REPOSITORY_PATH_PATTERN;
+module.exports.redactGitUrl = redactGitUrl;
@@ -1,6 +1,7 @@
 const { logger } = require('../config/logger');
 const DockerService = require('./dockerService');
 const projectRepository = require('../repositories/projectRepository');
+const { getProjectAccessService } = require('./projectAccessService');
 const path = require('path');
 
 /**
@@ -18,13 +19,13 @@ class LogStreamManager {
    * Start log stream for a project
    * @param {Object} ws - WebSocket connection
    * @param {string} projectId - Project ID
-   * @param {string} userId - User ID
+   * @param {Object} user - Authenticated user, null for anonymous sockets
    * @param {Object} options - Stream options
    */
-  async startLogStream(ws, projectId, userId, options = {}) {
+  async startLogStream(ws, projectId, user, options = {}) {
     try {
       // Validate access
-      const hasAccess = await this.checkLogAccess(userId, projectId);
+      const hasAccess = await this.checkLogAccess(user, projectId);
       if (!hasAccess) {
         ws.send(JSON.stringify({ type: 'error', message: 'Access denied' }));
         ws.close();
@@ -51,7 +52,7 @@ class LogStreamManager {
       // Store stream info
       this.activeStreams.set(projectId, {
         ws,
-        userId,
+        userId: user?.id || null,
         options: streamOptions,
         createdAt: new Date(),
         messageCount: 0,
@@ -253,21 +254,33 @@ class LogStreamManager {
 
   /**
    * Check if user has access to project logs
-   * @param {string} userId - User ID
+   * Requires the viewer project role, see ProjectAccessService
+   * @param {Object} user - Authenticated user
    * @param {string} projectId - Project ID
    * @returns {Promise<boolean>} True if has access
    */
-  async checkLogAccess(userId, projectId) {
+  async checkLogAccess(user, projectId) {
     try {
-      // For now, allow all authenticated users to view logs
-      // In the future, this could be more restrictive based on project ownership
+      await getProjectAccessService().authorize(projectId, user, 'viewer');
       return true;
     } catch (error) {
-      logger.error('Error checking log access:', error);
+      if (error.name !== 'NotFoundError' && error.name !== 'PermissionError') {
+        logger.error('Error checking log access:', error);
+      }
       return false;
     }
   }
 
+  /**
+   * Whether the log stream of a project belongs to a socket
+   * @param {string} projectId - Project ID
+   * @param {Object} ws - WebSocket connection
+   * @returns {boolean} True if the socket opened the log stream
+   */
+  isStreamSocket(projectId, ws) {
+    return this.activeStreams.get(projectId)?.ws === ws;
+  }
+
   /**
    * Get active stream count
    * @returns {number} Number of active streams
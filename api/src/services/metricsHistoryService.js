@@ -0,0 +1,316 @@
+const BaseService = require("../utils/baseService");
+const { ErrorFactory } = require("../utils/serviceErrors");
+const { METRIC_RESOLUTIONS } = require("../models/MetricSample");
+const MonitoringService = require("./monitoringService");
+const DockerService = require("./dockerService");
+const metricSampleRepository = require("../repositories/metricSampleRepository");
+const projectRepository = require("../repositories/projectRepository");
+
+// Resolution the sampler records at; coarser resolutions are rolled up from it
+const BASE_RESOLUTION = "10s";
+
+const VALUE_FIELDS = ["cpu", "memory", "memoryPercent", "diskPercent", "load", "networkRx", "networkTx"];
+
+// Selectable chart windows in seconds
+const HISTORY_WINDOWS = {
+  "1h": 60 * 60,
+  "6h": 6 * 60 * 60,
+  "24h": 24 * 60 * 60,
+  "7d": 7 * 24 * 60 * 60,
+  "30d": 30 * 24 * 60 * 60,
+};
+
+/**
+ * Metrics History Service - Downsampled history of host and container metrics
+ *
+ * Every 10 seconds the host and the container of every running project are
+ * sampled and stored at 10s resolution. The samples are averaged into 1m and
+ * 15m buckets in memory and each bucket is stored once it is complete, so the
+ * coarser resolutions never read the finer ones back. MongoDB expires every
+ * resolution after its retention (see METRIC_RESOLUTIONS).
+ *
+ * Network throughput is derived from the byte counters of consecutive
+ * samples, so the first sample of a series has none.
+ */
+class MetricsHistoryService extends BaseService {
+  constructor(dependencies = {}) {
+    super("MetricsHistoryService", dependencies);
+
+    this.monitoringService = dependencies.monitoringService || new MonitoringService();
+    this.dockerService = dependencies.dockerService || new DockerService();
+    this.metricSampleRepository = dependencies.metricSampleRepository || metricSampleRepository;
+    this.projectRepository = dependencies.projectRepository || projectRepository;
+
+    this.isRunning = false;
+    this.sampleTimeout = null;
+    this.counters = new Map();
+    this.buckets = Object.fromEntries(
+      Object.keys(METRIC_RESOLUTIONS)
+        .filter((resolution) => resolution !== BASE_RESOLUTION)
+        .map((resolution) => [resolution, new Map()])
+    );
+  }
+
+  /**
+   * Start sampling
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.logger.info("Starting metrics history sampling");
+    this._scheduleSample();
+  }
+
+  /**
+   * Stop sampling; partially filled buckets are dropped
+   */
+  stop() {
+    this.isRunning = false;
+    if (this.sampleTimeout) {
+      clearTimeout(this.sampleTimeout);
+      this.sampleTimeout = null;
+    }
+  }
+
+  /**
+   * Sample the host and all running projects once and store the samples
+   * @param {Date} now - Time of the sample
+   * @returns {Promise<Array>} Samples stored at the base resolution
+   */
+  async sample(now = new Date()) {
+    try {
+      const [host, projects] = await Promise.all([this._sampleHost(now), this._sampleProjects(now)]);
+      const samples = [host, ...projects].filter(Boolean).map((values) => ({ timestamp: now, ...values }));
+
+      await this.metricSampleRepository.insertMany(BASE_RESOLUTION, samples);
+      await this._rollUp(samples, now);
+
+      return samples;
+    } catch (error) {
+      this.logger.error("Failed to sample metrics:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the history of the host or a project
+   * The finest resolution that still covers the whole window is used.
+   * @param {Object} options - Query options
+   * @param {string} options.window - Window key, e.g. "24h"
+   * @param {string} options.projectId - Project ID, or null for the host
+   * @returns {Promise<Object>} Window, resolution and samples (oldest first)
+   */
+  async getHistory({ window = "1h", projectId = null } = {}) {
+    return this.executeOperation("getHistory", async () => {
+      const span = HISTORY_WINDOWS[window];
+      if (!span) {
+        throw ErrorFactory.validation(
+          `Window must be one of ${Object.keys(HISTORY_WINDOWS).join(", ")}`,
+          "window",
+          window
+        );
+      }
+
+      if (projectId && !(await this.projectRepository.findById(projectId))) {
+        throw ErrorFactory.notFound("Project", projectId);
+      }
+
+      const [resolution, { interval }] = Object.entries(METRIC_RESOLUTIONS).find(
+        ([, { retention }]) => retention >= span
+      );
+      const to = new Date();
+      const from = new Date(to.getTime() - span * 1000);
+      const series = projectId ? { source: "project", project: projectId } : { source: "host" };
+
+      return {
+        window,
+        resolution,
+        interval,
+        from,
+        to,
+        samples: await this.metricSampleRepository.findRange(resolution, series, from, to),
+      };
+    }, { window, projectId });
+  }
+
+  /**
+   * Get the selectable windows
+   * @returns {Array<string>} Window keys
+   */
+  getWindows() {
+    return Object.keys(HISTORY_WINDOWS);
+  }
+
+  /**
+   * @private
+   */
+  async _sampleHost(now) {
+    const [cpu, memory, disk, traffic] = await Promise.all([
+      this.monitoringService.getCpuMetrics(),
+      this.monitoringService.getMemoryMetrics(),
+      this.monitoringService.getDiskMetrics(),
+      this.monitoringService.getNetworkTraffic(),
+    ]);
+
+    // Loopback traffic never leaves the Pi
+    const external = Object.entries(traffic || {}).filter(([name]) => name !== "lo");
+    const rates = traffic
+      ? this._rates(
+          "host",
+          external.reduce((sum, [, counters]) => sum + counters.rxBytes, 0),
+          external.reduce((sum, [, counters]) => sum + counters.txBytes, 0),
+          now
+        )
+      : { networkRx: null, networkTx: null };
+
+    return {
+      meta: { source: "host", project: null },
+      cpu: cpu?.usage ?? null,
+      memory: memory?.used ?? null,
+      memoryPercent: memory?.percentage ?? null,
+      diskPercent: disk?.percentage ?? null,
+      load: cpu?.loadAverage["1min"] ?? null,
+      ...rates,
+    };
+  }
+
+  /**
+   * Samples of the containers of running projects
+   * A failing `docker stats` only skips the project samples.
+   * @private
+   */
+  async _sampleProjects(now) {
+    try {
+      const [projects, stats] = await Promise.all([
+        this.projectRepository.findByStatus("running"),
+        this.dockerService.getContainerStats(),
+      ]);
+
+      const running = projects.filter((project) => stats[project.name]);
+
+      // Forget the counters of projects that stopped
+      const runningIds = new Set(running.map((project) => String(project._id)));
+      for (const key of this.counters.keys()) {
+        if (key !== "host" && !runningIds.has(key)) this.counters.delete(key);
+      }
+
+      return running.map((project) => {
+        const usage = stats[project.name];
+        const projectId = String(project._id);
+
+        return {
+          meta: { source: "project", project: projectId },
+          cpu: usage.cpuPercent,
+          memory: usage.memoryUsage,
+          memoryPercent: usage.memoryPercent,
+          ...this._rates(projectId, usage.networkRx, usage.networkTx, now),
+        };
+      });
+    } catch (error) {
+      this.logger.warn("Failed to sample project metrics:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Bytes per second since the previous sample of a series
+   * Counters that went down (container restarted) start over.
+   * @private
+   */
+  _rates(key, rxBytes, txBytes, now) {
+    const previous = this.counters.get(key);
+    this.counters.set(key, { rxBytes, txBytes, time: now.getTime() });
+
+    const seconds = previous ? (now.getTime() - previous.time) / 1000 : 0;
+    if (!previous || seconds <= 0 || rxBytes < previous.rxBytes || txBytes < previous.txBytes) {
+      return { networkRx: null, networkTx: null };
+    }
+
+    return {
+      networkRx: Math.round((rxBytes - previous.rxBytes) / seconds),
+      networkTx: Math.round((txBytes - previous.txBytes) / seconds),
+    };
+  }
+
+  /**
+   * Add samples to the buckets of the coarser resolutions and store the
+   * buckets that are complete
+   * @private
+   */
+  async _rollUp(samples, now) {
+    for (const [resolution, buckets] of Object.entries(this.buckets)) {
+      const intervalMs = METRIC_RESOLUTIONS[resolution].interval * 1000;
+      const start = Math.floor(now.getTime() / intervalMs) * intervalMs;
+
+      // Buckets of earlier intervals are complete, also those of series that stopped
+      const complete = [];
+      for (const [key, bucket] of buckets) {
+        if (bucket.start < start) {
+          complete.push(this._average(bucket));
+          buckets.delete(key);
+        }
+      }
+
+      samples.forEach((sample) => {
+        const key = sample.meta.project || sample.meta.source;
+        if (!buckets.has(key)) {
+          buckets.set(key, { start, meta: sample.meta, sums: {}, counts: {} });
+        }
+
+        const bucket = buckets.get(key);
+        VALUE_FIELDS.forEach((field) => {
+          if (sample[field] === null || sample[field] === undefined) return;
+          bucket.sums[field] = (bucket.sums[field] || 0) + sample[field];
+          bucket.counts[field] = (bucket.counts[field] || 0) + 1;
+        });
+      });
+
+      if (complete.length > 0) {
+        await this.metricSampleRepository.insertMany(resolution, complete);
+      }
+    }
+  }
+
+  /**
+   * Sample of a complete bucket, stamped with the start of its interval
+   * @private
+   */
+  _average(bucket) {
+    const sample = { timestamp: new Date(bucket.start), meta: bucket.meta };
+    VALUE_FIELDS.forEach((field) => {
+      sample[field] = bucket.counts[field] ? Math.round((bucket.sums[field] / bucket.counts[field]) * 100) / 100 : null;
+    });
+    return sample;
+  }
+
+  /**
+   * @private
+   */
+  _scheduleSample() {
+    if (!this.isRunning) return;
+
+    // Aligned to the interval, so slow samples do not shift the next one
+    const intervalMs = METRIC_RESOLUTIONS[BASE_RESOLUTION].interval * 1000;
+    this.sampleTimeout = setTimeout(async () => {
+      await this.sample();
+      this._scheduleSample();
+    }, intervalMs - (Date.now() % intervalMs));
+  }
+}
+
+// Create singleton instance
+let metricsHistoryServiceInstance = null;
+
+const getMetricsHistoryService = () => {
+  if (!metricsHistoryServiceInstance) {
+    metricsHistoryServiceInstance = new MetricsHistoryService();
+  }
+  return metricsHistoryServiceInstance;
+};
+
+module.exports = {
+  MetricsHistoryService,
+  getMetricsHistoryService,
+  HISTORY_WINDOWS,
+};
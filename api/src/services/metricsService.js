@@ -0,0 +1,407 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const MetricsRegistry = require("../utils/metricsRegistry");
+const { ErrorFactory, PermissionError } = require("../utils/serviceErrors");
+const MonitoringService = require("./monitoringService");
+const DockerService = require("./dockerService");
+const { databasePerformanceService } = require("./databasePerformanceService");
+const projectRepository = require("../repositories/projectRepository");
+
+const PREFIX = "pihost";
+
+// Deployments take from seconds (restarts) to many minutes (cold builds on a Pi)
+const DEPLOYMENT_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200, 1800];
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Metrics Service - Prometheus metrics of the platform and hosted projects
+ *
+ * HTTP requests and deployments are recorded as they happen. Host, container,
+ * project and MongoDB metrics are collected when Prometheus scrapes, each by
+ * its own collector so one failing source (e.g. Docker) does not hide the
+ * others; `pihost_collector_success` reports which collectors succeeded.
+ */
+class MetricsService extends BaseService {
+  constructor(dependencies = {}) {
+    super("MetricsService", dependencies);
+
+    this.monitoringService = dependencies.monitoringService || new MonitoringService();
+    this.dockerService = dependencies.dockerService || new DockerService();
+    this.databasePerformanceService = dependencies.databasePerformanceService || databasePerformanceService;
+    this.projectRepository = dependencies.projectRepository || projectRepository;
+
+    this.registry = new MetricsRegistry();
+    this._registerMetrics();
+
+    this.collectors = {
+      host: () => this._collectHost(),
+      process: () => this._collectProcess(),
+      projects: () => this._collectProjects(),
+      mongodb: () => this._collectMongo(),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _registerMetrics() {
+    const r = this.registry;
+
+    this.metrics = {
+      collectorSuccess: r.gauge({
+        name: `${PREFIX}_collector_success`,
+        help: "Whether the last collection of a metrics source succeeded",
+        labelNames: ["collector"],
+      }),
+
+      // HTTP API
+      httpRequests: r.counter({
+        name: `${PREFIX}_http_requests_total`,
+        help: "HTTP requests handled by the API",
+        labelNames: ["method", "route", "status"],
+      }),
+      httpDuration: r.histogram({
+        name: `${PREFIX}_http_request_duration_seconds`,
+        help: "HTTP request latency of the API",
+        labelNames: ["method", "route"],
+      }),
+
+      // Deployments
+      deployments: r.counter({
+        name: `${PREFIX}_deployments_total`,
+        help: "Finished deployments by trigger and outcome",
+        labelNames: ["trigger", "status"],
+      }),
+      deploymentDuration: r.histogram({
+        name: `${PREFIX}_deployment_duration_seconds`,
+        help: "Duration of finished deployments",
+        labelNames: ["trigger", "status"],
+        buckets: DEPLOYMENT_BUCKETS,
+      }),
+
+      // Host
+      hostCpuUsage: r.gauge({
+        name: `${PREFIX}_host_cpu_usage_percent`,
+        help: "CPU usage of the host",
+      }),
+      hostLoad: r.gauge({
+        name: `${PREFIX}_host_load_average`,
+        help: "Load average of the host",
+        labelNames: ["period"],
+      }),
+      hostMemory: r.gauge({
+        name: `${PREFIX}_host_memory_bytes`,
+        help: "Memory of the host",
+        labelNames: ["state"],
+      }),
+      hostDiskUsage: r.gauge({
+        name: `${PREFIX}_host_disk_usage_percent`,
+        help: "Usage of the root filesystem",
+        labelNames: ["mountpoint"],
+      }),
+      hostNetworkReceive: r.gauge({
+        name: `${PREFIX}_host_network_receive_bytes`,
+        help: "Bytes received per interface since boot",
+        labelNames: ["interface"],
+      }),
+      hostNetworkTransmit: r.gauge({
+        name: `${PREFIX}_host_network_transmit_bytes`,
+        help: "Bytes transmitted per interface since boot",
+        labelNames: ["interface"],
+      }),
+      hostUptime: r.gauge({
+        name: `${PREFIX}_host_uptime_seconds`,
+        help: "Uptime of the host",
+      }),
+
+      // API process
+      processMemory: r.gauge({
+        name: `${PREFIX}_process_memory_bytes`,
+        help: "Memory of the API process",
+        labelNames: ["type"],
+      }),
+      processCpu: r.gauge({
+        name: `${PREFIX}_process_cpu_seconds`,
+        help: "CPU time used by the API process",
+        labelNames: ["mode"],
+      }),
+      processUptime: r.gauge({
+        name: `${PREFIX}_process_uptime_seconds`,
+        help: "Uptime of the API process",
+      }),
+
+      // Projects
+      projects: r.gauge({
+        name: `${PREFIX}_projects`,
+        help: "Projects by status",
+        labelNames: ["status"],
+      }),
+      projectCpuUsage: r.gauge({
+        name: `${PREFIX}_project_cpu_usage_percent`,
+        help: "CPU usage of a project container (100 per core)",
+        labelNames: ["project"],
+      }),
+      projectMemoryUsage: r.gauge({
+        name: `${PREFIX}_project_memory_usage_bytes`,
+        help: "Memory used by a project container",
+        labelNames: ["project"],
+      }),
+      projectMemoryLimit: r.gauge({
+        name: `${PREFIX}_project_memory_limit_bytes`,
+        help: "Memory limit of a project container",
+        labelNames: ["project"],
+      }),
+      projectNetworkReceive: r.gauge({
+        name: `${PREFIX}_project_network_receive_bytes`,
+        help: "Bytes received by a project container since it started",
+        labelNames: ["project"],
+      }),
+      projectNetworkTransmit: r.gauge({
+        name: `${PREFIX}_project_network_transmit_bytes`,
+        help: "Bytes transmitted by a project container since it started",
+        labelNames: ["project"],
+      }),
+      projectPids: r.gauge({
+        name: `${PREFIX}_project_pids`,
+        help: "Processes running in a project container",
+        labelNames: ["project"],
+      }),
+
+      // MongoDB
+      mongoUp: r.gauge({
+        name: `${PREFIX}_mongodb_up`,
+        help: "Whether the API is connected to MongoDB",
+      }),
+      mongoQueries: r.counter({
+        name: `${PREFIX}_mongodb_queries_total`,
+        help: "MongoDB operations by operation and collection",
+        labelNames: ["operation", "collection"],
+      }),
+      mongoQueryDuration: r.counter({
+        name: `${PREFIX}_mongodb_query_duration_seconds_total`,
+        help: "Total time spent in MongoDB operations by operation and collection",
+        labelNames: ["operation", "collection"],
+      }),
+      mongoSlowQueries: r.gauge({
+        name: `${PREFIX}_mongodb_slow_queries`,
+        help: "Slow MongoDB operations currently kept in the slow query log",
+      }),
+    };
+  }
+
+  /**
+   * Check the bearer token of a scrape
+   * @param {string} authorization - Authorization header
+   * @throws {ServiceError} When metrics are disabled or the token does not match
+   */
+  verifyScrapeToken(authorization) {
+    // Without a token the endpoint does not exist rather than being open
+    if (!config.enableMetrics || !config.metricsToken) {
+      throw ErrorFactory.notFound("Metrics endpoint");
+    }
+
+    const [scheme, token] = String(authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token || !safeEqual(token, config.metricsToken)) {
+      throw new PermissionError("metrics scrape", "invalid token");
+    }
+  }
+
+  /**
+   * Record a finished HTTP request
+   * Requests are labelled by route pattern (e.g. /api/projects/:id) so IDs
+   * do not create a series each; requests no route matched share one label.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {number} durationMs - Request duration in milliseconds
+   */
+  observeRequest(req, res, durationMs) {
+    let route = "unmatched";
+    if (req.route) {
+      route = req.baseUrl && req.route.path === "/" ? req.baseUrl : `${req.baseUrl || ""}${req.route.path}`;
+    }
+
+    this.metrics.httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    this.metrics.httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+  }
+
+  /**
+   * Record a finished deployment
+   * @param {Object} deployment - Deployment record
+   * @param {string} status - Final status (succeeded, failed or cancelled)
+   */
+  recordDeployment(deployment, status) {
+    const labels = { trigger: deployment.trigger, status };
+    this.metrics.deployments.inc(labels);
+
+    if (deployment.startedAt) {
+      this.metrics.deploymentDuration.observe(labels, (Date.now() - new Date(deployment.startedAt).getTime()) / 1000);
+    }
+  }
+
+  /**
+   * Collect the current values and render all metrics
+   * @returns {Promise<string>} Prometheus text exposition
+   */
+  async render() {
+    for (const [name, collect] of Object.entries(this.collectors)) {
+      try {
+        await collect();
+        this.metrics.collectorSuccess.set({ collector: name }, 1);
+      } catch (error) {
+        this.logger.warn(`Metrics collector ${name} failed:`, error.message);
+        this.metrics.collectorSuccess.set({ collector: name }, 0);
+      }
+    }
+
+    return this.registry.render();
+  }
+
+  /**
+   * @private
+   */
+  async _collectHost() {
+    const metrics = this.monitoringService.getCachedMetrics() || (await this.monitoringService.getSystemMetrics());
+    const { hostCpuUsage, hostLoad, hostMemory, hostDiskUsage, hostNetworkReceive, hostNetworkTransmit, hostUptime } =
+      this.metrics;
+
+    if (metrics.cpu) {
+      hostCpuUsage.set({}, metrics.cpu.usage);
+      hostLoad.set({ period: "1m" }, metrics.cpu.loadAverage["1min"]);
+      hostLoad.set({ period: "5m" }, metrics.cpu.loadAverage["5min"]);
+      hostLoad.set({ period: "15m" }, metrics.cpu.loadAverage["15min"]);
+    }
+
+    if (metrics.memory) {
+      hostMemory.set({ state: "total" }, metrics.memory.total);
+      hostMemory.set({ state: "used" }, metrics.memory.used);
+      hostMemory.set({ state: "free" }, metrics.memory.free);
+    }
+
+    hostDiskUsage.reset();
+    if (metrics.disk) {
+      hostDiskUsage.set({ mountpoint: metrics.disk.mountPoint }, metrics.disk.percentage);
+    }
+
+    hostNetworkReceive.reset();
+    hostNetworkTransmit.reset();
+    Object.entries(metrics.network?.traffic || {}).forEach(([name, traffic]) => {
+      hostNetworkReceive.set({ interface: name }, traffic.rxBytes);
+      hostNetworkTransmit.set({ interface: name }, traffic.txBytes);
+    });
+
+    hostUptime.set({}, metrics.system.uptime);
+  }
+
+  /**
+   * @private
+   */
+  async _collectProcess() {
+    const memory = process.memoryUsage();
+    const cpu = process.cpuUsage();
+
+    this.metrics.processMemory.set({ type: "rss" }, memory.rss);
+    this.metrics.processMemory.set({ type: "heap_total" }, memory.heapTotal);
+    this.metrics.processMemory.set({ type: "heap_used" }, memory.heapUsed);
+    this.metrics.processMemory.set({ type: "external" }, memory.external);
+    this.metrics.processCpu.set({ mode: "user" }, cpu.user / 1e6);
+    this.metrics.processCpu.set({ mode: "system" }, cpu.system / 1e6);
+    this.metrics.processUptime.set({}, process.uptime());
+  }
+
+  /**
+   * Project counts and the usage of running project containers
+   * Containers that do not belong to a project (e.g. the platform's own) are skipped.
+   * @private
+   */
+  async _collectProjects() {
+    const [{ projects }, stats] = await Promise.all([
+      this.projectRepository.findAll(1, 1000),
+      this.dockerService.getContainerStats(),
+    ]);
+    const {
+      projects: projectCount,
+      projectCpuUsage,
+      projectMemoryUsage,
+      projectMemoryLimit,
+      projectNetworkReceive,
+      projectNetworkTransmit,
+      projectPids,
+    } = this.metrics;
+
+    [projectCount, projectCpuUsage, projectMemoryUsage, projectMemoryLimit, projectNetworkReceive, projectNetworkTransmit, projectPids]
+      .forEach((metric) => metric.reset());
+
+    const counts = {};
+    projects.forEach((project) => {
+      counts[project.status] = (counts[project.status] || 0) + 1;
+
+      const usage = stats[project.name];
+      if (!usage) return;
+
+      const labels = { project: project.name };
+      projectCpuUsage.set(labels, usage.cpuPercent);
+      projectMemoryUsage.set(labels, usage.memoryUsage);
+      projectMemoryLimit.set(labels, usage.memoryLimit);
+      projectNetworkReceive.set(labels, usage.networkRx);
+      projectNetworkTransmit.set(labels, usage.networkTx);
+      projectPids.set(labels, usage.pids);
+    });
+
+    Object.entries(counts).forEach(([status, count]) => projectCount.set({ status }, count));
+  }
+
+  /**
+   * Query statistics tracked by the database performance service
+   * @private
+   */
+  async _collectMongo() {
+    const { mongoUp, mongoQueries, mongoQueryDuration, mongoSlowQueries } = this.metrics;
+    const performance = this.databasePerformanceService.getPerformanceMetrics();
+
+    mongoUp.set({}, mongoose.connection.readyState === 1 ? 1 : 0);
+
+    // The service keeps running totals, so the counters are rebuilt from them
+    mongoQueries.reset();
+    mongoQueryDuration.reset();
+    performance.queries.forEach((query) => {
+      const labels = { operation: query.operation, collection: query.collection };
+      mongoQueries.inc(labels, query.count);
+      mongoQueryDuration.inc(labels, query.totalDuration / 1000);
+    });
+
+    mongoSlowQueries.set({}, performance.slowQueries.count);
+  }
+}
+
+// Create singleton instance
+let metricsServiceInstance = null;
+
+const getMetricsService = () => {
+  if (!metricsServiceInstance) {
+    metricsServiceInstance = new MetricsService();
+  }
+  return metricsServiceInstance;
+};
+
+module.exports = {
+  MetricsService,
+  getMetricsService,
+};
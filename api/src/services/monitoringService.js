@@ -1,17 +1,45 @@
 const os = require('os');
-const { exec } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
 const { logger, performanceLogger } = require('../config/logger');
 const config = require('../config/environment');
+const { getNotificationService } = require('./notificationService');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Bits of `vcgencmd get_throttled`; the same bits shifted by 16 stay set once
+// the condition occurred since boot
+const THROTTLE_FLAGS = {
+  underVoltage: 0,
+  frequencyCapped: 1,
+  throttled: 2,
+  softTemperatureLimit: 3
+};
+
+const THROTTLE_FLAG_LABELS = {
+  underVoltage: 'under-voltage',
+  frequencyCapped: 'ARM frequency capped',
+  throttled: 'throttled',
+  softTemperatureLimit: 'soft temperature limit'
+};
+
+const runVcgencmd = async (args) => {
+  const { stdout } = await execFileAsync('vcgencmd', args, { timeout: 5000 });
+  return stdout;
+};
 
 /**
  * Monitoring Service - Collects system metrics and health data
  */
 class MonitoringService {
-  constructor() {
+  constructor(dependencies = {}) {
     this.logger = logger;
+    this.sysfsRoot = dependencies.sysfsRoot || config.sysfsRoot;
+    this.vcgencmd = dependencies.vcgencmd || runVcgencmd;
+    this.notificationService = dependencies.notificationService || null;
     this.metrics = {
       system: null,
       memory: null,
@@ -22,6 +50,14 @@ class MonitoringService {
     };
     this.lastUpdate = null;
     this.updateInterval = 30000; // 30 seconds
+    this.diskAlertRaised = false;
+    this.lastCpuTimes = null;
+    this.vcgencmdAvailable = true;
+    this.lastThrottling = null;
+    this.throttleAlertsRaised = {
+      'hardware.undervoltage': false,
+      'hardware.throttled': false
+    };
   }
 
   /**
@@ -37,13 +73,15 @@ class MonitoringService {
         cpuMetrics,
         diskMetrics,
         networkMetrics,
-        processMetrics
+        processMetrics,
+        hardwareMetrics
       ] = await Promise.all([
         this.getMemoryMetrics(),
         this.getCpuMetrics(),
         this.getDiskMetrics(),
         this.getNetworkMetrics(),
-        this.getProcessMetrics()
+        this.getProcessMetrics(),
+        this.getHardwareMetrics()
       ]);
 
       const metrics = {
@@ -61,7 +99,8 @@ class MonitoringService {
         cpu: cpuMetrics,
         disk: diskMetrics,
         network: networkMetrics,
-        processes: processMetrics
+        processes: processMetrics,
+        hardware: hardwareMetrics
       };
 
       this.metrics = metrics;
@@ -120,7 +159,12 @@ class MonitoringService {
         totalIdle += cpu.times.idle;
       });
 
-      const cpuUsage = 100 - Math.round(100 * totalIdle / totalTick);
+      // Usage since the previous call; the first call falls back to the average since boot
+      const previous = this.lastCpuTimes;
+      this.lastCpuTimes = { idle: totalIdle, total: totalTick };
+      const idle = previous ? totalIdle - previous.idle : totalIdle;
+      const tick = previous ? totalTick - previous.total : totalTick;
+      const cpuUsage = tick > 0 ? 100 - Math.round(100 * idle / tick) : 0;
 
       return {
         cores: cpus.length,
@@ -214,6 +258,7 @@ class MonitoringService {
 
       return {
         interfaces,
+        traffic: await this.getNetworkTraffic(),
         defaultGateway: null // Would need additional system calls
       };
     } catch (error) {
@@ -222,6 +267,217 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Get bytes received and transmitted per interface since boot
+   * Read from /proc/net/dev, so only available on Linux.
+   * @returns {Promise<Object|null>} Traffic by interface name
+   */
+  async getNetworkTraffic() {
+    try {
+      const content = await fs.readFile('/proc/net/dev', 'utf8');
+      const traffic = {};
+
+      // Two header lines, then "iface: rxBytes rxPackets ... txBytes ..."
+      content.trim().split('\n').slice(2).forEach(line => {
+        const [name, counters] = line.split(':');
+        const values = counters.trim().split(/\s+/).map(Number);
+        traffic[name.trim()] = {
+          rxBytes: values[0],
+          txBytes: values[8]
+        };
+      });
+
+      return traffic;
+    } catch (error) {
+      this.logger.debug('Network traffic is not available:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get Raspberry Pi hardware telemetry
+   * Sensors are read from sysfs, throttling and core voltage from vcgencmd
+   * when it is installed. Every part is null when it is not available, so
+   * other Linux boxes report what they have.
+   * @returns {Promise<Object>} Hardware metrics
+   */
+  async getHardwareMetrics() {
+    try {
+      const [temperature, clock, fan, throttling, voltage] = await Promise.all([
+        this.getSocTemperature(),
+        this.getCpuClock(),
+        this.getFanState(),
+        this.getThrottling(),
+        this.getCoreVoltage()
+      ]);
+
+      return { temperature, clock, fan, throttling, voltage };
+    } catch (error) {
+      this.logger.error('Failed to get hardware metrics:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the SoC temperature in °C
+   * Prefers the thermal zone of the CPU, then the first zone, then
+   * `vcgencmd measure_temp`.
+   * @returns {Promise<number|null>} Temperature
+   */
+  async getSocTemperature() {
+    const zones = await this.listSysfs('class/thermal', 'thermal_zone');
+    let zone = zones[0];
+    for (const name of zones) {
+      if ((await this.readSysfs(`class/thermal/${name}/type`)) === 'cpu-thermal') {
+        zone = name;
+        break;
+      }
+    }
+
+    const millidegrees = zone ? parseInt(await this.readSysfs(`class/thermal/${zone}/temp`)) : NaN;
+    if (!Number.isNaN(millidegrees)) {
+      return Math.round(millidegrees / 100) / 10;
+    }
+
+    const output = await this.runVcgencmd(['measure_temp']);
+    const match = output && output.match(/temp=([\d.]+)'C/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Get the current and maximum clock speed of the CPU in MHz
+   * @returns {Promise<Object|null>} Clock speed
+   */
+  async getCpuClock() {
+    const [current, max] = await Promise.all([
+      this.readSysfs('devices/system/cpu/cpu0/cpufreq/scaling_cur_freq'),
+      this.readSysfs('devices/system/cpu/cpu0/cpufreq/scaling_max_freq')
+    ]);
+    if (current === null) return null;
+
+    // cpufreq reports kHz
+    return {
+      current: Math.round(parseInt(current) / 1000),
+      max: max === null ? null : Math.round(parseInt(max) / 1000)
+    };
+  }
+
+  /**
+   * Get the state of a PWM fan, such as the Pi 5 Active Cooler
+   * @returns {Promise<Object|null>} Fan speed in RPM and duty cycle in percent
+   */
+  async getFanState() {
+    const hwmon = await this.findHwmon('pwmfan');
+    if (!hwmon) return null;
+
+    const [rpm, pwm] = await Promise.all([
+      this.readSysfs(`class/hwmon/${hwmon}/fan1_input`),
+      this.readSysfs(`class/hwmon/${hwmon}/pwm1`)
+    ]);
+
+    return {
+      rpm: rpm === null ? null : parseInt(rpm),
+      // PWM duty cycle ranges from 0 to 255
+      speed: pwm === null ? null : Math.round((parseInt(pwm) / 255) * 100),
+      running: parseInt(rpm) > 0 || parseInt(pwm) > 0
+    };
+  }
+
+  /**
+   * Get the throttling state of the Pi
+   * Uses `vcgencmd get_throttled`; without vcgencmd only under-voltage is
+   * known, from the rpi_volt hwmon sensor.
+   * @returns {Promise<Object|null>} Flags that are active now and that occurred since boot
+   */
+  async getThrottling() {
+    const output = await this.runVcgencmd(['get_throttled']);
+    const match = output && output.match(/throttled=(0x[0-9a-f]+)/i);
+
+    if (match) {
+      const value = parseInt(match[1], 16);
+      const flags = (offset) => Object.fromEntries(
+        Object.entries(THROTTLE_FLAGS).map(([flag, bit]) => [flag, Boolean(value & (1 << (bit + offset)))])
+      );
+
+      return { source: 'vcgencmd', raw: match[1], now: flags(0), sinceBoot: flags(16) };
+    }
+
+    const hwmon = await this.findHwmon('rpi_volt');
+    const alarm = hwmon && (await this.readSysfs(`class/hwmon/${hwmon}/in0_lcrit_alarm`));
+    if (!alarm) return null;
+
+    return { source: 'hwmon', raw: null, now: { underVoltage: alarm === '1' }, sinceBoot: null };
+  }
+
+  /**
+   * Get the core voltage in volts
+   * @returns {Promise<number|null>} Voltage
+   */
+  async getCoreVoltage() {
+    const output = await this.runVcgencmd(['measure_volts', 'core']);
+    const match = output && output.match(/volt=([\d.]+)V/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Read a sysfs attribute relative to the sysfs root
+   * @param {string} relativePath - Attribute path, e.g. class/thermal/thermal_zone0/temp
+   * @returns {Promise<string|null>} Trimmed content, or null when it cannot be read
+   */
+  async readSysfs(relativePath) {
+    try {
+      return (await fs.readFile(path.join(this.sysfsRoot, relativePath), 'utf8')).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List the entries of a sysfs directory that start with a prefix, sorted
+   * @private
+   */
+  async listSysfs(relativePath, prefix) {
+    try {
+      const entries = await fs.readdir(path.join(this.sysfsRoot, relativePath));
+      return entries.filter(entry => entry.startsWith(prefix)).sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Find the hwmon device of a driver by its name
+   * @private
+   */
+  async findHwmon(name) {
+    for (const hwmon of await this.listSysfs('class/hwmon', 'hwmon')) {
+      if ((await this.readSysfs(`class/hwmon/${hwmon}/name`)) === name) {
+        return hwmon;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run vcgencmd, remembering when it is not installed
+   * @private
+   */
+  async runVcgencmd(args) {
+    if (!this.vcgencmdAvailable) return null;
+
+    try {
+      return await this.vcgencmd(args);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.debug('vcgencmd is not installed, reading hardware telemetry from sysfs only');
+        this.vcgencmdAvailable = false;
+      } else {
+        this.logger.debug(`vcgencmd ${args.join(' ')} failed:`, error.message);
+      }
+      return null;
+    }
+  }
+
   /**
    * Get process metrics
    * @returns {Promise<Object>} Process metrics
@@ -429,13 +685,82 @@ class MonitoringService {
     
     setInterval(async () => {
       try {
-        await this.getSystemMetrics();
+        const metrics = await this.getSystemMetrics();
+        this.checkDiskUsage(metrics.disk);
+        this.checkThrottling(metrics.hardware?.throttling);
       } catch (error) {
         this.logger.error('Monitoring interval error:', error);
       }
     }, this.updateInterval);
   }
 
+  /**
+   * Notify once when disk usage crosses the alert threshold
+   * The alert is raised again only after usage dropped below the threshold.
+   * @param {Object} disk - Disk metrics
+   */
+  checkDiskUsage(disk) {
+    if (!disk) return;
+
+    const full = disk.percentage >= config.diskAlertThreshold;
+    if (full && !this.diskAlertRaised) {
+      this.getNotificationService().notify('disk.full', {
+        subject: os.hostname(),
+        message: `${disk.mountPoint} is ${disk.percentage}% full (${disk.available} available of ${disk.total}).`,
+        data: disk
+      });
+    }
+    this.diskAlertRaised = full;
+  }
+
+  /**
+   * Notify when the Pi becomes under-voltage or throttled
+   * Conditions that came and went between two checks are caught by the bits
+   * that stay set since boot. Each alert is raised again only after its
+   * conditions cleared.
+   * @param {Object} throttling - Throttling state from getThrottling()
+   */
+  checkThrottling(throttling) {
+    if (!throttling) return;
+
+    const previous = this.lastThrottling;
+    this.lastThrottling = throttling;
+
+    const active = (flag) => Boolean(
+      throttling.now[flag] ||
+      (previous?.sinceBoot && throttling.sinceBoot?.[flag] && !previous.sinceBoot[flag])
+    );
+
+    const alerts = {
+      'hardware.undervoltage': ['underVoltage'].filter(active),
+      'hardware.throttled': ['frequencyCapped', 'throttled', 'softTemperatureLimit'].filter(active)
+    };
+
+    Object.entries(alerts).forEach(([event, flags]) => {
+      const raised = flags.length > 0;
+      if (raised && !this.throttleAlertsRaised[event]) {
+        const conditions = flags.map(flag => THROTTLE_FLAG_LABELS[flag]).join(', ');
+        const ongoing = flags.some(flag => throttling.now[flag]);
+
+        this.getNotificationService().notify(event, {
+          subject: os.hostname(),
+          message: event === 'hardware.undervoltage'
+            ? `The Pi ${ongoing ? 'is running' : 'ran'} under-voltage. Check the power supply and cable.`
+            : `The Pi ${ongoing ? 'is' : 'was'} throttled: ${conditions}.`,
+          data: throttling
+        });
+      }
+      this.throttleAlertsRaised[event] = raised;
+    });
+  }
+
+  /**
+   * @private
+   */
+  getNotificationService() {
+    return this.notificationService || getNotificationService();
+  }
+
   /**
    * Get cached metrics (if available)
    * @returns {Object|null} Cached metrics
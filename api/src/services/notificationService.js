@@ -0,0 +1,373 @@
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const SecretCipher = require("../utils/secretCipher");
+const { createNotificationChannel } = require("../utils/notificationChannels");
+const { NOTIFICATION_EVENTS } = require("../utils/notificationEvents");
+const { ErrorFactory, ConflictError } = require("../utils/serviceErrors");
+const notificationChannelRepository = require("../repositories/notificationChannelRepository");
+const notificationDeliveryRepository = require("../repositories/notificationDeliveryRepository");
+const projectRepository = require("../repositories/projectRepository");
+const userRepository = require("../repositories/userRepository");
+const { getProjectAccessService } = require("./projectAccessService");
+
+// Delays before the second and third delivery attempt
+const RETRY_DELAYS = [5 * 1000, 30 * 1000];
+
+// Destination fields stored encrypted
+const SECRET_FIELDS = ["secret", "token"];
+
+/**
+ * Notification Service - Alerts about project and host events
+ *
+ * Users create notification channels (email, generic webhook, Slack, Discord
+ * or ntfy) and subscribe each one to events. When an event happens every
+ * subscribed channel whose owner may see it gets a notification; failed
+ * deliveries are retried twice and every delivery is recorded in the
+ * delivery log. Sending never fails or delays the operation that raised
+ * the event.
+ */
+class NotificationService extends BaseService {
+  constructor(dependencies = {}) {
+    super("NotificationService", dependencies);
+
+    this.createChannel = dependencies.createChannel || createNotificationChannel;
+    this.retryDelays = dependencies.retryDelays || RETRY_DELAYS;
+    this.cipher = dependencies.cipher || null;
+    this.projectAccessService = dependencies.projectAccessService || getProjectAccessService();
+  }
+
+  /**
+   * Events channels can subscribe to
+   * @returns {Array<Object>} Events with name, title, category, severity and description
+   */
+  listEvents() {
+    return Object.entries(NOTIFICATION_EVENTS).map(([name, event]) => ({ name, ...event }));
+  }
+
+  /**
+   * Get the notification channels of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Channels
+   */
+  async listChannels(userId) {
+    return await notificationChannelRepository.findByUser(userId);
+  }
+
+  /**
+   * Get a notification channel of a user
+   * @param {string} userId - User ID
+   * @param {string} id - Channel ID
+   * @returns {Promise<Object|null>} Channel
+   */
+  async getChannel(userId, id) {
+    return await notificationChannelRepository.findByUserAndId(userId, id);
+  }
+
+  /**
+   * Create a notification channel
+   * Email channels without a recipient mail the user's own address.
+   * @param {string} userId - User ID
+   * @param {Object} data - Validated channel data
+   * @returns {Promise<Object>} Channel
+   */
+  async createNotificationChannel(userId, data) {
+    return this.executeOperation("createNotificationChannel", async () => {
+      await this._checkName(userId, data.name);
+
+      const destination = { ...data.destination };
+      if (data.type === "email" && !destination.to) {
+        const user = await userRepository.findById(userId);
+        destination.to = user?.email;
+      }
+
+      return await notificationChannelRepository.create({
+        ...data,
+        user: userId,
+        destination: this._prepareDestination(destination),
+      });
+    }, { name: data.name, type: data.type });
+  }
+
+  /**
+   * Update a notification channel
+   * A new destination replaces the old one; a secret or token that is not
+   * sent again is kept while the channel type stays the same.
+   * @param {string} userId - User ID
+   * @param {string} id - Channel ID
+   * @param {Object} updates - Validated updates
+   * @returns {Promise<Object|null>} Updated channel
+   */
+  async updateNotificationChannel(userId, id, updates) {
+    return this.executeOperation("updateNotificationChannel", async () => {
+      const channel = await notificationChannelRepository.findByUserAndId(userId, id);
+      if (!channel) return null;
+
+      if (updates.name !== undefined) {
+        await this._checkName(userId, updates.name, id);
+      }
+
+      const type = updates.type || channel.type;
+      if (updates.type && updates.type !== channel.type && !updates.destination) {
+        throw ErrorFactory.validation("A new destination is required when the channel type changes", "destination");
+      }
+
+      const prepared = { ...updates };
+      if (updates.destination) {
+        const existing = type === channel.type ? channel.destination : null;
+        prepared.destination = this._prepareDestination(updates.destination, existing);
+      }
+
+      return await notificationChannelRepository.update(id, prepared);
+    }, { channelId: id });
+  }
+
+  /**
+   * Delete a notification channel and its delivery log
+   * @param {string} userId - User ID
+   * @param {string} id - Channel ID
+   * @returns {Promise<boolean>} True when the channel existed
+   */
+  async deleteNotificationChannel(userId, id) {
+    return this.executeOperation("deleteNotificationChannel", async () => {
+      const channel = await notificationChannelRepository.findByUserAndId(userId, id);
+      if (!channel) return false;
+
+      await notificationChannelRepository.delete(id);
+      await notificationDeliveryRepository.deleteByChannel(id);
+      return true;
+    }, { channelId: id });
+  }
+
+  /**
+   * Send a test notification to a channel once, without retries
+   * @param {string} userId - User ID
+   * @param {string} id - Channel ID
+   * @returns {Promise<Object|null>} Delivery record
+   */
+  async testNotificationChannel(userId, id) {
+    const channel = await notificationChannelRepository.findByUserAndId(userId, id);
+    if (!channel) return null;
+
+    const notification = this._build("test", {
+      title: `Test notification for ${channel.name}`,
+      severity: "info",
+      message: "This channel is set up correctly.",
+    });
+
+    return await this._deliver(channel, notification, { retry: false });
+  }
+
+  /**
+   * Get the delivery log of a user
+   * @param {string} userId - User ID
+   * @param {number} page - Page
+   * @param {number} limit - Page size
+   * @param {Object} filters - channelId, event and status filters
+   * @returns {Promise<Object>} Deliveries and pagination
+   */
+  async listDeliveries(userId, page = 1, limit = 20, filters = {}) {
+    return await notificationDeliveryRepository.findByUser(userId, page, limit, filters);
+  }
+
+  /**
+   * Notify the subscribed channels of an event
+   * Never throws; failures are logged and recorded in the delivery log.
+   * @param {string} event - Event name from NOTIFICATION_EVENTS
+   * @param {Object} details - Event details
+   * @param {string} details.projectId - Project the event is about (project events)
+   * @param {string} details.subject - What the event is about when it is not a project
+   * @param {string} details.message - Human readable description
+   * @param {Object} details.data - Extra data for webhook receivers
+   * @returns {Promise<Array>} Delivery records
+   */
+  async notify(event, { projectId = null, subject = null, message, data = {} } = {}) {
+    try {
+      const definition = NOTIFICATION_EVENTS[event];
+      if (!definition) {
+        throw new Error(`Unknown notification event: ${event}`);
+      }
+
+      const project = projectId ? await projectRepository.findById(projectId) : null;
+      if (projectId && !project) return [];
+
+      const channels = await notificationChannelRepository.findSubscribed(event);
+      const recipients = channels.filter((channel) => this._accepts(channel, definition, project));
+      if (recipients.length === 0) return [];
+
+      const about = project?.name || subject;
+      const notification = this._build(event, {
+        title: about ? `${definition.title}: ${about}` : definition.title,
+        severity: definition.severity,
+        message,
+        project,
+        data,
+      });
+
+      const results = await Promise.allSettled(recipients.map((channel) => this._deliver(channel, notification)));
+      return results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+    } catch (error) {
+      this.logger.error(`Failed to send ${event} notifications:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the secret cipher, created on first use so the master key is only
+   * required once a channel has a secret
+   * @returns {SecretCipher} Secret cipher
+   */
+  getCipher() {
+    if (!this.cipher) {
+      this.cipher = new SecretCipher(config.secretsMasterKey);
+    }
+    return this.cipher;
+  }
+
+  /**
+   * Whether the owner of a channel wants and may see an event
+   * @private
+   */
+  _accepts(channel, definition, project) {
+    const user = channel.user;
+    if (!user || !user.isActive || user.isDeleted) return false;
+
+    // Existing user preferences mute notifications as a whole, by type and by category
+    if (user.preferences?.notifications === false) return false;
+    if (channel.type === "email" && user.settings?.emailNotifications === false) return false;
+    if (definition.category === "project" && user.settings?.projectUpdates === false) return false;
+    if (definition.category === "system" && user.settings?.systemAlerts === false) return false;
+
+    const isAdmin = (user.roles || []).includes("admin");
+    if (!project) return isAdmin;
+
+    // Owners and members hear about their projects, admins about all of them
+    if (!this.projectAccessService.getRole(project, user)) return false;
+
+    const projects = channel.projects || [];
+    return projects.length === 0 || projects.some((id) => String(id) === String(project._id));
+  }
+
+  /**
+   * Send a notification to a channel, retrying failures, and record the delivery
+   * @private
+   */
+  async _deliver(channel, notification, { retry = true } = {}) {
+    const maxAttempts = retry ? this.retryDelays.length + 1 : 1;
+    const startedAt = Date.now();
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts < maxAttempts) {
+      if (attempts > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelays[attempts - 1]));
+      }
+      attempts += 1;
+
+      try {
+        await this.createChannel(this._decrypt(channel)).send(notification);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        this.logger.warn(`Notification to channel ${channel.name} failed (attempt ${attempts}/${maxAttempts}): ${error.message}`);
+      }
+    }
+
+    const status = lastError ? "failed" : "sent";
+    const record = {
+      channel: channel._id,
+      user: channel.user?._id || channel.user,
+      channelType: channel.type,
+      event: notification.event,
+      title: notification.title.slice(0, 255),
+      project: notification.project?.id || null,
+      status,
+      attempts,
+      error: lastError ? lastError.message.slice(0, 1000) : null,
+      duration: Date.now() - startedAt,
+    };
+
+    try {
+      await notificationChannelRepository.recordDelivery(channel._id, status);
+      return await notificationDeliveryRepository.create(record);
+    } catch (error) {
+      this.logger.error("Failed to record notification delivery:", error);
+      return record;
+    }
+  }
+
+  /**
+   * Notification payload handed to the channels
+   * @private
+   */
+  _build(event, { title, severity, message, project = null, data = {} }) {
+    return {
+      event,
+      title,
+      message,
+      severity,
+      project: project ? { id: String(project._id), name: project.name } : null,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Channel settings with decrypted credentials
+   * @private
+   */
+  _decrypt(channel) {
+    const destination = typeof channel.destination?.toObject === "function"
+      ? channel.destination.toObject()
+      : { ...channel.destination };
+
+    for (const field of SECRET_FIELDS) {
+      if (destination[field]) {
+        destination[field] = this.getCipher().decrypt(destination[field]);
+      }
+    }
+    return { type: channel.type, destination };
+  }
+
+  /**
+   * Encrypt the credentials of a destination before it is stored
+   * @private
+   */
+  _prepareDestination(destination, existing = null) {
+    const prepared = { ...destination };
+
+    for (const field of SECRET_FIELDS) {
+      if (prepared[field]) {
+        prepared[field] = this.getCipher().encrypt(prepared[field]);
+      } else if (existing?.[field]) {
+        prepared[field] = existing[field];
+      }
+    }
+    return prepared;
+  }
+
+  /**
+   * Check that a channel name is free for the user
+   * @private
+   */
+  async _checkName(userId, name, excludeId = null) {
+    if (!(await notificationChannelRepository.isNameAvailable(userId, name, excludeId))) {
+      throw new ConflictError(`notification channel ${name}`, "A notification channel with this name already exists");
+    }
+  }
+}
+
+// Create singleton instance
+let notificationServiceInstance = null;
+
+const getNotificationService = () => {
+  if (!notificationServiceInstance) {
+    notificationServiceInstance = new NotificationService();
+  }
+  return notificationServiceInstance;
+};
+
+module.exports = {
+  NotificationService,
+  getNotificationService,
+};
@@ -0,0 +1,630 @@
+const crypto = require("crypto");
+const { createReadStream } = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const cron = require("node-cron");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const SecretCipher = require("../utils/secretCipher");
+const DockerService = require("./dockerService");
+const { createBackupTarget } = require("../utils/backupTargets");
+const { getNotificationService } = require("./notificationService");
+const { getAddonService } = require("./addonService");
+const { ErrorFactory, ConflictError } = require("../utils/serviceErrors");
+const backupPolicyRepository = require("../repositories/backupPolicyRepository");
+const platformBackupRepository = require("../repositories/platformBackupRepository");
+const projectRepository = require("../repositories/projectRepository");
+
+// Written inside the Redis container while it is streamed out
+const REDIS_DUMP_PATH = "/tmp/platform-backup.rdb";
+
+/**
+ * Platform Backup Service - Scheduled backups of the whole platform
+ *
+ * A backup policy picks the components to back up (MongoDB, Redis, the named
+ * volumes of every project and the projects directory), a cron schedule, a
+ * retention policy and a target (local directory, S3-compatible bucket or
+ * SFTP server). Each run snapshots the components into the staging directory,
+ * records a SHA-256 checksum per file, uploads the files with a manifest and
+ * then deletes backups that fell out of retention. Runs are executed one at a
+ * time so backups do not compete for the Pi's disk and CPU.
+ */
+class PlatformBackupService extends BaseService {
+  constructor(dependencies = {}) {
+    super("PlatformBackupService", dependencies);
+
+    this.stagingDir = config.backupStagingDir;
+    this.dockerService = dependencies.dockerService || new DockerService();
+    this.scheduler = dependencies.scheduler || cron;
+    this.createTarget = dependencies.createTarget || createBackupTarget;
+    this.cipher = dependencies.cipher || null;
+    this.notificationService = dependencies.notificationService || getNotificationService();
+    this.addonService = dependencies.addonService || getAddonService();
+
+    this.tasks = new Map();
+    this.running = new Set();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Fail runs cut off by the last shutdown and schedule the enabled policies
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const interrupted = await platformBackupRepository.failInterrupted();
+    if (interrupted > 0) {
+      this.logger.warn(`Marked ${interrupted} interrupted platform backup(s) as failed`);
+    }
+
+    const policies = await backupPolicyRepository.findEnabled();
+    for (const policy of policies) {
+      this.schedulePolicy(policy);
+    }
+    this.logger.info(`Scheduled ${policies.length} backup policies`);
+  }
+
+  /**
+   * Stop all scheduled runs
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+  }
+
+  /**
+   * (Re)schedule a policy, or unschedule it when it is disabled
+   * @param {Object} policy - Backup policy
+   */
+  schedulePolicy(policy) {
+    this.unschedulePolicy(policy._id);
+    if (!policy.enabled) return;
+
+    const task = this.scheduler.schedule(policy.schedule, () => {
+      this.runBackup(policy._id, { trigger: "schedule" }).catch((error) => {
+        this.logger.error(`Scheduled backup of policy ${policy.name} failed to start:`, error);
+      });
+    });
+    this.tasks.set(String(policy._id), task);
+  }
+
+  /**
+   * Remove the schedule of a policy
+   * @param {string} policyId - Policy ID
+   */
+  unschedulePolicy(policyId) {
+    const task = this.tasks.get(String(policyId));
+    if (task) {
+      task.stop();
+      this.tasks.delete(String(policyId));
+    }
+  }
+
+  /**
+   * Get all backup policies
+   * @returns {Promise<Array>} Policies
+   */
+  async listPolicies() {
+    return await backupPolicyRepository.findAll();
+  }
+
+  /**
+   * Get a backup policy
+   * @param {string} id - Policy ID
+   * @returns {Promise<Object|null>} Policy
+   */
+  async getPolicy(id) {
+    return await backupPolicyRepository.findById(id);
+  }
+
+  /**
+   * Create a backup policy and schedule it
+   * @param {Object} data - Validated policy data
+   * @param {string} userId - ID of the creating user
+   * @returns {Promise<Object>} Policy
+   */
+  async createPolicy(data, userId = null) {
+    return this.executeOperation("createPolicy", async () => {
+      await this._validatePolicy(data);
+
+      const policy = await backupPolicyRepository.create({
+        ...data,
+        target: this._prepareTarget(data.target),
+        createdBy: userId,
+      });
+
+      this.schedulePolicy(policy);
+      return policy;
+    }, { name: data.name });
+  }
+
+  /**
+   * Update a backup policy and reschedule it
+   * A new target replaces the old one; an S3 secret key that is not sent again is kept.
+   * @param {string} id - Policy ID
+   * @param {Object} data - Validated policy changes
+   * @returns {Promise<Object|null>} Policy, null when it does not exist
+   */
+  async updatePolicy(id, data) {
+    return this.executeOperation("updatePolicy", async () => {
+      const existing = await backupPolicyRepository.findById(id);
+      if (!existing) return null;
+
+      await this._validatePolicy(data, id);
+
+      const updates = { ...data };
+      if (data.target) {
+        updates.target = this._prepareTarget(data.target, existing.target);
+      }
+
+      const policy = await backupPolicyRepository.update(id, updates);
+      this.schedulePolicy(policy);
+      return policy;
+    }, { policyId: id });
+  }
+
+  /**
+   * Delete a backup policy together with its backups
+   * @param {string} id - Policy ID
+   * @returns {Promise<boolean>} False when the policy did not exist
+   */
+  async deletePolicy(id) {
+    return this.executeOperation("deletePolicy", async () => {
+      const policy = await backupPolicyRepository.findById(id);
+      if (!policy) return false;
+
+      if (this.running.has(String(policy._id))) {
+        throw new ConflictError(`backup policy ${policy.name}`, "A backup of this policy is running");
+      }
+
+      this.unschedulePolicy(policy._id);
+
+      const target = this._getTarget(policy);
+      for (const backup of await platformBackupRepository.findByPolicy(policy._id)) {
+        await this._removeFromTarget(target, backup);
+        await platformBackupRepository.delete(backup._id);
+      }
+
+      await backupPolicyRepository.delete(policy._id);
+      return true;
+    }, { policyId: id });
+  }
+
+  /**
+   * Start a backup of a policy without waiting for it to finish
+   * @param {string} policyId - Policy ID
+   * @param {string} userId - ID of the triggering user
+   * @returns {Promise<Object|null>} Backup record, null when the policy does not exist
+   */
+  async startBackup(policyId, userId = null) {
+    const policy = await backupPolicyRepository.findById(policyId);
+    if (!policy) return null;
+
+    const { backup, done } = await this._begin(policy, "manual", userId);
+    done.catch(() => {});
+    return backup;
+  }
+
+  /**
+   * Run a backup of a policy
+   * @param {string} policyId - Policy ID
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - schedule or manual
+   * @param {string} options.userId - ID of the triggering user
+   * @returns {Promise<Object>} Finished backup record
+   */
+  async runBackup(policyId, { trigger = "manual", userId = null } = {}) {
+    const policy = await backupPolicyRepository.findById(policyId);
+    if (!policy) {
+      throw ErrorFactory.notFound("Backup policy", policyId);
+    }
+
+    const { done } = await this._begin(policy, trigger, userId);
+    return await done;
+  }
+
+  /**
+   * Get backups with pagination
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @param {Object} filters - policyId, status
+   * @returns {Promise<Object>} Backups with pagination
+   */
+  async listBackups(page = 1, limit = 20, filters = {}) {
+    return await platformBackupRepository.findAll(page, limit, filters);
+  }
+
+  /**
+   * Get a backup
+   * @param {string} id - Backup ID
+   * @returns {Promise<Object|null>} Backup
+   */
+  async getBackup(id) {
+    return await platformBackupRepository.findById(id);
+  }
+
+  /**
+   * Download every file of a backup and compare it with its recorded checksum
+   * @param {string} id - Backup ID
+   * @returns {Promise<Object|null>} Verification result, null when the backup does not exist
+   */
+  async verifyBackup(id) {
+    return this.executeOperation("verifyBackup", async () => {
+      const backup = await platformBackupRepository.findById(id);
+      if (!backup) return null;
+
+      if (backup.status !== "succeeded") {
+        throw ErrorFactory.validation("Only successful backups can be verified", "status", backup.status);
+      }
+
+      const policy = await backupPolicyRepository.findById(backup.policy);
+      if (!policy) {
+        throw ErrorFactory.validation("The policy of this backup no longer exists", "policy");
+      }
+
+      const target = this._getTarget(policy);
+      const workDir = path.resolve(this.stagingDir, `verify-${backup._id}`);
+      const artifacts = [];
+
+      await fs.mkdir(workDir, { recursive: true });
+      try {
+        for (const artifact of backup.artifacts) {
+          const file = path.join(workDir, path.posix.basename(artifact.key));
+          try {
+            await target.download(artifact.key, file);
+            const { sha256 } = await this._checksum(file);
+            artifacts.push({ key: artifact.key, valid: sha256 === artifact.sha256, sha256 });
+          } catch (error) {
+            artifacts.push({ key: artifact.key, valid: false, error: error.message });
+          } finally {
+            await fs.rm(file, { force: true });
+          }
+        }
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+      }
+
+      const verified = artifacts.every((artifact) => artifact.valid);
+      await platformBackupRepository.setVerified(backup._id, verified);
+
+      return { backupId: String(backup._id), verified, artifacts };
+    }, { backupId: id });
+  }
+
+  /**
+   * Delete a backup from its target and the backup history
+   * @param {string} id - Backup ID
+   * @returns {Promise<boolean>} False when the backup did not exist
+   */
+  async deleteBackup(id) {
+    return this.executeOperation("deleteBackup", async () => {
+      const backup = await platformBackupRepository.findById(id);
+      if (!backup) return false;
+
+      if (backup.status === "running") {
+        throw new ConflictError(`backup ${id}`, "The backup is still running");
+      }
+
+      const policy = await backupPolicyRepository.findById(backup.policy);
+      if (policy) {
+        await this._removeFromTarget(this._getTarget(policy), backup);
+      }
+
+      await platformBackupRepository.delete(backup._id);
+      return true;
+    }, { backupId: id });
+  }
+
+  /**
+   * Get the cipher for target credentials, created on first use
+   * @returns {SecretCipher} Cipher
+   */
+  getCipher() {
+    if (!this.cipher) {
+      this.cipher = new SecretCipher(config.secretsMasterKey);
+    }
+    return this.cipher;
+  }
+
+  /**
+   * Record a new run and queue it behind the runs in progress
+   * @private
+   */
+  async _begin(policy, trigger, userId) {
+    const policyId = String(policy._id);
+    if (this.running.has(policyId)) {
+      throw new ConflictError(`backup policy ${policy.name}`, "A backup of this policy is already running");
+    }
+
+    this.running.add(policyId);
+    let backup;
+    try {
+      backup = await platformBackupRepository.create({
+        policy: policy._id,
+        policyName: policy.name,
+        trigger,
+        triggeredBy: userId,
+        targetType: policy.target.type,
+      });
+    } catch (error) {
+      this.running.delete(policyId);
+      throw error;
+    }
+
+    const done = this.queue
+      .then(() => this._execute(policy, backup))
+      .finally(() => this.running.delete(policyId));
+    this.queue = done.catch(() => {});
+
+    return { backup, done };
+  }
+
+  /**
+   * Snapshot, checksum and upload the components of a policy
+   * A failed run removes the files it already uploaded.
+   * @private
+   */
+  async _execute(policy, backup) {
+    const workDir = path.resolve(this.stagingDir, String(backup._id));
+    const prefix = `${policy.name}/${backup.startedAt.toISOString().replace(/[:.]/g, "-")}`;
+    const uploaded = [];
+    let target = null;
+
+    this.logger.info(`Starting backup of policy ${policy.name}`, { backupId: String(backup._id) });
+
+    try {
+      target = this._getTarget(policy);
+      await fs.mkdir(workDir, { recursive: true });
+
+      for await (const snapshot of this._snapshots(policy.components, workDir)) {
+        const { sha256, size } = await this._checksum(snapshot.file);
+        const key = `${prefix}/${path.basename(snapshot.file)}`;
+
+        await target.upload(snapshot.file, key, { sha256, size });
+        uploaded.push({ component: snapshot.component, source: snapshot.source, key, size, sha256 });
+
+        // Free the staging space before the next snapshot
+        await fs.rm(snapshot.file, { force: true });
+      }
+
+      const manifestFile = path.join(workDir, "manifest.json");
+      await fs.writeFile(manifestFile, JSON.stringify({
+        policy: policy.name,
+        startedAt: backup.startedAt,
+        artifacts: uploaded,
+      }, null, 2));
+      await target.upload(manifestFile, `${prefix}/manifest.json`, await this._checksum(manifestFile));
+
+      const finished = await platformBackupRepository.finish(backup._id, "succeeded", {
+        prefix,
+        location: target.describe(prefix),
+        artifacts: uploaded,
+        size: uploaded.reduce((total, artifact) => total + artifact.size, 0),
+      });
+      await backupPolicyRepository.recordRun(policy._id, "succeeded");
+      this.logger.info(`Backup of policy ${policy.name} completed`, { backupId: String(backup._id), files: uploaded.length });
+
+      try {
+        await this._applyRetention(policy, target);
+      } catch (error) {
+        this.logger.error(`Failed to apply retention of backup policy ${policy.name}:`, error);
+      }
+
+      this.notificationService.notify("backup.succeeded", {
+        subject: policy.name,
+        message: `Backed up ${uploaded.length} file(s) to ${finished?.location || policy.target.type}.`,
+        data: { backupId: String(backup._id), size: finished?.size ?? null },
+      });
+      return finished;
+    } catch (error) {
+      this.logger.error(`Backup of policy ${policy.name} failed:`, error);
+
+      for (const artifact of uploaded) {
+        await target.remove(artifact.key).catch(() => {});
+      }
+
+      const finished = await platformBackupRepository.finish(backup._id, "failed", {
+        error: error.message.slice(0, 1000),
+      });
+      await backupPolicyRepository.recordRun(policy._id, "failed");
+
+      this.notificationService.notify("backup.failed", {
+        subject: policy.name,
+        message: `The backup failed: ${error.message}`,
+        data: { backupId: String(backup._id) },
+      });
+      return finished;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Write the selected components to files in the work directory
+   * Yields each file as soon as it is written, so only one snapshot is staged at a time.
+   * @private
+   */
+  async *_snapshots(components, workDir) {
+    if (components.mongodb) {
+      const file = path.join(workDir, "mongodb.archive.gz");
+      await this._dumpMongo(file);
+      yield { component: "mongodb", source: null, file };
+    }
+
+    if (components.redis) {
+      const file = path.join(workDir, "redis.rdb");
+      await this._dumpRedis(file);
+      yield { component: "redis", source: null, file };
+    }
+
+    if (components.volumes) {
+      const { projects } = await projectRepository.findAll(1, 1000);
+      for (const project of projects) {
+        const addonVolumes = await this.addonService.getVolumeNames(project);
+        for (const volume of await this.dockerService.getProjectVolumes(project.name, addonVolumes)) {
+          const file = path.join(workDir, `volume-${volume}.tar.gz`);
+          await this.dockerService.exportVolume(volume, file);
+          yield { component: "volume", source: volume, file };
+        }
+      }
+    }
+
+    if (components.projects) {
+      const file = path.join(workDir, "projects.tar.gz");
+      await this.commandExecutor.executeToFile(
+        "tar",
+        ["-czf", "-", "-C", path.resolve(config.projectsDir), "."],
+        file,
+        { description: "Archive projects directory" }
+      );
+      yield { component: "projects", source: null, file };
+    }
+  }
+
+  /**
+   * Dump MongoDB as a gzipped archive with mongodump inside its container
+   * @private
+   */
+  async _dumpMongo(file) {
+    await this.commandExecutor.executeToFile(
+      "docker",
+      ["exec", config.mongoContainerName, "mongodump", `--uri=${config.mongoUrl}`, "--archive", "--gzip"],
+      file,
+      { description: "MongoDB dump" }
+    );
+  }
+
+  /**
+   * Dump Redis as an RDB file with redis-cli inside its container
+   * @private
+   */
+  async _dumpRedis(file) {
+    const password = config.redisUrl ? decodeURIComponent(new URL(config.redisUrl).password) : "";
+    const auth = password ? ["-e", `REDISCLI_AUTH=${password}`] : [];
+
+    await this.commandExecutor.executeToFile(
+      "docker",
+      [
+        "exec", ...auth, config.redisContainerName, "sh", "-c",
+        `redis-cli --rdb ${REDIS_DUMP_PATH} >/dev/null && cat ${REDIS_DUMP_PATH}; status=$?; rm -f ${REDIS_DUMP_PATH}; exit $status`,
+      ],
+      file,
+      { description: "Redis dump" }
+    );
+  }
+
+  /**
+   * Delete successful backups beyond keepLast or older than maxAgeDays
+   * The newest successful backup is always kept.
+   * @private
+   */
+  async _applyRetention(policy, target) {
+    const { keepLast, maxAgeDays } = policy.retention;
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const backups = await platformBackupRepository.findSucceededByPolicy(policy._id);
+    const expired = backups.filter((backup, index) =>
+      index > 0 && (index >= keepLast || (cutoff !== null && backup.startedAt.getTime() < cutoff))
+    );
+
+    for (const backup of expired) {
+      await this._removeFromTarget(target, backup);
+      await platformBackupRepository.delete(backup._id);
+    }
+
+    if (expired.length > 0) {
+      this.logger.info(`Deleted ${expired.length} expired backup(s) of policy ${policy.name}`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Remove the files of a backup from its target
+   * @private
+   */
+  async _removeFromTarget(target, backup) {
+    const keys = backup.artifacts.map((artifact) => artifact.key);
+    if (backup.prefix) {
+      keys.push(`${backup.prefix}/manifest.json`);
+    }
+
+    for (const key of keys) {
+      await target.remove(key);
+    }
+  }
+
+  /**
+   * SHA-256 checksum and size of a file
+   * @private
+   */
+  async _checksum(file) {
+    const hash = crypto.createHash("sha256");
+    for await (const chunk of createReadStream(file)) {
+      hash.update(chunk);
+    }
+    const { size } = await fs.stat(file);
+    return { sha256: hash.digest("hex"), size };
+  }
+
+  /**
+   * Target of a policy with decrypted credentials
+   * @private
+   */
+  _getTarget(policy) {
+    const target = typeof policy.target.toObject === "function" ? policy.target.toObject() : { ...policy.target };
+    if (target.secretAccessKey) {
+      target.secretAccessKey = this.getCipher().decrypt(target.secretAccessKey);
+    }
+    return this.createTarget(target);
+  }
+
+  /**
+   * Encrypt the credentials of a target before it is stored
+   * @private
+   */
+  _prepareTarget(target, existingTarget = null) {
+    const prepared = { ...target };
+
+    if (prepared.type === "local" && !prepared.path) {
+      prepared.path = config.backupLocalDir;
+    }
+
+    if (prepared.secretAccessKey) {
+      prepared.secretAccessKey = this.getCipher().encrypt(prepared.secretAccessKey);
+    } else if (existingTarget && existingTarget.type === prepared.type) {
+      prepared.secretAccessKey = existingTarget.secretAccessKey;
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Check the schedule and name of a policy
+   * @private
+   */
+  async _validatePolicy(data, excludeId = null) {
+    if (data.schedule !== undefined && !cron.validate(data.schedule)) {
+      throw ErrorFactory.validation(`Invalid cron schedule: ${data.schedule}`, "schedule", data.schedule);
+    }
+
+    if (data.name !== undefined && !(await backupPolicyRepository.isNameAvailable(data.name, excludeId))) {
+      throw new ConflictError(`backup policy ${data.name}`, "A backup policy with this name already exists");
+    }
+  }
+}
+
+// Create singleton instance
+let platformBackupServiceInstance = null;
+
+const getPlatformBackupService = () => {
+  if (!platformBackupServiceInstance) {
+    platformBackupServiceInstance = new PlatformBackupService();
+  }
+  return platformBackupServiceInstance;
+};
+
+module.exports = {
+  PlatformBackupService,
+  getPlatformBackupService,
+};
@@ -0,0 +1,252 @@
+const BaseService = require("../utils/baseService");
+const { ErrorFactory, ConflictError, PermissionError } = require("../utils/serviceErrors");
+const projectRepository = require("../repositories/projectRepository");
+const userRepository = require("../repositories/userRepository");
+
+// Project roles, weakest first; every role includes the ones before it
+const PROJECT_ROLES = ["viewer", "maintainer", "owner"];
+
+// Roles the owner can give to members
+const MEMBER_ROLES = ["maintainer", "viewer"];
+
+// Socket.IO room of admins, who follow every project
+const ADMIN_ROOM = "admins";
+
+const getUserRoom = (userId) => `user:${userId}`;
+
+// ID of a reference that may or may not be populated
+const idOf = (ref) => (ref && ref._id ? String(ref._id) : ref ? String(ref) : null);
+
+/**
+ * Project Access Service - Per-project membership and access control
+ *
+ * The user who created a project owns it. The owner adds other users as
+ * maintainers, who deploy and operate the project and manage its secrets,
+ * webhook and backups, or as viewers, who see its status, deployments, logs
+ * and metrics. Admins have owner access to every project. Users without any
+ * access are told the project does not exist.
+ */
+class ProjectAccessService extends BaseService {
+  constructor(dependencies = {}) {
+    super("ProjectAccessService", dependencies);
+
+    this.projectRepository = dependencies.projectRepository || projectRepository;
+    this.userRepository = dependencies.userRepository || userRepository;
+  }
+
+  /**
+   * Whether a user has the global admin role
+   * @param {Object} user - Authenticated user (token payload or User document)
+   * @returns {boolean} Whether the user is an admin
+   */
+  isAdmin(user) {
+    const roles = user?.roles || (user?.role ? [user.role] : []);
+    return roles.includes("admin");
+  }
+
+  /**
+   * Get the role of a user in a project
+   * @param {Object} project - Project
+   * @param {Object} user - Authenticated user
+   * @returns {string|null} owner, maintainer, viewer or null without access
+   */
+  getRole(project, user) {
+    if (!project || !user) return null;
+    if (this.isAdmin(user)) return "owner";
+
+    const userId = idOf(user.id || user._id);
+    if (idOf(project.createdBy) === userId) return "owner";
+
+    const member = (project.members || []).find((entry) => idOf(entry.user) === userId);
+    return member ? member.role : null;
+  }
+
+  /**
+   * Whether a user has at least a role in a project
+   * @param {Object} project - Project
+   * @param {Object} user - Authenticated user
+   * @param {string} role - Required project role
+   * @returns {boolean} Whether the user has the role or a stronger one
+   */
+  hasRole(project, user, role) {
+    const actual = this.getRole(project, user);
+    return actual !== null && PROJECT_ROLES.indexOf(actual) >= PROJECT_ROLES.indexOf(role);
+  }
+
+  /**
+   * Load a project the user needs at least a role in
+   * @param {string} projectId - Project ID
+   * @param {Object} user - Authenticated user
+   * @param {string} role - Required project role
+   * @returns {Promise<Object>} Project
+   */
+  async authorize(projectId, user, role = "viewer") {
+    const project = await this._findProject(projectId);
+
+    if (!project || !this.getRole(project, user)) {
+      throw ErrorFactory.notFound("Project", projectId);
+    }
+    if (!this.hasRole(project, user, role)) {
+      throw new PermissionError(`${role} access`, `project ${project.name}`);
+    }
+
+    return project;
+  }
+
+  /**
+   * Repository filter that limits project lists to the user's projects
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Filter for projectRepository.findAll
+   */
+  getListFilter(user) {
+    return this.isAdmin(user) ? {} : { accessibleBy: idOf(user.id || user._id) };
+  }
+
+  /**
+   * Socket.IO rooms that receive the events of a project
+   * @param {Object} project - Project
+   * @returns {Array<string>} Rooms of admins, the owner and the members
+   */
+  getSocketRooms(project) {
+    return [
+      ADMIN_ROOM,
+      getUserRoom(idOf(project.createdBy)),
+      ...(project.members || []).map((member) => getUserRoom(idOf(member.user))),
+    ];
+  }
+
+  /**
+   * List the owner and members of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Members, owner first
+   */
+  async listMembers(projectId) {
+    const project = await this.projectRepository.findMembers(projectId);
+    if (!project) {
+      throw ErrorFactory.notFound("Project", projectId);
+    }
+
+    return [
+      { user: this._toUser(project.createdBy), role: "owner", addedAt: project.createdAt },
+      ...project.members.map((member) => ({
+        user: this._toUser(member.user),
+        role: member.role,
+        addedAt: member.addedAt,
+      })),
+    ];
+  }
+
+  /**
+   * Add a user to a project
+   * @param {Object} project - Project
+   * @param {Object} memberData - Username or email of the user and their role
+   * @param {string} addedBy - ID of the user adding the member
+   * @returns {Promise<Object>} Added member
+   */
+  async addMember(project, { username, role }, addedBy) {
+    return this.executeOperation("addMember", async () => {
+      const user = await this.userRepository.findByEmailOrUsername(username);
+      if (!user || !user.isActive || user.isDeleted) {
+        throw ErrorFactory.notFound("User", username);
+      }
+
+      const userId = String(user._id);
+      if (idOf(project.createdBy) === userId) {
+        throw new ConflictError(user.username, "User owns the project");
+      }
+      if ((project.members || []).some((member) => idOf(member.user) === userId)) {
+        throw new ConflictError(user.username, "User is already a member");
+      }
+
+      await this.projectRepository.addMember(project._id, {
+        user: user._id,
+        role,
+        addedBy: addedBy || null,
+        addedAt: new Date(),
+      });
+      this.logger.info(`Added ${user.username} to project ${project.name} as ${role}`);
+
+      return { user: this._toUser(user), role };
+    }, { projectId: String(project._id), username, role });
+  }
+
+  /**
+   * Change the role of a member
+   * @param {Object} project - Project
+   * @param {string} userId - ID of the member
+   * @param {string} role - New role
+   * @returns {Promise<Object>} Updated member
+   */
+  async updateMember(project, userId, role) {
+    return this.executeOperation("updateMember", async () => {
+      const updated = await this.projectRepository.updateMemberRole(project._id, userId, role);
+      if (!updated) {
+        throw ErrorFactory.notFound("Member", userId);
+      }
+
+      this.logger.info(`Changed role of member ${userId} in project ${project.name} to ${role}`);
+      const members = await this.listMembers(project._id);
+      return members.find((member) => member.user.id === userId);
+    }, { projectId: String(project._id), userId, role });
+  }
+
+  /**
+   * Remove a member from a project
+   * @param {Object} project - Project
+   * @param {string} userId - ID of the member
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeMember(project, userId) {
+    return this.executeOperation("removeMember", async () => {
+      if (!(project.members || []).some((member) => idOf(member.user) === userId)) {
+        throw ErrorFactory.notFound("Member", userId);
+      }
+
+      await this.projectRepository.removeMember(project._id, userId);
+      this.logger.info(`Removed member ${userId} from project ${project.name}`);
+      return true;
+    }, { projectId: String(project._id), userId });
+  }
+
+  /**
+   * Find a project, treating IDs that are not valid ObjectIds as unknown
+   * @private
+   */
+  async _findProject(projectId) {
+    try {
+      return await this.projectRepository.findById(projectId);
+    } catch (error) {
+      if (error.name === "CastError") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toUser(user) {
+    if (!user || !user._id) {
+      return { id: idOf(user), username: null, email: null };
+    }
+    return { id: String(user._id), username: user.username, email: user.email };
+  }
+}
+
+// Create singleton instance
+let projectAccessServiceInstance = null;
+
+const getProjectAccessService = () => {
+  if (!projectAccessServiceInstance) {
+    projectAccessServiceInstance = new ProjectAccessService();
+  }
+  return projectAccessServiceInstance;
+};
+
+module.exports = {
+  ProjectAccessService,
+  getProjectAccessService,
+  PROJECT_ROLES,
+  MEMBER_ROLES,
+  ADMIN_ROOM,
+  getUserRoom,
+};
@@ -0,0 +1,259 @@
+const crypto = require("crypto");
+const { createReadStream } = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const DockerService = require("./dockerService");
+const { getAddonService } = require("./addonService");
+const { ADDON_TYPES } = require("../models/ProjectAddon");
+const { ErrorFactory, ConflictError } = require("../utils/serviceErrors");
+const projectBackupRepository = require("../repositories/projectBackupRepository");
+
+/**
+ * Project Backup Service - Backups of a project's data volumes
+ *
+ * A backup archives every named volume of a project's Compose project into
+ * <projectBackupsDir>/<project name>/<backup name>/<volume>.tar.gz through a
+ * short-lived helper container, and records the size and SHA-256 checksum of
+ * each archive. Restoring checks the archives against their checksums and
+ * replaces the contents of the volumes, which is only allowed while the
+ * project is stopped. One backup or restore runs per project at a time.
+ */
+class ProjectBackupService extends BaseService {
+  constructor(dependencies = {}) {
+    super("ProjectBackupService", dependencies);
+
+    this.backupsDir = config.projectBackupsDir;
+    this.dockerService = dependencies.dockerService || new DockerService();
+    this.addonService = dependencies.addonService || getAddonService();
+    this.busy = new Set();
+  }
+
+  /**
+   * List the backups of a project, newest first
+   * @param {Object} project - Project
+   * @returns {Promise<Array>} Backups
+   */
+  async listBackups(project) {
+    return await projectBackupRepository.findByProject(project._id);
+  }
+
+  /**
+   * Get a backup of a project
+   * @param {Object} project - Project
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<Object|null>} Backup or null
+   */
+  async getBackup(project, backupId) {
+    return await projectBackupRepository.findByProjectAndId(project._id, backupId);
+  }
+
+  /**
+   * Archive the volumes of a project
+   * @param {Object} project - Project
+   * @param {Object} options - Backup options (description)
+   * @param {string} userId - ID of the user creating the backup
+   * @returns {Promise<Object>} Backup
+   */
+  async createBackup(project, { description = "" } = {}, userId = null) {
+    return this._exclusive(project, () => this.executeOperation("createBackup", async () => {
+      const volumes = await this._getVolumes(project);
+      if (volumes.length === 0) {
+        throw ErrorFactory.validation("The project has no volumes to back up", "volumes", project.name);
+      }
+
+      const name = new Date().toISOString().replace(/[:.]/g, "-");
+      const backupDir = this._getBackupDir(project, name);
+      await fs.mkdir(backupDir, { recursive: true });
+
+      try {
+        const archives = [];
+        for (const volume of volumes) {
+          const file = `${volume}.tar.gz`;
+          await this.dockerService.exportVolume(volume, path.join(backupDir, file));
+          archives.push({ volume, file, ...(await this._checksum(path.join(backupDir, file))) });
+        }
+
+        const backup = await projectBackupRepository.create({
+          project: project._id,
+          projectName: project.name,
+          name,
+          description,
+          archives,
+          size: archives.reduce((total, archive) => total + archive.size, 0),
+          createdBy: userId
+        });
+
+        this.logger.info(`Backed up ${archives.length} volume(s) of project ${project.name}`, { backup: name });
+        return backup;
+      } catch (error) {
+        await fs.rm(backupDir, { recursive: true, force: true });
+        throw error;
+      }
+    }, { projectName: project.name }));
+  }
+
+  /**
+   * Get the archive of one volume of a backup
+   * @param {Object} project - Project
+   * @param {string} backupId - Backup ID
+   * @param {string} volume - Volume name
+   * @returns {Promise<Object|null>} Archive path and file name, or null
+   */
+  async getArchive(project, backupId, volume) {
+    const backup = await this.getBackup(project, backupId);
+    const archive = backup?.archives.find((entry) => entry.volume === volume);
+    if (!archive) return null;
+
+    const archivePath = path.join(this._getBackupDir(project, backup.name), archive.file);
+    try {
+      await fs.access(archivePath);
+    } catch {
+      throw ErrorFactory.notFound("Backup archive", archive.file);
+    }
+
+    return { path: archivePath, filename: `${backup.name}-${archive.file}` };
+  }
+
+  /**
+   * Replace the volumes of a stopped project with the contents of a backup
+   * @param {Object} project - Project
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<Object|null>} Restored backup or null
+   */
+  async restoreBackup(project, backupId) {
+    const backup = await this.getBackup(project, backupId);
+    if (!backup) return null;
+
+    if (project.status !== "stopped") {
+      throw new ConflictError(`project ${project.name}`, "Stop the project before restoring a backup");
+    }
+
+    return this._exclusive(project, () => this.executeOperation("restoreBackup", async () => {
+      const backupDir = this._getBackupDir(project, backup.name);
+
+      // Check every archive before touching any volume
+      for (const archive of backup.archives) {
+        const { sha256 } = await this._checksum(path.join(backupDir, archive.file)).catch(() => ({}));
+        if (sha256 !== archive.sha256) {
+          throw ErrorFactory.validation(
+            `Archive ${archive.file} is missing or does not match its checksum`,
+            "archives",
+            archive.file
+          );
+        }
+      }
+
+      // Only the project's own volumes are restored, those removed since the backup are recreated
+      // (including the data of add-ons detached since)
+      const addonVolumes = ADDON_TYPES.map((type) => this.addonService.getVolumeName(project, type));
+      const composeProject = project.name.toLowerCase();
+      for (const archive of backup.archives) {
+        if (!archive.volume.startsWith(`${composeProject}_`) && !addonVolumes.includes(archive.volume)) {
+          throw ErrorFactory.validation(
+            `Volume ${archive.volume} does not belong to project ${project.name}`,
+            "archives",
+            archive.volume
+          );
+        }
+      }
+      const existing = await this.dockerService.getProjectVolumes(project.name, addonVolumes);
+      for (const archive of backup.archives) {
+        if (!existing.includes(archive.volume)) {
+          await this.dockerService.createProjectVolume(project.name, archive.volume);
+        }
+        await this.dockerService.importVolume(archive.volume, path.join(backupDir, archive.file));
+      }
+
+      this.logger.info(`Restored ${backup.archives.length} volume(s) of project ${project.name}`, { backup: backup.name });
+      return await projectBackupRepository.markRestored(backup._id);
+    }, { projectName: project.name, backup: backup.name }));
+  }
+
+  /**
+   * Delete a backup and its archives
+   * @param {Object} project - Project
+   * @param {string} backupId - Backup ID
+   * @returns {Promise<boolean>} False when the backup did not exist
+   */
+  async deleteBackup(project, backupId) {
+    const backup = await this.getBackup(project, backupId);
+    if (!backup) return false;
+
+    await fs.rm(this._getBackupDir(project, backup.name), { recursive: true, force: true });
+    return await projectBackupRepository.delete(backup._id);
+  }
+
+  /**
+   * Delete all backups of a project
+   * @param {Object} project - Project
+   * @returns {Promise<void>}
+   */
+  async deleteByProject(project) {
+    await fs.rm(path.join(this.backupsDir, project.name), { recursive: true, force: true });
+    await projectBackupRepository.deleteByProject(project._id);
+  }
+
+  /**
+   * Run a backup or restore unless another one of the project is running
+   * @private
+   */
+  async _exclusive(project, operation) {
+    const key = String(project._id);
+    if (this.busy.has(key)) {
+      throw new ConflictError(`project ${project.name}`, "A backup or restore of this project is already running");
+    }
+
+    this.busy.add(key);
+    try {
+      return await operation();
+    } finally {
+      this.busy.delete(key);
+    }
+  }
+
+  /**
+   * Volumes of a project and of its add-ons
+   * @private
+   */
+  async _getVolumes(project) {
+    return this.dockerService.getProjectVolumes(project.name, await this.addonService.getVolumeNames(project));
+  }
+
+  /**
+   * Directory of a backup's archives
+   * @private
+   */
+  _getBackupDir(project, name) {
+    return path.join(this.backupsDir, project.name, name);
+  }
+
+  /**
+   * SHA-256 checksum and size of a file
+   * @private
+   */
+  async _checksum(file) {
+    const hash = crypto.createHash("sha256");
+    for await (const chunk of createReadStream(file)) {
+      hash.update(chunk);
+    }
+    const { size } = await fs.stat(file);
+    return { sha256: hash.digest("hex"), size };
+  }
+}
+
+// Create singleton instance
+let projectBackupServiceInstance = null;
+
+const getProjectBackupService = () => {
+  if (!projectBackupServiceInstance) {
+    projectBackupServiceInstance = new ProjectBackupService();
+  }
+  return projectBackupServiceInstance;
+};
+
+module.exports = {
+  ProjectBackupService,
+  getProjectBackupService,
+};
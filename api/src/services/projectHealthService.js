@@ -0,0 +1,323 @@
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const HttpProbe = require("../utils/httpProbe");
+const { ProjectService } = require("./projectService");
+const { getNotificationService } = require("./notificationService");
+const projectRepository = require("../repositories/projectRepository");
+const { getProjectAccessService } = require("./projectAccessService");
+
+// How often due health checks are looked up
+const TICK_INTERVAL = 5000;
+
+// Delay before the second automatic restart, doubled for every further one
+const RESTART_BACKOFF = 60 * 1000;
+const MAX_RESTART_BACKOFF = 30 * 60 * 1000;
+
+const EMPTY_STATE = {
+  consecutiveFailures: 0,
+  lastStatusCode: null,
+  lastError: null,
+  restartAttempts: 0,
+  lastRestartAt: null,
+};
+
+/**
+ * Project Health Service - HTTP health checks of hosted projects
+ *
+ * Every project with an enabled health check is probed at its own interval
+ * while it is running. A project becomes `unhealthy` after `failureThreshold`
+ * consecutive failed probes and `healthy` again with the first successful
+ * one. Each probe is broadcast as a `project_health` Socket.IO event. With
+ * `autoRestart` an unhealthy project is restarted; repeated restarts back off
+ * exponentially until the project is healthy again.
+ */
+class ProjectHealthService extends BaseService {
+  constructor(dependencies = {}) {
+    super("ProjectHealthService", dependencies);
+
+    this.io = dependencies.io || null;
+    this.projectService = dependencies.projectService || null;
+    this.notificationService = dependencies.notificationService || getNotificationService();
+    this.isRunning = false;
+    this.tickTimeout = null;
+    this.checking = new Set();
+    this.restarting = new Set();
+  }
+
+  /**
+   * Attach the Socket.IO server used for broadcasting
+   * @param {Object} io - Socket.IO server
+   */
+  attach(io) {
+    this.io = io;
+  }
+
+  /**
+   * Start probing projects
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.logger.info("Starting project health checks");
+    this._scheduleTick();
+  }
+
+  /**
+   * Stop probing projects
+   */
+  stop() {
+    this.isRunning = false;
+    if (this.tickTimeout) {
+      clearTimeout(this.tickTimeout);
+      this.tickTimeout = null;
+    }
+  }
+
+  /**
+   * Probe every project whose health check is due
+   * @returns {Promise<void>}
+   */
+  async checkDueProjects() {
+    try {
+      const projects = await projectRepository.findHealthChecked();
+      const due = projects.filter((project) => this._isDue(project) && !this.checking.has(String(project._id)));
+
+      await Promise.allSettled(due.map((project) => this.checkProject(project)));
+    } catch (error) {
+      this.logger.error("Failed to run project health checks:", error);
+    }
+  }
+
+  /**
+   * Probe a project once and record the outcome
+   * @param {Object} project - Project with an enabled health check
+   * @returns {Promise<Object>} Health status and state
+   */
+  async checkProject(project) {
+    const key = String(project._id);
+    this.checking.add(key);
+
+    try {
+      const previousStatus = project.healthStatus;
+      const state = { ...EMPTY_STATE, ...this._plain(project.healthState) };
+
+      // Stopped projects are not probed
+      if (project.status !== "running") {
+        if (previousStatus === "unknown" && state.consecutiveFailures === 0) {
+          return { healthStatus: previousStatus, healthState: state };
+        }
+        return await this._record(project, previousStatus, "unknown", { ...EMPTY_STATE });
+      }
+
+      const settings = project.healthCheck;
+      const result = await HttpProbe.check(this.getProbeUrl(project), settings.timeout * 1000);
+
+      state.lastStatusCode = result.statusCode;
+      state.lastError = result.healthy ? null : result.error || `HTTP ${result.statusCode}`;
+
+      let healthStatus;
+      if (result.healthy) {
+        healthStatus = "healthy";
+        state.consecutiveFailures = 0;
+        state.restartAttempts = 0;
+      } else {
+        state.consecutiveFailures += 1;
+        healthStatus = state.consecutiveFailures >= settings.failureThreshold ? "unhealthy" : previousStatus;
+      }
+
+      if (healthStatus === "unhealthy" && settings.autoRestart && !this.restarting.has(key) && this._restartDue(state)) {
+        // The restarted container gets the full threshold again
+        state.restartAttempts += 1;
+        state.lastRestartAt = new Date();
+        state.consecutiveFailures = 0;
+
+        const recorded = await this._record(project, previousStatus, healthStatus, state);
+        this._restart(project, state.restartAttempts);
+        return recorded;
+      }
+
+      return await this._record(project, previousStatus, healthStatus, state);
+    } finally {
+      this.checking.delete(key);
+    }
+  }
+
+  /**
+   * URL the health check of a running project probes
+   * @param {Object} project - Project
+   * @returns {string} Probe URL
+   */
+  getProbeUrl(project) {
+    const path = project.healthCheck?.path || "/";
+    const containerPort = project.buildpack?.containerPort || project.containerPort || 80;
+
+    return config.blueGreenProbeHost
+      ? `http://${config.blueGreenProbeHost}:${project.assignedPort || project.port}${path}`
+      : `http://${project.name}:${containerPort}${path}`;
+  }
+
+  /**
+   * Delay before the next automatic restart
+   * @param {number} attempts - Restarts since the project was last healthy
+   * @returns {number} Delay in milliseconds
+   */
+  getRestartBackoff(attempts) {
+    if (attempts === 0) return 0;
+    return Math.min(RESTART_BACKOFF * 2 ** (attempts - 1), MAX_RESTART_BACKOFF);
+  }
+
+  /**
+   * Store the outcome of a probe and broadcast it
+   * @private
+   */
+  async _record(project, previousStatus, healthStatus, state) {
+    await projectRepository.recordHealthCheck(project._id, healthStatus, state);
+
+    this._emit(project, "project_health", {
+      projectId: String(project._id),
+      projectName: project.name,
+      healthStatus,
+      previousStatus,
+      changed: healthStatus !== previousStatus,
+      statusCode: state.lastStatusCode,
+      error: state.lastError,
+      consecutiveFailures: state.consecutiveFailures,
+      checkedAt: new Date().toISOString(),
+    });
+
+    if (healthStatus !== previousStatus) {
+      this.logger.info(`Project ${project.name} health: ${previousStatus} -> ${healthStatus}`, {
+        statusCode: state.lastStatusCode,
+        error: state.lastError,
+      });
+      this._notify(project, previousStatus, healthStatus, state);
+    }
+
+    return { healthStatus, healthState: state };
+  }
+
+  /**
+   * Notify subscribers when a project turns unhealthy or recovers
+   * @private
+   */
+  _notify(project, previousStatus, healthStatus, state) {
+    const url = this.getProbeUrl(project);
+
+    if (healthStatus === "unhealthy") {
+      this.notificationService.notify("health.failed", {
+        projectId: project._id,
+        message: `${url} failed ${state.consecutiveFailures} health check(s) in a row: ${state.lastError}`,
+        data: { url, statusCode: state.lastStatusCode, error: state.lastError, autoRestart: project.healthCheck.autoRestart },
+      });
+    } else if (healthStatus === "healthy" && previousStatus === "unhealthy") {
+      this.notificationService.notify("health.recovered", {
+        projectId: project._id,
+        message: `${url} passed its health check again.`,
+        data: { url, statusCode: state.lastStatusCode },
+      });
+    }
+  }
+
+  /**
+   * Restart an unhealthy project in the background
+   * @private
+   */
+  _restart(project, attempt) {
+    const key = String(project._id);
+    this.restarting.add(key);
+    this.logger.warn(`Restarting unhealthy project ${project.name} (attempt ${attempt})`);
+    this._emit(project, "project_auto_restart", {
+      projectId: String(project._id),
+      projectName: project.name,
+      attempt,
+      nextBackoff: this.getRestartBackoff(attempt),
+    });
+
+    this._getProjectService()
+      .restartProject(String(project._id), null, { trigger: "health" })
+      .then((restarted) => {
+        if (!restarted) {
+          this.logger.error(`Automatic restart of project ${project.name} failed`);
+        }
+      })
+      .catch((error) => this.logger.error(`Automatic restart of project ${project.name} failed:`, error))
+      .finally(() => this.restarting.delete(key));
+  }
+
+  /**
+   * Whether the backoff since the last automatic restart has passed
+   * @private
+   */
+  _restartDue(state) {
+    if (!state.lastRestartAt) return true;
+    return Date.now() - new Date(state.lastRestartAt).getTime() >= this.getRestartBackoff(state.restartAttempts);
+  }
+
+  /**
+   * Whether a project's interval has passed since its last probe
+   * @private
+   */
+  _isDue(project) {
+    if (!project.lastHealthCheck) return true;
+    return Date.now() - new Date(project.lastHealthCheck).getTime() >= project.healthCheck.interval * 1000;
+  }
+
+  /**
+   * Plain copy of a Mongoose subdocument
+   * @private
+   */
+  _plain(value) {
+    if (!value) return {};
+    return typeof value.toObject === "function" ? value.toObject() : value;
+  }
+
+  /**
+   * Project service, created on first restart
+   * @private
+   */
+  _getProjectService() {
+    if (!this.projectService) {
+      this.projectService = new ProjectService();
+    }
+    return this.projectService;
+  }
+
+  /**
+   * Schedule the next lookup of due health checks
+   * @private
+   */
+  _scheduleTick() {
+    if (!this.isRunning) return;
+
+    this.tickTimeout = setTimeout(async () => {
+      await this.checkDueProjects();
+      this._scheduleTick();
+    }, TICK_INTERVAL);
+  }
+
+  /**
+   * Send an event to the users with access to a project when Socket.IO is attached
+   * @private
+   */
+  _emit(project, event, data) {
+    if (this.io) {
+      this.io.to(getProjectAccessService().getSocketRooms(project)).emit(event, data);
+    }
+  }
+}
+
+// Create singleton instance
+let projectHealthServiceInstance = null;
+
+const getProjectHealthService = () => {
+  if (!projectHealthServiceInstance) {
+    projectHealthServiceInstance = new ProjectHealthService();
+  }
+  return projectHealthServiceInstance;
+};
+
+module.exports = {
+  ProjectHealthService,
+  getProjectHealthService,
+};
@@ -3,15 +3,35 @@ const config = require("../config/environment");
 const fs = require("fs").promises;
 const path = require("path");
 const BaseService = require("../utils/baseService");
+const HttpProbe = require("../utils/httpProbe");
+const Project = require("../models/Project");
 const {
   ErrorFactory,
+  ConflictError,
   NotFoundError,
   ValidationError,
 } = require("../utils/serviceErrors");
 const GitService = require("./gitService");
+const { redactGitUrl } = GitService;
 const DockerService = require("./dockerService");
 const PortService = require("./portService");
+const CaddyService = require("./caddyService");
+const BuildpackService = require("./buildpackService");
+const SecretService = require("./secretService");
+const { getBuildQueueService } = require("./buildQueueService");
+const { getBuildLogService } = require("./buildLogService");
+const { getProjectBackupService } = require("./projectBackupService");
+const { getNotificationService } = require("./notificationService");
+const { getMetricsService } = require("./metricsService");
+const { getProjectAccessService } = require("./projectAccessService");
+const { getQuotaService } = require("./quotaService");
+const { getGitCredentialService } = require("./gitCredentialService");
+const { getAddonService } = require("./addonService");
+const { getTemplateService } = require("./templateService");
 const projectRepository = require("../repositories/projectRepository");
+const webhookDeliveryRepository = require("../repositories/webhookDeliveryRepository");
+const deploymentRepository = require("../repositories/deploymentRepository");
+const buildLogRepository = require("../repositories/buildLogRepository");
 const { getCacheService } = require("./cacheService");
 
 /**
@@ -100,8 +120,21 @@ class ProjectService extends BaseService {
     this.gitService = dependencies.gitService || new GitService();
     this.dockerService = dependencies.dockerService || new DockerService();
     this.portService = dependencies.portService || new PortService();
+    this.caddyService = dependencies.caddyService || new CaddyService();
+    this.buildpackService = dependencies.buildpackService || new BuildpackService();
+    this.secretService = dependencies.secretService || new SecretService();
     this.projectRepository = dependencies.projectRepository || null;
     this.cacheService = dependencies.cacheService || getCacheService();
+    this.buildQueue = dependencies.buildQueue || getBuildQueueService();
+    this.buildLogService = dependencies.buildLogService || getBuildLogService();
+    this.projectBackupService = dependencies.projectBackupService || getProjectBackupService();
+    this.notificationService = dependencies.notificationService || getNotificationService();
+    this.metricsService = dependencies.metricsService || getMetricsService();
+    this.projectAccessService = dependencies.projectAccessService || getProjectAccessService();
+    this.quotaService = dependencies.quotaService || getQuotaService();
+    this.gitCredentialService = dependencies.gitCredentialService || getGitCredentialService();
+    this.addonService = dependencies.addonService || getAddonService();
+    this.templateService = dependencies.templateService || getTemplateService();
 
     this.ensureProjectsDirectory();
   }
@@ -171,10 +204,20 @@ class ProjectService extends BaseService {
    * @returns {Promise<Object>} Deployed project data
    */
   async deployProject(projectData) {
-    const project = this._initializeProject(projectData);
+    // Templates run a prebuilt image instead of building a repository
+    if (projectData.template) {
+      projectData = await this.templateService.applyTemplate(projectData);
+    }
+    const { secrets, gitAuth, addons, ...settings } = projectData;
+
+    const project = this._initializeProject(settings);
+    if (gitAuth) {
+      project.gitAuth = this.gitCredentialService.prepareGitAuth(project.repository, gitAuth);
+    }
     let savedProject = null;
+    let deployment = null;
 
-    try {
+    const record = async () => {
       // Handle port assignment
       await this._handlePortAssignment(project);
 
@@ -185,21 +228,136 @@ class ProjectService extends BaseService {
       savedProject = await this.getProjectRepository().create(project);
       project._id = savedProject._id;
 
-      // Deploy project infrastructure
-      await this._deployProjectInfrastructure(project);
+      if (secrets && Object.keys(secrets).length > 0) {
+        await this.secretService.setSecrets(savedProject, secrets, projectData.createdBy);
+      }
 
-      // Update project status and cache
-      await this._finalizeDeployment(savedProject, project.id);
+      // Started with the project once it is built
+      if (addons && addons.length > 0) {
+        await this.addonService.attachAddons(savedProject, addons, projectData.createdBy);
+      }
+    };
+
+    try {
+      // Deploys by a user count against their quota, checked and recorded one at a time
+      if (projectData.createdBy) {
+        await this.quotaService.reserveDeploy(
+          projectData.createdBy,
+          { resources: settings.resources, addons: addons?.length || 0 },
+          record
+        );
+      } else {
+        await record();
+      }
+
+      deployment = await this._startDeployment(savedProject, "deploy", {
+        triggeredBy: projectData.createdBy,
+        branch: project.branch,
+      });
+
+      await this._buildFirstDeployment(savedProject, project, deployment, {
+        triggeredBy: projectData.createdBy,
+      });
 
       this.logger.info(`Project deployed successfully: ${project.name}`);
       return savedProject;
     } catch (error) {
       this.logger.error("Failed to deploy project:", error);
       await this._handleDeploymentError(savedProject);
+      await this._finishDeployment(deployment, this._getFailureStatus(error), {
+        imageTag: project.imageTag,
+        error: error.message,
+      });
       throw error;
     }
   }
 
+  /**
+   * Queue a build job again that an API restart cut off
+   * Deploys start over from a fresh clone, redeploys and webhook builds pull
+   * and build again. The job keeps its ID.
+   * @param {Object} job - Interrupted build job
+   * @returns {Promise<Object|null>} Deployed project or null if it no longer exists
+   */
+  async resumeBuild(job) {
+    const project = await this.getProjectById(job.projectId);
+    if (!project) return null;
+
+    if (job.type !== "deploy") {
+      return this.redeployProject(project._id, {
+        trigger: job.type,
+        triggeredBy: job.triggeredBy,
+        jobId: job.id,
+      });
+    }
+
+    const deployment = await this._startDeployment(project, "deploy", {
+      triggeredBy: job.triggeredBy,
+      branch: project.branch,
+    });
+
+    try {
+      await this._buildFirstDeployment(project, this._toComposeProject(project), deployment, {
+        triggeredBy: job.triggeredBy,
+        jobId: job.id,
+      });
+      this.logger.info(`Interrupted deployment of ${project.name} resumed`);
+      return project;
+    } catch (error) {
+      this.logger.error(`Failed to resume the deployment of ${project.name}:`, error);
+      await this._handleDeploymentError(project);
+      await this._finishDeployment(deployment, this._getFailureStatus(error), {
+        imageTag: project.imageTag,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build and start a new project once a build slot is free
+   * @private
+   * @param {Object} savedProject - Stored project
+   * @param {Object} project - Project being deployed, gets its image tag and buildpack
+   * @param {Object} deployment - Deployment record
+   * @param {Object} options - Build job options
+   * @param {string} options.triggeredBy - ID of the user who deployed the project
+   * @param {string} options.jobId - ID of the interrupted build job this deploy resumes
+   */
+  async _buildFirstDeployment(savedProject, project, deployment, { triggeredBy = null, jobId = null } = {}) {
+    const projectPath = path.join(this.projectsDir, project.name);
+    const output = this.buildLogService.getWriter(deployment?._id);
+    output("system", "Waiting for a free build slot");
+    const commit = await this.buildQueue.run(
+      {
+        projectId: savedProject._id,
+        projectName: project.name,
+        type: "deploy",
+        triggeredBy,
+        jobId,
+      },
+      async (signal) => {
+        if (jobId) {
+          // The interrupted deploy may have left a partial clone behind
+          await fs.rm(projectPath, { recursive: true, force: true });
+        }
+        return this._deployProjectInfrastructure(project, signal, output);
+      }
+    );
+
+    // Update project status and cache
+    const status = await this._finalizeDeployment(savedProject, project.id);
+    if (status === "running") {
+      await this._syncRoute(savedProject);
+    }
+
+    await this._finishDeployment(
+      deployment,
+      status === "running" ? "succeeded" : "failed",
+      { commit, imageTag: project.imageTag, buildpack: project.buildpack }
+    );
+  }
+
   /**
    * Initialize project object with default values
    * @private
@@ -258,35 +416,89 @@ class ProjectService extends BaseService {
    * @private
    */
   async _validateAndPrepareProject(project) {
-    const isValidRepo = await this.gitService.validateRepository(project.repository);
+    if (project.image) return;
+
+    const isValidRepo = await this.gitCredentialService.withCredentials(project, (env) =>
+      this.gitService.validateRepository(project.repository, { env })
+    );
     if (!isValidRepo) {
-      throw new Error(`Invalid or inaccessible repository: ${project.repository}`);
+      throw new Error(`Invalid or inaccessible repository: ${redactGitUrl(project.repository)}`);
     }
   }
 
   /**
    * Deploy project infrastructure (clone, build, compose, start)
+   * Projects running a prebuilt image skip the clone and build, their
+   * directory only holds the compose file.
    * @private
+   * @param {Object} project - Project being deployed
+   * @param {AbortSignal} signal - Build queue signal, aborts the build on cancel or timeout
+   * @param {Function} output - Build log writer taking (stream, chunk)
+   * @returns {Promise<Object|null>} Deployed commit
    */
-  async _deployProjectInfrastructure(project) {
+  async _deployProjectInfrastructure(project, signal = null, output = () => {}) {
     const projectPath = path.join(this.projectsDir, project.name);
+    let commit = null;
+    let contextPath = projectPath;
+
+    if (project.image) {
+      await fs.mkdir(projectPath, { recursive: true });
+      project.buildpack = { type: "image", dockerfile: null, containerPort: project.containerPort || 80, generated: false };
+      output("system", `Running image ${project.image} (container port ${project.buildpack.containerPort})`);
+    } else {
+      // Clone repository
+      output("system", `Cloning ${redactGitUrl(project.repository)} (${project.branch})`);
+      await this.gitCredentialService.withCredentials(project, (env) =>
+        this.gitService.cloneRepository(project.repository, project.branch, projectPath, {
+          onOutput: output,
+          env,
+        })
+      );
+      signal?.throwIfAborted();
 
-    // Clone repository
-    await this.gitService.cloneRepository(project.repository, project.branch, projectPath);
+      // Tag the image with the deployed commit
+      commit = await this._getCommitInfo(projectPath);
+      project.imageTag = this._getImageTag(commit);
+
+      // Work out how to build the image, generating a Dockerfile if the repository has none
+      const build = await this._prepareBuild(project, projectPath);
+      project.buildpack = build.buildpack;
+      contextPath = build.contextPath;
+      output("system", this._describeBuildpack(project.buildpack, project.build));
+    }
+    await this.getProjectRepository().update(project._id, { buildpack: project.buildpack });
 
     // Build project if needed
     if (project.buildCommand) {
-      await this.dockerService.buildProject(projectPath, project.buildCommand);
+      output("system", `Running build command: ${project.buildCommand}`);
+      await this.dockerService.buildProject(contextPath, project.buildCommand, {
+        signal,
+        onOutput: output,
+      });
     }
 
     // Create and start Docker Compose
+    output(
+      "system",
+      project.image
+        ? `Pulling image ${project.image} and starting containers`
+        : `Building image ${this.dockerService.getImageName(project.name, project.imageTag)} and starting containers`
+    );
+    project.secretsFile = await this.secretService.writeEnvFile(project);
+    project.addonsFile = await this.addonService.writeEnvFile(project);
+    if (await this.addonService.startAddons(project)) {
+      output("system", "Started the project's add-ons");
+    }
     await this.dockerService.createProjectCompose(project, projectPath);
-    await this.dockerService.startProject(projectPath);
+    await this.dockerService.startProject(projectPath, { signal, onOutput: output });
+
+    return commit;
   }
 
   /**
    * Finalize deployment by updating status and cache
    * @private
+   * @returns {Promise<string>} Final project status
    */
   async _finalizeDeployment(savedProject, projectId) {
     try {
@@ -294,7 +506,9 @@ class ProjectService extends BaseService {
       const projectPath = path.join(this.projectsDir, savedProject.name);
       const dockerStatus = await this.dockerService.getProjectStatus(projectPath);
       
-      if (dockerStatus.status === 'running') {
+      const status = dockerStatus.status === 'running' ? "running" : "error";
+      
+      if (status === "running") {
         await this.getProjectRepository().updateStatus(savedProject._id, "running");
         this.logger.info(`Project ${savedProject.name} successfully deployed and running`);
       } else {
@@ -303,10 +517,12 @@ class ProjectService extends BaseService {
       }
       
       await this._invalidateProjectCache(projectId);
+      return status;
     } catch (error) {
       this.logger.error(`Failed to finalize deployment for project ${savedProject.name}:`, error);
       await this.getProjectRepository().updateStatus(savedProject._id, "error");
       await this._invalidateProjectCache(projectId);
+      return "error";
     }
   }
 
@@ -331,19 +547,319 @@ class ProjectService extends BaseService {
     ]);
   }
 
+  /**
+   * Point the project's domain at its current port
+   * Routing is best effort: a failed Caddy reload leaves the project running.
+   * @private
+   */
+  async _syncRoute(project) {
+    try {
+      await this.caddyService.upsertRoute(this._toComposeProject(project));
+    } catch (error) {
+      this.logger.error(`Failed to update route for project ${project.name}:`, error);
+    }
+  }
+
+  /**
+   * Stop routing the project's domain
+   * @private
+   */
+  async _removeRoute(project) {
+    try {
+      await this.caddyService.removeRoute(project);
+    } catch (error) {
+      this.logger.error(`Failed to remove route for project ${project.name}:`, error);
+    }
+  }
+
+  /**
+   * Start recording a deployment in the project history
+   * History is best effort and never fails the deployment itself.
+   * @private
+   */
+  async _startDeployment(project, trigger, { triggeredBy = null, branch = null, rollbackOf = null } = {}) {
+    try {
+      const deployment = await deploymentRepository.create({
+        project: project._id,
+        trigger,
+        triggeredBy,
+        branch,
+        rollbackOf,
+      });
+      this.buildLogService.start(deployment, project);
+      return deployment;
+    } catch (error) {
+      this.logger.error(`Failed to record ${trigger} deployment:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of a deployment and notify subscribers
+   * Successful deployments become the project's current deployment.
+   * @private
+   */
+  async _finishDeployment(deployment, status, updates = {}) {
+    if (!deployment) return;
+
+    this.buildLogService.append(
+      String(deployment._id),
+      "system",
+      updates.error ? `Deployment ${status}: ${updates.error}` : `Deployment ${status}`
+    );
+    await this.buildLogService.finish(deployment._id, status);
+
+    try {
+      const { error, ...fields } = updates;
+      await deploymentRepository.finish(deployment._id, status, {
+        ...fields,
+        error: error ? error.slice(0, 1000) : null,
+      });
+
+      if (status === "succeeded") {
+        await this.getProjectRepository().update(deployment.project, {
+          imageTag: fields.imageTag || null,
+          currentDeployment: deployment._id,
+          ...(fields.buildpack && { buildpack: fields.buildpack }),
+        });
+      }
+    } catch (error) {
+      this.logger.error("Failed to record deployment outcome:", error);
+    }
+
+    this.metricsService.recordDeployment(deployment, status);
+
+    if (status === "succeeded" || status === "failed") {
+      this.notificationService.notify(`deploy.${status}`, {
+        projectId: deployment.project,
+        message: updates.error
+          ? `The ${deployment.trigger} deployment failed: ${updates.error}`
+          : `The ${deployment.trigger} deployment ${status}.`,
+        data: { deploymentId: String(deployment._id), trigger: deployment.trigger, commit: updates.commit || null },
+      });
+    }
+  }
+
+  /**
+   * Build log line describing how the image is built
+   * @private
+   */
+  _describeBuildpack(buildpack, build = {}) {
+    if (buildpack.type === "compose") {
+      return build.stack
+        ? `Building the stack of ${build.composeFile}, publishing ${build.composeService} (container port ${buildpack.containerPort})`
+        : `Building service ${build.composeService} of ${build.composeFile} (container port ${buildpack.containerPort})`;
+    }
+
+    const location = build?.context ? ` in ${build.context}` : "";
+    return buildpack.generated
+      ? `Detected a ${buildpack.type} project${location}, generated ${buildpack.dockerfile} (container port ${buildpack.containerPort})`
+      : `Building from the repository's ${buildpack.dockerfile}${location} (container port ${buildpack.containerPort})`;
+  }
+
+  /**
+   * Work out how to build a project's image
+   * Apps of a monorepo are built from their build context directory, or from a
+   * service of the repository's own compose file, instead of the repository root.
+   * @private
+   * @param {Object} project - Project
+   * @param {string} projectPath - Path to the cloned repository
+   * @returns {Promise<Object>} Buildpack and the path of the build context
+   */
+  async _prepareBuild(project, projectPath) {
+    const { context, dockerfile, composeFile, composeService } = project.build || {};
+    const contextPath = await this.gitService.resolveRepositoryPath(projectPath, context || ".", {
+      field: "build.context",
+    });
+
+    if (composeFile) {
+      await this.gitService.resolveRepositoryPath(projectPath, composeFile, {
+        type: "file",
+        field: "build.composeFile",
+      });
+      const services = await this.dockerService.getComposeServices(projectPath, composeFile);
+      if (!services.includes(composeService)) {
+        throw ErrorFactory.validation(
+          `Service ${composeService} is not defined in ${composeFile} (services: ${services.join(", ")})`,
+          "build.composeService",
+          composeService
+        );
+      }
+
+      // The compose file decides how the service is built
+      return {
+        contextPath,
+        buildpack: { type: "compose", dockerfile: null, containerPort: project.containerPort || 80, generated: false },
+      };
+    }
+
+    if (dockerfile) {
+      await this.gitService.resolveRepositoryPath(projectPath, path.posix.join(context || ".", dockerfile), {
+        type: "file",
+        field: "build.dockerfile",
+      });
+    }
+
+    const buildpack = await this.buildpackService.prepare(contextPath, {
+      containerPort: project.containerPort,
+      dockerfile,
+    });
+    return { contextPath, buildpack };
+  }
+
+  /**
+   * Deployment status of a failed build
+   * @private
+   */
+  _getFailureStatus(error) {
+    return error.cancelled ? "cancelled" : "failed";
+  }
+
+  /**
+   * Get the checked out commit of a project, or null when unavailable
+   * @private
+   */
+  async _getCommitInfo(projectPath) {
+    try {
+      const info = await this.gitService.getRepositoryInfo(projectPath);
+      return info.lastCommit;
+    } catch (error) {
+      this.logger.warn(`Could not read commit info for ${projectPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Derive the image tag for a commit
+   * @private
+   */
+  _getImageTag(commit) {
+    return commit?.hash ? commit.hash.slice(0, 12) : `build-${Date.now()}`;
+  }
+
+  /**
+   * Plain project data for compose generation
+   * @private
+   */
+  _toComposeProject(project, overrides = {}) {
+    const data = typeof project.toObject === "function"
+      ? project.toObject({ virtuals: true, flattenMaps: true })
+      : { ...project };
+
+    return { ...data, ...overrides };
+  }
+
+  /**
+   * Compose project data loading the project's secrets and add-on connection URLs from their env files
+   * The env files are rewritten so they hold the current values.
+   * @private
+   */
+  async _withSecrets(composeProject) {
+    const secretsFile = await this.secretService.writeEnvFile(composeProject);
+    const addonsFile = await this.addonService.writeEnvFile(composeProject);
+    return { ...composeProject, secretsFile, addonsFile };
+  }
+
   /**
    * Update project configuration
+   * Changed resource limits and container ports are applied right away: a
+   * running project switches to a container with the new settings without
+   * downtime and a stopped one gets them in its compose file. A project built
+   * from a repository is redeployed instead when its container port changes,
+   * so its image is prepared and built for the new port.
    * @param {string} id - Project ID
    * @param {Object} updates - Updates to apply
+   * @param {string} triggeredBy - ID of the user who updated the project
    * @returns {Promise<Object|null>} Updated project or null
    */
-  async updateProject(id, updates) {
+  async updateProject(id, updates, triggeredBy = null) {
+    const project = await this.getProjectById(id);
+    if (project && updates.resources) {
+      await this.quotaService.checkResources(project, updates.resources);
+    }
+    if (project && updates.name && !(await this.getProjectRepository().isNameAvailable(updates.name, id))) {
+      throw new ConflictError(`project ${updates.name}`, "Project name already exists");
+    }
+
+    const containerPortChanged = Boolean(
+      project && updates.containerPort && updates.containerPort !== project.containerPort
+    );
+    const resourcesChanged = Boolean(project && updates.resources);
+    let updatedProject = null;
+
     try {
-      return await this.getProjectRepository().update(id, updates);
+      // A changed health check starts over from an unknown state
+      if (updates.healthCheck) {
+        updates = { ...updates, healthStatus: "unknown", lastHealthCheck: null, healthState: {} };
+      }
+
+      // A prebuilt image listens on the configured port, nothing is detected
+      if (containerPortChanged && project.image) {
+        updates = {
+          ...updates,
+          buildpack: { ...this._toComposeProject(project).buildpack, containerPort: updates.containerPort },
+        };
+      }
+
+      updatedProject = await this.getProjectRepository().update(id, updates);
+
+      if (updatedProject && updates.domain && updatedProject.status === "running") {
+        await this._syncRoute(updatedProject);
+      }
     } catch (error) {
       this.logger.error("Failed to update project:", error);
       return null;
     }
+
+    if (updatedProject && (containerPortChanged || resourcesChanged)) {
+      try {
+        return await this._applyContainerChanges(updatedProject, project, {
+          rebuild: containerPortChanged && !project.image,
+          triggeredBy,
+        });
+      } catch (error) {
+        const previous = this._toComposeProject(project);
+        await this.getProjectRepository().update(id, {
+          ...(containerPortChanged && { containerPort: previous.containerPort, buildpack: previous.buildpack }),
+          ...(resourcesChanged && { resources: previous.resources || {} }),
+        });
+        await this._restoreCompose(project, path.join(this.projectsDir, project.name));
+        throw error;
+      }
+    }
+
+    return updatedProject;
+  }
+
+  /**
+   * Run a project with its changed container port or resource limits
+   * @private
+   * @param {Object} project - Updated project
+   * @param {Object} previous - Project before the update
+   * @param {Object} options - Options
+   * @param {boolean} options.rebuild - Whether the image has to be built again
+   * @param {string} options.triggeredBy - ID of the user who updated the project
+   * @returns {Promise<Object>} Updated project
+   */
+  async _applyContainerChanges(project, previous, { rebuild = false, triggeredBy = null } = {}) {
+    this.logger.info(`Applying the new container settings of project ${project.name}`);
+
+    if (rebuild) {
+      return this.redeployProject(project._id, { triggeredBy });
+    }
+
+    if (project.status === "running") {
+      const restarted = await this.restartProject(project._id, triggeredBy, { previous });
+      if (!restarted) {
+        throw new Error(`Project ${project.name} did not start with its new settings, see its deployments`);
+      }
+    } else {
+      await this.dockerService.createProjectCompose(
+        await this._withSecrets(this._toComposeProject(project)),
+        path.join(this.projectsDir, project.name)
+      );
+    }
+    return project;
   }
 
   /**
@@ -356,15 +872,26 @@ class ProjectService extends BaseService {
       const project = await this.getProjectById(id);
       if (!project) return false;
 
-      // Stop the project
+      // Builds left in the queue would deploy the project again
+      await this._cancelBuilds(project);
+
+      // Stop the project and a candidate container an interrupted switch left behind
       const projectPath = path.join(this.projectsDir, project.name);
       await this.dockerService.stopProject(projectPath);
+      await this.dockerService.removeCandidate(project.name, projectPath);
+      await this._removeRoute(project);
 
       // Remove project directory
       await fs.rm(projectPath, { recursive: true, force: true });
 
       // Remove from MongoDB repository
       await this.getProjectRepository().delete(id);
+      await webhookDeliveryRepository.deleteByProject(id);
+      await deploymentRepository.deleteByProject(id);
+      await buildLogRepository.deleteByProject(id);
+      await this.secretService.deleteByProject(project);
+      await this.projectBackupService.deleteByProject(project);
+      await this.addonService.deleteByProject(project);
 
       this.logger.info(`Project deleted: ${project.name}`);
       return true;
@@ -374,43 +901,487 @@ class ProjectService extends BaseService {
     }
   }
 
+  /**
+   * Cancel the queued and running build jobs of a project
+   * @private
+   */
+  async _cancelBuilds(project) {
+    const jobs = await this.buildQueue.listJobs({ projectId: project._id, active: true });
+    for (const job of jobs) {
+      try {
+        await this.buildQueue.cancel(job.id);
+      } catch (error) {
+        // Finished in the meantime
+        this.logger.warn(`Failed to cancel build job ${job.id} of ${project.name}:`, error.message);
+      }
+    }
+  }
+
   /**
    * Restart a project
    * @param {string} id - Project ID
+   * @param {string} triggeredBy - ID of the user who triggered the restart
+   * @param {Object} options - Restart options
+   * @param {string} options.trigger - What triggered the restart (restart or health)
+   * @param {Object} options.previous - Project the running container was started from, when it differs from the stored one
    * @returns {Promise<boolean>} Success status
    */
-  async restartProject(id) {
+  async restartProject(id, triggeredBy = null, { trigger = "restart", previous = null } = {}) {
+    let deployment = null;
+    let project = null;
+
     try {
-      const project = await this.getProjectById(id);
+      project = await this.getProjectById(id);
       if (!project) return false;
 
+      deployment = await this._startDeployment(project, trigger, {
+        triggeredBy,
+        branch: project.branch,
+      });
+
       const projectPath = path.join(this.projectsDir, project.name);
-      await this.dockerService.stopProject(projectPath);
-      await this.dockerService.startProject(projectPath);
+      const commit = await this._getCommitInfo(projectPath);
+
+      await this._blueGreenSwitch(
+        this._toComposeProject(project),
+        projectPath,
+        this.buildLogService.getWriter(deployment?._id),
+        previous && this._toComposeProject(previous)
+      );
 
       // Update project status
       await this.getProjectRepository().updateStatus(id, "running");
+      await this._syncRoute(project);
+      await this._finishDeployment(deployment, "succeeded", {
+        commit,
+        imageTag: project.imageTag,
+        buildpack: project.buildpack,
+      });
 
       return true;
     } catch (error) {
       this.logger.error("Failed to restart project:", error);
+      await this._finishDeployment(deployment, "failed", {
+        imageTag: project?.imageTag,
+        error: error.message,
+      });
       return false;
     }
   }
 
+  /**
+   * Redeploy a project from the latest commit of its tracked branch
+   * Pulls the repository, rebuilds the images and restarts the containers.
+   * Projects running a prebuilt image pull the image again instead.
+   * @param {string} id - Project ID
+   * @param {Object} options - Redeploy options
+   * @param {string} options.trigger - What triggered the redeploy (redeploy or webhook)
+   * @param {string} options.triggeredBy - ID of the user who triggered the redeploy
+   * @param {string} options.jobId - ID of the interrupted build job this redeploy resumes
+   * @returns {Promise<Object|null>} Redeployed project or null if not found
+   */
+  async redeployProject(id, { trigger = "redeploy", triggeredBy = null, jobId = null } = {}) {
+    const project = await this.getProjectById(id);
+    if (!project) return null;
+
+    await this.quotaService.checkBuild(project);
+
+    const projectPath = path.join(this.projectsDir, project.name);
+    const deployment = await this._startDeployment(project, trigger, {
+      triggeredBy,
+      branch: project.branch,
+    });
+    const output = this.buildLogService.getWriter(deployment?._id);
+    let imageTag = null;
+    let commit = null;
+    let buildpack = null;
+
+    try {
+      // Pull and build once a build slot is free
+      output("system", "Waiting for a free build slot");
+      await this.buildQueue.run(
+        { projectId: project._id, projectName: project.name, type: trigger, triggeredBy, jobId },
+        async (signal) => {
+          await this.getProjectRepository().updateStatus(id, "building");
+
+          if (project.image) {
+            // The image's tag may point at a newer release by now
+            buildpack = project.buildpack;
+            await this.dockerService.createProjectCompose(
+              await this._withSecrets(this._toComposeProject(project)),
+              projectPath
+            );
+            output("system", `Pulling image ${project.image}`);
+            await this.dockerService.pullImages(projectPath, { onOutput: output });
+          } else {
+            output("system", `Pulling ${project.branch}`);
+            await this.gitCredentialService.withCredentials(project, (env) =>
+              this.gitService.pullLatest(projectPath, project.branch, { onOutput: output, env })
+            );
+            signal.throwIfAborted();
+            commit = await this._getCommitInfo(projectPath);
+            imageTag = this._getImageTag(commit);
+
+            const build = await this._prepareBuild(project, projectPath);
+            buildpack = build.buildpack;
+            output("system", this._describeBuildpack(buildpack, project.build));
+
+            if (project.buildCommand) {
+              output("system", `Running build command: ${project.buildCommand}`);
+              await this.dockerService.buildProject(build.contextPath, project.buildCommand, {
+                signal,
+                onOutput: output,
+              });
+            }
+
+            await this.dockerService.createProjectCompose(
+              await this._withSecrets(this._toComposeProject(project, { imageTag, buildpack })),
+              projectPath
+            );
+            output("system", `Building image ${this.dockerService.getImageName(project.name, imageTag)}`);
+            await this.dockerService.buildImages(projectPath, { signal, onOutput: output });
+          }
+          signal.throwIfAborted();
+          await this._blueGreenSwitch(
+            this._toComposeProject(project, { imageTag, buildpack }),
+            projectPath,
+            output,
+            this._toComposeProject(project)
+          );
+        }
+      );
+
+      const redeployedProject = await this.getProjectRepository().updateStatus(id, "running");
+      await this._syncRoute(project);
+      await this._finishDeployment(deployment, "succeeded", { commit, imageTag, buildpack });
+      await this._invalidateProjectCache(id);
+
+      this.logger.info(`Project redeployed: ${project.name}`);
+      return redeployedProject;
+    } catch (error) {
+      this.logger.error(`Failed to redeploy project ${project.name}:`, error);
+      await this._restoreCompose(project, projectPath);
+      // A cancelled build never replaced the running container
+      await this.getProjectRepository().updateStatus(id, error.cancelled ? project.status : "error");
+      await this._finishDeployment(deployment, this._getFailureStatus(error), {
+        commit,
+        imageTag,
+        error: error.message,
+      });
+      await this._invalidateProjectCache(id);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll a project back to the image of an earlier successful deployment
+   * The image is reused as built, so nothing is cloned or rebuilt.
+   * @param {string} id - Project ID
+   * @param {string} deploymentId - Deployment to roll back to
+   * @param {string} triggeredBy - ID of the user who triggered the rollback
+   * @returns {Promise<Object|null>} Rolled back project or null if not found
+   */
+  async rollbackProject(id, deploymentId, triggeredBy = null) {
+    const project = await this.getProjectById(id);
+    if (!project) return null;
+
+    const target = await deploymentRepository.findById(deploymentId);
+    if (!target || String(target.project) !== String(project._id)) {
+      throw ErrorFactory.notFound("Deployment", deploymentId);
+    }
+
+    if (project.build?.stack) {
+      throw ErrorFactory.validation(
+        "Compose stacks cannot be rolled back, their images are not kept per deployment",
+        "deploymentId",
+        deploymentId
+      );
+    }
+
+    if (project.image) {
+      throw ErrorFactory.validation(
+        "Projects running a prebuilt image cannot be rolled back, redeploy them to pull the image again",
+        "deploymentId",
+        deploymentId
+      );
+    }
+
+    if (target.status !== "succeeded" || !target.imageTag) {
+      throw ErrorFactory.validation(
+        "Only successful deployments with a tagged image can be rolled back to",
+        "deploymentId",
+        deploymentId
+      );
+    }
+
+    const imageName = this.dockerService.getImageName(project.name, target.imageTag);
+    const imageAvailable = await this.dockerService.imageExists(imageName);
+    if (!imageAvailable) {
+      throw ErrorFactory.validation(
+        `Image ${imageName} is no longer available`,
+        "deploymentId",
+        deploymentId
+      );
+    }
+
+    const projectPath = path.join(this.projectsDir, project.name);
+    const deployment = await this._startDeployment(project, "rollback", {
+      triggeredBy,
+      branch: target.branch,
+      rollbackOf: target._id,
+    });
+
+    try {
+      await this.getProjectRepository().updateStatus(id, "deploying");
+
+      // The earlier image may listen on a different container port
+      const buildpack = target.buildpack?.containerPort ? target.buildpack : project.buildpack;
+      await this._blueGreenSwitch(
+        this._toComposeProject(project, { imageTag: target.imageTag, buildpack }),
+        projectPath,
+        this.buildLogService.getWriter(deployment?._id),
+        this._toComposeProject(project)
+      );
+
+      await this.getProjectRepository().updateStatus(id, "running");
+      await this._syncRoute(project);
+      await this._finishDeployment(deployment, "succeeded", {
+        commit: target.commit,
+        imageTag: target.imageTag,
+        buildpack,
+      });
+      await this._invalidateProjectCache(id);
+
+      this.logger.info(`Project ${project.name} rolled back to ${target.imageTag}`);
+      return await this.getProjectById(id);
+    } catch (error) {
+      this.logger.error(`Failed to roll back project ${project.name}:`, error);
+      await this._restoreCompose(project, projectPath);
+      await this.getProjectRepository().updateStatus(id, "error");
+      await this._finishDeployment(deployment, "failed", {
+        commit: target.commit,
+        imageTag: target.imageTag,
+        error: error.message,
+      });
+      await this._invalidateProjectCache(id);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a project's container without taking the site down
+   * A candidate container is started from the target image on a temporary
+   * port and has to pass the health probe. Caddy then routes the project's
+   * domain to the candidate while the public container is recreated from
+   * that image, and back to the public container once it passes the probe
+   * as well. An unhealthy candidate is discarded and the running container
+   * is left untouched. A recreated container that fails the probe is
+   * replaced by the previous configuration while the candidate keeps
+   * serving; if that fails too, the candidate is left running and routed.
+   * When the route cannot be switched, e.g. while Caddy is disabled, the
+   * public container is recreated with downtime, which the build log reports.
+   * @private
+   * @param {Object} composeProject - Project configuration to switch to
+   * @param {string} projectPath - Path to the project
+   * @param {Function} output - Build log writer taking (stream, chunk)
+   * @param {Object} previous - Project configuration running before the switch (defaults to composeProject)
+   */
+  async _blueGreenSwitch(composeProject, projectPath, output = () => {}, previous = null) {
+    composeProject = await this._withSecrets(composeProject);
+    // Add-ons are down when the project was stopped
+    await this.addonService.startAddons(composeProject);
+
+    if (Project.getUpdateStrategy(composeProject) === "in-place") {
+      await this._updateInPlace(composeProject, projectPath, output);
+      return;
+    }
+
+    const temporaryPort = await this.portService.findAvailablePort({ allowReserved: false });
+    // The candidate outlives the switch when nothing else can serve the project
+    let keepCandidate = false;
+
+    try {
+      output("system", `Starting new container on temporary port ${temporaryPort}`);
+      const candidate = await this.dockerService.startCandidate(composeProject, projectPath, temporaryPort);
+      output("system", "Waiting for the new container to pass the health check");
+      const healthy = await HttpProbe.waitUntilHealthy(this._getProbeUrl(candidate, composeProject.healthCheck), {
+        timeout: config.blueGreenHealthTimeout,
+      });
+
+      if (!healthy) {
+        throw new Error(
+          `New container of ${composeProject.name} did not become healthy within ` +
+          `${config.blueGreenHealthTimeout / 1000} seconds, keeping the running container`
+        );
+      }
+
+      // The running container serves until the candidate takes over its traffic
+      output("system", "Health check passed, routing traffic to the new container");
+      const routed = await this.caddyService.upsertRoute({ ...composeProject, effectivePort: candidate.port });
+      if (!routed) {
+        // Without a route to switch, e.g. while Caddy is disabled, only the public container serves
+        output("system", "The project is not routed through Caddy, the project is down while its public container is recreated");
+        this.logger.warn(`No route to switch for ${composeProject.name}, recreating its container with downtime`);
+      }
+      keepCandidate = routed;
+
+      try {
+        output("system", "Recreating the public container from the new image");
+        await this._replaceContainer(composeProject, projectPath);
+      } catch (error) {
+        output("system", `${error.message}, restoring the previous container`);
+        previous = await this._withSecrets(previous || composeProject);
+        await this._replaceContainer(previous, projectPath);
+        await this.caddyService.upsertRoute(previous);
+        keepCandidate = false;
+        throw error;
+      }
+
+      await this.caddyService.upsertRoute(composeProject);
+      keepCandidate = false;
+      output("system", routed ? "Traffic switched to the new container" : "Public container recreated from the new image");
+      this.logger.info(`Switched ${composeProject.name} to its new container`);
+    } finally {
+      if (keepCandidate) {
+        this.logger.error(`Candidate container of ${composeProject.name} is left serving the project`);
+      } else {
+        try {
+          await this.dockerService.removeCandidate(composeProject.name, projectPath);
+        } catch (error) {
+          this.logger.error(`Failed to remove candidate container of ${composeProject.name}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Update the containers of a project where they run
+   * For projects whose update strategy is in-place (see Project): a stack
+   * only recreates its changed services, which are down while they restart,
+   * and the container of a project with volumes is recreated on them.
+   * @private
+   * @param {Object} composeProject - Project configuration with its env files
+   * @param {string} projectPath - Path to the project
+   * @param {Function} output - Build log writer taking (stream, chunk)
+   */
+  async _updateInPlace(composeProject, projectPath, output) {
+    if (!composeProject.build?.stack) {
+      output("system", "Recreating the container on its data volumes in place, the project is down while it restarts");
+      await this.dockerService.createProjectCompose(composeProject, projectPath);
+      await this.dockerService.startProject(projectPath, { noBuild: true, forceRecreate: true, onOutput: output });
+      this.logger.info(`Recreated the container of ${composeProject.name} in place`);
+      return;
+    }
+
+    output("system", "Updating the services of the stack in place, changed services are down while they restart");
+    await this.dockerService.createProjectCompose(composeProject, projectPath);
+    await this.dockerService.startProject(projectPath, { noBuild: true, onOutput: output });
+    this.logger.info(`Updated the stack of ${composeProject.name} in place`);
+  }
+
+  /**
+   * Recreate a project's public container and wait for it to pass the health probe
+   * @private
+   * @param {Object} composeProject - Project configuration with its env files
+   * @param {string} projectPath - Path to the project
+   */
+  async _replaceContainer(composeProject, projectPath) {
+    await this.dockerService.createProjectCompose(composeProject, projectPath);
+    await this.dockerService.startProject(projectPath, { noBuild: true, forceRecreate: true });
+
+    const healthy = await HttpProbe.waitUntilHealthy(
+      this._getProbeUrl(
+        {
+          containerName: composeProject.name,
+          port: composeProject.effectivePort || composeProject.assignedPort || composeProject.port,
+          containerPort: this.dockerService.getContainerPort(composeProject),
+        },
+        composeProject.healthCheck
+      ),
+      { timeout: config.blueGreenHealthTimeout }
+    );
+    if (!healthy) {
+      throw new Error(
+        `Recreated container of ${composeProject.name} did not become healthy within ` +
+        `${config.blueGreenHealthTimeout / 1000} seconds`
+      );
+    }
+  }
+
+  /**
+   * URL the health probe uses to reach a container
+   * Uses the project's health check path when it has one enabled.
+   * @private
+   * @param {Object} target - Container name, host port and container port
+   */
+  _getProbeUrl(target, healthCheck = null) {
+    const path = healthCheck?.enabled ? healthCheck.path : "/";
+    return config.blueGreenProbeHost
+      ? `http://${config.blueGreenProbeHost}:${target.port}${path}`
+      : `http://${target.containerName}:${target.containerPort}${path}`;
+  }
+
+  /**
+   * Point the compose file back at the image the project last ran
+   * @private
+   */
+  async _restoreCompose(project, projectPath) {
+    try {
+      await this.dockerService.createProjectCompose(
+        await this._withSecrets(this._toComposeProject(project)),
+        projectPath
+      );
+    } catch (error) {
+      this.logger.error(`Failed to restore compose file for project ${project.name}:`, error);
+    }
+  }
+
+  /**
+   * Get the deployment history of a project
+   * @param {string} id - Project ID
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object|null>} Deployments with pagination or null if not found
+   */
+  async getProjectDeployments(id, page = 1, limit = 20) {
+    const project = await this.getProjectById(id);
+    if (!project) return null;
+
+    return await deploymentRepository.findByProject(project._id, page, limit);
+  }
+
+  /**
+   * Get the build log of a deployment
+   * @param {string} id - Project ID
+   * @param {string} deploymentId - Deployment ID
+   * @returns {Promise<Object|null>} Build log or null if the project was not found
+   */
+  async getDeploymentLog(id, deploymentId) {
+    const project = await this.getProjectById(id);
+    if (!project) return null;
+
+    const deployment = await deploymentRepository.findById(deploymentId);
+    if (!deployment || String(deployment.project) !== String(project._id)) {
+      throw ErrorFactory.notFound("Deployment", deploymentId);
+    }
+
+    return await this.buildLogService.getLog(deployment._id);
+  }
+
   /**
    * Get project logs
    * @param {string} id - Project ID
    * @param {number} lines - Number of lines to retrieve
+   * @param {string} service - Service of a stack (all services when not set)
    * @returns {Promise<Array|null>} Log lines or null
    */
-  async getProjectLogs(id, lines = 100) {
+  async getProjectLogs(id, lines = 100, service = null) {
     try {
       const project = await this.getProjectById(id);
       if (!project) return null;
 
       const projectPath = path.join(this.projectsDir, project.name);
-      return await this.dockerService.getProjectLogs(projectPath, lines);
+      return await this.dockerService.getProjectLogs(projectPath, lines, service);
     } catch (error) {
       this.logger.error("Failed to get project logs:", error);
       return null;
@@ -435,6 +1406,7 @@ class ProjectService extends BaseService {
       return {
         project,
         containers: dockerStatus.containers,
+        services: dockerStatus.services,
         status: project.status,
         uptime: project.lastDeployed
           ? Date.now() - project.lastDeployed.getTime()
@@ -476,6 +1448,32 @@ class ProjectService extends BaseService {
     }
   }
 
+  /**
+   * Get the resource usage of projects against their limits
+   * Usage is null for projects without a running container.
+   * @param {Object} user - Only include the projects of this user (all when null)
+   * @returns {Promise<Array>} Limits and current usage per project
+   */
+  async getResourceUsage(user = null) {
+    return this.executeOperation("getResourceUsage", async () => {
+      const [allProjects, stats] = await Promise.all([
+        this.getAllProjects(),
+        this.dockerService.getContainerStats(),
+      ]);
+      const projects = user
+        ? allProjects.filter((project) => this.projectAccessService.getRole(project, user))
+        : allProjects;
+
+      return projects.map((project) => ({
+        projectId: String(project.id || project._id),
+        name: project.name,
+        status: project.status,
+        limits: project.resources || {},
+        usage: stats[project.name] || null,
+      }));
+    });
+  }
+
   /**
    * Search projects by criteria
    * @param {Object} criteria - Search criteria
@@ -502,10 +1500,12 @@ class ProjectService extends BaseService {
       if (!project) return false;
 
       const projectPath = path.join(this.projectsDir, project.name);
+      await this.addonService.startAddons(project);
       await this.dockerService.startProject(projectPath);
 
       // Update project status
       await this.getProjectRepository().updateStatus(id, "running");
+      await this._syncRoute(project);
 
       this.logger.info(`Project started: ${project.name}`);
       return true;
@@ -527,6 +1527,8 @@ class ProjectService extends BaseService {
 
       const projectPath = path.join(this.projectsDir, project.name);
       await this.dockerService.stopProject(projectPath);
+      await this.addonService.stopAddons(project);
+      await this._removeRoute(project);
 
       // Update project status
       await this.getProjectRepository().updateStatus(id, "stopped");
@@ -564,12 +1566,7 @@ class ProjectService extends BaseService {
         throw new Error(`Port ${newPort} is already in use by another project`);
       }
 
-      // If project is running, stop it first
       const wasRunning = project.status === 'running';
-      if (wasRunning) {
-        this.logger.info(`Stopping project ${project.name} for port change`);
-        await this.stopProject(id);
-      }
 
       // Update project port in database
       const updatedProject = await this.getProjectRepository().update(id, { 
@@ -581,15 +1578,23 @@ class ProjectService extends BaseService {
         throw new Error('Failed to update project port in database');
       }
 
-      // Regenerate Docker Compose file with new port
       const projectPath = path.join(this.projectsDir, project.name);
-      const projectWithNewPort = { ...project, port: newPort };
-      await this.dockerService.createProjectCompose(projectWithNewPort, projectPath);
+      const projectWithNewPort = this._toComposeProject(project, { port: newPort, effectivePort: newPort });
 
-      // If project was running, start it again with new port
       if (wasRunning) {
-        this.logger.info(`Starting project ${project.name} with new port ${newPort}`);
-        await this.startProject(id);
+        // Keep serving on the old port until the new container is healthy
+        this.logger.info(`Switching project ${project.name} to port ${newPort}`);
+        try {
+          await this._blueGreenSwitch(projectWithNewPort, projectPath, () => {}, this._toComposeProject(project));
+        } catch (error) {
+          await this.getProjectRepository().update(id, { port: project.port });
+          await this._restoreCompose(project, projectPath);
+          throw error;
+        }
+        await this._syncRoute(projectWithNewPort);
+      } else {
+        // Regenerate Docker Compose file with new port
+        await this.dockerService.createProjectCompose(await this._withSecrets(projectWithNewPort), projectPath);
       }
 
       this.logger.info(`Project port updated: ${project.name} -> ${newPort}`);
@@ -0,0 +1,430 @@
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const path = require("path");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const DockerService = require("./dockerService");
+const { ErrorFactory, ConflictError, QuotaExceededError } = require("../utils/serviceErrors");
+const { QUOTA_ROLES, QUOTA_LIMITS } = require("../models/RoleQuota");
+const { getBuildQueueService } = require("./buildQueueService");
+const addonRepository = require("../repositories/addonRepository");
+const projectRepository = require("../repositories/projectRepository");
+const roleQuotaRepository = require("../repositories/roleQuotaRepository");
+const userRepository = require("../repositories/userRepository");
+
+const execFileAsync = promisify(execFile);
+
+// Size of a directory in megabytes, 0 when it does not exist
+const measureDirectory = async (directory) => {
+  try {
+    const { stdout } = await execFileAsync("du", ["-sk", directory], { timeout: 30000 });
+    return parseInt(stdout, 10) / 1024;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// Quota without any limit, e.g. of admins
+const UNLIMITED = Object.fromEntries(QUOTA_LIMITS.map((limit) => [limit, null]));
+
+/**
+ * Quota Service - Per-user limits on projects, resources and builds
+ *
+ * Every role except admin has a quota: the one an admin set for it, or the
+ * defaults from the QUOTA_* environment variables. A user with several roles
+ * gets the most generous limit of each, and limits set on the user replace
+ * the ones of their roles. Projects, memory and CPUs count the projects the
+ * user owns, memory and CPUs with the limits of their add-ons; the services
+ * of a stack share the limits of their project. Disk adds up the checkouts,
+ * backups, volumes and images of the projects. Members use the quota of the
+ * project's owner.
+ */
+class QuotaService extends BaseService {
+  constructor(dependencies = {}) {
+    super("QuotaService", dependencies);
+
+    this.projectRepository = dependencies.projectRepository || projectRepository;
+    this.addonRepository = dependencies.addonRepository || addonRepository;
+    this.roleQuotaRepository = dependencies.roleQuotaRepository || roleQuotaRepository;
+    this.userRepository = dependencies.userRepository || userRepository;
+    this.buildQueue = dependencies.buildQueue || getBuildQueueService();
+    this.measureDirectory = dependencies.measureDirectory || measureDirectory;
+    this.projectsDir = dependencies.projectsDir || config.projectsDir;
+    this.backupsDir = dependencies.backupsDir || config.projectBackupsDir;
+    this.dockerService = dependencies.dockerService || new DockerService();
+    this.addonService = dependencies.addonService || null;
+    this.addonResources = dependencies.addonResources || config.addonResources;
+    this.deploying = new Set();
+  }
+
+  /**
+   * Get the quota of every role
+   * @returns {Promise<Array>} Role quotas, `isDefault` when no admin set one
+   */
+  async getRoleQuotas() {
+    const stored = await this.roleQuotaRepository.findAll();
+
+    return QUOTA_ROLES.map((role) => {
+      const quota = stored.find((entry) => entry.role === role);
+      return quota
+        ? { role, ...this._pickLimits(quota), isDefault: false, updatedAt: quota.updatedAt }
+        : { role, ...config.defaultQuota, isDefault: true, updatedAt: null };
+    });
+  }
+
+  /**
+   * Set the quota of a role
+   * @param {string} role - Role
+   * @param {Object} limits - Limits, null for unlimited
+   * @param {string} updatedBy - ID of the admin
+   * @returns {Promise<Object>} Role quota
+   */
+  async updateRoleQuota(role, limits, updatedBy = null) {
+    return this.executeOperation("updateRoleQuota", async () => {
+      const quota = await this.roleQuotaRepository.upsert(role, this._pickLimits(limits), updatedBy);
+      this.logger.info(`Quota of role ${role} updated`, this._pickLimits(quota));
+      return { role, ...this._pickLimits(quota), isDefault: false, updatedAt: quota.updatedAt };
+    }, { role });
+  }
+
+  /**
+   * Get the quota that applies to a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Limits, null for unlimited
+   */
+  async getEffectiveQuota(user) {
+    const roles = user.roles || [];
+    if (roles.includes("admin")) return { ...UNLIMITED };
+
+    const roleQuotas = await this.getRoleQuotas();
+    const applicable = roleQuotas.filter((quota) => roles.includes(quota.role));
+    if (applicable.length === 0) {
+      applicable.push(roleQuotas.find((quota) => quota.role === "user"));
+    }
+
+    return Object.fromEntries(QUOTA_LIMITS.map((limit) => {
+      const own = user.quota?.[limit];
+      if (own !== null && own !== undefined) return [limit, own];
+
+      // The most generous role wins, and unlimited beats every number
+      const values = applicable.map((quota) => quota[limit]);
+      return [limit, values.includes(null) ? null : Math.max(...values)];
+    }));
+  }
+
+  /**
+   * Get what a user's projects use of their quota
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Projects, memory (MB), CPUs, active builds and disk (MB)
+   */
+  async getUsage(userId) {
+    const projects = await this.projectRepository.findByUser(userId);
+    return this._measure(projects, { disk: true });
+  }
+
+  /**
+   * Get the quota and usage of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User, quota, limits set on the user and usage
+   */
+  async getUserQuota(userId) {
+    const user = await this._findUser(userId);
+    return this._describe(user);
+  }
+
+  /**
+   * Get the quota and usage of every user
+   * @returns {Promise<Array>} Users with quota and usage
+   */
+  async listUserQuotas() {
+    return this.executeOperation("listUserQuotas", async () => {
+      const { users } = await this.userRepository.findAll(1, 1000);
+      return Promise.all(users.filter((user) => !user.isDeleted).map((user) => this._describe(user)));
+    });
+  }
+
+  /**
+   * Set limits on a user that replace the ones of their roles
+   * @param {string} userId - User ID
+   * @param {Object} limits - Limits to change, null to use the role's limit again
+   * @returns {Promise<Object>} User, quota and usage
+   */
+  async updateUserQuota(userId, limits) {
+    return this.executeOperation("updateUserQuota", async () => {
+      await this._findUser(userId);
+      const quota = Object.fromEntries(
+        QUOTA_LIMITS.filter((limit) => limit in limits).map((limit) => [`quota.${limit}`, limits[limit]])
+      );
+
+      const user = await this.userRepository.update(userId, quota);
+      this.logger.info(`Quota of user ${user.username} updated`, this._pickLimits(user.quota));
+      return this._describe(user);
+    }, { userId });
+  }
+
+  /**
+   * Check that a user may deploy another project
+   * @param {string} userId - ID of the user deploying
+   * @param {Object} resources - Resource limits of the new project
+   * @param {Object} options - Number of add-ons the project is deployed with
+   */
+  async checkDeploy(userId, resources = {}, { addons = 0 } = {}) {
+    const user = await this._findUser(userId);
+    const quota = await this.getEffectiveQuota(user);
+    const projects = await this.projectRepository.findByUser(userId);
+    const usage = await this._measure(projects, { disk: quota.maxDisk !== null });
+
+    this._ensure("projects", quota.maxProjects, usage.projects + 1);
+    this._ensureResources(quota, this._withAddons(usage, addons), resources);
+    this._ensure("concurrent builds", quota.maxConcurrentBuilds, usage.concurrentBuilds + 1);
+    if (quota.maxDisk !== null && usage.disk >= quota.maxDisk) {
+      throw new QuotaExceededError("disk (MB)", quota.maxDisk, this._round(usage.disk));
+    }
+  }
+
+  /**
+   * Check that a user may deploy another project and record it before any other deploy of theirs is checked
+   * Parallel deploys would otherwise all be measured before any of them is
+   * recorded and together go over the quota.
+   * @param {string} userId - ID of the user deploying
+   * @param {Object} request - Resource limits and number of add-ons of the new project
+   * @param {Function} operation - Async function recording the project
+   * @returns {Promise<any>} Result of the operation
+   */
+  async reserveDeploy(userId, { resources = {}, addons = 0 } = {}, operation) {
+    const key = String(userId);
+    if (this.deploying.has(key)) {
+      throw new ConflictError(`user ${key}`, "Another deploy of this user is being set up, try again once it is queued");
+    }
+
+    this.deploying.add(key);
+    try {
+      await this.checkDeploy(userId, resources, { addons });
+      return await operation();
+    } finally {
+      this.deploying.delete(key);
+    }
+  }
+
+  /**
+   * Check that new resource limits of a project fit the quota of its owner
+   * @param {Object} project - Project
+   * @param {Object} resources - New resource limits
+   */
+  async checkResources(project, resources = {}) {
+    const owner = await this._findOwner(project);
+    if (!owner) return;
+
+    const quota = await this.getEffectiveQuota(owner);
+    const others = (await this.projectRepository.findByUser(owner._id))
+      .filter((entry) => String(entry._id) !== String(project._id));
+    const usage = await this._measure(others);
+
+    this._ensureResources(quota, usage, resources);
+  }
+
+  /**
+   * Check that the limits of another add-on fit the quota of a project's owner
+   * @param {Object} project - Project
+   */
+  async checkAddon(project) {
+    const owner = await this._findOwner(project);
+    if (!owner) return;
+
+    const quota = await this.getEffectiveQuota(owner);
+    const projects = await this.projectRepository.findByUser(owner._id);
+    const usage = this._withAddons(await this._measure(projects), 1);
+
+    this._ensure("memory (MB)", quota.maxMemory, usage.memory);
+    this._ensure("CPUs", quota.maxCpus, usage.cpus);
+  }
+
+  /**
+   * Check that the owner of a project may start another build
+   * @param {Object} project - Project
+   */
+  async checkBuild(project) {
+    const owner = await this._findOwner(project);
+    if (!owner) return;
+
+    const quota = await this.getEffectiveQuota(owner);
+    const projects = await this.projectRepository.findByUser(owner._id);
+    const usage = await this._measure(projects);
+
+    this._ensure("concurrent builds", quota.maxConcurrentBuilds, usage.concurrentBuilds + 1);
+  }
+
+  /**
+   * Check memory and CPUs of a project against what the other projects use
+   * A limited quota needs a limit on every project, otherwise it could not be enforced.
+   * @private
+   */
+  _ensureResources(quota, usage, resources = {}) {
+    const memory = resources?.memory ?? null;
+    const cpus = resources?.cpus ?? null;
+
+    if (quota.maxMemory !== null) {
+      if (memory === null) {
+        throw ErrorFactory.validation(
+          `A memory limit is required by your quota: ${this._round(quota.maxMemory - usage.memory)} MB of ${quota.maxMemory} MB left`,
+          "resources.memory",
+          memory
+        );
+      }
+      this._ensure("memory (MB)", quota.maxMemory, usage.memory + memory);
+    }
+
+    if (quota.maxCpus !== null) {
+      if (cpus === null) {
+        throw ErrorFactory.validation(
+          `A CPU limit is required by your quota: ${this._round(quota.maxCpus - usage.cpus)} of ${quota.maxCpus} CPUs left`,
+          "resources.cpus",
+          cpus
+        );
+      }
+      this._ensure("CPUs", quota.maxCpus, usage.cpus + cpus);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _ensure(resource, limit, requested) {
+    if (limit !== null && requested > limit) {
+      throw new QuotaExceededError(resource, limit, this._round(requested));
+    }
+  }
+
+  /**
+   * Add up what some projects use
+   * @private
+   */
+  async _measure(projects, { disk = false } = {}) {
+    const addons = await Promise.all(projects.map((project) => this.addonRepository.countByProject(project._id)));
+    const usage = this._withAddons({
+      projects: projects.length,
+      memory: projects.reduce((sum, project) => sum + (project.resources?.memory || 0), 0),
+      cpus: projects.reduce((sum, project) => sum + (project.resources?.cpus || 0), 0),
+      concurrentBuilds: this.buildQueue.countActiveJobs(projects.map((project) => project._id)),
+      disk: null,
+    }, addons.reduce((sum, count) => sum + count, 0));
+
+    if (disk) {
+      const sizes = await Promise.all(projects.map((project) => this._measureDisk(project)));
+      usage.disk = this._round(sizes.reduce((sum, size) => sum + size, 0));
+    }
+
+    return usage;
+  }
+
+  /**
+   * Disk space of a project: its checkout, its backups and its volumes and images in Docker
+   * @private
+   */
+  async _measureDisk(project) {
+    const [checkout, backups] = await Promise.all([
+      this.measureDirectory(path.join(this.projectsDir, project.name)),
+      this.measureDirectory(path.join(this.backupsDir, project.name)),
+    ]);
+
+    let docker = 0;
+    try {
+      const addonVolumes = await this._getAddonService().getVolumeNames(project);
+      docker = await this.dockerService.getProjectDiskUsage(project.name, addonVolumes);
+    } catch (error) {
+      this.logger.warn(`Failed to measure the volumes and images of project ${project.name}:`, error.message);
+    }
+
+    return checkout + backups + docker;
+  }
+
+  /**
+   * Get the add-on service, required on first use as it checks add-ons against quotas here
+   * @private
+   */
+  _getAddonService() {
+    if (!this.addonService) {
+      this.addonService = require("./addonService").getAddonService();
+    }
+    return this.addonService;
+  }
+
+  /**
+   * Add the limits of some add-ons to memory and CPUs in use
+   * @private
+   */
+  _withAddons(usage, count) {
+    return {
+      ...usage,
+      memory: usage.memory + count * this.addonResources.memory,
+      cpus: this._round(usage.cpus + count * this.addonResources.cpus),
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _describe(user) {
+    return {
+      user: { id: String(user._id), username: user.username, email: user.email, roles: user.roles },
+      quota: await this.getEffectiveQuota(user),
+      overrides: this._pickLimits(user.quota || {}),
+      usage: await this.getUsage(user._id),
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _findUser(userId) {
+    let user = null;
+    try {
+      user = await this.userRepository.findById(userId);
+    } catch (error) {
+      if (error.name !== "CastError") throw error;
+    }
+
+    if (!user || user.isDeleted) {
+      throw ErrorFactory.notFound("User", userId);
+    }
+    return user;
+  }
+
+  /**
+   * Owner of a project, null for projects without one (deployed before owners were recorded)
+   * @private
+   */
+  async _findOwner(project) {
+    const ownerId = project.createdBy?._id || project.createdBy;
+    return ownerId ? this.userRepository.findById(ownerId) : null;
+  }
+
+  /**
+   * @private
+   */
+  _pickLimits(source) {
+    return Object.fromEntries(QUOTA_LIMITS.map((limit) => [limit, source[limit] ?? null]));
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+let quotaServiceInstance = null;
+
+const getQuotaService = () => {
+  if (!quotaServiceInstance) {
+    quotaServiceInstance = new QuotaService();
+  }
+  return quotaServiceInstance;
+};
+
+module.exports = {
+  QuotaService,
+  getQuotaService,
+};
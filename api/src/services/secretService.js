@@ -0,0 +1,218 @@
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("../config/environment");
+const BaseService = require("../utils/baseService");
+const SecretCipher = require("../utils/secretCipher");
+const { ErrorFactory, ConflictError } = require("../utils/serviceErrors");
+const secretRepository = require("../repositories/secretRepository");
+const secretAuditRepository = require("../repositories/secretAuditRepository");
+
+// Shown instead of secret values in every API response
+const MASKED_VALUE = "********";
+
+/**
+ * Secret Service - Encrypted environment variables of projects
+ *
+ * Secret values are encrypted with the SECRETS_MASTER_KEY before they are
+ * stored and are never returned by the API. At deploy time they are written
+ * to a per-project env file that only the API user can read, which the
+ * project's Compose file loads through `env_file`. Every change is recorded
+ * in the secret audit log.
+ */
+class SecretService extends BaseService {
+  constructor(dependencies = {}) {
+    super("SecretService", dependencies);
+
+    this.secretsDir = config.secretsDir;
+    this.cipher = dependencies.cipher || null;
+  }
+
+  /**
+   * Get the cipher, created on first use so the API starts without a master key
+   * @returns {SecretCipher} Cipher
+   */
+  getCipher() {
+    if (!this.cipher) {
+      this.cipher = new SecretCipher(config.secretsMasterKey);
+    }
+    return this.cipher;
+  }
+
+  /**
+   * List the secrets of a project with masked values
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Masked secrets
+   */
+  async listSecrets(projectId) {
+    const secrets = await secretRepository.findByProject(projectId);
+    return secrets.map((secret) => this._mask(secret));
+  }
+
+  /**
+   * Create or replace a secret of a project
+   * @param {Object} project - Project
+   * @param {string} key - Variable name
+   * @param {string} value - Plain value
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Object>} Masked secret
+   */
+  async setSecret(project, key, value, userId = null) {
+    return this.executeOperation("setSecret", async () => {
+      this._validateSecret(project, key, value);
+
+      const existing = await secretRepository.findByKey(project._id, key);
+      const secret = await secretRepository.upsert(project._id, key, this.getCipher().encrypt(value), userId);
+
+      await this._audit(project, key, existing ? "updated" : "created", userId);
+      await this.writeEnvFile(project);
+      return this._mask(secret);
+    }, { projectName: project.name, key });
+  }
+
+  /**
+   * Create or replace several secrets of a project
+   * @param {Object} project - Project
+   * @param {Object} secrets - Plain values by variable name
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<Array>} Masked secrets
+   */
+  async setSecrets(project, secrets = {}, userId = null) {
+    const saved = [];
+    for (const [key, value] of Object.entries(secrets)) {
+      saved.push(await this.setSecret(project, key, value, userId));
+    }
+    return saved;
+  }
+
+  /**
+   * Delete a secret of a project
+   * @param {Object} project - Project
+   * @param {string} key - Variable name
+   * @param {string} userId - ID of the user making the change
+   * @returns {Promise<boolean>} False when the secret did not exist
+   */
+  async deleteSecret(project, key, userId = null) {
+    return this.executeOperation("deleteSecret", async () => {
+      const deleted = await secretRepository.deleteByKey(project._id, key);
+      if (!deleted) return false;
+
+      await this._audit(project, key, "deleted", userId);
+      await this.writeEnvFile(project);
+      return true;
+    }, { projectName: project.name, key });
+  }
+
+  /**
+   * Get the audit log of a project's secrets
+   * @param {string} projectId - Project ID
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} Audit entries with pagination
+   */
+  async getAuditLog(projectId, page = 1, limit = 20) {
+    return await secretAuditRepository.findByProject(projectId, page, limit);
+  }
+
+  /**
+   * Get the decrypted secrets of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Plain values by variable name
+   */
+  async getEnvironment(projectId) {
+    const secrets = await secretRepository.findByProject(projectId, { includeValues: true });
+    if (secrets.length === 0) return {};
+
+    const cipher = this.getCipher();
+    return Object.fromEntries(secrets.map((secret) => [secret.key, cipher.decrypt(secret.value)]));
+  }
+
+  /**
+   * Path of a project's env file
+   * @param {string} projectName - Project name
+   * @returns {string} Absolute path
+   */
+  getEnvFilePath(projectName) {
+    return path.resolve(this.secretsDir, `${projectName}.env`);
+  }
+
+  /**
+   * Write the decrypted secrets of a project to its env file
+   * The file is written (empty without secrets) so Compose can always load it.
+   * @param {Object} project - Project
+   * @returns {Promise<string>} Path of the env file
+   */
+  async writeEnvFile(project) {
+    const environment = await this.getEnvironment(project._id);
+    const envFile = this.getEnvFilePath(project.name);
+    const content = Object.entries(environment)
+      .map(([key, value]) => `${key}=${value}\n`)
+      .join("");
+
+    await fs.mkdir(this.secretsDir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(envFile, content, { mode: 0o600 });
+    // The mode above only applies to new files
+    await fs.chmod(envFile, 0o600);
+
+    return envFile;
+  }
+
+  /**
+   * Delete the secrets and env file of a project
+   * The audit log is kept.
+   * @param {Object} project - Project
+   * @returns {Promise<void>}
+   */
+  async deleteByProject(project) {
+    await secretRepository.deleteByProject(project._id);
+
+    try {
+      await fs.unlink(this.getEnvFilePath(project.name));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  /**
+   * Reject secrets that cannot be written to an env file or clash with a variable
+   * @private
+   */
+  _validateSecret(project, key, value) {
+    if (typeof value !== "string" || /[\r\n]/.test(value)) {
+      throw ErrorFactory.validation("Secret values must be single-line strings", "value");
+    }
+
+    const environment = project.environment instanceof Map
+      ? Object.fromEntries(project.environment)
+      : project.environment || {};
+
+    // Compose lets `environment` override `env_file`, so the secret would be ignored
+    if (Object.prototype.hasOwnProperty.call(environment, key)) {
+      throw new ConflictError(`secret ${key}`, "An environment variable with this name already exists");
+    }
+  }
+
+  /**
+   * Record a change to a secret
+   * @private
+   */
+  async _audit(project, key, action, userId) {
+    await secretAuditRepository.create({ project: project._id, key, action, user: userId });
+    this.logger.info(`Secret ${key} ${action} for project ${project.name}`, { userId });
+  }
+
+  /**
+   * Public representation of a secret
+   * @private
+   */
+  _mask(secret) {
+    return {
+      key: secret.key,
+      value: MASKED_VALUE,
+      createdAt: secret.createdAt,
+      updatedAt: secret.updatedAt,
+      updatedBy: secret.updatedBy || null,
+    };
+  }
+}
+
+module.exports = SecretService;
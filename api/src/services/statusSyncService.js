@@ -3,6 +3,7 @@ const BaseService = require('../utils/baseService');
 const DockerService = require('./dockerService');
 const projectRepository = require('../repositories/projectRepository');
 const { getCacheService } = require('./cacheService');
+const { getNotificationService } = require('./notificationService');
 
 /**
  * Status Synchronization Service
@@ -14,6 +15,7 @@ class StatusSyncService extends BaseService {
     
     this.dockerService = dependencies.dockerService || new DockerService();
     this.cacheService = dependencies.cacheService || getCacheService();
+    this.notificationService = dependencies.notificationService || getNotificationService();
     this.syncInterval = 30000; // 30 seconds
     this.isRunning = false;
     this.syncTimeout = null;
@@ -145,6 +147,14 @@ class StatusSyncService extends BaseService {
         
         // Invalidate project-specific cache
         await this.cacheService.delete(`project:${project._id}`);
+
+        // A container that stopped on its own
+        if (project.status === 'running' && expectedStatus === 'stopped') {
+          this.notificationService.notify('project.crashed', {
+            projectId: project._id,
+            message: `The container of ${project.name} is no longer running.`
+          });
+        }
       }
 
     } catch (error) {
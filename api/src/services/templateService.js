@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const BaseService = require("../utils/baseService");
+const { ErrorFactory } = require("../utils/serviceErrors");
+
+// One JSON definition per template, named after its id
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates");
+
+/**
+ * Template Service - One-click app templates
+ *
+ * A template deploys a self-hosted app from its prebuilt image instead of a
+ * repository. Its definition names the image and the port the app listens
+ * on, the named volumes its data lives in, the add-ons it needs and its
+ * environment variables: each with a description and optionally a default,
+ * required when the user has to provide the value, secret when it is stored
+ * as a project secret and generate when a random value is created for it.
+ */
+class TemplateService extends BaseService {
+  constructor(dependencies = {}) {
+    super("TemplateService", dependencies);
+
+    this.templatesDir = dependencies.templatesDir || TEMPLATES_DIR;
+    this.templates = null;
+  }
+
+  /**
+   * Get the templates, sorted by name
+   * @returns {Promise<Array>} Template definitions
+   */
+  async listTemplates() {
+    const templates = await this._loadTemplates();
+    return Array.from(templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} Template definition
+   */
+  async getTemplate(templateId) {
+    const templates = await this._loadTemplates();
+    const template = templates.get(templateId);
+    if (!template) {
+      throw ErrorFactory.notFound("Template", templateId);
+    }
+    return template;
+  }
+
+  /**
+   * Turn the deploy request of a template into the settings of a project
+   * The project runs the template's image with its volumes and add-ons. The
+   * template's variables take the value given in environment, their default
+   * or a generated one; secret variables move from environment to secrets.
+   * @param {Object} projectData - Deploy request naming the template
+   * @returns {Promise<Object>} Project data for ProjectService.deployProject
+   */
+  async applyTemplate(projectData) {
+    const { template: templateId, environment = {}, secrets = {}, addons = [], ...settings } = projectData;
+    const template = await this.getTemplate(templateId);
+
+    const projectEnvironment = { ...environment };
+    const projectSecrets = {};
+    for (const variable of template.env || []) {
+      let value = environment[variable.name] || variable.default || null;
+      if (!value && variable.generate) {
+        value = crypto.randomBytes(24).toString("hex");
+      }
+      if (!value) {
+        if (variable.required) {
+          throw ErrorFactory.validation(
+            `${template.name} needs ${variable.name}: ${variable.description}`,
+            `environment.${variable.name}`,
+            null
+          );
+        }
+        continue;
+      }
+
+      if (variable.secret) {
+        delete projectEnvironment[variable.name];
+        projectSecrets[variable.name] = value;
+      } else {
+        projectEnvironment[variable.name] = value;
+      }
+    }
+
+    return {
+      ...settings,
+      template: template.id,
+      image: template.image,
+      containerPort: template.containerPort,
+      volumes: template.volumes || [],
+      resources: settings.resources || template.resources,
+      environment: projectEnvironment,
+      secrets: { ...projectSecrets, ...secrets },
+      addons: [...new Set([...(template.addons || []), ...addons])],
+    };
+  }
+
+  /**
+   * Read the template definitions, once
+   * @private
+   * @returns {Promise<Map>} Templates by ID
+   */
+  async _loadTemplates() {
+    if (!this.templates) {
+      const templates = new Map();
+      const files = (await fs.readdir(this.templatesDir)).filter((file) => file.endsWith(".json"));
+
+      for (const file of files) {
+        const template = JSON.parse(await fs.readFile(path.join(this.templatesDir, file), "utf8"));
+        if (template.id !== path.basename(file, ".json")) {
+          this.logger.warn(`Skipping template ${file}, its id is ${template.id}`);
+          continue;
+        }
+        templates.set(template.id, template);
+      }
+
+      this.templates = templates;
+    }
+    return this.templates;
+  }
+}
+
+// Create singleton instance
+let templateServiceInstance = null;
+
+const getTemplateService = () => {
+  if (!templateServiceInstance) {
+    templateServiceInstance = new TemplateService();
+  }
+  return templateServiceInstance;
+};
+
+module.exports = {
+  TemplateService,
+  getTemplateService,
+};
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const BaseService = require('../utils/baseService');
+const SecretCipher = require('../utils/secretCipher');
+const { ErrorFactory, PermissionError } = require('../utils/serviceErrors');
+const { ProjectService } = require('./projectService');
+const projectRepository = require('../repositories/projectRepository');
+const webhookDeliveryRepository = require('../repositories/webhookDeliveryRepository');
+
+/**
+ * Normalize a repository URL so that clone, web and API URLs of the same
+ * repository compare equal (protocol, credentials, case and ".git" ignored)
+ * @param {string} url - Repository URL
+ * @returns {string} Normalized URL
+ */
+function normalizeRepositoryUrl(url) {
+  if (typeof url !== 'string') {
+    return '';
+  }
+
+  return url
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z+]+:\/\//, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/\/+$/, '')
+    .replace(/\.git$/, '');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Webhook Service - Receives Git push webhooks and triggers redeployments
+ * Supports GitHub, Gitea and GitLab delivery formats. Webhook secrets are
+ * stored encrypted with the SECRETS_MASTER_KEY; secrets stored in plaintext
+ * by earlier versions are encrypted once they verify a delivery.
+ */
+class WebhookService extends BaseService {
+  constructor(dependencies = {}) {
+    super('WebhookService', dependencies);
+
+    this.projectService = dependencies.projectService || new ProjectService();
+    this.projectRepository = dependencies.projectRepository || projectRepository;
+    this.deliveryRepository = dependencies.deliveryRepository || webhookDeliveryRepository;
+    this.cipher = dependencies.cipher || null;
+
+    // Projects with a redeploy in progress
+    this.activeRedeploys = new Set();
+  }
+
+  /**
+   * Get the cipher, created on first use so the API starts without a master key
+   * @returns {SecretCipher} Cipher
+   */
+  getCipher() {
+    if (!this.cipher) {
+      this.cipher = new SecretCipher(config.secretsMasterKey);
+    }
+    return this.cipher;
+  }
+
+  /**
+   * Generate a new webhook secret
+   * @returns {string} Random hex secret
+   */
+  generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Enable the webhook of a project with a new secret, stored encrypted
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} Project and the plaintext secret, null if the project does not exist
+   */
+  async rotateSecret(projectId) {
+    const secret = this.generateSecret();
+    const project = await this.projectRepository.setWebhookSecret(projectId, this.getCipher().encrypt(secret));
+    return project ? { project, secret } : null;
+  }
+
+  /**
+   * Detect the webhook provider from request headers
+   * @param {Object} headers - Request headers (lowercased)
+   * @returns {Object} Provider, event and delivery ID
+   */
+  detectProvider(headers = {}) {
+    if (headers['x-gitea-event']) {
+      return {
+        provider: 'gitea',
+        event: headers['x-gitea-event'],
+        deliveryId: headers['x-gitea-delivery'] || null
+      };
+    }
+
+    if (headers['x-gitlab-event']) {
+      return {
+        provider: 'gitlab',
+        event: headers['x-gitlab-event'],
+        deliveryId: headers['x-gitlab-event-uuid'] || null
+      };
+    }
+
+    if (headers['x-github-event']) {
+      return {
+        provider: 'github',
+        event: headers['x-github-event'],
+        deliveryId: headers['x-github-delivery'] || null
+      };
+    }
+
+    return { provider: 'unknown', event: null, deliveryId: null };
+  }
+
+  /**
+   * Verify the signature of a delivery against a project secret
+   * GitHub and Gitea sign the raw body with HMAC-SHA256, GitLab sends the
+   * secret itself as a token.
+   * @param {string} provider - Webhook provider
+   * @param {Object} headers - Request headers (lowercased)
+   * @param {Buffer} rawBody - Raw request body
+   * @param {string} secret - Project webhook secret
+   * @returns {boolean} True if the signature is valid
+   */
+  verifySignature(provider, headers, rawBody, secret) {
+    if (!secret || !rawBody) {
+      return false;
+    }
+
+    if (provider === 'gitlab') {
+      const token = headers['x-gitlab-token'];
+      return Boolean(token) && safeEqual(token, secret);
+    }
+
+    const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    const hubSignature = headers['x-hub-signature-256'];
+    if (hubSignature) {
+      return safeEqual(hubSignature, `sha256=${digest}`);
+    }
+
+    const giteaSignature = headers['x-gitea-signature'];
+    if (giteaSignature) {
+      return safeEqual(giteaSignature, digest);
+    }
+
+    return false;
+  }
+
+  /**
+   * Extract push details from a delivery payload
+   * @param {Object} payload - Parsed webhook payload
+   * @returns {Object} Push information
+   */
+  extractPushInfo(payload = {}) {
+    const repository = payload.repository || {};
+    const project = payload.project || {};
+
+    const repositoryUrls = [
+      repository.clone_url,
+      repository.html_url,
+      repository.ssh_url,
+      repository.git_http_url,
+      repository.git_ssh_url,
+      repository.url,
+      repository.homepage,
+      project.git_http_url,
+      project.git_ssh_url,
+      project.web_url
+    ].filter((url) => typeof url === 'string' && url.length > 0);
+
+    const ref = typeof payload.ref === 'string' ? payload.ref : null;
+    const branch = ref && ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null;
+
+    return {
+      ref,
+      branch,
+      commit: payload.after || payload.checkout_sha || null,
+      pusher: payload.pusher?.name || payload.pusher?.login || payload.user_username || payload.user_name || null,
+      repositoryUrls
+    };
+  }
+
+  /**
+   * Check whether a delivery is a push event
+   * @param {string} provider - Webhook provider
+   * @param {string} event - Event name
+   * @returns {boolean}
+   */
+  isPushEvent(provider, event) {
+    if (provider === 'gitlab') {
+      return event === 'Push Hook';
+    }
+    return event === 'push';
+  }
+
+  /**
+   * Handle an incoming webhook delivery
+   * @param {Object} delivery - Delivery data
+   * @param {Object} delivery.headers - Request headers (lowercased)
+   * @param {Buffer} delivery.rawBody - Raw request body
+   * @param {Object} delivery.payload - Parsed request body
+   * @returns {Promise<Array>} Outcome per matched project
+   */
+  async handleDelivery({ headers, rawBody, payload }) {
+    const { provider, event, deliveryId } = this.detectProvider(headers);
+    if (provider === 'unknown') {
+      throw ErrorFactory.validation('Unsupported webhook provider', 'headers', null);
+    }
+
+    const pushInfo = this.extractPushInfo(payload);
+    const repositoryUrls = new Set(pushInfo.repositoryUrls.map(normalizeRepositoryUrl));
+
+    const candidates = (await this.projectRepository.findWebhookEnabled())
+      .filter((project) => repositoryUrls.has(normalizeRepositoryUrl(project.repository)));
+
+    if (candidates.length === 0) {
+      throw ErrorFactory.notFound('Project for repository', pushInfo.repositoryUrls[0] || null);
+    }
+
+    const baseDelivery = {
+      provider,
+      event,
+      deliveryId,
+      ref: pushInfo.ref,
+      commit: pushInfo.commit,
+      pusher: pushInfo.pusher
+    };
+
+    const verified = candidates.filter((project) =>
+      this.verifySignature(provider, headers, rawBody, this._getSecret(project))
+    );
+
+    if (verified.length === 0) {
+      // Anyone can send these, a project only logs them when the repository is its own alone
+      if (candidates.length === 1) {
+        await this.deliveryRepository.create({
+          ...baseDelivery,
+          project: candidates[0]._id,
+          status: 'rejected',
+          message: 'Invalid webhook signature'
+        });
+      }
+
+      this.logger.warn(`Rejected ${provider} webhook with invalid signature`, { deliveryId });
+      throw new PermissionError('webhook delivery', 'invalid signature');
+    }
+
+    await Promise.all(verified.map((project) => this._encryptLegacySecret(project)));
+
+    const results = [];
+    for (const project of verified) {
+      results.push(await this._processDelivery(project, baseDelivery, pushInfo));
+    }
+
+    return results;
+  }
+
+  /**
+   * Plaintext webhook secret of a project, null when it cannot be decrypted
+   * @private
+   */
+  _getSecret(project) {
+    const secret = project.webhook?.secret;
+    if (!secret || !secret.startsWith('v1:')) return secret || null;
+
+    try {
+      return this.getCipher().decrypt(secret);
+    } catch (error) {
+      this.logger.error(`Failed to decrypt the webhook secret of project ${project.name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt a secret stored in plaintext by an earlier version
+   * @private
+   */
+  async _encryptLegacySecret(project) {
+    const secret = project.webhook.secret;
+    if (secret.startsWith('v1:')) return;
+
+    await this.projectRepository.setWebhookSecret(project._id, this.getCipher().encrypt(secret));
+  }
+
+  /**
+   * Record a verified delivery and trigger a redeploy when it applies
+   * @private
+   */
+  async _processDelivery(project, baseDelivery, pushInfo) {
+    await this.projectRepository.touchWebhookDelivery(project._id);
+
+    let status = 'deploying';
+    let message = null;
+
+    if (!this.isPushEvent(baseDelivery.provider, baseDelivery.event)) {
+      status = 'ignored';
+      message = `Event "${baseDelivery.event}" does not trigger deployments`;
+    } else if (pushInfo.branch !== project.branch) {
+      status = 'ignored';
+      message = `Push to ${pushInfo.ref} does not match tracked branch ${project.branch}`;
+    } else if (this.activeRedeploys.has(String(project._id))) {
+      status = 'ignored';
+      message = 'A deployment triggered by a previous push is still running';
+    }
+
+    const delivery = await this.deliveryRepository.create({
+      ...baseDelivery,
+      project: project._id,
+      status,
+      message
+    });
+
+    if (status === 'deploying') {
+      this._triggerRedeploy(project, delivery);
+    }
+
+    return {
+      projectId: project._id,
+      project: project.name,
+      deliveryId: delivery._id,
+      status,
+      message
+    };
+  }
+
+  /**
+   * Run the redeploy in the background and record its outcome
+   * @private
+   */
+  _triggerRedeploy(project, delivery) {
+    const projectId = String(project._id);
+    const startTime = Date.now();
+
+    this.activeRedeploys.add(projectId);
+    this.logger.info(`Webhook triggered redeploy of project ${project.name}`, {
+      deliveryId: delivery.deliveryId,
+      commit: delivery.commit
+    });
+
+    this.projectService.redeployProject(projectId, { trigger: 'webhook' })
+      .then(() => this.deliveryRepository.updateStatus(delivery._id, 'deployed', {
+        duration: Date.now() - startTime
+      }))
+      .catch((error) => {
+        this.logger.error(`Webhook redeploy failed for project ${project.name}:`, error);
+        return this.deliveryRepository.updateStatus(delivery._id, 'failed', {
+          duration: Date.now() - startTime,
+          message: error.message.slice(0, 1000)
+        });
+      })
+      .catch((error) => {
+        this.logger.error('Failed to record webhook delivery outcome:', error);
+      })
+      .finally(() => {
+        this.activeRedeploys.delete(projectId);
+      });
+  }
+}
+
+module.exports = WebhookService;
+module.exports.normalizeRepositoryUrl = normalizeRepositoryUrl;
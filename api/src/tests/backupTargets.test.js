@@ -0,0 +1,65 @@
+const fs = require('fs');
+
+const CommandExecutor = require('../utils/commandExecutor');
+const { SftpBackupTarget } = require('../utils/backupTargets');
+const backupSchemas = require('../schemas/backupSchemas');
+
+describe('SftpBackupTarget', () => {
+  let target;
+  let batches;
+
+  beforeEach(() => {
+    batches = [];
+    jest.spyOn(CommandExecutor, 'execute').mockImplementation(async (command, args) => {
+      batches.push(fs.readFileSync(args[args.indexOf('-b') + 1], 'utf8'));
+      return { stdout: '', stderr: '', exitCode: 0 };
+    });
+    target = new SftpBackupTarget({
+      host: 'backup.example.com',
+      port: 2222,
+      username: 'pi',
+      path: '/srv/backups/',
+      identityFile: '/app/secrets/backup_key'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should upload with an sftp batch and pass the destination after --', async () => {
+    await target.upload('/tmp/backup/mongodb.archive.gz', '2024-01-01/mongodb.archive.gz');
+
+    const [command, args] = CommandExecutor.execute.mock.calls[0];
+    expect(command).toBe('sftp');
+    expect(args.slice(-2)).toEqual(['--', 'pi@backup.example.com']);
+    expect(args).toEqual(expect.arrayContaining(['-P', '2222', '-i', '/app/secrets/backup_key']));
+    expect(batches[0]).toBe(
+      '-mkdir "/srv"\n-mkdir "/srv/backups"\n-mkdir "/srv/backups/2024-01-01"\n' +
+      'put "/tmp/backup/mongodb.archive.gz" "/srv/backups/2024-01-01/mongodb.archive.gz"\n'
+    );
+  });
+
+  it('should remove the batch file once sftp finished', async () => {
+    await target.remove('2024-01-01/mongodb.archive.gz');
+
+    const [, args] = CommandExecutor.execute.mock.calls[0];
+    expect(batches[0]).toBe('rm "/srv/backups/2024-01-01/mongodb.archive.gz"\n-rmdir "/srv/backups/2024-01-01"\n');
+    expect(fs.existsSync(args[args.indexOf('-b') + 1])).toBe(false);
+  });
+
+  it('should refuse keys outside the target directory', async () => {
+    await expect(target.download('../../etc/passwd', '/tmp/passwd')).rejects.toThrow('Invalid backup key');
+    expect(CommandExecutor.execute).not.toHaveBeenCalled();
+  });
+
+  it('should refuse usernames that start like an option', () => {
+    const { error } = backupSchemas.createPolicy.validate({
+      name: 'offsite',
+      schedule: '0 2 * * *',
+      target: { type: 'sftp', host: 'backup.example.com', username: '-oProxyCommand=id', path: '/srv/backups' }
+    });
+
+    expect(error.message).toContain('Username must start with a letter or number');
+  });
+});
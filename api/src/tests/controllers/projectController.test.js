@@ -212,10 +212,20 @@ describe("ProjectController", () => {
 
       await projectController.getProjectLogs(mockReq, mockRes);
 
-      expect(mockProjectService.getProjectLogs).toHaveBeenCalledWith("project123", "100");
+      expect(mockProjectService.getProjectLogs).toHaveBeenCalledWith("project123", "100", undefined);
       expect(ResponseHelper.success).toHaveBeenCalledWith(mockRes, mockLogs);
     });
 
+    it("should return the logs of a service of the stack", async () => {
+      mockReq.params.id = "project123";
+      mockReq.query = { lines: "100", service: "worker" };
+      mockProjectService.getProjectLogs.mockResolvedValue(["log1"]);
+
+      await projectController.getProjectLogs(mockReq, mockRes);
+
+      expect(mockProjectService.getProjectLogs).toHaveBeenCalledWith("project123", "100", "worker");
+    });
+
     it("should return not found for non-existent project", async () => {
       mockReq.params.id = "nonexistent";
       mockProjectService.getProjectLogs.mockResolvedValue(null);
@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const DatabaseBackup = require('../utils/databaseBackup');
+
+describe('DatabaseBackup', () => {
+  let databaseBackup;
+  let backupDir;
+
+  beforeEach(async () => {
+    backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-backups-'));
+    databaseBackup = new DatabaseBackup();
+    databaseBackup.backupDir = backupDir;
+  });
+
+  afterEach(async () => {
+    await fs.rm(backupDir, { recursive: true, force: true });
+  });
+
+  const writeBackup = async (name, { compressed = true } = {}) => {
+    const metadata = { name, timestamp: new Date().toISOString(), database: 'pi_app', collections: [{ name: 'projects' }] };
+    await fs.writeFile(path.join(backupDir, `${name}.metadata.json`), JSON.stringify(metadata));
+
+    if (compressed) {
+      await fs.writeFile(path.join(backupDir, `${name}.tar.gz`), 'archive');
+    } else {
+      await fs.mkdir(path.join(backupDir, name, 'pi_app'), { recursive: true });
+    }
+  };
+
+  describe('findBackup', () => {
+    it('should find compressed and uncompressed backups', async () => {
+      await writeBackup('compressed');
+      await writeBackup('plain', { compressed: false });
+
+      await expect(databaseBackup.findBackup('compressed')).resolves.toMatchObject({
+        archivePath: path.join(backupDir, 'compressed.tar.gz'),
+        compressed: true
+      });
+      await expect(databaseBackup.findBackup('plain')).resolves.toMatchObject({
+        archivePath: path.join(backupDir, 'plain'),
+        compressed: false
+      });
+    });
+
+    it('should report unknown backups as not found', async () => {
+      await expect(databaseBackup.findBackup('missing')).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('listBackups', () => {
+    it('should list backups with the size of their archive', async () => {
+      await writeBackup('backup-1');
+
+      const backups = await databaseBackup.listBackups();
+
+      expect(backups).toEqual([
+        expect.objectContaining({ name: 'backup-1', size: 7, compressed: true, collections: 1 })
+      ]);
+    });
+  });
+
+  describe('deleteBackup', () => {
+    it('should remove uncompressed backup directories', async () => {
+      await writeBackup('plain', { compressed: false });
+
+      await databaseBackup.deleteBackup('plain');
+
+      expect(await fs.readdir(backupDir)).toEqual([]);
+    });
+  });
+
+  describe('getRestoreArgs', () => {
+    it('should restore selected collections from their dump files', () => {
+      const args = databaseBackup.getRestoreArgs(
+        { database: 'pi_app' },
+        { dropExisting: true, preserveIndexes: true, collections: ['projects', 'users'] },
+        '/tmp/restore/pi_app'
+      );
+
+      expect(args).toEqual([
+        '--db pi_app --drop --collection projects /tmp/restore/pi_app/projects.bson',
+        '--db pi_app --drop --collection users /tmp/restore/pi_app/users.bson'
+      ]);
+    });
+  });
+});
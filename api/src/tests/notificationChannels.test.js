@@ -0,0 +1,65 @@
+const http = require('http');
+
+const { WebhookChannel, isPrivateAddress } = require('../utils/notificationChannels');
+
+const notification = {
+  event: 'deploy.succeeded',
+  title: 'Deployment succeeded',
+  message: 'my-app is live',
+  severity: 'info',
+  project: null,
+  data: {},
+  timestamp: new Date().toISOString()
+};
+
+describe('notification channels', () => {
+  let server;
+  let requests;
+  let url;
+
+  beforeEach(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterEach(async () => {
+    delete process.env.NOTIFICATION_ALLOW_PRIVATE_NETWORKS;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should treat loopback, private, link-local and mapped addresses as private', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.5', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a00:1']
+      .forEach((address) => expect(isPrivateAddress(address)).toBe(true));
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1', '::ffff:808:808']
+      .forEach((address) => expect(isPrivateAddress(address)).toBe(false));
+  });
+
+  it('should not send notifications to hosts on a private network', async () => {
+    await expect(new WebhookChannel({ url }).send(notification)).rejects.toMatchObject({
+      name: 'ValidationError',
+      message: '127.0.0.1 resolves to the private address 127.0.0.1, notifications are only sent to public hosts'
+    });
+    await expect(new WebhookChannel({ url: url.replace('127.0.0.1', 'localhost') }).send(notification))
+      .rejects.toThrow('notifications are only sent to public hosts');
+    expect(requests).toHaveLength(0);
+  });
+
+  it('should send to the local network when it is allowed', async () => {
+    process.env.NOTIFICATION_ALLOW_PRIVATE_NETWORKS = 'true';
+
+    await new WebhookChannel({ url, secret: 's3cret' }).send(notification);
+
+    expect(requests).toHaveLength(1);
+    expect(JSON.parse(requests[0].body)).toMatchObject({ event: 'deploy.succeeded' });
+    expect(requests[0].headers['x-notification-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+  });
+});
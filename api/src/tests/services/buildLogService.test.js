@@ -0,0 +1,113 @@
+jest.mock('../../repositories/buildLogRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const buildLogRepository = require('../../repositories/buildLogRepository');
+const { BuildLogService } = require('../../services/buildLogService');
+
+describe('BuildLogService', () => {
+  let buildLogService;
+  let io;
+  let emitted;
+  const deployment = { _id: 'deployment1', project: 'project1', trigger: 'deploy' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emitted = [];
+    io = {
+      to: jest.fn((room) => ({
+        emit: (event, data) => emitted.push({ room, event, data })
+      }))
+    };
+    buildLogRepository.appendLines.mockResolvedValue({});
+
+    buildLogService = new BuildLogService({ io });
+    buildLogService.start(deployment, { name: 'my-app', createdBy: 'owner1', members: [{ user: 'member1', role: 'viewer' }] });
+  });
+
+  const streamedLines = () => emitted
+    .filter(({ event }) => event === 'build_log')
+    .flatMap(({ data }) => data.lines.map((line) => line.text));
+
+  it('should announce new deployments to the users with access to the project', () => {
+    expect(emitted[0]).toEqual({
+      room: ['admins', 'user:owner1', 'user:member1'],
+      event: 'deployment_started',
+      data: { deploymentId: 'deployment1', projectId: 'project1', projectName: 'my-app', trigger: 'deploy' }
+    });
+  });
+
+  it('should broadcast complete lines to the deployment room', () => {
+    const write = buildLogService.getWriter('deployment1');
+
+    write('stdout', 'Step 1/3 : FROM node\nStep 2/3 : COPY ');
+    expect(streamedLines()).toEqual(['Step 1/3 : FROM node']);
+
+    write('stdout', '. .\n');
+    expect(streamedLines()).toEqual(['Step 1/3 : FROM node', 'Step 2/3 : COPY . .']);
+    expect(io.to).toHaveBeenLastCalledWith('build_log:deployment1');
+  });
+
+  it('should strip terminal colour codes', () => {
+    buildLogService.append('deployment1', 'stderr', '\x1b[31merror\x1b[0m: build failed\n');
+
+    expect(streamedLines()).toEqual(['error: build failed']);
+  });
+
+  it('should store the log and close the room when the deployment finishes', async () => {
+    buildLogService.append('deployment1', 'stdout', 'done\nno newline');
+
+    await buildLogService.finish('deployment1', 'succeeded');
+
+    expect(buildLogRepository.appendLines).toHaveBeenCalledWith(
+      'deployment1',
+      'project1',
+      [
+        expect.objectContaining({ stream: 'stdout', text: 'done' }),
+        expect.objectContaining({ stream: 'stdout', text: 'no newline' })
+      ],
+      5000
+    );
+    expect(emitted[emitted.length - 1]).toEqual({
+      room: 'build_log:deployment1',
+      event: 'build_log_end',
+      data: { deploymentId: 'deployment1', status: 'succeeded' }
+    });
+  });
+
+  it('should send the lines so far to a joining socket', async () => {
+    buildLogService.append('deployment1', 'system', 'Cloning repository');
+    const socket = { join: jest.fn(), emit: jest.fn() };
+
+    await buildLogService.subscribe(socket, 'deployment1');
+
+    expect(socket.join).toHaveBeenCalledWith('build_log:deployment1');
+    expect(socket.emit).toHaveBeenCalledWith('build_log_history', expect.objectContaining({
+      finished: false,
+      lines: [expect.objectContaining({ stream: 'system', text: 'Cloning repository' })]
+    }));
+  });
+
+  it('should read finished logs from the database', async () => {
+    await buildLogService.finish('deployment1', 'failed');
+    buildLogRepository.findByDeployment.mockResolvedValue({
+      lines: [{ stream: 'stderr', text: 'npm ERR!' }],
+      lineCount: 1
+    });
+
+    const log = await buildLogService.getLog('deployment1');
+
+    expect(log).toEqual({
+      deploymentId: 'deployment1',
+      lines: [{ stream: 'stderr', text: 'npm ERR!' }],
+      lineCount: 1,
+      finished: true
+    });
+  });
+});
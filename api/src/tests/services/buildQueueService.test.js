@@ -0,0 +1,172 @@
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { BuildQueueService } = require('../../services/buildQueueService');
+
+/**
+ * Task that runs until released or aborted, like a docker compose build
+ */
+const controllableTask = () => {
+  const task = {};
+  task.run = jest.fn((signal) => new Promise((resolve, reject) => {
+    task.signal = signal;
+    task.release = resolve;
+    signal.addEventListener('abort', () => reject(signal.reason));
+  }));
+  return task;
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('BuildQueueService', () => {
+  let buildQueue;
+
+  beforeEach(() => {
+    buildQueue = new BuildQueueService();
+    buildQueue.concurrency = 1;
+    buildQueue.jobTimeout = 60000;
+  });
+
+  const details = (projectName) => ({
+    projectId: `${projectName}-id`,
+    projectName,
+    type: 'deploy'
+  });
+
+  it('should run jobs one at a time when the limit is reached', async () => {
+    const first = controllableTask();
+    const second = controllableTask();
+
+    const firstRun = buildQueue.run(details('first'), first.run);
+    const secondRun = buildQueue.run(details('second'), second.run);
+    await flush();
+
+    expect(first.run).toHaveBeenCalled();
+    expect(second.run).not.toHaveBeenCalled();
+
+    const jobs = await buildQueue.listJobs({ active: true });
+    expect(jobs.map((job) => [job.projectName, job.status, job.position])).toEqual([
+      ['second', 'queued', 1],
+      ['first', 'running', null]
+    ]);
+
+    first.release('done');
+    await expect(firstRun).resolves.toBe('done');
+    await flush();
+    expect(second.run).toHaveBeenCalled();
+
+    second.release();
+    await secondRun;
+    const finished = await buildQueue.listJobs();
+    expect(finished.every((job) => job.status === 'succeeded')).toBe(true);
+  });
+
+  it('should cancel a queued job without running it', async () => {
+    const first = controllableTask();
+    const second = controllableTask();
+
+    const firstRun = buildQueue.run(details('first'), first.run);
+    const secondRun = buildQueue.run(details('second'), second.run);
+    await flush();
+
+    const [queued] = await buildQueue.listJobs({ projectId: 'second-id' });
+    await buildQueue.cancel(queued.id);
+
+    await expect(secondRun).rejects.toMatchObject({ cancelled: true });
+    expect((await buildQueue.getJob(queued.id)).status).toBe('cancelled');
+
+    first.release();
+    await firstRun;
+    expect(second.run).not.toHaveBeenCalled();
+  });
+
+  it('should abort the signal of a running job when it is cancelled', async () => {
+    const task = controllableTask();
+    const run = buildQueue.run(details('app'), task.run);
+    await flush();
+
+    const [job] = await buildQueue.listJobs();
+    const cancelled = await buildQueue.cancel(job.id);
+
+    expect(cancelled.status).toBe('cancelling');
+    expect(task.signal.aborted).toBe(true);
+    await expect(run).rejects.toThrow('was cancelled');
+    expect((await buildQueue.getJob(job.id)).status).toBe('cancelled');
+  });
+
+  it('should abort jobs that exceed the deployment timeout', async () => {
+    buildQueue.jobTimeout = 20;
+    const task = controllableTask();
+
+    const run = buildQueue.run(details('slow'), task.run);
+
+    await expect(run).rejects.toMatchObject({ timeout: true });
+    const [job] = await buildQueue.listJobs();
+    expect(job.status).toBe('timed_out');
+    expect(job.error).toContain('timed out');
+  });
+
+  it('should only list the jobs of the given projects', async () => {
+    await buildQueue.run(details('mine'), async () => 'done');
+    await buildQueue.run(details('other'), async () => 'done');
+
+    const jobs = await buildQueue.listJobs({ projectIds: ['mine-id'] });
+
+    expect(jobs.map((job) => job.projectName)).toEqual(['mine']);
+  });
+
+  it('should refuse to cancel a finished job', async () => {
+    await buildQueue.run(details('app'), async () => 'done');
+    const [job] = await buildQueue.listJobs();
+
+    await expect(buildQueue.cancel(job.id)).rejects.toThrow('already succeeded');
+    await expect(buildQueue.cancel('unknown')).resolves.toBeNull();
+  });
+
+  it('should fail jobs left running by a previous process', async () => {
+    await buildQueue._saveJob({
+      id: 'stale',
+      projectName: 'app',
+      status: 'running',
+      createdAt: new Date().toISOString()
+    }, true);
+
+    const interrupted = await buildQueue.recoverInterruptedJobs();
+
+    expect(interrupted).toBe(1);
+    expect((await buildQueue.getJob('stale')).status).toBe('failed');
+  });
+
+  it('should queue interrupted jobs again under their ID when they can be resumed', async () => {
+    await buildQueue._saveJob({ id: 'stale', ...details('app'), status: 'running', createdAt: 'earlier' }, true);
+    const resume = jest.fn((job) => buildQueue.run({ ...details('app'), jobId: job.id }, async () => 'done'));
+
+    await expect(buildQueue.recoverInterruptedJobs(resume)).resolves.toBe(1);
+    await flush();
+
+    expect(resume).toHaveBeenCalledWith(expect.objectContaining({ id: 'stale' }));
+    const jobs = await buildQueue.listJobs();
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({ id: 'stale', status: 'succeeded', createdAt: 'earlier' });
+  });
+
+  it('should fail interrupted jobs that were not queued again', async () => {
+    await buildQueue._saveJob({ id: 'gone', ...details('gone'), status: 'queued' }, true);
+    await buildQueue._saveJob({ id: 'cancelling', ...details('app'), status: 'cancelling' }, true);
+
+    await buildQueue.recoverInterruptedJobs(jest.fn().mockRejectedValue(new Error('Quota exceeded')));
+    await flush();
+
+    expect(await buildQueue.getJob('gone')).toMatchObject({
+      status: 'failed',
+      error: 'Interrupted by an API restart: Quota exceeded'
+    });
+    expect((await buildQueue.getJob('cancelling')).status).toBe('cancelled');
+  });
+});
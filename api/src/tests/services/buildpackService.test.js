@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const BuildpackService = require('../../services/buildpackService');
+
+describe('BuildpackService', () => {
+  let buildpackService;
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'buildpack-'));
+    buildpackService = new BuildpackService();
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectPath, { recursive: true, force: true });
+  });
+
+  const writeFiles = async (files) => {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(projectPath, name)), { recursive: true });
+      await fs.writeFile(path.join(projectPath, name), content);
+    }
+  };
+
+  const readGenerated = () => fs.readFile(path.join(projectPath, 'Dockerfile.raspberry-host'), 'utf8');
+
+  describe('prepare', () => {
+    it('should use the repository Dockerfile and its exposed port', async () => {
+      await writeFiles({
+        'Dockerfile': 'FROM node:22-alpine\nEXPOSE 8080/tcp 9090\nCMD ["node", "server.js"]\n',
+        'package.json': '{"scripts":{"start":"node server.js"}}'
+      });
+
+      const buildpack = await buildpackService.prepare(projectPath);
+
+      expect(buildpack).toEqual({
+        type: 'dockerfile',
+        dockerfile: 'Dockerfile',
+        containerPort: 8080,
+        generated: false
+      });
+      await expect(readGenerated()).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    it('should generate a Dockerfile for a Node.js app', async () => {
+      await writeFiles({
+        'package.json': JSON.stringify({
+          engines: { node: '>=20' },
+          scripts: { build: 'tsc', start: 'node dist/server.js --port 4000' }
+        }),
+        'package-lock.json': '{}'
+      });
+
+      const buildpack = await buildpackService.prepare(projectPath);
+
+      expect(buildpack).toEqual({
+        type: 'node',
+        dockerfile: 'Dockerfile.raspberry-host',
+        containerPort: 4000,
+        generated: true
+      });
+      const dockerfile = await readGenerated();
+      expect(dockerfile).toContain('FROM node:20-alpine AS build');
+      expect(dockerfile).toContain('COPY package.json package-lock.json ./');
+      expect(dockerfile).toContain('RUN npm ci');
+      expect(dockerfile).toContain('RUN npm run build');
+      expect(dockerfile).toContain('EXPOSE 4000');
+      expect(dockerfile).toContain('CMD ["npm","start"]');
+    });
+
+    it('should serve the build output of a frontend with nginx', async () => {
+      await writeFiles({
+        'package.json': JSON.stringify({
+          scripts: { start: 'vite', build: 'vite build' },
+          devDependencies: { vite: '^5.0.0' }
+        }),
+        'yarn.lock': ''
+      });
+
+      const buildpack = await buildpackService.prepare(projectPath);
+
+      expect(buildpack).toMatchObject({ type: 'node-static', containerPort: 80 });
+      const dockerfile = await readGenerated();
+      expect(dockerfile).toContain('yarn install --frozen-lockfile');
+      expect(dockerfile).toContain('COPY --from=build /app/dist /usr/share/nginx/html');
+    });
+
+    it('should start Python apps with the server they depend on', async () => {
+      await writeFiles({
+        'requirements.txt': 'fastapi==0.110.0\nuvicorn[standard]\n',
+        'main.py': 'app = None\n'
+      });
+
+      const buildpack = await buildpackService.prepare(projectPath);
+
+      expect(buildpack).toMatchObject({ type: 'python', containerPort: 8000 });
+      const dockerfile = await readGenerated();
+      expect(dockerfile).toContain('RUN pip install --no-cache-dir -r requirements.txt');
+      expect(dockerfile).toContain('CMD ["uvicorn","main:app","--host","0.0.0.0","--port","8000"]');
+    });
+
+    it('should build the only command of a Go module', async () => {
+      await writeFiles({
+        'go.mod': 'module example.com/api\n\ngo 1.21.5\n',
+        'cmd/api/main.go': 'package main\n'
+      });
+
+      const buildpack = await buildpackService.prepare(projectPath);
+
+      expect(buildpack).toMatchObject({ type: 'go', containerPort: 8080 });
+      const dockerfile = await readGenerated();
+      expect(dockerfile).toContain('FROM golang:1.21-alpine AS build');
+      expect(dockerfile).toContain('go build -o /out/app ./cmd/api');
+    });
+
+    it('should serve plain static sites without the repository metadata', async () => {
+      await writeFiles({ 'index.html': '<h1>Hello</h1>' });
+
+      const buildpack = await buildpackService.prepare(projectPath);
+
+      expect(buildpack).toMatchObject({ type: 'static', containerPort: 80 });
+      const dockerfile = await readGenerated();
+      expect(dockerfile).toContain('rm -rf /site/.git');
+      expect(dockerfile).toContain('FROM nginx:alpine');
+    });
+
+    it('should build a configured Dockerfile instead of detecting one', async () => {
+      await writeFiles({
+        'Dockerfile': 'FROM nginx:alpine\nEXPOSE 80\n',
+        'docker/Dockerfile.prod': 'FROM node:22-alpine\nEXPOSE 4000\n'
+      });
+
+      const buildpack = await buildpackService.prepare(projectPath, { dockerfile: 'docker/Dockerfile.prod' });
+
+      expect(buildpack).toEqual({
+        type: 'dockerfile',
+        dockerfile: 'docker/Dockerfile.prod',
+        containerPort: 4000,
+        generated: false
+      });
+    });
+
+    it('should reject a configured Dockerfile that does not exist', async () => {
+      await writeFiles({ 'package.json': '{"scripts":{"start":"node server.js"}}' });
+
+      await expect(buildpackService.prepare(projectPath, { dockerfile: 'Dockerfile.prod' }))
+        .rejects.toThrow('Dockerfile Dockerfile.prod does not exist in the build context');
+    });
+
+    it('should accept a configured container port the Dockerfile exposes', async () => {
+      await writeFiles({ 'Dockerfile': 'FROM nginx:alpine\nEXPOSE 80 8080\n' });
+
+      const buildpack = await buildpackService.prepare(projectPath, { containerPort: 8080 });
+
+      expect(buildpack.containerPort).toBe(8080);
+    });
+
+    it('should reject a configured container port the Dockerfile does not expose', async () => {
+      await writeFiles({ 'Dockerfile': 'FROM nginx:alpine\nEXPOSE 80\n' });
+
+      await expect(buildpackService.prepare(projectPath, { containerPort: 3000 }))
+        .rejects.toThrow('Container port 3000 is not exposed by the Dockerfile (EXPOSE 80)');
+    });
+
+    it('should build generated images for the configured container port', async () => {
+      await writeFiles({ 'package.json': '{"scripts":{"start":"node server.js"}}' });
+
+      const buildpack = await buildpackService.prepare(projectPath, { containerPort: 5000 });
+
+      expect(buildpack.containerPort).toBe(5000);
+      const dockerfile = await readGenerated();
+      expect(dockerfile).toContain('ENV PORT=5000');
+      expect(dockerfile).toContain('EXPOSE 5000');
+    });
+
+    it('should reject repositories it cannot detect', async () => {
+      await writeFiles({ 'README.md': '# Nothing to run' });
+
+      await expect(buildpackService.prepare(projectPath)).rejects.toThrow('Could not detect the project type');
+    });
+  });
+
+  describe('getExposedPorts', () => {
+    it('should ignore invalid ports and build arguments', () => {
+      expect(buildpackService.getExposedPorts('expose 3000\nEXPOSE $PORT 70000\nEXPOSE 53/udp')).toEqual([3000, 53]);
+    });
+  });
+});
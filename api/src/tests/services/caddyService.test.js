@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const CaddyService = require('../../services/caddyService');
+
+describe('CaddyService', () => {
+  let caddyService;
+  let sitesDir;
+  let project;
+
+  beforeEach(async () => {
+    sitesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'caddy-sites-'));
+
+    caddyService = new CaddyService();
+    caddyService.enabled = true;
+    caddyService.sitesDir = sitesDir;
+    caddyService.upstreamHost = 'host.docker.internal';
+    jest.spyOn(caddyService, 'reload').mockResolvedValue();
+
+    project = { name: 'my-app', domain: 'my-app.example.com', effectivePort: 3000 };
+  });
+
+  afterEach(async () => {
+    await fs.rm(sitesDir, { recursive: true, force: true });
+  });
+
+  const readSite = () => fs.readFile(path.join(sitesDir, 'my-app.caddy'), 'utf8');
+
+  describe('upsertRoute', () => {
+    it('should route a public domain over automatic HTTPS', async () => {
+      const changed = await caddyService.upsertRoute(project);
+
+      expect(changed).toBe(true);
+      const site = await readSite();
+      expect(site).toContain('my-app.example.com {');
+      expect(site).toContain('reverse_proxy host.docker.internal:3000');
+      expect(caddyService.reload).toHaveBeenCalledTimes(1);
+    });
+
+    it('should serve local domains over plain HTTP', async () => {
+      await caddyService.upsertRoute({ ...project, domain: 'my-app.localhost' });
+
+      expect(await readSite()).toContain('http://my-app.localhost {');
+    });
+
+    it('should not reload when the route is unchanged', async () => {
+      await caddyService.upsertRoute(project);
+      const changed = await caddyService.upsertRoute(project);
+
+      expect(changed).toBe(false);
+      expect(caddyService.reload).toHaveBeenCalledTimes(1);
+    });
+
+    it('should update the port of an existing route', async () => {
+      await caddyService.upsertRoute(project);
+      await caddyService.upsertRoute({ ...project, effectivePort: 3005 });
+
+      expect(await readSite()).toContain('reverse_proxy host.docker.internal:3005');
+    });
+
+    it('should restore the previous route when Caddy rejects the new one', async () => {
+      await caddyService.upsertRoute(project);
+      caddyService.reload.mockRejectedValue(new Error('adapting config'));
+
+      await expect(
+        caddyService.upsertRoute({ ...project, effectivePort: 3005 })
+      ).rejects.toThrow('Caddy');
+
+      expect(await readSite()).toContain('reverse_proxy host.docker.internal:3000');
+    });
+
+    it('should do nothing when routing is disabled', async () => {
+      caddyService.enabled = false;
+
+      const changed = await caddyService.upsertRoute(project);
+
+      expect(changed).toBe(false);
+      await expect(readSite()).rejects.toThrow('ENOENT');
+    });
+  });
+
+  describe('removeRoute', () => {
+    it('should delete the route and reload Caddy', async () => {
+      await caddyService.upsertRoute(project);
+
+      const removed = await caddyService.removeRoute(project);
+
+      expect(removed).toBe(true);
+      await expect(readSite()).rejects.toThrow('ENOENT');
+      expect(caddyService.reload).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip the reload when the project has no route', async () => {
+      const removed = await caddyService.removeRoute(project);
+
+      expect(removed).toBe(false);
+      expect(caddyService.reload).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,349 @@
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const fs = require('fs');
+const path = require('path');
+const DockerService = require('../../services/dockerService');
+
+describe('DockerService', () => {
+  let dockerService;
+  let project;
+
+  beforeEach(() => {
+    dockerService = new DockerService();
+    project = { name: 'my-app', port: 3000, environment: {} };
+  });
+
+  describe('generateComposeContent', () => {
+    it('should render the resource limits of a project', () => {
+      const compose = dockerService.generateComposeContent({
+        ...project,
+        resources: { cpus: 1.5, cpuShares: 512, memory: 256, pidsLimit: 200 }
+      });
+
+      expect(compose).toContain('    cpus: 1.5\n');
+      expect(compose).toContain('    cpu_shares: 512\n');
+      expect(compose).toContain('    mem_limit: 256m\n    memswap_limit: 256m\n');
+      expect(compose).toContain('    pids_limit: 200\n');
+    });
+
+    it('should leave resources unlimited when no limits are set', () => {
+      const compose = dockerService.generateComposeContent({
+        ...project,
+        resources: { cpus: null, cpuShares: null, memory: null, pidsLimit: null }
+      });
+
+      expect(compose).not.toMatch(/cpus|cpu_shares|mem_limit|pids_limit/);
+    });
+  });
+
+  describe('generateComposeContent build', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should build the build context of a monorepo app', () => {
+      const compose = dockerService.generateComposeContent({
+        ...project,
+        build: { context: 'apps/web' },
+        buildpack: { dockerfile: 'docker/Dockerfile.prod' }
+      });
+
+      expect(compose).toContain('    build:\n      context: apps/web\n      dockerfile: docker/Dockerfile.prod\n');
+    });
+
+    it('should extend the service of the repository compose file', () => {
+      const compose = dockerService.generateComposeContent({
+        ...project,
+        build: { composeFile: 'deploy/compose.yaml', composeService: 'web' }
+      });
+
+      expect(compose).toContain('  my-app:\n    extends:\n      file: deploy/compose.yaml\n      service: web\n');
+      expect(compose).not.toContain('build:');
+      expect(compose).toContain('    image: raspberry-host/my-app:latest\n');
+    });
+
+    it('should replace the ports the extended service publishes with the project port', () => {
+      const compose = dockerService.generateComposeContent({
+        ...project,
+        build: { composeFile: 'deploy/compose.yaml', composeService: 'web' }
+      });
+
+      expect(compose).toContain('    ports: !override\n      - "3000:80"\n');
+      expect(dockerService.generateComposeContent(project)).toContain('    ports:\n      - "3000:80"\n');
+    });
+
+    it('should check the extended service before starting a candidate from it', async () => {
+      const projectPath = path.join(process.cwd(), 'projects', 'my-app');
+      jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+      jest.spyOn(dockerService, 'executeCommand').mockResolvedValue({
+        stdout: JSON.stringify({ services: { 'my-app': { network_mode: 'host' } } })
+      });
+
+      await expect(dockerService.startCandidate(
+        { ...project, build: { composeFile: 'compose.yaml', composeService: 'web' } },
+        projectPath,
+        3100
+      )).rejects.toThrow('network_mode host (service my-app)');
+      expect(dockerService.executeCommand).toHaveBeenCalledTimes(1);
+      expect(dockerService.executeCommand.mock.calls[0][1]).toEqual([
+        '-p', 'my-app-candidate', '-f', path.join(projectPath, 'compose.candidate.yaml'), 'config', '--format', 'json'
+      ]);
+    });
+
+    it('should run the prebuilt image of a template with its data volumes', () => {
+      const compose = dockerService.generateComposeContent({
+        ...project,
+        image: 'louislam/uptime-kuma:1',
+        volumes: [{ name: 'data', path: '/app/data' }]
+      });
+
+      expect(compose).not.toContain('build:');
+      expect(compose).toContain('    image: louislam/uptime-kuma:1\n');
+      expect(compose).toContain('      - my-app_logs:/app/logs\n      - my-app_data:/app/data\n');
+      expect(compose).toContain('  my-app_data:\n    driver: local\n');
+    });
+  });
+
+  describe('compose stacks', () => {
+    const stackProject = () => ({
+      ...project,
+      resources: { cpus: null, cpuShares: null, memory: 256, pidsLimit: null },
+      buildpack: { containerPort: 8080 },
+      build: { composeFile: 'docker-compose.yml', composeService: 'web', stack: true }
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should publish only the chosen service and share the limits between the services', () => {
+      const override = dockerService.generateStackOverride(stackProject(), ['web', 'db']);
+
+      expect(override).toMatch(/^x-raspberry-host:\n {2}stack: docker-compose.yml\n/);
+      expect(override).toContain('  db:\n    ports: !reset []\n    mem_limit: 128m\n');
+      expect(override).toContain('  web:\n    container_name: my-app\n');
+      expect(override).toContain('    ports: !override\n      - "3000:8080"\n');
+      expect(override).toContain('    networks:\n      - default\n      - pi-network\n');
+      expect(override.match(/mem_limit: 128m/g)).toHaveLength(2);
+    });
+
+    it('should split CPUs and processes between the services of a stack', () => {
+      const override = dockerService.generateStackOverride(
+        { ...stackProject(), resources: { cpus: 1, cpuShares: 512, memory: null, pidsLimit: 100 } },
+        ['web', 'db', 'worker']
+      );
+
+      expect(override.match(/ {4}cpus: 0.33\n/g)).toHaveLength(3);
+      expect(override.match(/ {4}cpu_shares: 512\n/g)).toHaveLength(3);
+      expect(override.match(/ {4}pids_limit: 33\n/g)).toHaveLength(3);
+    });
+
+    it('should combine the repository compose file with the override', async () => {
+      const projectPath = path.join(process.cwd(), 'projects', 'My-App');
+      const overrideFile = path.join(projectPath, 'compose.raspberry-host.yaml');
+      jest.spyOn(dockerService, 'findComposeFile').mockResolvedValue(overrideFile);
+      jest.spyOn(fs.promises, 'readFile').mockResolvedValue(
+        dockerService.generateStackOverride(stackProject(), ['web', 'db'])
+      );
+
+      await expect(dockerService.getComposeArgs(projectPath)).resolves.toEqual([
+        '-p', 'my-app',
+        '-f', path.join(projectPath, 'docker-compose.yml'),
+        '-f', overrideFile
+      ]);
+    });
+
+    it('should use the platform compose file alone for a single service', async () => {
+      const projectPath = path.join(process.cwd(), 'projects', 'my-app');
+      const overrideFile = path.join(projectPath, 'compose.raspberry-host.yaml');
+      jest.spyOn(dockerService, 'findComposeFile').mockResolvedValue(overrideFile);
+      jest.spyOn(fs.promises, 'readFile').mockResolvedValue(
+        dockerService.generateComposeContent({ ...project, build: { composeFile: 'compose.yaml', composeService: 'web' } })
+      );
+
+      await expect(dockerService.getComposeArgs(projectPath)).resolves.toEqual(['-p', 'my-app', '-f', overrideFile]);
+    });
+  });
+
+  describe('validateComposeConfig', () => {
+    const projectPath = path.join(process.cwd(), 'projects', 'my-app');
+    const composeArgs = ['-p', 'my-app', '-f', path.join(projectPath, 'docker-compose.yml')];
+    const resolveTo = (config) => {
+      jest.spyOn(dockerService, 'executeCommand').mockResolvedValue({ stdout: JSON.stringify(config) });
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should accept a stack using its own volumes, networks and files', async () => {
+      resolveTo({
+        services: {
+          web: {
+            build: { context: projectPath, dockerfile: 'Dockerfile' },
+            volumes: [{ type: 'bind', source: path.join(projectPath, 'nginx.conf'), target: '/etc/nginx/nginx.conf' }],
+            networks: { default: null, 'pi-network': null }
+          },
+          db: { image: 'postgres:16', volumes: [{ type: 'volume', source: 'data', target: '/var/lib/postgresql/data' }] }
+        },
+        volumes: { data: { name: 'my-app_data' } },
+        networks: {
+          default: { name: 'my-app_default' },
+          'pi-network': { name: 'raspberry-host_pi-network', external: true }
+        }
+      });
+
+      await expect(dockerService.validateComposeConfig(projectPath, composeArgs)).resolves.toBeUndefined();
+      expect(dockerService.executeCommand).toHaveBeenCalledWith(
+        'docker-compose',
+        [...composeArgs, 'config', '--format', 'json'],
+        expect.objectContaining({ cwd: projectPath })
+      );
+    });
+
+    it('should refuse settings that give a container the host', async () => {
+      resolveTo({
+        services: {
+          web: {
+            privileged: true,
+            network_mode: 'host',
+            pid: 'host',
+            cap_add: ['SYS_ADMIN'],
+            volumes: [{ type: 'bind', source: '/var/run/docker.sock', target: '/var/run/docker.sock' }],
+            build: { context: '/etc' }
+          }
+        }
+      });
+
+      await expect(dockerService.validateComposeConfig(projectPath, composeArgs)).rejects.toThrow(
+        'The compose file gives access to the host or other projects, remove: privileged (service web), ' +
+        'network_mode host (service web), pid host (service web), cap_add (service web), ' +
+        'bind mount /var/run/docker.sock (service web), build context /etc (service web)'
+      );
+    });
+
+    it('should refuse bind mounts leaving the project through its parent', async () => {
+      resolveTo({
+        services: { web: { volumes: [{ type: 'bind', source: path.join(projectPath, '..', 'other-app'), target: '/data' }] } }
+      });
+
+      await expect(dockerService.validateComposeConfig(projectPath, composeArgs))
+        .rejects.toThrow(`bind mount ${path.join(projectPath, '..', 'other-app')} (service web)`);
+    });
+
+    it('should refuse volumes and networks of other Compose projects', async () => {
+      resolveTo({
+        services: { web: { volumes_from: ['container:other-app'] } },
+        volumes: { data: { name: 'other-app_data', external: true } },
+        networks: { backend: { name: 'other-app_default' } }
+      });
+
+      await expect(dockerService.validateComposeConfig(projectPath, composeArgs)).rejects.toThrow(
+        'remove: volumes_from container:other-app (service web), volume other-app_data, network other-app_default'
+      );
+    });
+
+    it('should check the repository compose file before starting a stack', async () => {
+      const overrideFile = path.join(projectPath, 'compose.raspberry-host.yaml');
+      jest.spyOn(dockerService, 'findComposeFile').mockResolvedValue(overrideFile);
+      jest.spyOn(dockerService, 'getComposeArgs').mockResolvedValue([...composeArgs, '-f', overrideFile]);
+      jest.spyOn(dockerService, 'isDockerAvailable');
+      resolveTo({ services: { web: { privileged: true } } });
+
+      await expect(dockerService.startProject(projectPath)).rejects.toThrow('privileged (service web)');
+      expect(dockerService.isDockerAvailable).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('project volumes', () => {
+    it('should find the volumes of a project by its lowercased Compose project', async () => {
+      jest.spyOn(dockerService, 'executeCommand').mockResolvedValueOnce({ stdout: 'myapp_MyApp_logs\nmyapp_MyApp_data\n' });
+
+      const volumes = await dockerService.getProjectVolumes('MyApp');
+
+      expect(dockerService.executeCommand).toHaveBeenCalledTimes(1);
+      expect(dockerService.executeCommand.mock.calls[0][1][3]).toBe('label=com.docker.compose.project=myapp');
+      expect(volumes).toEqual(['myapp_MyApp_logs', 'myapp_MyApp_data']);
+    });
+
+    it('should add the existing volumes of its add-ons by name, not by the add-on Compose project', async () => {
+      jest.spyOn(dockerService, 'executeCommand')
+        .mockResolvedValueOnce({ stdout: 'myapp_MyApp_data\n' })
+        .mockResolvedValueOnce({ stdout: 'myapp_MyApp_data\nMyApp-addon-postgres-data\nmyapp-addons_other_data\n' });
+
+      const volumes = await dockerService.getProjectVolumes('MyApp', ['MyApp-addon-postgres-data', 'MyApp-addon-redis-data']);
+
+      expect(volumes).toEqual(['myapp_MyApp_data', 'MyApp-addon-postgres-data']);
+    });
+
+    it('should add up the volumes and images of a project', async () => {
+      jest.spyOn(dockerService, 'executeCommand')
+        .mockResolvedValueOnce({ stdout: 'myapp_MyApp_data\n' })
+        .mockResolvedValueOnce({ stdout: '20480\t/volumes\n' })
+        .mockResolvedValueOnce({ stdout: 'sha256:aaa\nsha256:bbb\n' })
+        .mockResolvedValueOnce({ stdout: 'sha256:bbb\n' })
+        .mockResolvedValueOnce({ stdout: '10485760\n20971520\n' });
+
+      await expect(dockerService.getProjectDiskUsage('MyApp')).resolves.toBe(50);
+
+      const calls = dockerService.executeCommand.mock.calls.map(([, args]) => args);
+      expect(calls[1]).toEqual(expect.arrayContaining(['-v', 'myapp_MyApp_data:/volumes/myapp_MyApp_data:ro', 'du']));
+      expect(calls[2]).toContain('reference=raspberry-host/myapp');
+      expect(calls[3]).toContain('label=com.docker.compose.project=myapp');
+      expect(calls[4]).toEqual(['image', 'inspect', '--format', '{{.Size}}', 'sha256:aaa', 'sha256:bbb']);
+    });
+
+    it('should label a recreated volume with the lowercased Compose project', async () => {
+      jest.spyOn(dockerService, 'executeCommand').mockResolvedValue({ stdout: '' });
+
+      await dockerService.createProjectVolume('MyApp', 'myapp_MyApp_data');
+
+      expect(dockerService.executeCommand).toHaveBeenCalledWith(
+        'docker',
+        [
+          'volume', 'create',
+          '--label', 'com.docker.compose.project=myapp',
+          '--label', 'com.docker.compose.volume=MyApp_data',
+          'myapp_MyApp_data'
+        ],
+        expect.objectContaining({ sanitizeArgs: false })
+      );
+    });
+  });
+
+  describe('getContainerStats', () => {
+    it('should parse the output of docker stats by container name', async () => {
+      jest.spyOn(dockerService, 'executeCommand').mockResolvedValue({
+        stdout: [
+          '{"Name":"my-app","CPUPerc":"12.50%","MemUsage":"128MiB / 256MiB","MemPerc":"50.00%","NetIO":"1.5kB / 648B","PIDs":"14"}',
+          '{"Name":"raspberry-host-api","CPUPerc":"0.30%","MemUsage":"1.5GiB / 7.8GiB","MemPerc":"19.23%","PIDs":"30"}'
+        ].join('\n')
+      });
+
+      const stats = await dockerService.getContainerStats();
+
+      expect(dockerService.executeCommand).toHaveBeenCalledWith(
+        'docker',
+        ['stats', '--no-stream', '--format', '{{json .}}'],
+        expect.objectContaining({ sanitizeArgs: false })
+      );
+      expect(stats['my-app']).toEqual({
+        cpuPercent: 12.5,
+        memoryUsage: 128 * 1024 * 1024,
+        memoryLimit: 256 * 1024 * 1024,
+        memoryPercent: 50,
+        pids: 14,
+        networkRx: 1500,
+        networkTx: 648
+      });
+      expect(stats['raspberry-host-api'].memoryUsage).toBe(Math.round(1.5 * 1024 ** 3));
+    });
+  });
+});
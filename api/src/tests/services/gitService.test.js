@@ -0,0 +1,58 @@
+jest.mock('child_process', () => ({
+  ...jest.requireActual('child_process'),
+  execFile: jest.fn()
+}));
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { execFile } = require('child_process');
+const GitService = require('../../services/gitService');
+
+describe('GitService', () => {
+  let gitService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    gitService = new GitService();
+  });
+
+  describe('validateRepository', () => {
+    it('should list the remote without a shell, with the credentials of the project', async () => {
+      execFile.mockImplementation((file, args, options, callback) => callback(null, 'abc123\tHEAD\n', ''));
+      const url = 'https://github.com/org/repo.git;id>/tmp/pwned';
+
+      const valid = await gitService.validateRepository(url, {
+        env: { GIT_SSH_COMMAND: 'ssh -i /app/keys/my-app' }
+      });
+
+      expect(valid).toBe(true);
+      expect(execFile).toHaveBeenCalledWith(
+        'git',
+        ['ls-remote', '--', url],
+        expect.objectContaining({
+          env: expect.objectContaining({ GIT_SSH_COMMAND: 'ssh -i /app/keys/my-app', GIT_TERMINAL_PROMPT: '0' })
+        }),
+        expect.any(Function)
+      );
+    });
+
+    it('should report a repository git cannot reach', async () => {
+      execFile.mockImplementation((file, args, options, callback) =>
+        callback(new Error('fatal: repository not found'), '', 'fatal: repository not found')
+      );
+
+      await expect(gitService.validateRepository('git@github.com:org/private.git')).resolves.toBe(false);
+    });
+
+    it('should reject invalid URLs without running git', async () => {
+      await expect(gitService.validateRepository('file:///etc')).resolves.toBe(false);
+      expect(execFile).not.toHaveBeenCalled();
+    });
+  });
+});
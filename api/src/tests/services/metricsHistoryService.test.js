@@ -0,0 +1,177 @@
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { MetricsHistoryService } = require('../../services/metricsHistoryService');
+
+describe('MetricsHistoryService', () => {
+  let historyService;
+  let mockMonitoringService;
+  let mockDockerService;
+  let mockRepository;
+  let mockProjectRepository;
+  let traffic;
+  let containerStats;
+
+  const at = (time) => new Date(`2024-01-15T10:${time}Z`);
+  const stored = (resolution) => mockRepository.insertMany.mock.calls
+    .filter(([r]) => r === resolution)
+    .flatMap(([, samples]) => samples);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    traffic = { lo: { rxBytes: 5000, txBytes: 5000 }, eth0: { rxBytes: 10000, txBytes: 2000 } };
+    containerStats = {
+      'my-app': { cpuPercent: 20, memoryUsage: 1000, memoryPercent: 10, networkRx: 100, networkTx: 50, pids: 3 }
+    };
+
+    mockMonitoringService = {
+      getCpuMetrics: jest.fn().mockResolvedValue({ usage: 30, loadAverage: { '1min': 0.5 } }),
+      getMemoryMetrics: jest.fn().mockResolvedValue({ used: 4000, percentage: 50 }),
+      getDiskMetrics: jest.fn().mockResolvedValue({ percentage: 42 }),
+      getNetworkTraffic: jest.fn(async () => traffic)
+    };
+    mockDockerService = { getContainerStats: jest.fn(async () => containerStats) };
+    mockRepository = {
+      insertMany: jest.fn().mockResolvedValue([]),
+      findRange: jest.fn().mockResolvedValue([])
+    };
+    mockProjectRepository = {
+      findByStatus: jest.fn().mockResolvedValue([{ _id: 'project123', name: 'my-app' }]),
+      findById: jest.fn().mockResolvedValue({ _id: 'project123', name: 'my-app' })
+    };
+
+    historyService = new MetricsHistoryService({
+      monitoringService: mockMonitoringService,
+      dockerService: mockDockerService,
+      metricSampleRepository: mockRepository,
+      projectRepository: mockProjectRepository
+    });
+  });
+
+  describe('sample', () => {
+    it('should store host and project samples at 10s resolution', async () => {
+      await historyService.sample(at('00:00'));
+
+      expect(stored('10s')).toEqual([
+        {
+          timestamp: at('00:00'),
+          meta: { source: 'host', project: null },
+          cpu: 30,
+          memory: 4000,
+          memoryPercent: 50,
+          diskPercent: 42,
+          load: 0.5,
+          networkRx: null,
+          networkTx: null
+        },
+        {
+          timestamp: at('00:00'),
+          meta: { source: 'project', project: 'project123' },
+          cpu: 20,
+          memory: 1000,
+          memoryPercent: 10,
+          networkRx: null,
+          networkTx: null
+        }
+      ]);
+    });
+
+    it('should derive network throughput from consecutive samples, without loopback', async () => {
+      await historyService.sample(at('00:00'));
+      traffic = { lo: { rxBytes: 900000, txBytes: 900000 }, eth0: { rxBytes: 30000, txBytes: 3000 } };
+      containerStats['my-app'] = { ...containerStats['my-app'], networkRx: 1100, networkTx: 40 };
+
+      const [host, project] = await historyService.sample(at('00:10'));
+
+      expect(host).toMatchObject({ networkRx: 2000, networkTx: 100 });
+      // The container restarted, so its counters went down
+      expect(project).toMatchObject({ networkRx: null, networkTx: null });
+    });
+
+    it('should store the host sample when docker stats fails', async () => {
+      mockDockerService.getContainerStats.mockRejectedValue(new Error('Cannot connect to the Docker daemon'));
+
+      const samples = await historyService.sample(at('00:00'));
+
+      expect(samples).toHaveLength(1);
+      expect(samples[0].meta.source).toBe('host');
+    });
+  });
+
+  describe('roll-up', () => {
+    it('should store the average of a minute once the minute is complete', async () => {
+      await historyService.sample(at('00:40'));
+      mockMonitoringService.getCpuMetrics.mockResolvedValue({ usage: 50, loadAverage: { '1min': 1.5 } });
+      await historyService.sample(at('00:50'));
+
+      expect(stored('1m')).toEqual([]);
+
+      await historyService.sample(at('01:00'));
+
+      const [host, project] = stored('1m');
+      expect(host).toMatchObject({
+        timestamp: at('00:00'),
+        meta: { source: 'host', project: null },
+        cpu: 40,
+        load: 1,
+        networkRx: 0
+      });
+      expect(project).toMatchObject({ meta: { source: 'project', project: 'project123' }, cpu: 20 });
+      expect(stored('15m')).toEqual([]);
+    });
+
+    it('should complete the bucket of a project that stopped', async () => {
+      await historyService.sample(at('00:50'));
+      mockProjectRepository.findByStatus.mockResolvedValue([]);
+
+      await historyService.sample(at('01:00'));
+
+      expect(stored('1m').map(sample => sample.meta.source)).toEqual(['host', 'project']);
+    });
+  });
+
+  describe('getHistory', () => {
+    it.each([
+      ['1h', '10s'],
+      ['6h', '1m'],
+      ['24h', '1m'],
+      ['7d', '15m'],
+      ['30d', '15m']
+    ])('should read the %s window at %s resolution', async (window, resolution) => {
+      const history = await historyService.getHistory({ window });
+
+      expect(history).toMatchObject({ window, resolution });
+      expect(mockRepository.findRange).toHaveBeenCalledWith(
+        resolution,
+        { source: 'host' },
+        history.from,
+        history.to
+      );
+    });
+
+    it('should read the series of a project', async () => {
+      await historyService.getHistory({ window: '24h', projectId: 'project123' });
+
+      expect(mockRepository.findRange).toHaveBeenCalledWith(
+        '1m',
+        { source: 'project', project: 'project123' },
+        expect.any(Date),
+        expect.any(Date)
+      );
+    });
+
+    it('should reject an unknown project or window', async () => {
+      mockProjectRepository.findById.mockResolvedValue(null);
+
+      await expect(historyService.getHistory({ window: '1h', projectId: 'missing' })).rejects.toThrow('Project not found');
+      await expect(historyService.getHistory({ window: '2h' })).rejects.toThrow('Window must be one of');
+    });
+  });
+});
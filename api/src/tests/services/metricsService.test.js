@@ -0,0 +1,183 @@
+jest.mock('../../repositories/projectRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { MetricsService } = require('../../services/metricsService');
+
+describe('MetricsService', () => {
+  let metricsService;
+  let mockMonitoringService;
+  let mockDockerService;
+  let mockDatabasePerformanceService;
+  let mockProjectRepository;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockMonitoringService = {
+      getCachedMetrics: jest.fn().mockReturnValue(null),
+      getSystemMetrics: jest.fn().mockResolvedValue({
+        system: { uptime: 3600 },
+        cpu: { usage: 12, loadAverage: { '1min': 0.5, '5min': 0.4, '15min': 0.3 } },
+        memory: { total: 8000, used: 3000, free: 5000 },
+        disk: { percentage: 42, mountPoint: '/' },
+        network: { traffic: { eth0: { rxBytes: 1000, txBytes: 200 } } }
+      })
+    };
+    mockDockerService = {
+      getContainerStats: jest.fn().mockResolvedValue({
+        'my-app': {
+          cpuPercent: 12.5,
+          memoryUsage: 134217728,
+          memoryLimit: 268435456,
+          memoryPercent: 50,
+          pids: 14,
+          networkRx: 1500,
+          networkTx: 648
+        },
+        'pi-mongodb': { cpuPercent: 1, memoryUsage: 1, memoryLimit: 1, memoryPercent: 0, pids: 30, networkRx: 0, networkTx: 0 }
+      })
+    };
+    mockDatabasePerformanceService = {
+      getPerformanceMetrics: jest.fn().mockReturnValue({
+        queries: [{ operation: 'find', collection: 'projects', count: 40, totalDuration: 2000 }],
+        slowQueries: { count: 2 }
+      })
+    };
+    mockProjectRepository = {
+      findAll: jest.fn().mockResolvedValue({
+        projects: [
+          { name: 'my-app', status: 'running' },
+          { name: 'blog', status: 'stopped' },
+          { name: 'shop', status: 'running' }
+        ]
+      })
+    };
+
+    metricsService = new MetricsService({
+      monitoringService: mockMonitoringService,
+      dockerService: mockDockerService,
+      databasePerformanceService: mockDatabasePerformanceService,
+      projectRepository: mockProjectRepository
+    });
+  });
+
+  describe('observeRequest', () => {
+    it('should label requests by route pattern and record latency buckets', async () => {
+      const req = { method: 'GET', baseUrl: '/api/projects', route: { path: '/:id' } };
+
+      metricsService.observeRequest(req, { statusCode: 200 }, 30);
+      metricsService.observeRequest(req, { statusCode: 200 }, 700);
+      metricsService.observeRequest({ method: 'GET' }, { statusCode: 404 }, 2);
+
+      const output = await metricsService.render();
+
+      expect(output).toContain('# TYPE pihost_http_requests_total counter');
+      expect(output).toContain('pihost_http_requests_total{method="GET",route="/api/projects/:id",status="200"} 2');
+      expect(output).toContain('pihost_http_requests_total{method="GET",route="unmatched",status="404"} 1');
+      expect(output).toContain('pihost_http_request_duration_seconds_bucket{method="GET",route="/api/projects/:id",le="0.05"} 1');
+      expect(output).toContain('pihost_http_request_duration_seconds_bucket{method="GET",route="/api/projects/:id",le="1"} 2');
+      expect(output).toContain('pihost_http_request_duration_seconds_bucket{method="GET",route="/api/projects/:id",le="+Inf"} 2');
+      expect(output).toContain('pihost_http_request_duration_seconds_sum{method="GET",route="/api/projects/:id"} 0.73');
+    });
+  });
+
+  describe('recordDeployment', () => {
+    it('should count deployments and record their duration', async () => {
+      const startedAt = new Date(Date.now() - 90 * 1000);
+
+      metricsService.recordDeployment({ trigger: 'webhook', startedAt }, 'succeeded');
+      metricsService.recordDeployment({ trigger: 'webhook', startedAt }, 'failed');
+
+      const output = await metricsService.render();
+
+      expect(output).toContain('pihost_deployments_total{trigger="webhook",status="succeeded"} 1');
+      expect(output).toContain('pihost_deployments_total{trigger="webhook",status="failed"} 1');
+      expect(output).toContain('pihost_deployment_duration_seconds_bucket{trigger="webhook",status="succeeded",le="60"} 0');
+      expect(output).toContain('pihost_deployment_duration_seconds_bucket{trigger="webhook",status="succeeded",le="120"} 1');
+    });
+  });
+
+  describe('render', () => {
+    it('should expose host, project and MongoDB metrics', async () => {
+      const output = await metricsService.render();
+
+      expect(output).toContain('pihost_host_cpu_usage_percent 12');
+      expect(output).toContain('pihost_host_load_average{period="5m"} 0.4');
+      expect(output).toContain('pihost_host_memory_bytes{state="used"} 3000');
+      expect(output).toContain('pihost_host_disk_usage_percent{mountpoint="/"} 42');
+      expect(output).toContain('pihost_host_network_receive_bytes{interface="eth0"} 1000');
+      expect(output).toContain('pihost_projects{status="running"} 2');
+      expect(output).toContain('pihost_projects{status="stopped"} 1');
+      expect(output).toContain('pihost_project_memory_usage_bytes{project="my-app"} 134217728');
+      expect(output).toContain('pihost_project_network_transmit_bytes{project="my-app"} 648');
+      expect(output).not.toContain('project="pi-mongodb"');
+      expect(output).toContain('pihost_mongodb_queries_total{operation="find",collection="projects"} 40');
+      expect(output).toContain('pihost_mongodb_query_duration_seconds_total{operation="find",collection="projects"} 2');
+      expect(output).toContain('pihost_mongodb_slow_queries 2');
+      expect(output).toContain('pihost_collector_success{collector="projects"} 1');
+      expect(output.endsWith('\n')).toBe(true);
+    });
+
+    it('should drop the series of containers that stopped since the last scrape', async () => {
+      await metricsService.render();
+      mockDockerService.getContainerStats.mockResolvedValue({});
+
+      const output = await metricsService.render();
+
+      expect(output).not.toContain('project="my-app"');
+      expect(output).toContain('pihost_projects{status="running"} 2');
+    });
+
+    it('should still render the other sources when a collector fails', async () => {
+      mockDockerService.getContainerStats.mockRejectedValue(new Error('Cannot connect to the Docker daemon'));
+
+      const output = await metricsService.render();
+
+      expect(output).toContain('pihost_collector_success{collector="projects"} 0');
+      expect(output).toContain('pihost_collector_success{collector="host"} 1');
+      expect(output).toContain('pihost_host_cpu_usage_percent 12');
+    });
+
+    it('should escape label values', async () => {
+      mockProjectRepository.findAll.mockResolvedValue({ projects: [{ name: 'my-app', status: 'we"ird\\' }] });
+
+      const output = await metricsService.render();
+
+      expect(output).toContain('pihost_projects{status="we\\"ird\\\\"} 1');
+    });
+  });
+
+  describe('verifyScrapeToken', () => {
+    const originalToken = process.env.METRICS_TOKEN;
+
+    afterEach(() => {
+      if (originalToken === undefined) {
+        delete process.env.METRICS_TOKEN;
+      } else {
+        process.env.METRICS_TOKEN = originalToken;
+      }
+    });
+
+    it('should hide the endpoint when no token is configured', () => {
+      delete process.env.METRICS_TOKEN;
+
+      expect(() => metricsService.verifyScrapeToken('Bearer anything')).toThrow('Metrics endpoint not found');
+    });
+
+    it('should only accept the configured bearer token', () => {
+      process.env.METRICS_TOKEN = 'scrape-token';
+
+      expect(() => metricsService.verifyScrapeToken('Bearer scrape-token')).not.toThrow();
+      expect(() => metricsService.verifyScrapeToken('Bearer wrong-token')).toThrow('Permission denied');
+      expect(() => metricsService.verifyScrapeToken('Basic scrape-token')).toThrow('Permission denied');
+      expect(() => metricsService.verifyScrapeToken(undefined)).toThrow('Permission denied');
+    });
+  });
+});
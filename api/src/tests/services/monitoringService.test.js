@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  },
+  performanceLogger: {
+    startTimer: jest.fn(() => ({ end: jest.fn() }))
+  }
+}));
+
+const MonitoringService = require('../../services/monitoringService');
+
+describe('MonitoringService', () => {
+  let monitoringService;
+  let sysfsRoot;
+  let mockVcgencmd;
+  let mockNotificationService;
+
+  // Lay out a fake sysfs tree like the one of a Raspberry Pi 5
+  const writeSysfs = async (files) => {
+    for (const [file, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(sysfsRoot, file)), { recursive: true });
+      await fs.writeFile(path.join(sysfsRoot, file), `${content}\n`);
+    }
+  };
+
+  const vcgencmdOutput = (outputs) => {
+    mockVcgencmd.mockImplementation(async (args) => {
+      if (!(args[0] in outputs)) throw new Error(`unknown command ${args[0]}`);
+      return outputs[args[0]];
+    });
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    sysfsRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'sysfs-'));
+    mockVcgencmd = jest.fn().mockRejectedValue(Object.assign(new Error('spawn vcgencmd ENOENT'), { code: 'ENOENT' }));
+    mockNotificationService = { notify: jest.fn().mockResolvedValue([]) };
+
+    monitoringService = new MonitoringService({
+      sysfsRoot,
+      vcgencmd: mockVcgencmd,
+      notificationService: mockNotificationService
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(sysfsRoot, { recursive: true, force: true });
+  });
+
+  describe('getHardwareMetrics', () => {
+    it('should read temperature, clock and fan from sysfs', async () => {
+      await writeSysfs({
+        'class/thermal/thermal_zone0/type': 'rp1_adc',
+        'class/thermal/thermal_zone0/temp': '38000',
+        'class/thermal/thermal_zone1/type': 'cpu-thermal',
+        'class/thermal/thermal_zone1/temp': '52650',
+        'devices/system/cpu/cpu0/cpufreq/scaling_cur_freq': '1500000',
+        'devices/system/cpu/cpu0/cpufreq/scaling_max_freq': '2400000',
+        'class/hwmon/hwmon0/name': 'rp1_adc',
+        'class/hwmon/hwmon2/name': 'pwmfan',
+        'class/hwmon/hwmon2/fan1_input': '3012',
+        'class/hwmon/hwmon2/pwm1': '102'
+      });
+
+      const hardware = await monitoringService.getHardwareMetrics();
+
+      expect(hardware).toEqual({
+        temperature: 52.7,
+        clock: { current: 1500, max: 2400 },
+        fan: { rpm: 3012, speed: 40, running: true },
+        throttling: null,
+        voltage: null
+      });
+    });
+
+    it('should read throttling and voltage from vcgencmd', async () => {
+      vcgencmdOutput({
+        get_throttled: 'throttled=0x50005\n',
+        measure_volts: 'volt=0.8600V\n'
+      });
+
+      const hardware = await monitoringService.getHardwareMetrics();
+
+      expect(hardware.throttling).toEqual({
+        source: 'vcgencmd',
+        raw: '0x50005',
+        now: { underVoltage: true, frequencyCapped: false, throttled: true, softTemperatureLimit: false },
+        sinceBoot: { underVoltage: true, frequencyCapped: false, throttled: true, softTemperatureLimit: false }
+      });
+      expect(hardware.voltage).toBe(0.86);
+    });
+
+    it('should fall back to the under-voltage sensor without vcgencmd', async () => {
+      await writeSysfs({
+        'class/hwmon/hwmon1/name': 'rpi_volt',
+        'class/hwmon/hwmon1/in0_lcrit_alarm': '1'
+      });
+
+      const hardware = await monitoringService.getHardwareMetrics();
+      const calls = mockVcgencmd.mock.calls.length;
+      await monitoringService.getHardwareMetrics();
+
+      expect(hardware.throttling).toEqual({ source: 'hwmon', raw: null, now: { underVoltage: true }, sinceBoot: null });
+      // A missing vcgencmd is not spawned again
+      expect(mockVcgencmd).toHaveBeenCalledTimes(calls);
+    });
+
+    it('should report nothing on a box without Pi hardware', async () => {
+      await expect(monitoringService.getHardwareMetrics()).resolves.toEqual({
+        temperature: null,
+        clock: null,
+        fan: null,
+        throttling: null,
+        voltage: null
+      });
+    });
+  });
+
+  describe('checkThrottling', () => {
+    const throttling = (now = {}, sinceBoot = {}) => ({
+      source: 'vcgencmd',
+      now: { underVoltage: false, frequencyCapped: false, throttled: false, softTemperatureLimit: false, ...now },
+      sinceBoot: { underVoltage: false, frequencyCapped: false, throttled: false, softTemperatureLimit: false, ...sinceBoot }
+    });
+
+    it('should notify once while the Pi stays under-voltage', () => {
+      monitoringService.checkThrottling(throttling({ underVoltage: true }, { underVoltage: true }));
+      monitoringService.checkThrottling(throttling({ underVoltage: true }, { underVoltage: true }));
+
+      expect(mockNotificationService.notify).toHaveBeenCalledTimes(1);
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('hardware.undervoltage', expect.objectContaining({
+        message: 'The Pi is running under-voltage. Check the power supply and cable.'
+      }));
+
+      monitoringService.checkThrottling(throttling({}, { underVoltage: true }));
+      monitoringService.checkThrottling(throttling({ underVoltage: true }, { underVoltage: true }));
+
+      expect(mockNotificationService.notify).toHaveBeenCalledTimes(2);
+    });
+
+    it('should notify about throttling that occurred between two checks', () => {
+      monitoringService.checkThrottling(throttling());
+      monitoringService.checkThrottling(throttling({}, { frequencyCapped: true, softTemperatureLimit: true }));
+
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('hardware.throttled', expect.objectContaining({
+        message: 'The Pi was throttled: ARM frequency capped, soft temperature limit.'
+      }));
+    });
+
+    it('should not notify about throttling that occurred before the first check', () => {
+      monitoringService.checkThrottling(throttling({}, { underVoltage: true, throttled: true }));
+      monitoringService.checkThrottling(throttling({}, { underVoltage: true, throttled: true }));
+
+      expect(mockNotificationService.notify).not.toHaveBeenCalled();
+    });
+  });
+});
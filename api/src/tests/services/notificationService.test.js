@@ -0,0 +1,270 @@
+jest.mock('../../repositories/notificationChannelRepository');
+jest.mock('../../repositories/notificationDeliveryRepository');
+jest.mock('../../repositories/projectRepository');
+jest.mock('../../repositories/userRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const notificationChannelRepository = require('../../repositories/notificationChannelRepository');
+const notificationDeliveryRepository = require('../../repositories/notificationDeliveryRepository');
+const projectRepository = require('../../repositories/projectRepository');
+const userRepository = require('../../repositories/userRepository');
+const SecretCipher = require('../../utils/secretCipher');
+const { NotificationService } = require('../../services/notificationService');
+
+describe('NotificationService', () => {
+  let notificationService;
+  let cipher;
+  let sent;
+  let failures;
+  let admin;
+  let owner;
+  let member;
+  let otherUser;
+  let project;
+
+  const user = (id, overrides = {}) => ({
+    _id: id,
+    email: `${id}@example.com`,
+    roles: ['user'],
+    isActive: true,
+    isDeleted: false,
+    preferences: { notifications: true },
+    settings: { emailNotifications: true, projectUpdates: true, systemAlerts: true },
+    ...overrides
+  });
+
+  const channel = (id, owner, overrides = {}) => ({
+    _id: id,
+    name: id,
+    user: owner,
+    type: 'webhook',
+    enabled: true,
+    projects: [],
+    destination: { url: `https://hooks.example.com/${id}` },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    sent = [];
+    failures = 0;
+    cipher = new SecretCipher('test-master-key-with-at-least-32-characters');
+    notificationService = new NotificationService({
+      cipher,
+      retryDelays: [0, 0],
+      createChannel: ({ type, destination }) => ({
+        send: jest.fn(async (notification) => {
+          if (failures > 0) {
+            failures -= 1;
+            throw new Error('connect ECONNREFUSED');
+          }
+          sent.push({ type, destination, notification });
+        })
+      })
+    });
+
+    admin = user('admin1', { roles: ['admin'] });
+    owner = user('owner1');
+    member = user('member1');
+    otherUser = user('user2');
+    project = { _id: 'project123', name: 'my-app', createdBy: 'owner1', members: [{ user: 'member1', role: 'viewer' }] };
+
+    projectRepository.findById.mockResolvedValue(project);
+    notificationChannelRepository.recordDelivery.mockResolvedValue({});
+    notificationDeliveryRepository.create.mockImplementation(async (data) => data);
+  });
+
+  describe('notify', () => {
+    it('should deliver project events to the owner, members and admins only', async () => {
+      notificationChannelRepository.findSubscribed.mockResolvedValue([
+        channel('admin-hook', admin),
+        channel('owner-hook', owner),
+        channel('member-hook', member),
+        channel('other-hook', otherUser)
+      ]);
+
+      const deliveries = await notificationService.notify('deploy.failed', {
+        projectId: 'project123',
+        message: 'The deploy deployment failed: build failed'
+      });
+
+      expect(notificationChannelRepository.findSubscribed).toHaveBeenCalledWith('deploy.failed');
+      expect(sent.map(entry => entry.destination.url)).toEqual([
+        'https://hooks.example.com/admin-hook',
+        'https://hooks.example.com/owner-hook',
+        'https://hooks.example.com/member-hook'
+      ]);
+      expect(sent[0].notification).toMatchObject({
+        event: 'deploy.failed',
+        title: 'Deployment failed: my-app',
+        severity: 'critical',
+        project: { id: 'project123', name: 'my-app' }
+      });
+      expect(deliveries).toHaveLength(3);
+      expect(notificationDeliveryRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'owner-hook',
+        user: 'owner1',
+        event: 'deploy.failed',
+        project: 'project123',
+        status: 'sent',
+        attempts: 1
+      }));
+    });
+
+    it('should deliver system events to admins only', async () => {
+      notificationChannelRepository.findSubscribed.mockResolvedValue([
+        channel('admin-hook', admin),
+        channel('owner-hook', owner)
+      ]);
+
+      await notificationService.notify('disk.full', { subject: 'raspberrypi', message: '/ is 95% full' });
+
+      expect(projectRepository.findById).not.toHaveBeenCalled();
+      expect(sent).toHaveLength(1);
+      expect(sent[0].notification.title).toBe('Disk almost full: raspberrypi');
+    });
+
+    it('should only deliver events of the projects a channel is limited to', async () => {
+      notificationChannelRepository.findSubscribed.mockResolvedValue([
+        channel('other-project', admin, { projects: ['project456'] }),
+        channel('this-project', admin, { projects: ['project123'] })
+      ]);
+
+      await notificationService.notify('project.crashed', { projectId: 'project123', message: 'stopped' });
+
+      expect(sent.map(entry => entry.destination.url)).toEqual(['https://hooks.example.com/this-project']);
+    });
+
+    it('should respect the notification settings of the channel owner', async () => {
+      notificationChannelRepository.findSubscribed.mockResolvedValue([
+        channel('muted', user('admin2', { roles: ['admin'], preferences: { notifications: false } })),
+        channel('no-email', user('admin3', { roles: ['admin'], settings: { emailNotifications: false } }), {
+          type: 'email',
+          destination: { to: 'admin3@example.com' }
+        }),
+        channel('no-system-alerts', user('admin4', { roles: ['admin'], settings: { systemAlerts: false } })),
+        channel('inactive', user('admin5', { roles: ['admin'], isActive: false })),
+        channel('admin-hook', admin)
+      ]);
+
+      await notificationService.notify('backup.failed', { subject: 'nightly', message: 'The backup failed' });
+
+      expect(sent.map(entry => entry.destination.url)).toEqual(['https://hooks.example.com/admin-hook']);
+    });
+
+    it('should retry a failed delivery and record the outcome', async () => {
+      notificationChannelRepository.findSubscribed.mockResolvedValue([channel('admin-hook', admin)]);
+      failures = 2;
+
+      await notificationService.notify('backup.succeeded', { subject: 'nightly', message: 'done' });
+
+      expect(sent).toHaveLength(1);
+      expect(notificationDeliveryRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'sent',
+        attempts: 3,
+        error: null
+      }));
+      expect(notificationChannelRepository.recordDelivery).toHaveBeenCalledWith('admin-hook', 'sent');
+    });
+
+    it('should record a delivery that failed every attempt', async () => {
+      notificationChannelRepository.findSubscribed.mockResolvedValue([channel('admin-hook', admin)]);
+      failures = 3;
+
+      await notificationService.notify('backup.succeeded', { subject: 'nightly', message: 'done' });
+
+      expect(notificationDeliveryRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        attempts: 3,
+        error: 'connect ECONNREFUSED'
+      }));
+      expect(notificationChannelRepository.recordDelivery).toHaveBeenCalledWith('admin-hook', 'failed');
+    });
+
+    it('should never throw', async () => {
+      notificationChannelRepository.findSubscribed.mockRejectedValue(new Error('database down'));
+
+      await expect(notificationService.notify('disk.full', { message: 'full' })).resolves.toEqual([]);
+    });
+  });
+
+  describe('channels', () => {
+    beforeEach(() => {
+      notificationChannelRepository.isNameAvailable.mockResolvedValue(true);
+      notificationChannelRepository.create.mockImplementation(async (data) => ({ _id: 'channel1', ...data }));
+      notificationChannelRepository.update.mockImplementation(async (id, data) => ({ _id: id, ...data }));
+    });
+
+    it('should store tokens encrypted', async () => {
+      const created = await notificationService.createNotificationChannel('owner1', {
+        name: 'phone',
+        type: 'ntfy',
+        events: ['health.failed'],
+        destination: { topic: 'pi-alerts', token: 'tk_secret' }
+      });
+
+      expect(created.user).toBe('owner1');
+      expect(created.destination.token).not.toBe('tk_secret');
+      expect(cipher.decrypt(created.destination.token)).toBe('tk_secret');
+    });
+
+    it('should mail the user when an email channel has no recipient', async () => {
+      userRepository.findById.mockResolvedValue(owner);
+
+      const created = await notificationService.createNotificationChannel('owner1', {
+        name: 'mail',
+        type: 'email',
+        events: ['deploy.failed'],
+        destination: {}
+      });
+
+      expect(created.destination.to).toBe('owner1@example.com');
+    });
+
+    it('should keep the stored secret when a destination is updated without one', async () => {
+      notificationChannelRepository.findByUserAndId.mockResolvedValue(
+        channel('hook', 'owner1', { destination: { url: 'https://old.example.com', secret: 'encrypted-secret' } })
+      );
+
+      const updated = await notificationService.updateNotificationChannel('owner1', 'hook', {
+        type: 'webhook',
+        destination: { url: 'https://new.example.com' }
+      });
+
+      expect(updated.destination).toEqual({ url: 'https://new.example.com', secret: 'encrypted-secret' });
+    });
+
+    it('should reject a duplicate channel name', async () => {
+      notificationChannelRepository.isNameAvailable.mockResolvedValue(false);
+
+      await expect(notificationService.createNotificationChannel('owner1', {
+        name: 'phone',
+        type: 'slack',
+        events: ['deploy.failed'],
+        destination: { url: 'https://hooks.slack.com/services/x' }
+      })).rejects.toThrow('A notification channel with this name already exists');
+    });
+
+    it('should send a test notification once with decrypted credentials', async () => {
+      notificationChannelRepository.findByUserAndId.mockResolvedValue(
+        channel('hook', 'owner1', { destination: { url: 'https://hooks.example.com/hook', secret: cipher.encrypt('s3cret') } })
+      );
+      failures = 1;
+
+      const delivery = await notificationService.testNotificationChannel('owner1', 'hook');
+
+      expect(delivery).toMatchObject({ event: 'test', status: 'failed', attempts: 1 });
+
+      await notificationService.testNotificationChannel('owner1', 'hook');
+      expect(sent[0].destination.secret).toBe('s3cret');
+    });
+  });
+});
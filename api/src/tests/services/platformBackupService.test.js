@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../repositories/backupPolicyRepository');
+jest.mock('../../repositories/platformBackupRepository');
+jest.mock('../../repositories/projectRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const backupPolicyRepository = require('../../repositories/backupPolicyRepository');
+const platformBackupRepository = require('../../repositories/platformBackupRepository');
+const projectRepository = require('../../repositories/projectRepository');
+const { PlatformBackupService } = require('../../services/platformBackupService');
+const SecretCipher = require('../../utils/secretCipher');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('PlatformBackupService', () => {
+  let backupService;
+  let mockDockerService;
+  let mockCommandExecutor;
+  let mockScheduler;
+  let cipher;
+  let mockNotificationService;
+  let workDir;
+  let targetDir;
+  let policy;
+  let records;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'platform-backups-'));
+    targetDir = path.join(workDir, 'target');
+
+    // Every snapshot command writes a small file naming what it dumped
+    mockCommandExecutor = {
+      execute: jest.fn(),
+      executeToFile: jest.fn(async (command, args, file) => {
+        await fs.writeFile(file, `${command} ${args.slice(0, 3).join(' ')}`);
+      })
+    };
+    mockDockerService = {
+      getProjectVolumes: jest.fn(async (projectName) => [`${projectName}_${projectName}_logs`]),
+      exportVolume: jest.fn(async (volume, file) => fs.writeFile(file, `volume ${volume}`))
+    };
+    mockScheduler = {
+      schedule: jest.fn(() => ({ stop: jest.fn() }))
+    };
+    cipher = new SecretCipher('test-master-key-with-at-least-32-characters');
+    mockNotificationService = { notify: jest.fn().mockResolvedValue([]) };
+
+    backupService = new PlatformBackupService({
+      dockerService: mockDockerService,
+      commandExecutor: mockCommandExecutor,
+      scheduler: mockScheduler,
+      cipher,
+      notificationService: mockNotificationService,
+      addonService: { getVolumeNames: jest.fn().mockResolvedValue([]) }
+    });
+    backupService.stagingDir = path.join(workDir, 'staging');
+
+    policy = {
+      _id: 'policy123',
+      name: 'nightly',
+      schedule: '0 2 * * *',
+      enabled: true,
+      components: { mongodb: true, redis: true, volumes: true, projects: true },
+      target: { type: 'local', path: targetDir },
+      retention: { keepLast: 2, maxAgeDays: null }
+    };
+
+    // Minimal in-memory stand-in for the backups collection
+    records = new Map();
+    backupPolicyRepository.findById.mockImplementation(async () => policy);
+    backupPolicyRepository.recordRun.mockResolvedValue({});
+    platformBackupRepository.create.mockImplementation(async (data) => {
+      const record = { _id: `backup${records.size + 1}`, status: 'running', startedAt: new Date(), artifacts: [], ...data };
+      records.set(record._id, record);
+      return record;
+    });
+    platformBackupRepository.finish.mockImplementation(async (id, status, updates) => {
+      Object.assign(records.get(id), updates, { status });
+      return records.get(id);
+    });
+    platformBackupRepository.findById.mockImplementation(async (id) => records.get(id) || null);
+    platformBackupRepository.findSucceededByPolicy.mockImplementation(async () =>
+      [...records.values()].filter(record => record.status === 'succeeded').sort((a, b) => b.startedAt - a.startedAt)
+    );
+    platformBackupRepository.delete.mockImplementation(async (id) => records.delete(id));
+    platformBackupRepository.setVerified.mockResolvedValue({});
+    projectRepository.findAll.mockResolvedValue({ projects: [{ name: 'my-app' }] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const readStored = (key) => fs.readFile(path.join(targetDir, key), 'utf8');
+
+  describe('runBackup', () => {
+    it('should upload every component with its checksum and a manifest', async () => {
+      const backup = await backupService.runBackup('policy123', { trigger: 'schedule' });
+
+      expect(backup.status).toBe('succeeded');
+      expect(backup.artifacts.map(artifact => artifact.component)).toEqual(['mongodb', 'redis', 'volume', 'projects']);
+      expect(backup.artifacts[2].source).toBe('my-app_my-app_logs');
+      expect(backup.location).toBe(path.join(targetDir, backup.prefix));
+
+      for (const artifact of backup.artifacts) {
+        const stored = await readStored(artifact.key);
+        expect(artifact.sha256).toBe(sha256(stored));
+        expect(artifact.size).toBe(Buffer.byteLength(stored));
+      }
+
+      const manifest = JSON.parse(await readStored(`${backup.prefix}/manifest.json`));
+      expect(manifest.artifacts).toHaveLength(4);
+      expect(backupPolicyRepository.recordRun).toHaveBeenCalledWith('policy123', 'succeeded');
+      // The staging directory is cleaned up
+      await expect(fs.readdir(backupService.stagingDir)).resolves.toEqual([]);
+    });
+
+    it('should dump MongoDB and Redis inside their containers', async () => {
+      await backupService.runBackup('policy123');
+
+      const [mongoCall, redisCall] = mockCommandExecutor.executeToFile.mock.calls;
+      expect(mongoCall[1]).toEqual(expect.arrayContaining(['exec', 'pi-mongodb', 'mongodump', '--archive', '--gzip']));
+      expect(redisCall[1]).toEqual(expect.arrayContaining(['exec', 'pi-redis', 'sh']));
+      expect(redisCall[1].join(' ')).toContain('redis-cli --rdb /tmp/platform-backup.rdb');
+    });
+
+    it('should only back up the selected components', async () => {
+      policy.components = { mongodb: false, redis: false, volumes: true, projects: false };
+
+      const backup = await backupService.runBackup('policy123');
+
+      expect(backup.artifacts.map(artifact => artifact.component)).toEqual(['volume']);
+      expect(mockCommandExecutor.executeToFile).not.toHaveBeenCalled();
+    });
+
+    it('should record a failed run and remove the files it already uploaded', async () => {
+      mockDockerService.exportVolume.mockRejectedValue(new Error('volume is busy'));
+
+      const backup = await backupService.runBackup('policy123');
+
+      expect(backup.status).toBe('failed');
+      expect(backup.error).toBe('volume is busy');
+      expect(backupPolicyRepository.recordRun).toHaveBeenCalledWith('policy123', 'failed');
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('backup.failed', expect.objectContaining({
+        subject: 'nightly',
+        message: 'The backup failed: volume is busy'
+      }));
+      // MongoDB and Redis were uploaded before the volume failed
+      await expect(fs.readdir(path.join(targetDir, 'nightly'))).resolves.toEqual([]);
+    });
+
+    it('should refuse to start a second run of the same policy', async () => {
+      const first = backupService.runBackup('policy123');
+
+      await expect(backupService.runBackup('policy123')).rejects.toThrow('A backup of this policy is already running');
+      await first;
+    });
+  });
+
+  describe('retention', () => {
+    it('should delete the oldest backups beyond keepLast', async () => {
+      const first = await backupService.runBackup('policy123');
+      first.startedAt = new Date(Date.now() - 60000);
+      await backupService.runBackup('policy123');
+      await backupService.runBackup('policy123');
+
+      expect(records.has(first._id)).toBe(false);
+      expect([...records.values()].filter(record => record.status === 'succeeded')).toHaveLength(2);
+      await expect(readStored(first.artifacts[0].key)).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    it('should delete backups older than maxAgeDays but keep the newest', async () => {
+      policy.retention = { keepLast: 10, maxAgeDays: 7 };
+      const old = await backupService.runBackup('policy123');
+      old.startedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+
+      await backupService._applyRetention(policy, backupService._getTarget(policy));
+      expect(records.has(old._id)).toBe(true);
+
+      await backupService.runBackup('policy123');
+      expect(records.has(old._id)).toBe(false);
+    });
+  });
+
+  describe('verifyBackup', () => {
+    it('should detect a stored file that no longer matches its checksum', async () => {
+      const backup = await backupService.runBackup('policy123');
+      await fs.writeFile(path.join(targetDir, backup.artifacts[1].key), 'corrupted');
+
+      const result = await backupService.verifyBackup(backup._id);
+
+      expect(result.verified).toBe(false);
+      expect(result.artifacts.map(artifact => artifact.valid)).toEqual([true, false, true, true]);
+      expect(platformBackupRepository.setVerified).toHaveBeenCalledWith(backup._id, false);
+    });
+  });
+
+  describe('policies', () => {
+    beforeEach(() => {
+      backupPolicyRepository.isNameAvailable.mockResolvedValue(true);
+      backupPolicyRepository.create.mockImplementation(async (data) => ({ _id: 'policy456', ...data }));
+    });
+
+    it('should store S3 secret keys encrypted and schedule the policy', async () => {
+      const created = await backupService.createPolicy({
+        name: 'offsite',
+        schedule: '30 3 * * 0',
+        enabled: true,
+        target: { type: 's3', endpoint: 'http://minio:9000', bucket: 'backups', accessKeyId: 'minio', secretAccessKey: 'minio-secret' }
+      }, 'user1');
+
+      expect(created.target.secretAccessKey).not.toBe('minio-secret');
+      expect(cipher.decrypt(created.target.secretAccessKey)).toBe('minio-secret');
+      expect(mockScheduler.schedule).toHaveBeenCalledWith('30 3 * * 0', expect.any(Function));
+    });
+
+    it('should keep the stored secret key when a target is updated without one', async () => {
+      policy.target = { type: 's3', secretAccessKey: 'encrypted-key' };
+      backupPolicyRepository.update.mockImplementation(async (id, updates) => ({ ...policy, ...updates }));
+
+      const updated = await backupService.updatePolicy('policy123', {
+        target: { type: 's3', endpoint: 'http://minio:9000', bucket: 'other', accessKeyId: 'minio' }
+      });
+
+      expect(updated.target.secretAccessKey).toBe('encrypted-key');
+    });
+
+    it('should reject an invalid cron schedule', async () => {
+      await expect(backupService.createPolicy({ name: 'broken', schedule: 'every night', target: { type: 'local' } }))
+        .rejects.toThrow('Invalid cron schedule: every night');
+    });
+
+    it('should schedule enabled policies and fail interrupted runs on start', async () => {
+      platformBackupRepository.failInterrupted.mockResolvedValue(1);
+      backupPolicyRepository.findEnabled.mockResolvedValue([policy]);
+
+      await backupService.start();
+
+      expect(platformBackupRepository.failInterrupted).toHaveBeenCalled();
+      expect(mockScheduler.schedule).toHaveBeenCalledWith('0 2 * * *', expect.any(Function));
+    });
+  });
+});
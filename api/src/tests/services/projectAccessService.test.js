@@ -0,0 +1,160 @@
+jest.mock('../../repositories/projectRepository');
+jest.mock('../../repositories/userRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const projectRepository = require('../../repositories/projectRepository');
+const userRepository = require('../../repositories/userRepository');
+const { ProjectAccessService } = require('../../services/projectAccessService');
+
+describe('ProjectAccessService', () => {
+  let accessService;
+  let project;
+
+  const admin = { id: 'admin1', username: 'admin', roles: ['admin'] };
+  const owner = { id: 'owner1', username: 'owner', roles: ['user'] };
+  const maintainer = { id: 'maintainer1', username: 'maintainer', roles: ['user'] };
+  const viewer = { id: 'viewer1', username: 'viewer', roles: ['user'] };
+  const stranger = { id: 'user2', username: 'stranger', roles: ['user'] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    accessService = new ProjectAccessService();
+    project = {
+      _id: 'project123',
+      name: 'my-app',
+      createdBy: 'owner1',
+      members: [
+        { user: 'maintainer1', role: 'maintainer' },
+        { user: 'viewer1', role: 'viewer' }
+      ]
+    };
+    projectRepository.findById.mockResolvedValue(project);
+  });
+
+  describe('getRole', () => {
+    it('should give owners, members and admins their project role', () => {
+      expect(accessService.getRole(project, owner)).toBe('owner');
+      expect(accessService.getRole(project, maintainer)).toBe('maintainer');
+      expect(accessService.getRole(project, viewer)).toBe('viewer');
+      expect(accessService.getRole(project, admin)).toBe('owner');
+      expect(accessService.getRole(project, stranger)).toBeNull();
+    });
+
+    it('should accept populated owners and members', () => {
+      project.createdBy = { _id: 'owner1', username: 'owner' };
+      project.members = [{ user: { _id: 'viewer1', username: 'viewer' }, role: 'viewer' }];
+
+      expect(accessService.getRole(project, owner)).toBe('owner');
+      expect(accessService.getRole(project, viewer)).toBe('viewer');
+    });
+
+    it('should include weaker roles in stronger ones', () => {
+      expect(accessService.hasRole(project, maintainer, 'viewer')).toBe(true);
+      expect(accessService.hasRole(project, maintainer, 'maintainer')).toBe(true);
+      expect(accessService.hasRole(project, maintainer, 'owner')).toBe(false);
+      expect(accessService.hasRole(project, stranger, 'viewer')).toBe(false);
+    });
+  });
+
+  describe('authorize', () => {
+    it('should return the project to users with the role', async () => {
+      await expect(accessService.authorize('project123', maintainer, 'maintainer')).resolves.toBe(project);
+    });
+
+    it('should refuse members whose role is too weak', async () => {
+      await expect(accessService.authorize('project123', viewer, 'maintainer')).rejects.toMatchObject({
+        name: 'PermissionError'
+      });
+    });
+
+    it('should hide the project from users without access', async () => {
+      await expect(accessService.authorize('project123', stranger)).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Project not found: project123'
+      });
+      await expect(accessService.authorize('project123', null)).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+
+    it('should treat invalid project IDs as unknown projects', async () => {
+      projectRepository.findById.mockRejectedValue(Object.assign(new Error('Cast to ObjectId failed'), { name: 'CastError' }));
+
+      await expect(accessService.authorize('not-an-id', admin)).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  it('should limit project lists of users to their projects', () => {
+    expect(accessService.getListFilter(admin)).toEqual({});
+    expect(accessService.getListFilter(viewer)).toEqual({ accessibleBy: 'viewer1' });
+  });
+
+  describe('addMember', () => {
+    const user = (id, overrides = {}) => ({ _id: id, username: id, email: `${id}@example.com`, isActive: true, isDeleted: false, ...overrides });
+
+    it('should add a user by username or email', async () => {
+      userRepository.findByEmailOrUsername.mockResolvedValue(user('user2'));
+      projectRepository.addMember.mockResolvedValue(project);
+
+      const member = await accessService.addMember(project, { username: 'user2@example.com', role: 'viewer' }, 'owner1');
+
+      expect(member).toEqual({ user: { id: 'user2', username: 'user2', email: 'user2@example.com' }, role: 'viewer' });
+      expect(projectRepository.addMember).toHaveBeenCalledWith('project123', expect.objectContaining({
+        user: 'user2',
+        role: 'viewer',
+        addedBy: 'owner1'
+      }));
+    });
+
+    it('should refuse the owner, existing members and inactive users', async () => {
+      userRepository.findByEmailOrUsername.mockResolvedValueOnce(user('owner1'));
+      await expect(accessService.addMember(project, { username: 'owner1', role: 'viewer' })).rejects.toMatchObject({
+        name: 'ConflictError'
+      });
+
+      userRepository.findByEmailOrUsername.mockResolvedValueOnce(user('viewer1'));
+      await expect(accessService.addMember(project, { username: 'viewer1', role: 'maintainer' })).rejects.toMatchObject({
+        name: 'ConflictError'
+      });
+
+      userRepository.findByEmailOrUsername.mockResolvedValueOnce(user('user3', { isActive: false }));
+      await expect(accessService.addMember(project, { username: 'user3', role: 'viewer' })).rejects.toMatchObject({
+        name: 'NotFoundError'
+      });
+
+      expect(projectRepository.addMember).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeMember', () => {
+    it('should remove members', async () => {
+      projectRepository.removeMember.mockResolvedValue(project);
+
+      await expect(accessService.removeMember(project, 'viewer1')).resolves.toBe(true);
+      expect(projectRepository.removeMember).toHaveBeenCalledWith('project123', 'viewer1');
+    });
+
+    it('should not remove the owner', async () => {
+      await expect(accessService.removeMember(project, 'owner1')).rejects.toMatchObject({ name: 'NotFoundError' });
+      expect(projectRepository.removeMember).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should list the owner before the members', async () => {
+    projectRepository.findMembers.mockResolvedValue({
+      createdBy: { _id: 'owner1', username: 'owner', email: 'owner@example.com' },
+      createdAt: new Date('2026-01-01'),
+      members: [{ user: { _id: 'viewer1', username: 'viewer', email: 'viewer@example.com' }, role: 'viewer', addedAt: new Date('2026-02-01') }]
+    });
+
+    const members = await accessService.listMembers('project123');
+
+    expect(members.map(({ user, role }) => [user.username, role])).toEqual([['owner', 'owner'], ['viewer', 'viewer']]);
+  });
+});
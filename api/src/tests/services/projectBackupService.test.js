@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../repositories/projectBackupRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const projectBackupRepository = require('../../repositories/projectBackupRepository');
+const { ProjectBackupService } = require('../../services/projectBackupService');
+
+describe('ProjectBackupService', () => {
+  let backupService;
+  let mockDockerService;
+  let mockAddonService;
+  let volumes;
+  let workDir;
+  let project;
+  let records;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-backups-'));
+
+    // Volumes are plain strings; exporting writes them to the archive and importing reads them back
+    volumes = { 'my-app_data': 'rows', 'my-app_uploads': 'images' };
+    mockDockerService = {
+      getProjectVolumes: jest.fn(async () => Object.keys(volumes)),
+      exportVolume: jest.fn(async (volume, file) => fs.writeFile(file, volumes[volume])),
+      importVolume: jest.fn(async (volume, file) => {
+        volumes[volume] = await fs.readFile(file, 'utf8');
+      }),
+      createProjectVolume: jest.fn(async (projectName, volume) => {
+        volumes[volume] = '';
+      })
+    };
+
+    mockAddonService = {
+      getVolumeNames: jest.fn().mockResolvedValue([]),
+      getVolumeName: jest.fn((project, type) => `${project.name}-addon-${type}-data`)
+    };
+
+    backupService = new ProjectBackupService({ dockerService: mockDockerService, addonService: mockAddonService });
+    backupService.backupsDir = workDir;
+
+    project = { _id: 'project123', name: 'my-app', status: 'stopped' };
+
+    // Minimal in-memory stand-in for the backups collection
+    records = new Map();
+    projectBackupRepository.create.mockImplementation(async (data) => {
+      const record = { _id: `backup${records.size + 1}`, ...data };
+      records.set(record._id, record);
+      return record;
+    });
+    projectBackupRepository.findByProjectAndId.mockImplementation(async (projectId, id) => records.get(id) || null);
+    projectBackupRepository.markRestored.mockImplementation(async (id) => ({ ...records.get(id), restoredAt: new Date() }));
+    projectBackupRepository.delete.mockImplementation(async (id) => records.delete(id));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  describe('createBackup', () => {
+    it('should archive every volume of the project with its checksum', async () => {
+      const backup = await backupService.createBackup(project, { description: 'before upgrade' }, 'user1');
+
+      expect(backup.archives.map(archive => archive.volume)).toEqual(['my-app_data', 'my-app_uploads']);
+      expect(backup.size).toBe(10);
+      expect(backup.createdBy).toBe('user1');
+      expect(mockDockerService.getProjectVolumes).toHaveBeenCalledWith('my-app', []);
+
+      const stored = await fs.readFile(path.join(workDir, 'my-app', backup.name, 'my-app_data.tar.gz'), 'utf8');
+      expect(stored).toBe('rows');
+    });
+
+    it('should include the volumes of the add-ons of the project', async () => {
+      mockAddonService.getVolumeNames.mockResolvedValue(['my-app-addon-postgres-data']);
+
+      await backupService.createBackup(project);
+
+      expect(mockAddonService.getVolumeNames).toHaveBeenCalledWith(project);
+      expect(mockDockerService.getProjectVolumes).toHaveBeenCalledWith('my-app', ['my-app-addon-postgres-data']);
+    });
+
+    it('should reject a project without volumes', async () => {
+      mockDockerService.getProjectVolumes.mockResolvedValue([]);
+
+      await expect(backupService.createBackup(project)).rejects.toThrow('The project has no volumes to back up');
+      expect(projectBackupRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should remove the archives of a failed backup', async () => {
+      mockDockerService.exportVolume
+        .mockImplementationOnce(async (volume, file) => fs.writeFile(file, 'rows'))
+        .mockRejectedValueOnce(new Error('volume is busy'));
+
+      await expect(backupService.createBackup(project)).rejects.toThrow('volume is busy');
+      await expect(fs.readdir(path.join(workDir, 'my-app'))).resolves.toEqual([]);
+    });
+  });
+
+  describe('restoreBackup', () => {
+    it('should replace the volumes with the backed up contents', async () => {
+      const backup = await backupService.createBackup(project);
+      volumes['my-app_data'] = 'changed';
+
+      const restored = await backupService.restoreBackup(project, backup._id);
+
+      expect(volumes['my-app_data']).toBe('rows');
+      expect(restored.restoredAt).toBeInstanceOf(Date);
+    });
+
+    it('should refuse to restore into a running project', async () => {
+      const backup = await backupService.createBackup(project);
+
+      await expect(backupService.restoreBackup({ ...project, status: 'running' }, backup._id))
+        .rejects.toThrow('Stop the project before restoring a backup');
+      expect(mockDockerService.importVolume).not.toHaveBeenCalled();
+    });
+
+    it('should not touch any volume when an archive is damaged', async () => {
+      const backup = await backupService.createBackup(project);
+      await fs.writeFile(path.join(workDir, 'my-app', backup.name, 'my-app_uploads.tar.gz'), 'corrupted');
+
+      await expect(backupService.restoreBackup(project, backup._id))
+        .rejects.toThrow('Archive my-app_uploads.tar.gz is missing or does not match its checksum');
+      expect(mockDockerService.importVolume).not.toHaveBeenCalled();
+    });
+
+    it('should recreate volumes removed since the backup', async () => {
+      const backup = await backupService.createBackup(project);
+      delete volumes['my-app_uploads'];
+
+      await backupService.restoreBackup(project, backup._id);
+
+      expect(mockDockerService.createProjectVolume).toHaveBeenCalledWith('my-app', 'my-app_uploads');
+      expect(volumes['my-app_uploads']).toBe('images');
+    });
+
+    it('should refuse to restore a volume of another project', async () => {
+      volumes['other-addon-postgres-data'] = 'their rows';
+      const backup = await backupService.createBackup(project);
+
+      await expect(backupService.restoreBackup(project, backup._id))
+        .rejects.toThrow('Volume other-addon-postgres-data does not belong to project my-app');
+      expect(mockDockerService.importVolume).not.toHaveBeenCalled();
+    });
+
+    it('should return null for an unknown backup', async () => {
+      await expect(backupService.restoreBackup(project, 'missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('getArchive', () => {
+    it('should resolve the archive of a volume with a download name', async () => {
+      const backup = await backupService.createBackup(project);
+
+      const archive = await backupService.getArchive(project, backup._id, 'my-app_data');
+
+      expect(archive.path).toBe(path.join(workDir, 'my-app', backup.name, 'my-app_data.tar.gz'));
+      expect(archive.filename).toBe(`${backup.name}-my-app_data.tar.gz`);
+      await expect(backupService.getArchive(project, backup._id, 'other')).resolves.toBeNull();
+    });
+  });
+
+  describe('deleteBackup', () => {
+    it('should delete the archives and the record', async () => {
+      const backup = await backupService.createBackup(project);
+
+      await expect(backupService.deleteBackup(project, backup._id)).resolves.toBe(true);
+      expect(records.size).toBe(0);
+      await expect(fs.readdir(path.join(workDir, 'my-app'))).resolves.toEqual([]);
+    });
+  });
+
+  it('should refuse a second backup of a project while one is running', async () => {
+    const first = backupService.createBackup(project);
+
+    await expect(backupService.createBackup(project)).rejects.toThrow('A backup or restore of this project is already running');
+    await first;
+  });
+});
@@ -0,0 +1,189 @@
+jest.mock('../../repositories/projectRepository');
+jest.mock('../../utils/httpProbe');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const projectRepository = require('../../repositories/projectRepository');
+const HttpProbe = require('../../utils/httpProbe');
+const { ProjectHealthService } = require('../../services/projectHealthService');
+
+describe('ProjectHealthService', () => {
+  let healthService;
+  let mockProjectService;
+  let mockNotificationService;
+  let mockIo;
+  let emitted;
+  let project;
+
+  // Apply a probe result and feed the recorded state into the next check
+  const check = async (result) => {
+    HttpProbe.check.mockResolvedValueOnce(result);
+    const outcome = await healthService.checkProject(project);
+    project.healthStatus = outcome.healthStatus;
+    project.healthState = outcome.healthState;
+    return outcome;
+  };
+  const fail = () => check({ healthy: false, statusCode: 503, error: null });
+  const pass = () => check({ healthy: true, statusCode: 200, error: null });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    emitted = [];
+    mockIo = {
+      to: jest.fn(() => ({ emit: (event, data) => emitted.push({ event, data }) }))
+    };
+    mockProjectService = {
+      restartProject: jest.fn().mockResolvedValue(true)
+    };
+    mockNotificationService = { notify: jest.fn().mockResolvedValue([]) };
+    healthService = new ProjectHealthService({
+      io: mockIo,
+      projectService: mockProjectService,
+      notificationService: mockNotificationService
+    });
+
+    project = {
+      _id: 'project123',
+      name: 'my-app',
+      createdBy: 'owner1',
+      members: [],
+      port: 3000,
+      status: 'running',
+      healthStatus: 'unknown',
+      lastHealthCheck: null,
+      healthCheck: { enabled: true, path: '/healthz', interval: 30, timeout: 5, failureThreshold: 3, autoRestart: false },
+      healthState: {}
+    };
+    projectRepository.recordHealthCheck.mockResolvedValue({});
+  });
+
+  describe('checkProject', () => {
+    it('should probe the health check path of the running container', async () => {
+      const outcome = await pass();
+
+      expect(HttpProbe.check).toHaveBeenCalledWith('http://my-app:80/healthz', 5000);
+      expect(outcome.healthStatus).toBe('healthy');
+      expect(projectRepository.recordHealthCheck).toHaveBeenCalledWith('project123', 'healthy', expect.objectContaining({
+        consecutiveFailures: 0,
+        lastStatusCode: 200
+      }));
+      expect(mockIo.to).toHaveBeenCalledWith(['admins', 'user:owner1']);
+      expect(emitted[0]).toMatchObject({
+        event: 'project_health',
+        data: { projectId: 'project123', healthStatus: 'healthy', previousStatus: 'unknown', changed: true }
+      });
+    });
+
+    it('should become unhealthy only after the failure threshold', async () => {
+      await pass();
+      expect((await fail()).healthStatus).toBe('healthy');
+      expect((await fail()).healthStatus).toBe('healthy');
+
+      const outcome = await fail();
+
+      expect(outcome.healthStatus).toBe('unhealthy');
+      expect(outcome.healthState.consecutiveFailures).toBe(3);
+      expect(outcome.healthState.lastError).toBe('HTTP 503');
+      expect(mockProjectService.restartProject).not.toHaveBeenCalled();
+      expect(mockNotificationService.notify).toHaveBeenCalledTimes(1);
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('health.failed', expect.objectContaining({
+        projectId: 'project123',
+        message: 'http://my-app:80/healthz failed 3 health check(s) in a row: HTTP 503'
+      }));
+    });
+
+    it('should be healthy again after one successful probe', async () => {
+      project.healthStatus = 'unhealthy';
+      project.healthState = { consecutiveFailures: 5 };
+
+      const outcome = await pass();
+
+      expect(outcome.healthStatus).toBe('healthy');
+      expect(outcome.healthState.consecutiveFailures).toBe(0);
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('health.recovered', expect.objectContaining({
+        projectId: 'project123'
+      }));
+    });
+
+    it('should reset the health of a stopped project without probing it', async () => {
+      project.status = 'stopped';
+      project.healthStatus = 'unhealthy';
+      project.healthState = { consecutiveFailures: 4 };
+
+      const outcome = await healthService.checkProject(project);
+
+      expect(HttpProbe.check).not.toHaveBeenCalled();
+      expect(outcome.healthStatus).toBe('unknown');
+      expect(projectRepository.recordHealthCheck).toHaveBeenCalledWith('project123', 'unknown', expect.objectContaining({
+        consecutiveFailures: 0
+      }));
+    });
+  });
+
+  describe('auto-restart', () => {
+    beforeEach(() => {
+      project.healthCheck.autoRestart = true;
+      project.healthCheck.failureThreshold = 1;
+    });
+
+    it('should restart an unhealthy project and start its failures over', async () => {
+      const outcome = await fail();
+
+      expect(mockProjectService.restartProject).toHaveBeenCalledWith('project123', null, { trigger: 'health' });
+      expect(outcome.healthState).toMatchObject({ restartAttempts: 1, consecutiveFailures: 0 });
+      expect(emitted.map(entry => entry.event)).toEqual(['project_health', 'project_auto_restart']);
+    });
+
+    it('should back off before restarting again', async () => {
+      await fail();
+      // Let the first restart finish
+      await new Promise(setImmediate);
+
+      await fail();
+      expect(mockProjectService.restartProject).toHaveBeenCalledTimes(1);
+
+      // One minute after the first restart the second one is due
+      project.healthState.lastRestartAt = new Date(Date.now() - 61 * 1000);
+      const outcome = await fail();
+
+      expect(mockProjectService.restartProject).toHaveBeenCalledTimes(2);
+      expect(outcome.healthState.restartAttempts).toBe(2);
+    });
+
+    it('should double the backoff up to thirty minutes', () => {
+      expect(healthService.getRestartBackoff(0)).toBe(0);
+      expect(healthService.getRestartBackoff(1)).toBe(60000);
+      expect(healthService.getRestartBackoff(3)).toBe(240000);
+      expect(healthService.getRestartBackoff(10)).toBe(30 * 60 * 1000);
+    });
+
+    it('should forget earlier restarts once the project is healthy', async () => {
+      await fail();
+
+      const outcome = await pass();
+
+      expect(outcome.healthState.restartAttempts).toBe(0);
+    });
+  });
+
+  describe('checkDueProjects', () => {
+    it('should only probe projects whose interval has passed', async () => {
+      const recent = { ...project, _id: 'project456', lastHealthCheck: new Date(Date.now() - 10 * 1000) };
+      const due = { ...project, lastHealthCheck: new Date(Date.now() - 31 * 1000) };
+      projectRepository.findHealthChecked.mockResolvedValue([recent, due]);
+      HttpProbe.check.mockResolvedValue({ healthy: true, statusCode: 200, error: null });
+
+      await healthService.checkDueProjects();
+
+      expect(HttpProbe.check).toHaveBeenCalledTimes(1);
+      expect(projectRepository.recordHealthCheck).toHaveBeenCalledWith('project123', 'healthy', expect.any(Object));
+    });
+  });
+});
@@ -0,0 +1,788 @@
+jest.mock('../../repositories/projectRepository');
+jest.mock('../../repositories/deploymentRepository');
+jest.mock('../../repositories/buildLogRepository');
+jest.mock('../../repositories/webhookDeliveryRepository');
+jest.mock('../../utils/httpProbe');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const projectRepository = require('../../repositories/projectRepository');
+const deploymentRepository = require('../../repositories/deploymentRepository');
+const buildLogRepository = require('../../repositories/buildLogRepository');
+const HttpProbe = require('../../utils/httpProbe');
+const { ProjectService } = require('../../services/projectService');
+const { BuildQueueService } = require('../../services/buildQueueService');
+const { BuildLogService } = require('../../services/buildLogService');
+const { QuotaExceededError } = require('../../utils/serviceErrors');
+
+describe('ProjectService deployments', () => {
+  let projectService;
+  let mockDockerService;
+  let mockGitService;
+  let mockCaddyService;
+  let mockBuildpackService;
+  let mockSecretService;
+  let mockNotificationService;
+  let mockMetricsService;
+  let mockQuotaService;
+  let mockGitCredentialService;
+  let mockAddonService;
+  let project;
+  let previousDeployment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    project = {
+      _id: 'project123',
+      name: 'my-app',
+      domain: 'my-app.example.com',
+      branch: 'main',
+      port: 3000,
+      imageTag: 'bbbbbbbbbbbb',
+      environment: {}
+    };
+    previousDeployment = {
+      _id: 'deployment1',
+      project: 'project123',
+      status: 'succeeded',
+      branch: 'main',
+      imageTag: 'aaaaaaaaaaaa',
+      commit: { hash: 'a'.repeat(40), message: 'Working version' }
+    };
+
+    mockDockerService = {
+      getImageName: jest.fn((name, tag) => `raspberry-host/${name}:${tag}`),
+      imageExists: jest.fn().mockResolvedValue(true),
+      createProjectCompose: jest.fn().mockResolvedValue({ success: true }),
+      startProject: jest.fn().mockResolvedValue(),
+      buildImages: jest.fn().mockResolvedValue(),
+      pullImages: jest.fn().mockResolvedValue(),
+      buildProject: jest.fn().mockResolvedValue(),
+      stopProject: jest.fn().mockResolvedValue(),
+      startCandidate: jest.fn(async (composeProject, projectPath, port) => ({
+        containerName: `${composeProject.name}-candidate`,
+        port,
+        containerPort: composeProject.buildpack?.containerPort || 80
+      })),
+      removeCandidate: jest.fn().mockResolvedValue(),
+      getContainerPort: jest.fn((composeProject) => composeProject.buildpack?.containerPort || 80),
+      getComposeServices: jest.fn().mockResolvedValue(['web', 'worker'])
+    };
+    mockCaddyService = {
+      upsertRoute: jest.fn().mockResolvedValue(true),
+      removeRoute: jest.fn().mockResolvedValue(true)
+    };
+    mockBuildpackService = {
+      prepare: jest.fn().mockResolvedValue({
+        type: 'dockerfile',
+        dockerfile: 'Dockerfile',
+        containerPort: 80,
+        generated: false
+      })
+    };
+    mockSecretService = {
+      writeEnvFile: jest.fn().mockResolvedValue('/app/secrets/my-app.env'),
+      deleteByProject: jest.fn().mockResolvedValue()
+    };
+    mockGitService = {
+      pullLatest: jest.fn().mockResolvedValue(),
+      resolveRepositoryPath: jest.fn(async (projectPath, relativePath) => `${projectPath}/${relativePath}`),
+      getRepositoryInfo: jest.fn().mockResolvedValue({
+        lastCommit: { hash: 'b'.repeat(40), message: 'Latest' }
+      })
+    };
+
+    projectRepository.findById.mockResolvedValue(project);
+    projectRepository.updateStatus.mockResolvedValue(project);
+    projectRepository.update.mockResolvedValue(project);
+    deploymentRepository.findById.mockResolvedValue(previousDeployment);
+    deploymentRepository.create.mockImplementation(async (data) => ({ _id: 'deployment2', ...data }));
+    deploymentRepository.finish.mockResolvedValue({});
+    HttpProbe.waitUntilHealthy.mockResolvedValue(true);
+
+    mockNotificationService = { notify: jest.fn().mockResolvedValue([]) };
+    mockMetricsService = { recordDeployment: jest.fn() };
+    mockQuotaService = {
+      checkDeploy: jest.fn().mockResolvedValue(),
+      checkResources: jest.fn().mockResolvedValue(),
+      checkBuild: jest.fn().mockResolvedValue()
+    };
+    mockGitCredentialService = {
+      withCredentials: jest.fn((project, operation) => operation({}))
+    };
+    mockAddonService = {
+      writeEnvFile: jest.fn().mockResolvedValue(null),
+      startAddons: jest.fn().mockResolvedValue(false),
+      stopAddons: jest.fn().mockResolvedValue(),
+      deleteByProject: jest.fn().mockResolvedValue()
+    };
+
+    projectService = new ProjectService({
+      dockerService: mockDockerService,
+      gitService: mockGitService,
+      caddyService: mockCaddyService,
+      buildpackService: mockBuildpackService,
+      secretService: mockSecretService,
+      buildQueue: new BuildQueueService(),
+      buildLogService: new BuildLogService(),
+      portService: { findAvailablePort: jest.fn().mockResolvedValue(3100) },
+      cacheService: { get: jest.fn(), set: jest.fn(), delete: jest.fn() },
+      notificationService: mockNotificationService,
+      metricsService: mockMetricsService,
+      quotaService: mockQuotaService,
+      gitCredentialService: mockGitCredentialService,
+      addonService: mockAddonService
+    });
+  });
+
+  describe('rollbackProject', () => {
+    it('should restart the project on the image of the earlier deployment', async () => {
+      await projectService.rollbackProject('project123', 'deployment1', 'user1');
+
+      expect(mockDockerService.startCandidate).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'my-app', imageTag: 'aaaaaaaaaaaa' }),
+        expect.any(String),
+        3100
+      );
+      expect(mockDockerService.createProjectCompose).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'my-app', imageTag: 'aaaaaaaaaaaa' }),
+        expect.any(String)
+      );
+      expect(mockDockerService.startProject).toHaveBeenCalledWith(expect.any(String), {
+        noBuild: true,
+        forceRecreate: true
+      });
+      expect(deploymentRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        trigger: 'rollback',
+        triggeredBy: 'user1',
+        rollbackOf: 'deployment1'
+      }));
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'succeeded', expect.objectContaining({
+        imageTag: 'aaaaaaaaaaaa'
+      }));
+      expect(projectRepository.update).toHaveBeenCalledWith('project123', {
+        imageTag: 'aaaaaaaaaaaa',
+        currentDeployment: 'deployment2'
+      });
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('deploy.succeeded', expect.objectContaining({
+        projectId: 'project123'
+      }));
+      expect(mockMetricsService.recordDeployment).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'deployment2', trigger: 'rollback' }),
+        'succeeded'
+      );
+    });
+
+    it('should refuse to roll back to a failed deployment', async () => {
+      previousDeployment.status = 'failed';
+
+      await expect(
+        projectService.rollbackProject('project123', 'deployment1')
+      ).rejects.toThrow('Only successful deployments');
+      expect(mockDockerService.startProject).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to roll back when the image was removed', async () => {
+      mockDockerService.imageExists.mockResolvedValue(false);
+
+      await expect(
+        projectService.rollbackProject('project123', 'deployment1')
+      ).rejects.toThrow('no longer available');
+      expect(deploymentRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should not roll back to a deployment of another project', async () => {
+      previousDeployment.project = 'otherProject';
+
+      await expect(
+        projectService.rollbackProject('project123', 'deployment1')
+      ).rejects.toThrow('not found');
+    });
+
+    it('should refuse to roll back a stack', async () => {
+      project.build = { composeFile: 'docker-compose.yml', composeService: 'web', stack: true };
+
+      await expect(
+        projectService.rollbackProject('project123', 'deployment1')
+      ).rejects.toThrow('Compose stacks cannot be rolled back');
+      expect(mockDockerService.startProject).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to roll back a project running a prebuilt image', async () => {
+      project.image = 'louislam/uptime-kuma:1';
+
+      await expect(
+        projectService.rollbackProject('project123', 'deployment1')
+      ).rejects.toThrow('redeploy them to pull the image again');
+      expect(deploymentRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should restore the compose file and record the failure when the start fails', async () => {
+      mockDockerService.startProject.mockRejectedValue(new Error('container crashed'));
+
+      await expect(
+        projectService.rollbackProject('project123', 'deployment1')
+      ).rejects.toThrow('container crashed');
+
+      expect(mockDockerService.createProjectCompose).toHaveBeenLastCalledWith(
+        expect.objectContaining({ imageTag: 'bbbbbbbbbbbb' }),
+        expect.any(String)
+      );
+      expect(projectRepository.updateStatus).toHaveBeenLastCalledWith('project123', 'error');
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'failed', expect.objectContaining({
+        error: 'container crashed'
+      }));
+      expect(mockNotificationService.notify).toHaveBeenCalledWith('deploy.failed', {
+        projectId: 'project123',
+        message: 'The rollback deployment failed: container crashed',
+        data: expect.objectContaining({ deploymentId: 'deployment2', trigger: 'rollback' })
+      });
+      expect(mockMetricsService.recordDeployment).toHaveBeenCalledWith(
+        expect.objectContaining({ trigger: 'rollback' }),
+        'failed'
+      );
+    });
+
+    it('should restore the previous container when the recreated one fails its health check', async () => {
+      HttpProbe.waitUntilHealthy.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await expect(
+        projectService.rollbackProject('project123', 'deployment1')
+      ).rejects.toThrow('Recreated container of my-app did not become healthy');
+
+      expect(mockDockerService.startProject).toHaveBeenCalledTimes(2);
+      expect(mockDockerService.createProjectCompose.mock.calls.map(([composeProject]) => composeProject.imageTag))
+        .toEqual(['aaaaaaaaaaaa', 'bbbbbbbbbbbb', 'bbbbbbbbbbbb']);
+      // Traffic goes back to the public port once the previous container serves again
+      expect(mockCaddyService.upsertRoute.mock.calls.map(([route]) => [route.imageTag, route.effectivePort]))
+        .toEqual([['aaaaaaaaaaaa', 3100], ['bbbbbbbbbbbb', undefined]]);
+      expect(mockDockerService.removeCandidate).toHaveBeenCalledWith('my-app', expect.any(String));
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'failed', expect.objectContaining({
+        error: expect.stringContaining('Recreated container of my-app')
+      }));
+    });
+  });
+
+  describe('restartProject', () => {
+    it('should switch to a new container once the candidate is healthy', async () => {
+      const result = await projectService.restartProject('project123');
+
+      expect(result).toBe(true);
+      expect(HttpProbe.waitUntilHealthy).toHaveBeenCalledWith('http://my-app-candidate:80/', expect.any(Object));
+      expect(mockDockerService.stopProject).not.toHaveBeenCalled();
+      expect(mockDockerService.startProject).toHaveBeenCalledWith(expect.any(String), {
+        noBuild: true,
+        forceRecreate: true
+      });
+      expect(mockDockerService.removeCandidate).toHaveBeenCalledWith('my-app', expect.any(String));
+      expect(mockCaddyService.upsertRoute).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'my-app',
+        domain: 'my-app.example.com'
+      }));
+    });
+
+    it('should keep the running container when the candidate never becomes healthy', async () => {
+      HttpProbe.waitUntilHealthy.mockResolvedValue(false);
+
+      const result = await projectService.restartProject('project123');
+
+      expect(result).toBe(false);
+      expect(mockDockerService.startProject).not.toHaveBeenCalled();
+      expect(mockDockerService.removeCandidate).toHaveBeenCalledWith('my-app', expect.any(String));
+      expect(projectRepository.updateStatus).not.toHaveBeenCalled();
+      expect(mockCaddyService.upsertRoute).not.toHaveBeenCalled();
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'failed', expect.objectContaining({
+        error: expect.stringContaining('did not become healthy')
+      }));
+    });
+
+    it('should route traffic to the candidate while the public container is recreated', async () => {
+      await projectService.restartProject('project123');
+
+      expect(mockCaddyService.upsertRoute.mock.calls.map(([route]) => route.effectivePort)).toEqual([3100, undefined]);
+      expect(mockCaddyService.upsertRoute.mock.invocationCallOrder[0])
+        .toBeLessThan(mockDockerService.startProject.mock.invocationCallOrder[0]);
+      expect(HttpProbe.waitUntilHealthy).toHaveBeenLastCalledWith('http://my-app:80/', expect.any(Object));
+      expect(mockDockerService.removeCandidate.mock.invocationCallOrder[0])
+        .toBeGreaterThan(mockCaddyService.upsertRoute.mock.invocationCallOrder[1]);
+    });
+
+    it('should keep the running container when traffic cannot be routed to the candidate', async () => {
+      mockCaddyService.upsertRoute.mockRejectedValueOnce(new Error('Caddy reload failed'));
+
+      const result = await projectService.restartProject('project123');
+
+      expect(result).toBe(false);
+      expect(mockDockerService.startProject).not.toHaveBeenCalled();
+      expect(mockDockerService.removeCandidate).toHaveBeenCalledWith('my-app', expect.any(String));
+    });
+
+    it('should recreate the public container with downtime when no route can be switched', async () => {
+      mockCaddyService.upsertRoute.mockResolvedValueOnce(false);
+
+      const result = await projectService.restartProject('project123');
+
+      expect(result).toBe(true);
+      expect(mockDockerService.startProject).toHaveBeenCalledWith(expect.any(String), {
+        noBuild: true,
+        forceRecreate: true
+      });
+      expect(mockDockerService.removeCandidate).toHaveBeenCalledWith('my-app', expect.any(String));
+      const lines = buildLogRepository.appendLines.mock.calls.flatMap(([, , entries]) => entries.map((line) => line.text));
+      expect(lines).toContain('The project is not routed through Caddy, the project is down while its public container is recreated');
+    });
+
+    it('should leave the candidate serving when the previous container cannot be restored either', async () => {
+      HttpProbe.waitUntilHealthy.mockResolvedValueOnce(true).mockResolvedValue(false);
+
+      const result = await projectService.restartProject('project123');
+
+      expect(result).toBe(false);
+      expect(mockCaddyService.upsertRoute).toHaveBeenLastCalledWith(expect.objectContaining({ effectivePort: 3100 }));
+      expect(mockDockerService.removeCandidate).not.toHaveBeenCalled();
+    });
+
+    it('should record the restart with the running commit', async () => {
+      const result = await projectService.restartProject('project123', 'user1');
+
+      expect(result).toBe(true);
+      expect(deploymentRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        trigger: 'restart',
+        triggeredBy: 'user1'
+      }));
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'succeeded', {
+        commit: { hash: 'b'.repeat(40), message: 'Latest' },
+        imageTag: 'bbbbbbbbbbbb',
+        error: null
+      });
+    });
+
+    it('should recreate the container of a project with volumes in place', async () => {
+      project.volumes = [{ name: 'data', path: '/app/data' }];
+
+      const result = await projectService.restartProject('project123');
+
+      expect(result).toBe(true);
+      expect(mockDockerService.startCandidate).not.toHaveBeenCalled();
+      expect(mockDockerService.startProject).toHaveBeenCalledWith(expect.any(String), {
+        noBuild: true,
+        forceRecreate: true,
+        onOutput: expect.any(Function)
+      });
+    });
+
+    it('should probe the candidate at the project health check path', async () => {
+      project.healthCheck = { enabled: true, path: '/healthz' };
+
+      await projectService.restartProject('project123', null, { trigger: 'health' });
+
+      expect(HttpProbe.waitUntilHealthy).toHaveBeenCalledWith('http://my-app-candidate:80/healthz', expect.any(Object));
+      expect(deploymentRepository.create).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'health' }));
+    });
+  });
+
+  describe('redeployProject', () => {
+    it('should not build when the owner has no build left in their quota', async () => {
+      mockQuotaService.checkBuild.mockRejectedValue(new QuotaExceededError('concurrent builds', 1, 2));
+
+      await expect(projectService.redeployProject('project123')).rejects.toThrow('Quota exceeded for concurrent builds');
+      expect(mockGitService.pullLatest).not.toHaveBeenCalled();
+    });
+
+    it('should pull with the credentials of the project', async () => {
+      mockGitCredentialService.withCredentials.mockImplementation((project, operation) =>
+        operation({ GIT_SSH_COMMAND: 'ssh -i /app/secrets/git-abc/id_ed25519' })
+      );
+
+      await projectService.redeployProject('project123');
+
+      expect(mockGitCredentialService.withCredentials).toHaveBeenCalledWith(project, expect.any(Function));
+      expect(mockGitService.pullLatest).toHaveBeenCalledWith(expect.any(String), 'main', {
+        onOutput: expect.any(Function),
+        env: { GIT_SSH_COMMAND: 'ssh -i /app/secrets/git-abc/id_ed25519' }
+      });
+    });
+
+    it('should build through the build queue', async () => {
+      await projectService.redeployProject('project123', { triggeredBy: 'user1' });
+
+      const [job] = await projectService.buildQueue.listJobs();
+      expect(job).toMatchObject({ projectName: 'my-app', type: 'redeploy', status: 'succeeded' });
+      expect(mockDockerService.buildImages).toHaveBeenCalledWith(expect.any(String), {
+        signal: expect.any(AbortSignal),
+        onOutput: expect.any(Function)
+      });
+    });
+
+    it('should write pull and build output to the deployment log', async () => {
+      mockGitService.pullLatest.mockImplementation(async (projectPath, branch, { onOutput }) => {
+        onOutput('stdout', 'Already up to date.\n');
+      });
+      mockDockerService.buildImages.mockImplementation(async (projectPath, { onOutput }) => {
+        onOutput('stderr', '#1 [internal] load build definition\n#2 DONE');
+      });
+
+      await projectService.redeployProject('project123');
+
+      const [[deploymentId, projectId, lines]] = buildLogRepository.appendLines.mock.calls;
+      expect(deploymentId).toBe('deployment2');
+      expect(projectId).toBe('project123');
+      expect(lines.map((line) => line.text)).toEqual(expect.arrayContaining([
+        'Already up to date.',
+        '#1 [internal] load build definition',
+        '#2 DONE',
+        'Deployment succeeded'
+      ]));
+    });
+
+    it('should build repositories without a Dockerfile from a generated one', async () => {
+      const buildpack = {
+        type: 'node',
+        dockerfile: 'Dockerfile.raspberry-host',
+        containerPort: 3000,
+        generated: true
+      };
+      mockBuildpackService.prepare.mockResolvedValue(buildpack);
+
+      await projectService.redeployProject('project123');
+
+      expect(mockDockerService.createProjectCompose).toHaveBeenCalledWith(
+        expect.objectContaining({ buildpack }),
+        expect.any(String)
+      );
+      expect(HttpProbe.waitUntilHealthy).toHaveBeenCalledWith('http://my-app-candidate:3000/', expect.any(Object));
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'succeeded', expect.objectContaining({
+        buildpack
+      }));
+      expect(projectRepository.update).toHaveBeenCalledWith('project123', expect.objectContaining({ buildpack }));
+    });
+
+    it('should build the app directory of a monorepo', async () => {
+      project.buildCommand = 'npm run build';
+      project.build = { context: 'apps/web', dockerfile: 'docker/Dockerfile.prod' };
+
+      await projectService.redeployProject('project123');
+
+      expect(mockGitService.resolveRepositoryPath).toHaveBeenCalledWith(
+        expect.any(String),
+        'apps/web/docker/Dockerfile.prod',
+        { type: 'file', field: 'build.dockerfile' }
+      );
+      expect(mockBuildpackService.prepare).toHaveBeenCalledWith(expect.stringMatching(/my-app\/apps\/web$/), {
+        containerPort: undefined,
+        dockerfile: 'docker/Dockerfile.prod'
+      });
+      expect(mockDockerService.buildProject).toHaveBeenCalledWith(
+        expect.stringMatching(/my-app\/apps\/web$/),
+        'npm run build',
+        expect.any(Object)
+      );
+    });
+
+    it('should deploy a service of the repository compose file', async () => {
+      project.containerPort = 8080;
+      project.build = { composeFile: 'deploy/compose.yaml', composeService: 'web' };
+
+      await projectService.redeployProject('project123');
+
+      expect(mockBuildpackService.prepare).not.toHaveBeenCalled();
+      expect(mockDockerService.createProjectCompose).toHaveBeenCalledWith(
+        expect.objectContaining({
+          buildpack: { type: 'compose', dockerfile: null, containerPort: 8080, generated: false }
+        }),
+        expect.any(String)
+      );
+    });
+
+    it('should update the services of a stack in place', async () => {
+      project.build = { composeFile: 'docker-compose.yml', composeService: 'web', stack: true };
+
+      await projectService.redeployProject('project123');
+
+      expect(mockDockerService.startCandidate).not.toHaveBeenCalled();
+      expect(mockDockerService.createProjectCompose).toHaveBeenCalledWith(
+        expect.objectContaining({ build: project.build }),
+        expect.any(String)
+      );
+      expect(mockDockerService.startProject).toHaveBeenCalledWith(expect.any(String), {
+        noBuild: true,
+        onOutput: expect.any(Function)
+      });
+    });
+
+    it('should pull the image of a template again and recreate its container on its volumes', async () => {
+      project.image = 'louislam/uptime-kuma:1';
+      project.volumes = [{ name: 'data', path: '/app/data' }];
+      project.buildpack = { type: 'image', dockerfile: null, containerPort: 3001, generated: false };
+
+      await projectService.redeployProject('project123');
+
+      expect(mockGitService.pullLatest).not.toHaveBeenCalled();
+      expect(mockDockerService.buildImages).not.toHaveBeenCalled();
+      expect(mockDockerService.pullImages).toHaveBeenCalledWith(expect.any(String), { onOutput: expect.any(Function) });
+      expect(mockDockerService.startCandidate).not.toHaveBeenCalled();
+      expect(mockDockerService.startProject).toHaveBeenCalledWith(expect.any(String), {
+        noBuild: true,
+        forceRecreate: true,
+        onOutput: expect.any(Function)
+      });
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'succeeded', expect.objectContaining({
+        imageTag: null,
+        buildpack: project.buildpack
+      }));
+    });
+
+    it('should fail when the compose file does not define the service', async () => {
+      project.build = { composeFile: 'compose.yaml', composeService: 'api' };
+
+      await expect(projectService.redeployProject('project123'))
+        .rejects.toThrow('Service api is not defined in compose.yaml (services: web, worker)');
+      expect(mockDockerService.buildImages).not.toHaveBeenCalled();
+    });
+
+    it('should start the add-ons and pass their connection URLs to the new container', async () => {
+      mockAddonService.writeEnvFile.mockResolvedValue('/app/secrets/my-app.addons.env');
+
+      await projectService.redeployProject('project123');
+
+      expect(mockAddonService.startAddons).toHaveBeenCalledWith(expect.objectContaining({ _id: 'project123' }));
+      expect(mockDockerService.startCandidate).toHaveBeenCalledWith(
+        expect.objectContaining({ addonsFile: '/app/secrets/my-app.addons.env' }),
+        expect.any(String),
+        3100
+      );
+    });
+
+    it('should load the project secrets from their env file', async () => {
+      await projectService.redeployProject('project123');
+
+      expect(mockSecretService.writeEnvFile).toHaveBeenCalledWith(expect.objectContaining({ name: 'my-app' }));
+      expect(mockDockerService.startCandidate).toHaveBeenCalledWith(
+        expect.objectContaining({ secretsFile: '/app/secrets/my-app.env' }),
+        expect.any(String),
+        3100
+      );
+    });
+
+    it('should keep the running container when the build is cancelled', async () => {
+      project.status = 'running';
+      mockDockerService.buildImages.mockImplementation(async (projectPath, { signal }) => {
+        const [job] = await projectService.buildQueue.listJobs({ active: true });
+        await projectService.buildQueue.cancel(job.id);
+        throw signal.reason;
+      });
+
+      await expect(projectService.redeployProject('project123')).rejects.toThrow('was cancelled');
+
+      expect(mockDockerService.startCandidate).not.toHaveBeenCalled();
+      expect(projectRepository.updateStatus).toHaveBeenLastCalledWith('project123', 'running');
+      expect(deploymentRepository.finish).toHaveBeenCalledWith('deployment2', 'cancelled', expect.objectContaining({
+        error: expect.stringContaining('was cancelled')
+      }));
+    });
+
+    it('should resume a build interrupted by an API restart under its job ID', async () => {
+      const job = { id: 'job1', projectId: 'project123', projectName: 'my-app', type: 'webhook', status: 'running' };
+      await projectService.buildQueue._saveJob(job, true);
+
+      await projectService.resumeBuild(job);
+
+      expect(await projectService.buildQueue.listJobs()).toEqual([
+        expect.objectContaining({ id: 'job1', type: 'webhook', status: 'succeeded' })
+      ]);
+      expect(mockGitService.pullLatest).toHaveBeenCalled();
+      expect(deploymentRepository.create).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'webhook' }));
+    });
+
+    it('should not resume the build of a deleted project', async () => {
+      projectRepository.findById.mockResolvedValue(null);
+
+      await expect(projectService.resumeBuild({ id: 'job1', projectId: 'gone', type: 'redeploy' })).resolves.toBeNull();
+      expect(deploymentRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('routing', () => {
+    it('should remove the route when the project is stopped', async () => {
+      const result = await projectService.stopProject('project123');
+
+      expect(result).toBe(true);
+      expect(mockCaddyService.removeRoute).toHaveBeenCalledWith(project);
+      expect(mockAddonService.stopAddons).toHaveBeenCalledWith(project);
+    });
+
+    it('should keep the project running when the route cannot be updated', async () => {
+      mockCaddyService.upsertRoute.mockRejectedValue(new Error('Caddy reload failed'));
+
+      const result = await projectService.startProject('project123');
+
+      expect(result).toBe(true);
+      expect(projectRepository.updateStatus).toHaveBeenCalledWith('project123', 'running');
+    });
+  });
+
+  describe('deleteProject', () => {
+    it('should cancel the builds of the project and remove a candidate container left behind', async () => {
+      projectService.projectBackupService = { deleteByProject: jest.fn().mockResolvedValue() };
+      jest.spyOn(projectService.buildQueue, 'listJobs').mockResolvedValue([{ id: 'job1' }, { id: 'job2' }]);
+      jest.spyOn(projectService.buildQueue, 'cancel').mockResolvedValue({});
+      projectRepository.delete.mockResolvedValue(true);
+
+      await expect(projectService.deleteProject('project123')).resolves.toBe(true);
+
+      expect(projectService.buildQueue.listJobs).toHaveBeenCalledWith({ projectId: 'project123', active: true });
+      expect(projectService.buildQueue.cancel.mock.calls).toEqual([['job1'], ['job2']]);
+      expect(mockDockerService.removeCandidate).toHaveBeenCalledWith('my-app', expect.any(String));
+    });
+  });
+
+  describe('updateProject', () => {
+    const updateTo = (updates) => {
+      const updated = { ...project, ...updates };
+      projectRepository.findById.mockResolvedValueOnce(project).mockResolvedValue(updated);
+      projectRepository.update.mockResolvedValueOnce(updated);
+      return updated;
+    };
+
+    it('should refuse a name another project has in another case', async () => {
+      projectRepository.isNameAvailable.mockResolvedValueOnce(false);
+
+      await expect(projectService.updateProject('project123', { name: 'My-App' }))
+        .rejects.toThrow('Project name already exists: project My-App');
+      expect(projectRepository.isNameAvailable).toHaveBeenCalledWith('My-App', 'project123');
+      expect(projectRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should redeploy a project built from a repository when its container port changes', async () => {
+      project.status = 'running';
+      updateTo({ containerPort: 8080 });
+
+      await projectService.updateProject('project123', { containerPort: 8080 }, 'user1');
+
+      expect(mockBuildpackService.prepare).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        containerPort: 8080
+      }));
+      expect(deploymentRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        trigger: 'redeploy',
+        triggeredBy: 'user1'
+      }));
+    });
+
+    it('should switch a running image to its new container port', async () => {
+      Object.assign(project, {
+        image: 'louislam/uptime-kuma:1',
+        containerPort: 3001,
+        buildpack: { type: 'image', containerPort: 3001 },
+        status: 'running'
+      });
+      updateTo({ containerPort: 8080, buildpack: { type: 'image', containerPort: 8080 } });
+
+      await projectService.updateProject('project123', { containerPort: 8080 });
+
+      expect(projectRepository.update).toHaveBeenCalledWith('project123', {
+        containerPort: 8080,
+        buildpack: { type: 'image', containerPort: 8080 }
+      });
+      expect(mockDockerService.startCandidate).toHaveBeenCalledWith(
+        expect.objectContaining({ buildpack: { type: 'image', containerPort: 8080 } }),
+        expect.any(String),
+        3100
+      );
+      expect(mockBuildpackService.prepare).not.toHaveBeenCalled();
+    });
+
+    it('should restore the container port when the image does not start on the new one', async () => {
+      Object.assign(project, {
+        image: 'louislam/uptime-kuma:1',
+        containerPort: 3001,
+        buildpack: { type: 'image', containerPort: 3001 },
+        status: 'running'
+      });
+      updateTo({ containerPort: 8080, buildpack: { type: 'image', containerPort: 8080 } });
+      HttpProbe.waitUntilHealthy.mockResolvedValue(false);
+
+      await expect(
+        projectService.updateProject('project123', { containerPort: 8080 })
+      ).rejects.toThrow('did not start with its new settings');
+
+      expect(projectRepository.update).toHaveBeenLastCalledWith('project123', {
+        containerPort: 3001,
+        buildpack: { type: 'image', containerPort: 3001 }
+      });
+      expect(mockDockerService.createProjectCompose).toHaveBeenLastCalledWith(
+        expect.objectContaining({ containerPort: 3001 }),
+        expect.any(String)
+      );
+    });
+
+    it('should switch a running project to a container with its new resource limits', async () => {
+      project.status = 'running';
+      updateTo({ resources: { memory: 256 } });
+
+      await projectService.updateProject('project123', { resources: { memory: 256 } });
+
+      expect(mockQuotaService.checkResources).toHaveBeenCalledWith(project, { memory: 256 });
+      expect(mockDockerService.startCandidate).toHaveBeenCalledWith(
+        expect.objectContaining({ resources: { memory: 256 } }),
+        expect.any(String),
+        3100
+      );
+      expect(mockDockerService.buildImages).not.toHaveBeenCalled();
+    });
+
+    it('should write the resource limits of a stopped project to its compose file', async () => {
+      project.status = 'stopped';
+      updateTo({ resources: { memory: 256 } });
+
+      await projectService.updateProject('project123', { resources: { memory: 256 } });
+
+      expect(mockDockerService.createProjectCompose).toHaveBeenCalledWith(
+        expect.objectContaining({ resources: { memory: 256 } }),
+        expect.any(String)
+      );
+      expect(mockDockerService.startCandidate).not.toHaveBeenCalled();
+    });
+
+    it('should only store the container port when it did not change', async () => {
+      project.containerPort = 3000;
+      updateTo({ containerPort: 3000 });
+
+      await projectService.updateProject('project123', { containerPort: 3000 });
+
+      expect(deploymentRepository.create).not.toHaveBeenCalled();
+      expect(mockDockerService.createProjectCompose).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getResourceUsage', () => {
+    it('should report usage next to the limits of each project', async () => {
+      projectService.cacheService.get.mockResolvedValue([
+        { id: 'project123', name: 'my-app', status: 'running', resources: { memory: 256 } },
+        { id: 'project456', name: 'other-app', status: 'stopped' }
+      ]);
+      mockDockerService.getContainerStats = jest.fn().mockResolvedValue({
+        'my-app': { cpuPercent: 12.5, memoryUsage: 1024, memoryLimit: 268435456, memoryPercent: 0, pids: 3 }
+      });
+
+      const usage = await projectService.getResourceUsage();
+
+      expect(usage).toEqual([
+        {
+          projectId: 'project123',
+          name: 'my-app',
+          status: 'running',
+          limits: { memory: 256 },
+          usage: expect.objectContaining({ cpuPercent: 12.5, pids: 3 })
+        },
+        { projectId: 'project456', name: 'other-app', status: 'stopped', limits: {}, usage: null }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+jest.mock('../../repositories/addonRepository');
+jest.mock('../../repositories/projectRepository');
+jest.mock('../../repositories/roleQuotaRepository');
+jest.mock('../../repositories/userRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const addonRepository = require('../../repositories/addonRepository');
+const projectRepository = require('../../repositories/projectRepository');
+const roleQuotaRepository = require('../../repositories/roleQuotaRepository');
+const userRepository = require('../../repositories/userRepository');
+const { QuotaService } = require('../../services/quotaService');
+
+describe('QuotaService', () => {
+  let quotaService;
+  let mockBuildQueue;
+  let mockMeasureDirectory;
+  let mockDockerService;
+  let mockAddonService;
+  let users;
+  let projects;
+  let addons;
+
+  const unlimited = { maxProjects: null, maxMemory: null, maxCpus: null, maxConcurrentBuilds: null, maxDisk: null };
+
+  const user = (id, roles = ['user'], quota = {}) => ({
+    _id: id,
+    username: id,
+    email: `${id}@example.com`,
+    roles,
+    isDeleted: false,
+    quota: { ...unlimited, ...quota }
+  });
+
+  const project = (id, owner, resources = {}) => ({
+    _id: id,
+    name: id,
+    createdBy: owner,
+    resources: { cpus: null, memory: null, ...resources }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    users = {
+      alice: user('alice'),
+      bob: user('bob', ['user', 'moderator']),
+      admin: user('admin', ['admin'])
+    };
+    projects = [
+      project('app-1', 'alice', { memory: 512, cpus: 1 }),
+      project('app-2', 'alice', { memory: 256, cpus: 0.5 })
+    ];
+
+    addons = {};
+
+    addonRepository.countByProject.mockImplementation(async (id) => addons[id] || 0);
+    userRepository.findById.mockImplementation(async (id) => users[id] || null);
+    projectRepository.findByUser.mockImplementation(async (id) => projects.filter((entry) => entry.createdBy === id));
+    roleQuotaRepository.findAll.mockResolvedValue([
+      { role: 'user', ...unlimited, maxProjects: 3, maxMemory: 1024, maxCpus: 2, maxConcurrentBuilds: 1, maxDisk: 100 },
+      { role: 'moderator', ...unlimited, maxProjects: 10, maxMemory: 512 }
+    ]);
+
+    mockBuildQueue = { countActiveJobs: jest.fn().mockReturnValue(0) };
+    mockMeasureDirectory = jest.fn(async (directory) => (directory.startsWith('/projects/') ? 20 : 0));
+    mockDockerService = { getProjectDiskUsage: jest.fn().mockResolvedValue(0) };
+    mockAddonService = { getVolumeNames: jest.fn().mockResolvedValue([]) };
+
+    quotaService = new QuotaService({
+      buildQueue: mockBuildQueue,
+      measureDirectory: mockMeasureDirectory,
+      projectsDir: '/projects',
+      backupsDir: '/backups',
+      dockerService: mockDockerService,
+      addonService: mockAddonService,
+      addonResources: { cpus: 0.5, memory: 128, pidsLimit: 64 }
+    });
+  });
+
+  describe('getEffectiveQuota', () => {
+    it('should give users with several roles the most generous limits', async () => {
+      await expect(quotaService.getEffectiveQuota(users.bob)).resolves.toEqual({
+        maxProjects: 10,
+        maxMemory: 1024,
+        maxCpus: null,
+        maxConcurrentBuilds: null,
+        maxDisk: null
+      });
+    });
+
+    it('should prefer limits set on the user', async () => {
+      users.alice.quota.maxProjects = 8;
+
+      const quota = await quotaService.getEffectiveQuota(users.alice);
+
+      expect(quota).toMatchObject({ maxProjects: 8, maxMemory: 1024 });
+    });
+
+    it('should not limit admins', async () => {
+      await expect(quotaService.getEffectiveQuota(users.admin)).resolves.toEqual(unlimited);
+    });
+  });
+
+  it('should add up what the projects of a user use', async () => {
+    mockBuildQueue.countActiveJobs.mockReturnValue(1);
+
+    await expect(quotaService.getUsage('alice')).resolves.toEqual({
+      projects: 2,
+      memory: 768,
+      cpus: 1.5,
+      concurrentBuilds: 1,
+      disk: 40
+    });
+    expect(mockMeasureDirectory).toHaveBeenCalledWith('/projects/app-1');
+    expect(mockMeasureDirectory).toHaveBeenCalledWith('/backups/app-1');
+    expect(mockBuildQueue.countActiveJobs).toHaveBeenCalledWith(['app-1', 'app-2']);
+  });
+
+  it('should count the volumes and images of the projects towards the disk', async () => {
+    mockAddonService.getVolumeNames.mockImplementation(async (entry) => (entry.name === 'app-1' ? ['app-1-addon-postgres-data'] : []));
+    mockDockerService.getProjectDiskUsage.mockResolvedValue(15.5);
+
+    await expect(quotaService.getUsage('alice')).resolves.toMatchObject({ disk: 71 });
+    expect(mockDockerService.getProjectDiskUsage).toHaveBeenCalledWith('app-1', ['app-1-addon-postgres-data']);
+  });
+
+  it('should count the limits of add-ons towards memory and CPUs', async () => {
+    addons['app-1'] = 1;
+
+    await expect(quotaService.getUsage('alice')).resolves.toMatchObject({ memory: 896, cpus: 2 });
+  });
+
+  describe('checkDeploy', () => {
+    it('should allow deploys within the quota', async () => {
+      await expect(quotaService.checkDeploy('alice', { memory: 256, cpus: 0.5 })).resolves.toBeUndefined();
+    });
+
+    it('should refuse a project over the project limit', async () => {
+      projects.push(project('app-3', 'alice', { memory: 128, cpus: 0.25 }));
+
+      await expect(quotaService.checkDeploy('alice', { memory: 64, cpus: 0.1 })).rejects.toMatchObject({
+        name: 'QuotaExceededError',
+        message: 'Quota exceeded for projects: 4 requested, 3 allowed'
+      });
+    });
+
+    it('should refuse memory over the quota', async () => {
+      await expect(quotaService.checkDeploy('alice', { memory: 512, cpus: 0.5 })).rejects.toMatchObject({
+        name: 'QuotaExceededError',
+        message: 'Quota exceeded for memory (MB): 1280 requested, 1024 allowed'
+      });
+    });
+
+    it('should count the add-ons a project is deployed with', async () => {
+      await expect(quotaService.checkDeploy('alice', { memory: 64, cpus: 0.25 }, { addons: 2 })).rejects.toMatchObject({
+        message: 'Quota exceeded for memory (MB): 1088 requested, 1024 allowed'
+      });
+    });
+
+    it('should require resource limits when the quota limits them', async () => {
+      await expect(quotaService.checkDeploy('alice', {})).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'A memory limit is required by your quota: 256 MB of 1024 MB left'
+      });
+    });
+
+    it('should refuse a second build at a time', async () => {
+      mockBuildQueue.countActiveJobs.mockReturnValue(1);
+
+      await expect(quotaService.checkDeploy('alice', { memory: 128, cpus: 0.5 })).rejects.toMatchObject({
+        message: 'Quota exceeded for concurrent builds: 2 requested, 1 allowed'
+      });
+    });
+
+    it('should refuse deploys once the disk quota is used up', async () => {
+      mockDockerService.getProjectDiskUsage.mockResolvedValue(30);
+
+      await expect(quotaService.checkDeploy('alice', { memory: 128, cpus: 0.5 })).rejects.toMatchObject({
+        message: 'Quota exceeded for disk (MB): 100 requested, 100 allowed'
+      });
+    });
+
+    it('should let admins deploy without limits', async () => {
+      await expect(quotaService.checkDeploy('admin', {})).resolves.toBeUndefined();
+      expect(mockMeasureDirectory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reserveDeploy', () => {
+    it('should refuse a second deploy of a user until the first one is recorded', async () => {
+      let record;
+      const first = quotaService.reserveDeploy('alice', { resources: { memory: 256, cpus: 0.5 } }, () => new Promise((resolve) => {
+        record = resolve;
+      }));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      await expect(quotaService.reserveDeploy('alice', { resources: { memory: 256, cpus: 0.5 } }, jest.fn())).rejects.toMatchObject({
+        name: 'ConflictError'
+      });
+
+      record('app-3');
+      await expect(first).resolves.toBe('app-3');
+      await expect(quotaService.reserveDeploy('alice', { resources: { memory: 256, cpus: 0.5 } }, async () => 'app-4')).resolves.toBe('app-4');
+    });
+
+    it('should not record deploys over the quota', async () => {
+      const operation = jest.fn();
+
+      await expect(quotaService.reserveDeploy('alice', { resources: { memory: 512, cpus: 0.5 } }, operation)).rejects.toMatchObject({
+        name: 'QuotaExceededError'
+      });
+      expect(operation).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should check new resource limits against the other projects of the owner', async () => {
+    await expect(quotaService.checkResources(projects[0], { memory: 768, cpus: 1 })).resolves.toBeUndefined();
+    await expect(quotaService.checkResources(projects[0], { memory: 1024, cpus: 1 })).rejects.toMatchObject({
+      message: 'Quota exceeded for memory (MB): 1280 requested, 1024 allowed'
+    });
+  });
+
+  it('should refuse add-ons over the quota of the owner', async () => {
+    await expect(quotaService.checkAddon(projects[0])).resolves.toBeUndefined();
+
+    addons['app-2'] = 1;
+    await expect(quotaService.checkAddon(projects[0])).rejects.toMatchObject({
+      message: 'Quota exceeded for CPUs: 2.5 requested, 2 allowed'
+    });
+  });
+
+  it('should only change the limits given for a user', async () => {
+    userRepository.update.mockResolvedValue(user('alice', ['user'], { maxMemory: 2048 }));
+
+    const result = await quotaService.updateUserQuota('alice', { maxMemory: 2048, maxDisk: null });
+
+    expect(userRepository.update).toHaveBeenCalledWith('alice', { 'quota.maxMemory': 2048, 'quota.maxDisk': null });
+    expect(result.quota.maxMemory).toBe(2048);
+    expect(result.overrides.maxMemory).toBe(2048);
+  });
+
+  it('should fall back to the default quota of roles without one', async () => {
+    roleQuotaRepository.findAll.mockResolvedValue([]);
+
+    const quotas = await quotaService.getRoleQuotas();
+
+    expect(quotas.map(({ role, isDefault }) => [role, isDefault])).toEqual([['user', true], ['moderator', true]]);
+    expect(quotas[0]).toMatchObject({ maxProjects: 5, maxConcurrentBuilds: 1, maxMemory: null });
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../repositories/secretRepository');
+jest.mock('../../repositories/secretAuditRepository');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const secretRepository = require('../../repositories/secretRepository');
+const secretAuditRepository = require('../../repositories/secretAuditRepository');
+const SecretService = require('../../services/secretService');
+const SecretCipher = require('../../utils/secretCipher');
+
+describe('SecretService', () => {
+  let secretService;
+  let cipher;
+  let secretsDir;
+  let project;
+  let stored;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    secretsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'secrets-'));
+    cipher = new SecretCipher('test-master-key-with-at-least-32-characters');
+
+    secretService = new SecretService({ cipher });
+    secretService.secretsDir = secretsDir;
+
+    project = { _id: 'project123', name: 'my-app', environment: { NODE_ENV: 'production' } };
+
+    // Minimal in-memory stand-in for the secrets collection
+    stored = new Map();
+    secretRepository.findByKey.mockImplementation(async (projectId, key) => stored.get(key) || null);
+    secretRepository.upsert.mockImplementation(async (projectId, key, value, userId) => {
+      const secret = { key, value, updatedBy: userId, createdAt: new Date(), updatedAt: new Date() };
+      stored.set(key, secret);
+      return secret;
+    });
+    secretRepository.findByProject.mockImplementation(async () => [...stored.values()]);
+    secretRepository.deleteByKey.mockImplementation(async (projectId, key) => stored.delete(key));
+    secretAuditRepository.create.mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    await fs.rm(secretsDir, { recursive: true, force: true });
+  });
+
+  const readEnvFile = () => fs.readFile(path.join(secretsDir, 'my-app.env'), 'utf8');
+
+  describe('setSecret', () => {
+    it('should store the value encrypted and return it masked', async () => {
+      const secret = await secretService.setSecret(project, 'DB_PASSWORD', 'hunter2', 'user1');
+
+      expect(secret).toMatchObject({ key: 'DB_PASSWORD', value: '********', updatedBy: 'user1' });
+      const [, , encrypted] = secretRepository.upsert.mock.calls[0];
+      expect(encrypted).not.toContain('hunter2');
+      expect(cipher.decrypt(encrypted)).toBe('hunter2');
+    });
+
+    it('should write the decrypted secrets to an env file only the owner can read', async () => {
+      await secretService.setSecret(project, 'DB_PASSWORD', 'hunter2');
+      await secretService.setSecret(project, 'API_TOKEN', 'abc=def');
+
+      expect(await readEnvFile()).toBe('DB_PASSWORD=hunter2\nAPI_TOKEN=abc=def\n');
+      const stats = await fs.stat(path.join(secretsDir, 'my-app.env'));
+      expect(stats.mode & 0o777).toBe(0o600);
+    });
+
+    it('should record who created and updated a secret', async () => {
+      await secretService.setSecret(project, 'DB_PASSWORD', 'first', 'user1');
+      await secretService.setSecret(project, 'DB_PASSWORD', 'second', 'user2');
+
+      expect(secretAuditRepository.create.mock.calls.map(([entry]) => entry)).toEqual([
+        { project: 'project123', key: 'DB_PASSWORD', action: 'created', user: 'user1' },
+        { project: 'project123', key: 'DB_PASSWORD', action: 'updated', user: 'user2' }
+      ]);
+    });
+
+    it('should refuse names of plain environment variables', async () => {
+      await expect(secretService.setSecret(project, 'NODE_ENV', 'development'))
+        .rejects.toThrow('An environment variable with this name already exists');
+      expect(secretRepository.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should refuse multi-line values', async () => {
+      await expect(secretService.setSecret(project, 'KEY', 'line1\nline2'))
+        .rejects.toThrow('single-line');
+    });
+  });
+
+  describe('deleteSecret', () => {
+    it('should remove the secret from the env file and audit the deletion', async () => {
+      await secretService.setSecret(project, 'DB_PASSWORD', 'hunter2');
+
+      const deleted = await secretService.deleteSecret(project, 'DB_PASSWORD', 'user1');
+
+      expect(deleted).toBe(true);
+      expect(await readEnvFile()).toBe('');
+      expect(secretAuditRepository.create).toHaveBeenLastCalledWith({
+        project: 'project123',
+        key: 'DB_PASSWORD',
+        action: 'deleted',
+        user: 'user1'
+      });
+    });
+
+    it('should report unknown secrets', async () => {
+      await expect(secretService.deleteSecret(project, 'MISSING')).resolves.toBe(false);
+      expect(secretAuditRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listSecrets', () => {
+    it('should never return secret values', async () => {
+      await secretService.setSecret(project, 'DB_PASSWORD', 'hunter2');
+
+      const secrets = await secretService.listSecrets('project123');
+
+      expect(secrets).toEqual([expect.objectContaining({ key: 'DB_PASSWORD', value: '********' })]);
+      expect(JSON.stringify(secrets)).not.toContain('hunter2');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { TemplateService } = require('../../services/templateService');
+
+describe('TemplateService', () => {
+  let templateService;
+
+  beforeEach(() => {
+    templateService = new TemplateService();
+  });
+
+  it('should list the templates of the catalog by name', async () => {
+    const templates = await templateService.listTemplates();
+
+    expect(templates.map((template) => template.id)).toEqual(expect.arrayContaining(['static-site', 'uptime-kuma']));
+    expect(templates.map((template) => template.name)).toEqual(
+      [...templates.map((template) => template.name)].sort((a, b) => a.localeCompare(b))
+    );
+    for (const template of templates) {
+      expect(template).toEqual(expect.objectContaining({
+        image: expect.any(String),
+        containerPort: expect.any(Number),
+        volumes: expect.any(Array),
+        env: expect.any(Array)
+      }));
+    }
+  });
+
+  it('should not find unknown templates', async () => {
+    await expect(templateService.getTemplate('mainframe')).rejects.toMatchObject({ name: 'NotFoundError' });
+  });
+
+  describe('applyTemplate', () => {
+    it('should run the image of the template with its volumes and defaults', async () => {
+      const project = await templateService.applyTemplate({
+        template: 'node-red',
+        name: 'flows',
+        domain: 'flows.local',
+        environment: { EXTRA: 'yes' }
+      });
+
+      expect(project).toEqual({
+        name: 'flows',
+        domain: 'flows.local',
+        template: 'node-red',
+        image: 'nodered/node-red:4.0',
+        containerPort: 1880,
+        volumes: [{ name: 'data', path: '/data' }],
+        resources: { memory: 256 },
+        environment: { EXTRA: 'yes', TZ: 'Etc/UTC' },
+        secrets: {},
+        addons: []
+      });
+    });
+
+    it('should store secret variables as secrets, generating those not given', async () => {
+      const project = await templateService.applyTemplate({
+        template: 'vaultwarden',
+        environment: { DOMAIN: 'https://vault.example.com', ADMIN_TOKEN: 'chosen-token' },
+        resources: { memory: 512 }
+      });
+
+      expect(project.environment).toEqual({ DOMAIN: 'https://vault.example.com', SIGNUPS_ALLOWED: 'true' });
+      expect(project.secrets).toEqual({ ADMIN_TOKEN: 'chosen-token' });
+      expect(project.resources).toEqual({ memory: 512 });
+
+      const umami = await templateService.applyTemplate({ template: 'umami', addons: ['redis'] });
+      expect(umami.secrets.APP_SECRET).toMatch(/^[0-9a-f]{48}$/);
+      expect(umami.addons).toEqual(['postgres', 'redis']);
+    });
+
+    it('should require the variables without a default', async () => {
+      await expect(templateService.applyTemplate({ template: 'vaultwarden', environment: {} }))
+        .rejects.toThrow('Vaultwarden needs DOMAIN');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+jest.mock('../../services/projectService');
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const SecretCipher = require('../../utils/secretCipher');
+const WebhookService = require('../../services/webhookService');
+const { normalizeRepositoryUrl } = require('../../services/webhookService');
+
+const SECRET = 'test-webhook-secret';
+
+const sign = (body, secret = SECRET) =>
+  crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+describe('WebhookService', () => {
+  let webhookService;
+  let mockProjectService;
+  let mockProjectRepository;
+  let mockDeliveryRepository;
+  let cipher;
+  let project;
+
+  beforeEach(() => {
+    cipher = new SecretCipher('test-master-key-that-is-long-enough');
+    project = {
+      _id: 'project123',
+      name: 'my-app',
+      repository: 'https://github.com/user/my-app.git',
+      branch: 'main',
+      webhook: { enabled: true, secret: cipher.encrypt(SECRET) }
+    };
+
+    mockProjectService = {
+      redeployProject: jest.fn().mockResolvedValue(project)
+    };
+    mockProjectRepository = {
+      findWebhookEnabled: jest.fn().mockResolvedValue([project]),
+      touchWebhookDelivery: jest.fn().mockResolvedValue(project),
+      setWebhookSecret: jest.fn(async (id, secret) => ({ ...project, webhook: { enabled: true, secret } }))
+    };
+    mockDeliveryRepository = {
+      create: jest.fn(async (data) => ({ _id: 'delivery123', ...data })),
+      updateStatus: jest.fn().mockResolvedValue({})
+    };
+
+    webhookService = new WebhookService({
+      projectService: mockProjectService,
+      projectRepository: mockProjectRepository,
+      deliveryRepository: mockDeliveryRepository,
+      cipher
+    });
+  });
+
+  const githubPush = (payload, secret = SECRET) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return {
+      headers: {
+        'x-github-event': 'push',
+        'x-github-delivery': 'abc-123',
+        'x-hub-signature-256': `sha256=${sign(rawBody, secret)}`
+      },
+      rawBody,
+      payload
+    };
+  };
+
+  const pushPayload = (ref = 'refs/heads/main') => ({
+    ref,
+    after: 'a'.repeat(40),
+    pusher: { name: 'octocat' },
+    repository: {
+      clone_url: 'https://github.com/user/my-app.git',
+      html_url: 'https://github.com/user/my-app'
+    }
+  });
+
+  it('should store a new secret encrypted and return it in plaintext', async () => {
+    const { project: updated, secret } = await webhookService.rotateSecret('project123');
+
+    expect(secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(updated.webhook.secret).not.toBe(secret);
+    expect(cipher.decrypt(updated.webhook.secret)).toBe(secret);
+  });
+
+  describe('normalizeRepositoryUrl', () => {
+    it('should treat clone, web and ssh URLs of a repository as equal', () => {
+      const expected = 'github.com/user/my-app';
+
+      expect(normalizeRepositoryUrl('https://github.com/User/my-app.git')).toBe(expected);
+      expect(normalizeRepositoryUrl('https://github.com/user/my-app/')).toBe(expected);
+      expect(normalizeRepositoryUrl('https://token@github.com/user/my-app.git')).toBe(expected);
+    });
+  });
+
+  describe('verifySignature', () => {
+    it('should accept a valid GitHub signature', () => {
+      const { headers, rawBody } = githubPush(pushPayload());
+
+      expect(webhookService.verifySignature('github', headers, rawBody, SECRET)).toBe(true);
+    });
+
+    it('should reject a signature made with another secret', () => {
+      const { headers, rawBody } = githubPush(pushPayload(), 'other-secret');
+
+      expect(webhookService.verifySignature('github', headers, rawBody, SECRET)).toBe(false);
+    });
+
+    it('should accept a valid Gitea signature', () => {
+      const rawBody = Buffer.from('{}');
+      const headers = { 'x-gitea-signature': sign(rawBody) };
+
+      expect(webhookService.verifySignature('gitea', headers, rawBody, SECRET)).toBe(true);
+    });
+
+    it('should compare the GitLab token with the secret', () => {
+      const rawBody = Buffer.from('{}');
+
+      expect(webhookService.verifySignature('gitlab', { 'x-gitlab-token': SECRET }, rawBody, SECRET)).toBe(true);
+      expect(webhookService.verifySignature('gitlab', { 'x-gitlab-token': 'wrong' }, rawBody, SECRET)).toBe(false);
+    });
+  });
+
+  describe('handleDelivery', () => {
+    it('should trigger a redeploy for a signed push to the tracked branch', async () => {
+      const results = await webhookService.handleDelivery(githubPush(pushPayload()));
+
+      expect(results).toEqual([
+        expect.objectContaining({ projectId: 'project123', status: 'deploying' })
+      ]);
+      expect(mockDeliveryRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        project: 'project123',
+        provider: 'github',
+        commit: 'a'.repeat(40),
+        pusher: 'octocat',
+        status: 'deploying'
+      }));
+      expect(mockProjectService.redeployProject).toHaveBeenCalledWith('project123', { trigger: 'webhook' });
+    });
+
+    it('should ignore pushes to other branches', async () => {
+      const results = await webhookService.handleDelivery(githubPush(pushPayload('refs/heads/develop')));
+
+      expect(results[0].status).toBe('ignored');
+      expect(mockProjectService.redeployProject).not.toHaveBeenCalled();
+    });
+
+    it('should reject deliveries with an invalid signature', async () => {
+      await expect(
+        webhookService.handleDelivery(githubPush(pushPayload(), 'other-secret'))
+      ).rejects.toThrow('Permission denied');
+
+      expect(mockDeliveryRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'rejected'
+      }));
+      expect(mockProjectService.redeployProject).not.toHaveBeenCalled();
+    });
+
+    it('should log an invalid signature once at most, when the repository belongs to one project', async () => {
+      mockProjectRepository.findWebhookEnabled.mockResolvedValue([project, { ...project, _id: 'project456', name: 'my-app-copy' }]);
+
+      await expect(
+        webhookService.handleDelivery(githubPush(pushPayload(), 'other-secret'))
+      ).rejects.toThrow('Permission denied');
+
+      expect(mockDeliveryRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should encrypt a secret stored in plaintext once it verifies a delivery', async () => {
+      project.webhook.secret = SECRET;
+
+      const results = await webhookService.handleDelivery(githubPush(pushPayload()));
+
+      expect(results[0].status).toBe('deploying');
+      const [id, stored] = mockProjectRepository.setWebhookSecret.mock.calls[0];
+      expect(id).toBe('project123');
+      expect(cipher.decrypt(stored)).toBe(SECRET);
+    });
+
+    it('should fail when no project tracks the repository', async () => {
+      const payload = pushPayload();
+      payload.repository = { clone_url: 'https://github.com/user/unknown.git' };
+
+      await expect(webhookService.handleDelivery(githubPush(payload))).rejects.toThrow('not found');
+    });
+  });
+});
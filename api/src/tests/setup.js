@@ -1,5 +1,5 @@
-const { MongoMemoryServer } = require('mongodb-memory-server');
-const mongoose = require('mongoose');
+// Suites mock fs, child_process and the repositories they use themselves, a
+// global mock of fs breaks every module reading files, jest's own included
 const { createClient } = require('redis');
 
 // Mock Redis for testing
@@ -22,43 +22,6 @@ jest.mock('redis', () => ({
   }))
 }));
 
-// Mock child_process for testing
-jest.mock('child_process', () => ({
-  exec: jest.fn(),
-  spawn: jest.fn(() => ({
-    stdout: { on: jest.fn() },
-    stderr: { on: jest.fn() },
-    on: jest.fn(),
-    kill: jest.fn()
-  }))
-}));
-
-// Mock fs for testing
-jest.mock('fs', () => ({
-  promises: {
-    mkdir: jest.fn(),
-    writeFile: jest.fn(),
-    access: jest.fn(),
-    rm: jest.fn()
-  }
-}));
-
-let mongoServer;
-
-beforeAll(async () => {
-  // Start in-memory MongoDB
-  mongoServer = await MongoMemoryServer.create();
-  const mongoUri = mongoServer.getUri();
-  
-  await mongoose.connect(mongoUri);
-});
-
-afterAll(async () => {
-  // Clean up
-  await mongoose.disconnect();
-  await mongoServer.stop();
-});
-
 beforeEach(() => {
   // Clear all mocks before each test
   jest.clearAllMocks();
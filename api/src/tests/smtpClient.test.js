@@ -0,0 +1,146 @@
+const net = require('net');
+
+const SmtpClient = require('../utils/smtpClient');
+
+/**
+ * Local SMTP sink: accepts one message per connection and keeps it in memory
+ */
+const startSmtpSink = async ({ auth = null, rejectRecipient = null } = {}) => {
+  const messages = [];
+  const commands = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    let envelope = { from: null, to: [] };
+
+    socket.write('220 sink.local ESMTP ready\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            socket.write('250 2.0.0 Queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const [verb] = line.split(/[ :]/);
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            socket.write(`250-sink.local\r\n250-8BITMIME\r\n${auth ? '250-AUTH PLAIN\r\n' : ''}250 SIZE 1048576\r\n`);
+            break;
+          case 'AUTH': {
+            const decoded = Buffer.from(line.split(' ')[2], 'base64').toString('utf8');
+            socket.write(decoded === `\0${auth?.user}\0${auth?.password}` ? '235 2.7.0 Accepted\r\n' : '535 5.7.8 Bad credentials\r\n');
+            break;
+          }
+          case 'MAIL':
+            envelope.from = line.match(/<(.*)>/)[1];
+            socket.write('250 OK\r\n');
+            break;
+          case 'RCPT': {
+            const recipient = line.match(/<(.*)>/)[1];
+            if (recipient === rejectRecipient) {
+              socket.write('550 5.1.1 No such user\r\n');
+            } else {
+              envelope.to.push(recipient);
+              socket.write('250 OK\r\n');
+            }
+            break;
+          }
+          case 'DATA':
+            data = [];
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+            break;
+          case 'QUIT':
+            socket.end('221 Bye\r\n');
+            break;
+          default:
+            socket.write('502 Command not implemented\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, messages, commands, port: server.address().port };
+};
+
+describe('SmtpClient', () => {
+  let sink;
+
+  afterEach(async () => {
+    await new Promise((resolve) => sink.server.close(resolve));
+  });
+
+  it('should deliver a plain text message to every recipient', async () => {
+    sink = await startSmtpSink();
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port });
+
+    const result = await client.send({
+      from: 'pi@example.com',
+      to: ['ops@example.com', 'dev@example.com'],
+      subject: 'Deployment failed: my-app',
+      text: 'Build failed\n.hidden line'
+    });
+
+    expect(result.messageId).toMatch(/^<.+@.+>$/);
+    expect(sink.messages).toHaveLength(1);
+
+    const [message] = sink.messages;
+    expect(message.from).toBe('pi@example.com');
+    expect(message.to).toEqual(['ops@example.com', 'dev@example.com']);
+    expect(message.data).toContain('Subject: Deployment failed: my-app');
+    expect(message.data).toContain('Content-Type: text/plain; charset=utf-8');
+    // Lines starting with a dot are stuffed so they do not end the message
+    expect(message.data).toMatch(/\r\n\r\nBuild failed\r\n\.\.hidden line$/);
+  });
+
+  it('should encode subjects that are not plain ASCII', async () => {
+    sink = await startSmtpSink();
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port });
+
+    await client.send({ from: 'pi@example.com', to: 'ops@example.com', subject: 'Disk almost full ⚠', text: 'x' });
+
+    expect(sink.messages[0].data).toContain(`Subject: =?UTF-8?B?${Buffer.from('Disk almost full ⚠').toString('base64')}?=`);
+  });
+
+  it('should authenticate with AUTH PLAIN', async () => {
+    sink = await startSmtpSink({ auth: { user: 'relay', password: 'secret' } });
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port, user: 'relay', password: 'secret' });
+
+    await client.send({ from: 'pi@example.com', to: 'ops@example.com', subject: 'Test', text: 'x' });
+
+    expect(sink.messages).toHaveLength(1);
+  });
+
+  it('should fail with the server reply without echoing credentials', async () => {
+    sink = await startSmtpSink({ auth: { user: 'relay', password: 'secret' } });
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port, user: 'relay', password: 'wrong' });
+
+    const error = await client.send({ from: 'pi@example.com', to: 'ops@example.com', subject: 'Test', text: 'x' })
+      .catch((err) => err);
+
+    expect(error.message).toBe('SMTP AUTH failed: 535 5.7.8 Bad credentials');
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  it('should fail when a recipient is rejected', async () => {
+    sink = await startSmtpSink({ rejectRecipient: 'nobody@example.com' });
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port });
+
+    await expect(client.send({ from: 'pi@example.com', to: 'nobody@example.com', subject: 'Test', text: 'x' }))
+      .rejects.toThrow('SMTP RCPT failed: 550 5.1.1 No such user');
+  });
+});
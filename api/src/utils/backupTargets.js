@@ -0,0 +1,191 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const CommandExecutor = require("./commandExecutor");
+const S3Client = require("./s3Client");
+const { ErrorFactory } = require("./serviceErrors");
+
+const SSH_TIMEOUT = 30 * 60 * 1000;
+
+/**
+ * Backup targets - Where platform backups are stored
+ *
+ * Every target stores files under slash-separated keys and offers the same
+ * three operations: upload(filePath, key, { sha256, size }), download(key,
+ * filePath) and remove(key). Use createBackupTarget() to get the target of a
+ * backup policy.
+ */
+
+/**
+ * Directory on the API host (or a mounted network share)
+ */
+class LocalBackupTarget {
+  constructor({ path: directory }) {
+    this.root = path.resolve(directory);
+  }
+
+  describe(key = "") {
+    return path.join(this.root, key);
+  }
+
+  async upload(filePath, key) {
+    const destination = this._resolve(key);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.copyFile(filePath, destination);
+  }
+
+  async download(key, filePath) {
+    await fs.copyFile(this._resolve(key), filePath);
+  }
+
+  async remove(key) {
+    const file = this._resolve(key);
+    await fs.rm(file, { force: true });
+
+    // Drop the backup directory once its last file is gone
+    await fs.rmdir(path.dirname(file)).catch(() => {});
+  }
+
+  _resolve(key) {
+    const resolved = path.resolve(this.root, key);
+    if (!resolved.startsWith(this.root + path.sep)) {
+      throw ErrorFactory.validation(`Invalid backup key: ${key}`, "key");
+    }
+    return resolved;
+  }
+}
+
+/**
+ * Bucket of an S3-compatible object store (AWS S3, MinIO, ...)
+ */
+class S3BackupTarget {
+  constructor({ endpoint, region, bucket, prefix = "", accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    this.bucket = bucket;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, "");
+    this.client = new S3Client({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle });
+  }
+
+  describe(key = "") {
+    return `s3://${this.bucket}/${this._objectKey(key)}`;
+  }
+
+  async upload(filePath, key, { sha256, size }) {
+    await this.client.putObject(this._objectKey(key), filePath, { sha256, size });
+  }
+
+  async download(key, filePath) {
+    await this.client.getObject(this._objectKey(key), filePath);
+  }
+
+  async remove(key) {
+    await this.client.deleteObject(this._objectKey(key));
+  }
+
+  _objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+}
+
+/**
+ * Directory on an SSH server, written with sftp
+ * Every operation runs as an sftp batch, so nothing is executed in a remote
+ * shell. Authentication uses a private key file readable by the API; the
+ * host key is trusted on first use.
+ */
+class SftpBackupTarget {
+  constructor({ host, port = 22, username, path: directory, identityFile }) {
+    this.host = host;
+    this.port = port;
+    this.username = username;
+    this.root = directory.replace(/\/+$/, "") || "/";
+    this.identityFile = identityFile;
+  }
+
+  describe(key = "") {
+    return `sftp://${this.username}@${this.host}:${this.port}${path.posix.join(this.root, key)}`;
+  }
+
+  async upload(filePath, key) {
+    const remotePath = this._resolve(key);
+    // sftp creates one directory at a time, "-" ignores the ones that exist
+    const directories = path.posix.dirname(remotePath).split("/").filter(Boolean)
+      .map((part, index, parts) => `/${parts.slice(0, index + 1).join("/")}`);
+
+    await this._sftp([
+      ...directories.map((directory) => `-mkdir ${this._quote(directory)}`),
+      `put ${this._quote(filePath)} ${this._quote(remotePath)}`,
+    ]);
+  }
+
+  async download(key, filePath) {
+    await this._sftp([`get ${this._quote(this._resolve(key))} ${this._quote(filePath)}`]);
+  }
+
+  async remove(key) {
+    const remotePath = this._resolve(key);
+    await this._sftp([`rm ${this._quote(remotePath)}`, `-rmdir ${this._quote(path.posix.dirname(remotePath))}`]);
+  }
+
+  _resolve(key) {
+    const resolved = path.posix.join(this.root, key);
+    if (!resolved.startsWith(`${this.root}/`) || !/^[a-zA-Z0-9/_.-]+$/.test(resolved)) {
+      throw ErrorFactory.validation(`Invalid backup key: ${key}`, "key");
+    }
+    return resolved;
+  }
+
+  _quote(value) {
+    // Batch commands are one per line with double-quoted paths
+    if (/["\\\r\n]/.test(value)) {
+      throw ErrorFactory.validation(`Invalid path for sftp: ${value}`, "path");
+    }
+    return `"${value}"`;
+  }
+
+  async _sftp(commands) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "sftp-"));
+    const batchFile = path.join(directory, "batch");
+
+    try {
+      await fs.writeFile(batchFile, `${commands.join("\n")}\n`, { mode: 0o600 });
+      const options = ["-o", "BatchMode=yes", "-o", "StrictHostKeyChecking=accept-new", "-P", String(this.port)];
+      if (this.identityFile) {
+        options.push("-i", this.identityFile);
+      }
+
+      // "--" keeps a destination starting with "-" from being read as an option
+      return await CommandExecutor.execute(
+        "sftp",
+        ["-q", "-b", batchFile, ...options, "--", `${this.username}@${this.host}`],
+        { timeout: SSH_TIMEOUT, description: `SFTP to ${this.host}` }
+      );
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Create the target described by a backup policy
+ * @param {Object} target - Target settings with decrypted credentials
+ * @returns {LocalBackupTarget|S3BackupTarget|SftpBackupTarget} Backup target
+ */
+function createBackupTarget(target) {
+  switch (target.type) {
+    case "local":
+      return new LocalBackupTarget(target);
+    case "s3":
+      return new S3BackupTarget(target);
+    case "sftp":
+      return new SftpBackupTarget(target);
+    default:
+      throw ErrorFactory.validation(`Unknown backup target type: ${target.type}`, "target.type");
+  }
+}
+
+module.exports = {
+  LocalBackupTarget,
+  S3BackupTarget,
+  SftpBackupTarget,
+  createBackupTarget,
+};
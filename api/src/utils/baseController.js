@@ -82,6 +82,10 @@ class BaseController {
         return ResponseHelper.forbidden(res, error.message);
       }
 
+      if (error.name === 'QuotaExceededError') {
+        return ResponseHelper.forbidden(res, error.message);
+      }
+
       // Default to internal server error
       return ResponseHelper.internalError(res, errorMessage || 'An unexpected error occurred');
     }
@@ -1,6 +1,6 @@
 const { logger } = require("../config/logger");
 const { ErrorFactory } = require("./serviceErrors");
-const { CommandExecutor } = require("./commandExecutor");
+const CommandExecutor = require("./commandExecutor");
 
 /**
  * BaseService - Abstract base class for all services
@@ -1,4 +1,5 @@
 const { spawn } = require("child_process");
+const fs = require("fs");
 const { logger } = require("../config/logger");
 
 /**
@@ -262,6 +263,176 @@ class CommandExecutor {
     return this.execute("sh", ["-c", script], shellOptions);
   }
 
+  /**
+   * Execute a command and write its standard output to a file
+   * Used for binary output (archives, dumps) that must not be buffered as text.
+   * @param {string} command - Command to execute
+   * @param {Array} args - Command arguments (not sanitized)
+   * @param {string} filePath - File receiving stdout
+   * @param {Object} options - Execution options (cwd, timeout, description)
+   * @returns {Promise<Object>} Execution result with stderr, exitCode
+   */
+  static async executeToFile(command, args, filePath, options = {}) {
+    const {
+      cwd = process.cwd(),
+      timeout = 30 * 60 * 1000,
+      description = "Command",
+    } = options;
+
+    logger.debug("Executing command to file", { command, args, filePath, description });
+
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const child = spawn(command, args, {
+        cwd,
+        stdio: ["ignore", "pipe", "pipe"],
+        env: process.env,
+      });
+
+      let stderr = "";
+      let timedOut = false;
+      let settled = false;
+
+      const timeoutId = setTimeout(() => {
+        timedOut = true;
+        child.kill("SIGTERM");
+      }, timeout);
+
+      child.stdout.pipe(output);
+      child.stderr.on("data", (data) => {
+        stderr = (stderr + data.toString()).slice(-4096);
+      });
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        output.destroy();
+        error.command = command;
+        error.args = args;
+        error.stderr = stderr;
+        logger.error(`${description} failed`, { command, args, error: error.message, stderr: stderr.substring(0, 500) });
+        reject(error);
+      };
+
+      child.on("error", (error) => fail(new Error(`${description} process failed: ${error.message}`)));
+      output.on("error", (error) => {
+        child.kill("SIGTERM");
+        fail(error);
+      });
+
+      child.on("close", (code) => {
+        if (timedOut) {
+          const timeoutError = new Error(`${description} timeout after ${timeout}ms`);
+          timeoutError.timeout = true;
+          return fail(timeoutError);
+        }
+        if (code !== 0) {
+          const error = new Error(`${description} failed with exit code ${code}`);
+          error.exitCode = code;
+          return fail(error);
+        }
+
+        const done = () => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timeoutId);
+          resolve({ stderr: stderr.trim(), exitCode: code });
+        };
+
+        // stdout has ended; wait until the file is flushed
+        if (output.writableFinished) {
+          done();
+        } else {
+          output.on("finish", done);
+        }
+      });
+    });
+  }
+
+  /**
+   * Execute a command with a file as its standard input
+   * Counterpart of executeToFile, used to feed archives back into containers.
+   * @param {string} command - Command to execute
+   * @param {Array} args - Command arguments (not sanitized)
+   * @param {string} filePath - File sent to stdin
+   * @param {Object} options - Execution options (cwd, timeout, description)
+   * @returns {Promise<Object>} Execution result with stdout, stderr, exitCode
+   */
+  static async executeFromFile(command, args, filePath, options = {}) {
+    const {
+      cwd = process.cwd(),
+      timeout = 30 * 60 * 1000,
+      description = "Command",
+    } = options;
+
+    logger.debug("Executing command from file", { command, args, filePath, description });
+
+    return new Promise((resolve, reject) => {
+      const input = fs.createReadStream(filePath);
+      const child = spawn(command, args, {
+        cwd,
+        stdio: ["pipe", "pipe", "pipe"],
+        env: process.env,
+      });
+
+      let stdout = "";
+      let stderr = "";
+      let timedOut = false;
+      let settled = false;
+
+      const timeoutId = setTimeout(() => {
+        timedOut = true;
+        child.kill("SIGTERM");
+      }, timeout);
+
+      input.pipe(child.stdin);
+      child.stdout.on("data", (data) => {
+        stdout = (stdout + data.toString()).slice(-4096);
+      });
+      child.stderr.on("data", (data) => {
+        stderr = (stderr + data.toString()).slice(-4096);
+      });
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        input.destroy();
+        error.command = command;
+        error.args = args;
+        error.stderr = stderr;
+        logger.error(`${description} failed`, { command, args, error: error.message, stderr: stderr.substring(0, 500) });
+        reject(error);
+      };
+
+      child.on("error", (error) => fail(new Error(`${description} process failed: ${error.message}`)));
+      input.on("error", (error) => {
+        child.kill("SIGTERM");
+        fail(error);
+      });
+      // The command may exit before reading all of its input; its exit code tells what happened
+      child.stdin.on("error", () => {});
+
+      child.on("close", (code) => {
+        if (timedOut) {
+          const timeoutError = new Error(`${description} timeout after ${timeout}ms`);
+          timeoutError.timeout = true;
+          return fail(timeoutError);
+        }
+        if (code !== 0) {
+          const error = new Error(`${description} failed with exit code ${code}`);
+          error.exitCode = code;
+          return fail(error);
+        }
+
+        settled = true;
+        clearTimeout(timeoutId);
+        resolve({ stdout: stdout.trim(), stderr: stderr.trim(), exitCode: code });
+      });
+    });
+  }
+
   /**
    * Check if a command is available in the system
    * @param {string} command - Command to check
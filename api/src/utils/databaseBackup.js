@@ -1,10 +1,12 @@
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const mongoose = require('mongoose');
 const { logger } = require('../config/logger');
 const config = require('../config/environment');
+const { ErrorFactory } = require('./serviceErrors');
 
 const execAsync = promisify(exec);
 
@@ -58,11 +60,10 @@ class DatabaseBackup {
       };
 
       // Perform backup based on environment
-      if (this.isDockerEnvironment()) {
-        await this.createDockerBackup(backupPath, metadata, options);
-      } else {
-        await this.createLocalBackup(backupPath, metadata, options);
-      }
+      const dumpOptions = { includeIndexes, compression };
+      const archivePath = this.isDockerEnvironment()
+        ? await this.createDockerBackup(backupPath, metadata, dumpOptions)
+        : await this.createLocalBackup(backupPath, metadata, dumpOptions);
 
       // Save metadata
       const metadataPath = `${backupPath}.metadata.json`;
@@ -75,9 +76,9 @@ class DatabaseBackup {
       return {
         success: true,
         backupName,
-        backupPath,
+        backupPath: archivePath,
         metadataPath,
-        size: await this.getBackupSize(backupPath),
+        size: await this.getBackupSize(archivePath),
         metadata
       };
     } catch (error) {
@@ -97,30 +98,34 @@ class DatabaseBackup {
         collections = null
       } = options;
 
-      const backupPath = path.join(this.backupDir, backupName);
-      const metadataPath = `${backupPath}.metadata.json`;
-
-      // Check if backup exists
-      await fs.access(backupPath);
-      await fs.access(metadataPath);
+      const { archivePath, metadataPath, compressed } = await this.findBackup(backupName);
 
       // Load metadata
       const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
 
       logger.info(`Starting database restore: ${backupName}`);
 
-      // Perform restore based on environment
-      if (this.isDockerEnvironment()) {
-        await this.restoreDockerBackup(backupPath, metadata, options);
-      } else {
-        await this.restoreLocalBackup(backupPath, metadata, options);
+      const backupPath = compressed ? await this.decompressBackup(archivePath) : archivePath;
+      const restoreOptions = { dropExisting, preserveIndexes, collections };
+
+      try {
+        // Perform restore based on environment
+        if (this.isDockerEnvironment()) {
+          await this.restoreDockerBackup(backupPath, metadata, restoreOptions);
+        } else {
+          await this.restoreLocalBackup(backupPath, metadata, restoreOptions);
+        }
+      } finally {
+        if (compressed) {
+          await fs.rm(backupPath, { recursive: true, force: true });
+        }
       }
 
       logger.info(`Database restore completed: ${backupName}`);
       return {
         success: true,
         backupName,
-        restoredCollections: metadata.collections.map(c => c.name),
+        restoredCollections: collections || metadata.collections.map(c => c.name),
         metadata
       };
     } catch (error) {
@@ -144,14 +149,14 @@ class DatabaseBackup {
           const metadataPath = path.join(this.backupDir, file);
           const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
           
-          const backupPath = path.join(this.backupDir, metadata.name);
-          const stats = await fs.stat(backupPath).catch(() => null);
+          const { archivePath } = await this.findBackup(metadata.name).catch(() => ({}));
           
           backups.push({
             name: metadata.name,
             timestamp: metadata.timestamp,
             description: metadata.description,
-            size: stats ? await this.getBackupSize(backupPath) : 0,
+            size: archivePath ? await this.getBackupSize(archivePath) : 0,
+            compressed: Boolean(archivePath && archivePath.endsWith('.tar.gz')),
             collections: metadata.collections.length,
             database: metadata.database,
             metadata
@@ -171,15 +176,10 @@ class DatabaseBackup {
    */
   async deleteBackup(backupName) {
     try {
-      const backupPath = path.join(this.backupDir, backupName);
-      const metadataPath = `${backupPath}.metadata.json`;
-
-      // Check if backup exists
-      await fs.access(backupPath);
-      await fs.access(metadataPath);
+      const { archivePath, metadataPath } = await this.findBackup(backupName);
 
-      // Delete backup files
-      await fs.unlink(backupPath);
+      // Delete backup files (uncompressed backups are directories)
+      await fs.rm(archivePath, { recursive: true, force: true });
       await fs.unlink(metadataPath);
 
       logger.info(`Backup deleted: ${backupName}`);
@@ -198,7 +198,7 @@ class DatabaseBackup {
     
     // Use mongodump in Docker container
     const mongoContainer = await this.getMongoContainerName();
-    const dumpCommand = `docker exec ${mongoContainer} mongodump --db ${metadata.database} --out /tmp/backup`;
+    let dumpCommand = `docker exec ${mongoContainer} mongodump --db ${metadata.database} --out /tmp/backup`;
     
     if (!includeIndexes) {
       dumpCommand += ' --noIndexes';
@@ -210,13 +210,11 @@ class DatabaseBackup {
     const copyCommand = `docker cp ${mongoContainer}:/tmp/backup ${backupPath}`;
     await execAsync(copyCommand);
     
-    // Compress if requested
-    if (compression) {
-      await this.compressBackup(backupPath);
-    }
-    
     // Clean up container temp files
     await execAsync(`docker exec ${mongoContainer} rm -rf /tmp/backup`);
+
+    // Compress if requested
+    return compression ? await this.compressBackup(backupPath) : backupPath;
   }
 
   /**
@@ -226,7 +224,7 @@ class DatabaseBackup {
     const { includeIndexes, compression } = options;
     
     // Use mongodump locally
-    const dumpCommand = `mongodump --db ${metadata.database} --out ${backupPath}`;
+    let dumpCommand = `mongodump --db ${metadata.database} --out ${backupPath}`;
     
     if (!includeIndexes) {
       dumpCommand += ' --noIndexes';
@@ -235,37 +233,24 @@ class DatabaseBackup {
     await execAsync(dumpCommand);
     
     // Compress if requested
-    if (compression) {
-      await this.compressBackup(backupPath);
-    }
+    return compression ? await this.compressBackup(backupPath) : backupPath;
   }
 
   /**
    * Restore Docker-based backup
    */
   async restoreDockerBackup(backupPath, metadata, options) {
-    const { dropExisting, preserveIndexes } = options;
-    
     const mongoContainer = await this.getMongoContainerName();
     
     // Copy backup to container
     const copyCommand = `docker cp ${backupPath} ${mongoContainer}:/tmp/restore`;
     await execAsync(copyCommand);
     
-    // Drop existing database if requested
-    if (dropExisting) {
-      await execAsync(`docker exec ${mongoContainer} mongo ${metadata.database} --eval "db.dropDatabase()"`);
-    }
-    
     // Restore database
-    const restoreCommand = `docker exec ${mongoContainer} mongorestore --db ${metadata.database} /tmp/restore/${metadata.database}`;
-    
-    if (!preserveIndexes) {
-      restoreCommand += ' --noIndexRestore';
+    for (const restoreArgs of this.getRestoreArgs(metadata, options, `/tmp/restore/${metadata.database}`)) {
+      await execAsync(`docker exec ${mongoContainer} mongorestore ${restoreArgs}`);
     }
     
-    await execAsync(restoreCommand);
-    
     // Clean up container temp files
     await execAsync(`docker exec ${mongoContainer} rm -rf /tmp/restore`);
   }
@@ -274,21 +259,36 @@ class DatabaseBackup {
    * Restore local backup
    */
   async restoreLocalBackup(backupPath, metadata, options) {
-    const { dropExisting, preserveIndexes } = options;
-    
-    // Drop existing database if requested
+    // Restore database
+    for (const restoreArgs of this.getRestoreArgs(metadata, options, `${backupPath}/${metadata.database}`)) {
+      await execAsync(`mongorestore ${restoreArgs}`);
+    }
+  }
+
+  /**
+   * Build the mongorestore arguments for restore options
+   * Selected collections are restored one by one from their dump files;
+   * --drop replaces each restored collection instead of merging into it.
+   */
+  getRestoreArgs(metadata, options, dumpDir) {
+    const { dropExisting, preserveIndexes, collections } = options;
+    const flags = [`--db ${metadata.database}`];
+
     if (dropExisting) {
-      await execAsync(`mongo ${metadata.database} --eval "db.dropDatabase()"`);
+      flags.push('--drop');
     }
-    
-    // Restore database
-    const restoreCommand = `mongorestore --db ${metadata.database} ${backupPath}/${metadata.database}`;
-    
+
     if (!preserveIndexes) {
-      restoreCommand += ' --noIndexRestore';
+      flags.push('--noIndexRestore');
     }
-    
-    await execAsync(restoreCommand);
+
+    if (!collections || collections.length === 0) {
+      return [[...flags, dumpDir].join(' ')];
+    }
+
+    return collections.map(collection =>
+      [...flags, `--collection ${collection}`, `${dumpDir}/${collection}.bson`].join(' ')
+    );
   }
 
   /**
@@ -301,7 +301,7 @@ class DatabaseBackup {
     await execAsync(command);
     
     // Remove uncompressed directory
-    await fs.rmdir(backupPath, { recursive: true });
+    await fs.rm(backupPath, { recursive: true, force: true });
     
     return compressedPath;
   }
@@ -367,6 +367,27 @@ class DatabaseBackup {
     }
   }
 
+  /**
+   * Find the files of a backup
+   * Compressed backups are stored as <name>.tar.gz, uncompressed ones as a directory.
+   */
+  async findBackup(backupName) {
+    const backupPath = path.join(this.backupDir, backupName);
+    const metadataPath = `${backupPath}.metadata.json`;
+
+    if (!existsSync(metadataPath)) {
+      throw ErrorFactory.notFound('Backup', backupName);
+    }
+
+    for (const [archivePath, compressed] of [[`${backupPath}.tar.gz`, true], [backupPath, false]]) {
+      if (existsSync(archivePath)) {
+        return { archivePath, metadataPath, compressed };
+      }
+    }
+
+    throw ErrorFactory.notFound('Backup', backupName);
+  }
+
   /**
    * Ensure backup directory exists
    */
@@ -404,7 +425,7 @@ class DatabaseBackup {
    */
   isDockerEnvironment() {
     return process.env.DOCKER_ENV === 'true' || 
-           fs.existsSync('/.dockerenv') ||
+           existsSync('/.dockerenv') ||
            process.env.MONGO_URL?.includes('mongodb:');
   }
 
@@ -425,18 +446,13 @@ class DatabaseBackup {
    */
   async validateBackup(backupName) {
     try {
-      const backupPath = path.join(this.backupDir, backupName);
-      const metadataPath = `${backupPath}.metadata.json`;
-
-      // Check if files exist
-      await fs.access(backupPath);
-      await fs.access(metadataPath);
+      const { archivePath, metadataPath } = await this.findBackup(backupName);
 
       // Load metadata
       const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
 
       // Check backup size
-      const size = await this.getBackupSize(backupPath);
+      const size = await this.getBackupSize(archivePath);
       
       return {
         valid: true,
@@ -464,9 +480,11 @@ class DatabaseBackup {
 
     const intervalMs = intervals[interval] || intervals.daily;
 
-    setInterval(async () => {
+    // Rescheduling replaces the previous schedule
+    clearInterval(this.scheduleTimer);
+    this.scheduleTimer = setInterval(async () => {
       try {
-        const timestamp = new Date().toISOString();
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         await this.createBackup({
           name: `auto-backup-${timestamp}`,
           description: `Automatic backup - ${interval}`,
@@ -0,0 +1,74 @@
+const http = require("http");
+const https = require("https");
+const { logger } = require("../config/logger");
+
+/**
+ * HttpProbe - Minimal HTTP health probe for hosted project containers
+ *
+ * A container counts as healthy once it answers HTTP requests without a
+ * server error (status below 500).
+ */
+class HttpProbe {
+  /**
+   * Probe a URL once
+   * @param {string} url - URL to probe
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<Object>} Probe result with healthy flag, statusCode and error
+   */
+  static check(url, timeout = 5000) {
+    return new Promise((resolve) => {
+      const client = url.startsWith("https:") ? https : http;
+
+      const request = client.get(url, { timeout }, (response) => {
+        response.resume();
+        resolve({
+          healthy: response.statusCode < 500,
+          statusCode: response.statusCode,
+          error: null,
+        });
+      });
+
+      request.on("timeout", () => {
+        request.destroy(new Error(`Probe timeout after ${timeout}ms`));
+      });
+
+      request.on("error", (error) => {
+        resolve({ healthy: false, statusCode: null, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Probe a URL until it is healthy or the timeout expires
+   * @param {string} url - URL to probe
+   * @param {Object} options - Probe options
+   * @param {number} options.timeout - Total time to wait in milliseconds
+   * @param {number} options.interval - Delay between probes in milliseconds
+   * @param {number} options.requestTimeout - Timeout of a single probe in milliseconds
+   * @returns {Promise<boolean>} True when the URL became healthy in time
+   */
+  static async waitUntilHealthy(url, options = {}) {
+    const { timeout = 60000, interval = 2000, requestTimeout = 5000 } = options;
+    const deadline = Date.now() + timeout;
+    let lastResult = null;
+
+    while (Date.now() < deadline) {
+      lastResult = await HttpProbe.check(url, requestTimeout);
+      if (lastResult.healthy) {
+        logger.debug(`Health probe passed: ${url}`, { statusCode: lastResult.statusCode });
+        return true;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+
+    logger.warn(`Health probe timed out: ${url}`, {
+      timeout,
+      statusCode: lastResult?.statusCode,
+      error: lastResult?.error,
+    });
+    return false;
+  }
+}
+
+module.exports = HttpProbe;
@@ -0,0 +1,215 @@
+// Content type of the Prometheus text exposition format
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeHelp = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+const escapeLabelValue = (value) => escapeHelp(value).replace(/"/g, '\\"');
+
+/**
+ * Format a sample value, including the special float values
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+/**
+ * Metric - Named family of samples with a fixed set of label names
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Remove all samples, e.g. before a collector sets the current values
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Get the series of a label set, creating it on first use
+   * @protected
+   */
+  _getSeries(labels, create) {
+    const key = this.labelNames.map((labelName) => String(labels[labelName] ?? "")).join("\u0000");
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Format the label set of a sample
+   * @protected
+   */
+  _formatLabels(labels, extra = {}) {
+    const pairs = [
+      ...this.labelNames.map((labelName) => [labelName, labels[labelName] ?? ""]),
+      ...Object.entries(extra),
+    ];
+    if (pairs.length === 0) return "";
+
+    return `{${pairs.map(([labelName, value]) => `${labelName}="${escapeLabelValue(value)}"`).join(",")}}`;
+  }
+
+  /**
+   * Sample lines of the metric
+   * @protected
+   */
+  _samples() {
+    return Array.from(this.series.values()).map(
+      (series) => `${this.name}${this._formatLabels(series.labels)} ${formatValue(series.value)}`
+    );
+  }
+
+  /**
+   * Render the metric in the text exposition format
+   * @returns {string} HELP, TYPE and sample lines
+   */
+  render() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`, ...this._samples()].join("\n");
+  }
+}
+
+/**
+ * Counter - Value that only goes up (until the process restarts)
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+    this._getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * Gauge - Value that can go up and down
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super("gauge", options);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this._getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Histogram - Distribution of observed values in cumulative buckets
+ */
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this._getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  _samples() {
+    const lines = [];
+
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${this._formatLabels(series.labels, { le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${this._formatLabels(series.labels, { le: "+Inf" })} ${series.count}`);
+      lines.push(`${this.name}_sum${this._formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${this._formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * MetricsRegistry - Minimal Prometheus metrics registry
+ *
+ * Holds counters, gauges and histograms and renders them in the Prometheus
+ * text exposition format (version 0.0.4). Metrics are rendered in the order
+ * they were registered.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  /**
+   * @private
+   */
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics in the text exposition format
+   * @returns {string} Exposition text
+   */
+  render() {
+    return `${Array.from(this.metrics.values()).map((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = MetricsRegistry;
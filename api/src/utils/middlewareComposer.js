@@ -1,5 +1,6 @@
 const AuthMiddleware = require("../middleware/auth");
 const ValidationMiddleware = require("../middleware/validation");
+const ProjectAccessMiddleware = require("../middleware/projectAccess");
 const ResponseHelper = require("./responseHelper");
 
 /**
@@ -68,6 +69,24 @@ class MiddlewareComposer {
     ];
   }
 
+  /**
+   * Project member route middleware chain
+   * Validates the parameters, then requires a role in the project of the
+   * :id parameter (see ProjectAccessService).
+   * @param {Joi.Schema} paramSchema - Parameter validation schema
+   * @param {string} projectRole - Required project role (viewer, maintainer or owner)
+   * @param {...Function} additionalMiddleware - Additional middleware to include
+   * @returns {Array} Array of middleware functions
+   */
+  static project(paramSchema, projectRole = "viewer", ...additionalMiddleware) {
+    return [
+      AuthMiddleware.verifyToken,
+      ValidationMiddleware.validateParams(paramSchema),
+      ProjectAccessMiddleware.requireProjectRole(projectRole),
+      ...additionalMiddleware,
+    ];
+  }
+
   /**
    * Body validation middleware
    * @param {Joi.Schema} schema - Joi validation schema
@@ -283,6 +302,21 @@ class MiddlewareComposer {
     return middleware;
   }
 
+  /**
+   * Standard route for a project or one of its sub-resources
+   * @param {Function} handler - Route handler function
+   * @param {Joi.Schema} paramSchema - Parameter validation schema
+   * @param {string} projectRole - Required project role
+   * @param {...Function} additionalMiddleware - Middleware to run before the handler
+   * @returns {Array} Complete middleware chain
+   */
+  static projectResource(handler, paramSchema, projectRole = "viewer", ...additionalMiddleware) {
+    return [
+      ...MiddlewareComposer.project(paramSchema, projectRole, ...additionalMiddleware),
+      ResponseHelper.asyncHandler(handler),
+    ];
+  }
+
   /**
    * Standard POST route for resource creation
    * @param {Function} handler - Route handler function
@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const config = require("../config/environment");
+const SmtpClient = require("./smtpClient");
+const { ErrorFactory } = require("./serviceErrors");
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Discord rejects messages longer than this
+const DISCORD_MAX_LENGTH = 2000;
+
+const DEFAULT_NTFY_SERVER = "https://ntfy.sh";
+const NTFY_PRIORITIES = { info: 3, warning: 4, critical: 5 };
+
+// Loopback, private, link-local, shared and reserved ranges, which reach the Pi and its network
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Check whether an address belongs to a private network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for private, loopback, link-local and reserved addresses
+ */
+function isPrivateAddress(address) {
+  // IPv4 addresses mapped into IPv6, written dotted or in hex
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (mapped) {
+    const [, dotted, high, low] = mapped;
+    const value = dotted ? null : (parseInt(high, 16) << 16 | parseInt(low, 16)) >>> 0;
+    return isPrivateAddress(dotted || [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join("."));
+  }
+
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/**
+ * Resolve the host of a URL to an address notifications may be sent to
+ * Every address of the host is checked, and the request is then pinned to
+ * the one returned so a second lookup cannot answer differently.
+ * @param {string} url - Endpoint
+ * @returns {Promise<Object>} Address and family
+ */
+async function resolvePublicAddress(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.lookup(hostname, { all: true });
+
+  if (!config.notificationAllowPrivateNetworks) {
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      throw ErrorFactory.validation(
+        `${hostname} resolves to the private address ${blocked.address}, notifications are only sent to public hosts`,
+        "url"
+      );
+    }
+  }
+  return addresses[0];
+}
+
+/**
+ * POST a body and fail unless the server answers with a 2xx status
+ * @param {string} url - Endpoint
+ * @param {string} body - Request body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<number>} Response status code
+ */
+async function post(url, body, headers = {}) {
+  const target = await resolvePublicAddress(url);
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    const request = client.request(url, {
+      method: "POST",
+      timeout: REQUEST_TIMEOUT,
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [target])
+        : callback(null, target.address, target.family)),
+      headers: {
+        "content-type": "application/json",
+        "content-length": Buffer.byteLength(body),
+        "user-agent": "pi-hosting-notifier",
+        ...headers,
+      },
+    }, (response) => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve(response.statusCode);
+      } else {
+        reject(new Error(`${new URL(url).host} answered with HTTP ${response.statusCode}`));
+      }
+    });
+
+    request.on("timeout", () => request.destroy(new Error(`Request timeout after ${REQUEST_TIMEOUT}ms`)));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Notification channels - Where notifications are delivered
+ *
+ * Every channel offers send(notification) for a notification of the shape
+ * { event, title, message, severity, project, data, timestamp } and resolves
+ * once the receiving service accepted it. Use createNotificationChannel() to
+ * get the channel described by a stored notification channel.
+ */
+
+/**
+ * Mail through the platform's SMTP relay
+ */
+class EmailChannel {
+  constructor({ to }) {
+    this.to = to;
+  }
+
+  async send(notification) {
+    if (!config.smtpHost) {
+      throw ErrorFactory.validation("SMTP is not configured, set SMTP_HOST to send email notifications", "type");
+    }
+
+    const client = new SmtpClient({
+      host: config.smtpHost,
+      port: config.smtpPort,
+      secure: config.smtpSecure,
+      user: config.smtpUser,
+      password: config.smtpPassword,
+    });
+
+    await client.send({
+      from: config.smtpFrom,
+      to: this.to,
+      subject: `[${notification.severity}] ${notification.title}`,
+      text: `${notification.message}\n\nEvent: ${notification.event}\nTime: ${notification.timestamp}\n`,
+    });
+  }
+}
+
+/**
+ * JSON POST to any URL, signed with HMAC-SHA256 when a secret is set
+ */
+class WebhookChannel {
+  constructor({ url, secret = null }) {
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async send(notification) {
+    const body = JSON.stringify(notification);
+    const headers = { "x-notification-event": notification.event };
+
+    if (this.secret) {
+      headers["x-notification-signature"] = `sha256=${crypto.createHmac("sha256", this.secret).update(body).digest("hex")}`;
+    }
+
+    await post(this.url, body, headers);
+  }
+}
+
+/**
+ * Slack incoming webhook (also accepted by Mattermost and Rocket.Chat)
+ */
+class SlackChannel {
+  constructor({ url }) {
+    this.url = url;
+  }
+
+  async send(notification) {
+    await post(this.url, JSON.stringify({ text: `*${notification.title}*\n${notification.message}` }));
+  }
+}
+
+/**
+ * Discord channel webhook
+ */
+class DiscordChannel {
+  constructor({ url }) {
+    this.url = url;
+  }
+
+  async send(notification) {
+    const content = `**${notification.title}**\n${notification.message}`.slice(0, DISCORD_MAX_LENGTH);
+    await post(this.url, JSON.stringify({ content }));
+  }
+}
+
+/**
+ * Topic of an ntfy server (ntfy.sh or self-hosted)
+ */
+class NtfyChannel {
+  constructor({ server, topic, token = null }) {
+    this.server = (server || DEFAULT_NTFY_SERVER).replace(/\/+$/, "");
+    this.topic = topic;
+    this.token = token;
+  }
+
+  async send(notification) {
+    const body = JSON.stringify({
+      topic: this.topic,
+      title: notification.title,
+      message: notification.message,
+      priority: NTFY_PRIORITIES[notification.severity] || NTFY_PRIORITIES.info,
+      tags: [notification.event],
+    });
+
+    await post(this.server, body, this.token ? { authorization: `Bearer ${this.token}` } : {});
+  }
+}
+
+/**
+ * Create the channel described by a notification channel
+ * @param {Object} channel - Channel type and destination with decrypted credentials
+ * @returns {EmailChannel|WebhookChannel|SlackChannel|DiscordChannel|NtfyChannel} Notification channel
+ */
+function createNotificationChannel({ type, destination }) {
+  switch (type) {
+    case "email":
+      return new EmailChannel(destination);
+    case "webhook":
+      return new WebhookChannel(destination);
+    case "slack":
+      return new SlackChannel(destination);
+    case "discord":
+      return new DiscordChannel(destination);
+    case "ntfy":
+      return new NtfyChannel(destination);
+    default:
+      throw ErrorFactory.validation(`Unknown notification channel type: ${type}`, "type");
+  }
+}
+
+module.exports = {
+  EmailChannel,
+  WebhookChannel,
+  SlackChannel,
+  DiscordChannel,
+  NtfyChannel,
+  createNotificationChannel,
+  isPrivateAddress,
+};
@@ -0,0 +1,74 @@
+/**
+ * Events users can subscribe notification channels to
+ *
+ * Project events reach the channels of the project's owner and of admins;
+ * system events only reach admins. The category also picks the user setting
+ * that mutes the event (settings.projectUpdates or settings.systemAlerts).
+ */
+const NOTIFICATION_EVENTS = {
+  "deploy.succeeded": {
+    title: "Deployment succeeded",
+    category: "project",
+    severity: "info",
+    description: "A deployment, redeploy, restart or rollback finished",
+  },
+  "deploy.failed": {
+    title: "Deployment failed",
+    category: "project",
+    severity: "critical",
+    description: "A deployment, redeploy, restart or rollback failed",
+  },
+  "project.crashed": {
+    title: "Project crashed",
+    category: "project",
+    severity: "critical",
+    description: "The container of a running project stopped unexpectedly",
+  },
+  "health.failed": {
+    title: "Health check failing",
+    category: "project",
+    severity: "warning",
+    description: "A project became unhealthy after failed health checks",
+  },
+  "health.recovered": {
+    title: "Project healthy again",
+    category: "project",
+    severity: "info",
+    description: "An unhealthy project passed its health check again",
+  },
+  "backup.succeeded": {
+    title: "Backup completed",
+    category: "system",
+    severity: "info",
+    description: "A scheduled or manual platform backup completed",
+  },
+  "backup.failed": {
+    title: "Backup failed",
+    category: "system",
+    severity: "critical",
+    description: "A scheduled or manual platform backup failed",
+  },
+  "disk.full": {
+    title: "Disk almost full",
+    category: "system",
+    severity: "critical",
+    description: "Root filesystem usage crossed DISK_ALERT_THRESHOLD",
+  },
+  "hardware.undervoltage": {
+    title: "Under-voltage detected",
+    category: "system",
+    severity: "critical",
+    description: "The Pi's power supply dropped below the required voltage",
+  },
+  "hardware.throttled": {
+    title: "Pi throttled",
+    category: "system",
+    severity: "warning",
+    description: "The Pi capped its CPU frequency or throttled, usually because it ran hot",
+  },
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_EVENT_NAMES: Object.keys(NOTIFICATION_EVENTS),
+};
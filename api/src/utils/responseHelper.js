@@ -163,6 +163,29 @@ class ResponseHelper {
     return res.status(201).json(response);
   }
 
+  /**
+   * Send a 202 Accepted response for work that continues in the background
+   * @param {Object} res - Express response object
+   * @param {any} data - Accepted request data
+   * @param {string} message - Success message
+   * @returns {Object} Express response
+   */
+  static accepted(res, data, message = "Request accepted") {
+    const response = {
+      success: true,
+      message,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+
+    logger.info("Sending accepted response", {
+      message,
+      hasData: data !== null && data !== undefined,
+    });
+
+    return res.status(202).json(response);
+  }
+
   /**
    * Send a 204 No Content response
    * @param {Object} res - Express response object
@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const { pipeline } = require("stream/promises");
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash("sha256").update("").digest("hex");
+const REQUEST_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Percent-encode a string the way Signature Version 4 expects (RFC 3986)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * S3Client - Minimal client for S3-compatible object storage
+ *
+ * Supports the object operations platform backups need (put, get, delete)
+ * against AWS S3, MinIO, Garage and similar services. Requests are signed
+ * with AWS Signature Version 4. Objects are uploaded with a single PUT, so
+ * each object is limited to 5 GB.
+ */
+class S3Client {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.endpoint - Endpoint URL, e.g. http://minio:9000
+   * @param {string} options.region - Region (default us-east-1)
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.accessKeyId - Access key
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} options.forcePathStyle - Address the bucket in the path instead of the host name
+   */
+  constructor({ endpoint, region = "us-east-1", bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * Upload a file
+   * @param {string} key - Object key
+   * @param {string} filePath - File to upload
+   * @param {Object} file - File details
+   * @param {string} file.sha256 - Hex SHA-256 of the file, checked by the server
+   * @param {number} file.size - File size in bytes
+   * @returns {Promise<void>}
+   */
+  async putObject(key, filePath, { sha256: payloadHash, size }) {
+    await this._request("PUT", key, {
+      headers: { "content-length": String(size), "content-type": "application/octet-stream" },
+      payloadHash,
+      body: fs.createReadStream(filePath),
+    });
+  }
+
+  /**
+   * Download an object to a file
+   * @param {string} key - Object key
+   * @param {string} filePath - File to write
+   * @returns {Promise<void>}
+   */
+  async getObject(key, filePath) {
+    const response = await this._request("GET", key, { stream: true });
+    await pipeline(response, fs.createWriteStream(filePath));
+  }
+
+  /**
+   * Delete an object (deleting a missing object succeeds)
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async deleteObject(key) {
+    await this._request("DELETE", key);
+  }
+
+  /**
+   * Sign a request with Signature Version 4
+   * @param {Object} request - Request to sign
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Encoded request path
+   * @param {Object} request.query - Query parameters
+   * @param {Object} request.headers - Headers to sign, including host and x-amz-date
+   * @param {string} request.payloadHash - Hex SHA-256 of the body
+   * @returns {string} Authorization header
+   */
+  sign({ method, path, query = {}, headers, payloadHash }) {
+    const amzDate = headers["x-amz-date"];
+    const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+    const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map((name) => `${name}:${String(lowerCased[name]).trim()}\n`).join("");
+    const signedHeaders = names.join(";");
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join("&");
+
+    const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+    const signingKey = ["s3", "aws4_request"].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, amzDate.slice(0, 8)), this.region)
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    return `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  }
+
+  /**
+   * Host and path of an object
+   * @private
+   */
+  _getLocation(key) {
+    const encodedKey = key.split("/").map(encodeRfc3986).join("/");
+    const basePath = this.endpoint.pathname.replace(/\/$/, "");
+
+    if (this.forcePathStyle) {
+      return { host: this.endpoint.host, path: `${basePath}/${this.bucket}/${encodedKey}` };
+    }
+    return { host: `${this.bucket}.${this.endpoint.host}`, path: `${basePath}/${encodedKey}` };
+  }
+
+  /**
+   * Send a signed request
+   * Failed requests reject with the S3 error code in the message.
+   * @private
+   */
+  _request(method, key, { headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, body = null, stream = false } = {}) {
+    const { host, path } = this._getLocation(key);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const signedHeaders = {
+      ...headers,
+      host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    signedHeaders.authorization = this.sign({ method, path, headers: signedHeaders, payloadHash });
+
+    const transport = this.endpoint.protocol === "https:" ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port || undefined,
+        method,
+        path,
+        headers: signedHeaders,
+        timeout: REQUEST_TIMEOUT,
+      });
+
+      request.on("timeout", () => request.destroy(new Error(`S3 ${method} ${key} timed out`)));
+      request.on("error", reject);
+      request.on("response", (response) => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          if (stream) return resolve(response);
+          response.resume();
+          return response.on("end", () => resolve(response));
+        }
+
+        let responseBody = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          responseBody += chunk;
+        });
+        response.on("end", () => {
+          const code = (responseBody.match(/<Code>([^<]+)<\/Code>/) || [])[1] || `HTTP ${response.statusCode}`;
+          const error = new Error(`S3 ${method} ${key} failed: ${code}`);
+          error.statusCode = response.statusCode;
+          error.code = code;
+          reject(error);
+        });
+      });
+
+      if (body) {
+        body.on("error", (error) => request.destroy(error));
+        body.pipe(request);
+      } else {
+        request.end();
+      }
+    });
+  }
+}
+
+module.exports = S3Client;
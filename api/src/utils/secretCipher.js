@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+const KEY_SALT = "raspberry-host-secrets";
+
+/**
+ * SecretCipher - Encrypts project secrets at rest
+ *
+ * Values are encrypted with AES-256-GCM under a key derived from the master
+ * key and stored as `v1:<iv>:<auth tag>:<ciphertext>` (base64 parts). The
+ * auth tag makes decryption fail loudly when a value was tampered with or
+ * the master key changed.
+ */
+class SecretCipher {
+  /**
+   * @param {string} masterKey - Master key (SECRETS_MASTER_KEY)
+   */
+  constructor(masterKey) {
+    if (!masterKey || masterKey.length < 32) {
+      throw new Error("SECRETS_MASTER_KEY must be set to at least 32 characters to store secrets");
+    }
+
+    this.key = crypto.scryptSync(masterKey, KEY_SALT, 32);
+  }
+
+  /**
+   * Encrypt a value
+   * @param {string} plaintext - Value to encrypt
+   * @returns {string} Encrypted value
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+      .join(":");
+  }
+
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {string} payload - Encrypted value
+   * @returns {string} Plaintext
+   */
+  decrypt(payload) {
+    const [version, iv, authTag, ciphertext] = String(payload).split(":");
+    if (version !== VERSION || !iv || !authTag || ciphertext === undefined) {
+      throw new Error("Unsupported secret format");
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+}
+
+module.exports = SecretCipher;
@@ -168,6 +168,20 @@ class PermissionError extends ServiceError {
   }
 }
 
+/**
+ * Quota Exceeded Error - For operations that would exceed a user's quota
+ */
+class QuotaExceededError extends ServiceError {
+  constructor(resource, limit, requested) {
+    super(`Quota exceeded for ${resource}: ${requested} requested, ${limit} allowed`, {
+      category: "QUOTA_EXCEEDED",
+      statusCode: 403,
+      context: { resource, limit, requested },
+      retryable: false,
+    });
+  }
+}
+
 /**
  * Timeout Error - For operation timeouts
  */
@@ -293,6 +307,7 @@ module.exports = {
   CommandExecutionError,
   ConflictError,
   PermissionError,
+  QuotaExceededError,
   TimeoutError,
   RateLimitError,
   ErrorFactory,
@@ -0,0 +1,284 @@
+const crypto = require("crypto");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Header value safe for a message header
+ */
+function encodeHeader(value) {
+  const singleLine = String(value).replace(/[\r\n]+/g, " ");
+  if (/^[\x20-\x7e]*$/.test(singleLine)) {
+    return singleLine;
+  }
+  return `=?UTF-8?B?${Buffer.from(singleLine, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * SmtpClient - Minimal SMTP client for sending plain text mail
+ *
+ * Speaks just enough SMTP to hand a message to a relay: implicit TLS or
+ * STARTTLS when the server offers it, AUTH PLAIN when credentials are
+ * configured and a single text/plain message per connection.
+ */
+class SmtpClient {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.host - SMTP server
+   * @param {number} options.port - SMTP port
+   * @param {boolean} options.secure - Connect with TLS right away (port 465)
+   * @param {string} options.user - User name for AUTH PLAIN
+   * @param {string} options.password - Password for AUTH PLAIN
+   * @param {boolean} options.rejectUnauthorized - Reject invalid server certificates
+   * @param {number} options.timeout - Timeout of each server reply in milliseconds
+   */
+  constructor({
+    host,
+    port = 25,
+    secure = false,
+    user = null,
+    password = null,
+    rejectUnauthorized = true,
+    timeout = DEFAULT_TIMEOUT,
+  }) {
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.user = user;
+    this.password = password;
+    this.rejectUnauthorized = rejectUnauthorized;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Send a plain text message
+   * @param {Object} message - Message
+   * @param {string} message.from - Sender address
+   * @param {string|Array<string>} message.to - Recipient address(es)
+   * @param {string} message.subject - Subject
+   * @param {string} message.text - Body
+   * @returns {Promise<Object>} Message ID and the server's final reply
+   */
+  async send({ from, to, subject, text }) {
+    const recipients = Array.isArray(to) ? to : [to];
+    const messageId = `<${crypto.randomUUID()}@${os.hostname()}>`;
+    const session = await this._connect();
+
+    try {
+      await session.expect(220);
+      let features = await this._hello(session);
+
+      if (!this.secure && features.includes("STARTTLS")) {
+        await session.command("STARTTLS", 220);
+        await session.upgrade({ servername: this.host, rejectUnauthorized: this.rejectUnauthorized });
+        features = await this._hello(session);
+      }
+
+      if (this.user) {
+        const credentials = Buffer.from(`\0${this.user}\0${this.password || ""}`, "utf8").toString("base64");
+        await session.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+
+      await session.command(`MAIL FROM:<${from}>`, 250);
+      for (const recipient of recipients) {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+
+      await session.command("DATA", 354);
+      const reply = await session.command(this._formatMessage({ from, recipients, subject, text, messageId }), 250);
+
+      await session.command("QUIT", 221).catch(() => {});
+      return { messageId, response: reply.text };
+    } finally {
+      session.close();
+    }
+  }
+
+  /**
+   * Greet the server and return the extensions it announces
+   * @private
+   */
+  async _hello(session) {
+    const reply = await session.command(`EHLO ${os.hostname()}`, 250);
+    return reply.lines.slice(1).map((line) => line.split(" ")[0].toUpperCase());
+  }
+
+  /**
+   * Message headers and dot-stuffed body, terminated for the DATA command
+   * @private
+   */
+  _formatMessage({ from, recipients, subject, text, messageId }) {
+    const headers = [
+      `From: ${from}`,
+      `To: ${recipients.join(", ")}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit",
+    ];
+    const body = String(text)
+      .split(/\r?\n/)
+      .map((line) => (line.startsWith(".") ? `.${line}` : line))
+      .join("\r\n");
+
+    return `${headers.join("\r\n")}\r\n\r\n${body}\r\n.`;
+  }
+
+  /**
+   * Open a connection and wrap it in a line-based reply reader
+   * @private
+   */
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const socket = this.secure
+        ? tls.connect({ ...options, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+        : net.connect(options);
+
+      const onError = (error) => reject(error);
+      socket.once("error", onError);
+      socket.once(this.secure ? "secureConnect" : "connect", () => {
+        socket.removeListener("error", onError);
+        resolve(new SmtpSession(socket, this.timeout));
+      });
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error(`SMTP connection timeout after ${this.timeout}ms`)));
+    });
+  }
+}
+
+/**
+ * One SMTP connection: sends commands and collects multi-line replies
+ * @private
+ */
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.buffer = "";
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this._attach(socket);
+  }
+
+  /**
+   * Send a command and wait for a reply with the expected code
+   * @param {string} line - Command
+   * @param {number|Array<number>} expected - Accepted reply code(s)
+   * @returns {Promise<Object>} Reply
+   */
+  async command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected, line);
+  }
+
+  /**
+   * Wait for a reply with the expected code
+   * @param {number|Array<number>} expected - Accepted reply code(s)
+   * @param {string} command - Command the reply belongs to, for error messages
+   * @returns {Promise<Object>} Reply
+   */
+  async expect(expected, command = "greeting") {
+    const reply = await this._readReply();
+    const codes = Array.isArray(expected) ? expected : [expected];
+
+    if (!codes.includes(reply.code)) {
+      // Never echo credentials back in errors
+      const name = command.startsWith("AUTH") ? "AUTH" : command.split(/\s|:/)[0];
+      throw new Error(`SMTP ${name} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+
+  /**
+   * Switch the connection to TLS after STARTTLS
+   * @param {Object} options - TLS options
+   * @returns {Promise<void>}
+   */
+  upgrade(options) {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners("data");
+
+      const secure = tls.connect({ ...options, socket: plain }, () => {
+        secure.removeListener("error", reject);
+        resolve();
+      });
+      secure.once("error", reject);
+      this._attach(secure);
+    });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.socket.destroy();
+  }
+
+  /**
+   * Collect reply lines from a (possibly upgraded) socket
+   * @private
+   */
+  _attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error(`SMTP server did not answer within ${this.timeout}ms`)));
+    socket.on("data", (chunk) => {
+      this.buffer += chunk.toString("utf8");
+      const parts = this.buffer.split("\r\n");
+      this.buffer = parts.pop();
+      this.lines.push(...parts);
+      this._flush();
+    });
+    socket.on("error", (error) => {
+      this.error = error;
+      this._flush();
+    });
+    socket.on("close", () => {
+      this.error = this.error || new Error("SMTP connection closed unexpectedly");
+      this._flush();
+    });
+  }
+
+  /**
+   * Wait for the next complete reply
+   * @private
+   */
+  _readReply() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this._flush();
+    });
+  }
+
+  /**
+   * Hand a complete reply (last line has a space after the code) to the waiting reader
+   * @private
+   */
+  _flush() {
+    if (!this.waiting) return;
+
+    const end = this.lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (end !== -1) {
+      const raw = this.lines.splice(0, end + 1);
+      const lines = raw.map((line) => line.slice(4));
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ code: parseInt(raw[raw.length - 1].slice(0, 3), 10), lines, text: lines.join(" ") });
+      return;
+    }
+
+    if (this.error) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+}
+
+module.exports = SmtpClient;
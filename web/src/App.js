@@ -25,11 +25,13 @@ const DashboardRefactored = lazy(() =>
 );
 const ProjectManagement = lazy(() => import("./components/ProjectManagement"));
 const DeployProject = lazy(() => import("./components/DeployProject"));
+const Templates = lazy(() => import("./components/Templates"));
 const SystemInfo = lazy(() => import("./components/SystemInfo"));
 const WebSocketTest = lazy(() => import("./components/WebSocketTest"));
 const Login = lazy(() => import("./components/Login"));
 const Register = lazy(() => import("./components/Register"));
 const DatabaseMonitoring = lazy(() => import("./components/DatabaseMonitoring"));
+const Notifications = lazy(() => import("./components/Notifications"));
 
 // Create a client with modern TanStack Query v5 configuration
 const queryClient = new QueryClient({
@@ -82,7 +84,9 @@ const AppContent = () => {
       { path: "/", label: "Dashboard" },
       { path: "/projects", label: "Projects" },
       { path: "/deploy", label: "Deploy Project" },
+      { path: "/templates", label: "Templates" },
       { path: "/database", label: "Database" },
+      { path: "/notifications", label: "Notifications" },
       { path: "/websocket", label: "WebSocket Test" },
       { path: "/system", label: "System Info" },
     ],
@@ -185,6 +189,14 @@ const AppContent = () => {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/templates"
+                element={
+                  <ProtectedRoute>
+                    <Templates />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/websocket"
                 element={
@@ -201,6 +213,14 @@ const AppContent = () => {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/notifications"
+                element={
+                  <ProtectedRoute>
+                    <Notifications />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/system"
                 element={
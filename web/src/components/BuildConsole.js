@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import config from '../config/environment';
+import { socketAuth } from '../utils/helpers';
+import { TerminalSquare } from 'lucide-react';
+
+const MAX_LINES = 5000;
+
+const LINE_CLASSES = {
+  stdout: 'text-green-400',
+  stderr: 'text-yellow-400',
+  system: 'text-blue-400'
+};
+
+const STATUS_CLASSES = {
+  succeeded: 'text-green-600',
+  failed: 'text-red-600',
+  cancelled: 'text-gray-500'
+};
+
+const BuildConsole = ({ deploymentId, title = 'Build Output', onFinished }) => {
+  const [lines, setLines] = useState([]);
+  const [finished, setFinished] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [autoScroll, setAutoScroll] = useState(true);
+  const linesEndRef = useRef(null);
+  const onFinishedRef = useRef(onFinished);
+
+  useEffect(() => {
+    onFinishedRef.current = onFinished;
+  }, [onFinished]);
+
+  useEffect(() => {
+    setLines([]);
+    setFinished(false);
+    setStatus(null);
+
+    const socket = io(config.WS_URL, {
+      transports: ['websocket', 'polling'],
+      auth: socketAuth
+    });
+
+    socket.on('connect', () => {
+      setConnected(true);
+      socket.emit('join_build_log', { deploymentId });
+    });
+
+    socket.on('disconnect', () => {
+      setConnected(false);
+    });
+
+    socket.on('build_log_history', (data) => {
+      if (data.deploymentId !== deploymentId) return;
+      setLines(data.lines.slice(-MAX_LINES));
+      setFinished(data.finished);
+    });
+
+    socket.on('build_log', (data) => {
+      if (data.deploymentId !== deploymentId) return;
+      setLines(prevLines => [...prevLines, ...data.lines].slice(-MAX_LINES));
+    });
+
+    socket.on('build_log_end', (data) => {
+      if (data.deploymentId !== deploymentId) return;
+      setFinished(true);
+      setStatus(data.status);
+      if (onFinishedRef.current) onFinishedRef.current(data.status);
+    });
+
+    socket.on('build_log_error', (data) => {
+      console.error('Build log error:', data.message);
+    });
+
+    return () => {
+      socket.emit('leave_build_log', { deploymentId });
+      socket.close();
+    };
+  }, [deploymentId]);
+
+  // Follow the output while it is written
+  useEffect(() => {
+    if (autoScroll && linesEndRef.current) {
+      linesEndRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [lines, autoScroll]);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="flex items-center gap-2">
+          <TerminalSquare size={16} />
+          {title}
+        </h4>
+        <div className="flex items-center gap-4 text-sm">
+          <span className="flex items-center gap-2">
+            <span className={`status-indicator ${connected && !finished ? 'status-online' : 'status-offline'}`}></span>
+            {finished ? (
+              <span className={STATUS_CLASSES[status] || ''}>{status || 'Finished'}</span>
+            ) : (
+              'Live'
+            )}
+          </span>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={autoScroll}
+              onChange={(e) => setAutoScroll(e.target.checked)}
+            />
+            Auto-scroll
+          </label>
+        </div>
+      </div>
+      <div
+        className="bg-black font-mono text-sm p-4 rounded"
+        style={{ height: '320px', overflowY: 'auto' }}
+      >
+        {lines.length === 0 ? (
+          <div className="text-gray-500">
+            {finished ? 'No build output was recorded' : 'Waiting for build output...'}
+          </div>
+        ) : (
+          lines.map((line, index) => (
+            <div key={index} className={`whitespace-pre-wrap ${LINE_CLASSES[line.stream] || 'text-green-400'}`}>
+              {line.stream === 'system' ? `==> ${line.text}` : line.text}
+            </div>
+          ))
+        )}
+        <div ref={linesEndRef} />
+      </div>
+    </div>
+  );
+};
+
+export default BuildConsole;
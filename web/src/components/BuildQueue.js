@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { ListOrdered, XCircle } from 'lucide-react';
+
+const REFRESH_INTERVAL = 5000;
+
+const BUILD_STATUS_CLASSES = {
+  queued: 'text-gray-500',
+  running: 'text-blue-600',
+  cancelling: 'text-yellow-600'
+};
+
+const BuildQueue = ({ onChange }) => {
+  const [jobs, setJobs] = useState([]);
+  const [cancelling, setCancelling] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/projects/builds', { params: { active: true } });
+      setJobs(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching build queue:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+    const interval = setInterval(fetchJobs, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchJobs]);
+
+  const handleCancel = async (job) => {
+    if (!window.confirm(`Cancel the ${job.type} of ${job.projectName}?`)) {
+      return;
+    }
+
+    setCancelling(job.id);
+    try {
+      await apiClient.post(`/projects/builds/${job.id}/cancel`);
+      toast.success(`Cancelled build of ${job.projectName}`);
+      fetchJobs();
+      if (onChange) onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel build');
+    } finally {
+      setCancelling(null);
+    }
+  };
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card mb-6">
+      <h3 className="flex items-center gap-2 mb-4">
+        <ListOrdered size={18} />
+        Build Queue
+      </h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th>Project</th>
+            <th>Type</th>
+            <th>Status</th>
+            <th>Queued</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {jobs.map((job) => (
+            <tr key={job.id} className="border-t">
+              <td>{job.projectName}</td>
+              <td className="capitalize">{job.type}</td>
+              <td className={BUILD_STATUS_CLASSES[job.status] || ''}>
+                {job.status === 'queued' ? `Queued (#${job.position})` : job.status}
+              </td>
+              <td>{new Date(job.createdAt).toLocaleTimeString()}</td>
+              <td>
+                {job.status !== 'cancelling' && ['maintainer', 'owner'].includes(job.accessRole) && (
+                  <button
+                    className="btn btn-danger btn-small"
+                    onClick={() => handleCancel(job)}
+                    disabled={cancelling !== null}
+                    title="Cancel build"
+                  >
+                    <XCircle size={12} />
+                    {cancelling === job.id ? ' Cancelling...' : ' Cancel'}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BuildQueue;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { formatBytes } from '../utils/helpers';
+import { Archive, CheckCircle, Plus, RefreshCw, RotateCcw, Trash2 } from 'lucide-react';
+
+const SCHEDULE_INTERVALS = ['hourly', 'daily', 'weekly'];
+
+const DatabaseBackups = () => {
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [description, setDescription] = useState('');
+  const [scheduleInterval, setScheduleInterval] = useState('daily');
+
+  const fetchBackups = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get('/database/backups');
+      setBackups(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching backups:', error);
+      toast.error('Failed to load backups');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBackups();
+  }, [fetchBackups]);
+
+  // Runs a backup action and refreshes the list afterwards
+  const runAction = async (action, successMessage, errorMessage) => {
+    setWorking(true);
+    try {
+      const response = await action();
+      toast.success(successMessage);
+      await fetchBackups();
+      return response;
+    } catch (error) {
+      toast.error(error.response?.data?.error || errorMessage);
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    await runAction(
+      () => apiClient.post('/database/backups', { description }),
+      'Database backup created',
+      'Failed to create backup'
+    );
+    setDescription('');
+  };
+
+  const handleValidate = async (name) => {
+    try {
+      const response = await apiClient.get(`/database/backups/${name}/validate`);
+      const validation = response.data.data;
+      if (validation.valid) {
+        toast.success(`Backup ${name} is valid (${formatBytes(validation.size)})`);
+      } else {
+        toast.error(`Backup ${name} is invalid: ${validation.error}`);
+      }
+    } catch (error) {
+      toast.error('Failed to validate backup');
+    }
+  };
+
+  const handleRestore = async (name) => {
+    if (!window.confirm(`Restore the database from ${name}? Restored collections replace the current data.`)) {
+      return;
+    }
+
+    await runAction(
+      () => apiClient.post(`/database/backups/${name}/restore`, { dropExisting: true }),
+      `Database restored from ${name}`,
+      'Failed to restore backup'
+    );
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm(`Delete backup ${name}?`)) {
+      return;
+    }
+
+    await runAction(
+      () => apiClient.delete(`/database/backups/${name}`),
+      'Backup deleted',
+      'Failed to delete backup'
+    );
+  };
+
+  const handleSchedule = async () => {
+    setWorking(true);
+    try {
+      await apiClient.post('/database/backups/schedule', { interval: scheduleInterval });
+      toast.success(`Automatic ${scheduleInterval} backups scheduled`);
+    } catch (error) {
+      toast.error('Failed to schedule backups');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <Archive size={20} />
+          Backups
+        </h3>
+        <button className="btn btn-secondary btn-small" onClick={fetchBackups} disabled={loading} title="Refresh">
+          <RefreshCw size={12} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="form-input"
+          placeholder="Description (optional)"
+          maxLength={500}
+          disabled={working}
+        />
+        <button className="btn btn-primary" onClick={handleCreate} disabled={working}>
+          <Plus size={14} className="mr-2" />
+          Create Backup
+        </button>
+        <select
+          value={scheduleInterval}
+          onChange={(e) => setScheduleInterval(e.target.value)}
+          className="form-input"
+          disabled={working}
+        >
+          {SCHEDULE_INTERVALS.map((interval) => (
+            <option key={interval} value={interval}>{interval}</option>
+          ))}
+        </select>
+        <button className="btn btn-secondary" onClick={handleSchedule} disabled={working}>
+          Schedule
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading backups...</p>
+      ) : backups.length === 0 ? (
+        <p className="text-sm text-gray-500">No backups yet</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th>Name</th>
+              <th>Created</th>
+              <th>Size</th>
+              <th>Collections</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {backups.map((backup) => (
+              <tr key={backup.name} className="border-t" title={backup.description || ''}>
+                <td className="font-mono">{backup.name}</td>
+                <td>{new Date(backup.timestamp).toLocaleString()}</td>
+                <td>{formatBytes(backup.size)}</td>
+                <td>{backup.collections}</td>
+                <td className="text-right whitespace-nowrap">
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => handleValidate(backup.name)}
+                    disabled={working}
+                    title="Validate backup"
+                  >
+                    <CheckCircle size={12} />
+                  </button>
+                  <button
+                    className="btn btn-warning btn-small ml-2"
+                    onClick={() => handleRestore(backup.name)}
+                    disabled={working}
+                    title="Restore backup"
+                  >
+                    <RotateCcw size={12} />
+                  </button>
+                  <button
+                    className="btn btn-danger btn-small ml-2"
+                    onClick={() => handleDelete(backup.name)}
+                    disabled={working}
+                    title="Delete backup"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DatabaseBackups;
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import apiClient from '../config/axios';
 import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import DatabaseBackups from './DatabaseBackups';
+import PlatformBackups from './PlatformBackups';
 import { 
   Database, 
   RefreshCw, 
@@ -11,14 +14,39 @@ import {
   Server,
   AlertCircle,
   CheckCircle,
-  XCircle
+  XCircle,
+  TrendingUp,
+  Turtle
 } from 'lucide-react';
 
+const TREND_CLASSES = {
+  stable: 'text-green-600',
+  degrading: 'text-yellow-600',
+  declining: 'text-red-600'
+};
+
 const DatabaseMonitoring = () => {
   const [dbData, setDbData] = useState(null);
   const [redisData, setRedisData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [trends, setTrends] = useState(null);
+  const [slowQueries, setSlowQueries] = useState([]);
+  const [unusedIndexes, setUnusedIndexes] = useState([]);
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+
+  // Query diagnostics come from the admin-only database API
+  const fetchDiagnostics = async () => {
+    const [trendsResponse, slowQueriesResponse, unusedIndexesResponse] = await Promise.all([
+      apiClient.get('/database/health/trends'),
+      apiClient.get('/database/performance/slow-queries', { params: { limit: 20 } }),
+      apiClient.get('/database/indexes/unused')
+    ]);
+    setTrends(trendsResponse.data.data);
+    setSlowQueries(slowQueriesResponse.data.data || []);
+    setUnusedIndexes(unusedIndexesResponse.data.data || []);
+  };
 
   const fetchDatabaseInfo = async () => {
     try {
@@ -32,6 +60,10 @@ const DatabaseMonitoring = () => {
       } else {
         toast.error('Failed to fetch database information');
       }
+
+      if (isAdmin) {
+        await fetchDiagnostics();
+      }
     } catch (error) {
       console.error('Error fetching database info:', error);
       toast.error('Failed to fetch database information');
@@ -287,6 +319,93 @@ const DatabaseMonitoring = () => {
             </div>
           </div>
         </div>
+
+        {isAdmin && (
+          <>
+            {/* Health Trend */}
+            <div className="mt-6 pt-6 border-t">
+              <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <TrendingUp size={20} />
+                Health Trend
+              </h3>
+              {!trends || trends.trend === 'insufficient_data' ? (
+                <p className="text-sm text-gray-500">Not enough health checks recorded yet</p>
+              ) : (
+                <p className="text-sm">
+                  <span className={`font-medium capitalize ${TREND_CLASSES[trends.trend] || ''}`}>{trends.trend}</span>
+                  <span className="text-gray-600 ml-2">
+                    (last checks: {trends.healthy} healthy, {trends.degraded} degraded, {trends.unhealthy} unhealthy)
+                  </span>
+                </p>
+              )}
+            </div>
+
+            {/* Slow Queries */}
+            <div className="mt-6 pt-6 border-t">
+              <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <Turtle size={20} />
+                Slow Queries
+              </h3>
+              {slowQueries.length === 0 ? (
+                <p className="text-sm text-gray-500">No slow queries recorded</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th>When</th>
+                      <th>Collection</th>
+                      <th>Operation</th>
+                      <th>Duration</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {slowQueries.map((query, index) => (
+                      <tr key={index} className="border-t">
+                        <td>{new Date(query.timestamp).toLocaleString()}</td>
+                        <td className="font-mono">{query.collection}</td>
+                        <td>{query.operation}</td>
+                        <td>{query.duration} ms</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* Unused Indexes */}
+            <div className="mt-6 pt-6 border-t">
+              <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <HardDrive size={20} />
+                Unused Indexes
+              </h3>
+              {unusedIndexes.length === 0 ? (
+                <p className="text-sm text-gray-500">Every index has been used since the database started</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th>Collection</th>
+                      <th>Index</th>
+                      <th>Keys</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {unusedIndexes.map((index) => (
+                      <tr key={`${index.collection}.${index.name}`} className="border-t">
+                        <td className="font-mono">{index.collection}</td>
+                        <td className="font-mono">{index.name}</td>
+                        <td className="font-mono">{JSON.stringify(index.key)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <DatabaseBackups />
+            <PlatformBackups />
+          </>
+        )}
       </div>
     </div>
   );
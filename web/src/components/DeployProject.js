@@ -1,7 +1,11 @@
 import React, { useState, useCallback, useMemo } from 'react';
+import { io } from 'socket.io-client';
 import apiClient from '../config/axios';
+import config from '../config/environment';
+import { socketAuth } from '../utils/helpers';
 import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
+import BuildConsole from './BuildConsole';
 import { 
   Upload, 
   GitBranch, 
@@ -11,7 +15,12 @@ import {
   Play,
   Plus,
   Minus,
-  Info
+  Info,
+  Cpu,
+  KeyRound,
+  Copy,
+  FolderTree,
+  Database
 } from 'lucide-react';
 
 // Constants
@@ -23,27 +32,73 @@ const DEFAULT_FORM_DATA = {
   buildCommand: '',
   startCommand: '',
   port: 3000,
+  containerPort: '',
   autoPort: false,
-  environment: {}
+  environment: {},
+  resources: { cpus: '', memory: '', pidsLimit: '' },
+  build: { context: '', dockerfile: '', composeFile: '', composeService: '', stack: false },
+  addons: []
 };
 
+// Managed add-ons and the variable their connection URL is passed in
+const ADDON_OPTIONS = [
+  { type: 'postgres', name: 'PostgreSQL', envVar: 'DATABASE_URL' },
+  { type: 'mysql', name: 'MySQL', envVar: 'DATABASE_URL' },
+  { type: 'redis', name: 'Redis', envVar: 'REDIS_URL' },
+  { type: 'mongodb', name: 'MongoDB', envVar: 'MONGODB_URL' }
+];
+
+const DEFAULT_GIT_ACCESS = { type: 'public', deployKey: null, username: '', token: '' };
+
 const PORT_RANGE = { min: 3000, max: 9999 };
 
+const SOCKET_CONNECT_TIMEOUT = 3000;
+
+// Listen for the deployment of a project so its build output can be followed
+const watchDeployment = async (projectName, onStarted) => {
+  const socket = io(config.WS_URL, { transports: ['websocket', 'polling'], auth: socketAuth });
+
+  socket.on('deployment_started', (data) => {
+    if (data.projectName === projectName && data.trigger === 'deploy') {
+      onStarted(data.deploymentId);
+      socket.close();
+    }
+  });
+
+  await new Promise((resolve) => {
+    socket.once('connect', resolve);
+    setTimeout(resolve, SOCKET_CONNECT_TIMEOUT);
+  });
+
+  return socket;
+};
+
 const DeployProject = () => {
-  const { user, isAuthenticated, hasRole } = useAuth();
+  const { user, isAuthenticated } = useAuth();
   const [formData, setFormData] = useState(DEFAULT_FORM_DATA);
   const [envVars, setEnvVars] = useState([]);
+  const [gitAccess, setGitAccess] = useState(DEFAULT_GIT_ACCESS);
+  const [generatingKey, setGeneratingKey] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [buildLog, setBuildLog] = useState(null);
 
   // Memoized validation
-  const validation = useMemo(() => ({
-    isValid: formData.name && formData.domain && formData.repository,
-    errors: {
+  const validation = useMemo(() => {
+    const errors = {
       name: !formData.name ? 'Project name is required' : '',
       domain: !formData.domain ? 'Domain is required' : '',
-      repository: !formData.repository ? 'Repository URL is required' : ''
-    }
-  }), [formData.name, formData.domain, formData.repository]);
+      repository: !formData.repository ? 'Repository URL is required' : '',
+      gitAccess: (gitAccess.type === 'deployKey' && !gitAccess.deployKey && 'Generate a deploy key first') ||
+        (gitAccess.type === 'token' && !gitAccess.token && 'Access token is required') || '',
+      build: !formData.build.composeFile !== !formData.build.composeService
+        ? 'Set the compose file and the service to deploy together'
+        : '',
+      addons: formData.addons.includes('postgres') && formData.addons.includes('mysql')
+        ? 'PostgreSQL and MySQL both use DATABASE_URL, attach the second one from the project afterwards'
+        : ''
+    };
+    return { isValid: !Object.values(errors).some(Boolean), errors };
+  }, [formData.name, formData.domain, formData.repository, formData.build, formData.addons, gitAccess]);
 
   // Event handlers
   const handleInputChange = useCallback((e) => {
@@ -54,8 +109,33 @@ const DeployProject = () => {
     }));
   }, []);
 
+  const handleResourceChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      resources: { ...prev.resources, [name]: value }
+    }));
+  }, []);
+
+  const handleBuildChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      build: { ...prev.build, [name]: type === 'checkbox' ? checked : value }
+    }));
+  }, []);
+
+  const toggleAddon = useCallback((type) => {
+    setFormData(prev => ({
+      ...prev,
+      addons: prev.addons.includes(type)
+        ? prev.addons.filter(addon => addon !== type)
+        : [...prev.addons, type]
+    }));
+  }, []);
+
   const addEnvVar = useCallback(() => {
-    setEnvVars(prev => [...prev, { key: '', value: '' }]);
+    setEnvVars(prev => [...prev, { key: '', value: '', secret: false }]);
   }, []);
 
   const removeEnvVar = useCallback((index) => {
@@ -71,16 +151,49 @@ const DeployProject = () => {
   const resetForm = useCallback(() => {
     setFormData(DEFAULT_FORM_DATA);
     setEnvVars([]);
+    setGitAccess(DEFAULT_GIT_ACCESS);
+  }, []);
+
+  // The private half stays on the server, encrypted in the key token
+  const generateDeployKey = useCallback(async () => {
+    setGeneratingKey(true);
+    try {
+      const response = await apiClient.post('/projects/deploy-keys');
+      setGitAccess(prev => ({ ...prev, deployKey: response.data.data }));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to generate deploy key');
+    } finally {
+      setGeneratingKey(false);
+    }
   }, []);
 
-  // Environment variables processing
-  const environment = useMemo(() => {
+  const copyPublicKey = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(gitAccess.deployKey.publicKey);
+      toast.success('Public key copied');
+    } catch (error) {
+      toast.error('Failed to copy, select the key and copy it instead');
+    }
+  }, [gitAccess.deployKey]);
+
+  const gitAuth = useMemo(() => {
+    if (gitAccess.type === 'deployKey' && gitAccess.deployKey) {
+      return { type: 'deployKey', keyToken: gitAccess.deployKey.keyToken };
+    }
+    if (gitAccess.type === 'token') {
+      return { type: 'token', username: gitAccess.username || null, token: gitAccess.token };
+    }
+    return undefined;
+  }, [gitAccess]);
+
+  // Environment variables processing, secrets are stored encrypted by the API
+  const { environment, secrets } = useMemo(() => {
     return envVars.reduce((acc, env) => {
       if (env.key && env.value) {
-        acc[env.key] = env.value;
+        acc[env.secret ? 'secrets' : 'environment'][env.key] = env.value;
       }
       return acc;
-    }, {});
+    }, { environment: {}, secrets: {} });
   }, [envVars]);
 
   // Form submission
@@ -92,11 +205,6 @@ const DeployProject = () => {
       return;
     }
     
-    if (!hasRole('admin')) {
-      toast.error('Admin privileges required to deploy projects');
-      return;
-    }
-
     if (!validation.isValid) {
       const firstError = Object.values(validation.errors).find(error => error);
       if (firstError) toast.error(firstError);
@@ -104,14 +212,38 @@ const DeployProject = () => {
     }
     
     setLoading(true);
+    setBuildLog(null);
+    const projectName = formData.name;
+    const watcher = await watchDeployment(projectName, (deploymentId) => {
+      setBuildLog({ deploymentId, projectName });
+    });
 
     try {
       const payload = {
         ...formData,
-        environment
+        // Left empty the port is detected from the repository
+        containerPort: formData.containerPort ? parseInt(formData.containerPort, 10) : null,
+        // Empty limits leave the resource unlimited
+        resources: Object.fromEntries(
+          Object.entries(formData.resources).map(([name, value]) => [name, value === '' ? null : Number(value)])
+        ),
+        // Empty fields build the repository root
+        build: {
+          ...Object.fromEntries(
+            Object.entries(formData.build).map(([name, value]) => [
+              name,
+              typeof value === 'string' ? value.trim() || null : value
+            ])
+          ),
+          // The stack option is hidden without a compose file
+          stack: Boolean(formData.build.composeFile.trim()) && formData.build.stack
+        },
+        environment,
+        secrets,
+        gitAuth
       };
 
-      console.log('Sending deployment request:', payload);
+      console.log('Sending deployment request:', { ...payload, secrets: Object.keys(secrets), gitAuth: gitAuth?.type });
       
       const response = await apiClient.post('/projects/deploy', payload);
       
@@ -126,16 +258,17 @@ const DeployProject = () => {
       console.error('Deployment error:', error);
       handleDeploymentError(error);
     } finally {
+      watcher.close();
       setLoading(false);
     }
-  }, [isAuthenticated, hasRole, validation, formData, environment, resetForm]);
+  }, [isAuthenticated, validation, formData, environment, secrets, gitAuth, resetForm]);
 
   // Error handling
   const handleDeploymentError = useCallback((error) => {
     if (error.response?.status === 401) {
       toast.error('Authentication failed. Please log in again.');
     } else if (error.response?.status === 403) {
-      toast.error('Access denied. Admin privileges required.');
+      toast.error(error.response.data?.error || 'Access denied.');
     } else if (error.response?.status === 400) {
       const errorData = error.response.data;
       if (errorData.details && Array.isArray(errorData.details)) {
@@ -196,7 +329,99 @@ const DeployProject = () => {
             </div>
           </div>
         )}
+
+        <div>
+          <label htmlFor="containerPort" className="text-sm text-gray-700">
+            Container port (the port your app listens on inside its container)
+          </label>
+          <input
+            type="number"
+            name="containerPort"
+            id="containerPort"
+            value={formData.containerPort}
+            onChange={handleInputChange}
+            className="form-input"
+            min={1}
+            max={65535}
+            placeholder="Detect from the repository"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Must match an <code>EXPOSE</code> line of the repository's Dockerfile when it has one.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+
+  // Resource limits component
+  const ResourceLimits = () => (
+    <div className="form-group">
+      <label className="form-label">
+        <Cpu size={16} className="inline mr-2" />
+        Resource Limits
+      </label>
+      <div className="grid grid-3 gap-2">
+        <input
+          type="number"
+          name="cpus"
+          value={formData.resources.cpus}
+          onChange={handleResourceChange}
+          className="form-input"
+          min={0.1}
+          step={0.1}
+          placeholder="CPUs (e.g. 1.5)"
+        />
+        <input
+          type="number"
+          name="memory"
+          value={formData.resources.memory}
+          onChange={handleResourceChange}
+          className="form-input"
+          min={6}
+          placeholder="Memory in MB (e.g. 512)"
+        />
+        <input
+          type="number"
+          name="pidsLimit"
+          value={formData.resources.pidsLimit}
+          onChange={handleResourceChange}
+          className="form-input"
+          min={10}
+          placeholder="Max processes (e.g. 200)"
+        />
       </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Leave empty for no limit. Limits keep one project from starving the Pi and the other projects.
+      </p>
+    </div>
+  );
+
+  // Managed add-ons component
+  const AddonSelection = () => (
+    <div className="form-group">
+      <label className="form-label">
+        <Database size={16} className="inline mr-2" />
+        Add-ons (Optional)
+      </label>
+      <div className="flex gap-4">
+        {ADDON_OPTIONS.map((addon) => (
+          <label key={addon.type} className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={formData.addons.includes(addon.type)}
+              onChange={() => toggleAddon(addon.type)}
+            />
+            {addon.name}
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Managed databases with generated credentials and persistent data. The connection URL is
+        passed in {ADDON_OPTIONS.filter(addon => formData.addons.includes(addon.type)).map(addon => addon.envVar).join(', ') || 'an environment variable'}.
+      </p>
+      {validation.errors.addons && (
+        <p className="text-xs text-red-600 mt-1">{validation.errors.addons}</p>
+      )}
     </div>
   );
 
@@ -226,12 +451,21 @@ const DeployProject = () => {
           />
           <div className="flex gap-2">
             <input
-              type="text"
+              type={env.secret ? 'password' : 'text'}
               placeholder="Variable value"
               value={env.value}
               onChange={(e) => updateEnvVar(index, 'value', e.target.value)}
               className="form-input"
+              autoComplete="off"
             />
+            <label className="flex items-center gap-1 text-sm" title="Store encrypted and hide the value">
+              <input
+                type="checkbox"
+                checked={env.secret}
+                onChange={(e) => updateEnvVar(index, 'secret', e.target.checked)}
+              />
+              Secret
+            </label>
             <button
               type="button"
               onClick={() => removeEnvVar(index)}
@@ -297,7 +531,7 @@ const DeployProject = () => {
                 Git Repository URL
               </label>
               <input
-                type="url"
+                type="text"
                 name="repository"
                 value={formData.repository}
                 onChange={handleInputChange}
@@ -305,6 +539,9 @@ const DeployProject = () => {
                 placeholder="https://github.com/username/repository.git"
                 required
               />
+              <p className="text-xs text-gray-500 mt-1">
+                Private repositories over SSH use the form <code>git@github.com:username/repository.git</code>.
+              </p>
             </div>
 
             <div className="form-group">
@@ -323,6 +560,74 @@ const DeployProject = () => {
             </div>
           </div>
 
+          {/* Private repository access */}
+          <div className="form-group">
+            <label className="form-label">
+              <KeyRound size={16} className="inline mr-2" />
+              Repository Access
+            </label>
+            <select
+              value={gitAccess.type}
+              onChange={(e) => setGitAccess(prev => ({ ...prev, type: e.target.value }))}
+              className="form-input"
+            >
+              <option value="public">Public repository</option>
+              <option value="deployKey">Private, SSH deploy key</option>
+              <option value="token">Private, HTTPS access token</option>
+            </select>
+
+            {gitAccess.type === 'deployKey' && (
+              <div className="mt-2">
+                {gitAccess.deployKey ? (
+                  <>
+                    <p className="text-sm text-gray-600 mb-1">
+                      Add this key to the repository as a read-only deploy key, then deploy.
+                    </p>
+                    <div className="flex gap-2">
+                      <textarea
+                        readOnly
+                        value={gitAccess.deployKey.publicKey}
+                        className="form-input font-mono text-xs"
+                        rows={2}
+                        onFocus={(e) => e.target.select()}
+                      />
+                      <button type="button" onClick={copyPublicKey} className="btn btn-secondary" title="Copy public key">
+                        <Copy size={16} />
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">Fingerprint: {gitAccess.deployKey.fingerprint}</p>
+                  </>
+                ) : (
+                  <button type="button" onClick={generateDeployKey} className="btn btn-secondary" disabled={generatingKey}>
+                    <KeyRound size={16} className="mr-2" />
+                    {generatingKey ? 'Generating...' : 'Generate Deploy Key'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {gitAccess.type === 'token' && (
+              <div className="grid grid-2 gap-2 mt-2">
+                <input
+                  type="text"
+                  value={gitAccess.username}
+                  onChange={(e) => setGitAccess(prev => ({ ...prev, username: e.target.value }))}
+                  className="form-input"
+                  placeholder="Username (optional, e.g. oauth2 for GitLab)"
+                  autoComplete="off"
+                />
+                <input
+                  type="password"
+                  value={gitAccess.token}
+                  onChange={(e) => setGitAccess(prev => ({ ...prev, token: e.target.value }))}
+                  className="form-input"
+                  placeholder="Access token with read access"
+                  autoComplete="off"
+                />
+              </div>
+            )}
+          </div>
+
           {/* Build and Start Commands */}
           <div className="grid grid-2 gap-4">
             <div className="form-group">
@@ -350,9 +655,77 @@ const DeployProject = () => {
             </div>
           </div>
 
+          {/* Build location, for repositories with several apps */}
+          <div className="form-group">
+            <label className="form-label">
+              <FolderTree size={16} className="inline mr-2" />
+              Build Location (Optional)
+            </label>
+            <div className="grid grid-2 gap-2">
+              <input
+                type="text"
+                name="context"
+                value={formData.build.context}
+                onChange={handleBuildChange}
+                className="form-input"
+                placeholder="Build context, e.g. apps/web"
+              />
+              <input
+                type="text"
+                name="dockerfile"
+                value={formData.build.dockerfile}
+                onChange={handleBuildChange}
+                className="form-input"
+                placeholder="Dockerfile, e.g. docker/Dockerfile.prod"
+                disabled={Boolean(formData.build.composeFile)}
+              />
+              <input
+                type="text"
+                name="composeFile"
+                value={formData.build.composeFile}
+                onChange={handleBuildChange}
+                className="form-input"
+                placeholder="Compose file, e.g. docker-compose.yml"
+              />
+              <input
+                type="text"
+                name="composeService"
+                value={formData.build.composeService}
+                onChange={handleBuildChange}
+                className="form-input"
+                placeholder="Service to deploy, e.g. web"
+              />
+            </div>
+            {formData.build.composeFile && (
+              <label className="flex items-center gap-2 mt-2 text-sm">
+                <input
+                  type="checkbox"
+                  name="stack"
+                  checked={formData.build.stack}
+                  onChange={handleBuildChange}
+                />
+                Deploy the whole stack, publishing the service above
+              </label>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              Paths are relative to the repository root, the Dockerfile to the build context.
+              With a compose file the service is built as the file defines it, or every service
+              of the file is started when the whole stack is deployed.
+            </p>
+            {validation.errors.build && (
+              <p className="text-xs text-red-600 mt-1">{validation.errors.build}</p>
+            )}
+          </div>
+
           {/* Port Configuration */}
           <PortConfiguration />
 
+          {/* Resource Limits */}
+          <ResourceLimits />
+
+          {/* Managed Add-ons */}
+          <AddonSelection />
+
           {/* Environment Variables */}
           <EnvironmentVariables />
 
@@ -379,6 +752,17 @@ const DeployProject = () => {
         </form>
       </div>
 
+      {/* Live build output of the last deployment */}
+      {buildLog && (
+        <div className="card">
+          <BuildConsole
+            key={buildLog.deploymentId}
+            deploymentId={buildLog.deploymentId}
+            title={`Build Output - ${buildLog.projectName}`}
+          />
+        </div>
+      )}
+
       {/* Deployment Guide */}
       <div className="card">
         <h3>Deployment Guide</h3>
@@ -386,8 +770,50 @@ const DeployProject = () => {
           <div>
             <h4 className="font-semibold mb-2">1. Prepare Your Project</h4>
             <p className="text-gray-600">
-              Make sure your project has a <code>Dockerfile</code> in the root directory.
-              The platform will automatically build and run your project using Docker.
+              Projects with a <code>Dockerfile</code> in the root directory are built as they are.
+              Without one, the platform detects Node.js, Python, Go and static sites from
+              files like <code>package.json</code>, <code>requirements.txt</code>, <code>go.mod</code> or
+              <code>index.html</code> and generates a Dockerfile, including the port your app listens on.
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-semibold mb-2">Monorepos</h4>
+            <p className="text-gray-600">
+              For a repository with several apps, set the build context to the app's directory, or pick
+              a service of the repository's compose file. Deploy the repository once per app.
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-semibold mb-2">Templates</h4>
+            <p className="text-gray-600">
+              Common self-hosted apps such as a static site, Node-RED, Uptime Kuma or a wiki can be deployed from
+              the Templates page without a repository. They run the app's published image.
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-semibold mb-2">Add-ons</h4>
+            <p className="text-gray-600">
+              Postgres, MySQL, Redis and MongoDB can be attached instead of bundling a database with your app.
+              They run next to the project, are backed up and deleted with it, and can be managed from the project list.
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-semibold mb-2">Compose Stacks</h4>
+            <p className="text-gray-600">
+              An app with its own database or cache can be deployed as the whole stack of its compose file.
+              Only the chosen service gets a port; resource limits apply to each service.
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-semibold mb-2">Private Repositories</h4>
+            <p className="text-gray-600">
+              Use an SSH URL with a generated deploy key, or an HTTPS URL with an access token.
+              Keys and tokens are stored encrypted and never shown again; only the public key can be copied later.
             </p>
           </div>
 
@@ -403,6 +829,7 @@ const DeployProject = () => {
             <h4 className="font-semibold mb-2">3. Environment Variables</h4>
             <p className="text-gray-600">
               Add any environment variables your application needs (database URLs, API keys, etc.).
+              Mark passwords and tokens as secret to store them encrypted; their values are never shown again.
             </p>
           </div>
 
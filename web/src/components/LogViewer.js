@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { socketAuth } from '../utils/helpers';
 import { 
   Play, 
   Square, 
@@ -11,7 +12,7 @@ import {
   RotateCcw
 } from 'lucide-react';
 
-const LogViewer = ({ projectId, projectName, onClose }) => {
+const LogViewer = ({ projectId, projectName, service = null, onClose }) => {
   const [socket, setSocket] = useState(null);
   const [logs, setLogs] = useState([]);
   const [isStreaming, setIsStreaming] = useState(false);
@@ -31,7 +32,8 @@ const LogViewer = ({ projectId, projectName, onClose }) => {
   useEffect(() => {
     // Initialize Socket.IO connection
     const newSocket = io(process.env.REACT_APP_API_URL || 'http://localhost:3001', {
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      auth: socketAuth
     });
 
     newSocket.on('connect', () => {
@@ -87,7 +89,9 @@ const LogViewer = ({ projectId, projectName, onClose }) => {
         options: {
           tail: 100,
           follow: true,
-          timestamps: true
+          timestamps: true,
+          // Only the logs of one service of a stack
+          ...(service && { service })
         }
       });
       setIsStreaming(true);
@@ -146,7 +150,7 @@ const LogViewer = ({ projectId, projectName, onClose }) => {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${projectName}-logs-${new Date().toISOString().split('T')[0]}.txt`;
+    a.download = `${projectName}${service ? `-${service}` : ''}-logs-${new Date().toISOString().split('T')[0]}.txt`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -183,7 +187,7 @@ const LogViewer = ({ projectId, projectName, onClose }) => {
         {/* Header */}
         <div className="flex justify-between items-center p-4 border-b">
           <div>
-            <h3 className="text-lg font-semibold">Live Logs - {projectName}</h3>
+            <h3 className="text-lg font-semibold">Live Logs - {projectName}{service && ` / ${service}`}</h3>
             <div className="flex items-center gap-4 mt-2">
               <span className={`status-indicator ${isStreaming ? 'status-online' : 'status-offline'}`}></span>
               <span className="text-sm">
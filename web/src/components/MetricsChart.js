@@ -0,0 +1,88 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 120;
+
+// Split a series into runs of consecutive values, so missing samples leave a gap
+const toSegments = (points) => {
+  const segments = [];
+  let current = [];
+
+  points.forEach((point) => {
+    if (point.y === null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+    } else {
+      current.push(point);
+    }
+  });
+  if (current.length > 0) segments.push(current);
+
+  return segments;
+};
+
+/**
+ * Line chart of metric samples over a time range
+ * `max` fixes the top of the scale (e.g. 100 for percentages); otherwise the
+ * largest value is used.
+ */
+const MetricsChart = ({ title, samples, lines, from, to, format = (value) => value, max = null }) => {
+  const start = new Date(from).getTime();
+  const span = Math.max(new Date(to).getTime() - start, 1);
+
+  const values = samples.flatMap((sample) => lines.map(({ key }) => sample[key])).filter((value) => value !== null && value !== undefined);
+  const peak = Math.max(...values, 0);
+  const top = max ?? (peak * 1.1 || 1);
+
+  const x = (timestamp) => ((new Date(timestamp).getTime() - start) / span) * WIDTH;
+  const y = (value) => HEIGHT - (Math.min(value, top) / top) * HEIGHT;
+
+  return (
+    <div className="border rounded p-3">
+      <div className="flex justify-between items-center mb-2 text-sm">
+        <span className="font-semibold">{title}</span>
+        <span className="flex gap-3">
+          {lines.map(({ key, label, color }) => {
+            const latest = [...samples].reverse().find((sample) => sample[key] !== null && sample[key] !== undefined);
+            return (
+              <span key={key} style={{ color }}>
+                {label}: {latest ? format(latest[key]) : 'N/A'}
+              </span>
+            );
+          })}
+        </span>
+      </div>
+
+      {values.length === 0 ? (
+        <p className="text-sm text-gray-500">No samples in this window yet</p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="w-full" style={{ height: HEIGHT }}>
+          <line x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} stroke="#e5e7eb" strokeDasharray="4 4" />
+          {lines.map(({ key, color }) =>
+            toSegments(samples.map((sample) => ({
+              x: x(sample.timestamp),
+              y: sample[key] === undefined ? null : sample[key]
+            }))).map((segment, index) => (
+              <polyline
+                key={`${key}-${index}`}
+                points={segment.map((point) => `${point.x},${y(point.y)}`).join(' ')}
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))
+          )}
+        </svg>
+      )}
+
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{new Date(from).toLocaleString()}</span>
+        {values.length > 0 && <span>peak {format(peak)}</span>}
+        <span>{new Date(to).toLocaleString()}</span>
+      </div>
+    </div>
+  );
+};
+
+export default MetricsChart;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import apiClient from '../config/axios';
+import { RefreshCw } from 'lucide-react';
+import MetricsChart from './MetricsChart';
+
+const WINDOWS = ['1h', '6h', '24h', '7d', '30d'];
+
+const formatPercent = (value) => `${Math.round(value * 10) / 10}%`;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+};
+
+const formatRate = (bytes) => `${formatBytes(bytes)}/s`;
+
+/**
+ * Charts of the downsampled metrics history of the host or a project
+ * @param {string} url - History endpoint, e.g. /metrics/history or /projects/:id/metrics
+ * @param {boolean} host - Whether the history is the host's (adds disk and load charts)
+ */
+const MetricsHistory = ({ url, host = false }) => {
+  const [range, setRange] = useState('1h');
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get(url, { params: { window: range } });
+      setHistory(response.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch metrics history:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [url, range]);
+
+  useEffect(() => {
+    fetchHistory();
+
+    // The last hour changes every few seconds, longer windows only slowly
+    const intervalId = setInterval(fetchHistory, range === '1h' ? 30000 : 300000);
+    return () => clearInterval(intervalId);
+  }, [fetchHistory, range]);
+
+  const chartProps = history && { samples: history.samples, from: history.from, to: history.to };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-3">
+        <div className="flex gap-1">
+          {WINDOWS.map((option) => (
+            <button
+              key={option}
+              className={`btn btn-small ${option === range ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setRange(option)}
+              disabled={loading && option === range}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+        <span className="flex items-center gap-2 text-xs text-gray-500">
+          {history && `${history.samples.length} samples at ${history.resolution} resolution`}
+          <button className="btn btn-secondary btn-small" onClick={fetchHistory} disabled={loading} title="Refresh">
+            <RefreshCw size={12} className={loading ? 'animate-spin' : ''} />
+          </button>
+        </span>
+      </div>
+
+      {error && <div className="error mb-3">Error: {error}</div>}
+
+      {history && (
+        <div className="space-y-3">
+          <MetricsChart
+            title="CPU"
+            lines={[{ key: 'cpu', label: 'Usage', color: '#2563eb' }]}
+            format={formatPercent}
+            max={host ? 100 : null}
+            {...chartProps}
+          />
+          <MetricsChart
+            title="Memory"
+            lines={[{ key: 'memory', label: 'Used', color: '#7c3aed' }]}
+            format={formatBytes}
+            {...chartProps}
+          />
+          <MetricsChart
+            title="Network"
+            lines={[
+              { key: 'networkRx', label: 'In', color: '#059669' },
+              { key: 'networkTx', label: 'Out', color: '#d97706' }
+            ]}
+            format={formatRate}
+            {...chartProps}
+          />
+          {host && (
+            <>
+              <MetricsChart
+                title="Disk"
+                lines={[{ key: 'diskPercent', label: 'Used', color: '#dc2626' }]}
+                format={formatPercent}
+                max={100}
+                {...chartProps}
+              />
+              <MetricsChart
+                title="Load Average (1 min)"
+                lines={[{ key: 'load', label: 'Load', color: '#0891b2' }]}
+                format={(value) => value.toFixed(2)}
+                {...chartProps}
+              />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetricsHistory;
@@ -0,0 +1,319 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Bell, Plus, RefreshCw, Send, Trash2 } from 'lucide-react';
+
+const DESTINATION_FIELDS = {
+  email: [{ key: 'to', placeholder: 'Recipient (defaults to your email)' }],
+  webhook: [
+    { key: 'url', placeholder: 'URL, e.g. https://example.com/hooks/pi' },
+    { key: 'secret', placeholder: 'Signing secret (optional)', type: 'password' }
+  ],
+  slack: [{ key: 'url', placeholder: 'Slack incoming webhook URL' }],
+  discord: [{ key: 'url', placeholder: 'Discord webhook URL' }],
+  ntfy: [
+    { key: 'topic', placeholder: 'Topic' },
+    { key: 'server', placeholder: 'Server (defaults to https://ntfy.sh)' },
+    { key: 'token', placeholder: 'Access token (optional)', type: 'password' }
+  ]
+};
+
+const emptyChannel = {
+  name: '',
+  type: 'email',
+  events: ['deploy.failed', 'project.crashed', 'health.failed'],
+  destination: {}
+};
+
+const statusClass = (status) => {
+  if (status === 'sent') return 'text-green-600';
+  if (status === 'failed') return 'text-red-600';
+  return 'text-gray-500';
+};
+
+const Notifications = () => {
+  const [events, setEvents] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyChannel);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [eventsResponse, channelsResponse, deliveriesResponse] = await Promise.all([
+        apiClient.get('/notifications/events'),
+        apiClient.get('/notifications/channels'),
+        apiClient.get('/notifications/deliveries', { params: { limit: 20 } })
+      ]);
+      setEvents(eventsResponse.data.data || []);
+      setChannels(channelsResponse.data.data || []);
+      setDeliveries(deliveriesResponse.data.data || []);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      toast.error('Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Runs a channel action and refreshes the lists afterwards
+  const runAction = async (action, successMessage, errorMessage) => {
+    setWorking(true);
+    try {
+      const response = await action();
+      if (successMessage) {
+        toast.success(successMessage);
+      }
+      await fetchData();
+      return response;
+    } catch (error) {
+      toast.error(error.response?.data?.error || errorMessage);
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const toggleEvent = (name) => {
+    setForm((current) => ({
+      ...current,
+      events: current.events.includes(name)
+        ? current.events.filter((event) => event !== name)
+        : [...current.events, name]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    // Only send the fields of the selected channel type, and none left empty
+    const destination = {};
+    DESTINATION_FIELDS[form.type].forEach(({ key }) => {
+      if (form.destination[key]) {
+        destination[key] = form.destination[key];
+      }
+    });
+
+    const response = await runAction(
+      () => apiClient.post('/notifications/channels', {
+        name: form.name,
+        type: form.type,
+        events: form.events,
+        destination
+      }),
+      `Notification channel ${form.name} created`,
+      'Failed to create notification channel'
+    );
+
+    if (response) {
+      setForm(emptyChannel);
+      setShowForm(false);
+    }
+  };
+
+  const handleTest = async (channel) => {
+    const response = await runAction(
+      () => apiClient.post(`/notifications/channels/${channel.id}/test`),
+      null,
+      'Failed to send test notification'
+    );
+
+    const delivery = response?.data.data;
+    if (delivery?.status === 'sent') {
+      toast.success(`Test notification sent to ${channel.name}`);
+    } else if (delivery) {
+      toast.error(`Test notification failed: ${delivery.error}`);
+    }
+  };
+
+  const handleToggle = async (channel) => {
+    await runAction(
+      () => apiClient.put(`/notifications/channels/${channel.id}`, { enabled: !channel.enabled }),
+      `Notification channel ${channel.name} ${channel.enabled ? 'disabled' : 'enabled'}`,
+      'Failed to update notification channel'
+    );
+  };
+
+  const handleDelete = async (channel) => {
+    if (!window.confirm(`Delete notification channel ${channel.name}? Its delivery log is deleted as well.`)) {
+      return;
+    }
+
+    await runAction(
+      () => apiClient.delete(`/notifications/channels/${channel.id}`),
+      'Notification channel deleted',
+      'Failed to delete notification channel'
+    );
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <Bell size={22} />
+          Notifications
+        </h2>
+        <div className="flex gap-2">
+          <button className="btn btn-primary btn-small" onClick={() => setShowForm(!showForm)} disabled={working}>
+            <Plus size={12} className="mr-1" />
+            New Channel
+          </button>
+          <button className="btn btn-secondary btn-small" onClick={fetchData} disabled={loading} title="Refresh">
+            <RefreshCw size={12} />
+          </button>
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="mb-6 p-4 border rounded space-y-3">
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="form-input"
+              placeholder="Channel name, e.g. phone"
+              maxLength={50}
+              required
+            />
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value, destination: {} })}
+              className="form-input"
+            >
+              <option value="email">Email</option>
+              <option value="webhook">Webhook</option>
+              <option value="slack">Slack</option>
+              <option value="discord">Discord</option>
+              <option value="ntfy">ntfy</option>
+            </select>
+            {DESTINATION_FIELDS[form.type].map(({ key, placeholder, type }) => (
+              <input
+                key={key}
+                type={type || 'text'}
+                value={form.destination[key] || ''}
+                onChange={(e) => setForm({ ...form, destination: { ...form.destination, [key]: e.target.value } })}
+                className="form-input"
+                placeholder={placeholder}
+                autoComplete="off"
+              />
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-4 text-sm">
+            {events.map((event) => (
+              <label key={event.name} className="flex items-center gap-1" title={event.description}>
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event.name)}
+                  onChange={() => toggleEvent(event.name)}
+                />
+                {event.name}
+              </label>
+            ))}
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={working || form.events.length === 0}>
+            Create Channel
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading notification channels...</p>
+      ) : (
+        <>
+          {channels.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">No notification channels yet</p>
+          ) : (
+            <table className="w-full text-sm mb-6">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>Channel</th>
+                  <th>Type</th>
+                  <th>Events</th>
+                  <th>Last Delivery</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {channels.map((channel) => (
+                  <tr key={channel.id} className={`border-t ${channel.enabled ? '' : 'text-gray-400'}`}>
+                    <td className="font-mono">{channel.name}</td>
+                    <td>{channel.type}</td>
+                    <td className="font-mono text-xs">{channel.events.join(', ')}</td>
+                    <td className={statusClass(channel.lastDeliveryStatus)}>
+                      {channel.lastDeliveryAt
+                        ? `${channel.lastDeliveryStatus} · ${new Date(channel.lastDeliveryAt).toLocaleString()}`
+                        : 'never'}
+                    </td>
+                    <td className="text-right whitespace-nowrap">
+                      <button
+                        className="btn btn-primary btn-small"
+                        onClick={() => handleTest(channel)}
+                        disabled={working}
+                        title="Send test notification"
+                      >
+                        <Send size={12} />
+                      </button>
+                      <button
+                        className="btn btn-secondary btn-small ml-2"
+                        onClick={() => handleToggle(channel)}
+                        disabled={working}
+                      >
+                        {channel.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        className="btn btn-danger btn-small ml-2"
+                        onClick={() => handleDelete(channel)}
+                        disabled={working}
+                        title="Delete channel"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {deliveries.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>Sent</th>
+                  <th>Channel</th>
+                  <th>Notification</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map((delivery) => (
+                  <tr key={delivery.id} className="border-t" title={delivery.error || ''}>
+                    <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                    <td className="font-mono">{delivery.channel?.name || delivery.channelType}</td>
+                    <td>{delivery.title}</td>
+                    <td className={statusClass(delivery.status)}>
+                      {delivery.status}
+                      {delivery.attempts > 1 && ` after ${delivery.attempts} attempts`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Notifications;
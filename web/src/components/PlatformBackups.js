@@ -0,0 +1,403 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { formatBytes } from '../utils/helpers';
+import { CheckCircle, HardDrive, Play, Plus, RefreshCw, Trash2 } from 'lucide-react';
+
+const COMPONENTS = [
+  { key: 'mongodb', label: 'MongoDB' },
+  { key: 'redis', label: 'Redis' },
+  { key: 'volumes', label: 'Project volumes' },
+  { key: 'projects', label: 'Project files' }
+];
+
+const TARGET_FIELDS = {
+  local: [{ key: 'path', placeholder: 'Directory (defaults to the backups volume)' }],
+  s3: [
+    { key: 'endpoint', placeholder: 'Endpoint, e.g. http://minio:9000' },
+    { key: 'bucket', placeholder: 'Bucket' },
+    { key: 'prefix', placeholder: 'Prefix (optional)' },
+    { key: 'accessKeyId', placeholder: 'Access key ID' },
+    { key: 'secretAccessKey', placeholder: 'Secret access key', type: 'password' }
+  ],
+  sftp: [
+    { key: 'host', placeholder: 'Host' },
+    { key: 'username', placeholder: 'Username' },
+    { key: 'path', placeholder: 'Remote directory' },
+    { key: 'identityFile', placeholder: 'Identity file (optional)' }
+  ]
+};
+
+const emptyPolicy = {
+  name: '',
+  schedule: '0 2 * * *',
+  components: { mongodb: true, redis: true, volumes: true, projects: true },
+  target: { type: 'local' },
+  keepLast: 7,
+  maxAgeDays: ''
+};
+
+const statusClass = (status) => {
+  if (status === 'succeeded') return 'text-green-600';
+  if (status === 'failed') return 'text-red-600';
+  return 'text-gray-500';
+};
+
+const PlatformBackups = () => {
+  const [policies, setPolicies] = useState([]);
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyPolicy);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [policiesResponse, backupsResponse] = await Promise.all([
+        apiClient.get('/backups/policies'),
+        apiClient.get('/backups', { params: { limit: 20 } })
+      ]);
+      setPolicies(policiesResponse.data.data || []);
+      setBackups(backupsResponse.data.data || []);
+    } catch (error) {
+      console.error('Error fetching platform backups:', error);
+      toast.error('Failed to load platform backups');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Runs a backup action and refreshes the lists afterwards
+  const runAction = async (action, successMessage, errorMessage) => {
+    setWorking(true);
+    try {
+      const response = await action();
+      toast.success(successMessage);
+      await fetchData();
+      return response;
+    } catch (error) {
+      toast.error(error.response?.data?.error || errorMessage);
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const updateTarget = (key, value) => {
+    setForm((current) => ({ ...current, target: { ...current.target, [key]: value } }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    // Only send the fields of the selected target type, and none left empty
+    const target = { type: form.target.type };
+    TARGET_FIELDS[form.target.type].forEach(({ key }) => {
+      if (form.target[key]) {
+        target[key] = form.target[key];
+      }
+    });
+
+    const response = await runAction(
+      () => apiClient.post('/backups/policies', {
+        name: form.name,
+        schedule: form.schedule,
+        components: form.components,
+        target,
+        retention: {
+          keepLast: Number(form.keepLast),
+          maxAgeDays: form.maxAgeDays ? Number(form.maxAgeDays) : null
+        }
+      }),
+      `Backup policy ${form.name} created`,
+      'Failed to create backup policy'
+    );
+
+    if (response) {
+      setForm(emptyPolicy);
+      setShowForm(false);
+    }
+  };
+
+  const handleRun = async (policy) => {
+    await runAction(
+      () => apiClient.post(`/backups/policies/${policy.id}/run`),
+      `Backup of ${policy.name} started`,
+      'Failed to start backup'
+    );
+  };
+
+  const handleToggle = async (policy) => {
+    await runAction(
+      () => apiClient.put(`/backups/policies/${policy.id}`, { enabled: !policy.enabled }),
+      `Backup policy ${policy.name} ${policy.enabled ? 'disabled' : 'enabled'}`,
+      'Failed to update backup policy'
+    );
+  };
+
+  const handleDeletePolicy = async (policy) => {
+    if (!window.confirm(`Delete backup policy ${policy.name}? Its backups are deleted as well.`)) {
+      return;
+    }
+
+    await runAction(
+      () => apiClient.delete(`/backups/policies/${policy.id}`),
+      'Backup policy deleted',
+      'Failed to delete backup policy'
+    );
+  };
+
+  const handleVerify = async (backup) => {
+    setWorking(true);
+    try {
+      const response = await apiClient.post(`/backups/${backup.id}/verify`);
+      const result = response.data.data;
+      if (result.verified) {
+        toast.success(`All ${result.artifacts.length} files of the backup match their checksums`);
+      } else {
+        const invalid = result.artifacts.filter((artifact) => !artifact.valid).map((artifact) => artifact.key);
+        toast.error(`Backup is damaged: ${invalid.join(', ')}`);
+      }
+      await fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to verify backup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDeleteBackup = async (backup) => {
+    if (!window.confirm(`Delete the ${backup.policyName} backup from ${new Date(backup.startedAt).toLocaleString()}?`)) {
+      return;
+    }
+
+    await runAction(
+      () => apiClient.delete(`/backups/${backup.id}`),
+      'Backup deleted',
+      'Failed to delete backup'
+    );
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <HardDrive size={20} />
+          Platform Backups
+        </h3>
+        <div className="flex gap-2">
+          <button className="btn btn-primary btn-small" onClick={() => setShowForm(!showForm)} disabled={working}>
+            <Plus size={12} className="mr-1" />
+            New Policy
+          </button>
+          <button className="btn btn-secondary btn-small" onClick={fetchData} disabled={loading} title="Refresh">
+            <RefreshCw size={12} />
+          </button>
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="mb-6 p-4 border rounded space-y-3">
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="form-input"
+              placeholder="Policy name, e.g. nightly"
+              maxLength={50}
+              required
+            />
+            <input
+              type="text"
+              value={form.schedule}
+              onChange={(e) => setForm({ ...form, schedule: e.target.value })}
+              className="form-input font-mono"
+              placeholder="Cron schedule"
+              title="Cron schedule, e.g. 0 2 * * * for every night at 02:00"
+              required
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-4 text-sm">
+            {COMPONENTS.map(({ key, label }) => (
+              <label key={key} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={form.components[key]}
+                  onChange={(e) => setForm({ ...form, components: { ...form.components, [key]: e.target.checked } })}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={form.target.type}
+              onChange={(e) => setForm({ ...form, target: { type: e.target.value } })}
+              className="form-input"
+            >
+              <option value="local">Local directory</option>
+              <option value="s3">S3-compatible bucket</option>
+              <option value="sftp">SFTP server</option>
+            </select>
+            {TARGET_FIELDS[form.target.type].map(({ key, placeholder, type }) => (
+              <input
+                key={key}
+                type={type || 'text'}
+                value={form.target[key] || ''}
+                onChange={(e) => updateTarget(key, e.target.value)}
+                className="form-input"
+                placeholder={placeholder}
+                autoComplete="off"
+              />
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-2 items-center text-sm">
+            <label>Keep last</label>
+            <input
+              type="number"
+              min={1}
+              max={1000}
+              value={form.keepLast}
+              onChange={(e) => setForm({ ...form, keepLast: e.target.value })}
+              className="form-input w-24"
+            />
+            <label>Max age (days)</label>
+            <input
+              type="number"
+              min={1}
+              max={3650}
+              value={form.maxAgeDays}
+              onChange={(e) => setForm({ ...form, maxAgeDays: e.target.value })}
+              className="form-input w-24"
+              placeholder="none"
+            />
+            <button type="submit" className="btn btn-primary" disabled={working}>
+              Create Policy
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading platform backups...</p>
+      ) : (
+        <>
+          {policies.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">No backup policies yet</p>
+          ) : (
+            <table className="w-full text-sm mb-6">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>Policy</th>
+                  <th>Schedule</th>
+                  <th>Target</th>
+                  <th>Last Run</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {policies.map((policy) => (
+                  <tr key={policy.id} className={`border-t ${policy.enabled ? '' : 'text-gray-400'}`}>
+                    <td className="font-mono">{policy.name}</td>
+                    <td className="font-mono">{policy.schedule}</td>
+                    <td>{policy.target.type}</td>
+                    <td className={statusClass(policy.lastStatus)}>
+                      {policy.lastRunAt ? `${policy.lastStatus} · ${new Date(policy.lastRunAt).toLocaleString()}` : 'never'}
+                    </td>
+                    <td className="text-right whitespace-nowrap">
+                      <button
+                        className="btn btn-primary btn-small"
+                        onClick={() => handleRun(policy)}
+                        disabled={working}
+                        title="Run now"
+                      >
+                        <Play size={12} />
+                      </button>
+                      <button
+                        className="btn btn-secondary btn-small ml-2"
+                        onClick={() => handleToggle(policy)}
+                        disabled={working}
+                      >
+                        {policy.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        className="btn btn-danger btn-small ml-2"
+                        onClick={() => handleDeletePolicy(policy)}
+                        disabled={working}
+                        title="Delete policy"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {backups.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>Policy</th>
+                  <th>Started</th>
+                  <th>Status</th>
+                  <th>Size</th>
+                  <th>Location</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {backups.map((backup) => (
+                  <tr key={backup.id} className="border-t" title={backup.error || ''}>
+                    <td className="font-mono">{backup.policyName}</td>
+                    <td>{new Date(backup.startedAt).toLocaleString()}</td>
+                    <td className={statusClass(backup.status)}>
+                      {backup.status}
+                      {backup.verified === false && ' (damaged)'}
+                    </td>
+                    <td>{backup.size ? formatBytes(backup.size) : '-'}</td>
+                    <td className="font-mono truncate">{backup.location || '-'}</td>
+                    <td className="text-right whitespace-nowrap">
+                      {backup.status === 'succeeded' && (
+                        <button
+                          className="btn btn-secondary btn-small"
+                          onClick={() => handleVerify(backup)}
+                          disabled={working}
+                          title="Verify checksums"
+                        >
+                          <CheckCircle size={12} />
+                        </button>
+                      )}
+                      {backup.status !== 'running' && (
+                        <button
+                          className="btn btn-danger btn-small ml-2"
+                          onClick={() => handleDeleteBackup(backup)}
+                          disabled={working}
+                          title="Delete backup"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlatformBackups;
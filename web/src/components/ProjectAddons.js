@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Database, Plus, Trash2, X } from 'lucide-react';
+
+const ProjectAddons = ({ project, onClose }) => {
+  const [addons, setAddons] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [type, setType] = useState('');
+  const [envVar, setEnvVar] = useState('');
+
+  const fetchAddons = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [addonsResponse, catalogResponse] = await Promise.all([
+        apiClient.get(`/projects/${project.id}/addons`),
+        apiClient.get('/projects/addons/catalog')
+      ]);
+      setAddons(addonsResponse.data.data || []);
+      setCatalog(catalogResponse.data.data || []);
+    } catch (error) {
+      console.error('Error fetching add-ons:', error);
+      toast.error('Failed to load add-ons');
+    } finally {
+      setLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    fetchAddons();
+  }, [fetchAddons]);
+
+  const available = catalog.filter((entry) => !addons.some((addon) => addon.type === entry.type));
+  const selected = catalog.find((entry) => entry.type === type);
+
+  const handleAttach = async (e) => {
+    e.preventDefault();
+
+    setWorking(true);
+    try {
+      await apiClient.post(`/projects/${project.id}/addons`, {
+        type,
+        envVar: envVar.trim() || null
+      });
+      toast.success('Add-on attached. Restart or redeploy the project to use it');
+      setType('');
+      setEnvVar('');
+      await fetchAddons();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to attach add-on');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDetach = async (addon) => {
+    if (!window.confirm(`Remove ${addon.name} from ${project.name}? Its data is deleted and cannot be recovered without a backup.`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await apiClient.delete(`/projects/${project.id}/addons/${addon.type}`);
+      toast.success('Add-on removed');
+      await fetchAddons();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove add-on');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-y-auto">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Add-ons - {project.name}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="spinner"></div>
+            <p>Loading add-ons...</p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <p className="text-sm text-gray-600">
+              Managed databases on the platform network, started and stopped with the project and included
+              in its backups. Each add-on passes a connection URL to the project in an environment variable;
+              passwords are generated and never shown.
+            </p>
+
+            {addons.length === 0 ? (
+              <p className="text-gray-600">No add-ons attached.</p>
+            ) : (
+              addons.map((addon) => (
+                <div key={addon.type} className="flex justify-between items-center p-2 border rounded">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <Database size={14} />
+                      <span className="font-semibold">{addon.name}</span>
+                      <span className="text-xs text-gray-500 capitalize">({addon.state})</span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      <code>{addon.envVar}</code> = <code>{addon.url}</code>
+                    </p>
+                  </div>
+                  <button
+                    className="btn btn-danger btn-small"
+                    onClick={() => handleDetach(addon)}
+                    title="Remove Add-on"
+                    disabled={working}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))
+            )}
+
+            {available.length > 0 && (
+              <form onSubmit={handleAttach} className="flex gap-2">
+                <select
+                  value={type}
+                  onChange={(e) => setType(e.target.value)}
+                  className="form-input"
+                  required
+                >
+                  <option value="">Choose an add-on</option>
+                  {available.map((entry) => (
+                    <option key={entry.type} value={entry.type}>
+                      {entry.name} ({entry.image})
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  placeholder={selected ? `Variable, default ${selected.envVar}` : 'Variable'}
+                  value={envVar}
+                  onChange={(e) => setEnvVar(e.target.value)}
+                  className="form-input"
+                  autoComplete="off"
+                />
+                <button type="submit" className="btn btn-primary" disabled={working || !type}>
+                  <Plus size={14} className="mr-2" />
+                  Attach
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectAddons;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { formatBytes } from '../utils/helpers';
+import { Archive, Download, Plus, RefreshCw, RotateCcw, Trash2 } from 'lucide-react';
+
+const ProjectBackups = ({ project, onRestore }) => {
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [description, setDescription] = useState('');
+
+  const fetchBackups = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get(`/projects/${project.id}/backups`);
+      setBackups(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching project backups:', error);
+      toast.error('Failed to load backups');
+    } finally {
+      setLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    fetchBackups();
+  }, [fetchBackups]);
+
+  // Runs a backup action and refreshes the list afterwards
+  const runAction = async (action, successMessage, errorMessage) => {
+    setWorking(true);
+    try {
+      const response = await action();
+      toast.success(successMessage);
+      await fetchBackups();
+      return response;
+    } catch (error) {
+      toast.error(error.response?.data?.error || errorMessage);
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const response = await runAction(
+      () => apiClient.post(`/projects/${project.id}/backups`, { description }),
+      `Volumes of ${project.name} backed up`,
+      'Failed to back up volumes'
+    );
+    if (response) {
+      setDescription('');
+    }
+  };
+
+  const handleDownload = async (backup, archive) => {
+    try {
+      const response = await apiClient.get(
+        `/projects/${project.id}/backups/${backup.id}/archives/${archive.volume}`,
+        { responseType: 'blob' }
+      );
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${backup.name}-${archive.file}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download archive');
+    }
+  };
+
+  const handleRestore = async (backup) => {
+    if (!window.confirm(`Restore the volumes of ${project.name} from ${new Date(backup.createdAt).toLocaleString()}? Their current data is replaced.`)) {
+      return;
+    }
+
+    const response = await runAction(
+      () => apiClient.post(`/projects/${project.id}/backups/${backup.id}/restore`),
+      'Backup restored. Start the project to use the restored data',
+      'Failed to restore backup'
+    );
+    if (response && onRestore) onRestore();
+  };
+
+  const handleDelete = async (backup) => {
+    if (!window.confirm(`Delete the backup from ${new Date(backup.createdAt).toLocaleString()}?`)) {
+      return;
+    }
+
+    await runAction(
+      () => apiClient.delete(`/projects/${project.id}/backups/${backup.id}`),
+      'Backup deleted',
+      'Failed to delete backup'
+    );
+  };
+
+  const isStopped = project.status === 'stopped';
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <Archive size={20} />
+          Volume Backups - {project.name}
+        </h3>
+        <button className="btn btn-secondary btn-small" onClick={fetchBackups} disabled={loading} title="Refresh">
+          <RefreshCw size={12} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-2">
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="form-input"
+          placeholder="Description (optional)"
+          maxLength={500}
+          disabled={working}
+        />
+        <button className="btn btn-primary" onClick={handleCreate} disabled={working}>
+          <Plus size={14} className="mr-2" />
+          {working ? 'Working...' : 'Back Up Volumes'}
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        {isStopped
+          ? 'The project is stopped, so backups can be restored.'
+          : 'Stop the project to restore a backup, or before backing up data that must be consistent on disk.'}
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading backups...</p>
+      ) : backups.length === 0 ? (
+        <p className="text-sm text-gray-500">No backups yet</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th>Created</th>
+              <th>Volumes</th>
+              <th>Size</th>
+              <th>Restored</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {backups.map((backup) => (
+              <tr key={backup.id} className="border-t align-top" title={backup.description || ''}>
+                <td>
+                  {new Date(backup.createdAt).toLocaleString()}
+                  {backup.description && <div className="text-gray-500">{backup.description}</div>}
+                </td>
+                <td>
+                  {backup.archives.map((archive) => (
+                    <div key={archive.volume} className="flex items-center gap-2">
+                      <span className="font-mono">{archive.volume}</span>
+                      <button
+                        className="btn btn-secondary btn-small"
+                        onClick={() => handleDownload(backup, archive)}
+                        title={`Download ${archive.file} (${formatBytes(archive.size)})`}
+                      >
+                        <Download size={12} />
+                      </button>
+                    </div>
+                  ))}
+                </td>
+                <td>{formatBytes(backup.size)}</td>
+                <td>{backup.restoredAt ? new Date(backup.restoredAt).toLocaleString() : '-'}</td>
+                <td className="text-right whitespace-nowrap">
+                  <button
+                    className="btn btn-warning btn-small"
+                    onClick={() => handleRestore(backup)}
+                    disabled={working || !isStopped}
+                    title={isStopped ? 'Restore backup' : 'Stop the project to restore'}
+                  >
+                    <RotateCcw size={12} />
+                  </button>
+                  <button
+                    className="btn btn-danger btn-small ml-2"
+                    onClick={() => handleDelete(backup)}
+                    disabled={working}
+                    title="Delete backup"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ProjectBackups;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { socketAuth } from '../utils/helpers';
 import { 
   Terminal, 
   Square, 
@@ -9,7 +10,7 @@ import {
   Minimize2
 } from 'lucide-react';
 
-const ProjectConsole = ({ projectId, projectName, onClose }) => {
+const ProjectConsole = ({ projectId, projectName, service = null, onClose }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
@@ -23,7 +24,8 @@ const ProjectConsole = ({ projectId, projectName, onClose }) => {
   useEffect(() => {
     // Initialize Socket.IO connection
     const newSocket = io(process.env.REACT_APP_API_URL || 'http://localhost:3001', {
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      auth: socketAuth
     });
 
     newSocket.on('connect', () => {
@@ -75,11 +77,13 @@ const ProjectConsole = ({ projectId, projectName, onClose }) => {
       socket.emit('start_console', {
         projectId,
         options: {
-          shell: ['/bin/sh']
+          shell: ['/bin/sh'],
+          // A service of a stack instead of the project's own container
+          ...(service && { service })
         }
       });
     }
-  }, [socket, isConnected, projectId]);
+  }, [socket, isConnected, projectId, service]);
 
   const sendCommand = (command) => {
     if (socket && isConnected && command.trim()) {
@@ -162,7 +166,7 @@ const ProjectConsole = ({ projectId, projectName, onClose }) => {
           <div className="flex items-center gap-4">
             <Terminal size={20} />
             <div>
-              <h3 className="text-lg font-semibold text-white">Console - {projectName}</h3>
+              <h3 className="text-lg font-semibold text-white">Console - {projectName}{service && ` / ${service}`}</h3>
               <div className="flex items-center gap-2 mt-1">
                 <span className={`status-indicator ${isConnected ? 'status-online' : 'status-offline'}`}></span>
                 <span className="text-sm">
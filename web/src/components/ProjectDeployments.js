@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { History, RefreshCw, ScrollText, Undo2 } from 'lucide-react';
+import BuildConsole from './BuildConsole';
+
+const DEPLOYMENT_STATUS_CLASSES = {
+  succeeded: 'text-green-600',
+  in_progress: 'text-blue-600',
+  failed: 'text-red-600',
+  cancelled: 'text-gray-500'
+};
+
+const formatDuration = (duration) => {
+  if (!duration && duration !== 0) return '-';
+  const seconds = Math.round(duration / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const ProjectDeployments = ({ project, onRollback }) => {
+  const [deployments, setDeployments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [logDeploymentId, setLogDeploymentId] = useState(null);
+
+  const fetchDeployments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get(`/projects/${project.id}/deployments`, {
+        params: { limit: 50 }
+      });
+      setDeployments(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching deployments:', error);
+      toast.error('Failed to load deployment history');
+    } finally {
+      setLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    fetchDeployments();
+  }, [fetchDeployments]);
+
+  const handleRollback = async (deployment) => {
+    const commit = deployment.commit?.hash ? deployment.commit.hash.slice(0, 7) : deployment.imageTag;
+    if (!window.confirm(`Roll ${project.name} back to ${commit}?`)) {
+      return;
+    }
+
+    setRollingBack(deployment.id);
+    try {
+      await apiClient.post(`/projects/${project.id}/deployments/${deployment.id}/rollback`);
+      toast.success(`Rolled back to ${commit}`);
+      fetchDeployments();
+      if (onRollback) onRollback();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to roll back project');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="flex items-center gap-2">
+          <History size={18} />
+          Deployment History - {project.name}
+        </h3>
+        <button className="btn btn-secondary btn-small" onClick={fetchDeployments} title="Refresh">
+          <RefreshCw size={14} />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center p-8">
+          <div className="spinner"></div>
+          <p>Loading deployments...</p>
+        </div>
+      ) : deployments.length === 0 ? (
+        <p className="text-sm text-gray-500">No deployments recorded yet</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th>Started</th>
+                <th>Trigger</th>
+                <th>Commit</th>
+                <th>By</th>
+                <th>Duration</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {deployments.map((deployment) => {
+                const isCurrent = project.currentDeployment === deployment.id;
+                return (
+                  <tr key={deployment.id} className="border-t" title={deployment.error || ''}>
+                    <td>{new Date(deployment.startedAt).toLocaleString()}</td>
+                    <td className="capitalize">{deployment.trigger}</td>
+                    <td>
+                      <span className="font-mono">
+                        {deployment.commit?.hash ? deployment.commit.hash.slice(0, 7) : '-'}
+                      </span>
+                      {deployment.commit?.message && (
+                        <span className="text-gray-500 ml-2">{deployment.commit.message}</span>
+                      )}
+                    </td>
+                    <td>{deployment.triggeredBy?.username || (deployment.trigger === 'webhook' ? 'Git push' : '-')}</td>
+                    <td>{formatDuration(deployment.duration)}</td>
+                    <td className={DEPLOYMENT_STATUS_CLASSES[deployment.status] || ''}>
+                      {deployment.status.replace('_', ' ')}
+                    </td>
+                    <td className="flex gap-2">
+                      <button
+                        className={`btn btn-small ${logDeploymentId === deployment.id ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setLogDeploymentId(logDeploymentId === deployment.id ? null : deployment.id)}
+                        title="Show build output"
+                      >
+                        <ScrollText size={12} />
+                      </button>
+                      {isCurrent ? (
+                        <span className="text-xs text-gray-500">Current</span>
+                      ) : deployment.status === 'succeeded' && deployment.imageTag && (
+                        <button
+                          className="btn btn-warning btn-small"
+                          onClick={() => handleRollback(deployment)}
+                          disabled={rollingBack !== null}
+                          title="Roll back to this deployment"
+                        >
+                          <Undo2 size={12} />
+                          {rollingBack === deployment.id ? ' Rolling back...' : ' Roll back'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {logDeploymentId && (
+        <div className="mt-6">
+          <BuildConsole
+            key={logDeploymentId}
+            deploymentId={logDeploymentId}
+            onFinished={fetchDeployments}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectDeployments;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { X } from 'lucide-react';
+
+const NUMBER_FIELDS = [
+  { name: 'interval', label: 'Interval (seconds)', min: 5, max: 3600 },
+  { name: 'timeout', label: 'Timeout (seconds)', min: 1, max: 60 },
+  { name: 'failureThreshold', label: 'Failures before unhealthy', min: 1, max: 20 }
+];
+
+const DEFAULT_HEALTH_CHECK = {
+  enabled: false,
+  path: '/',
+  interval: 30,
+  timeout: 5,
+  failureThreshold: 3,
+  autoRestart: false
+};
+
+const ProjectHealthCheck = ({ project, onClose, onSaved }) => {
+  const [healthCheck, setHealthCheck] = useState({ ...DEFAULT_HEALTH_CHECK, ...project.healthCheck });
+  const [saving, setSaving] = useState(false);
+
+  const update = (name, value) => setHealthCheck(prev => ({ ...prev, [name]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await apiClient.put(`/projects/${project.id}`, {
+        healthCheck: {
+          ...healthCheck,
+          interval: Number(healthCheck.interval),
+          timeout: Number(healthCheck.timeout),
+          failureThreshold: Number(healthCheck.failureThreshold)
+        }
+      });
+      toast.success(healthCheck.enabled ? 'Health check saved' : 'Health check disabled');
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save health check');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const state = project.healthState || {};
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Health Check - {project.name}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {project.healthCheck?.enabled && (
+            <p className="text-sm text-gray-600">
+              Status: {project.healthStatus}
+              {project.lastHealthCheck && `, last checked ${new Date(project.lastHealthCheck).toLocaleString()}`}
+              {state.lastError && ` (${state.lastError})`}
+              {state.restartAttempts > 0 && `, restarted ${state.restartAttempts} time(s)`}
+            </p>
+          )}
+
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={healthCheck.enabled}
+              onChange={(e) => update('enabled', e.target.checked)}
+              disabled={saving}
+            />
+            Probe the project over HTTP
+          </label>
+
+          <div className="form-group">
+            <label className="form-label">Path</label>
+            <input
+              type="text"
+              value={healthCheck.path}
+              onChange={(e) => update('path', e.target.value)}
+              className="form-input"
+              placeholder="/health"
+              disabled={saving || !healthCheck.enabled}
+            />
+          </div>
+
+          <div className="grid grid-2 gap-4">
+            {NUMBER_FIELDS.map((field) => (
+              <div className="form-group" key={field.name}>
+                <label className="form-label">{field.label}</label>
+                <input
+                  type="number"
+                  min={field.min}
+                  max={field.max}
+                  value={healthCheck[field.name]}
+                  onChange={(e) => update(field.name, e.target.value)}
+                  className="form-input"
+                  disabled={saving || !healthCheck.enabled}
+                />
+              </div>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={healthCheck.autoRestart}
+              onChange={(e) => update('autoRestart', e.target.checked)}
+              disabled={saving || !healthCheck.enabled}
+            />
+            Restart the project when it is unhealthy
+          </label>
+          <p className="text-xs text-gray-500">
+            A probe passes when the app answers with a status below 500. Repeated restarts wait 1 minute, doubling up to 30 minutes.
+          </p>
+
+          <div className="flex gap-3 justify-end">
+            <button className="btn btn-secondary" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Save Health Check'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectHealthCheck;
@@ -4,6 +4,19 @@ import apiClient from '../config/axios';
 import { useWebSocket } from '../hooks/useWebSocket';
 import LogViewer from './LogViewer';
 import ProjectConsole from './ProjectConsole';
+import ProjectWebhook from './ProjectWebhook';
+import ProjectSecrets from './ProjectSecrets';
+import ProjectDeployments from './ProjectDeployments';
+import BuildQueue from './BuildQueue';
+import ProjectResources from './ProjectResources';
+import ProjectBackups from './ProjectBackups';
+import ProjectHealthCheck from './ProjectHealthCheck';
+import ProjectMetrics from './ProjectMetrics';
+import ProjectMembers from './ProjectMembers';
+import RepositoryAccess from './RepositoryAccess';
+import ProjectServices from './ProjectServices';
+import ProjectAddons from './ProjectAddons';
+import { describeResourceUsage } from '../utils/helpers';
 import { 
   RotateCcw, 
   Trash2, 
@@ -17,9 +30,28 @@ import {
   Wifi,
   WifiOff,
   Edit3,
-  Terminal
+  Terminal,
+  Webhook,
+  KeyRound,
+  Gauge,
+  History,
+  Archive,
+  HeartPulse,
+  Activity,
+  Users,
+  Lock,
+  Layers,
+  Database
 } from 'lucide-react';
 
+const RESOURCE_USAGE_INTERVAL = 15000;
+
+// Project roles, weakest first; the API reports the user's role as accessRole
+const PROJECT_ROLES = ['viewer', 'maintainer', 'owner'];
+
+const hasProjectRole = (project, role) =>
+  PROJECT_ROLES.indexOf(project.accessRole) >= PROJECT_ROLES.indexOf(role);
+
 const ProjectManagement = () => {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -35,14 +67,36 @@ const ProjectManagement = () => {
   const [portChangeLoading, setPortChangeLoading] = useState(false);
   const [showLogViewer, setShowLogViewer] = useState(false);
   const [logViewerProject, setLogViewerProject] = useState(null);
+  const [logViewerService, setLogViewerService] = useState(null);
   const [showConsole, setShowConsole] = useState(false);
   const [consoleProject, setConsoleProject] = useState(null);
+  const [consoleService, setConsoleService] = useState(null);
+  const [webhookProject, setWebhookProject] = useState(null);
+  const [secretsProject, setSecretsProject] = useState(null);
+  const [resourcesProject, setResourcesProject] = useState(null);
+  const [healthProject, setHealthProject] = useState(null);
+  const [metricsProject, setMetricsProject] = useState(null);
+  const [membersProject, setMembersProject] = useState(null);
+  const [repositoryAccessProject, setRepositoryAccessProject] = useState(null);
+  const [servicesProject, setServicesProject] = useState(null);
+  const [addonsProject, setAddonsProject] = useState(null);
+  const [resourceUsage, setResourceUsage] = useState({});
+  const [activeTab, setActiveTab] = useState('projects');
+  const [deploymentsProjectId, setDeploymentsProjectId] = useState('');
+  const [backupsProjectId, setBackupsProjectId] = useState('');
   const { isConnected, socket } = useWebSocket();
 
   useEffect(() => {
     fetchProjects();
   }, []);
 
+  // Poll container usage so it can be compared with the configured limits
+  useEffect(() => {
+    fetchResourceUsage();
+    const interval = setInterval(fetchResourceUsage, RESOURCE_USAGE_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
   // WebSocket event listeners for real-time updates
   useEffect(() => {
     if (socket && isConnected) {
@@ -78,10 +132,36 @@ const ProjectManagement = () => {
         );
       });
 
+      // Listen for health check results
+      socket.on('project_health', (data) => {
+        setProjects(prevProjects =>
+          prevProjects.map(project =>
+            project.id === data.projectId
+              ? {
+                  ...project,
+                  healthStatus: data.healthStatus,
+                  lastHealthCheck: data.checkedAt,
+                  healthState: { ...project.healthState, lastError: data.error }
+                }
+              : project
+          )
+        );
+        if (data.changed && data.healthStatus === 'unhealthy') {
+          toast.error(`Project ${data.projectName} is unhealthy${data.error ? `: ${data.error}` : ''}`);
+        }
+      });
+
+      // Listen for automatic restarts of unhealthy projects
+      socket.on('project_auto_restart', (data) => {
+        toast(`Restarting unhealthy project ${data.projectName} (attempt ${data.attempt})`);
+      });
+
       return () => {
         socket.off('project_status_update');
         socket.off('project_logs');
         socket.off('deployment_progress');
+        socket.off('project_health');
+        socket.off('project_auto_restart');
       };
     }
   }, [socket, isConnected, liveLogs, selectedProject]);
@@ -103,6 +183,19 @@ const ProjectManagement = () => {
     }
   };
 
+  const fetchResourceUsage = async () => {
+    try {
+      const response = await apiClient.get('/projects/resources/usage');
+      const usageByProject = {};
+      (response.data.data || []).forEach((entry) => {
+        usageByProject[entry.projectId] = entry.usage;
+      });
+      setResourceUsage(usageByProject);
+    } catch (error) {
+      console.error('Error fetching resource usage:', error);
+    }
+  };
+
   const handleStartProject = async (projectId) => {
     try {
       await apiClient.post(`/projects/${projectId}/start`);
@@ -124,10 +217,18 @@ const ProjectManagement = () => {
     }
   };
 
-  const handleRestartProject = async (projectId) => {
+  const handleRestartProject = async (project) => {
+    // In-place updates recreate containers where they run, without a switch
+    if (
+      project.updateStrategy === 'in-place' &&
+      !window.confirm('This project restarts in place, its recreated containers will be briefly down. Restart it?')
+    ) {
+      return;
+    }
+
     try {
-      await apiClient.post(`/projects/${projectId}/restart`);
-      toast.success('Project restarted successfully');
+      const response = await apiClient.post(`/projects/${project.id}/restart`);
+      toast.success(response.data.message || 'Project restarted successfully');
       fetchProjects();
     } catch (error) {
       toast.error('Failed to restart project');
@@ -219,6 +320,7 @@ const ProjectManagement = () => {
   const closeLogViewer = () => {
     setShowLogViewer(false);
     setLogViewerProject(null);
+    setLogViewerService(null);
   };
 
   const handleOpenConsole = (project) => {
@@ -233,6 +335,35 @@ const ProjectManagement = () => {
   const closeConsole = () => {
     setShowConsole(false);
     setConsoleProject(null);
+    setConsoleService(null);
+  };
+
+  // Logs and console of one service of a compose stack
+  const handleViewServiceLogs = (project, service) => {
+    setServicesProject(null);
+    setLogViewerService(service);
+    setLogViewerProject(project);
+    setShowLogViewer(true);
+  };
+
+  const handleOpenServiceConsole = (project, service) => {
+    setServicesProject(null);
+    setConsoleService(service);
+    setConsoleProject(project);
+    setShowConsole(true);
+  };
+
+  const closeWebhook = () => {
+    setWebhookProject(null);
+  };
+
+  const closeSecrets = () => {
+    setSecretsProject(null);
+  };
+
+  const handleViewDeployments = (project) => {
+    setDeploymentsProjectId(project.id);
+    setActiveTab('deployments');
   };
 
   const toggleLiveLogs = () => {
@@ -261,6 +392,15 @@ const ProjectManagement = () => {
     }
   };
 
+  const getHealthColor = (project) => {
+    if (!project.healthCheck?.enabled) return 'text-gray-500';
+    switch (project.healthStatus) {
+      case 'healthy': return 'text-green-600';
+      case 'unhealthy': return 'text-red-600';
+      default: return 'text-gray-500';
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
@@ -287,6 +427,9 @@ const ProjectManagement = () => {
     return matchesSearch && matchesStatus;
   });
 
+  const deploymentsProject = projects.find(project => project.id === deploymentsProjectId);
+  const backupsProject = projects.find(project => project.id === backupsProjectId);
+
   if (loading) {
     return (
       <div className="card">
@@ -327,202 +470,404 @@ const ProjectManagement = () => {
           </button>
         </div>
 
-        {/* Search and Filter Controls */}
-        <div className="grid grid-2 gap-4 mb-6">
-          <div className="form-group">
-            <label className="form-label">Search Projects</label>
-            <input
-              type="text"
-              placeholder="Search by name or domain..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="form-input"
-            />
-          </div>
-          <div className="form-group">
-            <label className="form-label">Filter by Status</label>
-            <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-              className="form-input"
-            >
-              <option value="all">All Statuses</option>
-              <option value="running">Running</option>
-              <option value="stopped">Stopped</option>
-              <option value="deploying">Deploying</option>
-              <option value="error">Error</option>
-            </select>
-          </div>
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6">
+          {[
+            { id: 'projects', label: 'Projects', icon: HardDrive },
+            { id: 'deployments', label: 'Deployments', icon: History },
+            { id: 'backups', label: 'Backups', icon: Archive }
+          ].map((tab) => {
+            const Icon = tab.icon;
+            return (
+              <button
+                key={tab.id}
+                className={`btn ${activeTab === tab.id ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setActiveTab(tab.id)}
+              >
+                <Icon size={16} className="mr-2" />
+                {tab.label}
+              </button>
+            );
+          })}
         </div>
 
-        {projects.length === 0 ? (
-          <div className="text-center p-8">
-            <HardDrive size={48} className="mx-auto mb-4 text-gray-400" />
-            <h3>No projects deployed yet</h3>
-            <p className="text-gray-600 mb-4">
-              Deploy your first project to get started with hosting
-            </p>
-            <a href="/deploy" className="btn">
-              Deploy Project
-            </a>
-          </div>
-        ) : filteredProjects.length === 0 ? (
-          <div className="text-center p-8">
-            <HardDrive size={48} className="mx-auto mb-4 text-gray-400" />
-            <h3>No projects match your search criteria</h3>
-            <p className="text-gray-600 mb-4">
-              Try adjusting your search term or status filter
-            </p>
-            <button 
-              className="btn btn-secondary"
-              onClick={() => {
-                setSearchTerm('');
-                setStatusFilter('all');
-              }}
-            >
-              Clear Filters
-            </button>
-          </div>
+        {activeTab === 'deployments' ? (
+          <>
+            <BuildQueue onChange={fetchProjects} />
+            <div className="form-group mb-6">
+              <label className="form-label">Project</label>
+              <select
+                value={deploymentsProjectId}
+                onChange={(e) => setDeploymentsProjectId(e.target.value)}
+                className="form-input"
+              >
+                <option value="">Select a project...</option>
+                {projects.map((project) => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+            </div>
+            {deploymentsProject ? (
+              <ProjectDeployments
+                key={deploymentsProject.id}
+                project={deploymentsProject}
+                onRollback={fetchProjects}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">Select a project to see its deployments</p>
+            )}
+          </>
+        ) : activeTab === 'backups' ? (
+          <>
+            <div className="form-group mb-6">
+              <label className="form-label">Project</label>
+              <select
+                value={backupsProjectId}
+                onChange={(e) => setBackupsProjectId(e.target.value)}
+                className="form-input"
+              >
+                <option value="">Select a project...</option>
+                {projects.filter((project) => hasProjectRole(project, 'maintainer')).map((project) => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+            </div>
+            {backupsProject ? (
+              <ProjectBackups
+                key={backupsProject.id}
+                project={backupsProject}
+                onRestore={fetchProjects}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">Select a project to see its volume backups</p>
+            )}
+          </>
         ) : (
-          <div className="grid grid-2">
-            {filteredProjects.map((project) => (
-              <div key={project.id} className="card">
-                <div className="flex justify-between items-start mb-4">
-                  <div>
-                    <h3 className="text-lg font-semibold">{project.name}</h3>
-                    <div className="flex items-center gap-2 mt-1">
-                      <span className={`status-indicator ${getStatusColor(project.status)}`}></span>
-                      <span className="text-sm capitalize">{project.status}</span>
+          <>
+          {/* Search and Filter Controls */}
+          <div className="grid grid-2 gap-4 mb-6">
+            <div className="form-group">
+              <label className="form-label">Search Projects</label>
+              <input
+                type="text"
+                placeholder="Search by name or domain..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Filter by Status</label>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="form-input"
+              >
+                <option value="all">All Statuses</option>
+                <option value="running">Running</option>
+                <option value="stopped">Stopped</option>
+                <option value="deploying">Deploying</option>
+                <option value="error">Error</option>
+              </select>
+            </div>
+          </div>
+
+          {projects.length === 0 ? (
+            <div className="text-center p-8">
+              <HardDrive size={48} className="mx-auto mb-4 text-gray-400" />
+              <h3>No projects deployed yet</h3>
+              <p className="text-gray-600 mb-4">
+                Deploy your first project to get started with hosting
+              </p>
+              <a href="/deploy" className="btn">
+                Deploy Project
+              </a>
+            </div>
+          ) : filteredProjects.length === 0 ? (
+            <div className="text-center p-8">
+              <HardDrive size={48} className="mx-auto mb-4 text-gray-400" />
+              <h3>No projects match your search criteria</h3>
+              <p className="text-gray-600 mb-4">
+                Try adjusting your search term or status filter
+              </p>
+              <button 
+                className="btn btn-secondary"
+                onClick={() => {
+                  setSearchTerm('');
+                  setStatusFilter('all');
+                }}
+              >
+                Clear Filters
+              </button>
+            </div>
+          ) : (
+            <div className="grid grid-2">
+              {filteredProjects.map((project) => (
+                <div key={project.id} className="card">
+                  <div className="flex justify-between items-start mb-4">
+                    <div>
+                      <h3 className="text-lg font-semibold">{project.name}</h3>
+                      <div className="flex items-center gap-2 mt-1">
+                        <span className={`status-indicator ${getStatusColor(project.status)}`}></span>
+                        <span className="text-sm capitalize">{project.status}</span>
+                        {project.accessRole && project.accessRole !== 'owner' && (
+                          <span className="text-xs text-gray-500 capitalize">({project.accessRole})</span>
+                        )}
+                      </div>
                     </div>
-                  </div>
-                  <div className="flex gap-2">
-                    {project.status === 'running' && (
-                      <a
-                        href={`http://${project.domain}:${project.port}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="btn btn-success btn-small"
-                        title="Visit Project - Opens in new tab"
-                      >
-                        <Wifi size={14} />
-                      </a>
-                    )}
-                    <button
-                      className="btn btn-secondary btn-small"
-                      onClick={() => handleViewLogs(project.id)}
-                      title="View Logs"
-                    >
-                      <Eye size={14} />
-                    </button>
-                    <button
-                      className="btn btn-info btn-small"
-                      onClick={() => handleOpenConsole(project)}
-                      title="Open Console"
-                      disabled={project.status !== 'running'}
-                    >
-                      <Terminal size={14} />
-                    </button>
-                    {project.status === 'running' ? (
+                    <div className="flex gap-2">
+                      {project.status === 'running' && (
+                        <a
+                          href={`http://${project.domain}:${project.port}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="btn btn-success btn-small"
+                          title="Visit Project - Opens in new tab"
+                        >
+                          <Wifi size={14} />
+                        </a>
+                      )}
                       <button
-                        className="btn btn-warning btn-small"
-                        onClick={() => handleStopProject(project.id)}
-                        title="Stop Project"
+                        className="btn btn-secondary btn-small"
+                        onClick={() => handleViewLogs(project.id)}
+                        title="View Logs"
                       >
-                        <Square size={14} />
+                        <Eye size={14} />
                       </button>
-                    ) : (
+                      {project.build?.stack && (
+                        <button
+                          className="btn btn-secondary btn-small"
+                          onClick={() => setServicesProject(project)}
+                          title="Services"
+                        >
+                          <Layers size={14} />
+                        </button>
+                      )}
                       <button
-                        className="btn btn-success btn-small"
-                        onClick={() => handleStartProject(project.id)}
-                        title="Start Project"
+                        className="btn btn-secondary btn-small"
+                        onClick={() => handleViewDeployments(project)}
+                        title="Deployment History"
                       >
-                        <Play size={14} />
+                        <History size={14} />
                       </button>
-                    )}
-                    <button
-                      className="btn btn-info btn-small"
-                      onClick={() => handleRestartProject(project.id)}
-                      title="Restart Project"
-                    >
-                      <RotateCcw size={14} />
-                    </button>
-                    <button
-                      className="btn btn-danger btn-small"
-                      onClick={() => handleDeleteProject(project.id)}
-                      title="Delete Project"
-                    >
-                      <Trash2 size={14} />
-                    </button>
+                      {hasProjectRole(project, 'maintainer') && (
+                        <>
+                          <button
+                            className="btn btn-info btn-small"
+                            onClick={() => handleOpenConsole(project)}
+                            title="Open Console"
+                            disabled={project.status !== 'running'}
+                          >
+                            <Terminal size={14} />
+                          </button>
+                          {project.repository && (
+                            <button
+                              className="btn btn-secondary btn-small"
+                              onClick={() => setWebhookProject(project)}
+                              title="Push-to-Deploy Webhook"
+                            >
+                              <Webhook size={14} />
+                            </button>
+                          )}
+                          <button
+                            className="btn btn-secondary btn-small"
+                            onClick={() => setSecretsProject(project)}
+                            title="Secrets"
+                          >
+                            <KeyRound size={14} />
+                          </button>
+                          {project.repository && (
+                            <button
+                              className="btn btn-secondary btn-small"
+                              onClick={() => setRepositoryAccessProject(project)}
+                              title="Repository Access"
+                            >
+                              <Lock size={14} />
+                            </button>
+                          )}
+                          <button
+                            className="btn btn-secondary btn-small"
+                            onClick={() => setAddonsProject(project)}
+                            title="Add-ons"
+                          >
+                            <Database size={14} />
+                          </button>
+                          {project.status === 'running' ? (
+                            <button
+                              className="btn btn-warning btn-small"
+                              onClick={() => handleStopProject(project.id)}
+                              title="Stop Project"
+                            >
+                              <Square size={14} />
+                            </button>
+                          ) : (
+                            <button
+                              className="btn btn-success btn-small"
+                              onClick={() => handleStartProject(project.id)}
+                              title="Start Project"
+                            >
+                              <Play size={14} />
+                            </button>
+                          )}
+                          <button
+                            className="btn btn-info btn-small"
+                            onClick={() => handleRestartProject(project)}
+                            title="Restart Project"
+                          >
+                            <RotateCcw size={14} />
+                          </button>
+                        </>
+                      )}
+                      {hasProjectRole(project, 'owner') && (
+                        <>
+                          <button
+                            className="btn btn-secondary btn-small"
+                            onClick={() => setMembersProject(project)}
+                            title="Members"
+                          >
+                            <Users size={14} />
+                          </button>
+                          <button
+                            className="btn btn-danger btn-small"
+                            onClick={() => handleDeleteProject(project.id)}
+                            title="Delete Project"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </>
+                      )}
+                    </div>
                   </div>
-                </div>
 
-                <div className="space-y-2">
-                  <div className="flex items-center gap-2">
-                    <Globe size={16} className="text-gray-500" />
-                    <span className="text-sm">{project.domain}</span>
-                    {project.status === 'running' && (
-                      <a
-                        href={`http://${project.domain}:${project.port}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="btn btn-primary btn-small ml-2"
-                        title="Open Project in New Tab"
-                      >
-                        <Wifi size={12} />
-                      </a>
-                    )}
-                  </div>
-                  
-                  <div className="flex items-center gap-2">
-                    <Settings size={16} className="text-gray-500" />
-                    <span className="text-sm">Port: {project.port}</span>
-                    <button
-                      className="btn btn-secondary btn-small ml-2"
-                      onClick={() => handlePortChange(project)}
-                      title="Change Port"
-                    >
-                      <Edit3 size={12} />
-                    </button>
-                  </div>
-                  
-                  <div className="flex items-center gap-2">
-                    <Clock size={16} className="text-gray-500" />
-                    <span className="text-sm">
-                      Uptime: {formatUptime(project.lastDeployed)}
-                    </span>
-                  </div>
-                  
-                  {project.status === 'running' && (
-                    <div className="flex items-center gap-2 mt-2 p-2 bg-green-50 border border-green-200 rounded">
-                      <Wifi size={16} className="text-green-600" />
-                      <span className="text-sm text-green-700 font-medium">
-                        Project is live at: 
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-2">
+                      <Globe size={16} className="text-gray-500" />
+                      <span className="text-sm">{project.domain}</span>
+                      {project.status === 'running' && (
                         <a
                           href={`http://${project.domain}:${project.port}`}
                           target="_blank"
                           rel="noopener noreferrer"
-                          className="ml-1 text-green-600 hover:text-green-800 underline"
+                          className="btn btn-primary btn-small ml-2"
+                          title="Open Project in New Tab"
                         >
-                          {project.domain}:{project.port}
+                          <Wifi size={12} />
                         </a>
-                        <span className="text-xs text-gray-600 ml-2">
-                          (Try /health for API status)
-                        </span>
+                      )}
+                    </div>
+                  
+                    <div className="flex items-center gap-2">
+                      <Settings size={16} className="text-gray-500" />
+                      <span className="text-sm">Port: {project.port}</span>
+                      {hasProjectRole(project, 'maintainer') && (
+                        <button
+                          className="btn btn-secondary btn-small ml-2"
+                          onClick={() => handlePortChange(project)}
+                          title="Change Port"
+                        >
+                          <Edit3 size={12} />
+                        </button>
+                      )}
+                    </div>
+                  
+                    <div className="flex items-center gap-2">
+                      <Clock size={16} className="text-gray-500" />
+                      <span className="text-sm">
+                        Uptime: {formatUptime(project.lastDeployed)}
                       </span>
                     </div>
-                  )}
-                </div>
 
-                <div className="mt-4 pt-4 border-t">
-                  <div className="text-xs text-gray-500">
-                    <div>Repository: {project.repository}</div>
-                    <div>Branch: {project.branch}</div>
-                    <div>Created: {formatDate(project.createdAt)}</div>
+                    <div className="flex items-center gap-2">
+                      <Gauge size={16} className="text-gray-500" />
+                      <span className="text-sm">
+                        {describeResourceUsage(resourceUsage[project.id], project.resources) || 'No usage data'}
+                      </span>
+                      {hasProjectRole(project, 'maintainer') && (
+                        <button
+                          className="btn btn-secondary btn-small ml-2"
+                          onClick={() => setResourcesProject(project)}
+                          title="Resource Limits"
+                        >
+                          <Edit3 size={12} />
+                        </button>
+                      )}
+                      <button
+                        className="btn btn-secondary btn-small"
+                        onClick={() => setMetricsProject(project)}
+                        title="Metrics History"
+                      >
+                        <Activity size={12} />
+                      </button>
+                    </div>
+
+                    <div className="flex items-center gap-2">
+                      <HeartPulse size={16} className={getHealthColor(project)} />
+                      <span className="text-sm">
+                        {project.healthCheck?.enabled
+                          ? `Health: ${project.healthStatus || 'unknown'}`
+                          : 'No health check'}
+                      </span>
+                      {hasProjectRole(project, 'maintainer') && (
+                        <button
+                          className="btn btn-secondary btn-small ml-2"
+                          onClick={() => setHealthProject(project)}
+                          title="Health Check"
+                        >
+                          <Edit3 size={12} />
+                        </button>
+                      )}
+                    </div>
+                  
+                    {project.status === 'running' && (
+                      <div className="flex items-center gap-2 mt-2 p-2 bg-green-50 border border-green-200 rounded">
+                        <Wifi size={16} className="text-green-600" />
+                        <span className="text-sm text-green-700 font-medium">
+                          Project is live at: 
+                          <a
+                            href={`http://${project.domain}:${project.port}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="ml-1 text-green-600 hover:text-green-800 underline"
+                          >
+                            {project.domain}:{project.port}
+                          </a>
+                          <span className="text-xs text-gray-600 ml-2">
+                            (Try /health for API status)
+                          </span>
+                        </span>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="mt-4 pt-4 border-t">
+                    <div className="text-xs text-gray-500">
+                      {project.image ? (
+                        <div>Template: {project.template} ({project.image})</div>
+                      ) : (
+                        <>
+                          <div>Repository: {project.repository}</div>
+                          <div>Branch: {project.branch}</div>
+                        </>
+                      )}
+                      {project.imageTag && <div>Image: {project.imageTag}</div>}
+                      {project.buildpack?.type && (
+                        <div>
+                          Build: {project.buildpack.type}
+                          {project.buildpack.generated && ' (generated Dockerfile)'}
+                          {project.buildpack.containerPort && `, container port ${project.buildpack.containerPort}`}
+                        </div>
+                      )}
+                      {project.updateStrategy === 'in-place' && (
+                        <div>Restarts in place (brief downtime)</div>
+                      )}
+                      <div>Created: {formatDate(project.createdAt)}</div>
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
+          </>
         )}
       </div>
 
@@ -654,6 +999,7 @@ const ProjectManagement = () => {
         <LogViewer
           projectId={logViewerProject.id}
           projectName={logViewerProject.name}
+          service={logViewerService}
           onClose={closeLogViewer}
         />
       )}
@@ -663,9 +1009,97 @@ const ProjectManagement = () => {
         <ProjectConsole
           projectId={consoleProject.id}
           projectName={consoleProject.name}
+          service={consoleService}
           onClose={closeConsole}
         />
       )}
+
+      {/* Push-to-Deploy Webhook */}
+      {webhookProject && (
+        <ProjectWebhook
+          projectId={webhookProject.id}
+          projectName={webhookProject.name}
+          onClose={closeWebhook}
+        />
+      )}
+
+      {/* Resource Limits */}
+      {resourcesProject && (
+        <ProjectResources
+          project={resourcesProject}
+          usage={resourceUsage[resourcesProject.id]}
+          onClose={() => setResourcesProject(null)}
+          onSaved={() => {
+            setResourcesProject(null);
+            fetchProjects();
+          }}
+        />
+      )}
+
+      {/* Health Check */}
+      {healthProject && (
+        <ProjectHealthCheck
+          project={healthProject}
+          onClose={() => setHealthProject(null)}
+          onSaved={() => {
+            setHealthProject(null);
+            fetchProjects();
+          }}
+        />
+      )}
+
+      {/* Metrics History */}
+      {metricsProject && (
+        <ProjectMetrics
+          project={metricsProject}
+          onClose={() => setMetricsProject(null)}
+        />
+      )}
+
+      {/* Members */}
+      {membersProject && (
+        <ProjectMembers
+          projectId={membersProject.id}
+          projectName={membersProject.name}
+          onClose={() => setMembersProject(null)}
+        />
+      )}
+
+      {/* Services of a compose stack */}
+      {servicesProject && (
+        <ProjectServices
+          project={servicesProject}
+          canManage={hasProjectRole(servicesProject, 'maintainer')}
+          onViewLogs={(service) => handleViewServiceLogs(servicesProject, service)}
+          onOpenConsole={(service) => handleOpenServiceConsole(servicesProject, service)}
+          onClose={() => setServicesProject(null)}
+        />
+      )}
+
+      {/* Managed Add-ons */}
+      {addonsProject && (
+        <ProjectAddons
+          project={addonsProject}
+          onClose={() => setAddonsProject(null)}
+        />
+      )}
+
+      {/* Repository Access */}
+      {repositoryAccessProject && (
+        <RepositoryAccess
+          project={repositoryAccessProject}
+          onClose={() => setRepositoryAccessProject(null)}
+        />
+      )}
+
+      {/* Secrets */}
+      {secretsProject && (
+        <ProjectSecrets
+          projectId={secretsProject.id}
+          projectName={secretsProject.name}
+          onClose={closeSecrets}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Plus, Trash2, X } from 'lucide-react';
+
+const MEMBER_ROLES = [
+  { value: 'viewer', label: 'Viewer - status, deployments, logs and metrics' },
+  { value: 'maintainer', label: 'Maintainer - also deploys, operates and configures' }
+];
+
+const ProjectMembers = ({ projectId, projectName, onClose }) => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [username, setUsername] = useState('');
+  const [role, setRole] = useState('viewer');
+
+  const fetchMembers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get(`/projects/${projectId}/members`);
+      setMembers(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching members:', error);
+      toast.error('Failed to load members');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    setWorking(true);
+    try {
+      await apiClient.post(`/projects/${projectId}/members`, { username: username.trim(), role });
+      setUsername('');
+      toast.success('Member added');
+      await fetchMembers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add member');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRoleChange = async (member, newRole) => {
+    setWorking(true);
+    try {
+      await apiClient.put(`/projects/${projectId}/members/${member.user.id}`, { role: newRole });
+      toast.success(`${member.user.username} is now a ${newRole}`);
+      await fetchMembers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to change role');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.user.username} from ${projectName}?`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await apiClient.delete(`/projects/${projectId}/members/${member.user.id}`);
+      toast.success('Member removed');
+      await fetchMembers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove member');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-y-auto">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Members - {projectName}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="spinner"></div>
+            <p>Loading members...</p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <p className="text-sm text-gray-600">
+              Viewers see the project, its deployments, logs and metrics. Maintainers also deploy,
+              start and stop it, open its console and manage its secrets, webhook and backups.
+              Only the owner manages members and deletes the project.
+            </p>
+
+            <form onSubmit={handleAdd} className="flex gap-2">
+              <input
+                type="text"
+                placeholder="Username or email"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="form-input"
+                required
+              />
+              <select value={role} onChange={(e) => setRole(e.target.value)} className="form-input">
+                {MEMBER_ROLES.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn btn-primary" disabled={working || !username.trim()}>
+                <Plus size={14} className="mr-2" />
+                Add
+              </button>
+            </form>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th>User</th>
+                  <th>Role</th>
+                  <th>Since</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {members.map((member) => (
+                  <tr key={member.user.id} className="border-t">
+                    <td>
+                      {member.user.username || member.user.id}
+                      {member.user.email && <span className="text-gray-500 ml-2">{member.user.email}</span>}
+                    </td>
+                    <td>
+                      {member.role === 'owner' ? (
+                        <span className="font-semibold">Owner</span>
+                      ) : (
+                        <select
+                          value={member.role}
+                          onChange={(e) => handleRoleChange(member, e.target.value)}
+                          className="form-input"
+                          disabled={working}
+                        >
+                          {MEMBER_ROLES.map((option) => (
+                            <option key={option.value} value={option.value} className="capitalize">
+                              {option.value}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    <td>{member.addedAt ? new Date(member.addedAt).toLocaleDateString() : '-'}</td>
+                    <td className="text-right">
+                      {member.role !== 'owner' && (
+                        <button
+                          className="btn btn-danger btn-small"
+                          onClick={() => handleRemove(member)}
+                          disabled={working}
+                          title="Remove member"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectMembers;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import MetricsHistory from './MetricsHistory';
+
+const ProjectMetrics = ({ project, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+    <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+      <div className="p-4 border-b flex justify-between items-center">
+        <h3 className="text-lg font-semibold">Metrics - {project.name}</h3>
+        <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="p-4">
+        {project.status !== 'running' && (
+          <p className="text-sm text-gray-500 mb-3">
+            The project is not running, so no new samples are recorded.
+          </p>
+        )}
+        <MetricsHistory url={`/projects/${project.id}/metrics`} />
+      </div>
+    </div>
+  </div>
+);
+
+export default ProjectMetrics;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { describeResourceUsage } from '../utils/helpers';
+import { X } from 'lucide-react';
+
+const LIMIT_FIELDS = [
+  { name: 'cpus', label: 'CPU limit (cores)', step: '0.1', placeholder: 'e.g. 1.5' },
+  { name: 'cpuShares', label: 'CPU shares', step: '1', placeholder: 'Default 1024' },
+  { name: 'memory', label: 'Memory limit (MB)', step: '1', placeholder: 'e.g. 512' },
+  { name: 'pidsLimit', label: 'Process limit', step: '1', placeholder: 'e.g. 200' }
+];
+
+const ProjectResources = ({ project, usage, onClose, onSaved }) => {
+  const [limits, setLimits] = useState(() =>
+    LIMIT_FIELDS.reduce((acc, field) => {
+      acc[field.name] = project.resources?.[field.name] ?? '';
+      return acc;
+    }, {})
+  );
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    const resources = Object.fromEntries(
+      Object.entries(limits).map(([name, value]) => [name, value === '' ? null : Number(value)])
+    );
+
+    setSaving(true);
+    try {
+      const response = await apiClient.put(`/projects/${project.id}`, { resources });
+      toast.success(response.data.message || 'Resource limits saved');
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save resource limits');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Resource Limits - {project.name}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            {usage ? `Current usage: ${describeResourceUsage(usage, project.resources)}` : 'The project is not running.'}
+          </p>
+
+          <div className="grid grid-2 gap-4">
+            {LIMIT_FIELDS.map((field) => (
+              <div className="form-group" key={field.name}>
+                <label className="form-label">{field.label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.step}
+                  value={limits[field.name]}
+                  onChange={(e) => setLimits(prev => ({ ...prev, [field.name]: e.target.value }))}
+                  className="form-input"
+                  placeholder={field.placeholder}
+                  disabled={saving}
+                />
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            Leave a field empty for no limit. A running project switches to a container with the new limits when they are saved.
+          </p>
+
+          <div className="flex gap-3 justify-end">
+            <button className="btn btn-secondary" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Save Limits'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectResources;
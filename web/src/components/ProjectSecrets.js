@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Plus, RefreshCw, Trash2, X } from 'lucide-react';
+
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const AUDIT_ACTION_CLASSES = {
+  created: 'text-green-600',
+  updated: 'text-blue-600',
+  deleted: 'text-red-600'
+};
+
+const ProjectSecrets = ({ projectId, projectName, onClose }) => {
+  const [secrets, setSecrets] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [newKey, setNewKey] = useState('');
+  const [newValue, setNewValue] = useState('');
+
+  const fetchSecrets = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [secretsResponse, auditResponse] = await Promise.all([
+        apiClient.get(`/projects/${projectId}/secrets`),
+        apiClient.get(`/projects/${projectId}/secrets/audit`, { params: { limit: 20 } })
+      ]);
+      setSecrets(secretsResponse.data.data || []);
+      setAuditLog(auditResponse.data.data || []);
+    } catch (error) {
+      console.error('Error fetching secrets:', error);
+      toast.error('Failed to load secrets');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchSecrets();
+  }, [fetchSecrets]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!KEY_PATTERN.test(newKey)) {
+      toast.error('Secret names may only contain letters, digits and underscores');
+      return;
+    }
+
+    if (secrets.some((secret) => secret.key === newKey) &&
+        !window.confirm(`Replace the value of ${newKey}?`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await apiClient.put(`/projects/${projectId}/secrets/${newKey}`, { value: newValue });
+      setNewKey('');
+      setNewValue('');
+      toast.success('Secret saved. Restart or redeploy the project to apply it');
+      await fetchSecrets();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save secret');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDelete = async (key) => {
+    if (!window.confirm(`Delete the secret ${key}?`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await apiClient.delete(`/projects/${projectId}/secrets/${key}`);
+      toast.success('Secret deleted. Restart or redeploy the project to apply it');
+      await fetchSecrets();
+    } catch (error) {
+      toast.error('Failed to delete secret');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-y-auto">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Secrets - {projectName}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="spinner"></div>
+            <p>Loading secrets...</p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <p className="text-sm text-gray-600">
+              Secrets are stored encrypted and passed to the container as environment variables.
+              Their values cannot be read back. Changes apply on the next restart or redeploy.
+            </p>
+
+            <form onSubmit={handleSave} className="flex gap-2">
+              <input
+                type="text"
+                placeholder="NAME"
+                value={newKey}
+                onChange={(e) => setNewKey(e.target.value)}
+                className="form-input font-mono"
+                required
+              />
+              <input
+                type="password"
+                placeholder="Value"
+                value={newValue}
+                onChange={(e) => setNewValue(e.target.value)}
+                className="form-input"
+                autoComplete="new-password"
+              />
+              <button type="submit" className="btn btn-primary" disabled={working || !newKey}>
+                <Plus size={14} className="mr-2" />
+                Save
+              </button>
+            </form>
+
+            {secrets.length === 0 ? (
+              <p className="text-sm text-gray-500">No secrets configured</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th>Name</th>
+                    <th>Value</th>
+                    <th>Last changed</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {secrets.map((secret) => (
+                    <tr key={secret.key} className="border-t">
+                      <td className="font-mono">{secret.key}</td>
+                      <td className="font-mono text-gray-500">{secret.value}</td>
+                      <td>
+                        {new Date(secret.updatedAt).toLocaleString()}
+                        {secret.updatedBy?.username && ` by ${secret.updatedBy.username}`}
+                      </td>
+                      <td className="text-right">
+                        <button
+                          className="btn btn-danger btn-small"
+                          onClick={() => handleDelete(secret.key)}
+                          disabled={working}
+                          title="Delete secret"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="font-semibold">Audit Log</h4>
+                <button className="btn btn-secondary btn-small" onClick={fetchSecrets} title="Refresh">
+                  <RefreshCw size={12} />
+                </button>
+              </div>
+              {auditLog.length === 0 ? (
+                <p className="text-sm text-gray-500">No changes recorded yet</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th>When</th>
+                      <th>Secret</th>
+                      <th>Action</th>
+                      <th>User</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {auditLog.map((entry) => (
+                      <tr key={entry._id} className="border-t">
+                        <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                        <td className="font-mono">{entry.key}</td>
+                        <td className={`capitalize ${AUDIT_ACTION_CLASSES[entry.action] || ''}`}>
+                          {entry.action}
+                        </td>
+                        <td>{entry.user?.username || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectSecrets;
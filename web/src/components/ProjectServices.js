@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Eye, RefreshCw, Terminal, X } from 'lucide-react';
+
+const getStateColor = (state) => {
+  switch (state) {
+    case 'running': return 'status-online';
+    case 'restarting':
+    case 'created': return 'status-connecting';
+    default: return 'status-offline';
+  }
+};
+
+const ProjectServices = ({ project, canManage, onViewLogs, onOpenConsole, onClose }) => {
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchServices = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get(`/projects/${project.id}/status`);
+      setServices(response.data.data.services || []);
+    } catch (error) {
+      console.error('Error fetching services:', error);
+      toast.error('Failed to load services');
+    } finally {
+      setLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    fetchServices();
+  }, [fetchServices]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-y-auto">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Services - {project.name}</h3>
+          <div className="flex gap-2">
+            <button className="btn btn-secondary btn-small" onClick={fetchServices} title="Refresh" disabled={loading}>
+              <RefreshCw size={14} />
+            </button>
+            <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+              <X size={14} />
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="spinner"></div>
+            <p>Loading services...</p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-2">
+            <p className="text-sm text-gray-600">
+              Services of <code>{project.build?.composeFile}</code>.{' '}
+              <code>{project.build?.composeService}</code> is published on port {project.port}.
+            </p>
+
+            {services.length === 0 ? (
+              <p className="text-gray-600">No service containers, start the project to create them.</p>
+            ) : (
+              services.map((service) => (
+                <div key={service.service} className="flex justify-between items-center p-2 border rounded">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className={`status-indicator ${getStateColor(service.state)}`}></span>
+                      <span className="font-semibold">{service.service}</span>
+                      {service.service === project.build?.composeService && (
+                        <span className="text-xs text-gray-500">(published)</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {service.status}
+                      {service.health && ` - ${service.health}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      className="btn btn-secondary btn-small"
+                      onClick={() => onViewLogs(service.service)}
+                      title="View Logs"
+                    >
+                      <Eye size={14} />
+                    </button>
+                    {canManage && (
+                      <button
+                        className="btn btn-info btn-small"
+                        onClick={() => onOpenConsole(service.service)}
+                        title="Open Console"
+                        disabled={service.state !== 'running'}
+                      >
+                        <Terminal size={14} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectServices;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Copy, RefreshCw, Power, X } from 'lucide-react';
+
+const DELIVERY_STATUS_CLASSES = {
+  deployed: 'text-green-600',
+  deploying: 'text-blue-600',
+  ignored: 'text-gray-500',
+  rejected: 'text-red-600',
+  failed: 'text-red-600'
+};
+
+const ProjectWebhook = ({ projectId, projectName, onClose }) => {
+  const [webhook, setWebhook] = useState(null);
+  const [secret, setSecret] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+
+  const fetchWebhook = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [webhookResponse, deliveriesResponse] = await Promise.all([
+        apiClient.get(`/projects/${projectId}/webhook`),
+        apiClient.get(`/projects/${projectId}/webhook/deliveries`, { params: { limit: 20 } })
+      ]);
+      setWebhook(webhookResponse.data.data);
+      setDeliveries(deliveriesResponse.data.data || []);
+    } catch (error) {
+      console.error('Error fetching webhook:', error);
+      toast.error('Failed to load webhook settings');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchWebhook();
+  }, [fetchWebhook]);
+
+  const handleGenerateSecret = async () => {
+    if (webhook?.enabled && !window.confirm('Generating a new secret invalidates the current one. Continue?')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await apiClient.post(`/projects/${projectId}/webhook/secret`);
+      const { secret: newSecret, ...config } = response.data.data;
+      setWebhook(config);
+      setSecret(newSecret);
+      toast.success('Webhook secret generated');
+    } catch (error) {
+      toast.error('Failed to generate webhook secret');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Disable push-to-deploy for this project?')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await apiClient.delete(`/projects/${projectId}/webhook`);
+      setWebhook(response.data.data);
+      setSecret(null);
+      toast.success('Webhook disabled');
+    } catch (error) {
+      toast.error('Failed to disable webhook');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const copyToClipboard = async (value, label) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      toast.success(`${label} copied to clipboard`);
+    } catch (error) {
+      toast.error(`Failed to copy ${label.toLowerCase()}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-y-auto">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Push-to-Deploy Webhook - {projectName}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="spinner"></div>
+            <p>Loading webhook settings...</p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <div className="flex items-center gap-2">
+              <span className={`status-indicator ${webhook?.enabled ? 'status-online' : 'status-offline'}`}></span>
+              <span className="text-sm">
+                {webhook?.enabled
+                  ? `Enabled - pushes to "${webhook.branch}" redeploy this project`
+                  : 'Disabled'}
+              </span>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Payload URL</label>
+              <div className="flex gap-2">
+                <input type="text" readOnly value={webhook?.url || ''} className="form-input font-mono" />
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => copyToClipboard(webhook.url, 'Payload URL')}
+                  title="Copy URL"
+                >
+                  <Copy size={14} />
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Content type: {webhook?.contentType}. Works with GitHub, Gitea and GitLab push events.
+              </p>
+            </div>
+
+            {secret && (
+              <div className="form-group p-3 bg-yellow-50 border border-yellow-200 rounded">
+                <label className="form-label">Secret</label>
+                <div className="flex gap-2">
+                  <input type="text" readOnly value={secret} className="form-input font-mono" />
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => copyToClipboard(secret, 'Secret')}
+                    title="Copy secret"
+                  >
+                    <Copy size={14} />
+                  </button>
+                </div>
+                <p className="text-xs text-gray-600 mt-1">
+                  Copy this secret into your Git provider now; it will not be shown again.
+                  GitLab users paste it as the "Secret token".
+                </p>
+              </div>
+            )}
+
+            <div className="flex gap-3">
+              <button className="btn btn-primary" onClick={handleGenerateSecret} disabled={working}>
+                <RefreshCw size={14} className="mr-2" />
+                {webhook?.enabled ? 'Regenerate Secret' : 'Enable Webhook'}
+              </button>
+              {webhook?.enabled && (
+                <button className="btn btn-danger" onClick={handleDisable} disabled={working}>
+                  <Power size={14} className="mr-2" />
+                  Disable
+                </button>
+              )}
+            </div>
+
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="font-semibold">Recent Deliveries</h4>
+                <button className="btn btn-secondary btn-small" onClick={fetchWebhook} title="Refresh">
+                  <RefreshCw size={12} />
+                </button>
+              </div>
+              {deliveries.length === 0 ? (
+                <p className="text-sm text-gray-500">No deliveries received yet</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th>Received</th>
+                      <th>Event</th>
+                      <th>Commit</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map((delivery) => (
+                      <tr key={delivery.id} className="border-t" title={delivery.message || ''}>
+                        <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                        <td>{delivery.provider} / {delivery.event}</td>
+                        <td className="font-mono">{delivery.commit ? delivery.commit.slice(0, 7) : '-'}</td>
+                        <td className={`capitalize ${DELIVERY_STATUS_CLASSES[delivery.status] || ''}`}>
+                          {delivery.status}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectWebhook;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Copy, KeyRound, Trash2, X } from 'lucide-react';
+
+const RepositoryAccess = ({ project, onClose }) => {
+  const [gitAuth, setGitAuth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [username, setUsername] = useState('');
+  const [token, setToken] = useState('');
+
+  const isSshUrl = !/^https?:\/\//.test(project.repository);
+
+  const fetchGitAuth = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get(`/projects/${project.id}/git-auth`);
+      setGitAuth(response.data.data);
+    } catch (error) {
+      console.error('Error fetching repository access:', error);
+      toast.error('Failed to load repository access');
+    } finally {
+      setLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    fetchGitAuth();
+  }, [fetchGitAuth]);
+
+  const handleGenerateKey = async () => {
+    if (gitAuth?.type && !window.confirm('Replace the current credentials with a new deploy key?')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const response = await apiClient.post(`/projects/${project.id}/git-auth/deploy-key`);
+      setGitAuth(response.data.data);
+      toast.success('Deploy key generated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to generate deploy key');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSaveToken = async (e) => {
+    e.preventDefault();
+
+    setWorking(true);
+    try {
+      const response = await apiClient.put(`/projects/${project.id}/git-auth/token`, {
+        username: username.trim() || null,
+        token
+      });
+      setGitAuth(response.data.data);
+      setToken('');
+      toast.success('Access token saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save access token');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm(`Remove the repository credentials of ${project.name}? Pulls of a private repository will fail.`)) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await apiClient.delete(`/projects/${project.id}/git-auth`);
+      toast.success('Repository credentials removed');
+      await fetchGitAuth();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove credentials');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const copyPublicKey = async () => {
+    try {
+      await navigator.clipboard.writeText(gitAuth.publicKey);
+      toast.success('Public key copied');
+    } catch (error) {
+      toast.error('Failed to copy, select the key and copy it instead');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-y-auto">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Repository Access - {project.name}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="spinner"></div>
+            <p>Loading repository access...</p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <p className="text-sm text-gray-600">
+              <code>{project.repository}</code> is pulled{' '}
+              {gitAuth?.type === 'deployKey' && 'with a deploy key.'}
+              {gitAuth?.type === 'token' && `with an access token as ${gitAuth.username}.`}
+              {!gitAuth?.type && 'without credentials, as a public repository.'}
+              {' '}Private keys and tokens are stored encrypted and never shown. Changes apply to the next redeploy.
+            </p>
+
+            {gitAuth?.type === 'deployKey' && (
+              <div>
+                <label className="form-label">Public key</label>
+                <div className="flex gap-2">
+                  <textarea
+                    readOnly
+                    value={gitAuth.publicKey}
+                    className="form-input font-mono text-xs"
+                    rows={2}
+                    onFocus={(e) => e.target.select()}
+                  />
+                  <button className="btn btn-secondary" onClick={copyPublicKey} title="Copy public key">
+                    <Copy size={14} />
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Fingerprint: {gitAuth.fingerprint}</p>
+              </div>
+            )}
+
+            {isSshUrl ? (
+              <button className="btn btn-primary" onClick={handleGenerateKey} disabled={working}>
+                <KeyRound size={14} className="mr-2" />
+                {gitAuth?.type === 'deployKey' ? 'Generate New Deploy Key' : 'Generate Deploy Key'}
+              </button>
+            ) : (
+              <form onSubmit={handleSaveToken} className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Username (optional)"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  className="form-input"
+                  autoComplete="off"
+                />
+                <input
+                  type="password"
+                  placeholder={gitAuth?.type === 'token' ? 'New access token' : 'Access token'}
+                  value={token}
+                  onChange={(e) => setToken(e.target.value)}
+                  className="form-input"
+                  autoComplete="off"
+                  required
+                />
+                <button type="submit" className="btn btn-primary" disabled={working || !token}>
+                  Save
+                </button>
+              </form>
+            )}
+
+            {gitAuth?.type && (
+              <button className="btn btn-danger" onClick={handleRemove} disabled={working}>
+                <Trash2 size={14} className="mr-2" />
+                Remove Credentials
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RepositoryAccess;
@@ -1,6 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import apiClient from '../config/axios';
-import { RefreshCw, Server, Database, Cpu, MemoryStick, HardDrive, Thermometer } from 'lucide-react';
+import { RefreshCw, Server, Database, Cpu, MemoryStick, HardDrive, Thermometer, Zap, AlertTriangle } from 'lucide-react';
+import MetricsHistory from './MetricsHistory';
+
+const THROTTLE_LABELS = {
+  underVoltage: 'Under-voltage',
+  frequencyCapped: 'Frequency capped',
+  throttled: 'Throttled',
+  softTemperatureLimit: 'Soft temperature limit'
+};
+
+// Names of the throttling conditions that are set in a group of flags
+const activeConditions = (flags) =>
+  Object.entries(flags || {}).filter(([, active]) => active).map(([flag]) => THROTTLE_LABELS[flag]);
 
 const SystemInfo = () => {
   const [systemInfo, setSystemInfo] = useState(null);
@@ -92,6 +104,13 @@ const SystemInfo = () => {
       
       {systemInfo ? (
         <div className="system-info">
+          {activeConditions(systemInfo.hardware?.throttling?.now).length > 0 && (
+            <div className="error flex items-center gap-2 mb-4">
+              <AlertTriangle size={16} />
+              {activeConditions(systemInfo.hardware.throttling.now).join(', ')} right now. Check the power supply and cooling.
+            </div>
+          )}
+
           <div className="info-grid">
             <div className="info-item">
               <h3 className="flex items-center mb-2">
@@ -164,6 +183,40 @@ const SystemInfo = () => {
                     {systemInfo.temperature > 70 ? '🔥 Hot' : systemInfo.temperature > 50 ? '🌡️ Warm' : '❄️ Cool'}
                   </span>
                 </div>
+                {systemInfo.hardware?.fan && (
+                  <span className="metric-detail">
+                    Fan: {systemInfo.hardware.fan.running
+                      ? `${systemInfo.hardware.fan.rpm ?? '?'} RPM (${systemInfo.hardware.fan.speed ?? '?'}%)`
+                      : 'off'}
+                  </span>
+                )}
+              </div>
+            </div>
+
+            <div className="info-item">
+              <h3 className="flex items-center mb-2">
+                <Zap size={20} className="mr-2" />
+                Power & Clock
+              </h3>
+              <div className="metric">
+                <span className="metric-detail">
+                  CPU clock: {systemInfo.hardware?.clock
+                    ? `${systemInfo.hardware.clock.current} / ${systemInfo.hardware.clock.max ?? '?'} MHz`
+                    : 'N/A'}
+                </span>
+                <span className="metric-detail">
+                  Core voltage: {systemInfo.hardware?.voltage ? `${systemInfo.hardware.voltage.toFixed(2)} V` : 'N/A'}
+                </span>
+                <span className="metric-detail">
+                  Throttling: {systemInfo.hardware?.throttling
+                    ? activeConditions(systemInfo.hardware.throttling.now).join(', ') || 'none'
+                    : 'N/A'}
+                </span>
+                {activeConditions(systemInfo.hardware?.throttling?.sinceBoot).length > 0 && (
+                  <span className="metric-detail">
+                    Since boot: {activeConditions(systemInfo.hardware.throttling.sinceBoot).join(', ')}
+                  </span>
+                )}
               </div>
             </div>
 
@@ -193,6 +246,11 @@ const SystemInfo = () => {
             </div>
           </div>
 
+          <div className="info-section">
+            <h3>History</h3>
+            <MetricsHistory url="/metrics/history" host />
+          </div>
+
           <div className="info-section">
             <h3>Docker Containers</h3>
             <div className="container-list">
@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import apiClient from '../config/axios';
+import { Code, Database, ExternalLink, Globe, HardDrive, Play, Settings, X } from 'lucide-react';
+
+const DEFAULT_FORM_DATA = { name: '', domain: '', port: 3000, autoPort: true, environment: {} };
+
+// Deploy form of a template, asking for the name, domain, port and the template's variables
+const TemplateDeploy = ({ template, onClose, onDeployed }) => {
+  const [formData, setFormData] = useState({ ...DEFAULT_FORM_DATA, name: template.id });
+  const [deploying, setDeploying] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleVariableChange = (name, value) => {
+    setFormData((prev) => ({ ...prev, environment: { ...prev.environment, [name]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setDeploying(true);
+    try {
+      await apiClient.post('/projects/deploy', {
+        template: template.id,
+        name: formData.name.trim(),
+        domain: formData.domain.trim(),
+        port: parseInt(formData.port, 10),
+        autoPort: formData.autoPort,
+        // Empty variables take their default or a generated value
+        environment: Object.fromEntries(
+          Object.entries(formData.environment)
+            .map(([name, value]) => [name, value.trim()])
+            .filter(([, value]) => value)
+        )
+      });
+      toast.success(`${template.name} deployed successfully!`);
+      onDeployed();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(
+        Array.isArray(details)
+          ? `Validation failed: ${details.map((detail) => detail.message).join(', ')}`
+          : error.response?.data?.error || 'Failed to deploy template'
+      );
+    } finally {
+      setDeploying(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[80vh] overflow-y-auto">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Deploy {template.name}</h3>
+          <button className="btn btn-secondary btn-small" onClick={onClose} title="Close" disabled={deploying}>
+            <X size={14} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Runs <code>{template.image}</code>, listening on port {template.containerPort} in its container.
+            {template.volumes.length > 0 && (
+              <>
+                {' '}Its data is kept in the volumes {template.volumes.map((volume) => volume.name).join(', ')}, so
+                restarts and redeploys recreate its container in place and the app is briefly down.
+              </>
+            )}
+            {template.addons?.length > 0 && (
+              <> It gets the add-ons {template.addons.join(', ')}.</>
+            )}
+          </p>
+
+          <div className="grid grid-2 gap-4">
+            <div className="form-group">
+              <label className="form-label">
+                <Code size={16} className="inline mr-2" />
+                Project Name
+              </label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">
+                <Globe size={16} className="inline mr-2" />
+                Domain
+              </label>
+              <input
+                type="text"
+                name="domain"
+                value={formData.domain}
+                onChange={handleChange}
+                className="form-input"
+                placeholder={`${template.id}.example.com`}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">
+              <Settings size={16} className="inline mr-2" />
+              Port
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" name="autoPort" checked={formData.autoPort} onChange={handleChange} />
+              Assign a free port automatically
+            </label>
+            {!formData.autoPort && (
+              <input
+                type="number"
+                name="port"
+                value={formData.port}
+                onChange={handleChange}
+                className="form-input mt-2"
+                min="1"
+                max="65535"
+                required
+              />
+            )}
+          </div>
+
+          {template.env.length > 0 && (
+            <div className="form-group">
+              <label className="form-label">Settings</label>
+              <div className="space-y-3">
+                {template.env.map((variable) => (
+                  <div key={variable.name}>
+                    <label className="text-sm font-semibold" htmlFor={`template-${variable.name}`}>
+                      {variable.name}
+                      {variable.required && <span className="text-red-600"> *</span>}
+                    </label>
+                    <input
+                      id={`template-${variable.name}`}
+                      type={variable.secret ? 'password' : 'text'}
+                      value={formData.environment[variable.name] || ''}
+                      onChange={(e) => handleVariableChange(variable.name, e.target.value)}
+                      className="form-input"
+                      placeholder={
+                        variable.default || (variable.generate ? 'Generated when left empty' : '')
+                      }
+                      autoComplete="off"
+                      required={variable.required}
+                    />
+                    <p className="text-xs text-gray-500">
+                      {variable.description}
+                      {variable.secret && ', stored as a secret'}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button type="submit" className="btn btn-success" disabled={deploying}>
+              {deploying ? (
+                <>
+                  <div className="spinner mr-2" style={{ width: '16px', height: '16px' }}></div>
+                  Deploying...
+                </>
+              ) : (
+                <>
+                  <Play size={16} className="mr-2" />
+                  Deploy {template.name}
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const Templates = () => {
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await apiClient.get('/projects/templates');
+        setTemplates(response.data.data || []);
+      } catch (error) {
+        console.error('Error fetching templates:', error);
+        toast.error('Failed to load templates');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTemplates();
+  }, []);
+
+  return (
+    <div>
+      <div className="card">
+        <h2>App Templates</h2>
+        <p className="text-gray-600 mb-6">
+          Deploy a common self-hosted app in one click, no repository needed. Templates run the app's
+          published image; redeploying a project pulls its image again.
+        </p>
+
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="spinner"></div>
+            <p>Loading templates...</p>
+          </div>
+        ) : templates.length === 0 ? (
+          <p className="text-gray-600">No templates available.</p>
+        ) : (
+          <div className="grid grid-3 gap-4">
+            {templates.map((template) => (
+              <div key={template.id} className="p-4 border rounded flex flex-col">
+                <div className="flex justify-between items-center">
+                  <h3 className="font-semibold">{template.name}</h3>
+                  <span className="text-xs text-gray-500 capitalize">{template.category}</span>
+                </div>
+                <p className="text-sm text-gray-600 mt-2 flex-1">{template.description}</p>
+                <div className="text-xs text-gray-500 mt-2">
+                  <div><code>{template.image}</code></div>
+                  {template.volumes.length > 0 && (
+                    <div className="flex items-center gap-1">
+                      <HardDrive size={12} />
+                      {template.volumes.map((volume) => volume.path).join(', ')}
+                    </div>
+                  )}
+                  {template.addons?.length > 0 && (
+                    <div className="flex items-center gap-1">
+                      <Database size={12} />
+                      {template.addons.join(', ')}
+                    </div>
+                  )}
+                </div>
+                <div className="flex justify-between items-center mt-3">
+                  {template.website ? (
+                    <a
+                      href={template.website}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                    >
+                      <ExternalLink size={12} />
+                      Website
+                    </a>
+                  ) : <span />}
+                  <button className="btn btn-success btn-small" onClick={() => setSelectedTemplate(template)}>
+                    <Play size={14} className="mr-2" />
+                    Deploy
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {selectedTemplate && (
+        <TemplateDeploy
+          template={selectedTemplate}
+          onClose={() => setSelectedTemplate(null)}
+          onDeployed={() => navigate('/projects')}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Templates;
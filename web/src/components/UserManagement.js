@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import apiClient from '../config/axios';
 import toast from 'react-hot-toast';
+import UserQuotas from './UserQuotas';
 import { 
   Users, 
   UserPlus, 
@@ -307,6 +308,8 @@ const UserManagement = () => {
         )}
       </div>
 
+      <UserQuotas />
+
       {/* Create User Modal */}
       {showCreateForm && (
         <div style={{
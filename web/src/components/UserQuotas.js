@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../config/axios';
+import toast from 'react-hot-toast';
+import { Gauge, Edit } from 'lucide-react';
+
+const QUOTA_FIELDS = [
+  { key: 'maxProjects', usage: 'projects', label: 'Projects', unit: '' },
+  { key: 'maxMemory', usage: 'memory', label: 'Memory', unit: ' MB' },
+  { key: 'maxCpus', usage: 'cpus', label: 'CPUs', unit: '' },
+  { key: 'maxConcurrentBuilds', usage: 'concurrentBuilds', label: 'Builds', unit: '' },
+  { key: 'maxDisk', usage: 'disk', label: 'Disk', unit: ' MB' }
+];
+
+const cellStyle = { padding: '15px', textAlign: 'left' };
+
+const inputStyle = {
+  width: '100%',
+  padding: '12px',
+  border: '2px solid #e1e5e9',
+  borderRadius: '8px',
+  fontSize: '16px',
+  boxSizing: 'border-box'
+};
+
+const formatLimit = (value, unit) => (value === null || value === undefined ? 'Unlimited' : `${value}${unit}`);
+
+const usageColor = (used, limit) => {
+  if (limit === null || limit === undefined || used === null) return '#333';
+  if (used >= limit) return '#dc3545';
+  return used / limit >= 0.8 ? '#fd7e14' : '#28a745';
+};
+
+const UserQuotas = () => {
+  const [userQuotas, setUserQuotas] = useState([]);
+  const [roleQuotas, setRoleQuotas] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [limits, setLimits] = useState({});
+
+  useEffect(() => {
+    fetchQuotas();
+  }, []);
+
+  const fetchQuotas = async () => {
+    try {
+      setLoading(true);
+      const [usersResponse, rolesResponse] = await Promise.all([
+        apiClient.get('/users/quotas'),
+        apiClient.get('/users/quotas/roles')
+      ]);
+      setUserQuotas(usersResponse.data.data || []);
+      setRoleQuotas(rolesResponse.data.data || []);
+    } catch (error) {
+      toast.error('Failed to fetch quotas');
+      console.error('Error fetching quotas:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Users start from the limits set on them, roles from their quota; empty fields are null
+  const openEditor = (target) => {
+    const source = target.type === 'user' ? target.entry.overrides : target.entry;
+    setLimits(Object.fromEntries(QUOTA_FIELDS.map(({ key }) => [key, source[key] ?? ''])));
+    setEditing(target);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const body = Object.fromEntries(
+      QUOTA_FIELDS.map(({ key }) => [key, limits[key] === '' ? null : Number(limits[key])])
+    );
+
+    try {
+      if (editing.type === 'user') {
+        await apiClient.put(`/users/${editing.entry.user.id}/quota`, body);
+      } else {
+        await apiClient.put(`/users/quotas/roles/${editing.entry.role}`, body);
+      }
+      toast.success('Quota updated successfully');
+      setEditing(null);
+      fetchQuotas();
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to update quota';
+      toast.error(errorMessage);
+    }
+  };
+
+  const editButton = (target, title) => (
+    <button
+      onClick={() => openEditor(target)}
+      style={{
+        padding: '8px',
+        background: '#007bff',
+        color: 'white',
+        border: 'none',
+        borderRadius: '6px',
+        cursor: 'pointer'
+      }}
+      title={title}
+    >
+      <Edit size={16} />
+    </button>
+  );
+
+  return (
+    <div className="card">
+      <h2 style={{ margin: '0 0 10px 0', display: 'flex', alignItems: 'center', gap: '10px' }}>
+        <Gauge size={22} />
+        Quotas
+      </h2>
+      <p style={{ color: '#666', marginBottom: '20px' }}>
+        Deploys and resource changes that would go over a quota are refused. Users get the most
+        generous quota of their roles unless limits are set on them; admins have no quota.
+      </p>
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px' }}>
+          <div className="spinner" style={{ width: '32px', height: '32px', margin: '0 auto' }}></div>
+          <p>Loading quotas...</p>
+        </div>
+      ) : (
+        <>
+          <h3>Role defaults</h3>
+          <div style={{ overflowX: 'auto', marginBottom: '30px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e1e5e9' }}>
+                  <th style={{ ...cellStyle, fontWeight: '600' }}>Role</th>
+                  {QUOTA_FIELDS.map(({ key, label }) => (
+                    <th key={key} style={{ ...cellStyle, fontWeight: '600' }}>{label}</th>
+                  ))}
+                  <th style={{ ...cellStyle, textAlign: 'center', fontWeight: '600' }}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {roleQuotas.map((quota) => (
+                  <tr key={quota.role} style={{ borderBottom: '1px solid #f1f3f4' }}>
+                    <td style={cellStyle}>
+                      <span style={{ textTransform: 'capitalize', fontWeight: '500' }}>{quota.role}</span>
+                      {quota.isDefault && <div style={{ fontSize: '12px', color: '#666' }}>Server default</div>}
+                    </td>
+                    {QUOTA_FIELDS.map(({ key, unit }) => (
+                      <td key={key} style={cellStyle}>{formatLimit(quota[key], unit)}</td>
+                    ))}
+                    <td style={{ ...cellStyle, textAlign: 'center' }}>
+                      {editButton({ type: 'role', entry: quota }, 'Edit Role Quota')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3>Usage</h3>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e1e5e9' }}>
+                  <th style={{ ...cellStyle, fontWeight: '600' }}>User</th>
+                  {QUOTA_FIELDS.map(({ key, label }) => (
+                    <th key={key} style={{ ...cellStyle, fontWeight: '600' }}>{label}</th>
+                  ))}
+                  <th style={{ ...cellStyle, textAlign: 'center', fontWeight: '600' }}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {userQuotas.map((entry) => (
+                  <tr key={entry.user.id} style={{ borderBottom: '1px solid #f1f3f4' }}>
+                    <td style={cellStyle}>
+                      <div style={{ fontWeight: '500' }}>{entry.user.username}</div>
+                      <div style={{ fontSize: '12px', color: '#666' }}>{entry.user.roles.join(', ')}</div>
+                    </td>
+                    {QUOTA_FIELDS.map(({ key, usage, unit }) => (
+                      <td key={key} style={cellStyle}>
+                        <span style={{ color: usageColor(entry.usage[usage], entry.quota[key]), fontWeight: '500' }}>
+                          {entry.usage[usage] ?? 0}
+                        </span>
+                        {' / '}
+                        {formatLimit(entry.quota[key], unit)}
+                        {entry.overrides[key] !== null && (
+                          <span style={{ fontSize: '12px', color: '#666' }} title="Set on this user"> *</span>
+                        )}
+                      </td>
+                    ))}
+                    <td style={{ ...cellStyle, textAlign: 'center' }}>
+                      {editButton({ type: 'user', entry }, 'Edit User Quota')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {/* Edit Quota Modal */}
+      {editing && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0,0,0,0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div className="card" style={{ maxWidth: '500px', width: '90%', maxHeight: '90vh', overflow: 'auto' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+              <h2 style={{ margin: 0 }}>
+                Quota of {editing.type === 'user' ? editing.entry.user.username : `role ${editing.entry.role}`}
+              </h2>
+              <button
+                onClick={() => setEditing(null)}
+                style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer' }}
+              >
+                ×
+              </button>
+            </div>
+
+            <p style={{ color: '#666', marginBottom: '20px' }}>
+              {editing.type === 'user'
+                ? 'Leave a field empty to use the limit of the user\'s roles.'
+                : 'Leave a field empty for no limit.'}
+            </p>
+
+            <form onSubmit={handleSave}>
+              {QUOTA_FIELDS.map(({ key, label, unit }) => (
+                <div key={key} style={{ marginBottom: '20px' }}>
+                  <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                    {label}{unit && ` (${unit.trim()})`}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step={key === 'maxCpus' ? '0.1' : '1'}
+                    value={limits[key]}
+                    onChange={(e) => setLimits(prev => ({ ...prev, [key]: e.target.value }))}
+                    placeholder={editing.type === 'user' ? 'From roles' : 'Unlimited'}
+                    style={inputStyle}
+                  />
+                </div>
+              ))}
+
+              <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  style={{
+                    padding: '12px 24px',
+                    background: '#6c757d',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '8px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  style={{
+                    padding: '12px 24px',
+                    background: '#007bff',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '8px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Save Quota
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserQuotas;
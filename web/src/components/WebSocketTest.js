@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import io from 'socket.io-client';
 import config from '../config/environment';
+import { socketAuth } from '../utils/helpers';
 
 const WebSocketTest = () => {
   const [socket, setSocket] = useState(null);
@@ -13,6 +14,7 @@ const WebSocketTest = () => {
     
     const newSocket = io(config.WS_URL, {
       transports: ["polling", "websocket"],
+      auth: socketAuth,
       upgrade: true,
       rememberUpgrade: true,
       timeout: 20000,
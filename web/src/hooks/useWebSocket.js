@@ -5,6 +5,7 @@ import io from "socket.io-client";
 import toast from "react-hot-toast";
 import { sanitizeInput } from "../utils/validation";
 import config from "../config/environment";
+import { socketAuth } from "../utils/helpers";
 
 // Custom hook for WebSocket management with proper React patterns
 export const useWebSocket = () => {
@@ -34,6 +35,7 @@ export const useWebSocket = () => {
       randomizationFactor: 0.5,
       forceNew: true, // Force new connection
       withCredentials: true, // Include credentials for CORS
+      auth: socketAuth, // Token for project events and access checks
     }),
     []
   );
@@ -16,6 +16,24 @@ export const formatBytes = (bytes) => {
   return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
 };
 
+/**
+ * Summarize a project's container usage against its resource limits
+ * @param {Object} usage - Usage from docker stats (null when not running)
+ * @param {Object} limits - Configured resource limits
+ * @returns {string|null} Summary line
+ */
+export const describeResourceUsage = (usage, limits = {}) => {
+  if (!usage) return null;
+
+  const cpu = `CPU ${usage.cpuPercent.toFixed(1)}%${limits.cpus ? ` of ${limits.cpus} CPUs` : ''}`;
+  const memory = `Memory ${formatBytes(usage.memoryUsage)} / ${
+    limits.memory ? `${limits.memory} MB` : `${formatBytes(usage.memoryLimit)} (no limit)`
+  }`;
+  const pids = `Processes ${usage.pids}${limits.pidsLimit ? ` / ${limits.pidsLimit}` : ''}`;
+
+  return [cpu, memory, pids].join(' · ');
+};
+
 /**
  * Format uptime in seconds to human readable format
  * @param {number} uptime - Uptime in seconds
@@ -237,3 +255,9 @@ export const formatError = (error) => {
     details: error?.response?.data?.details
   };
 };
+
+/**
+ * Socket.IO auth option sending the stored token on every (re)connection
+ * @param {Function} cb - Callback receiving the auth payload
+ */
+export const socketAuth = (cb) => cb({ token: localStorage.getItem('authToken') });